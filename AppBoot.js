@@ -21,6 +21,17 @@ import { useOnboardingStore } from './state/useOnboardingStore.js';
 import { useScriptStore } from './state/useScriptStore.js';
 import { useWorkspaceStore } from './state/useWorkspaceStore.js';
 import { useWatchlistStore } from './state/useWatchlistStore.js';
+import { useAccountStore } from './state/useAccountStore.js';
+import { useFxStore } from './state/useFxStore.js';
+import { useSmartViewStore } from './state/useSmartViewStore.js';
+import { useTagStore } from './state/useTagStore.js';
+import { useAttachmentStore } from './state/useAttachmentStore.js';
+import { useChartStore } from './state/useChartStore.js';
+import { useDrawingStore } from './state/useDrawingStore.js';
+import { useAuthStore } from './state/useAuthStore.js';
+import { startCompositeAlerts } from './state/useAlertStore.js';
+import { createBinanceFeed } from './chartEngine/feeds/BinanceFeed.js';
+import { serializeDrawings, deserializeDrawings } from './chartEngine/tools/DrawingModel.js';
 import { StorageService } from './data/StorageService.js';
 import { genDemoData } from './data/demoData.js';
 import { migrateAllTrades } from './engine/Money.js';
@@ -44,7 +55,7 @@ export function useAppBoot() {
         await StorageService.migrateFromLegacy();
 
         // ─── Step 2: Load from IndexedDB ────────────────────────
-        const [tradesResult, playbooksResult, notesResult, tradePlansResult, settingsResult, onboardingResult, scriptsResult, workspacesResult, watchlistResult] =
+        const [tradesResult, playbooksResult, notesResult, tradePlansResult, settingsResult, onboardingResult, scriptsResult, workspacesResult, watchlistResult, accountsResult, fxResult, smartViewsResult, attachmentsResult, tagsResult, pendingDeleteResult, continuousResult, dismissedDaysResult] =
           await Promise.all([
             StorageService.trades.getAll(),
             StorageService.playbooks.getAll(),
@@ -55,6 +66,14 @@ export function useAppBoot() {
             StorageService.settings.get('scripts'),
             StorageService.settings.get('workspaces'),
             StorageService.settings.get('watchlist'),
+            StorageService.settings.get('accounts'),
+            StorageService.settings.get('fxRates'),
+            StorageService.settings.get('smartViews'),
+            StorageService.attachments.list(),
+            StorageService.settings.get('tagTaxonomy'),
+            StorageService.settings.get('attachmentsPendingDelete'),
+            StorageService.settings.get('continuousFutures'),
+            StorageService.settings.get('dismissedDailyNotes'),
           ]);
 
         if (cancelled) return;
@@ -64,6 +83,7 @@ export function useAppBoot() {
         const playbooks = playbooksResult.ok ? playbooksResult.data : [];
         const notes = notesResult.ok ? notesResult.data : [];
         const tradePlans = tradePlansResult.ok ? tradePlansResult.data : [];
+        const dismissedDays = dismissedDaysResult.ok && Array.isArray(dismissedDaysResult.data) ? dismissedDaysResult.data : [];
 
         // ─── Step 3a: Financial precision migration ──────────────
         // Auto-round monetary fields to eliminate stored float imprecision.
@@ -71,7 +91,8 @@ export function useAppBoot() {
         trades = migrateAllTrades(trades);
 
         // If database is empty, seed demo data for first-time users
-        if (trades.length === 0 && playbooks.length === 0) {
+        const seedDemo = trades.length === 0 && playbooks.length === 0;
+        if (seedDemo) {
           const demo = genDemoData();
           useTradeStore.getState().hydrate({
             trades: demo.trades,
@@ -80,7 +101,7 @@ export function useAppBoot() {
             tradePlans: [],
           });
         } else {
-          useTradeStore.getState().hydrate({ trades, playbooks, notes, tradePlans });
+          useTradeStore.getState().hydrate({ trades, playbooks, notes, tradePlans, dismissedDays });
         }
 
         // Hydrate settings
@@ -107,9 +128,62 @@ export function useAppBoot() {
         const savedWatchlist = watchlistResult.ok ? watchlistResult.data : null;
         useWatchlistStore.getState().hydrate(Array.isArray(savedWatchlist) ? savedWatchlist : []);
 
+        // Hydrate trading accounts (default account is always guaranteed)
+        const savedAccounts = accountsResult.ok ? accountsResult.data : null;
+        useAccountStore.getState().hydrate(savedAccounts && typeof savedAccounts === 'object' ? savedAccounts : {});
+
+        // Hydrate FX rate table
+        const savedFx = fxResult.ok ? fxResult.data : null;
+        useFxStore.getState().hydrate(savedFx && typeof savedFx === 'object' ? savedFx : {});
+
+        // Hydrate saved journal smart views
+        const savedViews = smartViewsResult.ok ? smartViewsResult.data : null;
+        useSmartViewStore.getState().hydrate(savedViews && typeof savedViews === 'object' ? savedViews : {});
+
+        // Hydrate tag groups / colors
+        const savedTags = tagsResult.ok ? tagsResult.data : null;
+        useTagStore.getState().hydrate(savedTags && typeof savedTags === 'object' ? savedTags : {});
+
+        // Hydrate trade attachment index; drop attachments of trades
+        // deleted last session (kept until now so delete can be undone).
+        // Only once the real journal loaded — never against demo data or
+        // a failed read, which would look like every trade was deleted.
+        useAttachmentStore.getState().hydrate(
+          attachmentsResult.ok ? attachmentsResult.data : [],
+          pendingDeleteResult.ok ? pendingDeleteResult.data : []
+        );
+        if (tradesResult.ok && !seedDemo) {
+          useAttachmentStore.getState().prunePendingDeletes(trades.map((t) => t.id));
+        }
+
+        // Hydrate continuous futures roll / back-adjust choice
+        const savedContinuous = continuousResult.ok ? continuousResult.data : null;
+        if (savedContinuous && typeof savedContinuous === 'object') {
+          useChartStore.getState().setContinuous(savedContinuous);
+        }
+
+        // Drawings for the chart's current symbol
+        await loadSymbolDrawings(useChartStore.getState().symbol);
+
         // ─── Step 4: Subscribe to changes for auto-save ─────────
         unsubscribers.current = setupAutoSave();
 
+        // ─── Step 4a: Daily journal page per trading day ─────────
+        // After auto-save is wired so the new pages persist
+        useTradeStore.getState().ensureDailyNotes();
+        unsubscribers.current.push(
+          useTradeStore.subscribe((state, prevState) => {
+            if (state.trades !== prevState.trades) state.ensureDailyNotes();
+          }),
+          watchDeletedTrades()
+        );
+
+        // ─── Step 4b: Composite alerts, on whatever page is open ──
+        unsubscribers.current.push(startAlerts());
+
+        // ─── Step 4c: Plan limits (multi-chart pane cap) ──────────
+        unsubscribers.current.push(watchPlanFeatures());
+
         // ─── Step 5: Check storage quota ──────────────────────────
         const quotaCheck = await StorageService.checkQuota();
         if (quotaCheck.ok && quotaCheck.data.percent > 85) {
@@ -146,6 +220,106 @@ export function useAppBoot() {
   return ready;
 }
 
+// ─── Deleted trades → attachments ───────────────────────────────
+
+/**
+ * Record trades that leave the journal so their attachments are pruned
+ * at the next launch, and forget them again if they come back (undo).
+ * @returns {Function} Unsubscribe
+ */
+export function watchDeletedTrades() {
+  return useTradeStore.subscribe((state, prevState) => {
+    if (state.trades === prevState.trades) return;
+    const ids = new Set(state.trades.map((t) => t.id));
+    const prevIds = new Set(prevState.trades.map((t) => t.id));
+    const removed = [...prevIds].filter((id) => !ids.has(id));
+    const added = [...ids].filter((id) => !prevIds.has(id));
+    if (removed.length) useAttachmentStore.getState().markDeleted(removed);
+    if (added.length) useAttachmentStore.getState().unmarkDeleted(added);
+  });
+}
+
+// ─── Plan limits ────────────────────────────────────────────────
+
+/**
+ * Cap chart panes at the plan's maxCharts. Billing status loads
+ * whenever auth resolves, before or after boot, so apply what is
+ * there now and follow later changes.
+ * @returns {Function} Unsubscribe
+ */
+function watchPlanFeatures() {
+  const apply = (features) => useChartStore.getState().setMaxCharts(features?.maxCharts);
+  apply(useAuthStore.getState().features);
+  return useAuthStore.subscribe((state, prevState) => {
+    if (state.features !== prevState.features) apply(state.features);
+  });
+}
+
+// ─── Composite alerts ───────────────────────────────────────────
+
+/** Alert symbol → Binance pair, as the chart resolves it ('BTC' → 'BTCUSDT') */
+function binancePair(symbol) {
+  const upper = String(symbol || '').toUpperCase();
+  return /(USDT|BUSD|BTC)$/.test(upper) ? upper : `${upper}USDT`;
+}
+
+/**
+ * Evaluate composite alerts on their own Binance streams for the
+ * whole session, not just while a chart is mounted.
+ * @returns {Function} Stop
+ */
+function startAlerts() {
+  const feed = createBinanceFeed();
+  const stop = startCompositeAlerts(feed, { resolveSymbol: binancePair });
+  return () => {
+    stop();
+    feed.dispose();
+  };
+}
+
+// ─── Per-symbol drawings ────────────────────────────────────────
+// Last JSON written (or loaded) per symbol, to skip no-op saves
+const savedDrawings = new Map();
+let pendingDrawingsSave = null; // { timer, run }
+
+async function saveSymbolDrawings(symbol, drawings) {
+  const json = serializeDrawings(drawings);
+  if (savedDrawings.get(symbol) === json) return;
+  savedDrawings.set(symbol, json);
+  const result = drawings.length
+    ? await StorageService.drawings.put(symbol, json)
+    : await StorageService.drawings.delete(symbol);
+  if (!result.ok) console.warn(`[AppBoot] Drawings save failed for ${symbol}:`, result.error);
+}
+
+/** Write any debounced drawing edits now (before switching symbol) */
+function flushDrawingsSave() {
+  if (!pendingDrawingsSave) return;
+  clearTimeout(pendingDrawingsSave.timer);
+  pendingDrawingsSave.run();
+  pendingDrawingsSave = null;
+}
+
+/**
+ * Load a symbol's saved drawings into useDrawingStore.
+ * @param {string} symbol
+ */
+export async function loadSymbolDrawings(symbol) {
+  flushDrawingsSave();
+  const key = String(symbol || '').toUpperCase();
+  const store = useDrawingStore.getState();
+  if (store.symbol === key && store.loaded) return;
+
+  store.beginLoad(key);
+  const result = await StorageService.drawings.get(key);
+  if (useDrawingStore.getState().symbol !== key) return; // Switched again meanwhile
+
+  const json = result.ok ? result.data : null;
+  const drawings = json ? deserializeDrawings(json) : [];
+  savedDrawings.set(key, serializeDrawings(drawings));
+  useDrawingStore.getState().hydrate(key, drawings);
+}
+
 /**
  * Set up debounced auto-save subscriptions.
  * Returns array of unsubscribe functions.
@@ -155,7 +329,7 @@ function setupAutoSave() {
   let tradeTimer = null;
   let settingsTimer = null;
 
-  // Auto-save trades/playbooks/notes/tradePlans
+  // Auto-save trades/playbooks/notes/tradePlans (+ dismissed daily pages)
   unsubs.push(
     useTradeStore.subscribe((state, prevState) => {
       // Skip the initial hydration write-back
@@ -170,6 +344,7 @@ function setupAutoSave() {
             StorageService.playbooks.replaceAll(state.playbooks),
             StorageService.notes.replaceAll(state.notes),
             StorageService.tradePlans.replaceAll(state.tradePlans),
+            StorageService.settings.set('dismissedDailyNotes', state.dismissedDays),
           ]);
         } catch (err) {
           console.warn('[AppBoot] Auto-save failed:', err);
@@ -227,6 +402,31 @@ function setupAutoSave() {
     })
   );
 
+  // Load drawings when the chart symbol changes
+  unsubs.push(
+    useChartStore.subscribe((state, prevState) => {
+      if (state.symbol !== prevState.symbol) loadSymbolDrawings(state.symbol);
+    })
+  );
+
+  // Auto-save drawings for the symbol they belong to
+  unsubs.push(
+    useDrawingStore.subscribe((state, prevState) => {
+      if (!state.loaded || state.symbol !== prevState.symbol || state.drawings === prevState.drawings) return;
+      const { symbol, drawings } = state;
+      if (pendingDrawingsSave) clearTimeout(pendingDrawingsSave.timer);
+      const run = () => {
+        saveSymbolDrawings(symbol, drawings).catch((err) => {
+          console.warn('[AppBoot] Drawings auto-save failed:', err);
+        });
+      };
+      pendingDrawingsSave = {
+        run,
+        timer: setTimeout(() => { pendingDrawingsSave = null; run(); }, AUTOSAVE_DELAY),
+      };
+    })
+  );
+
   // Auto-save workspaces
   let workspacesTimer = null;
   unsubs.push(
@@ -258,6 +458,86 @@ function setupAutoSave() {
     })
   );
 
+  // Auto-save trading accounts + active scope
+  let accountsTimer = null;
+  unsubs.push(
+    useAccountStore.subscribe((state) => {
+      if (!state.loaded) return;
+      clearTimeout(accountsTimer);
+      accountsTimer = setTimeout(async () => {
+        try {
+          await StorageService.settings.set('accounts', useAccountStore.getState().toJSON());
+        } catch (err) {
+          console.warn('[AppBoot] Accounts auto-save failed:', err);
+        }
+      }, AUTOSAVE_DELAY);
+    })
+  );
+
+  // Auto-save FX rate table
+  let fxTimer = null;
+  unsubs.push(
+    useFxStore.subscribe((state) => {
+      if (!state.loaded) return;
+      clearTimeout(fxTimer);
+      fxTimer = setTimeout(async () => {
+        try {
+          await StorageService.settings.set('fxRates', useFxStore.getState().toJSON());
+        } catch (err) {
+          console.warn('[AppBoot] FX rates auto-save failed:', err);
+        }
+      }, AUTOSAVE_DELAY);
+    })
+  );
+
+  // Auto-save smart views + active view
+  let smartViewsTimer = null;
+  unsubs.push(
+    useSmartViewStore.subscribe((state) => {
+      if (!state.loaded) return;
+      clearTimeout(smartViewsTimer);
+      smartViewsTimer = setTimeout(async () => {
+        try {
+          await StorageService.settings.set('smartViews', useSmartViewStore.getState().toJSON());
+        } catch (err) {
+          console.warn('[AppBoot] Smart views auto-save failed:', err);
+        }
+      }, AUTOSAVE_DELAY);
+    })
+  );
+
+  // Auto-save tag taxonomy
+  let tagsTimer = null;
+  unsubs.push(
+    useTagStore.subscribe((state) => {
+      if (!state.loaded) return;
+      clearTimeout(tagsTimer);
+      tagsTimer = setTimeout(async () => {
+        try {
+          await StorageService.settings.set('tagTaxonomy', useTagStore.getState().toJSON());
+        } catch (err) {
+          console.warn('[AppBoot] Tag taxonomy auto-save failed:', err);
+        }
+      }, AUTOSAVE_DELAY);
+    })
+  );
+
+  // Auto-save continuous futures roll / back-adjust choice
+  let continuousTimer = null;
+  unsubs.push(
+    useChartStore.subscribe((state, prevState) => {
+      if (state.continuous === prevState.continuous) return;
+      clearTimeout(continuousTimer);
+      continuousTimer = setTimeout(async () => {
+        try {
+          await StorageService.settings.set('continuousFutures', useChartStore.getState().continuous);
+        } catch (err) {
+          console.warn('[AppBoot] Continuous futures auto-save failed:', err);
+        }
+      }, AUTOSAVE_DELAY);
+    })
+  );
+
   return unsubs;
 }
 
@@ -0,0 +1,318 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Bar Transforms (non-time-based charts)
+//
+// Builds synthetic bars from an OHLCV stream for the price-driven
+// chart types in ChartTypes.js. A new synthetic bar only forms when
+// price moves far enough, so the output has irregular (and sometimes
+// repeated) timestamps — each bar carries the time of the source bar
+// where it formed.
+//
+//   toRenko       — fixed-size bricks on close
+//   toRangeBars   — bars with a fixed high-low range
+//   toKagi        — reversal columns with yang (thick) / yin (thin) state
+//   toPointFigure — X / O columns on a box grid with N-box reversal
+//
+// Sizes are absolute prices, or derived from ATR(atrPeriod) over the
+// input when method is 'atr' (Kagi also accepts 'percent').
+//
+// All transforms are pure: same input → same output, no state kept
+// between calls. Streaming callers re-run them on update.
+// ═══════════════════════════════════════════════════════════════════
+
+import { atr, trueRange } from '../indicators/computations.js';
+
+const EPS = 1e-9;
+
+// ─── Sizing ─────────────────────────────────────────────────────
+
+/**
+ * Box size from the latest ATR value, rounded to 3 significant digits
+ * so the grid lands on readable prices.
+ * @param {Array} bars
+ * @param {number} [period=14]
+ * @returns {number} 0 when there's not enough data
+ */
+export function atrBoxSize(bars, period = 14) {
+  if (!bars?.length) return 0;
+  let value = NaN;
+  if (bars.length >= period) {
+    const series = atr(bars, period);
+    value = series[series.length - 1];
+  }
+  if (!Number.isFinite(value)) {
+    // Short history: mean true range of what we have
+    const tr = trueRange(bars);
+    value = tr.reduce((s, v) => s + v, 0) / tr.length;
+  }
+  return value > 0 ? Number(value.toPrecision(3)) : 0;
+}
+
+/**
+ * Resolve a size option: absolute when method is 'fixed' (and a size
+ * is given), otherwise from ATR.
+ * @param {Array} bars
+ * @param {number|null} size
+ * @param {{ method?: string, atrPeriod?: number }} opts
+ * @returns {number}
+ */
+export function resolveBoxSize(bars, size, { method = 'fixed', atrPeriod = 14 } = {}) {
+  if (method !== 'atr' && size > 0) return size;
+  return atrBoxSize(bars, atrPeriod);
+}
+
+function _bar(time, open, close, extra) {
+  return {
+    time,
+    open,
+    high: Math.max(open, close),
+    low: Math.min(open, close),
+    close,
+    volume: 0,
+    ...extra,
+  };
+}
+
+// ─── Renko ──────────────────────────────────────────────────────
+
+/**
+ * Traditional Renko on close. Continuation needs one box beyond the
+ * last brick, a reversal needs two (one past the brick's open).
+ *
+ * @param {Array} bars - OHLCV bars
+ * @param {Object} [opts]
+ * @param {number} [opts.boxSize] - Brick height in price
+ * @param {'fixed'|'atr'} [opts.method='fixed']
+ * @param {number} [opts.atrPeriod=14]
+ * @returns {Array<{time, open, high, low, close, volume, dir: 1|-1}>}
+ */
+export function toRenko(bars, opts = {}) {
+  const box = resolveBoxSize(bars, opts.boxSize, opts);
+  if (!bars?.length || !(box > 0)) return [];
+
+  // Work in whole boxes so long runs don't accumulate float drift
+  const out = [];
+  let top = Math.floor(bars[0].close / box + EPS);
+  let bottom = top;
+  let volume = 0;
+
+  for (const b of bars) {
+    volume += b.volume || 0;
+    const level = b.close / box;
+    const first = out.length;
+
+    while (level >= top + 1 - EPS) {
+      out.push(_bar(b.time, top * box, (top + 1) * box, { dir: 1 }));
+      bottom = top;
+      top += 1;
+    }
+    if (out.length === first) {
+      while (level <= bottom - 1 + EPS) {
+        out.push(_bar(b.time, bottom * box, (bottom - 1) * box, { dir: -1 }));
+        top = bottom;
+        bottom -= 1;
+      }
+    }
+    if (out.length > first) {
+      out[first].volume = volume;
+      volume = 0;
+    }
+  }
+  return out;
+}
+
+// ─── Range Bars ─────────────────────────────────────────────────
+
+/**
+ * Approximate intrabar path: bullish bars visit the low first,
+ * bearish bars the high first.
+ */
+function _pricePath(b) {
+  return b.close >= b.open
+    ? [b.open, b.low, b.high, b.close]
+    : [b.open, b.high, b.low, b.close];
+}
+
+/**
+ * Range bars: each bar closes once its high-low span reaches `range`,
+ * and the next opens at that close. The last bar is still forming.
+ *
+ * @param {Array} bars - OHLCV bars
+ * @param {Object} [opts]
+ * @param {number} [opts.range] - High-low span in price
+ * @param {'fixed'|'atr'} [opts.method='fixed']
+ * @param {number} [opts.atrPeriod=14]
+ * @returns {Array<{time, open, high, low, close, volume}>}
+ */
+export function toRangeBars(bars, opts = {}) {
+  const range = resolveBoxSize(bars, opts.range, opts);
+  if (!bars?.length || !(range > 0)) return [];
+
+  const eps = range * EPS;
+  const out = [];
+  let cur = null;
+
+  const start = (time, price) => {
+    cur = { time, open: price, high: price, low: price, close: price, volume: 0 };
+    out.push(cur);
+  };
+
+  for (const b of bars) {
+    if (!cur) start(b.time, b.open);
+    cur.volume += b.volume || 0;
+
+    for (const p of _pricePath(b)) {
+      while (p > cur.low + range + eps || p < cur.high - range - eps) {
+        const edge = p > cur.low + range ? cur.low + range : cur.high - range;
+        cur.high = Math.max(cur.high, edge);
+        cur.low = Math.min(cur.low, edge);
+        cur.close = edge;
+        start(b.time, edge);
+      }
+      cur.high = Math.max(cur.high, p);
+      cur.low = Math.min(cur.low, p);
+      cur.close = p;
+    }
+  }
+  return out;
+}
+
+// ─── Kagi ───────────────────────────────────────────────────────
+
+/**
+ * Kagi columns on close. A column extends while price keeps going its
+ * way and reverses once price retraces by the reversal amount.
+ *
+ * The line turns yang (thick) when a rising column breaks the previous
+ * shoulder (prior up-column high) and yin (thin) when a falling column
+ * breaks the previous waist (prior down-column low). `yang` is the
+ * state at the column's start; `switchAt` is the price where it flips,
+ * or null.
+ *
+ * @param {Array} bars - OHLCV bars
+ * @param {Object} [opts]
+ * @param {number} [opts.reversal] - Reversal amount (price, or percent when method is 'percent')
+ * @param {'fixed'|'percent'|'atr'} [opts.method='fixed']
+ * @param {number} [opts.atrPeriod=14]
+ * @returns {Array<{time, open, high, low, close, volume, dir: 1|-1, yang: boolean, switchAt: number|null}>}
+ */
+export function toKagi(bars, opts = {}) {
+  if (!bars?.length) return [];
+  const percent = opts.method === 'percent';
+  const fixed = percent ? 0 : resolveBoxSize(bars, opts.reversal, opts);
+  if (percent ? !(opts.reversal > 0) : !(fixed > 0)) return [];
+  const reversalAt = (price) => (percent ? Math.abs(price) * opts.reversal / 100 : fixed);
+
+  const cols = [];
+  let cur = _bar(bars[0].time, bars[0].close, bars[0].close, { dir: 0 });
+
+  for (const b of bars) {
+    const p = b.close;
+    const rev = reversalAt(cur.close) * (1 - EPS);
+
+    if (cur.dir === 0) {
+      if (Math.abs(p - cur.open) >= rev) {
+        cur.dir = p > cur.open ? 1 : -1;
+        cur.close = p;
+      }
+    } else if ((p - cur.close) * cur.dir > 0) {
+      cur.close = p;
+    } else if ((cur.close - p) * cur.dir >= rev) {
+      cols.push(cur);
+      cur = _bar(b.time, cur.close, p, { dir: -cur.dir });
+    }
+    cur.volume += b.volume || 0;
+  }
+  if (cur.dir !== 0) cols.push(cur);
+
+  let yang = cols.length > 0 && cols[0].dir > 0;
+  for (let i = 0; i < cols.length; i++) {
+    const c = cols[i];
+    const prior = cols[i - 2];
+    c.high = Math.max(c.open, c.close);
+    c.low = Math.min(c.open, c.close);
+    c.yang = yang;
+    c.switchAt = null;
+    if (prior && c.dir > 0 && !yang && c.close > prior.close) {
+      c.switchAt = prior.close;
+      yang = true;
+    } else if (prior && c.dir < 0 && yang && c.close < prior.close) {
+      c.switchAt = prior.close;
+      yang = false;
+    }
+  }
+  return cols;
+}
+
+// ─── Point & Figure ─────────────────────────────────────────────
+
+/**
+ * Point & Figure columns. Box k sits at price k × boxSize; an X column
+ * spans levels low..high rising, an O column falling. A column extends
+ * by whole boxes and reverses after `reversal` boxes against it.
+ *
+ * With source 'hl' a bar's high extends X columns and its low extends
+ * O columns (reversals checked on the opposite extreme only if the
+ * column didn't extend); 'close' uses the close for both.
+ *
+ * @param {Array} bars - OHLCV bars
+ * @param {Object} [opts]
+ * @param {number} [opts.boxSize] - Box height in price
+ * @param {'fixed'|'atr'} [opts.method='fixed']
+ * @param {number} [opts.atrPeriod=14]
+ * @param {number} [opts.reversal=3] - Boxes needed to reverse
+ * @param {'close'|'hl'} [opts.source='close']
+ * @returns {Array<{time, open, high, low, close, volume, dir: 1|-1, boxSize: number, boxes: number}>}
+ */
+export function toPointFigure(bars, opts = {}) {
+  const box = resolveBoxSize(bars, opts.boxSize, opts);
+  if (!bars?.length || !(box > 0)) return [];
+  const reversal = Math.max(1, Math.round(opts.reversal ?? 3));
+  const useHL = opts.source === 'hl';
+
+  const up = (p) => Math.floor(p / box + EPS);
+  const down = (p) => Math.ceil(p / box - EPS);
+
+  const levels = [];
+  const anchor = Math.round(bars[0].close / box);
+  let cur = null;
+
+  for (const b of bars) {
+    const hi = useHL ? b.high : b.close;
+    const lo = useHL ? b.low : b.close;
+
+    if (!cur) {
+      if (up(hi) >= anchor + 1) cur = { time: b.time, dir: 1, lo: anchor, hi: up(hi), volume: 0 };
+      else if (down(lo) <= anchor - 1) cur = { time: b.time, dir: -1, lo: down(lo), hi: anchor, volume: 0 };
+      if (cur) levels.push(cur);
+    } else if (cur.dir > 0) {
+      if (up(hi) > cur.hi) cur.hi = up(hi);
+      else if (down(lo) <= cur.hi - reversal) {
+        cur = { time: b.time, dir: -1, lo: down(lo), hi: cur.hi - 1, volume: 0 };
+        levels.push(cur);
+      }
+    } else {
+      if (down(lo) < cur.lo) cur.lo = down(lo);
+      else if (up(hi) >= cur.lo + reversal) {
+        cur = { time: b.time, dir: 1, lo: cur.lo + 1, hi: up(hi), volume: 0 };
+        levels.push(cur);
+      }
+    }
+    if (cur) cur.volume += b.volume || 0;
+  }
+
+  return levels.map((c) => {
+    const low = c.lo * box;
+    const high = c.hi * box;
+    return {
+      time: c.time,
+      open: c.dir > 0 ? low : high,
+      high,
+      low,
+      close: c.dir > 0 ? high : low,
+      volume: c.volume,
+      dir: c.dir,
+      boxSize: box,
+      boxes: c.hi - c.lo + 1,
+    };
+  });
+}
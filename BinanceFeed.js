@@ -3,7 +3,8 @@
 // Implements the DataFeed interface for Binance exchange.
 //
 // Real-time: WebSocket kline stream (wss://stream.binance.com)
-// Historical: REST API (/api/v3/klines)
+//            and aggTrade stream for order flow (subscribeTrades)
+// Historical: REST API (/api/v3/klines, /api/v3/aggTrades)
 //
 // Features:
 //   - Auto-reconnect with exponential backoff
@@ -16,6 +17,7 @@
 
 import { RESOLUTION_MS, normalizeResolution } from './DataFeed.js';
 import { createLRUCache, getTTLForResolution, barCacheKey } from './LRUCache.js';
+import { tickFromAggTrade } from '../../engine/orderFlow.js';
 
 // ── Binance API endpoints ──
 const REST_BASE = 'https://api.binance.com';
@@ -31,6 +33,10 @@ const BINANCE_INTERVALS = {
 // ── Max bars per Binance REST request ──
 const MAX_BARS_PER_REQUEST = 1000;
 
+// ── aggTrades: 1000 per request, startTime/endTime window ≤ 1 hour ──
+const MAX_TRADES_PER_REQUEST = 1000;
+const TRADE_WINDOW_MS = 3_600_000;
+
 /**
  * Create a Binance DataFeed instance.
  *
@@ -55,7 +61,7 @@ export function createBinanceFeed(options = {}) {
   let symbolInfoCache = new Map();
 
   // WebSocket state
-  /** @type {Map<string, { ws: WebSocket, symbol: string, resolution: string, onBar: Function, reconnectTimer: any, reconnectCount: number }>} */
+  /** @type {Map<string, { ws: WebSocket, stream: string, handle: Function, symbol: string, resolution: string, reconnectTimer: any, reconnectCount: number }>} */
   const subscriptions = new Map();
   let subIdCounter = 0;
 
@@ -186,28 +192,109 @@ export function createBinanceFeed(options = {}) {
     return { bars: unique, noMore };
   }
 
+  /**
+   * Fetch aggregated trades (ticks) for order-flow backfill.
+   * Walks forward in ≤ 1h windows, then by trade id.
+   *
+   * @param {string} symbol
+   * @param {number} from - Start timestamp ms
+   * @param {number} to   - End timestamp ms
+   * @param {number} [maxTrades=50000] - Safety limit
+   * @returns {Promise<{ ticks: Array, truncated: boolean }>}
+   */
+  async function fetchTrades(symbol, from, to, maxTrades = 50000) {
+    const binanceSymbol = symbol.toUpperCase().replace('/', '');
+    const ticks = [];
+    let windowStart = from;
+    let fromId = null;
+
+    try {
+      while (ticks.length < maxTrades && windowStart < to) {
+        const params = new URLSearchParams({ symbol: binanceSymbol, limit: String(MAX_TRADES_PER_REQUEST) });
+        if (fromId != null) {
+          params.set('fromId', String(fromId));
+        } else {
+          params.set('startTime', String(windowStart));
+          params.set('endTime', String(Math.min(to, windowStart + TRADE_WINDOW_MS - 1)));
+        }
+
+        const response = await fetch(`${REST_BASE}/api/v3/aggTrades?${params}`);
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`Binance API error ${response.status}: ${errorText}`);
+        }
+        const rows = await response.json();
+
+        for (const row of rows) {
+          if (row.T > to) return { ticks, truncated: false };
+          ticks.push(tickFromAggTrade(row));
+        }
+
+        if (rows.length === MAX_TRADES_PER_REQUEST) {
+          fromId = rows[rows.length - 1].a + 1;
+        } else {
+          // Window exhausted: next hour by time
+          fromId = null;
+          windowStart = Math.min(to, windowStart + TRADE_WINDOW_MS);
+        }
+      }
+    } catch (error) {
+      emit('error', { type: 'rest', error });
+      throw error;
+    }
+
+    return { ticks, truncated: ticks.length >= maxTrades };
+  }
+
 
   // ═══════════════════════════════════════════════════════════════
   // WebSocket: Real-Time Streaming
   // ═══════════════════════════════════════════════════════════════
 
-  /**
-   * Create a WebSocket connection for kline streaming.
-   *
-   * @param {string} subId      - Subscription ID
-   * @param {string} symbol     - Symbol (e.g. 'btcusdt')
-   * @param {string} resolution - Timeframe
-   * @param {(bar: Bar) => void} onBar - Callback for each bar update
-   */
-  function createWebSocket(subId, symbol, resolution, onBar) {
+  /** Stream name for a kline subscription */
+  function klineStream(symbol, resolution) {
     const binanceSymbol = symbol.toLowerCase().replace('/', '');
     const interval = BINANCE_INTERVALS[normalizeResolution(resolution)] || '1h';
-    const streamName = `${binanceSymbol}@kline_${interval}`;
-    const wsUrl = `${WS_BASE}/${streamName}`;
+    return `${binanceSymbol}@kline_${interval}`;
+  }
+
+  /** Kline message → onBar(bar) */
+  function klineHandler(onBar) {
+    return (msg) => {
+      if (msg.e === 'kline' && msg.k) {
+        const k = msg.k;
+        onBar({
+          time: k.t,              // Kline open time
+          open: parseFloat(k.o),
+          high: parseFloat(k.h),
+          low: parseFloat(k.l),
+          close: parseFloat(k.c),
+          volume: parseFloat(k.v),
+          isClosed: k.x,          // Is this kline closed?
+        });
+      }
+    };
+  }
 
+  /** aggTrade message → onTick(tick) */
+  function tradeHandler(onTick) {
+    return (msg) => {
+      if (msg.e === 'aggTrade') onTick(tickFromAggTrade(msg));
+    };
+  }
+
+  /**
+   * Create a WebSocket connection for a subscription's stream.
+   *
+   * @param {string} subId - Subscription ID (holds stream name + message handler)
+   */
+  function createWebSocket(subId) {
     const sub = subscriptions.get(subId);
     if (!sub) return;
 
+    const { symbol, resolution } = sub;
+    const wsUrl = `${WS_BASE}/${sub.stream}`;
+
     try {
       const ws = new WebSocket(wsUrl);
       sub.ws = ws;
@@ -220,22 +307,7 @@ export function createBinanceFeed(options = {}) {
 
       ws.onmessage = (event) => {
         try {
-          const msg = JSON.parse(event.data);
-
-          if (msg.e === 'kline' && msg.k) {
-            const k = msg.k;
-            const bar = {
-              time: k.t,              // Kline open time
-              open: parseFloat(k.o),
-              high: parseFloat(k.h),
-              low: parseFloat(k.l),
-              close: parseFloat(k.c),
-              volume: parseFloat(k.v),
-              isClosed: k.x,          // Is this kline closed?
-            };
-
-            onBar(bar);
-          }
+          sub.handle(JSON.parse(event.data));
         } catch (parseErr) {
           // Silently ignore parse errors (heartbeats, etc.)
         }
@@ -280,11 +352,36 @@ export function createBinanceFeed(options = {}) {
 
     sub.reconnectTimer = setTimeout(() => {
       if (subscriptions.has(subId) && !sub._closing) {
-        createWebSocket(subId, sub.symbol, sub.resolution, sub.onBar);
+        createWebSocket(subId);
       }
     }, delay);
   }
 
+  /**
+   * Close a subscription's socket and forget it.
+   * @param {string} subId
+   */
+  function closeSubscription(subId) {
+    const sub = subscriptions.get(subId);
+    if (!sub) return;
+
+    sub._closing = true;
+
+    if (sub.reconnectTimer) {
+      clearTimeout(sub.reconnectTimer);
+    }
+
+    if (sub.ws) {
+      try { sub.ws.close(1000, 'unsubscribed'); } catch {}
+    }
+
+    subscriptions.delete(subId);
+
+    if (subscriptions.size === 0) {
+      status = 'disconnected';
+    }
+  }
+
 
   // ═══════════════════════════════════════════════════════════════
   // Symbol Resolution
@@ -452,42 +549,71 @@ export function createBinanceFeed(options = {}) {
 
       subscriptions.set(subId, {
         ws: null,
+        stream: klineStream(symbol, resolution),
+        handle: klineHandler(onBar),
         symbol,
         resolution,
-        onBar,
         reconnectTimer: null,
         reconnectCount: 0,
         _closing: false,
       });
 
-      createWebSocket(subId, symbol, resolution, onBar);
+      createWebSocket(subId);
 
       return subId;
     },
 
     /**
-     * @implements DataFeed.unsubscribeBars
-     * Stop streaming and close WebSocket.
+     * Stream trades (aggTrade) for order flow. Each tick is
+     * { time, price, qty, side } with side = aggressor.
+     * Stop with unsubscribeTrades (or unsubscribeBars — same registry).
+     *
+     * @param {string} symbol
+     * @param {(tick: Object) => void} onTick
+     * @returns {string} subscriptionId
      */
-    unsubscribeBars(subId) {
-      const sub = subscriptions.get(subId);
-      if (!sub) return;
+    subscribeTrades(symbol, onTick) {
+      const subId = `binance_${++subIdCounter}`;
 
-      sub._closing = true;
+      subscriptions.set(subId, {
+        ws: null,
+        stream: `${symbol.toLowerCase().replace('/', '')}@aggTrade`,
+        handle: tradeHandler(onTick),
+        symbol,
+        resolution: 'tick',
+        reconnectTimer: null,
+        reconnectCount: 0,
+        _closing: false,
+      });
 
-      if (sub.reconnectTimer) {
-        clearTimeout(sub.reconnectTimer);
-      }
+      createWebSocket(subId);
 
-      if (sub.ws) {
-        try { sub.ws.close(1000, 'unsubscribed'); } catch {}
-      }
+      return subId;
+    },
 
-      subscriptions.delete(subId);
+    /**
+     * Historical ticks for footprint backfill.
+     * @param {string} symbol
+     * @param {number} from
+     * @param {number} to
+     * @param {number} [maxTrades]
+     * @returns {Promise<{ ticks: Array, truncated: boolean }>}
+     */
+    getTrades(symbol, from, to, maxTrades) {
+      return fetchTrades(symbol, from, to, maxTrades);
+    },
 
-      if (subscriptions.size === 0) {
-        status = 'disconnected';
-      }
+    /**
+     * @implements DataFeed.unsubscribeBars
+     * Stop streaming and close WebSocket.
+     */
+    unsubscribeBars(subId) {
+      closeSubscription(subId);
+    },
+
+    /** Stop a subscribeTrades stream */
+    unsubscribeTrades(subId) {
+      closeSubscription(subId);
     },
 
     /** @implements DataFeed.getStatus */
@@ -8,6 +8,10 @@
 //   - Mouse/touch interaction (scroll, zoom, crosshair)
 //   - Renderer coordination (grid → candles → indicators → crosshair)
 //   - Data management (bars array, live updates)
+//   - Chart type (candles, lines, or Renko/Kagi/P&F/Range via
+//     transformBars — the engine then plots the synthetic bars)
+//   - Trading sessions (breaks, extended-hours shading, RTH-only) from
+//     the symbol's SessionCalendar on intraday timeframes
 //
 // Usage:
 //   const engine = createChartEngine(containerDiv);
@@ -27,9 +31,30 @@ import {
   mediaToBitmap,
   positionsLine,
   candleBodyWidth,
+  timeToBarIndex,
+  sessionTimeTicks,
 } from './CoordinateSystem.js';
 import { createCandlestickRenderer, createVolumeRenderer } from './renderers/CandlestickRenderer.js';
-import { createGridRenderer, createCrosshairRenderer, drawOHLCVLegend } from './renderers/GridCrosshair.js';
+import {
+  createGridRenderer,
+  createSessionRenderer,
+  createCrosshairRenderer,
+  drawOHLCVLegend,
+} from './renderers/GridCrosshair.js';
+import {
+  CHART_TYPES,
+  getChartDrawFunction,
+  transformBars,
+  resolveChartTypeParams,
+  isTimeBased,
+} from './renderers/ChartTypes.js';
+import {
+  calendarForSymbol,
+  getCalendar,
+  sessionMarks,
+  filterRegularHours,
+} from '../engine/SessionCalendar.js';
+import { timeframeMs } from '../engine/MultiTimeframe.js';
 
 
 // ═══════════════════════════════════════════════════════════════════
@@ -45,6 +70,11 @@ const DARK_THEME = {
   crosshairColor: 'rgba(149, 152, 161, 0.5)',
   candleUp: '#26A69A',
   candleDown: '#EF5350',
+  candleUpWick: '#26A69A',
+  candleDownWick: '#EF5350',
+  lineColor: '#2962FF',
+  areaTopColor: 'rgba(41, 98, 255, 0.28)',
+  areaBottomColor: 'rgba(41, 98, 255, 0.02)',
   volumeUp: 'rgba(38, 166, 154, 0.3)',
   volumeDown: 'rgba(239, 83, 80, 0.3)',
   currentPriceUp: '#26A69A',
@@ -60,6 +90,11 @@ const LIGHT_THEME = {
   crosshairColor: 'rgba(0, 0, 0, 0.3)',
   candleUp: '#26A69A',
   candleDown: '#EF5350',
+  candleUpWick: '#26A69A',
+  candleDownWick: '#EF5350',
+  lineColor: '#2962FF',
+  areaTopColor: 'rgba(41, 98, 255, 0.2)',
+  areaBottomColor: 'rgba(41, 98, 255, 0.02)',
   volumeUp: 'rgba(38, 166, 154, 0.2)',
   volumeDown: 'rgba(239, 83, 80, 0.2)',
   currentPriceUp: '#26A69A',
@@ -83,6 +118,9 @@ const DEFAULT_CONFIG = {
   crosshairMagnet: true,     // Snap crosshair to candle OHLC
   showVolume: true,          // Show volume histogram on main pane
   volumeHeightPct: 0.15,     // Volume takes 15% of main pane height
+  sessionBreaks: true,       // Dashed line at each session open (intraday)
+  shadeExtendedHours: true,  // Shade pre/post-market and overnight bars
+  extendedHours: true,       // false = regular trading hours only
   theme: 'dark',
 };
 
@@ -103,9 +141,14 @@ export function createChartEngine(container, config = {}) {
   let theme = cfg.theme === 'light' ? LIGHT_THEME : DARK_THEME;
 
   // ── State ──
-  let bars = [];                    // Full OHLCV dataset
+  let sourceBars = [];              // Full OHLCV dataset as received
+  let bars = [];                    // Plotted bars (sourceBars, or synthetic for Renko etc.)
+  let chartType = 'candlestick';
+  let chartTypeParams = {};        // User params for non-time-based types
+  let resolvedParams = null;       // chartTypeParams with ATR sizes pinned
   let symbol = '';
   let timeframe = '1h';
+  let calendar = null;             // SessionCalendar of the symbol (null = no sessions)
   let scrollOffset = 0;            // Bars scrolled from right edge
   let visibleBarCount = cfg.defaultVisibleBars;
   let scaleMode = 'linear';        // 'linear' | 'log' | 'percentage'
@@ -193,6 +236,7 @@ export function createChartEngine(container, config = {}) {
     downColor: theme.volumeDown,
   });
   const gridRenderer = createGridRenderer({ color: theme.gridColor });
+  const sessionRenderer = createSessionRenderer();
   const crosshairRenderer = createCrosshairRenderer({ lineColor: theme.crosshairColor });
 
 
@@ -221,6 +265,28 @@ export function createChartEngine(container, config = {}) {
     return mediaWidth / visibleBarCount;
   }
 
+  /**
+   * Rebuild the plotted series for non-time-based chart types.
+   * ATR-derived sizes are pinned on the first rebuild after new data
+   * or a type change, so streaming updates don't resize every brick.
+   */
+  function rebuildBars() {
+    if (isTimeBased(chartType)) {
+      bars = sessionsApply() && !cfg.extendedHours ? filterRegularHours(sourceBars, calendar) : sourceBars;
+      return;
+    }
+    if (!resolvedParams && sourceBars.length) {
+      resolvedParams = resolveChartTypeParams(chartType, sourceBars, chartTypeParams);
+    }
+    bars = transformBars(chartType, sourceBars, resolvedParams || chartTypeParams);
+  }
+
+  /** Session features apply to intraday, time-based charts of symbols with a calendar */
+  function sessionsApply() {
+    const ms = timeframeMs(timeframe);
+    return !!calendar && ms > 0 && ms < 86_400_000 && isTimeBased(chartType);
+  }
+
   /** Get the visible bars slice */
   function getVisibleBars() {
     const range = getVisibleRange();
@@ -254,8 +320,13 @@ export function createChartEngine(container, config = {}) {
     ctx.fillStyle = theme.background;
     ctx.fillRect(0, 0, bitmapWidth, bitmapHeight);
 
+    // ── Sessions (breaks also anchor the time axis labels) ──
+    const marks = sessionsApply() && (cfg.sessionBreaks || cfg.shadeExtendedHours)
+      ? sessionMarks(bars, calendar, { start: range.start, end: range.end })
+      : null;
+
     // ── Time ticks for vertical grid lines ──
-    const xTicks = computeTimeTicks(visibleBars, range.start, barSpacing, range.start, size.mediaWidth);
+    const xTicks = computeTimeTicks(visibleBars, range.start, barSpacing, range.start, size.mediaWidth, marks?.breaks);
 
     // ── Grid ──
     gridRenderer.draw(ctx, {
@@ -267,8 +338,19 @@ export function createChartEngine(container, config = {}) {
       bitmapHeight,
     });
 
+    if (marks) {
+      sessionRenderer.draw(ctx, {
+        breaks: cfg.sessionBreaks ? marks.breaks : [],
+        extended: cfg.shadeExtendedHours ? marks.extended : [],
+        firstVisibleIdx: range.start,
+        barSpacing,
+        pixelRatio,
+        bitmapHeight,
+      });
+    }
+
     // ── Volume (if enabled, drawn behind candles) ──
-    if (cfg.showVolume) {
+    if (cfg.showVolume && CHART_TYPES[chartType]?.hasVolume !== false) {
       // Volume takes bottom portion of the chart
       const volHeight = bitmapHeight * cfg.volumeHeightPct;
       ctx.save();
@@ -289,8 +371,8 @@ export function createChartEngine(container, config = {}) {
       ctx.restore();
     }
 
-    // ── Candlesticks ──
-    candleRenderer.draw(ctx, {
+    // ── Candlesticks / chart type ──
+    const seriesParams = {
       bars: visibleBars,
       startIdx: range.start,
       barSpacing,
@@ -299,7 +381,12 @@ export function createChartEngine(container, config = {}) {
       pixelRatio,
       bitmapWidth,
       bitmapHeight,
-    });
+    };
+    if (chartType === 'candlestick') {
+      candleRenderer.draw(ctx, seriesParams);
+    } else {
+      getChartDrawFunction(chartType)(ctx, visibleBars, seriesParams, theme);
+    }
 
     // ── Current price line ──
     const lastBar = bars[bars.length - 1];
@@ -473,7 +560,7 @@ export function createChartEngine(container, config = {}) {
       const bar = bars[hoveredBarIdx];
       if (bar.time) {
         const x = Math.round(mouseX * pixelRatio);
-        const label = formatTimeLabel(bar.time, timeframe);
+        const label = formatTimeLabel(bar.time, isTimeBased(chartType) ? timeframe : null);
         const tw = ctx.measureText(label).width;
         const badgeW = tw + Math.round(12 * pixelRatio);
         const badgeH = h - Math.round(4 * pixelRatio);
@@ -489,13 +576,31 @@ export function createChartEngine(container, config = {}) {
     }
   }
 
-  /** Compute time axis tick positions */
-  function computeTimeTicks(visibleBars, startIdx, barSpacing, firstVisibleIdx, chartWidth) {
+  /**
+   * Compute time axis tick positions. With session breaks, each
+   * session's first bar gets a date label and time labels fill in
+   * between (see sessionTimeTicks).
+   */
+  function computeTimeTicks(visibleBars, startIdx, barSpacing, firstVisibleIdx, chartWidth, breaks) {
     const ticks = [];
     if (visibleBars.length === 0) return ticks;
 
+    if (breaks) {
+      const end = startIdx + visibleBars.length - 1;
+      for (const { idx, major } of sessionTimeTicks({ start: startIdx, end, barSpacing, breaks })) {
+        const bar = bars[idx];
+        const x = (idx - firstVisibleIdx + 0.5) * barSpacing;
+        if (!bar?.time || x < 0 || x > chartWidth) continue;
+        ticks.push({ x, label: formatTimeLabel(bar.time, major ? '1D' : timeframe), time: bar.time, major });
+      }
+      return ticks;
+    }
+
     // Target: one label every ~100px
     const labelInterval = Math.max(1, Math.ceil(100 / barSpacing));
+    // Synthetic bars have irregular times: label relative to the previous tick
+    const irregular = !isTimeBased(chartType);
+    let prevTime = irregular && startIdx > 0 ? bars[startIdx - 1]?.time : undefined;
 
     for (let i = 0; i < visibleBars.length; i += labelInterval) {
       const bar = visibleBars[i];
@@ -507,9 +612,10 @@ export function createChartEngine(container, config = {}) {
       if (x >= 0 && x <= chartWidth) {
         ticks.push({
           x,
-          label: formatTimeLabel(bar.time, timeframe),
+          label: irregular ? formatTimeLabel(bar.time, null, prevTime) : formatTimeLabel(bar.time, timeframe),
           time: bar.time,
         });
+        prevTime = bar.time;
       }
     }
 
@@ -706,7 +812,9 @@ export function createChartEngine(container, config = {}) {
      * @param {Array<{time:number, open:number, high:number, low:number, close:number, volume?:number}>} data
      */
     setData(data) {
-      bars = data || [];
+      sourceBars = data || [];
+      resolvedParams = null;
+      rebuildBars();
       scrollOffset = 0;
       mainPane.invalidateAll();
     },
@@ -716,18 +824,19 @@ export function createChartEngine(container, config = {}) {
      * @param {{time:number, open:number, high:number, low:number, close:number, volume?:number}} bar
      */
     updateBar(bar) {
-      if (bars.length === 0) {
-        bars.push(bar);
+      if (sourceBars.length === 0) {
+        sourceBars.push(bar);
       } else {
-        const lastBar = bars[bars.length - 1];
+        const lastBar = sourceBars[sourceBars.length - 1];
         if (lastBar.time === bar.time) {
           // Update existing bar
-          bars[bars.length - 1] = bar;
+          sourceBars[sourceBars.length - 1] = bar;
         } else {
           // New bar
-          bars.push(bar);
+          sourceBars.push(bar);
         }
       }
+      if (bars !== sourceBars) rebuildBars();
       mainPane.invalidateMain();
       mainPane.invalidateTop(); // Update legend
     },
@@ -738,33 +847,87 @@ export function createChartEngine(container, config = {}) {
      */
     prependBars(olderBars) {
       if (!olderBars || olderBars.length === 0) return;
-      bars = [...olderBars, ...bars];
+      const prevCount = bars.length;
+      sourceBars = [...olderBars, ...sourceBars];
+      rebuildBars();
       // Adjust scroll offset to maintain visual position
-      scrollOffset += olderBars.length;
+      scrollOffset += bars.length - prevCount;
       mainPane.invalidateAll();
     },
 
     /** Get the current bar count */
     get barCount() { return bars.length; },
 
-    /** Get all bars */
+    /** Get all plotted bars (synthetic for non-time-based chart types) */
     get bars() { return bars; },
 
+    /** Get the source OHLCV bars */
+    get sourceBars() { return sourceBars; },
+
+    // ── Chart Type ──
+
+    /**
+     * Switch chart type. Renko / Range / Kagi / P&F rebuild the plotted
+     * series from the source bars; params override the type's defaults
+     * (see CHART_TYPES[type].defaults).
+     * @param {string} typeId - Key of CHART_TYPES
+     * @param {Object} [params]
+     */
+    setChartType(typeId, params = {}) {
+      chartType = CHART_TYPES[typeId] ? typeId : 'candlestick';
+      chartTypeParams = params;
+      resolvedParams = null;
+      rebuildBars();
+      scrollOffset = 0;
+      mainPane.invalidateAll();
+    },
+
+    get chartType() { return chartType; },
+
     // ── Symbol / Timeframe ──
 
     setSymbol(s) {
       symbol = s;
-      mainPane.invalidateTop();
+      calendar = calendarForSymbol(s);
+      rebuildBars();
+      mainPane.invalidateAll();
     },
 
     setTimeframe(tf) {
       timeframe = tf;
+      rebuildBars();
       mainPane.invalidateAll();
     },
 
     get symbol() { return symbol; },
     get timeframe() { return timeframe; },
 
+    // ── Sessions ──
+
+    /**
+     * Override the trading calendar picked from the symbol.
+     * @param {string|Object|null} cal - Calendar id/object, or null for none
+     */
+    setSessionCalendar(cal) {
+      calendar = getCalendar(cal);
+      rebuildBars();
+      mainPane.invalidateAll();
+    },
+
+    /**
+     * @param {{ sessionBreaks?: boolean, shadeExtendedHours?: boolean, extendedHours?: boolean }} opts
+     */
+    setSessionOptions(opts = {}) {
+      for (const key of ['sessionBreaks', 'shadeExtendedHours', 'extendedHours']) {
+        if (typeof opts[key] === 'boolean') cfg[key] = opts[key];
+      }
+      rebuildBars();
+      scrollOffset = Math.min(scrollOffset, Math.max(0, bars.length - 1));
+      mainPane.invalidateAll();
+    },
+
+    get sessionCalendar() { return calendar; },
+
     // ── Viewport ──
 
     setVisibleBars(count) {
@@ -869,15 +1032,8 @@ export function createChartEngine(container, config = {}) {
 
       const y = render.priceToY(price);
 
-      // Find bar index for this time
-      let barIdx = -1;
-      for (let i = 0; i < bars.length; i++) {
-        if (bars[i].time >= time) {
-          barIdx = i;
-          break;
-        }
-      }
-      if (barIdx === -1) barIdx = bars.length - 1;
+      // Find bar index for this time (gap times snap to the next session)
+      const barIdx = timeToBarIndex(bars, time);
 
       const range = getVisibleRange();
       const barSpacing = getBarSpacing();
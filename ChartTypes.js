@@ -11,6 +11,13 @@
 //   - line         (close price line)
 //   - area         (line with gradient fill)
 //   - baseline     (line colored above/below a baseline)
+//
+// Non-time-based types (timeBased: false) first rebuild the bar
+// series with transformBars() — see BarTransforms.js:
+//   - renko        (fixed or ATR-sized bricks)
+//   - range        (fixed high-low range bars)
+//   - kagi         (yang/yin reversal lines)
+//   - pnf          (Point & Figure X/O columns)
 // ═══════════════════════════════════════════════════════════════════
 
 import {
@@ -19,6 +26,7 @@ import {
   positionsBox,
   candleBodyWidth,
 } from '../CoordinateSystem.js';
+import { toRenko, toRangeBars, toKagi, toPointFigure, resolveBoxSize } from './BarTransforms.js';
 
 /**
  * @typedef {Object} ChartTypeConfig
@@ -26,7 +34,10 @@ import {
  * @property {string}   name     - Display name
  * @property {string}   icon     - Unicode icon
  * @property {boolean}  hasVolume - Whether volume makes sense with this type
- * @property {Function} draw     - Renderer function
+ * @property {boolean}  [timeBased=true] - false when bars are rebuilt from price movement
+ * @property {Function} [transform] - (bars, params) => synthetic bars
+ * @property {string}   [sizeParam] - Param holding the box/range/reversal size
+ * @property {Object}   [defaults]  - Default transform params
  */
 
 /** All available chart types */
@@ -73,6 +84,46 @@ export const CHART_TYPES = {
     icon: '⚖',
     hasVolume: false,
   },
+  renko: {
+    id: 'renko',
+    name: 'Renko',
+    icon: '▤',
+    hasVolume: true,
+    timeBased: false,
+    transform: toRenko,
+    sizeParam: 'boxSize',
+    defaults: { boxSize: null, method: 'atr', atrPeriod: 14 },
+  },
+  range: {
+    id: 'range',
+    name: 'Range Bars',
+    icon: '↕',
+    hasVolume: true,
+    timeBased: false,
+    transform: toRangeBars,
+    sizeParam: 'range',
+    defaults: { range: null, method: 'atr', atrPeriod: 14 },
+  },
+  kagi: {
+    id: 'kagi',
+    name: 'Kagi',
+    icon: '⌐',
+    hasVolume: false,
+    timeBased: false,
+    transform: toKagi,
+    sizeParam: 'reversal',
+    defaults: { reversal: null, method: 'atr', atrPeriod: 14 },
+  },
+  pnf: {
+    id: 'pnf',
+    name: 'Point & Figure',
+    icon: '✕',
+    hasVolume: false,
+    timeBased: false,
+    transform: toPointFigure,
+    sizeParam: 'boxSize',
+    defaults: { boxSize: null, method: 'atr', atrPeriod: 14, reversal: 3, source: 'hl' },
+  },
 };
 
 /**
@@ -325,6 +376,127 @@ export function drawHeikinAshi(ctx, bars, params, theme) {
   drawCandlesticks(ctx, ha, params, theme);
 }
 
+/**
+ * Draw Renko bricks: solid boxes from open to close, no wicks.
+ */
+export function drawRenko(ctx, bars, params, theme) {
+  const { barSpacing, startIdx, firstVisibleIdx, priceToY, pixelRatio } = params;
+  if (!bars?.length) return;
+
+  // Bricks sit edge to edge; keep a hairline gap so they read as blocks
+  const brickW = Math.max(1, barSpacing - Math.max(1, barSpacing * 0.1));
+
+  for (let pass = 0; pass < 2; pass++) {
+    const isBull = pass === 0;
+    ctx.fillStyle = isBull ? theme.candleUp : theme.candleDown;
+    for (let i = 0; i < bars.length; i++) {
+      const b = bars[i];
+      if ((b.close >= b.open) !== isBull) continue;
+      const x = (startIdx + i - firstVisibleIdx + 0.5) * barSpacing;
+      const oY = mediaToBitmap(priceToY(b.open), pixelRatio);
+      const cY = mediaToBitmap(priceToY(b.close), pixelRatio);
+      const top = Math.min(oY, cY), h = Math.max(1, Math.max(oY, cY) - top);
+      const box = positionsBox(x, brickW, pixelRatio);
+      ctx.fillRect(box.position, top, box.length, h);
+    }
+  }
+}
+
+/**
+ * Draw Kagi lines. Each column is a vertical stroke joined to the
+ * previous one by a horizontal shoulder/waist. Yang segments are thick
+ * (up color), yin segments thin (down color).
+ */
+export function drawKagi(ctx, bars, params, theme) {
+  const { barSpacing, startIdx, firstVisibleIdx, priceToY, pixelRatio } = params;
+  if (!bars?.length) return;
+
+  const thick = Math.max(2, Math.round(3 * pixelRatio));
+  const thin = Math.max(1, Math.round(pixelRatio));
+  const px = (i) => Math.round((startIdx + i - firstVisibleIdx + 0.5) * barSpacing * pixelRatio);
+  const py = (price) => Math.round(priceToY(price) * pixelRatio);
+
+  const segment = (x1, y1, x2, y2, yang) => {
+    ctx.strokeStyle = yang ? theme.candleUp : theme.candleDown;
+    ctx.lineWidth = yang ? thick : thin;
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+  };
+
+  ctx.lineCap = 'square';
+  for (let i = 0; i < bars.length; i++) {
+    const b = bars[i];
+    const x = px(i);
+    const oY = py(b.open);
+
+    // Horizontal join from the previous column (skipped for the series' first column)
+    if (startIdx + i > 0) segment(px(i - 1), oY, x, oY, b.yang);
+
+    if (b.switchAt != null) {
+      const sY = py(b.switchAt);
+      segment(x, oY, x, sY, b.yang);
+      segment(x, sY, x, py(b.close), !b.yang);
+    } else {
+      segment(x, oY, x, py(b.close), b.yang);
+    }
+  }
+  ctx.lineCap = 'butt';
+}
+
+/**
+ * Draw Point & Figure columns: X boxes for rising columns, O boxes for
+ * falling ones, one per box level. Falls back to a filled bar when
+ * boxes are too small to read.
+ */
+export function drawPointFigure(ctx, bars, params, theme) {
+  const { barSpacing, startIdx, firstVisibleIdx, priceToY, pixelRatio } = params;
+  if (!bars?.length) return;
+
+  const cellW = Math.max(1, barSpacing * 0.8);
+  ctx.lineWidth = Math.max(1, Math.round(1.5 * pixelRatio));
+
+  for (let i = 0; i < bars.length; i++) {
+    const b = bars[i];
+    const rising = b.dir > 0;
+    const color = rising ? theme.candleUp : theme.candleDown;
+    const x = (startIdx + i - firstVisibleIdx + 0.5) * barSpacing;
+    const box = positionsBox(x, cellW, pixelRatio);
+    const half = b.boxSize / 2;
+    const cellH = Math.abs(priceToY(b.low + half) - priceToY(b.low - half)) * pixelRatio;
+
+    if (cellH < 4 || box.length < 4) {
+      const top = mediaToBitmap(priceToY(b.high + half), pixelRatio);
+      const bottom = mediaToBitmap(priceToY(b.low - half), pixelRatio);
+      ctx.fillStyle = color;
+      ctx.fillRect(box.position, top, box.length, Math.max(1, bottom - top));
+      continue;
+    }
+
+    ctx.strokeStyle = color;
+    const inset = Math.max(1, Math.round(cellH * 0.12));
+    for (let k = 0; k < b.boxes; k++) {
+      const level = b.low + k * b.boxSize;
+      const top = mediaToBitmap(priceToY(level + half), pixelRatio) + inset;
+      const bottom = mediaToBitmap(priceToY(level - half), pixelRatio) - inset;
+      const left = box.position + inset;
+      const right = box.position + box.length - inset;
+
+      ctx.beginPath();
+      if (rising) {
+        ctx.moveTo(left, top);
+        ctx.lineTo(right, bottom);
+        ctx.moveTo(right, top);
+        ctx.lineTo(left, bottom);
+      } else {
+        ctx.ellipse((left + right) / 2, (top + bottom) / 2, (right - left) / 2, (bottom - top) / 2, 0, 0, Math.PI * 2);
+      }
+      ctx.stroke();
+    }
+  }
+}
+
 /**
  * Get the draw function for a chart type.
  * @param {string} typeId
@@ -339,6 +511,10 @@ export function getChartDrawFunction(typeId) {
     case 'line':        return drawLineChart;
     case 'area':        return drawAreaChart;
     case 'baseline':    return drawBaselineChart;
+    case 'renko':       return drawRenko;
+    case 'range':       return drawCandlesticks;
+    case 'kagi':        return drawKagi;
+    case 'pnf':         return drawPointFigure;
     default:            return drawCandlesticks;
   }
 }
@@ -351,5 +527,46 @@ export function getChartTypeList() {
   return Object.values(CHART_TYPES);
 }
 
+/**
+ * Whether a chart type plots one bar per time interval.
+ * @param {string} typeId
+ * @returns {boolean}
+ */
+export function isTimeBased(typeId) {
+  return CHART_TYPES[typeId]?.timeBased !== false;
+}
+
+/**
+ * Merge a type's default params and pin ATR-derived sizes to an
+ * absolute value. Streaming charts resolve once on load so bricks
+ * don't reshuffle every time the ATR ticks.
+ * @param {string} typeId
+ * @param {Array} bars - History to measure ATR over
+ * @param {Object} [params]
+ * @returns {Object}
+ */
+export function resolveChartTypeParams(typeId, bars, params = {}) {
+  const type = CHART_TYPES[typeId];
+  if (!type?.transform) return { ...params };
+  const merged = { ...type.defaults, ...params };
+  if (merged.method === 'percent') return merged;
+  const size = resolveBoxSize(bars, merged[type.sizeParam], merged);
+  return { ...merged, [type.sizeParam]: size, method: 'fixed' };
+}
+
+/**
+ * Rebuild bars for a chart type. Time-based types return the input
+ * unchanged; Renko / Range / Kagi / P&F return synthetic bars.
+ * @param {string} typeId
+ * @param {Array} bars - Source OHLCV bars
+ * @param {Object} [params] - Transform params (merged over the type's defaults)
+ * @returns {Array}
+ */
+export function transformBars(typeId, bars, params = {}) {
+  const type = CHART_TYPES[typeId];
+  if (!type?.transform || !bars?.length) return bars || [];
+  return type.transform(bars, { ...type.defaults, ...params });
+}
+
 // Alias for ChartEngineWidget compatibility
 export const getChartTypeRenderer = getChartDrawFunction;
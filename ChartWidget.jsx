@@ -12,6 +12,8 @@
 //     data={ohlcvBars}
 //     symbol="BTCUSDT"
 //     timeframe="1h"
+//     chartType="renko"
+//     chartTypeParams={{ boxSize: 50 }}
 //     theme="dark"
 //     onBarClick={(bar, idx) => { ... }}
 //   />
@@ -25,6 +27,8 @@ import { createChartEngine } from './ChartEngine.js';
  * @param {Array} props.data         - OHLCV bars array
  * @param {string} [props.symbol]    - Ticker symbol
  * @param {string} [props.timeframe] - Current timeframe
+ * @param {string} [props.chartType] - Key of CHART_TYPES ('candlestick', 'renko', …)
+ * @param {Object} [props.chartTypeParams] - Params for non-time-based types
  * @param {string} [props.theme]     - 'dark' | 'light'
  * @param {string} [props.scaleMode] - 'linear' | 'log' | 'percentage'
  * @param {number} [props.visibleBars] - Number of visible bars
@@ -37,6 +41,8 @@ export default function ChartWidget({
   data,
   symbol = '',
   timeframe = '1h',
+  chartType = 'candlestick',
+  chartTypeParams,
   theme = 'dark',
   scaleMode = 'linear',
   visibleBars,
@@ -88,6 +94,12 @@ export default function ChartWidget({
     engineRef.current.setTimeframe(timeframe);
   }, [timeframe]);
 
+  // ── Chart type updates ──
+  useEffect(() => {
+    if (!engineRef.current) return;
+    engineRef.current.setChartType(chartType, chartTypeParams);
+  }, [chartType, chartTypeParams]);
+
   // ── Theme updates ──
   useEffect(() => {
     if (!engineRef.current) return;
@@ -0,0 +1,229 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Continuous Futures DataFeed
+// Wraps any DataFeed that serves individual contracts (ESH5, ESZ5…)
+// and serves continuous symbols ('ES', 'ES1!', 'MES') stitched by
+// engine/ContinuousFutures.js. Everything else passes through.
+//
+//   - Contracts come from the wrapped feed's searchSymbols(root)
+//   - getBars fetches every contract that could be front in the
+//     range, stitches and back-adjusts them, and re-anchors older
+//     pages onto what was already served so paging stays seamless
+//   - subscribeBars streams the newest contract; back-adjustment
+//     leaves its prices untouched, so live bars pass straight through
+//   - continuousInfo() exposes the roll segments so journal trades on
+//     specific contracts can be mapped onto the chart
+// ═══════════════════════════════════════════════════════════════════
+
+import { parseContract, contractDates } from '../../engine/SessionCalendar.js';
+import {
+  continuousRoot,
+  buildContinuous,
+  anchorContinuous,
+  adjustPrice,
+  ROLL_RULES,
+  ADJUSTMENTS,
+} from '../../engine/ContinuousFutures.js';
+
+// ── A contract can be front at most this long before its expiry ──
+const MAX_FRONT_SPAN = 400 * 86_400_000;
+
+/**
+ * Create a continuous-futures DataFeed over a contract feed.
+ *
+ * @param {Object} feed - Wrapped DataFeed (e.g. LocalFileFeed)
+ * @param {Object} [options]
+ * @param {'calendar'|'volume'} [options.roll='calendar']
+ * @param {'ratio'|'difference'|'none'} [options.adjust='ratio']
+ * @returns {Object} DataFeed implementation
+ */
+export function createContinuousFeed(feed, options = {}) {
+  let roll = ROLL_RULES.includes(options.roll) ? options.roll : 'calendar';
+  let adjust = ADJUSTMENTS.includes(options.adjust) ? options.adjust : 'ratio';
+
+  // ── State ──
+  /** @type {Map<string, Promise<string[]>>} root → contract codes the feed has */
+  const contractCache = new Map();
+  /** @type {Map<string, Object>} `${symbol}|${resolution}` → served ContinuousSeries (segments only) */
+  const served = new Map();
+
+  const key = (symbol, res) => `${String(symbol).toUpperCase()}|${res}`;
+
+  function contractsOf(root) {
+    if (!contractCache.has(root)) {
+      contractCache.set(root, Promise.resolve(feed.searchSymbols(root))
+        .then((list) => (list || [])
+          .map((s) => String(s.name || s.symbol || '').toUpperCase())
+          .filter((code) => parseContract(code)?.root === root))
+        .catch(() => []));
+    }
+    return contractCache.get(root);
+  }
+
+  /** Contracts that could be front somewhere in [from, to] */
+  async function contractsIn(root, from, to) {
+    return (await contractsOf(root)).filter((code) => {
+      const c = parseContract(code);
+      const dates = contractDates(root, c.year, c.month);
+      return dates && dates.expiry >= (from ?? -Infinity) && dates.expiry - MAX_FRONT_SPAN <= (to ?? Infinity);
+    });
+  }
+
+  async function hasSymbol(symbol) {
+    const root = continuousRoot(symbol);
+    return !!root && (await contractsOf(root)).length > 0;
+  }
+
+  async function resolveSymbol(symbolName) {
+    const root = continuousRoot(symbolName);
+    const codes = root ? await contractsOf(root) : [];
+    if (!codes.length) return feed.resolveSymbol(symbolName);
+
+    const info = await feed.resolveSymbol(codes[codes.length - 1]);
+    const name = String(symbolName).toUpperCase();
+    return {
+      ...info,
+      name,
+      fullName: `${info.exchange || 'Futures'}:${name}`,
+      type: 'futures',
+      description: `${root} continuous (${roll} roll, ${adjust === 'none' ? 'unadjusted' : `${adjust} adjusted`})`,
+      continuous: true,
+      contracts: codes,
+    };
+  }
+
+  async function searchSymbols(query, type, exchange) {
+    const results = (await feed.searchSymbols(query, type, exchange)) || [];
+    const roots = new Set();
+    for (const r of results) {
+      const c = parseContract(r.name || r.symbol);
+      if (c) roots.add(c.root);
+    }
+    const continuous = [...roots].map((root) => ({
+      name: root,
+      fullName: `Continuous:${root}`,
+      exchange: 'Continuous',
+      type: 'futures',
+      description: `${root} continuous contract`,
+    }));
+    return [...continuous, ...results];
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // Public API (DataFeed Interface)
+  // ═══════════════════════════════════════════════════════════════
+
+  return {
+    /** Provider name */
+    name: feed.name ? `${feed.name}+continuous` : 'continuous',
+
+    /** @implements DataFeed.resolveSymbol */
+    resolveSymbol,
+
+    /** @implements DataFeed.searchSymbols */
+    searchSymbols,
+
+    /**
+     * @implements DataFeed.getBars
+     * Continuous symbols are stitched from the contracts front in the
+     * range; older pages are anchored onto the newest served prices.
+     */
+    async getBars(symbol, resolution, from, to, countBack) {
+      const root = continuousRoot(symbol);
+      const codes = root ? await contractsIn(root, from, to) : [];
+      if (!codes.length) return feed.getBars(symbol, resolution, from, to, countBack);
+
+      const results = await Promise.all(codes.map((code) => Promise.resolve(feed.getBars(code, resolution, from, to, countBack))
+        .then((r) => [code, r])
+        .catch(() => [code, { bars: [], noMore: true }])));
+      const series = Object.fromEntries(results.map(([code, r]) => [code, r.bars || []]));
+
+      let cont = buildContinuous(series, { root, roll, adjust });
+      const k = key(symbol, resolution);
+      const prev = served.get(k);
+      if (prev && cont.segments.length) cont = anchorContinuous(cont, prev);
+      if (cont.segments.length) {
+        // Remember every contract's transform, newest level first
+        const known = new Map((prev?.segments || []).map((s) => [s.code, s]));
+        for (const s of cont.segments) if (!known.has(s.code)) known.set(s.code, s);
+        served.set(k, {
+          ...cont,
+          symbol: String(symbol).toUpperCase(),
+          bars: undefined,
+          segments: [...known.values()].sort((a, b) => a.year * 12 + a.month - (b.year * 12 + b.month)),
+        });
+      }
+
+      let bars = cont.bars.filter((b) => b.time <= (to ?? Infinity));
+      bars = countBack ? bars.slice(-countBack) : bars.filter((b) => b.time >= (from ?? -Infinity));
+      return { bars, noMore: results.every(([, r]) => r.noMore) };
+    },
+
+    /**
+     * @implements DataFeed.subscribeBars
+     * Streams the newest served contract of a continuous symbol.
+     */
+    subscribeBars(symbol, resolution, onBar) {
+      const info = continuousRoot(symbol) && served.get(key(symbol, resolution));
+      const front = info?.segments[info.segments.length - 1];
+      if (!front) return feed.subscribeBars(symbol, resolution, onBar);
+      return feed.subscribeBars(front.code, resolution, (bar) => onBar({
+        ...bar,
+        open: adjustPrice(bar.open, front),
+        high: adjustPrice(bar.high, front),
+        low: adjustPrice(bar.low, front),
+        close: adjustPrice(bar.close, front),
+        contract: front.code,
+      }));
+    },
+
+    /** @implements DataFeed.unsubscribeBars */
+    unsubscribeBars(subId) {
+      feed.unsubscribeBars(subId);
+    },
+
+    /** @implements DataFeed.getStatus */
+    getStatus() {
+      return feed.getStatus();
+    },
+
+    hasSymbol,
+
+    /**
+     * Roll segments of the served continuous series (for mapping
+     * contract trades with ContinuousFutures.mapTradesToContinuous).
+     * @param {string} symbol
+     * @param {string} resolution
+     * @returns {Object|null}
+     */
+    continuousInfo(symbol, resolution) {
+      return served.get(key(symbol, resolution)) || null;
+    },
+
+    /**
+     * Change the roll rule or adjustment. Served series are dropped;
+     * reload the chart to apply.
+     * @param {{ roll?: string, adjust?: string }} opts
+     */
+    setOptions(opts = {}) {
+      if (ROLL_RULES.includes(opts.roll)) roll = opts.roll;
+      if (ADJUSTMENTS.includes(opts.adjust)) adjust = opts.adjust;
+      served.clear();
+    },
+
+    get options() { return { roll, adjust }; },
+
+    /** Forget the contract list (after importing new contracts) */
+    refresh() {
+      contractCache.clear();
+      served.clear();
+    },
+
+    /** @implements DataFeed.dispose */
+    dispose() {
+      contractCache.clear();
+      served.clear();
+    },
+  };
+}
+
+export default createContinuousFeed;
@@ -293,6 +293,63 @@ export function niceScale(min, max, maxTicks = 8) {
 }
 
 
+// ═══════════════════════════════════════════════════════════════════
+// Gap-Compressed Time Axis
+// ═══════════════════════════════════════════════════════════════════
+// Bars are spaced by index, so nights, weekends and holidays take no
+// room. These helpers map times onto that axis and mark where the
+// gaps were removed.
+
+/**
+ * Index of the first bar at or after `time`. Times inside a gap
+ * (overnight, weekend) land on the next session's first bar; times
+ * past the last bar clamp to it.
+ *
+ * @param {Array<{time: number}>} bars - Sorted by time
+ * @param {number} time
+ * @returns {number} -1 when there are no bars
+ */
+export function timeToBarIndex(bars, time) {
+  if (!bars.length) return -1;
+  let lo = 0, hi = bars.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (bars[mid].time < time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Pick time-axis tick indexes. Session opens (`breaks`) become major
+ * ticks; minor ticks fill the space between them at fixed index
+ * multiples, so labels don't shift while scrolling.
+ *
+ * @param {Object} params
+ * @param {number} params.start       - First visible bar index
+ * @param {number} params.end         - Last visible bar index
+ * @param {number} params.barSpacing  - CSS px per bar
+ * @param {number[]} [params.breaks]  - Indexes of session-opening bars
+ * @param {number} [params.minSpacing=100] - Minimum CSS px between labels
+ * @returns {Array<{idx: number, major: boolean}>} Sorted by index
+ */
+export function sessionTimeTicks({ start, end, barSpacing, breaks = [], minSpacing = 100 }) {
+  const minBars = Math.max(1, Math.ceil(minSpacing / barSpacing));
+
+  const majors = [];
+  for (const idx of breaks) {
+    if (idx < start || idx > end) continue;
+    if (!majors.length || idx - majors[majors.length - 1] >= minBars) majors.push(idx);
+  }
+
+  const ticks = majors.map((idx) => ({ idx, major: true }));
+  for (let i = Math.ceil(start / minBars) * minBars; i <= end; i += minBars) {
+    if (!majors.some((j) => Math.abs(j - i) < minBars)) ticks.push({ idx: i, major: false });
+  }
+  return ticks.sort((a, b) => a.idx - b.idx);
+}
+
+
 // ═══════════════════════════════════════════════════════════════════
 // Price Formatting
 // ═══════════════════════════════════════════════════════════════════
@@ -318,11 +375,17 @@ export function formatPrice(price) {
 /**
  * Format timestamp for time axis labels based on timeframe.
  *
+ * Non-time-based charts (Renko, Kagi, P&F, Range) have irregular bar
+ * times, so pass timeframe = null: the label then shows the coarsest
+ * unit that changed since `prevTimestamp` (year → date → time), or the
+ * full date and time when there is no previous label (crosshair).
+ *
  * @param {number} timestamp - Unix timestamp in milliseconds
- * @param {string} timeframe - '1m', '5m', '15m', '1h', '4h', '1D', '1W'
+ * @param {string|null} timeframe - '1m', '5m', '15m', '1h', '4h', '1D', '1W', or null for irregular bars
+ * @param {number} [prevTimestamp] - Previous label's timestamp (irregular bars only)
  * @returns {string}
  */
-export function formatTimeLabel(timestamp, timeframe) {
+export function formatTimeLabel(timestamp, timeframe, prevTimestamp) {
   const d = new Date(timestamp);
   const hh = String(d.getHours()).padStart(2, '0');
   const mm = String(d.getMinutes()).padStart(2, '0');
@@ -330,6 +393,14 @@ export function formatTimeLabel(timestamp, timeframe) {
   const day = d.getDate();
   const year = d.getFullYear();
 
+  if (!timeframe) {
+    if (prevTimestamp == null) return `${mon} ${day} ${year !== new Date().getFullYear() ? year + ' ' : ''}${hh}:${mm}`;
+    const p = new Date(prevTimestamp);
+    if (p.getFullYear() !== year) return String(year);
+    if (p.getMonth() !== d.getMonth() || p.getDate() !== day) return `${mon} ${day}`;
+    return `${hh}:${mm}`;
+  }
+
   switch (timeframe) {
     case '1m':
     case '5m':
@@ -6,6 +6,7 @@
 //    Possible revenge trade at 2:15 PM cost you $180."
 //
 // Pure function — no side effects, no store access.
+// Amounts are reported in opts.baseCurrency (converted via opts.fxRates).
 //
 // Usage:
 //   import { generateDebrief, generateWeeklyDebrief } from './DailyDebrief.js';
@@ -13,7 +14,10 @@
 //   const weeklySummary = generateWeeklyDebrief(trades);
 // ═══════════════════════════════════════════════════════════════════
 
-function fmtD(n) { return (n >= 0 ? '+' : '-') + '$' + Math.abs(n || 0).toFixed(2); }
+import { currencySymbol } from './Money.js';
+import { convertTrades } from './FxRates.js';
+
+function fmtDAmount(n, sym = '$') { return (n >= 0 ? '+' : '-') + sym + Math.abs(n || 0).toFixed(2); }
 function fmtTime(iso) {
   try {
     const d = new Date(iso);
@@ -26,16 +30,20 @@ function fmtTime(iso) {
  *
  * @param {Object[]} trades - All trades from useTradeStore
  * @param {string} [dateStr] - Date to debrief (YYYY-MM-DD). Default: today.
+ * @param {Object} [opts] - { baseCurrency, fxRates }
  * @returns {Object} Debrief object
  */
-export function generateDebrief(trades, dateStr) {
+export function generateDebrief(trades, dateStr, opts = {}) {
   const target = dateStr || new Date().toISOString().slice(0, 10);
+  const baseCurrency = opts.baseCurrency || 'USD';
+  const sym = currencySymbol(baseCurrency);
+  const fmtD = (n) => fmtDAmount(n, sym);
 
   // Filter trades for target date
-  const dayTrades = (trades || []).filter(t => {
+  const dayTrades = convertTrades((trades || []).filter(t => {
     try { return new Date(t.date).toISOString().slice(0, 10) === target; }
     catch { return false; }
-  }).sort((a, b) => new Date(a.date) - new Date(b.date));
+  }), baseCurrency, opts.fxRates).trades.sort((a, b) => new Date(a.date) - new Date(b.date));
 
   if (dayTrades.length === 0) {
     return {
@@ -186,17 +194,18 @@ export function generateDebrief(trades, dateStr) {
  * Generate a weekly debrief (last 7 days).
  *
  * @param {Object[]} trades
+ * @param {Object} [opts] - { baseCurrency, fxRates }
  * @returns {Object} Weekly summary
  */
-export function generateWeeklyDebrief(trades) {
+export function generateWeeklyDebrief(trades, opts = {}) {
   const now = new Date();
   const weekAgo = new Date(now);
   weekAgo.setDate(weekAgo.getDate() - 7);
 
-  const weekTrades = (trades || []).filter(t => {
+  const weekTrades = convertTrades((trades || []).filter(t => {
     try { const d = new Date(t.date); return d >= weekAgo && d <= now; }
     catch { return false; }
-  });
+  }), opts.baseCurrency || 'USD', opts.fxRates).trades;
 
   const totalPnl = weekTrades.reduce((s, t) => s + (t.pnl || 0), 0);
   const winners = weekTrades.filter(t => (t.pnl || 0) > 0);
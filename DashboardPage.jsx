@@ -19,6 +19,13 @@ import { useAnalyticsStore } from '../state/useAnalyticsStore.js';
 import { useUIStore } from '../state/useUIStore.js';
 import { useGoalStore } from '../state/useGoalStore.js';
 import { useDashboardStore } from '../state/useDashboardStore.js';
+import { useAccountStore } from '../state/useAccountStore.js';
+import { useSettingsStore } from '../state/useSettingsStore.js';
+import { useFxStore } from '../state/useFxStore.js';
+import { useSmartViewStore } from '../state/useSmartViewStore.js';
+import { scopeTrades } from '../engine/Accounts.js';
+import { convertTrades } from '../engine/FxRates.js';
+import AccountSwitcher from '../components/AccountSwitcher.jsx';
 import { computeAndStore } from '../engine/analyticsSingleton.js';
 import { Card, StatCard, AutoGrid, SkeletonRow } from '../components/UIKit.jsx';
 import { DashboardEmptyState, MilestoneBar } from '../components/EmptyState.jsx';
@@ -36,7 +43,13 @@ import WinRateDonut from '../components/WinRateDonut.jsx';
 import PropFirmWidget from '../components/PropFirmWidget.jsx';
 
 export default function DashboardPage() {
-  const trades = useTradeStore((s) => s.trades);
+  const allTrades = useTradeStore((s) => s.trades);
+  const accountScope = useAccountStore((s) => s.scope);
+  const trades = useMemo(() => scopeTrades(allTrades, accountScope), [allTrades, accountScope]);
+  const baseCurrency = useSettingsStore((s) => s.baseCurrency);
+  const fxRates = useFxStore((s) => s.rates);
+  const fxRevision = useFxStore((s) => s.revision);
+  const activeView = useSmartViewStore((s) => s.getActiveView());
   const result = useAnalyticsStore((s) => s.result);
   const computing = useAnalyticsStore((s) => s.computing);
   const setPage = useUIStore((s) => s.setPage);
@@ -54,15 +67,20 @@ export default function DashboardPage() {
   const [showCustomizer, setShowCustomizer] = useState(false);
   const [layoutMode, setLayoutMode] = useState('narrative'); // 'narrative' | 'custom'
 
-  // Compute analytics when trades change
+  // Compute analytics when trades, currency settings or the smart view change
+  // (fxRevision keys the memo — the rate table itself isn't serialized)
+  const viewQuery = activeView?.query;
   useEffect(() => {
-    computeAndStore(trades, { mcRuns: 1000 });
-  }, [trades]);
+    computeAndStore(trades, { mcRuns: 1000, baseCurrency, fxRates, fxRevision, query: viewQuery });
+  }, [trades, baseCurrency, fxRates, fxRevision, viewQuery]);
 
-  // Today's stats
+  // Today's stats (in base currency)
   const todayStats = useMemo(() => {
     const today = new Date().toISOString().slice(0, 10);
-    const todayTrades = trades.filter((t) => t.date && t.date.startsWith(today));
+    const todayTrades = convertTrades(
+      trades.filter((t) => t.date && t.date.startsWith(today)),
+      baseCurrency, fxRates,
+    ).trades;
     const pnl = safeSum(todayTrades.map((t) => t.pnl || 0));
     const wins = todayTrades.filter((t) => (t.pnl || 0) > 0).length;
     return {
@@ -71,7 +89,7 @@ export default function DashboardPage() {
       wins,
       winRate: todayTrades.length > 0 ? Math.round((wins / todayTrades.length) * 100) : 0,
     };
-  }, [trades]);
+  }, [trades, baseCurrency, fxRates]);
 
   // Recent trades
   const recentTrades = useMemo(() =>
@@ -84,7 +102,7 @@ export default function DashboardPage() {
     return (
       <div style={{ padding: isMobile ? 16 : 32, maxWidth: 1200 }}>
         <DashHeader
-          trades={trades} computing={computing} layoutMode={layoutMode}
+          trades={trades} view={activeView} computing={computing} layoutMode={layoutMode}
           onLayoutToggle={() => setLayoutMode(m => m === 'narrative' ? 'custom' : 'narrative')}
           editMode={editMode} onToggleEdit={toggleEditMode}
           onCustomize={() => setShowCustomizer(true)}
@@ -111,7 +129,7 @@ export default function DashboardPage() {
     return (
       <div style={{ padding: pagePad, maxWidth: 1200 }}>
         <DashHeader
-          trades={trades} computing={computing} layoutMode={layoutMode}
+          trades={trades} view={activeView} computing={computing} layoutMode={layoutMode}
           onLayoutToggle={() => setLayoutMode('custom')}
           editMode={false} onToggleEdit={toggleEditMode}
           onCustomize={() => setShowCustomizer(true)}
@@ -461,7 +479,7 @@ export default function DashboardPage() {
   return (
     <div style={{ padding: pagePad, maxWidth: 1200 }}>
       <DashHeader
-        trades={trades} computing={computing} layoutMode={layoutMode}
+        trades={trades} view={activeView} computing={computing} layoutMode={layoutMode}
         onLayoutToggle={() => setLayoutMode('narrative')}
         editMode={editMode} onToggleEdit={toggleEditMode}
         onCustomize={() => setShowCustomizer(true)}
@@ -533,7 +551,7 @@ export default function DashboardPage() {
 // Sub-components
 // ═══════════════════════════════════════════════════════════════════
 
-function DashHeader({ trades, computing, layoutMode, onLayoutToggle, editMode, onToggleEdit, onCustomize, activePreset }) {
+function DashHeader({ trades, view, computing, layoutMode, onLayoutToggle, editMode, onToggleEdit, onCustomize, activePreset }) {
   return (
     <div style={{
       display: 'flex', justifyContent: 'space-between',
@@ -542,11 +560,12 @@ function DashHeader({ trades, computing, layoutMode, onLayoutToggle, editMode, o
       <div>
         <h1 style={text.h1}>Dashboard</h1>
         <p style={{ ...text.dataSm, margin: `${space[1]}px 0 0` }}>
-          {trades.length} trades{computing ? ' · computing...' : ''}
+          {trades.length} trades{view ? ` · view: ${view.name}` : ''}{computing ? ' · computing...' : ''}
         </p>
       </div>
 
       <div style={{ display: 'flex', gap: 6, marginTop: 4 }}>
+        <AccountSwitcher />
         <HeaderBtn
           label={layoutMode === 'narrative' ? '⊞ Custom' : '☰ Story'}
           onClick={onLayoutToggle}
@@ -23,6 +23,7 @@
  * @property {number}  pricescale     - Price precision (100 = 2 decimals, 100000000 = 8)
  * @property {number}  minmov         - Minimum price movement (usually 1)
  * @property {string}  timezone       - Timezone identifier
+ * @property {string}  [session]      - Session open, exchange-local 'HH:MM' (e.g. '17:00')
  * @property {boolean} hasIntraday    - Supports intraday timeframes
  * @property {boolean} hasDaily       - Supports daily timeframes
  * @property {string[]} supportedResolutions - Available timeframes
@@ -8,15 +8,23 @@
 //   - Lazy-load older bars when user scrolls left
 //   - Track loading state for UI feedback
 //   - Handle feed errors and reconnection
+//   - Resample timeframes the feed doesn't serve (7m, 2h, 3D, 15s…)
+//     from a finer base series, session- and time-zone-aware
 // ═══════════════════════════════════════════════════════════════════
 
 import { RESOLUTION_MS, normalizeResolution } from './DataFeed.js';
+import { createResampler, planResolution } from './Resampler.js';
+import { timeframeMs } from '../../engine/MultiTimeframe.js';
+import { calendarForSymbol, sessionSpec } from '../../engine/SessionCalendar.js';
 
 /**
  * @typedef {Object} DataManagerOptions
  * @property {number} [initialBars=300]   - Bars to load initially
  * @property {number} [loadMoreBars=500]  - Bars to load on scroll-left
  * @property {number} [scrollThreshold=20] - Bars from left edge to trigger load
+ * @property {number} [maxBaseBars=20000] - Cap on base bars fetched per request when resampling
+ * @property {import('./Resampler.js').SessionSpec} [session] - Session/time zone for resampled
+ *           buckets; defaults to the symbol's session, then its trading calendar
  */
 
 /**
@@ -32,6 +40,7 @@ export function createDataManager(engine, dataFeed, options = {}) {
     initialBars = 300,
     loadMoreBars = 500,
     scrollThreshold = 20,
+    maxBaseBars = 20_000,
   } = options;
 
   // ── State ──
@@ -43,6 +52,13 @@ export function createDataManager(engine, dataFeed, options = {}) {
   let oldestTimestamp = Infinity;
   let disposed = false;
 
+  // ── Resampling ──
+  let supported = Object.keys(RESOLUTION_MS);
+  let session = options.session || null;
+  let baseResolution = '1h';
+  /** Live aggregator for the chart's resolution; null when served natively */
+  let resampler = null;
+
   /** @type {((state: {loading: boolean, status: string, error?: string}) => void)|null} */
   let onStateChange = null;
 
@@ -55,6 +71,55 @@ export function createDataManager(engine, dataFeed, options = {}) {
   }
 
 
+  function resolutionMs(res) {
+    return RESOLUTION_MS[res] || timeframeMs(res) || 3_600_000;
+  }
+
+  function sessionOf(symbol, symbolInfo) {
+    if (options.session) return options.session;
+    if (symbolInfo?.session) return { timeZone: symbolInfo.timezone, start: symbolInfo.session };
+    return sessionSpec(calendarForSymbol(symbol, symbolInfo?.type))
+      || (symbolInfo?.timezone ? { timeZone: symbolInfo.timezone } : null);
+  }
+
+  /**
+   * How `res` is fetched: natively, or resampled from a base. Falls
+   * back to asking the feed directly when nothing supported fits.
+   */
+  function planFor(res) {
+    return planResolution(res, supported, session) || { resolution: res, base: res, native: true };
+  }
+
+  /**
+   * getBars() for any resolution. Resampled requests fetch base bars
+   * from the start of the bucket containing `from`, so every bar but
+   * the live one is complete.
+   *
+   * @param {string} symbol
+   * @param {string} res
+   * @param {number} from
+   * @param {number} to
+   * @param {Object} [agg] - Resampler to seed (keeps the live bar's state)
+   * @returns {Promise<{bars: Array, noMore: boolean}>}
+   */
+  async function fetchBars(symbol, res, from, to, agg) {
+    const plan = planFor(res);
+    if (plan.native) return dataFeed.getBars(symbol, plan.base, from, to);
+
+    const aggregator = agg || createResampler(res, session);
+    const floor = to - maxBaseBars * resolutionMs(plan.base);
+    const start = aggregator.bucketStart(Math.max(from, floor));
+    const result = await dataFeed.getBars(symbol, plan.base, start, to);
+    const base = result.bars || [];
+    const bars = aggregator.seed(base);
+
+    // A feed that truncated the front leaves the first bucket short;
+    // drop it so the next history page fetches it whole.
+    if (!result.noMore && bars.length && base[0].time > bars[0].time) bars.shift();
+    return { bars, noMore: !!result.noMore };
+  }
+
+
   // ═══════════════════════════════════════════════════════════════
   // Symbol / Timeframe Switching
   // ═══════════════════════════════════════════════════════════════
@@ -79,6 +144,7 @@ export function createDataManager(engine, dataFeed, options = {}) {
 
     currentSymbol = symbol;
     currentResolution = normalizedRes;
+    resampler = null;
     hasMoreHistory = true;
     oldestTimestamp = Infinity;
 
@@ -98,13 +164,21 @@ export function createDataManager(engine, dataFeed, options = {}) {
       } catch {
         // Non-fatal: continue without symbol info
       }
+      supported = symbolInfo?.supportedResolutions?.length
+        ? symbolInfo.supportedResolutions
+        : Object.keys(RESOLUTION_MS);
+      session = sessionOf(symbol, symbolInfo);
+
+      const plan = planFor(normalizedRes);
+      const agg = plan.native ? null : createResampler(normalizedRes, session);
+      baseResolution = plan.base;
+      resampler = agg;
 
       // ── Load initial historical bars ──
       const now = Date.now();
-      const resMs = RESOLUTION_MS[normalizedRes] || 3_600_000;
-      const from = now - initialBars * resMs;
+      const from = now - initialBars * resolutionMs(normalizedRes);
 
-      const result = await dataFeed.getBars(symbol, normalizedRes, from, now);
+      const result = await fetchBars(symbol, normalizedRes, from, now, agg);
 
       if (disposed || currentSymbol !== symbol || currentResolution !== normalizedRes) {
         return; // Symbol changed during load — discard
@@ -119,8 +193,12 @@ export function createDataManager(engine, dataFeed, options = {}) {
       notifyState(false, 'ready');
 
       // ── Subscribe to real-time stream ──
-      subscriptionId = dataFeed.subscribeBars(symbol, normalizedRes, (bar) => {
-        if (disposed || currentSymbol !== symbol) return;
+      // Resampled charts stream the base resolution; each tick rebuilds
+      // the partial bar from its bucket's base bars.
+      subscriptionId = dataFeed.subscribeBars(symbol, plan.base, (baseBar) => {
+        if (disposed || currentSymbol !== symbol || resampler !== agg) return;
+        const bar = agg ? agg.update(baseBar)?.bar : baseBar;
+        if (!bar) return;
         engine.updateBar(bar);
       });
 
@@ -156,11 +234,10 @@ export function createDataManager(engine, dataFeed, options = {}) {
     notifyState(true, 'loading_more');
 
     try {
-      const resMs = RESOLUTION_MS[currentResolution] || 3_600_000;
       const to = oldestTimestamp - 1;
-      const from = to - loadMoreBars * resMs;
+      const from = to - loadMoreBars * resolutionMs(currentResolution);
 
-      const result = await dataFeed.getBars(currentSymbol, currentResolution, from, to);
+      const result = await fetchBars(currentSymbol, currentResolution, from, to);
 
       if (disposed) return;
 
@@ -239,6 +316,10 @@ export function createDataManager(engine, dataFeed, options = {}) {
 
     get symbol() { return currentSymbol; },
     get resolution() { return currentResolution; },
+    /** Resolution actually fetched/streamed (differs when resampling) */
+    get baseResolution() { return baseResolution; },
+    get isResampled() { return resampler !== null; },
+    get session() { return session; },
     get isLoading() { return isLoading; },
     get hasMoreHistory() { return hasMoreHistory; },
     get feedStatus() { return dataFeed.getStatus(); },
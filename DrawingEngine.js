@@ -15,7 +15,15 @@
 
 import {
   createDrawing,
+  isVisibleOnTimeframe,
+  normalizeVisibility,
   TOOL_POINT_COUNT,
+  FIB_EXTENSION_LEVELS,
+  GANN_ANGLES,
+  POSITION_MIN_WIDTH,
+  fibExtensionPrice,
+  fibTimeZones,
+  textBox,
 } from './DrawingModel.js';
 
 /** Interaction states */
@@ -37,10 +45,12 @@ const ANCHOR_RADIUS = 5;
  * @param {Object} [options]
  * @param {(drawings: Drawing[]) => void} [options.onChange] - Called when drawings change
  * @param {(state: string) => void} [options.onStateChange] - Called when interaction state changes
+ * @param {(drawing: Drawing) => void} [options.onComplete] - Called when a drawing's last point is placed
+ *   (prompt for text on text/callout, push position tools to the trade store, ...)
  * @returns {Object} DrawingEngine
  */
 export function createDrawingEngine(options = {}) {
-  const { onChange, onStateChange } = options;
+  const { onChange, onStateChange, onComplete } = options;
 
   // ── State ──
   /** @type {import('./DrawingModel.js').Drawing[]} */
@@ -53,6 +63,7 @@ export function createDrawingEngine(options = {}) {
   let dragStartPrice = 0;        // Start price for whole-drawing moves
   let dragStartTime = 0;         // Start time for whole-drawing moves
   let dragPointOffsets = [];     // Offsets for whole-drawing moves
+  let timeframe = null;          // Chart timeframe, for visibility rules
 
   // Coordinate converters (set by the chart engine)
   let pixelToPrice = null;       // (y) => price
@@ -73,6 +84,14 @@ export function createDrawingEngine(options = {}) {
     emitState();
   }
 
+  /**
+   * Whether a drawing is shown: not hidden, and its visibility rule
+   * allows the current chart timeframe.
+   */
+  function isShown(drawing) {
+    return drawing.visible && isVisibleOnTimeframe(drawing, timeframe);
+  }
+
 
   // ═══════════════════════════════════════════════════════════════
   // Coordinate Conversion
@@ -132,7 +151,7 @@ export function createDrawingEngine(options = {}) {
     // Test in reverse order (topmost first)
     for (let i = drawings.length - 1; i >= 0; i--) {
       const d = drawings[i];
-      if (!d.visible || d.state === 'creating') continue;
+      if (!isShown(d) || d.state === 'creating') continue;
 
       // Test anchor points first (higher priority)
       for (let j = 0; j < d.points.length; j++) {
@@ -193,6 +212,77 @@ export function createDrawingEngine(options = {}) {
         if (points.length < 2) return false;
         return distToSegment(x, y, points[0], points[1]) < HIT_THRESHOLD * 3;
 
+      case 'arrow':
+        return points.length >= 2 && distToSegment(x, y, points[0], points[1]) < HIT_THRESHOLD;
+
+      case 'pitchfork': {
+        if (points.length < 3) return points.length >= 2 && distToSegment(x, y, points[0], points[1]) < HIT_THRESHOLD;
+        const [p0, p1, p2] = points;
+        const mid = { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 };
+        const dir = { x: mid.x - p0.x, y: mid.y - p0.y };
+        return distToRay(x, y, p0, dir) < HIT_THRESHOLD ||
+               distToRay(x, y, p1, dir) < HIT_THRESHOLD ||
+               distToRay(x, y, p2, dir) < HIT_THRESHOLD ||
+               distToSegment(x, y, p1, p2) < HIT_THRESHOLD;
+      }
+
+      case 'fibext': {
+        if (points.length < 3) return points.length >= 2 && distToSegment(x, y, points[0], points[1]) < HIT_THRESHOLD;
+        if (x < points[2].x - HIT_THRESHOLD) return false;
+        return FIB_EXTENSION_LEVELS.some(level => {
+          const px = anchorToPixel({ price: fibExtensionPrice(drawing.points, level), time: drawing.points[2].time });
+          return px && Math.abs(y - px.y) < HIT_THRESHOLD;
+        });
+      }
+
+      case 'fibtime':
+        if (points.length < 2) return false;
+        return fibTimeZones(drawing.points).some(time => {
+          const px = anchorToPixel({ price: drawing.points[0].price, time });
+          return px && Math.abs(x - px.x) < HIT_THRESHOLD;
+        });
+
+      case 'gannfan': {
+        if (points.length < 2) return false;
+        const dx = points[1].x - points[0].x;
+        const dy = points[1].y - points[0].y;
+        return GANN_ANGLES.some(({ ratio }) =>
+          distToRay(x, y, points[0], { x: dx, y: dy * ratio }) < HIT_THRESHOLD
+        );
+      }
+
+      case 'measure': {
+        if (points.length < 2) return false;
+        const l = Math.min(points[0].x, points[1].x);
+        const r = Math.max(points[0].x, points[1].x);
+        const t = Math.min(points[0].y, points[1].y);
+        const b = Math.max(points[0].y, points[1].y);
+        return x >= l - HIT_THRESHOLD && x <= r + HIT_THRESHOLD &&
+               y >= t - HIT_THRESHOLD && y <= b + HIT_THRESHOLD;
+      }
+
+      case 'text': {
+        const box = textBox(drawing, points[0]);
+        return x >= box.left && x <= box.right && y >= box.top && y <= box.bottom;
+      }
+
+      case 'callout': {
+        if (points.length < 2) return false;
+        const box = textBox(drawing, points[1]);
+        return distToSegment(x, y, points[0], points[1]) < HIT_THRESHOLD ||
+               (x >= box.left && x <= box.right && y >= box.top && y <= box.bottom);
+      }
+
+      case 'long':
+      case 'short': {
+        if (points.length < 2) return false;
+        const l = points[0].x;
+        const r = Math.max(l + POSITION_MIN_WIDTH, ...points.map(p => p.x));
+        const ys = points.map(p => p.y);
+        return x >= l - HIT_THRESHOLD && x <= r + HIT_THRESHOLD &&
+               y >= Math.min(...ys) - HIT_THRESHOLD && y <= Math.max(...ys) + HIT_THRESHOLD;
+      }
+
       default:
         return false;
     }
@@ -217,6 +307,17 @@ export function createDrawingEngine(options = {}) {
     return Math.sqrt((px - projX) ** 2 + (py - projY) ** 2);
   }
 
+  /**
+   * Distance from point to a ray starting at `a` in direction `dir`.
+   */
+  function distToRay(px, py, a, dir) {
+    const lenSq = dir.x * dir.x + dir.y * dir.y;
+    if (lenSq === 0) return Math.sqrt((px - a.x) ** 2 + (py - a.y) ** 2);
+
+    const t = Math.max(0, ((px - a.x) * dir.x + (py - a.y) * dir.y) / lenSq);
+    return Math.sqrt((px - (a.x + t * dir.x)) ** 2 + (py - (a.y + t * dir.y)) ** 2);
+  }
+
 
   // ═══════════════════════════════════════════════════════════════
   // Mouse Event Handlers
@@ -230,18 +331,25 @@ export function createDrawingEngine(options = {}) {
    */
   function onMouseDown(x, y) {
     if (interactionState === STATE.CREATING) {
-      // Place next anchor point
+      // Place next anchor point (confirming the preview point, if any)
       const anchor = pixelToAnchor(x, y);
+      activeDrawing.points.length = activeDrawing._confirmedPoints;
       activeDrawing.points.push(anchor);
+      activeDrawing._confirmedPoints = activeDrawing.points.length;
 
       const neededPoints = TOOL_POINT_COUNT[activeDrawing.type] || 2;
 
       if (activeDrawing.points.length >= neededPoints) {
         // Drawing complete
-        activeDrawing.state = 'idle';
+        const completed = activeDrawing;
+        delete completed._confirmedPoints;
+        completed.state = 'idle';
         activeDrawing = null;
         activeTool = null;
         setState(STATE.IDLE);
+        emit();
+        if (onComplete) onComplete(completed);
+        return true;
       }
 
       emit();
@@ -300,9 +408,10 @@ export function createDrawingEngine(options = {}) {
       const neededPoints = TOOL_POINT_COUNT[activeDrawing.type] || 2;
       const anchor = pixelToAnchor(x, y);
 
-      if (activeDrawing.points.length > 0 && activeDrawing.points.length < neededPoints) {
+      const confirmed = activeDrawing._confirmedPoints;
+      if (confirmed > 0 && confirmed < neededPoints) {
         // Replace or add temporary preview point
-        if (activeDrawing.points.length === activeDrawing._confirmedPoints) {
+        if (activeDrawing.points.length === confirmed) {
           activeDrawing.points.push(anchor);
         } else {
           activeDrawing.points[activeDrawing.points.length - 1] = anchor;
@@ -508,9 +617,57 @@ export function createDrawingEngine(options = {}) {
       if (d) { Object.assign(d.style, style); emit(); }
     },
 
+    /**
+     * Set a drawing's timeframe visibility rule. A rule without `tf`
+     * uses the current chart timeframe ("only this timeframe").
+     * @param {string} id
+     * @param {import('./DrawingModel.js').VisibilityRule} rule
+     */
+    setVisibility(id, rule) {
+      const d = drawings.find(d => d.id === id);
+      if (!d) return;
+      d.visibility = normalizeVisibility({ ...rule, tf: rule.tf || timeframe });
+      if (!isShown(d) && selectedDrawingId === id) {
+        selectedDrawingId = null;
+        d.state = 'idle';
+        setState(STATE.IDLE);
+      }
+      emit();
+    },
+
+    /**
+     * Set the chart timeframe; drawings whose visibility rule excludes
+     * it are neither rendered nor hit-tested.
+     * @param {string} tf
+     */
+    setTimeframe(tf) {
+      timeframe = tf;
+      const selected = selectedDrawingId && drawings.find(d => d.id === selectedDrawingId);
+      if (selected && !isShown(selected)) {
+        selectedDrawingId = null;
+        selected.state = 'idle';
+        setState(STATE.IDLE);
+      }
+      emit();
+    },
+
+    /** Get the chart timeframe */
+    get timeframe() { return timeframe; },
+
+    /** Whether a drawing is visible on the current timeframe */
+    isShown,
+
+    /** Set the note of a text or callout drawing */
+    setText(id, text) {
+      const d = drawings.find(d => d.id === id);
+      if (d) { d.meta = { ...d.meta, text }; emit(); }
+    },
+
     /** Load drawings from serialized data */
     loadDrawings(drawingArray) {
-      drawings = drawingArray.map(d => ({ ...d, state: 'idle' }));
+      drawings = drawingArray.map(d => ({ ...d, visibility: normalizeVisibility(d.visibility), state: 'idle' }));
+      activeDrawing = null;
+      activeTool = null;
       selectedDrawingId = null;
       setState(STATE.IDLE);
       emit();
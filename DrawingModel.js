@@ -9,8 +9,12 @@
 //   - points: array of {price, time} anchor points
 //   - style: visual properties (color, width, etc.)
 //   - state: interaction state (idle, creating, selected, dragging)
+//   - meta: tool-specific data (text for text/callout notes)
+//   - visibility: which chart timeframes show it (all, ≤ tf, ≥ tf, only tf)
 // ═══════════════════════════════════════════════════════════════════
 
+import { timeframeMs } from '../../engine/MultiTimeframe.js';
+
 let idCounter = 0;
 
 /**
@@ -36,6 +40,9 @@ export function generateId() {
  * @property {number}  [opacity]   - Fill opacity (0-1)
  * @property {boolean} [showLabel] - Show price/% labels
  * @property {string}  [font]      - Label font
+ * @property {number}  [fontSize]  - Text size in CSS pixels (text tools)
+ * @property {string}  [profitColor] - Target zone color (position tools)
+ * @property {string}  [lossColor]   - Stop zone color (position tools)
  */
 
 /**
@@ -48,6 +55,17 @@ export function generateId() {
  * @property {boolean}      locked    - Prevent editing
  * @property {boolean}      visible   - Show/hide toggle
  * @property {Object}       [meta]    - Tool-specific metadata
+ * @property {VisibilityRule} visibility - Timeframes the drawing shows on
+ */
+
+/**
+ * @typedef {Object} VisibilityRule
+ * @property {'all'|'max'|'min'|'only'} mode
+ *   all  = every timeframe
+ *   max  = timeframes up to and including `tf` (keep 1m levels off the daily)
+ *   min  = timeframes from `tf` up (keep weekly levels off the 1m)
+ *   only = exactly `tf`
+ * @property {string} [tf] - Reference timeframe ('5m', '1h', '1D', ...)
  */
 
 /** Default style for each tool type */
@@ -108,6 +126,72 @@ export const DEFAULT_STYLES = {
     dash: [4, 4],
     showLabel: true,
   },
+  pitchfork: {
+    color: '#FF9800',
+    lineWidth: 1,
+    dash: [],
+    fillColor: 'rgba(255, 152, 0, 0.06)',
+  },
+  fibext: {
+    color: '#787B86',
+    lineWidth: 1,
+    dash: [],
+    showLabel: true,
+    opacity: 0.06,
+  },
+  fibtime: {
+    color: '#2196F3',
+    lineWidth: 1,
+    dash: [],
+    showLabel: true,
+  },
+  gannfan: {
+    color: '#26A69A',
+    lineWidth: 1,
+    dash: [],
+    showLabel: true,
+  },
+  measure: {
+    color: '#2962FF',
+    lineWidth: 1,
+    dash: [],
+    fillColor: 'rgba(41, 98, 255, 0.12)',
+    showLabel: true,
+  },
+  text: {
+    color: '#D1D4DC',
+    lineWidth: 1,
+    dash: [],
+    fontSize: 13,
+  },
+  callout: {
+    color: '#2962FF',
+    lineWidth: 1,
+    dash: [],
+    fillColor: 'rgba(41, 98, 255, 0.85)',
+    fontSize: 12,
+  },
+  arrow: {
+    color: '#2962FF',
+    lineWidth: 2,
+    dash: [],
+  },
+  long: {
+    color: '#787B86',
+    lineWidth: 1,
+    dash: [],
+    profitColor: 'rgba(38, 166, 154, 0.2)',
+    lossColor: 'rgba(239, 83, 80, 0.2)',
+    showLabel: true,
+  },
+  short: {
+    color: '#787B86',
+    lineWidth: 1,
+    dash: [],
+    profitColor: 'rgba(38, 166, 154, 0.2)',
+    lossColor: 'rgba(239, 83, 80, 0.2)',
+    showLabel: true,
+  },
 };
 
 /** Fibonacci retracement levels (TradingView defaults) */
@@ -126,6 +210,31 @@ export const FIB_COLORS = {
   2.618: '#9C27B0',
 };
 
+/** Trend-based Fibonacci extension levels, projected from the third point */
+export const FIB_EXTENSION_LEVELS = [0, 0.382, 0.618, 1, 1.272, 1.618, 2, 2.618];
+
+/** Fibonacci time zone offsets, in multiples of the first interval */
+export const FIB_TIME_ZONES = [0, 1, 2, 3, 5, 8, 13, 21, 34, 55, 89];
+
+/**
+ * Gann fan lines as price:time ratios relative to the 1x1 line
+ * (defined by the drawing's two points).
+ */
+export const GANN_ANGLES = [
+  { label: '1x8', ratio: 1 / 8 },
+  { label: '1x4', ratio: 1 / 4 },
+  { label: '1x3', ratio: 1 / 3 },
+  { label: '1x2', ratio: 1 / 2 },
+  { label: '1x1', ratio: 1 },
+  { label: '2x1', ratio: 2 },
+  { label: '3x1', ratio: 3 },
+  { label: '4x1', ratio: 4 },
+  { label: '8x1', ratio: 8 },
+];
+
+/** Default visibility: every timeframe */
+export const VISIBILITY_ALL = Object.freeze({ mode: 'all' });
+
 /** Tool configuration: how many anchor points each tool needs */
 export const TOOL_POINT_COUNT = {
   trendline: 2,
@@ -137,8 +246,30 @@ export const TOOL_POINT_COUNT = {
   rect: 2,       // 2 points (opposite corners)
   channel: 3,    // 3 points (2 for baseline + 1 for width)
   crossline: 1,  // 1 point (vertical + horizontal cross)
+  pitchfork: 3,  // 3 points (pivot + two reaction points)
+  fibext: 3,     // 3 points (trend start, trend end, retracement)
+  fibtime: 2,    // 2 points (zone 0 and zone 1)
+  gannfan: 2,    // 2 points (origin + point on the 1x1 line)
+  measure: 2,    // 2 points (opposite corners of the price/date range)
+  text: 1,       // 1 point (text anchor, text in meta.text)
+  callout: 2,    // 2 points (target, then label position)
+  arrow: 2,      // 2 points (tail, then head)
+  long: 3,       // 3 points (entry, stop, target)
+  short: 3,      // 3 points (entry, stop, target)
 };
 
+/** Minimum width of a position tool's box in CSS pixels */
+export const POSITION_MIN_WIDTH = 80;
+
+/** Padding around text/callout labels in CSS pixels */
+export const TEXT_PADDING = 4;
+
+/** Tools that carry a text note in meta.text */
+export const TEXT_TOOLS = new Set(['text', 'callout']);
+
+/** Position tools (long/short with entry, stop and target) */
+export const POSITION_TOOLS = new Set(['long', 'short']);
+
 /**
  * Create a new drawing object.
  *
@@ -159,6 +290,148 @@ export function createDrawing(type, firstPoint, styleOverrides = {}) {
     locked: false,
     visible: true,
     meta: {},
+    visibility: VISIBILITY_ALL,
+  };
+}
+
+/**
+ * Normalize a visibility rule; anything unusable means all timeframes.
+ *
+ * @param {Partial<VisibilityRule>|null|undefined} rule
+ * @returns {VisibilityRule}
+ */
+export function normalizeVisibility(rule) {
+  if (!rule || !['max', 'min', 'only'].includes(rule.mode) || !timeframeMs(rule.tf)) {
+    return VISIBILITY_ALL;
+  }
+  return { mode: rule.mode, tf: rule.tf };
+}
+
+/**
+ * Whether a drawing's visibility rule allows the given chart timeframe.
+ * Unknown timeframes (e.g. Renko) show everything.
+ *
+ * @param {Drawing} drawing
+ * @param {string} [tf] - Chart timeframe
+ * @returns {boolean}
+ */
+export function isVisibleOnTimeframe(drawing, tf) {
+  const rule = normalizeVisibility(drawing.visibility);
+  const chartMs = timeframeMs(tf);
+  if (rule.mode === 'all' || !chartMs) return true;
+  const ruleMs = timeframeMs(rule.tf);
+  if (rule.mode === 'max') return chartMs <= ruleMs;
+  if (rule.mode === 'min') return chartMs >= ruleMs;
+  return chartMs === ruleMs;
+}
+
+/**
+ * Label box of a text note anchored at its left-middle edge, in CSS
+ * pixels. Width is estimated from character count so hit testing
+ * works without a canvas context.
+ *
+ * @param {Drawing} drawing
+ * @param {{x: number, y: number}} at - Anchor in CSS pixels
+ * @returns {{ left: number, top: number, right: number, bottom: number, lines: string[], fontSize: number }}
+ */
+export function textBox(drawing, at) {
+  const fontSize = drawing.style.fontSize || 12;
+  const lines = String(drawing.meta?.text || 'Text').split('\n');
+  const longest = Math.max(...lines.map(l => l.length));
+  const width = longest * fontSize * 0.6 + TEXT_PADDING * 2;
+  const height = lines.length * fontSize * 1.3 + TEXT_PADDING * 2;
+  return {
+    left: at.x,
+    top: at.y - height / 2,
+    right: at.x + width,
+    bottom: at.y + height / 2,
+    lines,
+    fontSize,
+  };
+}
+
+/**
+ * Price projected by a trend-based Fibonacci extension level.
+ *
+ * @param {AnchorPoint[]} points - [trend start, trend end, retracement]
+ * @param {number} level
+ * @returns {number}
+ */
+export function fibExtensionPrice(points, level) {
+  return points[2].price + (points[1].price - points[0].price) * level;
+}
+
+/**
+ * Times of the Fibonacci time zones for a 2-point fibtime drawing.
+ *
+ * @param {AnchorPoint[]} points
+ * @returns {number[]}
+ */
+export function fibTimeZones(points) {
+  const interval = points[1].time - points[0].time;
+  return FIB_TIME_ZONES.map(n => points[0].time + interval * n);
+}
+
+/**
+ * Price/date range statistics for a measure drawing.
+ *
+ * @param {AnchorPoint[]} points
+ * @param {number} [barMs] - Bar interval; omit to skip the bar count
+ * @returns {{ priceChange: number, percent: number, durationMs: number, bars: number|null }}
+ */
+export function measureStats(points, barMs) {
+  const [a, b] = points;
+  const priceChange = b.price - a.price;
+  const durationMs = b.time - a.time;
+  return {
+    priceChange,
+    percent: a.price ? (priceChange / a.price) * 100 : 0,
+    durationMs,
+    bars: barMs > 0 ? Math.round(durationMs / barMs) : null,
+  };
+}
+
+/**
+ * Entry / stop / target levels of a long or short position drawing.
+ * Target defaults to 2R while only entry and stop are placed.
+ *
+ * @param {Drawing} drawing
+ * @returns {{ side: 'long'|'short', entry: number, stop: number, target: number }|null}
+ */
+export function positionLevels(drawing) {
+  if (!POSITION_TOOLS.has(drawing.type) || drawing.points.length < 2) return null;
+  const entry = drawing.points[0].price;
+  const stop = drawing.points[1].price;
+  const target = drawing.points[2]?.price ?? entry + (entry - stop) * 2;
+  return { side: drawing.type, entry, stop, target };
+}
+
+/**
+ * Risk/reward for a position drawing. With a risk amount, also the
+ * quantity that risks exactly that much.
+ *
+ * @param {Drawing} drawing
+ * @param {number} [riskAmount] - Account currency risked per trade
+ * @returns {{ side: string, entry: number, stop: number, target: number, risk: number, reward: number, rr: number, riskPct: number, rewardPct: number, qty: number|null, valid: boolean }|null}
+ */
+export function positionMetrics(drawing, riskAmount) {
+  const levels = positionLevels(drawing);
+  if (!levels) return null;
+  const { side, entry, stop, target } = levels;
+  const risk = Math.abs(entry - stop);
+  const reward = Math.abs(target - entry);
+  const valid = side === 'long'
+    ? stop < entry && target > entry
+    : stop > entry && target < entry;
+  return {
+    ...levels,
+    risk,
+    reward,
+    rr: risk > 0 ? Math.round((reward / risk) * 100) / 100 : 0,
+    riskPct: entry ? (risk / entry) * 100 : 0,
+    rewardPct: entry ? (reward / entry) * 100 : 0,
+    qty: riskAmount > 0 && risk > 0 ? Math.floor(riskAmount / risk) : null,
+    valid,
   };
 }
 
@@ -177,6 +450,7 @@ export function serializeDrawings(drawings) {
     locked: d.locked,
     visible: d.visible,
     meta: d.meta,
+    visibility: normalizeVisibility(d.visibility),
   })));
 }
 
@@ -191,6 +465,8 @@ export function deserializeDrawings(json) {
     const arr = JSON.parse(json);
     return arr.map(d => ({
       ...d,
+      meta: d.meta || {},
+      visibility: normalizeVisibility(d.visibility),
       state: 'idle',
     }));
   } catch {
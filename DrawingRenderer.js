@@ -8,7 +8,19 @@
 // ═══════════════════════════════════════════════════════════════════
 
 import { mediaToBitmap, positionsLine } from '../CoordinateSystem.js';
-import { FIB_LEVELS, FIB_COLORS } from './DrawingModel.js';
+import {
+  FIB_LEVELS,
+  FIB_COLORS,
+  FIB_EXTENSION_LEVELS,
+  GANN_ANGLES,
+  POSITION_MIN_WIDTH,
+  TEXT_PADDING,
+  fibExtensionPrice,
+  fibTimeZones,
+  measureStats,
+  positionMetrics,
+  textBox,
+} from './DrawingModel.js';
 
 const ANCHOR_RADIUS = 4;
 const ANCHOR_FILL = '#FFFFFF';
@@ -19,9 +31,15 @@ const SELECTED_COLOR = '#2962FF';
  * Create a DrawingRenderer.
  *
  * @param {Object} drawingEngine - DrawingEngine instance
+ * @param {Object} [options]
+ * @param {() => number} [options.getRiskAmount] - Risk per trade for position tool sizing
+ *   (e.g. useChartTradeStore riskAmount)
+ * @param {() => number} [options.getBarInterval] - Bar interval in ms for measure bar counts
  * @returns {Object} Renderer with drawMain() and drawTop()
  */
-export function createDrawingRenderer(drawingEngine) {
+export function createDrawingRenderer(drawingEngine, options = {}) {
+  const { getRiskAmount, getBarInterval } = options;
+
   /**
    * Render committed (non-selected) drawings on the main canvas.
    * Called as part of the main canvas render pipeline.
@@ -34,7 +52,7 @@ export function createDrawingRenderer(drawingEngine) {
     const pr = size.pixelRatio;
 
     for (const d of drawings) {
-      if (!d.visible) continue;
+      if (!drawingEngine.isShown(d)) continue;
       if (d.state === 'creating') continue; // Creating drawings render on top canvas
       if (d.state === 'selected') continue; // Selected renders on top canvas
 
@@ -54,7 +72,7 @@ export function createDrawingRenderer(drawingEngine) {
     const pr = size.pixelRatio;
 
     for (const d of drawings) {
-      if (!d.visible) continue;
+      if (!drawingEngine.isShown(d)) continue;
       if (d.state !== 'creating' && d.state !== 'selected') continue;
 
       renderDrawing(ctx, d, pr, size);
@@ -129,6 +147,34 @@ export function createDrawingRenderer(drawingEngine) {
       case 'crossline':
         renderCrossline(ctx, bPoints, style, lineWidth, pr, size);
         break;
+      case 'pitchfork':
+        renderPitchfork(ctx, bPoints, style, lineWidth, pr, size);
+        break;
+      case 'fibext':
+        renderFibExtension(ctx, bPoints, drawing.points, style, lineWidth, pr, size);
+        break;
+      case 'fibtime':
+        renderFibTimeZones(ctx, drawing.points, style, lineWidth, pr, size);
+        break;
+      case 'gannfan':
+        renderGannFan(ctx, bPoints, style, lineWidth, pr, size);
+        break;
+      case 'measure':
+        renderMeasure(ctx, bPoints, drawing.points, style, lineWidth, pr);
+        break;
+      case 'text':
+        renderText(ctx, drawing, points[0], pr);
+        break;
+      case 'callout':
+        renderCallout(ctx, drawing, points, style, lineWidth, pr);
+        break;
+      case 'arrow':
+        renderArrow(ctx, bPoints, style, lineWidth, pr);
+        break;
+      case 'long':
+      case 'short':
+        renderPosition(ctx, drawing, bPoints, style, lineWidth, pr);
+        break;
     }
   }
 
@@ -368,6 +414,307 @@ export function createDrawingRenderer(drawingEngine) {
     ctx.setLineDash([]);
   }
 
+  /** Far end of a ray from `from` along `dir`, past the canvas edge */
+  function rayEnd(from, dx, dy, size) {
+    const len = Math.sqrt(dx * dx + dy * dy);
+    if (len === 0) return from;
+    const scale = Math.max(size.bitmapWidth, size.bitmapHeight) * 2 / len;
+    return { x: from.x + dx * scale, y: from.y + dy * scale };
+  }
+
+  function strokeLine(ctx, a, b) {
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+  }
+
+  function renderPitchfork(ctx, pts, style, lw, pr, size) {
+    if (pts.length < 2) return;
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = lw;
+    ctx.setLineDash(style.dash ? style.dash.map(d => Math.round(d * pr)) : []);
+
+    if (pts.length < 3) {
+      strokeLine(ctx, pts[0], pts[1]);
+      ctx.setLineDash([]);
+      return;
+    }
+
+    // Median line from the pivot through the midpoint of the reactions,
+    // tines parallel to it through each reaction point
+    const [p0, p1, p2] = pts;
+    const mid = { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 };
+    const dx = mid.x - p0.x;
+    const dy = mid.y - p0.y;
+    const e1 = rayEnd(p1, dx, dy, size);
+    const e2 = rayEnd(p2, dx, dy, size);
+
+    if (style.fillColor) {
+      ctx.fillStyle = style.fillColor;
+      ctx.beginPath();
+      ctx.moveTo(p1.x, p1.y);
+      ctx.lineTo(e1.x, e1.y);
+      ctx.lineTo(e2.x, e2.y);
+      ctx.lineTo(p2.x, p2.y);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    strokeLine(ctx, p0, rayEnd(p0, dx, dy, size));
+    strokeLine(ctx, p1, e1);
+    strokeLine(ctx, p2, e2);
+    strokeLine(ctx, p1, p2);
+    ctx.setLineDash([]);
+  }
+
+  function renderFibExtension(ctx, pts, pricePoints, style, lw, pr, size) {
+    if (pts.length < 2) return;
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = lw;
+
+    // Trend and retracement legs
+    ctx.setLineDash([Math.round(4 * pr), Math.round(4 * pr)]);
+    strokeLine(ctx, pts[0], pts[1]);
+    if (pts.length >= 3) strokeLine(ctx, pts[1], pts[2]);
+    ctx.setLineDash([]);
+    if (pts.length < 3 || pricePoints.length < 3) return;
+
+    const left = pts[2].x;
+    const right = size.bitmapWidth;
+    const fontSize = Math.round(11 * pr);
+    ctx.font = `${fontSize}px Arial`;
+    ctx.textBaseline = 'middle';
+
+    let prevY = null;
+    for (const level of FIB_EXTENSION_LEVELS) {
+      const price = fibExtensionPrice(pricePoints, level);
+      const anchor = drawingEngine.anchorToPixel({ price, time: pricePoints[2].time });
+      if (!anchor) continue;
+      const y = Math.round(anchor.y * pr);
+      const levelColor = FIB_COLORS[level] || style.color;
+
+      if (prevY !== null && style.opacity) {
+        ctx.fillStyle = levelColor;
+        ctx.globalAlpha = style.opacity;
+        ctx.fillRect(left, Math.min(y, prevY), right - left, Math.abs(y - prevY));
+      }
+      prevY = y;
+
+      ctx.strokeStyle = levelColor;
+      ctx.globalAlpha = level === 0 || level === 1 ? 0.8 : 0.5;
+      strokeLine(ctx, { x: left, y }, { x: right, y });
+
+      if (style.showLabel) {
+        ctx.globalAlpha = 0.9;
+        ctx.fillStyle = levelColor;
+        ctx.textAlign = 'left';
+        ctx.fillText(`${level} (${price.toFixed(2)})`, left + Math.round(8 * pr), y - Math.round(7 * pr));
+      }
+      ctx.globalAlpha = 1;
+    }
+  }
+
+  function renderFibTimeZones(ctx, pricePoints, style, lw, pr, size) {
+    if (pricePoints.length < 2) return;
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = lw;
+    ctx.setLineDash(style.dash ? style.dash.map(d => Math.round(d * pr)) : []);
+
+    const fontSize = Math.round(10 * pr);
+    ctx.font = `${fontSize}px Arial`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+
+    const zones = fibTimeZones(pricePoints);
+    for (let i = 0; i < zones.length; i++) {
+      const anchor = drawingEngine.anchorToPixel({ price: pricePoints[0].price, time: zones[i] });
+      if (!anchor) continue;
+      const x = Math.round(anchor.x * pr);
+      if (x > size.bitmapWidth) break;
+      strokeLine(ctx, { x, y: 0 }, { x, y: size.bitmapHeight });
+      if (style.showLabel) {
+        ctx.fillStyle = style.color;
+        ctx.fillText(String(i), x + Math.round(3 * pr), Math.round(4 * pr));
+      }
+    }
+    ctx.setLineDash([]);
+  }
+
+  function renderGannFan(ctx, pts, style, lw, pr, size) {
+    if (pts.length < 2) return;
+    const dx = pts[1].x - pts[0].x;
+    const dy = pts[1].y - pts[0].y;
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = lw;
+
+    const fontSize = Math.round(10 * pr);
+    ctx.font = `${fontSize}px Arial`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+
+    for (const { label, ratio } of GANN_ANGLES) {
+      ctx.globalAlpha = ratio === 1 ? 1 : 0.6;
+      strokeLine(ctx, pts[0], rayEnd(pts[0], dx, dy * ratio, size));
+      if (style.showLabel) {
+        ctx.fillStyle = style.color;
+        ctx.fillText(label, pts[0].x + dx, pts[0].y + dy * ratio);
+      }
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  function renderMeasure(ctx, pts, pricePoints, style, lw, pr) {
+    if (pts.length < 2 || pricePoints.length < 2) return;
+    const stats = measureStats(pricePoints, getBarInterval ? getBarInterval() : 0);
+    const up = stats.priceChange >= 0;
+    const color = up ? style.color : '#EF5350';
+
+    const x = Math.min(pts[0].x, pts[1].x);
+    const y = Math.min(pts[0].y, pts[1].y);
+    const w = Math.abs(pts[1].x - pts[0].x);
+    const h = Math.abs(pts[1].y - pts[0].y);
+
+    ctx.fillStyle = up ? style.fillColor : 'rgba(239, 83, 80, 0.12)';
+    ctx.fillRect(x, y, w, h);
+
+    // Arrows along both axes through the box center, pointing to the end
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lw;
+    const cx = x + w / 2;
+    const cy = y + h / 2;
+    drawArrow(ctx, { x: cx, y: pts[0].y }, { x: cx, y: pts[1].y }, lw, pr);
+    drawArrow(ctx, { x: pts[0].x, y: cy }, { x: pts[1].x, y: cy }, lw, pr);
+
+    if (style.showLabel) {
+      const sign = up ? '+' : '';
+      const parts = [
+        `${sign}${stats.priceChange.toFixed(2)} (${sign}${stats.percent.toFixed(2)}%)`,
+        stats.bars != null ? `${stats.bars} bars, ${formatDuration(stats.durationMs)}` : formatDuration(stats.durationMs),
+      ];
+      const labelY = pts[1].y >= pts[0].y ? y + h + Math.round(14 * pr) : y - Math.round(26 * pr);
+      drawLabel(ctx, parts[0], cx - Math.round(40 * pr), labelY, color, pr);
+      drawLabel(ctx, parts[1], cx - Math.round(40 * pr), labelY + Math.round(14 * pr), color, pr);
+    }
+  }
+
+  function renderText(ctx, drawing, at, pr) {
+    const box = textBox(drawing, at);
+    const fontSize = Math.round(box.fontSize * pr);
+    ctx.font = `${fontSize}px Arial`;
+    ctx.fillStyle = drawing.style.color;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    const lineH = Math.round(box.fontSize * 1.3 * pr);
+    box.lines.forEach((line, i) => {
+      ctx.fillText(line, Math.round((box.left + TEXT_PADDING) * pr), Math.round((box.top + TEXT_PADDING) * pr) + i * lineH);
+    });
+  }
+
+  function renderCallout(ctx, drawing, points, style, lw, pr) {
+    if (points.length < 2) return;
+    const box = textBox(drawing, points[1]);
+    const b = {
+      x: Math.round(box.left * pr),
+      y: Math.round(box.top * pr),
+      w: Math.round((box.right - box.left) * pr),
+      h: Math.round((box.bottom - box.top) * pr),
+    };
+
+    // Leader line from the target to the label
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = lw;
+    strokeLine(ctx, { x: Math.round(points[0].x * pr), y: Math.round(points[0].y * pr) }, { x: b.x, y: b.y + b.h / 2 });
+
+    ctx.fillStyle = style.fillColor || style.color;
+    ctx.fillRect(b.x, b.y, b.w, b.h);
+    ctx.strokeRect(b.x, b.y, b.w, b.h);
+
+    ctx.font = `${Math.round(box.fontSize * pr)}px Arial`;
+    ctx.fillStyle = '#FFFFFF';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    const lineH = Math.round(box.fontSize * 1.3 * pr);
+    box.lines.forEach((line, i) => {
+      ctx.fillText(line, b.x + Math.round(TEXT_PADDING * pr), b.y + Math.round(TEXT_PADDING * pr) + i * lineH);
+    });
+  }
+
+  function renderArrow(ctx, pts, style, lw, pr) {
+    if (pts.length < 2) return;
+    ctx.strokeStyle = style.color;
+    ctx.fillStyle = style.color;
+    ctx.lineWidth = lw;
+    ctx.setLineDash(style.dash ? style.dash.map(d => Math.round(d * pr)) : []);
+    drawArrow(ctx, pts[0], pts[1], lw, pr);
+    ctx.setLineDash([]);
+  }
+
+  function renderPosition(ctx, drawing, pts, style, lw, pr) {
+    const metrics = positionMetrics(drawing, getRiskAmount ? getRiskAmount() : 0);
+    if (!metrics) return;
+
+    const toY = (price) => {
+      const px = drawingEngine.anchorToPixel({ price, time: drawing.points[0].time });
+      return px ? Math.round(px.y * pr) : null;
+    };
+    const entryY = pts[0].y;
+    const stopY = toY(metrics.stop);
+    const targetY = toY(metrics.target);
+    if (stopY === null || targetY === null) return;
+
+    const left = pts[0].x;
+    const right = Math.max(left + Math.round(POSITION_MIN_WIDTH * pr), ...pts.map(p => p.x));
+    const width = right - left;
+
+    ctx.fillStyle = style.profitColor;
+    ctx.fillRect(left, Math.min(entryY, targetY), width, Math.abs(targetY - entryY));
+    ctx.fillStyle = style.lossColor;
+    ctx.fillRect(left, Math.min(entryY, stopY), width, Math.abs(stopY - entryY));
+
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = lw;
+    strokeLine(ctx, { x: left, y: entryY }, { x: right, y: entryY });
+
+    if (style.showLabel) {
+      const x = left + Math.round(4 * pr);
+      const offset = Math.round(10 * pr);
+      const qty = metrics.qty != null ? `, Qty ${metrics.qty}` : '';
+      const targetText = `Target ${metrics.target.toFixed(2)} (${metrics.rewardPct.toFixed(2)}%)`;
+      const stopText = `Stop ${metrics.stop.toFixed(2)} (${metrics.riskPct.toFixed(2)}%)`;
+      const rrText = metrics.valid ? `R:R ${metrics.rr}${qty}` : 'Invalid levels';
+      drawLabel(ctx, targetText, x, targetY + (targetY < entryY ? offset : -offset), '#26A69A', pr);
+      drawLabel(ctx, stopText, x, stopY + (stopY < entryY ? offset : -offset), '#EF5350', pr);
+      drawLabel(ctx, rrText, x, entryY + (targetY < entryY ? offset : -offset), style.color, pr);
+    }
+  }
+
+  /** Line from a to b with an arrowhead at b */
+  function drawArrow(ctx, a, b, lw, pr) {
+    strokeLine(ctx, a, b);
+    if (Math.abs(b.x - a.x) + Math.abs(b.y - a.y) < 1) return;
+    const angle = Math.atan2(b.y - a.y, b.x - a.x);
+    const len = Math.round(Math.max(6, lw * 3) * pr);
+    ctx.beginPath();
+    ctx.moveTo(b.x, b.y);
+    ctx.lineTo(b.x - len * Math.cos(angle - Math.PI / 7), b.y - len * Math.sin(angle - Math.PI / 7));
+    ctx.lineTo(b.x - len * Math.cos(angle + Math.PI / 7), b.y - len * Math.sin(angle + Math.PI / 7));
+    ctx.closePath();
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.fill();
+  }
+
+  /** Compact duration: 45m, 6h 30m, 3d 4h */
+  function formatDuration(ms) {
+    const mins = Math.round(Math.abs(ms) / 60_000);
+    const days = Math.floor(mins / 1440);
+    const hours = Math.floor((mins % 1440) / 60);
+    const rest = mins % 60;
+    if (days) return hours ? `${days}d ${hours}h` : `${days}d`;
+    if (hours) return rest ? `${hours}h ${rest}m` : `${hours}h`;
+    return `${rest}m`;
+  }
+
   /** Draw a small text label */
   function drawLabel(ctx, text, x, y, color, pr) {
     const fontSize = Math.round(10 * pr);
@@ -0,0 +1,123 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Excursion Service
+//
+// Loads the OHLCV bars covering a trade's holding window and runs the
+// excursion engine (MAE / MFE / ETD / efficiency) on them.
+//
+// Bar sources, in order:
+//   1. A DataFeed (opts.feed) — getBars() with a resolution sized to
+//      the holding period, so short scalps get 1m bars.
+//   2. FetchService.fetchOHLC() — the chart's cached timeframe data,
+//      using bestTfForTrade() to pick a window that reaches the trade.
+//
+// Simulated fallback bars are never used: a trade without real
+// coverage is skipped rather than given fabricated excursions.
+//
+// Usage:
+//   const { results, skipped } = await analyzeExcursions(trades, { onProgress });
+//   useTradeStore.getState().setExcursions(results);
+// ═══════════════════════════════════════════════════════════════════
+
+import { fetchOHLC } from './FetchService.js';
+import { RESOLUTION_MS } from './DataFeed.js';
+import { computeExcursion, barsCoverTrade } from '../engine/Excursion.js';
+import { bestTfForTrade } from '../utils.js';
+
+/**
+ * Pick a feed resolution that gives enough bars across the holding window.
+ * @param {number} holdMs
+ * @returns {string}
+ */
+function resolutionForHold(holdMs) {
+  if (holdMs <= 2 * 3_600_000) return '1m';
+  if (holdMs <= 86_400_000) return '5m';
+  if (holdMs <= 7 * 86_400_000) return '1h';
+  return '1D';
+}
+
+/**
+ * Load bars for one trade's holding window.
+ *
+ * @param {Object} trade
+ * @param {Object} [opts]
+ * @param {Object} [opts.feed] - DataFeed implementation (getBars)
+ * @returns {Promise<{ bars: Object[], source: string }|null>}
+ */
+async function loadTradeBars(trade, opts = {}) {
+  const entryMs = new Date(trade.date).getTime();
+  const exitMs = new Date(trade.closeDate || trade.date).getTime();
+  if (isNaN(entryMs)) return null;
+
+  if (opts.feed?.getBars) {
+    const res = resolutionForHold(Math.max(0, exitMs - entryMs));
+    const pad = RESOLUTION_MS[res] || 60_000;
+    try {
+      const { bars } = await opts.feed.getBars(trade.symbol, res, entryMs - pad, exitMs + pad);
+      if (bars?.length && barsCoverTrade(trade, bars)) return { bars, source: 'feed:' + res };
+    } catch (err) {
+      console.warn(`[ExcursionService] Feed getBars failed for ${trade.symbol}:`, err?.message || err);
+    }
+  }
+
+  const { data, source } = await fetchOHLC(trade.symbol, bestTfForTrade(trade));
+  if (!data?.length || String(source).startsWith('simulated')) return null;
+  if (!barsCoverTrade(trade, data)) return null;
+  return { bars: data, source: String(source).replace(':stale', '') };
+}
+
+/**
+ * Compute the excursion for a single trade.
+ *
+ * @param {Object} trade
+ * @param {Object} [opts] - { feed }
+ * @returns {Promise<{ excursion: Object|null, reason?: string }>}
+ */
+async function analyzeTradeExcursion(trade, opts = {}) {
+  if (!trade?.symbol || !(trade.entry > 0) || !(trade.exit > 0)) {
+    return { excursion: null, reason: 'missing_prices' };
+  }
+  // Option prices are premiums — the underlying's bars don't measure them
+  if (trade.assetClass === 'options') return { excursion: null, reason: 'options' };
+  const loaded = await loadTradeBars(trade, opts);
+  if (!loaded) return { excursion: null, reason: 'no_bars' };
+
+  const excursion = computeExcursion(trade, loaded.bars, { source: loaded.source });
+  return excursion ? { excursion } : { excursion: null, reason: 'no_bars' };
+}
+
+/**
+ * Compute excursions for many trades, one at a time (FetchService
+ * rate-limits and dedupes per symbol/timeframe, so sequential is
+ * both polite and cache-friendly).
+ *
+ * @param {Object[]} trades
+ * @param {Object} [opts]
+ * @param {Object} [opts.feed] - DataFeed implementation
+ * @param {boolean} [opts.force=false] - Recompute trades that already have one
+ * @param {(done: number, total: number) => void} [opts.onProgress]
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<{ results: Object<string, Object>, skipped: Array<{ id: string, reason: string }> }>}
+ */
+async function analyzeExcursions(trades, opts = {}) {
+  const todo = (trades || []).filter((t) => opts.force || !t.excursion);
+  const results = {};
+  const skipped = [];
+
+  for (let i = 0; i < todo.length; i++) {
+    if (opts.signal?.aborted) break;
+    const t = todo[i];
+    try {
+      const { excursion, reason } = await analyzeTradeExcursion(t, opts);
+      if (excursion) results[t.id] = excursion;
+      else skipped.push({ id: t.id, reason });
+    } catch (err) {
+      skipped.push({ id: t.id, reason: err?.message || 'error' });
+    }
+    opts.onProgress?.(i + 1, todo.length);
+  }
+
+  return { results, skipped };
+}
+
+export { loadTradeBars, analyzeTradeExcursion, analyzeExcursions, resolutionForHold };
+export default analyzeExcursions;
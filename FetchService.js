@@ -5,10 +5,13 @@
 //   - Tiered TTL per timeframe
 //   - Stale-while-revalidate
 //   - Deduplication of in-flight requests
+//   - Imported history (LocalFileFeed) served before any network source
 // ═══════════════════════════════════════════════════════════════════
 
 import { TFS, CRYPTO_IDS, isCrypto, CACHE_MAX_ENTRIES } from '../constants.js';
 import { fetchEquityPremium } from './DataProvider.js';
+import { getLocalFileFeed } from '../chartEngine/feeds/LocalFileFeed.js';
+import { timeframeMs } from '../engine/MultiTimeframe.js';
 
 const TTL = {
   '1d': 15000, '5d': 30000, '1m': 60000,
@@ -202,6 +205,30 @@ async function fetchYahoo(sym, tf) {
   }
 }
 
+// ─── Imported Files (offline) ───────────────────────────────────
+// The range's worth of bars at the tf's interval, ending at the last
+// imported bar when the file stops before today.
+async function fetchLocal(sym, tf) {
+  try {
+    const feed = getLocalFileFeed();
+    if (!(await feed.hasSymbol(sym))) return null;
+    const interval = tf.binance || '1h';
+    const count = Math.max(50, Math.round((tf.cgDays * 86400000) / timeframeMs(interval)));
+    const { bars } = await feed.getBars(sym, interval, undefined, Date.now(), count);
+    if (bars.length < 2) return null;
+    return bars.map((b) => ({
+      time: new Date(b.time).toISOString(),
+      open: b.open,
+      high: b.high,
+      low: b.low,
+      close: b.close,
+      volume: b.volume,
+    }));
+  } catch {
+    return null;
+  }
+}
+
 // ─── Main Fetch Function ────────────────────────────────────────
 async function fetchOHLC(sym, tfId) {
   const tf = TFS.find((t) => t.id === tfId) || TFS[3];
@@ -219,7 +246,9 @@ async function fetchOHLC(sym, tfId) {
 async function _doFetch(sym, tfId, tf, key) {
   let data = null, source = 'simulated';
   _lastWarning = null;
-  if (isCrypto(sym)) {
+  data = await fetchLocal(sym, tf);
+  if (data) source = 'local';
+  else if (isCrypto(sym)) {
     data = await fetchCoinGecko(sym, tf);
     if (data) source = 'coingecko';
     // C2.2: Binance REST fallback when CoinGecko rate-limits or fails
@@ -71,6 +71,78 @@ export function createGridRenderer(theme = DEFAULT_GRID_THEME) {
 }
 
 
+// ─── Session Renderer ───────────────────────────────────────────
+
+/**
+ * @typedef {Object} SessionTheme
+ * @property {string}   breakColor - Session break line color
+ * @property {number[]} breakDash  - Break line dash pattern (CSS px)
+ * @property {string}   shadeColor - Extended-hours background
+ */
+
+export const DEFAULT_SESSION_THEME = {
+  breakColor: 'rgba(120, 123, 134, 0.45)',
+  breakDash: [2, 3],
+  shadeColor: 'rgba(120, 123, 134, 0.07)',
+};
+
+/**
+ * Create a renderer for session breaks (a dashed line before each
+ * session's first bar) and extended-hours shading. Drawn on the MAIN
+ * canvas right after the grid, behind volume and candles. Marks come
+ * from SessionCalendar.sessionMarks().
+ *
+ * @param {SessionTheme} [theme]
+ * @returns {Object}
+ */
+export function createSessionRenderer(theme = DEFAULT_SESSION_THEME) {
+  const currentTheme = { ...DEFAULT_SESSION_THEME, ...theme };
+
+  return {
+    setTheme(newTheme) {
+      Object.assign(currentTheme, newTheme);
+    },
+
+    /**
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} params
+     * @param {number[]} params.breaks   - Bar indexes that open a session
+     * @param {Array<{from: number, to: number}>} params.extended - Extended-hours index runs
+     * @param {number} params.firstVisibleIdx
+     * @param {number} params.barSpacing - CSS px per bar
+     * @param {number} params.pixelRatio
+     * @param {number} params.bitmapHeight
+     * @param {number} [params.top=0]    - Bitmap Y to start at
+     */
+    draw(ctx, { breaks = [], extended = [], firstVisibleIdx, barSpacing, pixelRatio, bitmapHeight, top = 0 }) {
+      const toX = (idx) => Math.round((idx - firstVisibleIdx) * barSpacing * pixelRatio);
+
+      if (extended.length) {
+        ctx.fillStyle = currentTheme.shadeColor;
+        for (const run of extended) {
+          const x0 = toX(run.from);
+          ctx.fillRect(x0, top, Math.max(1, toX(run.to + 1) - x0), bitmapHeight);
+        }
+      }
+
+      if (breaks.length) {
+        ctx.strokeStyle = currentTheme.breakColor;
+        ctx.lineWidth = Math.max(1, Math.round(pixelRatio));
+        ctx.setLineDash(currentTheme.breakDash.map((d) => Math.round(d * pixelRatio)));
+        ctx.beginPath();
+        for (const idx of breaks) {
+          const x = toX(idx) + 0.5;
+          ctx.moveTo(x, top);
+          ctx.lineTo(x, top + bitmapHeight);
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+    },
+  };
+}
+
+
 // ─── Crosshair Renderer ─────────────────────────────────────────
 
 /**
@@ -20,8 +20,9 @@
 
 const TRADE_FIELDS = [
   'id', 'date', 'closeDate', 'symbol', 'side', 'entry', 'exit', 'quantity',
-  'pnl', 'fees', 'stopLoss', 'takeProfit', 'rMultiple', 'playbook',
-  'assetClass', 'emotion', 'notes', 'ruleBreak', 'tags',
+  'pnl', 'fees', 'currency', 'stopLoss', 'takeProfit', 'rMultiple', 'playbook',
+  'assetClass', 'accountId', 'emotion', 'notes', 'ruleBreak', 'tags',
+  'underlying', 'optionType', 'strike', 'expiry', 'multiplier', 'strategy',
 ];
 
 /**
@@ -59,8 +60,10 @@ function exportCSV(trades, opts = {}) {
 
 /**
  * Export trades as JSON string.
+ * opts.attachments (StorageService.attachments.exportAll() output) is
+ * included for the exported trades, so backups carry their images.
  * @param {Object[]} trades
- * @param {Object} [opts] - { dateFrom, dateTo, pretty }
+ * @param {Object} [opts] - { dateFrom, dateTo, pretty, attachments }
  * @returns {string} JSON content
  */
 function exportJSON(trades, opts = {}) {
@@ -76,6 +79,12 @@ function exportJSON(trades, opts = {}) {
     trades: data,
   };
 
+  if (Array.isArray(opts.attachments)) {
+    const ids = new Set(data.map(t => t.id));
+    exportObj.attachments = opts.attachments.filter(a => ids.has(a.tradeId));
+    exportObj.attachmentCount = exportObj.attachments.length;
+  }
+
   return opts.pretty !== false ? JSON.stringify(exportObj, null, 2) : JSON.stringify(exportObj);
 }
 
@@ -175,6 +184,8 @@ function detectBroker(headers) {
 
   // NinjaTrader: has "Entry price" and "Exit price" columns
   if (h.includes('entry price') && h.includes('exit price') && h.includes('instrument')) return 'ninjatrader';
+  // NinjaTrader executions export: one row per fill with "E/X" entry/exit flag
+  if (h.includes('instrument') && h.includes('action') && h.includes('e/x')) return 'ninjatrader';
 
   // ThinkorSwim: has "Exec Time" and "Spread" columns
   if (h.includes('exec time') && (h.includes('spread') || h.includes('pos effect'))) return 'thinkorswim';
@@ -223,9 +234,45 @@ function _parseDate(val) {
   return isNaN(d.getTime()) ? null : d.toISOString();
 }
 
+function _hasAnyColumn(rows, names) {
+  const first = rows[0] || {};
+  return names.some(n => n in first);
+}
+
+/**
+ * Rebuild round-trip trades from broker fills (see engine/Executions.js).
+ * @param {Object[]} fills
+ * @param {Object} opts - { matching: 'fifo'|'lifo'|'avg' }
+ * @param {string} brokerLabel
+ */
+function _fillsToTrades(fills, opts, brokerLabel) {
+  return reconstructTrades(fills.filter(f => f.symbol && f.time), {
+    method: opts.matching,
+    pointValue: pointValueFor,
+  }).map(t => ({
+    ...t,
+    assetClass: 'futures',
+    notes: `Imported from ${brokerLabel} (${t.executions.length} fills)`,
+  }));
+}
+
 // ── Tradovate ────────────────────────────────────────────────────
 
-function parseTradovate(rows) {
+function parseTradovate(rows, opts = {}) {
+  // Fill-level exports (Fills / Orders tab) have no exit or P&L columns —
+  // rebuild round trips from the individual executions.
+  if (!_hasAnyColumn(rows, ['Exit Price', 'Close Price', 'P&L', 'PnL', 'Profit/Loss', 'Net P&L'])) {
+    const fills = rows.map(r => ({
+      symbol: r['Instrument'] || r['Contract'] || '',
+      time: _parseDate(r['Fill Time'] || r['Timestamp'] || r['Date'] || r['Time']),
+      side: r['B/S'] || r['Buy/Sell'] || '',
+      qty: _parseNum(r['Qty'] || r['Quantity'] || r['Filled Qty']),
+      price: _parseNum(r['Fill Price'] || r['Price'] || r['Avg Price']),
+      fee: _parseNum(r['Commission'] || r['Fees'] || r['Total Fees']),
+    }));
+    return _fillsToTrades(fills, opts, 'Tradovate');
+  }
+
   return rows.map(r => {
     const side = (r['B/S'] || r['Buy/Sell'] || '').toLowerCase().includes('buy') ? 'long' : 'short';
     return {
@@ -246,7 +293,21 @@ function parseTradovate(rows) {
 
 // ── NinjaTrader ──────────────────────────────────────────────────
 
-function parseNinjaTrader(rows) {
+function parseNinjaTrader(rows, opts = {}) {
+  // Executions export: one row per fill with Action (Buy/Sell) and E/X
+  if (_hasAnyColumn(rows, ['Action']) && !_hasAnyColumn(rows, ['Entry price', 'Entry Price'])) {
+    const fills = rows.map(r => ({
+      symbol: r['Instrument'] || '',
+      time: _parseDate(r['Time']),
+      side: r['Action'] || '',
+      qty: _parseNum(r['Quantity'] || r['Qty']),
+      price: _parseNum(r['Price']),
+      fee: _parseNum(r['Commission']),
+      id: r['ID'] || undefined,
+    }));
+    return _fillsToTrades(fills, opts, 'NinjaTrader');
+  }
+
   return rows.map(r => {
     const side = (r['Market pos.'] || r['Type'] || '').toLowerCase().includes('long') ? 'long' : 'short';
     return {
@@ -382,15 +443,23 @@ function parseTradeForgeCSV(rows) {
     quantity: _parseNum(r['quantity']) || 1,
     pnl: _parseNum(r['pnl']),
     fees: _parseNum(r['fees']),
+    currency: (r['currency'] || '').toUpperCase(),
     stopLoss: _parseNum(r['stopLoss']),
     takeProfit: _parseNum(r['takeProfit']),
     rMultiple: _parseNum(r['rMultiple']),
     playbook: r['playbook'] || '',
     assetClass: r['assetClass'] || '',
+    accountId: r['accountId'] || '',
     emotion: r['emotion'] || '',
     notes: r['notes'] || '',
     ruleBreak: r['ruleBreak'] === 'true',
     tags: r['tags'] ? r['tags'].split(';').filter(Boolean) : [],
+    underlying: r['underlying'] || null,
+    optionType: normalizeOptionType(r['optionType']),
+    strike: _parseNum(r['strike']),
+    expiry: normalizeExpiry(r['expiry']),
+    multiplier: _parseNum(r['multiplier']),
+    strategy: r['strategy'] || null,
   })).filter(t => t.date && t.symbol);
 }
 
@@ -398,9 +467,12 @@ function parseTradeForgeCSV(rows) {
 // Dates: M/DD/YYYY (quoted). Prices: "$175.84" ($ prefix, quoted)
 // Amounts: "($43.64)" = negative (accounting notation)
 // Trans Codes: BTO (buy to open), STC (sell to close), STO, BTC, BUY, SELL
+// One row per fill — round trips are rebuilt per contract, then option
+// legs opened together are grouped into strategies (engine/Options.js).
+// Option contract details live in Description: "SPY 3/15/2024 Call $510.00"
 
-function parseRobinhood(rows) {
-  return rows.map(r => {
+function parseRobinhood(rows, opts = {}) {
+  const fills = rows.map(r => {
     const code = (r['Trans Code'] || '').toUpperCase().trim();
     // Skip non-trade rows (dividends, deposits, interest, ACH, etc.)
     if (!['BUY', 'SELL', 'BTO', 'STC', 'STO', 'BTC'].includes(code)) return null;
@@ -415,65 +487,88 @@ function parseRobinhood(rows) {
     const rawPrice = r['Price'] || '';
     const price = _parseNum(String(rawPrice).replace(/^\$/, ''));
 
-    // Parse RH amount format: "($43.64)" = negative
-    const rawAmount = r['Amount'] || '';
-    const amtStr = String(rawAmount).trim();
-    const isNeg = amtStr.startsWith('(') && amtStr.endsWith(')');
-    const amount = _parseNum(isNeg ? amtStr.slice(1, -1) : amtStr);
-    const signedAmount = isNeg ? -(amount || 0) : amount;
-
     return {
-      id: _uid(),
-      date: _parseDate(r['Activity Date']),
       symbol,
-      side: isBuy ? 'long' : 'short',
-      entry: price,
-      exit: null,
-      quantity: Math.abs(_parseNum(r['Quantity']) || 0),
-      pnl: null, // Must pair entries/exits via reconcile engine
-      fees: null,
-      amount: signedAmount,
-      assetClass: isOption ? 'options' : 'stock',
-      positionEffect: (code === 'BTO' || code === 'STO') ? 'open' : (code === 'STC' || code === 'BTC') ? 'close' : null,
-      notes: `Imported from Robinhood | ${r['Description'] || ''}`.trim(),
+      time: _parseDate(r['Activity Date']),
+      side: isBuy ? 'buy' : 'sell',
+      qty: Math.abs(_parseNum(r['Quantity']) || 0),
+      price,
+      fee: 0, // RH reports fees only inside Amount
+      option: isOption ? parseOptionDescription(r['Description']) : null,
     };
-  }).filter(Boolean).filter(t => t.date && t.symbol);
+  }).filter(Boolean);
+
+  return _optionFillsToTrades(fills, opts, 'Robinhood');
 }
 
 // ── Webull ───────────────────────────────────────────────────────
 // Separate files for stocks vs options (both handled here).
 // No commission data in export. Must filter Status = "Filled".
 // Dates: "MM/DD/YYYY HH:MM:SS" or "YYYY-MM-DD HH:MM:SS"
+// Options rows carry an OCC Symbol and/or Strike/Expiration/Option Type.
 
-function parseWebull(rows) {
-  return rows.map(r => {
+function parseWebull(rows, opts = {}) {
+  const fills = rows.map(r => {
     const status = (r['Status'] || '').toLowerCase();
     if (status && status !== 'filled') return null;
 
-    const symbol = r['Symbol'] || r['Underlying Symbol'] || '';
+    const symbol = (r['Symbol'] || r['Underlying Symbol'] || '').trim();
     if (!symbol) return null;
 
-    const side = (r['Side'] || '').toUpperCase();
-    const isBuy = side === 'BUY';
-    const isOption = !!(r['Expiration Date'] || r['Strike Price'] || r['Option Type']);
+    const isOption = !!(r['Expiration Date'] || r['Strike Price'] || r['Option Type']) || !!parseOccSymbol(symbol);
+    let option = null;
+    if (isOption) {
+      const occ = parseOccSymbol(symbol);
+      option = {
+        underlying: (r['Underlying Symbol'] || occ?.underlying || symbol).trim().toUpperCase(),
+        optionType: normalizeOptionType(r['Option Type']) || occ?.optionType || null,
+        strike: _parseNum(r['Strike Price']) || occ?.strike || null,
+        expiry: normalizeExpiry(r['Expiration Date']) || occ?.expiry || null,
+      };
+      if (!option.optionType || !option.strike || !option.expiry) option = null;
+    }
 
     return {
-      id: _uid(),
-      date: _parseDate(r['Filled Time'] || r['Created Time']),
-      symbol: symbol.trim(),
-      side: isBuy ? 'long' : 'short',
-      entry: _parseNum(r['Avg Price'] || r['Price']),
-      exit: null,
-      quantity: _parseNum(r['Filled Qty'] || r['Qty'] || r['Total Qty']) || 1,
-      pnl: null,
-      fees: null, // Webull doesn't include fees in export
-      assetClass: isOption ? 'options' : 'stock',
-      optionType: r['Option Type'] || null,
-      strikePrice: _parseNum(r['Strike Price']),
-      expirationDate: _parseDate(r['Expiration Date']),
-      notes: `Imported from Webull`,
+      symbol,
+      time: _parseDate(r['Filled Time'] || r['Created Time']),
+      side: (r['Side'] || '').toUpperCase() === 'BUY' ? 'buy' : 'sell',
+      qty: _parseNum(r['Filled Qty'] || r['Qty'] || r['Total Qty']) || 1,
+      price: _parseNum(r['Avg Price'] || r['Price']),
+      fee: 0, // Webull doesn't include fees in export
+      option,
     };
-  }).filter(Boolean).filter(t => t.date && t.symbol);
+  }).filter(Boolean);
+
+  return _optionFillsToTrades(fills, opts, 'Webull');
+}
+
+/**
+ * Rebuild round trips from stock/option fills, keyed per contract,
+ * then group option legs opened together into strategy trades.
+ * @param {Object[]} fills - { symbol, time, side, qty, price, fee, option? }
+ * @param {Object} opts - { matching }
+ * @param {string} brokerLabel
+ */
+function _optionFillsToTrades(fills, opts, brokerLabel) {
+  const contracts = {};
+  const keyed = fills.filter(f => f.symbol && f.time).map(f => {
+    if (!f.option) return f;
+    const key = optionSymbol(f.option);
+    contracts[key] = { ...f.option, multiplier: DEFAULT_MULTIPLIER };
+    return { ...f, symbol: key };
+  });
+
+  const trades = reconstructTrades(keyed, {
+    method: opts.matching,
+    pointValue: sym => contracts[sym]?.multiplier || 1,
+  }).map(t => {
+    const c = contracts[t.symbol];
+    const base = { ...t, notes: `Imported from ${brokerLabel} (${t.executions.length} fills)` };
+    if (!c) return { ...base, assetClass: 'stocks' };
+    return { ...base, ...c, symbol: c.underlying, assetClass: 'options' };
+  });
+
+  return groupStrategies(trades);
 }
 
 // ── MetaTrader 5 ────────────────────────────────────────────────
@@ -604,9 +699,15 @@ const BROKER_LABELS = {
  *
  * @param {File} file - Browser File object
  * @param {string} [forceBroker] - Force a specific broker parser
- * @returns {Promise<{ ok: boolean, trades: Object[], broker: string, error?: string }>}
+ * @param {Object} [opts] - { accountId, matching }
+ *   accountId: account for imported trades that don't name one
+ *   matching:  lot matching for fill-level exports ('fifo' | 'lifo' | 'avg')
+ * TradeForge JSON backups also return their attachments (restore with
+ * StorageService.attachments.importAll).
+ *
+ * @returns {Promise<{ ok: boolean, trades: Object[], broker: string, attachments?: Object[], error?: string }>}
  */
-async function importFile(file, forceBroker = null) {
+async function importFile(file, forceBroker = null, opts = {}) {
   try {
     const text = await file.text();
     const name = (file.name || '').toLowerCase();
@@ -623,8 +724,10 @@ async function importFile(file, forceBroker = null) {
       if (rawTrades.length === 0) {
         return { ok: false, trades: [], broker: 'unknown', error: 'JSON file does not contain a trades array.' };
       }
-      const { trades: normalized } = normalizeImported(rawTrades);
-      return { ok: true, trades: normalized, broker: 'tradeforge', count: normalized.length };
+      const { trades: normalized } = normalizeImported(assignAccount(rawTrades, opts.accountId));
+      const ids = new Set(normalized.map(t => t.id));
+      const attachments = Array.isArray(json.attachments) ? json.attachments.filter(a => ids.has(a.tradeId)) : [];
+      return { ok: true, trades: normalized, broker: 'tradeforge', count: normalized.length, attachments };
     }
 
     // ─── CSV Import ───────────────────────────────────────
@@ -636,10 +739,10 @@ async function importFile(file, forceBroker = null) {
     const headers = Object.keys(rows[0]);
     const broker = forceBroker || detectBroker(headers);
     const parser = BROKER_PARSERS[broker] || BROKER_PARSERS.generic;
-    const rawTrades = parser(rows);
+    const rawTrades = parser(rows, { matching: opts.matching });
 
     // Normalize through schema validator
-    const { trades: normalized, errors: schemaErrors } = normalizeImported(rawTrades);
+    const { trades: normalized, errors: schemaErrors } = normalizeImported(assignAccount(rawTrades, opts.accountId));
 
     return {
       ok: true,
@@ -658,6 +761,11 @@ async function importFile(file, forceBroker = null) {
 // ─── Schema Normalization ────────────────────────────────────────
 
 import { normalizeBatch } from '../engine/TradeSchema.js';
+import { reconstructTrades, pointValueFor } from '../engine/Executions.js';
+import {
+  DEFAULT_MULTIPLIER, parseOccSymbol, parseOptionDescription, normalizeOptionType,
+  normalizeExpiry, optionSymbol, groupStrategies,
+} from '../engine/Options.js';
 
 /**
  * Normalize an array of imported trades through the schema validator.
@@ -669,6 +777,19 @@ function normalizeImported(trades) {
   return normalizeBatch(trades);
 }
 
+/**
+ * Default the account of imported trades. Trades that already carry
+ * one (TradeForge JSON backups, CSVs with an accountId column) keep
+ * it; without an accountId the rest fall back to the default account.
+ * @param {Object[]} trades
+ * @param {string} [accountId]
+ * @returns {Object[]}
+ */
+function assignAccount(trades, accountId) {
+  if (!accountId) return trades;
+  return trades.map(t => (t.accountId ? t : { ...t, accountId }));
+}
+
 // ─── Exports ────────────────────────────────────────────────────
 
 export {
@@ -679,6 +800,7 @@ export {
   parseCSV,
   detectBroker,
   normalizeImported,
+  assignAccount,
   TRADE_FIELDS,
   BROKER_LABELS,
   BROKER_PARSERS,
@@ -25,6 +25,9 @@ import { undoStack, executeUndo, executeRedo } from '../utils/UndoStack.js';
 import { navigateToTrade } from '../utils/navigateToTrade.js';
 import { useUIStore } from '../state/useUIStore.js';
 import { useChartStore } from '../state/useChartStore.js';
+import { useSmartViewStore } from '../state/useSmartViewStore.js';
+import { compileQuery } from '../engine/TradeQuery.js';
+import { addTags, removeTags } from '../engine/TagTaxonomy.js';
 import TradeFormModal from '../components/TradeFormModal.jsx';
 import CSVImportModal from '../components/CSVImportModal.jsx';
 import toast from '../components/Toast.jsx';
@@ -39,6 +42,7 @@ import { useBulkSelection, BulkActionBar } from '../components/journal/BulkOpera
 import { launchTradeReplay } from '../components/journal/TradeReplay.js';
 import { StreakTimeline, AdvancedFilters, applyAdvancedFilters } from '../components/journal/JournalEvolution.jsx';
 import ContextPerformanceTab from '../components/journal/ContextPerformanceTab.jsx';
+import TagManager from '../components/journal/TagManager.jsx';
 
 // Mobile Journal (Sprint 2 IA — dedicated mobile component)
 import MobileJournal from '../components/MobileJournal.jsx';
@@ -71,7 +75,7 @@ export default function JournalPage() {
   // ─── State ──────────────────────────────────────────────────
   const [sortCol, setSortCol] = useState('date');
   const [sortDir, setSortDir] = useState('desc');
-  const [filter, setFilter] = useState('');
+  const [filter, setFilter] = useState(() => useSmartViewStore.getState().getActiveView()?.query || '');
   const [sideFilter, setSideFilter] = useState('all');
   const [dateRange, setDateRange] = useState('all');
   const [customDateFrom, setCustomDateFrom] = useState('');
@@ -89,6 +93,7 @@ export default function JournalPage() {
   const [bulkMode, setBulkMode] = useState(false);
   const [advancedFilters, setAdvancedFilters] = useState({});
   const [showContextPerf, setShowContextPerf] = useState(false);
+  const [showTagManager, setShowTagManager] = useState(false);
 
   // Journal tab: trades or notes (Sprint 2 IA merge)
   const [journalTab, setJournalTab] = useState('trades');
@@ -122,21 +127,39 @@ export default function JournalPage() {
     };
   }, []);
 
+  // Note links and backlinks (useUIStore.openJournalTarget). Trades and
+  // playbooks open here as a query; notes and days are handled by NotesPage.
+  const journalTarget = useUIStore((s) => s.journalTarget);
+  useEffect(() => {
+    if (!journalTarget) return;
+    if (journalTarget.type !== 'trade' && journalTarget.type !== 'playbook') {
+      setJournalTab('notes');
+      return;
+    }
+    useSmartViewStore.getState().setActiveView(null);
+    setSideFilter('all');
+    setDateRange('all');
+    setAssetClassFilter('all');
+    setAdvancedFilters({});
+    setJournalTab('trades');
+    if (journalTarget.type === 'trade') {
+      setFilter(`id:"${journalTarget.id}"`);
+      setExpandedId(journalTarget.id);
+    } else {
+      setFilter(`playbook:"${String(journalTarget.name).replace(/"/g, '')}"`);
+    }
+    useUIStore.getState().clearJournalTarget();
+  }, [journalTarget]);
+
   // ─── Filter + Sort ──────────────────────────────────────────
+  // Search box is a trade query (bare words still free-text search);
+  // while it doesn't parse, the last error is shown and nothing is filtered
+  const query = useMemo(() => compileQuery(filter), [filter]);
+
   const filteredTrades = useMemo(() => {
     let list = [...trades];
 
-    if (filter.trim()) {
-      const q = filter.toLowerCase();
-      list = list.filter(
-        (t) =>
-          (t.symbol || '').toLowerCase().includes(q) ||
-          (t.playbook || '').toLowerCase().includes(q) ||
-          (t.emotion || '').toLowerCase().includes(q) ||
-          (t.tags || []).some((tag) => tag.toLowerCase().includes(q)) ||
-          (t.notes || '').toLowerCase().includes(q)
-      );
-    }
+    if (query.ok && query.ast) list = list.filter(query.match);
 
     if (sideFilter !== 'all') {
       list = list.filter((t) => t.side === sideFilter);
@@ -202,7 +225,7 @@ export default function JournalPage() {
     });
 
     return list;
-  }, [trades, filter, sideFilter, dateRange, customDateFrom, customDateTo, assetClassFilter, sortCol, sortDir, advancedFilters]);
+  }, [trades, query, sideFilter, dateRange, customDateFrom, customDateTo, assetClassFilter, sortCol, sortDir, advancedFilters]);
 
   // ─── Bulk selection (Sprint 9) ──────────────────────────────
   const bulk = useBulkSelection(filteredTrades);
@@ -347,14 +370,20 @@ export default function JournalPage() {
     toast.success(`Deleted ${count} trades`);
   };
 
-  const handleBulkTag = (tag) => {
+  const handleBulkTag = (tags, mode = 'add') => {
+    let changed = 0;
     for (const t of bulk.selectedTrades) {
       const existing = t.tags || [];
-      if (!existing.includes(tag)) {
-        updateTrade(t.id, { tags: [...existing, tag] });
+      const next = mode === 'remove' ? removeTags(existing, tags) : addTags(existing, tags);
+      if (next.length !== existing.length || next.some((tag, i) => tag !== existing[i])) {
+        updateTrade(t.id, { tags: next });
+        changed++;
       }
     }
-    toast.success(`Tagged ${bulk.count} trades with "${tag}"`);
+    const label = tags.map((tag) => `"${tag}"`).join(', ');
+    toast.success(mode === 'remove'
+      ? `Removed ${label} from ${changed} trades`
+      : `Tagged ${changed} trades with ${label}`);
   };
 
   const handleBulkEdit = (field, value) => {
@@ -519,6 +548,9 @@ export default function JournalPage() {
             <Btn variant="ghost" onClick={() => setShowContextPerf(true)} style={{ fontSize: 11, padding: '6px 10px' }}>
               🧠 Context
             </Btn>
+            <Btn variant="ghost" onClick={() => setShowTagManager(true)} style={{ fontSize: 11, padding: '6px 10px' }}>
+              🏷 Tags
+            </Btn>
             <Btn variant="ghost" onClick={() => handleExportCSV()} style={{ fontSize: 11, padding: '6px 10px' }} disabled={!trades.length}>
               ↓ Export
             </Btn>
@@ -545,6 +577,8 @@ export default function JournalPage() {
           {/* Section 4: Filter Bar */}
           <JournalFilterBar
             filter={filter} setFilter={setFilter}
+            trades={trades}
+            queryError={query.ok ? null : query}
             sideFilter={sideFilter} setSideFilter={setSideFilter}
             dateRange={dateRange} setDateRange={setDateRange}
             customDateFrom={customDateFrom} setCustomDateFrom={setCustomDateFrom}
@@ -615,6 +649,7 @@ export default function JournalPage() {
                   <button
                     onClick={() => {
                       setFilter('');
+                      useSmartViewStore.getState().setActiveView(null);
                       setSideFilter('all');
                       setDateRange('all');
                       setAssetClassFilter('all');
@@ -721,6 +756,7 @@ export default function JournalPage() {
                   <button
                     onClick={() => {
                       setFilter('');
+                      useSmartViewStore.getState().setActiveView(null);
                       setSideFilter('all');
                       setDateRange('all');
                       setAssetClassFilter('all');
@@ -751,6 +787,7 @@ export default function JournalPage() {
         isOpen={showContextPerf}
         onClose={() => setShowContextPerf(false)}
       />
+      <TagManager isOpen={showTagManager} onClose={() => setShowTagManager(false)} />
     </div>
   );
 }
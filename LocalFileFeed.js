@@ -0,0 +1,557 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Local File DataFeed
+// Implements the DataFeed interface over historical bars imported
+// from files, stored in IndexedDB (StorageService.bars).
+//
+// Import:
+//   importText(text, { symbol, resolution })  — OHLCV CSV, or a tick
+//                                               CSV built into bars
+//   importBars(symbol, resolution, bars)       — already parsed bars
+//   importColumns(symbol, resolution, table)   — columnar data from a
+//        Parquet/Arrow reader (apache-arrow Table, parquet-wasm output
+//        or a plain { time: [], open: [], … } object)
+//
+// Serving:
+//   - getBars pages by from/to (or countBack) from an in-memory copy
+//     of the series, loaded once from IndexedDB
+//   - Resolutions not imported are aggregated from the finest stored
+//     series that divides them (1m file → 5m, 1h, 1D charts)
+//   - When from/to falls after the end of the file (DataManager asks
+//     for "the last N bars before now"), the last N bars are served,
+//     so historical files chart without a date picker
+//   - No live stream: subscribeBars registers but never fires. Replay
+//     and backtests run on the history
+// ═══════════════════════════════════════════════════════════════════
+
+import { normalizeResolution } from './DataFeed.js';
+import { parseTimeframe, bucketStart, aggregateBars } from '../../engine/MultiTimeframe.js';
+import { parseCSVRaw, parseNumeric } from '../../csv.js';
+import { parseTickCSV } from '../../engine/orderFlow.js';
+import StorageService from '../../data/StorageService.js';
+
+// ── Bars per IndexedDB record ──
+const CHUNK_SIZE = 5000;
+
+// ── Default page when getBars has neither a usable range nor countBack ──
+const DEFAULT_PAGE = 300;
+
+const BAR_COLUMNS = {
+  time: ['time', 'timestamp', 'ts', 'datetime', 'date_time', 'open_time', 'opentime', 't'],
+  date: ['date', 'day', 'trade_date'],
+  open: ['open', 'o', 'open_price'],
+  high: ['high', 'h', 'high_price'],
+  low: ['low', 'l', 'low_price'],
+  close: ['close', 'c', 'last', 'close_price', 'settle'],
+  volume: ['volume', 'vol', 'v', 'qty', 'quantity', 'total_volume'],
+};
+
+function _findColumn(headers, names, skip = -1) {
+  const norm = headers.map((h) => h.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  return norm.findIndex((h, i) => i !== skip && names.includes(h));
+}
+
+/**
+ * Canonical resolution key: '1D' for '1d'/'D'/'1day', '1h' for '60', …
+ * @param {string} res
+ * @returns {string|null}
+ */
+export function canonicalResolution(res) {
+  const p = parseTimeframe(normalizeResolution(String(res || '')));
+  return p ? `${p.n}${p.unit}` : null;
+}
+
+/**
+ * Parse a file timestamp. Epoch numbers may be seconds, ms or µs;
+ * ISO-style strings without a zone are read as UTC.
+ * @param {string} v
+ * @returns {number} ms, NaN if unreadable
+ */
+export function parseBarTime(v) {
+  const s = String(v ?? '').trim();
+  const n = Number(s);
+  if (s !== '' && Number.isFinite(n)) {
+    if (n < 1e11) return n * 1000;
+    if (n > 1e14) return Math.floor(n / 1000);
+    return n;
+  }
+  if (/^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?$/.test(s)) {
+    return Date.parse(s.length === 10 ? `${s}T00:00:00Z` : `${s.replace(' ', 'T')}Z`);
+  }
+  const t = Date.parse(s);
+  return Number.isNaN(t) ? NaN : t;
+}
+
+/**
+ * Sort by time and keep the last bar for each timestamp.
+ * @param {Array} bars
+ * @returns {Array}
+ */
+function dedupeBars(bars) {
+  const byTime = new Map();
+  for (const b of bars) byTime.set(b.time, b);
+  return [...byTime.values()].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Parse an OHLCV CSV export. Accepts a single timestamp column or
+ * separate date and time columns; volume is optional.
+ *
+ * @param {string} text
+ * @returns {{ bars: Array, errors: string[] }}
+ */
+export function parseBarCSV(text) {
+  const { headers, rows } = parseCSVRaw(text);
+  const errors = [];
+  const col = {};
+  for (const k of ['open', 'high', 'low', 'close', 'volume']) col[k] = _findColumn(headers, BAR_COLUMNS[k]);
+  col.date = _findColumn(headers, BAR_COLUMNS.date);
+  col.time = _findColumn(headers, BAR_COLUMNS.time, col.date);
+
+  for (const required of ['open', 'high', 'low', 'close']) {
+    if (col[required] < 0) errors.push(`Missing ${required} column`);
+  }
+  if (col.time < 0 && col.date < 0) errors.push('Missing time column');
+  if (errors.length) return { bars: [], errors };
+
+  // "Date,Time,…" exports: a date column plus a clock-only time column
+  const splitClock = col.date >= 0 && col.time >= 0 && /^\d{1,2}:\d{2}/.test(String(rows[0]?.[col.time] || '').trim());
+
+  const bars = [];
+  rows.forEach((row, i) => {
+    let raw;
+    if (splitClock) raw = `${row[col.date].trim()} ${row[col.time].trim().replace(/^(\d):/, '0$1:')}`;
+    else raw = row[col.time >= 0 ? col.time : col.date];
+    const time = parseBarTime(raw);
+    const bar = {
+      time,
+      open: parseNumeric(row[col.open]),
+      high: parseNumeric(row[col.high]),
+      low: parseNumeric(row[col.low]),
+      close: parseNumeric(row[col.close]),
+      volume: col.volume >= 0 ? parseNumeric(row[col.volume]) || 0 : 0,
+    };
+    if (![time, bar.open, bar.high, bar.low, bar.close].every(Number.isFinite)) {
+      if (errors.length < 20) errors.push(`Row ${i + 2}: invalid time or price`);
+      return;
+    }
+    bars.push(bar);
+  });
+
+  return { bars: dedupeBars(bars), errors };
+}
+
+/**
+ * Build OHLCV bars from ticks.
+ * @param {Array<{time: number, price: number, qty: number}>} ticks - Time-sorted
+ * @param {string} resolution
+ * @returns {Array}
+ */
+export function barsFromTicks(ticks, resolution) {
+  const out = [];
+  let cur = null;
+  for (const t of ticks) {
+    const time = bucketStart(t.time, resolution);
+    if (!cur || cur.time !== time) {
+      cur = { time, open: t.price, high: t.price, low: t.price, close: t.price, volume: 0 };
+      out.push(cur);
+    }
+    if (t.price > cur.high) cur.high = t.price;
+    if (t.price < cur.low) cur.low = t.price;
+    cur.close = t.price;
+    cur.volume += t.qty || 0;
+  }
+  return out;
+}
+
+/**
+ * Bars from columnar data. `table` is either an Arrow-style table
+ * (getChild(name).toArray()) or an object of equal-length arrays.
+ * Arrow timestamps may be BigInt or Date.
+ *
+ * @param {Object} table
+ * @returns {{ bars: Array, errors: string[] }}
+ */
+export function barsFromColumns(table) {
+  const names = typeof table?.getChild === 'function'
+    ? table.schema?.fields?.map((f) => f.name) || []
+    : Object.keys(table || {});
+  const column = (key) => {
+    const i = _findColumn(names, BAR_COLUMNS[key]);
+    if (i < 0) return null;
+    const c = typeof table.getChild === 'function' ? table.getChild(names[i]) : table[names[i]];
+    return c && typeof c.toArray === 'function' ? c.toArray() : c;
+  };
+  const cols = {};
+  const errors = [];
+  for (const k of ['time', 'open', 'high', 'low', 'close', 'volume']) {
+    cols[k] = column(k);
+    if (!cols[k] && k !== 'volume') errors.push(`Missing ${k} column`);
+  }
+  if (errors.length) return { bars: [], errors };
+
+  const toMs = (v) => (v instanceof Date ? v.getTime() : parseBarTime(typeof v === 'bigint' ? v.toString() : v));
+  const bars = [];
+  for (let i = 0; i < cols.time.length; i++) {
+    const bar = {
+      time: toMs(cols.time[i]),
+      open: Number(cols.open[i]),
+      high: Number(cols.high[i]),
+      low: Number(cols.low[i]),
+      close: Number(cols.close[i]),
+      volume: cols.volume ? Number(cols.volume[i]) || 0 : 0,
+    };
+    if ([bar.time, bar.open, bar.high, bar.low, bar.close].every(Number.isFinite)) bars.push(bar);
+    else if (errors.length < 20) errors.push(`Row ${i + 1}: invalid time or price`);
+  }
+  return { bars: dedupeBars(bars), errors };
+}
+
+/** Index of the first bar with time >= t */
+function lowerBound(bars, t) {
+  let lo = 0, hi = bars.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (bars[mid].time < t) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+/** Decimal places used by a price series (for pricescale) */
+function priceDecimals(bars) {
+  let d = 0;
+  for (let i = Math.max(0, bars.length - 200); i < bars.length; i++) {
+    const s = String(bars[i].close);
+    const dot = s.indexOf('.');
+    if (dot >= 0) d = Math.max(d, s.length - dot - 1);
+  }
+  return Math.min(d, 8);
+}
+
+/**
+ * Create a DataFeed over locally imported files.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.storage=StorageService.bars] - Bar storage
+ * @param {(event: string, data?: any) => void} [options.onEvent] - Event callback
+ * @returns {Object} DataFeed implementation
+ */
+export function createLocalFileFeed(options = {}) {
+  const { storage = StorageService.bars, onEvent } = options;
+
+  // ── State ──
+  /** @type {Map<string, Object>|null} seriesId → meta, loaded on first use */
+  let metas = null;
+  let metasLoading = null;
+  /** @type {Map<string, Promise<Array>>} seriesId → bars */
+  const barCache = new Map();
+  /** @type {Map<string, Array>} `${seriesId}>${res}` → aggregated bars */
+  const derivedCache = new Map();
+  const subscriptions = new Map();
+  let subIdCounter = 0;
+
+  function emit(event, data) {
+    if (onEvent) onEvent(event, data);
+  }
+
+  const seriesId = (symbol, res) => `${symbol.toUpperCase()}|${res}`;
+
+  async function loadMetas() {
+    if (metas) return metas;
+    if (!metasLoading) {
+      metasLoading = storage.listSeries().then((res) => {
+        metas = new Map((res.data || []).map((m) => [m.id, m]));
+        return metas;
+      });
+    }
+    return metasLoading;
+  }
+
+  function loadSeries(id) {
+    if (!barCache.has(id)) {
+      barCache.set(id, storage.getChunks(id).then((res) => {
+        if (!res.ok) {
+          barCache.delete(id);
+          throw new Error(res.error || `Failed to load ${id}`);
+        }
+        return res.data.flatMap((c) => c.bars);
+      }));
+    }
+    return barCache.get(id);
+  }
+
+  function invalidate(id) {
+    barCache.delete(id);
+    for (const key of derivedCache.keys()) {
+      if (key.startsWith(id + '>')) derivedCache.delete(key);
+    }
+  }
+
+  /**
+   * Bars for a symbol at a resolution: the stored series, or one
+   * aggregated from the finest stored series that divides it.
+   * @returns {Promise<Array|null>}
+   */
+  async function barsFor(symbol, resolution) {
+    const res = canonicalResolution(resolution);
+    if (!res) throw new Error(`Unsupported resolution: ${resolution}`);
+    const all = await loadMetas();
+    const exact = seriesId(symbol, res);
+    if (all.has(exact)) return loadSeries(exact);
+
+    const target = parseTimeframe(res);
+    const base = [...all.values()]
+      .filter((m) => m.symbol === symbol.toUpperCase())
+      .map((m) => ({ m, p: parseTimeframe(m.resolution) }))
+      .filter(({ p }) => p && p.ms < target.ms && (target.unit === 'M' || target.ms % p.ms === 0))
+      .sort((a, b) => b.p.ms - a.p.ms)[0];
+    if (!base) return null;
+
+    const key = `${base.m.id}>${res}`;
+    if (!derivedCache.has(key)) derivedCache.set(key, aggregateBars(await loadSeries(base.m.id), res));
+    return derivedCache.get(key);
+  }
+
+  /**
+   * Store bars for a symbol/resolution, merged with what is already
+   * stored (imported bars win on equal timestamps).
+   *
+   * @param {string} symbol
+   * @param {string} resolution
+   * @param {Array} bars
+   * @param {{ source?: string, type?: string }} [meta]
+   * @returns {Promise<{ ok: boolean, seriesId?: string, count?: number, error?: string }>}
+   */
+  async function importBars(symbol, resolution, bars, meta = {}) {
+    const res = canonicalResolution(resolution);
+    if (!symbol || !res) return { ok: false, error: 'Symbol and resolution are required' };
+    if (!bars?.length) return { ok: false, error: 'No bars to import' };
+
+    const sym = symbol.toUpperCase();
+    const id = seriesId(sym, res);
+    const all = await loadMetas();
+    const existing = all.has(id) ? await loadSeries(id) : [];
+    const merged = dedupeBars([...existing, ...bars]);
+
+    const chunks = [];
+    for (let i = 0; i < merged.length; i += CHUNK_SIZE) {
+      const part = merged.slice(i, i + CHUNK_SIZE);
+      chunks.push({ id: `${id}|${part[0].time}`, series: id, start: part[0].time, end: part[part.length - 1].time, bars: part });
+    }
+    const info = {
+      id,
+      symbol: sym,
+      resolution: res,
+      count: merged.length,
+      first: merged[0].time,
+      last: merged[merged.length - 1].time,
+      type: meta.type || all.get(id)?.type || 'futures',
+      source: meta.source || 'file',
+      importedAt: Date.now(),
+    };
+
+    const saved = await storage.putSeries(info, chunks);
+    if (!saved.ok) return saved;
+    all.set(id, info);
+    invalidate(id);
+    barCache.set(id, Promise.resolve(merged));
+    emit('import', info);
+    return { ok: true, seriesId: id, count: merged.length };
+  }
+
+  /**
+   * Import a CSV file's text. OHLCV files are stored as-is; tick files
+   * (time, price, qty) are built into bars at `resolution`.
+   *
+   * @param {string} text
+   * @param {{ symbol: string, resolution?: string, source?: string }} opts
+   * @returns {Promise<{ ok: boolean, kind?: 'bars'|'ticks', count?: number, errors: string[], error?: string }>}
+   */
+  async function importText(text, { symbol, resolution = '1m', source } = {}) {
+    const parsed = parseBarCSV(text);
+    let kind = 'bars';
+    let bars = parsed.bars;
+    let errors = parsed.errors;
+
+    if (!bars.length) {
+      const ticks = parseTickCSV(text);
+      if (ticks.ticks.length) {
+        kind = 'ticks';
+        bars = barsFromTicks(ticks.ticks, canonicalResolution(resolution) || '1m');
+        errors = ticks.errors;
+      }
+    }
+    if (!bars.length) return { ok: false, errors, error: errors[0] || 'No bars found' };
+
+    const result = await importBars(symbol, resolution, bars, { source: source || kind });
+    return { ...result, kind, errors };
+  }
+
+  /**
+   * Import decoded Parquet/Arrow columns.
+   * @param {string} symbol
+   * @param {string} resolution
+   * @param {Object} table - See barsFromColumns
+   * @returns {Promise<Object>}
+   */
+  async function importColumns(symbol, resolution, table) {
+    const { bars, errors } = barsFromColumns(table);
+    if (!bars.length) return { ok: false, errors, error: errors[0] || 'No bars found' };
+    const result = await importBars(symbol, resolution, bars, { source: 'columns' });
+    return { ...result, errors };
+  }
+
+  async function listSeries() {
+    return [...(await loadMetas()).values()].sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  async function deleteSeries(symbol, resolution) {
+    const id = seriesId(symbol, canonicalResolution(resolution) || resolution);
+    const res = await storage.deleteSeries(id);
+    if (res.ok) {
+      (await loadMetas()).delete(id);
+      invalidate(id);
+    }
+    return res;
+  }
+
+  /**
+   * True if the symbol has imported data (any resolution).
+   * @param {string} symbol
+   * @returns {Promise<boolean>}
+   */
+  async function hasSymbol(symbol) {
+    const sym = String(symbol || '').toUpperCase();
+    for (const m of (await loadMetas()).values()) if (m.symbol === sym) return true;
+    return false;
+  }
+
+  async function resolveSymbol(symbolName) {
+    const sym = String(symbolName || '').toUpperCase();
+    const own = [...(await loadMetas()).values()].filter((m) => m.symbol === sym);
+    if (!own.length) {
+      const error = new Error(`Symbol not found: ${sym}`);
+      emit('error', { type: 'resolve', symbol: sym, error });
+      throw error;
+    }
+    const finest = own.reduce((a, b) => (parseTimeframe(a.resolution).ms <= parseTimeframe(b.resolution).ms ? a : b));
+    const bars = await loadSeries(finest.id);
+    const finestMs = parseTimeframe(finest.resolution).ms;
+    return {
+      name: sym,
+      fullName: `Local:${sym}`,
+      exchange: 'Local',
+      type: finest.type,
+      description: `${sym} (imported)`,
+      pricescale: 10 ** priceDecimals(bars),
+      minmov: 1,
+      timezone: 'Etc/UTC',
+      hasIntraday: finestMs < 86_400_000,
+      hasDaily: true,
+      supportedResolutions: ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1D', '1W', '1M']
+        .filter((r) => parseTimeframe(r).ms >= finestMs),
+      first: finest.first,
+      last: finest.last,
+    };
+  }
+
+  async function searchSymbols(query) {
+    const q = String(query || '').toUpperCase();
+    const seen = new Set();
+    const out = [];
+    for (const m of (await loadMetas()).values()) {
+      if (seen.has(m.symbol) || !m.symbol.includes(q)) continue;
+      seen.add(m.symbol);
+      out.push({ name: m.symbol, fullName: `Local:${m.symbol}`, exchange: 'Local', type: m.type, description: `${m.symbol} (imported)` });
+    }
+    return out.slice(0, 50);
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // Public API (DataFeed Interface)
+  // ═══════════════════════════════════════════════════════════════
+
+  return {
+    /** Provider name */
+    name: 'local',
+
+    /** @implements DataFeed.resolveSymbol */
+    resolveSymbol,
+
+    /** @implements DataFeed.searchSymbols */
+    searchSymbols,
+
+    /**
+     * @implements DataFeed.getBars
+     * Bars in [from, to]; with countBack, the last countBack bars at or
+     * before `to`. A range past the end of the data serves the last bars.
+     */
+    async getBars(symbol, resolution, from, to, countBack) {
+      const bars = await barsFor(symbol, resolution);
+      if (!bars?.length) return { bars: [], noMore: true };
+      const end = lowerBound(bars, (to ?? Infinity) + 1);
+
+      let start;
+      if (countBack) start = Math.max(0, end - countBack);
+      else {
+        start = lowerBound(bars, from ?? -Infinity);
+        if (start >= end && end === bars.length) {
+          // Asked for recent bars the file doesn't have: serve its tail
+          const span = parseTimeframe(canonicalResolution(resolution)).ms;
+          const want = from != null && to != null ? Math.round((to - from) / span) : DEFAULT_PAGE;
+          start = Math.max(0, end - Math.max(1, want));
+        }
+      }
+      return { bars: bars.slice(start, end), noMore: start === 0 };
+    },
+
+    /**
+     * @implements DataFeed.subscribeBars
+     * Files have no live data; the subscription never fires.
+     */
+    subscribeBars(symbol, resolution, onBar) {
+      const subId = `local_${++subIdCounter}`;
+      subscriptions.set(subId, { symbol, resolution, onBar });
+      return subId;
+    },
+
+    /** @implements DataFeed.unsubscribeBars */
+    unsubscribeBars(subId) {
+      subscriptions.delete(subId);
+    },
+
+    /** @implements DataFeed.getStatus */
+    getStatus() {
+      return 'connected';
+    },
+
+    importText,
+    importBars,
+    importColumns,
+    listSeries,
+    deleteSeries,
+    hasSymbol,
+
+    /** @implements DataFeed.dispose */
+    dispose() {
+      subscriptions.clear();
+      barCache.clear();
+      derivedCache.clear();
+      metas = null;
+      metasLoading = null;
+    },
+  };
+}
+
+// ─── Shared instance ────────────────────────────────────────────
+// FetchService and the chart widget read imported data through one
+// feed so series are loaded from IndexedDB once.
+
+let _shared = null;
+
+/** @returns {ReturnType<typeof createLocalFileFeed>} */
+export function getLocalFileFeed() {
+  if (!_shared) _shared = createLocalFileFeed();
+  return _shared;
+}
+
+export default createLocalFileFeed;
@@ -0,0 +1,58 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Options Service
+//
+// Looks up the underlying's price at an option trade's entry and
+// estimates IV / Greeks at entry with the Black-Scholes engine.
+//
+// The underlying price comes from the same bar sources as MAE/MFE
+// analysis (ExcursionService.loadTradeBars): the close of the bar
+// containing the entry time. Simulated bars are never used.
+//
+// Usage:
+//   const { updates } = await estimateEntryGreeks(trade);
+//   if (updates) useTradeStore.getState().updateTrade(trade.id, updates);
+// ═══════════════════════════════════════════════════════════════════
+
+import { loadTradeBars } from './ExcursionService.js';
+import { holdingBars } from '../engine/Excursion.js';
+import { entryGreeksUpdate } from '../engine/Options.js';
+
+/**
+ * Price of `symbol` at `time`, from real bar data.
+ *
+ * @param {string} symbol
+ * @param {string} time - ISO timestamp
+ * @param {Object} [opts] - { feed }
+ * @returns {Promise<number|null>}
+ */
+async function underlyingPriceAt(symbol, time, opts = {}) {
+  const ms = new Date(time).getTime();
+  if (!symbol || isNaN(ms)) return null;
+  const loaded = await loadTradeBars({ symbol, date: time, closeDate: time }, opts);
+  if (!loaded) return null;
+  const [bar] = holdingBars(loaded.bars, ms, ms);
+  return bar?.close > 0 ? bar.close : null;
+}
+
+/**
+ * Estimate IV / delta at entry for an option leg or strategy trade.
+ * Uses trade.underlyingAtEntry when already known (manual entry),
+ * otherwise looks it up.
+ *
+ * @param {Object} trade
+ * @param {Object} [opts] - { feed, rate, dividendYield, underlyingPrice }
+ * @returns {Promise<{ updates: Object|null, reason?: string }>}
+ */
+async function estimateEntryGreeks(trade, opts = {}) {
+  const symbol = trade?.underlying || trade?.symbol;
+  const price = opts.underlyingPrice
+    ?? trade?.underlyingAtEntry
+    ?? await underlyingPriceAt(symbol, trade?.date, opts);
+  if (!(price > 0)) return { updates: null, reason: 'no_underlying_price' };
+
+  const updates = entryGreeksUpdate(trade, price, opts);
+  return updates ? { updates } : { updates: null, reason: 'no_iv' };
+}
+
+export { underlyingPriceAt, estimateEntryGreeks };
+export default estimateEntryGreeks;
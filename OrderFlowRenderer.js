@@ -0,0 +1,343 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Order Flow Renderers
+// Draws real order-flow data from engine/orderFlow.js:
+//
+//   createFootprintRenderer    — bid × ask footprint candles
+//   createVolumeProfileRenderer — session / visible-range profile with
+//                                 POC, VAH and VAL
+//   createDeltaPaneRenderer    — per-bar delta histogram or cumulative
+//                                 delta line in its own strip
+//
+// All renderers work in bitmap space like the other renderers and take
+// footprints already aligned to the visible bars (null = no data).
+// ═══════════════════════════════════════════════════════════════════
+
+import { mediaToBitmap, positionsBox, positionsLine } from '../CoordinateSystem.js';
+
+const DEFAULT_THEME = {
+  candleUp: '#26A69A',
+  candleDown: '#EF5350',
+  textPrimary: '#D1D4DC',
+  textSecondary: '#787B86',
+  pocColor: '#F7C948',
+  valueAreaColor: 'rgba(41, 98, 255, 0.5)',
+};
+
+// Ask/bid ratio that counts as an imbalance (diagonal-free, same level)
+const IMBALANCE_RATIO = 3;
+
+/** Compact volume text: 1234 → 1.2K */
+function formatFlow(v) {
+  const a = Math.abs(v);
+  if (a >= 1e6) return (v / 1e6).toFixed(1) + 'M';
+  if (a >= 1e4) return (v / 1e3).toFixed(0) + 'K';
+  if (a >= 1e3) return (v / 1e3).toFixed(1) + 'K';
+  if (a >= 10 || a === 0) return v.toFixed(0);
+  return v.toFixed(a >= 1 ? 1 : 2);
+}
+
+function _withAlpha(hex, alpha) {
+  if (!/^#[0-9a-f]{6}$/i.test(hex)) return hex;
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+}
+
+/**
+ * Footprint candles. Wide bars show "bid × ask" per price level with
+ * imbalance highlighting and the bar's POC boxed; narrow bars show a
+ * per-level histogram (ask in up color, bid in down color). Bars
+ * without footprint data fall back to a plain candle.
+ *
+ * @param {Object} [theme]
+ * @returns {{ setTheme: Function, draw: Function }}
+ */
+export function createFootprintRenderer(theme) {
+  let t = { ...DEFAULT_THEME, ...theme };
+
+  function drawCandle(ctx, b, x, bodyW, priceToY, pixelRatio) {
+    const color = b.close >= b.open ? t.candleUp : t.candleDown;
+    ctx.fillStyle = color;
+    const wick = positionsLine(x, 1, pixelRatio);
+    const hY = mediaToBitmap(priceToY(b.high), pixelRatio);
+    const lY = mediaToBitmap(priceToY(b.low), pixelRatio);
+    ctx.fillRect(wick.position, hY, wick.length, Math.max(1, lY - hY));
+    const oY = mediaToBitmap(priceToY(b.open), pixelRatio);
+    const cY = mediaToBitmap(priceToY(b.close), pixelRatio);
+    const box = positionsBox(x, bodyW, pixelRatio);
+    ctx.fillRect(box.position, Math.min(oY, cY), box.length, Math.max(1, Math.abs(oY - cY)));
+  }
+
+  return {
+    setTheme(next) { t = { ...DEFAULT_THEME, ...next }; },
+
+    /**
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} params
+     * @param {Array}  params.bars        - Visible chart bars
+     * @param {Array}  params.footprints  - Footprints aligned with bars (null = none)
+     * @param {number} params.tickSize    - Footprint row size
+     * @param {number} params.startIdx
+     * @param {number} params.firstVisibleIdx
+     * @param {number} params.barSpacing
+     * @param {Function} params.priceToY
+     * @param {number} params.pixelRatio
+     */
+    draw(ctx, { bars, footprints, tickSize, startIdx, firstVisibleIdx, barSpacing, priceToY, pixelRatio }) {
+      if (!bars?.length) return;
+
+      const colW = Math.max(1, barSpacing * 0.9);
+      const rowPx = tickSize > 0 && bars[0]
+        ? Math.abs(priceToY(bars[0].close) - priceToY(bars[0].close + tickSize))
+        : 0;
+      const textMode = barSpacing >= 56 && rowPx >= 9;
+      const fontPx = Math.round(Math.min(11, rowPx - 1) * pixelRatio);
+
+      for (let i = 0; i < bars.length; i++) {
+        const b = bars[i];
+        const fp = footprints?.[i];
+        const x = (startIdx + i - firstVisibleIdx + 0.5) * barSpacing;
+
+        if (!fp?.levels?.length) {
+          drawCandle(ctx, b, x, Math.max(1, barSpacing * 0.6), priceToY, pixelRatio);
+          continue;
+        }
+
+        const box = positionsBox(x, colW, pixelRatio);
+        const half = tickSize / 2;
+        let maxVol = 0;
+        let poc = fp.levels[0];
+        for (const lv of fp.levels) {
+          if (lv.totalVol > maxVol) { maxVol = lv.totalVol; poc = lv; }
+        }
+
+        // Open→close strip on the left edge for bar direction
+        const stripW = Math.max(1, Math.round(2 * pixelRatio));
+        const oY = mediaToBitmap(priceToY(fp.open), pixelRatio);
+        const cY = mediaToBitmap(priceToY(fp.close), pixelRatio);
+        ctx.fillStyle = fp.close >= fp.open ? t.candleUp : t.candleDown;
+        ctx.fillRect(box.position, Math.min(oY, cY), stripW, Math.max(1, Math.abs(oY - cY)));
+
+        const innerX = box.position + stripW + 1;
+        const innerW = Math.max(1, box.length - stripW - 1);
+
+        if (textMode) {
+          ctx.font = `${fontPx}px Arial`;
+          ctx.textBaseline = 'middle';
+        }
+
+        for (const lv of fp.levels) {
+          const top = mediaToBitmap(priceToY(lv.price + half), pixelRatio);
+          const bottom = mediaToBitmap(priceToY(lv.price - half), pixelRatio);
+          const h = Math.max(1, bottom - top - (textMode ? 1 : 0));
+
+          if (!textMode) {
+            const len = Math.max(1, Math.round(innerW * lv.totalVol / maxVol));
+            const askLen = Math.round(len * (lv.askVol / (lv.totalVol || 1)));
+            ctx.fillStyle = _withAlpha(t.candleUp, 0.7);
+            ctx.fillRect(innerX, top, askLen, h);
+            ctx.fillStyle = _withAlpha(t.candleDown, 0.7);
+            ctx.fillRect(innerX + askLen, top, len - askLen, h);
+            continue;
+          }
+
+          // Cell shade by net delta, stronger for heavier levels
+          const weight = 0.08 + 0.3 * (lv.totalVol / maxVol);
+          ctx.fillStyle = _withAlpha(lv.delta >= 0 ? t.candleUp : t.candleDown, weight);
+          ctx.fillRect(innerX, top, innerW, h);
+
+          const mid = Math.round((top + bottom) / 2);
+          const buyImb = lv.askVol >= IMBALANCE_RATIO * Math.max(lv.bidVol, 1e-12);
+          const sellImb = lv.bidVol >= IMBALANCE_RATIO * Math.max(lv.askVol, 1e-12);
+
+          ctx.textAlign = 'right';
+          ctx.fillStyle = sellImb ? t.candleDown : t.textSecondary;
+          ctx.fillText(formatFlow(lv.bidVol), innerX + innerW / 2 - 3 * pixelRatio, mid);
+          ctx.textAlign = 'left';
+          ctx.fillStyle = buyImb ? t.candleUp : t.textPrimary;
+          ctx.fillText(formatFlow(lv.askVol), innerX + innerW / 2 + 3 * pixelRatio, mid);
+        }
+
+        if (textMode) {
+          // Divider between bid and ask columns + POC box
+          ctx.fillStyle = t.textSecondary;
+          const top = mediaToBitmap(priceToY(fp.high + half), pixelRatio);
+          const bottom = mediaToBitmap(priceToY(fp.low - half), pixelRatio);
+          ctx.globalAlpha = 0.4;
+          ctx.fillRect(Math.round(innerX + innerW / 2), top, 1, bottom - top);
+          ctx.globalAlpha = 1;
+
+          const pTop = mediaToBitmap(priceToY(poc.price + half), pixelRatio);
+          const pBottom = mediaToBitmap(priceToY(poc.price - half), pixelRatio);
+          ctx.strokeStyle = t.pocColor;
+          ctx.lineWidth = Math.max(1, Math.round(pixelRatio));
+          ctx.strokeRect(innerX + 0.5, pTop + 0.5, innerW - 1, pBottom - pTop - 1);
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Horizontal volume profile: anchored to the right edge of the plot
+ * for the visible range, or to a session's first bar for session
+ * profiles. Value-area rows are drawn stronger; POC, VAH and VAL get
+ * lines across the area with labels.
+ *
+ * @param {Object} [theme]
+ * @returns {{ setTheme: Function, draw: Function }}
+ */
+export function createVolumeProfileRenderer(theme) {
+  let t = { ...DEFAULT_THEME, ...theme };
+
+  return {
+    setTheme(next) { t = { ...DEFAULT_THEME, ...next }; },
+
+    /**
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} params
+     * @param {Object} params.profile      - buildVolumeProfile() result
+     * @param {Function} params.priceToY
+     * @param {number} params.pixelRatio
+     * @param {number} params.bitmapWidth  - Right edge of the profile area (bitmap px)
+     * @param {number} [params.left=0]     - Left edge of the profile area (bitmap px)
+     * @param {'left'|'right'} [params.align='right'] - Edge the rows grow from
+     * @param {number} [params.widthPct=0.25] - Max row length as a share of the area
+     */
+    draw(ctx, { profile, priceToY, pixelRatio, bitmapWidth, left = 0, align = 'right', widthPct = 0.25 }) {
+      if (!profile?.levels?.length) return;
+
+      const maxLen = (bitmapWidth - left) * widthPct;
+      const right = bitmapWidth;
+      const half = (profile.rowSize || 0) / 2;
+      let maxVol = 0;
+      for (const lv of profile.levels) if (lv.totalVol > maxVol) maxVol = lv.totalVol;
+      if (!maxVol) return;
+
+      for (const lv of profile.levels) {
+        const top = mediaToBitmap(priceToY(lv.price + half), pixelRatio);
+        const bottom = mediaToBitmap(priceToY(lv.price - half), pixelRatio);
+        const h = Math.max(1, bottom - top - 1);
+        const len = Math.max(1, Math.round(maxLen * lv.totalVol / maxVol));
+        const askLen = Math.round(len * (lv.askVol / (lv.totalVol || 1)));
+        const inValue = profile.val != null && lv.price >= profile.val && lv.price <= profile.vah;
+        const alpha = lv.price === profile.poc ? 0.85 : inValue ? 0.5 : 0.2;
+
+        const x0 = align === 'left' ? left : right - len;
+        ctx.fillStyle = _withAlpha(t.candleUp, alpha);
+        ctx.fillRect(x0, top, askLen, h);
+        ctx.fillStyle = _withAlpha(t.candleDown, alpha);
+        ctx.fillRect(x0 + askLen, top, len - askLen, h);
+      }
+
+      const fontPx = Math.round(10 * pixelRatio);
+      ctx.font = `${fontPx}px Arial`;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'bottom';
+      ctx.lineWidth = Math.max(1, Math.round(pixelRatio));
+
+      const levelLine = (price, label, color, dash) => {
+        if (price == null) return;
+        const y = mediaToBitmap(priceToY(price), pixelRatio) + 0.5;
+        ctx.strokeStyle = color;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        ctx.moveTo(left, y);
+        ctx.lineTo(right, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = color;
+        ctx.fillText(label, left + 4 * pixelRatio, y - 2 * pixelRatio);
+      };
+
+      const dash = [Math.round(4 * pixelRatio), Math.round(4 * pixelRatio)];
+      levelLine(profile.vah, 'VAH', t.valueAreaColor, dash);
+      levelLine(profile.val, 'VAL', t.valueAreaColor, dash);
+      levelLine(profile.poc, 'POC', t.pocColor, []);
+    },
+  };
+}
+
+/**
+ * Delta strip: per-bar delta as a histogram, or cumulative delta as a
+ * line. Scales to its own min/max with a zero line.
+ *
+ * @param {Object} [theme]
+ * @returns {{ setTheme: Function, draw: Function }}
+ */
+export function createDeltaPaneRenderer(theme) {
+  let t = { ...DEFAULT_THEME, ...theme };
+
+  return {
+    setTheme(next) { t = { ...DEFAULT_THEME, ...next }; },
+
+    /**
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} params
+     * @param {number[]} params.values     - Aligned with visible bars (NaN = no data)
+     * @param {'delta'|'cumulative'} [params.mode='delta']
+     * @param {number} params.startIdx
+     * @param {number} params.firstVisibleIdx
+     * @param {number} params.barSpacing
+     * @param {number} params.pixelRatio
+     * @param {number} params.top          - Strip top (bitmap px)
+     * @param {number} params.height       - Strip height (bitmap px)
+     * @param {number} params.bitmapWidth
+     */
+    draw(ctx, { values, mode = 'delta', startIdx, firstVisibleIdx, barSpacing, pixelRatio, top, height, bitmapWidth }) {
+      ctx.fillStyle = _withAlpha(t.textSecondary, 0.25);
+      ctx.fillRect(0, top, bitmapWidth, Math.max(1, Math.round(pixelRatio)));
+      if (!values?.length) return;
+
+      let min = 0, max = 0, last = NaN;
+      for (const v of values) {
+        if (!Number.isFinite(v)) continue;
+        if (v < min) min = v;
+        if (v > max) max = v;
+        last = v;
+      }
+
+      const pad = Math.round(4 * pixelRatio);
+      const span = max - min || 1;
+      const yOf = (v) => Math.round(top + pad + (max - v) / span * (height - 2 * pad));
+      const zeroY = yOf(0);
+
+      ctx.fillStyle = _withAlpha(t.textSecondary, 0.4);
+      ctx.fillRect(0, zeroY, bitmapWidth, 1);
+
+      if (mode === 'cumulative') {
+        ctx.strokeStyle = Number.isFinite(last) && last < 0 ? t.candleDown : t.candleUp;
+        ctx.lineWidth = Math.max(1, Math.round(1.5 * pixelRatio));
+        ctx.beginPath();
+        let drawing = false;
+        for (let i = 0; i < values.length; i++) {
+          if (!Number.isFinite(values[i])) { drawing = false; continue; }
+          const x = Math.round((startIdx + i - firstVisibleIdx + 0.5) * barSpacing * pixelRatio);
+          if (drawing) ctx.lineTo(x, yOf(values[i]));
+          else ctx.moveTo(x, yOf(values[i]));
+          drawing = true;
+        }
+        ctx.stroke();
+      } else {
+        const bodyW = Math.max(1, barSpacing * 0.6);
+        for (let i = 0; i < values.length; i++) {
+          const v = values[i];
+          if (!Number.isFinite(v) || v === 0) continue;
+          const x = (startIdx + i - firstVisibleIdx + 0.5) * barSpacing;
+          const box = positionsBox(x, bodyW, pixelRatio);
+          const y = yOf(v);
+          ctx.fillStyle = v > 0 ? t.candleUp : t.candleDown;
+          ctx.fillRect(box.position, Math.min(y, zeroY), box.length, Math.max(1, Math.abs(zeroY - y)));
+        }
+      }
+
+      ctx.font = `${Math.round(10 * pixelRatio)}px Arial`;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = t.textSecondary;
+      const label = mode === 'cumulative' ? 'CVD' : 'Delta';
+      ctx.fillText(Number.isFinite(last) ? `${label} ${formatFlow(last)}` : label, Math.round(6 * pixelRatio), top + pad);
+    },
+  };
+}
+
+export { formatFlow };
@@ -4,7 +4,8 @@
 // 4.4: Compare performance across periods (this week vs last, etc.)
 // 4.6: Compare equity curve against SPY benchmark
 //
-// Pure functions — no side effects.
+// Pure functions — no side effects. Every entry point accepts an
+// optional account scope (see Accounts.js) as its last argument.
 //
 // Usage:
 //   import { comparePeriods, computeEquityCurve } from './PerformanceCompare.js';
@@ -12,6 +13,8 @@
 //   const equity = computeEquityCurve(trades);
 // ═══════════════════════════════════════════════════════════════════
 
+import { scopeTrades } from './Accounts.js';
+
 function safeDiv(a, b) { return b === 0 ? 0 : a / b; }
 function pct(n, d) { return d === 0 ? 0 : (n / d) * 100; }
 
@@ -138,9 +141,11 @@ function computePeriodStats(trades, start, end) {
  *
  * @param {Object[]} trades - All trades
  * @param {'week'|'month'|'quarter'|'year'} period
+ * @param {null|string|string[]} [accounts] - Account scope (default: all)
  * @returns {Object} { current, previous, deltas }
  */
-export function comparePeriods(trades, period = 'week') {
+export function comparePeriods(trades, period = 'week', accounts = null) {
+  trades = scopeTrades(trades, accounts);
   const currentRange = getPeriodRange(period, 0);
   const previousRange = getPeriodRange(period, -1);
 
@@ -178,10 +183,12 @@ export function comparePeriods(trades, period = 'week') {
  *
  * @param {Object[]} trades
  * @param {number} [startingEquity=0]
+ * @param {null|string|string[]} [accounts] - Account scope (default: all)
  * @returns {Object[]}
  */
-export function computeEquityCurve(trades, startingEquity = 0) {
-  if (!trades?.length) return [];
+export function computeEquityCurve(trades, startingEquity = 0, accounts = null) {
+  trades = scopeTrades(trades, accounts);
+  if (!trades.length) return [];
 
   const sorted = [...trades].sort((a, b) => new Date(a.date) - new Date(b.date));
   const curve = [];
@@ -219,10 +226,12 @@ export function computeEquityCurve(trades, startingEquity = 0) {
 /**
  * Compute streak data for calendar heatmap visualization.
  * @param {Object[]} trades
+ * @param {null|string|string[]} [accounts] - Account scope (default: all)
  * @returns {Object} Map of date → { pnl, count, winRate }
  */
-export function computeCalendarData(trades) {
-  if (!trades?.length) return {};
+export function computeCalendarData(trades, accounts = null) {
+  trades = scopeTrades(trades, accounts);
+  if (!trades.length) return {};
 
   const byDay = {};
   for (const t of trades) {
@@ -0,0 +1,262 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Bar Resampler
+// Builds any timeframe from a finer base series, so charts aren't
+// limited to the resolutions a provider serves (3m, 7m, 2h, 3D, 15s…).
+//
+//   planResolution   — native fetch, or which supported base to resample
+//   sessionBucket    — bucket start in an exchange time zone / session
+//   createResampler  — incremental: history and live base updates go
+//                      through the same fold, so the partial bar is
+//                      always the exact aggregate of its base bars
+//   resampleBars     — one-shot over a sorted base series
+//
+// Sessions: buckets are anchored to the session open in the exchange
+// time zone and never span it. Intraday buckets count from the open
+// (09:30 open + 2h → 09:30, 11:30, 13:30 …), daily bars run open to
+// open (CME 17:00 Chicago → Monday's bar starts Sunday 17:00), and
+// weekly/monthly bars group trading days. Without a session, buckets
+// are UTC midnight-anchored.
+// ═══════════════════════════════════════════════════════════════════
+
+import { parseTimeframe } from '../../engine/MultiTimeframe.js';
+
+const MIN = 60_000;
+const DAY = 86_400_000;
+
+/**
+ * @typedef {Object} SessionSpec
+ * @property {string} [timeZone='UTC'] - IANA zone of the exchange ('America/Chicago')
+ * @property {string} [start='00:00']  - Session open, local 'HH:MM'. Opens after
+ *                                       noon belong to the next trading day.
+ */
+
+// ─── Time Zones ─────────────────────────────────────────────────
+
+const _formatters = new Map();
+const _offsetCache = new Map();
+
+/**
+ * UTC offset of a time zone at an instant, in ms (local = utc + offset).
+ * Cached per zone and hour.
+ *
+ * @param {number} time
+ * @param {string} [timeZone]
+ * @returns {number}
+ */
+export function tzOffset(time, timeZone) {
+  if (!timeZone || timeZone === 'UTC' || timeZone === 'Etc/UTC') return 0;
+  const hour = Math.floor(time / 3_600_000);
+  const key = `${timeZone}|${hour}`;
+  if (_offsetCache.has(key)) return _offsetCache.get(key);
+
+  let fmt = _formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+    });
+    _formatters.set(timeZone, fmt);
+  }
+  const p = Object.fromEntries(fmt.formatToParts(new Date(time)).map((x) => [x.type, x.value]));
+  const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  const offset = asUtc - (time - (time % 1000));
+
+  if (_offsetCache.size > 5000) _offsetCache.clear();
+  _offsetCache.set(key, offset);
+  return offset;
+}
+
+/**
+ * Session open as a shift from local midnight of the trading day.
+ * '17:00' → -7h (previous evening), '09:30' → +9.5h.
+ * @param {SessionSpec} [session]
+ * @returns {number}
+ */
+function sessionShift(session) {
+  const m = String(session?.start || '00:00').match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return 0;
+  const ms = (+m[1] * 60 + +m[2]) * MIN;
+  return ms > DAY / 2 ? ms - DAY : ms;
+}
+
+// ─── Buckets ────────────────────────────────────────────────────
+
+/**
+ * Start (UTC ms) of the `tf` bucket containing `time`.
+ *
+ * @param {number} time
+ * @param {string} tf
+ * @param {SessionSpec} [session]
+ * @returns {number}
+ */
+export function sessionBucket(time, tf, session) {
+  const p = parseTimeframe(tf);
+  if (!p) return time;
+  const offset = tzOffset(time, session?.timeZone);
+  const shift = sessionShift(session);
+  const local = time + offset;
+
+  // Trading day number (local days since epoch) and its session open
+  const day = Math.floor((local - shift) / DAY);
+  const open = day * DAY + shift;
+
+  let startLocal;
+  if (p.unit === 'D') startLocal = Math.floor(day / p.n) * p.n * DAY + shift;
+  else if (p.unit === 'W') {
+    // Epoch day 0 was a Thursday; weeks start on Monday
+    const monday = day - ((day + 3) % 7);
+    const week = Math.floor((monday + 3) / 7);
+    startLocal = (Math.floor(week / p.n) * p.n * 7 - 3) * DAY + shift;
+  } else if (p.unit === 'M') {
+    const d = new Date(day * DAY);
+    const months = d.getUTCFullYear() * 12 + d.getUTCMonth();
+    const first = Math.floor(months / p.n) * p.n;
+    startLocal = Date.UTC(Math.floor(first / 12), first % 12, 1) + shift;
+  } else {
+    startLocal = open + Math.floor((local - open) / p.ms) * p.ms;
+  }
+
+  // Back to UTC with the offset in force at the bucket start
+  return startLocal - tzOffset(startLocal - offset, session?.timeZone);
+}
+
+// ─── Planning ───────────────────────────────────────────────────
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+/**
+ * Decide how to serve `resolution`: natively, or resampled from the
+ * coarsest supported base that fits inside its buckets.
+ *
+ * @param {string} resolution
+ * @param {string[]} supported - Resolutions the feed serves natively
+ * @param {SessionSpec} [session]
+ * @returns {{ resolution: string, base: string, native: boolean } | null}
+ *          null when no supported base can build it
+ */
+export function planResolution(resolution, supported, session) {
+  const target = parseTimeframe(resolution);
+  if (!target) return null;
+
+  // Base bars start on UTC boundaries; they fit the buckets only if
+  // the session open and the zone's offsets (summer and winter) are
+  // multiples of them.
+  const now = Date.now();
+  let align = DAY;
+  for (const x of [sessionShift(session), tzOffset(now, session?.timeZone), tzOffset(now + 182 * DAY, session?.timeZone)]) {
+    align = gcd(align, Math.abs(x));
+  }
+  const calendarAligned = align === DAY;
+  if (target.ms < DAY) align = gcd(align, target.ms);
+
+  const candidates = (supported || [])
+    .map((r) => ({ r, p: parseTimeframe(r) }))
+    .filter(({ p }) => p && p.ms <= target.ms)
+    .sort((a, b) => b.p.ms - a.p.ms);
+
+  for (const { r, p } of candidates) {
+    const same = p.ms === target.ms && p.unit === target.unit;
+    if (same && (target.ms < DAY ? align % p.ms === 0 : calendarAligned)) {
+      return { resolution, base: r, native: true };
+    }
+    if (p.unit === 'D' || p.unit === 'W' || p.unit === 'M') {
+      // Only UTC daily bars roll up into UTC-aligned calendar targets
+      if (target.ms < DAY || !calendarAligned || p.n !== 1 || p.unit !== 'D') continue;
+      return { resolution, base: r, native: false };
+    }
+    if (align % p.ms === 0) return { resolution, base: r, native: false };
+  }
+  return null;
+}
+
+// ─── Aggregation ────────────────────────────────────────────────
+
+function mergeBars(a, b) {
+  if (!a) return { ...b };
+  return {
+    time: a.time,
+    open: a.open,
+    high: Math.max(a.high, b.high),
+    low: Math.min(a.low, b.low),
+    close: b.close,
+    volume: (a.volume || 0) + (b.volume || 0),
+  };
+}
+
+/**
+ * Incremental resampler. Feed base bars in time order — including
+ * repeated updates of the newest base bar from a live stream — and
+ * get back the current `tf` bar each time.
+ *
+ * @param {string} tf
+ * @param {SessionSpec} [session]
+ * @returns {{ update: (bar: Object) => {bar: Object, isNew: boolean}|null, seed: (bars: Array) => Array, bucketStart: (time: number) => number, reset: () => void, readonly current: Object|null }}
+ */
+export function createResampler(tf, session) {
+  let bucket = null;   // Start of the open bucket
+  let closed = null;   // Aggregate of the bucket's completed base bars
+  let last = null;     // Newest (possibly still updating) base bar
+
+  function current() {
+    return last ? { ...mergeBars(closed, last), time: bucket } : null;
+  }
+
+  function update(base) {
+    if (!base || !Number.isFinite(base.time)) return null;
+    if (last && base.time < last.time) return null; // stale update
+    const b = sessionBucket(base.time, tf, session);
+    let isNew = false;
+    if (b !== bucket) {
+      bucket = b;
+      closed = null;
+      isNew = true;
+    } else if (last && base.time !== last.time) {
+      closed = mergeBars(closed, last);
+    }
+    last = base;
+    return { bar: current(), isNew };
+  }
+
+  return {
+    update,
+
+    /**
+     * Reset and fold a sorted base history.
+     * @param {Array} bars
+     * @returns {Array} Resampled bars, the last one partial
+     */
+    seed(bars) {
+      bucket = null; closed = null; last = null;
+      const out = [];
+      for (const bar of bars || []) {
+        const r = update(bar);
+        if (!r) continue;
+        if (r.isNew) out.push(r.bar);
+        else out[out.length - 1] = r.bar;
+      }
+      return out;
+    },
+
+    /** Start of the bucket containing `time`. */
+    bucketStart(time) { return sessionBucket(time, tf, session); },
+
+    reset() { bucket = null; closed = null; last = null; },
+
+    get current() { return current(); },
+  };
+}
+
+/**
+ * Resample a sorted base series.
+ * @param {Array} bars
+ * @param {string} tf
+ * @param {SessionSpec} [session]
+ * @returns {Array}
+ */
+export function resampleBars(bars, tf, session) {
+  return createResampler(tf, session).seed(bars);
+}
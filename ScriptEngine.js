@@ -15,12 +15,21 @@
 //   Math:    sma(), ema(), wma(), rsi(), atr(), stdev(), min(), max()
 //   Output:  plot(values, opts), band(upper, lower, opts), hline(price, opts)
 //   Params:  param(name, default) — declares configurable parameters
+//   MTF:     security(tf, series) — series on a higher timeframe,
+//            aligned to the chart bars without lookahead. `series` is
+//            a field name ('close') or (d) => values, where d holds
+//            bars/open/high/low/close/volume of that timeframe.
+//   Strategy: strategy.entry('long'|'short', when, opts),
+//             strategy.exit([direction,] when, opts)
+//             — emit order signals for Backtester.js. `when` is a
+//             boolean array (one per bar) or a single bar index.
 //
 // Output shape (matches compInd result format):
 //   { type: 'line'|'band'|'histogram', data: [...], color, label }
 // ═══════════════════════════════════════════════════════════════════
 
 import { Calc } from './Calc.js';
+import { computeOnTimeframe, isHigherTimeframe, parseTimeframe } from './MultiTimeframe.js';
 
 // ─── Execution Limits ─────────────────────────────────────────
 const MAX_EXEC_MS = 200;    // Hard timeout
@@ -50,13 +59,17 @@ const BLOCKED = [
  * @param {string} code - User's script source
  * @param {Object[]} bars - Array of { open, high, low, close, volume, time }
  * @param {Object} [userParams={}] - User-overridden parameter values
- * @returns {{ outputs: Array, params: Object, error: string|null, execMs: number }}
+ * @param {Object} [options]
+ * @param {string} [options.timeframe] - Chart timeframe (for security())
+ * @param {Object} [options.series]    - { [timeframe]: bars } fetched HTF history;
+ *                                       missing timeframes are aggregated from `bars`
+ * @returns {{ outputs: Array, signals: Array, params: Object, timeframes: string[], error: string|null, execMs: number }}
  */
-export function executeScript(code, bars, userParams = {}) {
+export function executeScript(code, bars, userParams = {}, options = {}) {
   const startMs = performance.now();
 
   if (!code || !bars?.length) {
-    return { outputs: [], params: {}, error: null, execMs: 0 };
+    return { outputs: [], signals: [], params: {}, timeframes: [], error: null, execMs: 0 };
   }
 
   // Build convenience arrays
@@ -70,8 +83,50 @@ export function executeScript(code, bars, userParams = {}) {
   // Collect outputs and declared params
   const outputs = [];
   const declaredParams = {};
+  const signals = [];
+  const timeframes = new Set();
   let loopCount = 0;
 
+  // Resolve a per-bar option (number or series) at a bar index
+  const valueAt = (v, i) => {
+    const x = Array.isArray(v) ? v[i] : v;
+    return Number.isFinite(x) ? x : null;
+  };
+
+  // Record strategy signals for every bar where `when` is truthy
+  const addSignals = (action, direction, when, opts = {}) => {
+    if (direction != null) {
+      direction = direction === 'buy' ? 'long' : direction === 'sell' ? 'short' : direction;
+      if (direction !== 'long' && direction !== 'short') {
+        throw new Error(`strategy.${action}: direction must be 'long' or 'short'`);
+      }
+    }
+    const idxs = Array.isArray(when)
+      ? when.reduce((acc, v, i) => (v ? (acc.push(i), acc) : acc), [])
+      : Number.isInteger(when) ? [when] : [];
+
+    for (const barIdx of idxs) {
+      if (barIdx < 0 || barIdx >= barCount) continue;
+      signals.push({
+        action,
+        direction,
+        barIdx,
+        qty: valueAt(opts.qty, barIdx),
+        stop: valueAt(opts.stop, barIdx),
+        limit: valueAt(opts.limit, barIdx),
+        comment: opts.comment || '',
+      });
+      outputs.push({
+        type: 'marker',
+        barIdx,
+        shape: action === 'entry' ? 'triangle' : 'circle',
+        color: action === 'exit' ? '#8b8fa3' : direction === 'long' ? '#22c55e' : '#ef4444',
+        position: (action === 'entry') === (direction === 'long') ? 'below' : 'above',
+        label: opts.comment || '',
+      });
+    }
+  };
+
   // ─── Script API Functions ───────────────────────────────
   const api = {
     // Data access
@@ -155,6 +210,49 @@ export function executeScript(code, bars, userParams = {}) {
       });
     },
 
+    // ─── Multi-Timeframe ──────────────────────────────────
+    security: (tf, series, opts = {}) => {
+      if (!parseTimeframe(tf)) throw new Error(`security: unknown timeframe '${tf}'`);
+      const field = typeof series === 'string' ? series : null;
+      if (field && !['open', 'high', 'low', 'close', 'volume', 'time'].includes(field)) {
+        throw new Error(`security: unknown series '${field}'`);
+      }
+      if (!field && typeof series !== 'function') {
+        throw new Error('security: series must be a field name or a function');
+      }
+      const compute = (src) => {
+        if (field) return src.map((b) => b[field]);
+        const d = {
+          bars: src,
+          open: src.map((b) => b.open),
+          high: src.map((b) => b.high),
+          low: src.map((b) => b.low),
+          close: src.map((b) => b.close),
+          volume: src.map((b) => b.volume),
+          time: src.map((b) => b.time),
+          barCount: src.length,
+        };
+        return series(d);
+      };
+      // Same or lower timeframe than the chart: just the chart's own series
+      if (options.timeframe && !isHigherTimeframe(tf, options.timeframe)) return compute(bars);
+      timeframes.add(tf);
+      return computeOnTimeframe(compute, bars, {
+        timeframe: tf,
+        baseTf: options.timeframe,
+        htfBars: options.series?.[tf],
+        lookahead: !!opts.lookahead,
+        fill: null,
+      });
+    },
+
+    // ─── Strategy Signals ─────────────────────────────────
+    strategy: {
+      entry: (direction, when, opts) => addSignals('entry', direction, when, opts),
+      // exit(when, opts) closes any position; exit('long', when, opts) only longs
+      exit: (a, b, c) => (typeof a === 'string' ? addSignals('exit', a, b, c) : addSignals('exit', null, a, b)),
+    },
+
     // ─── Math Utilities ───────────────────────────────────
     sma: (data, period) => Calc.sma(data, period),
     ema: (data, period) => Calc.ema(data, period),
@@ -260,17 +358,21 @@ export function executeScript(code, bars, userParams = {}) {
     if (execMs > MAX_EXEC_MS) {
       return {
         outputs: [],
+        signals: [],
         params: declaredParams,
+        timeframes: [...timeframes],
         error: `Script exceeded ${MAX_EXEC_MS}ms timeout (took ${execMs.toFixed(0)}ms)`,
         execMs,
       };
     }
 
-    return { outputs, params: declaredParams, error: null, execMs };
+    return { outputs, signals, params: declaredParams, timeframes: [...timeframes], error: null, execMs };
   } catch (err) {
     return {
       outputs: [],
+      signals: [],
       params: declaredParams,
+      timeframes: [...timeframes],
       error: err.message || 'Unknown script error',
       execMs: performance.now() - startMs,
     };
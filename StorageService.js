@@ -6,6 +6,7 @@
 // ═══════════════════════════════════════════════════════════════════
 
 import { STORAGE_KEY } from '../constants.js';
+import { blobToDataURL, dataURLToBlob, makeThumbnail } from '../utils/attachments.js';
 
 // ─── IndexedDB wrapper (Dexie-compatible subset) ────────────────
 class MiniDB {
@@ -14,6 +15,7 @@ class MiniDB {
     this._stores = {};
     this._db = null;
     this._ready = null;
+    this._upgrade = null;
     this._useIDB = typeof indexedDB !== 'undefined';
   }
 
@@ -23,6 +25,10 @@ class MiniDB {
       stores: (schema) => {
         this._schema = schema;
         this._ready = this._open();
+        return {
+          /** (tx, oldVersion) => void — migrate rows inside the IndexedDB upgrade transaction */
+          upgrade: (fn) => { this._upgrade = fn; },
+        };
       },
     };
   }
@@ -57,6 +63,7 @@ class MiniDB {
             }
           }
         }
+        if (this._upgrade && e.oldVersion > 0) this._upgrade(e.target.transaction, e.oldVersion);
       };
 
       req.onsuccess = (e) => {
@@ -284,14 +291,47 @@ class TableAccessor {
 // ─── Database Instance ──────────────────────────────────────────
 const db = new MiniDB(STORAGE_KEY);
 
-db.version(2).stores({
-  trades: '&id, date, symbol, playbook',
+db.version(7).stores({
+  trades: '&id, date, symbol, playbook, accountId',
   playbooks: '&id, name',
   notes: '&id, date',
   tradePlans: '&id, date',
   settings: '&key',
+  drawings: '&symbol',
+  barSeries: '&id',
+  barChunks: '&id, series',
+  attachments: '&id, tradeId',
+  attachmentBlobs: '&id',
+}).upgrade((tx, oldVersion) => {
+  if (oldVersion >= 7) return;
+  // v7: full images move out of attachment rows into attachmentBlobs
+  const blobs = tx.objectStore('attachmentBlobs');
+  tx.objectStore('attachments').openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    const { blob, ...meta } = cursor.value;
+    if (blob) {
+      blobs.put({ id: meta.id, blob });
+      cursor.update(meta);
+    }
+    cursor.continue();
+  };
 });
 
+/**
+ * Store an attachment: full image in attachmentBlobs, the rest (with
+ * thumbnail) in attachments. Image first, so a listed row always has one.
+ */
+async function putAttachment({ blob, ...meta }) {
+  await db.table('attachmentBlobs').put({ id: meta.id, blob });
+  await db.table('attachments').put(meta);
+}
+
+async function deleteAttachment(id) {
+  await db.table('attachments').delete(id);
+  await db.table('attachmentBlobs').delete(id);
+}
+
 // ─── StorageService API ─────────────────────────────────────────
 const StorageService = {
   trades: {
@@ -421,6 +461,168 @@ const StorageService = {
     },
   },
 
+  // Chart drawings, one row per symbol: { symbol, json, updatedAt }
+  // (json = DrawingModel.serializeDrawings output)
+  drawings: {
+    async get(symbol) {
+      try {
+        const row = await db.table('drawings').get(symbol);
+        return { ok: true, data: row?.json ?? null };
+      } catch (e) { return { ok: false, data: null, error: e.message }; }
+    },
+    async put(symbol, json) {
+      try {
+        await db.table('drawings').put({ symbol, json, updatedAt: Date.now() });
+        return { ok: true };
+      } catch (e) {
+        if (e.isQuotaError) return { ok: false, error: e.message, quotaExceeded: true };
+        return { ok: false, error: e.message };
+      }
+    },
+    async delete(symbol) {
+      try { await db.table('drawings').delete(symbol); return { ok: true }; }
+      catch (e) { return { ok: false, error: e.message }; }
+    },
+    async symbols() {
+      try {
+        const rows = await db.table('drawings').getAll();
+        return { ok: true, data: rows.map((r) => r.symbol) };
+      } catch (e) { return { ok: false, data: [], error: e.message }; }
+    },
+  },
+
+  // Imported historical bars (LocalFileFeed). A series is one
+  // symbol + resolution; its bars are stored in time-ordered chunks.
+  bars: {
+    async listSeries() {
+      try { const data = await db.table('barSeries').getAll(); return { ok: true, data }; }
+      catch (e) { return { ok: false, data: [], error: e.message }; }
+    },
+    async getChunks(seriesId) {
+      try {
+        const data = await db.table('barChunks').where('series', seriesId);
+        data.sort((a, b) => a.start - b.start);
+        return { ok: true, data };
+      } catch (e) { return { ok: false, data: [], error: e.message }; }
+    },
+    /** Replace a series: old chunks are dropped, then chunks and meta written */
+    async putSeries(meta, chunks) {
+      try {
+        const old = await db.table('barChunks').where('series', meta.id);
+        for (const c of old) await db.table('barChunks').delete(c.id);
+        await db.table('barChunks').bulkPut(chunks);
+        await db.table('barSeries').put(meta);
+        return { ok: true };
+      } catch (e) {
+        if (e.isQuotaError) return { ok: false, error: e.message, quotaExceeded: true };
+        return { ok: false, error: e.message };
+      }
+    },
+    async deleteSeries(seriesId) {
+      try {
+        const chunks = await db.table('barChunks').where('series', seriesId);
+        for (const c of chunks) await db.table('barChunks').delete(c.id);
+        await db.table('barSeries').delete(seriesId);
+        return { ok: true };
+      } catch (e) { return { ok: false, error: e.message }; }
+    },
+  },
+
+  // Trade attachments (pasted/dropped images, chart snapshots), one row
+  // each: { id, tradeId, name, type, size, source, createdAt, thumb };
+  // the full image lives in attachmentBlobs ({ id, blob }) so listing
+  // and usage never read it. size counts blob + thumb bytes.
+  attachments: {
+    /** All rows with thumbnails but without full images */
+    async list() {
+      try { const data = await db.table('attachments').getAll(); return { ok: true, data }; }
+      catch (e) { return { ok: false, data: [], error: e.message }; }
+    },
+    /** One row with its full image (blob) */
+    async get(id) {
+      try {
+        const meta = await db.table('attachments').get(id);
+        if (!meta) return { ok: true, data: null };
+        const stored = await db.table('attachmentBlobs').get(id);
+        return { ok: true, data: { ...meta, blob: stored?.blob || null } };
+      } catch (e) { return { ok: false, data: null, error: e.message }; }
+    },
+    /** A trade's rows, oldest first, without full images */
+    async forTrade(tradeId) {
+      try {
+        const data = await db.table('attachments').where('tradeId', tradeId);
+        data.sort((a, b) => a.createdAt - b.createdAt);
+        return { ok: true, data };
+      } catch (e) { return { ok: false, data: [], error: e.message }; }
+    },
+    async put(row) {
+      try {
+        await putAttachment(row);
+        return { ok: true };
+      } catch (e) {
+        if (e.isQuotaError) return { ok: false, error: e.message, quotaExceeded: true };
+        return { ok: false, error: e.message };
+      }
+    },
+    async delete(id) {
+      try { await deleteAttachment(id); return { ok: true }; }
+      catch (e) { return { ok: false, error: e.message }; }
+    },
+    async deleteForTrade(tradeId) {
+      try {
+        const rows = await db.table('attachments').where('tradeId', tradeId);
+        for (const r of rows) await deleteAttachment(r.id);
+        return { ok: true, data: rows.length };
+      } catch (e) { return { ok: false, data: 0, error: e.message }; }
+    },
+    /** { count, bytes } stored */
+    async usage() {
+      try {
+        const rows = await db.table('attachments').getAll();
+        return { ok: true, data: { count: rows.length, bytes: rows.reduce((s, r) => s + (r.size || 0), 0) } };
+      } catch (e) { return { ok: false, data: { count: 0, bytes: 0 }, error: e.message }; }
+    },
+    /**
+     * Serializable copies for JSON backups: full image as a data URL,
+     * thumbnails dropped (rebuilt on import).
+     * @param {string[]} [tradeIds] - Only these trades' attachments
+     */
+    async exportAll(tradeIds) {
+      try {
+        const keep = tradeIds ? new Set(tradeIds) : null;
+        const rows = (await db.table('attachments').getAll()).filter((r) => !keep || keep.has(r.tradeId));
+        const data = [];
+        for (const { thumb: _thumb, ...meta } of rows) {
+          const stored = await db.table('attachmentBlobs').get(meta.id);
+          if (stored?.blob) data.push({ ...meta, data: await blobToDataURL(stored.blob) });
+        }
+        return { ok: true, data };
+      } catch (e) { return { ok: false, data: [], error: e.message }; }
+    },
+    /**
+     * Restore attachments from exportAll() output.
+     * @param {Object[]} records
+     */
+    async importAll(records) {
+      try {
+        let count = 0;
+        for (const { data, ...meta } of records || []) {
+          const blob = dataURLToBlob(data);
+          if (!blob || !meta.id || !meta.tradeId) continue;
+          const thumb = await makeThumbnail(blob);
+          await putAttachment({
+            ...meta, blob, thumb, size: blob.size + (thumb?.size || 0),
+          });
+          count++;
+        }
+        return { ok: true, data: count };
+      } catch (e) {
+        if (e.isQuotaError) return { ok: false, data: 0, error: e.message, quotaExceeded: true };
+        return { ok: false, data: 0, error: e.message };
+      }
+    },
+  },
+
   async clearAll() {
     try {
       await Promise.all([
@@ -429,6 +631,11 @@ const StorageService = {
         db.table('notes').clear(),
         db.table('tradePlans').clear(),
         db.table('settings').clear(),
+        db.table('drawings').clear(),
+        db.table('barSeries').clear(),
+        db.table('barChunks').clear(),
+        db.table('attachments').clear(),
+        db.table('attachmentBlobs').clear(),
       ]);
       return { ok: true };
     } catch (e) { return { ok: false, error: e.message }; }
@@ -442,6 +649,13 @@ const StorageService = {
     } catch (e) { return { ok: false, data: [], error: e.message }; }
   },
 
+  async getTradesByAccount(accountId) {
+    try {
+      const data = await db.table('trades').where('accountId', accountId);
+      return { ok: true, data };
+    } catch (e) { return { ok: false, data: [], error: e.message }; }
+  },
+
   async getTradesByDateRange(from, to) {
     try {
       const data = await db.table('trades').whereRange('date', from, to);
@@ -452,27 +666,29 @@ const StorageService = {
   // ─── Quota Management ────────────────────────────────────
 
   /**
-   * Check storage quota usage. Returns { used, quota, percent }.
-   * Only works in browsers with StorageManager API.
+   * Check storage quota usage. Returns { used, quota, percent, attachments }.
+   * used/quota only work in browsers with StorageManager API;
+   * attachments ({ count, bytes }) is always reported.
    */
   async checkQuota() {
+    const attachments = (await this.attachments.usage()).data;
     if (typeof navigator === 'undefined' || !navigator.storage?.estimate) {
-      return { ok: true, data: { used: 0, quota: 0, percent: 0, available: true } };
+      return { ok: true, data: { used: 0, quota: 0, percent: 0, available: true, attachments } };
     }
     try {
       const est = await navigator.storage.estimate();
       const used = est.usage || 0;
       const quota = est.quota || 0;
       const percent = quota > 0 ? Math.round((used / quota) * 100) : 0;
-      return { ok: true, data: { used, quota, percent, available: percent < 95 } };
+      return { ok: true, data: { used, quota, percent, available: percent < 95, attachments } };
     } catch (e) {
-      return { ok: false, data: { used: 0, quota: 0, percent: 0, available: true }, error: e.message };
+      return { ok: false, data: { used: 0, quota: 0, percent: 0, available: true, attachments }, error: e.message };
     }
   },
 
   /**
    * Emergency cleanup when quota is near-full.
-   * Removes oldest trades (by date) to free space.
+   * Removes oldest trades (by date) and their attachments to free space.
    * @param {number} targetPercent - Reduce to this % of quota (default: 70)
    */
   async quotaRecovery(targetPercent = 70) {
@@ -501,8 +717,21 @@ const StorageService = {
         await db.table('trades').delete(trade.id);
       }
 
-      console.warn(`[StorageService] Quota recovery: removed ${removeCount} oldest trades`);
-      return { ok: true, freed: removeCount, message: `Removed ${removeCount} oldest trades` };
+      // Their attachments go too (usually most of the bytes)
+      const removedIds = new Set(toRemove.map((t) => t.id));
+      let attachmentsRemoved = 0;
+      let attachmentBytes = 0;
+      for (const a of await db.table('attachments').getAll()) {
+        if (!removedIds.has(a.tradeId)) continue;
+        await deleteAttachment(a.id);
+        attachmentsRemoved++;
+        attachmentBytes += a.size || 0;
+      }
+
+      const message = `Removed ${removeCount} oldest trades`
+        + (attachmentsRemoved ? ` and ${attachmentsRemoved} attachments (${Math.round(attachmentBytes / 1024)} KB)` : '');
+      console.warn(`[StorageService] Quota recovery: ${message.toLowerCase()}`);
+      return { ok: true, freed: removeCount, attachmentsRemoved, attachmentBytes, message };
     } catch (e) {
       return { ok: false, freed: 0, error: e.message };
     }
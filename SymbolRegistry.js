@@ -22,6 +22,8 @@
  * @property {string} [currency] - Quote currency
  * @property {boolean} [realtime] - Supports WebSocket streaming
  * @property {string} [wsSymbol] - Symbol format for WebSocket subscriptions
+ * @property {string} [calendar] - Trading calendar id (see engine/SessionCalendar.js)
+ * @property {string} [root] - Futures root for contract codes and rolls (e.g. 'ES')
  */
 
 // ─── Built-in Symbol Catalog ────────────────────────────────────
@@ -39,7 +41,7 @@ const CRYPTO_PAIRS = [
   { symbol: 'MATICUSDT', displayName: 'Polygon', exchange: 'Binance', wsSymbol: 'maticusdt' },
   { symbol: 'LINKUSDT', displayName: 'Chainlink', exchange: 'Binance', wsSymbol: 'linkusdt' },
   { symbol: 'LTCUSDT', displayName: 'Litecoin', exchange: 'Binance', wsSymbol: 'ltcusdt' },
-].map(c => ({ ...c, assetClass: 'crypto', provider: 'binance', currency: 'USDT', realtime: true }));
+].map(c => ({ ...c, assetClass: 'crypto', provider: 'binance', currency: 'USDT', realtime: true, calendar: 'crypto' }));
 
 const POPULAR_STOCKS = [
   'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'NVDA', 'META', 'TSLA', 'BRK-B',
@@ -48,7 +50,7 @@ const POPULAR_STOCKS = [
   'CRM', 'CSCO', 'ACN', 'NFLX', 'AMD', 'INTC', 'QCOM', 'TXN',
 ].map(s => ({
   symbol: s, displayName: s, assetClass: 'stock', provider: 'yahoo',
-  exchange: 'NASDAQ/NYSE', currency: 'USD', realtime: false,
+  exchange: 'NASDAQ/NYSE', currency: 'USD', realtime: false, calendar: 'us_equity',
 }));
 
 const POPULAR_ETFS = [
@@ -66,7 +68,7 @@ const POPULAR_ETFS = [
   { symbol: 'VIX', displayName: 'Volatility Index' },
 ].map(e => ({
   ...e, assetClass: 'etf', provider: 'yahoo',
-  exchange: 'NYSE', currency: 'USD', realtime: false,
+  exchange: 'NYSE', currency: 'USD', realtime: false, calendar: 'us_equity',
 }));
 
 const FOREX_PAIRS = [
@@ -78,20 +80,20 @@ const FOREX_PAIRS = [
   { symbol: 'USDCHF=X', displayName: 'USD/CHF', wsSymbol: 'usdchf' },
 ].map(f => ({
   ...f, assetClass: 'forex', provider: 'yahoo',
-  exchange: 'FX', currency: 'USD', realtime: false,
+  exchange: 'FX', currency: 'USD', realtime: false, calendar: 'forex',
 }));
 
 const FUTURES = [
-  { symbol: 'ES=F', displayName: 'E-mini S&P 500' },
-  { symbol: 'NQ=F', displayName: 'E-mini Nasdaq' },
-  { symbol: 'YM=F', displayName: 'E-mini Dow' },
-  { symbol: 'RTY=F', displayName: 'E-mini Russell' },
-  { symbol: 'CL=F', displayName: 'Crude Oil' },
-  { symbol: 'GC=F', displayName: 'Gold Futures' },
-  { symbol: 'SI=F', displayName: 'Silver Futures' },
-  { symbol: 'ZB=F', displayName: 'US Treasury Bond' },
-  { symbol: 'ZN=F', displayName: '10-Year T-Note' },
-  { symbol: 'NG=F', displayName: 'Natural Gas' },
+  { symbol: 'ES=F', displayName: 'E-mini S&P 500', root: 'ES', calendar: 'cme_equity' },
+  { symbol: 'NQ=F', displayName: 'E-mini Nasdaq', root: 'NQ', calendar: 'cme_equity' },
+  { symbol: 'YM=F', displayName: 'E-mini Dow', root: 'YM', calendar: 'cme_equity' },
+  { symbol: 'RTY=F', displayName: 'E-mini Russell', root: 'RTY', calendar: 'cme_equity' },
+  { symbol: 'CL=F', displayName: 'Crude Oil', root: 'CL', calendar: 'cme_energy' },
+  { symbol: 'GC=F', displayName: 'Gold Futures', root: 'GC', calendar: 'cme_metals' },
+  { symbol: 'SI=F', displayName: 'Silver Futures', root: 'SI', calendar: 'cme_metals' },
+  { symbol: 'ZB=F', displayName: 'US Treasury Bond', root: 'ZB', calendar: 'cbot_rates' },
+  { symbol: 'ZN=F', displayName: '10-Year T-Note', root: 'ZN', calendar: 'cbot_rates' },
+  { symbol: 'NG=F', displayName: 'Natural Gas', root: 'NG', calendar: 'cme_energy' },
 ].map(f => ({
   ...f, assetClass: 'futures', provider: 'yahoo',
   exchange: 'CME', currency: 'USD', realtime: false,
@@ -14,7 +14,11 @@
 // Designed to run in a Web Worker.
 // ═══════════════════════════════════════════════════════════════════
 
-import { SCALE } from './Money.js';
+import { SCALE, normalizeCurrency, currencySymbol } from './Money.js';
+import { scopeTrades, accountIdOf } from './Accounts.js';
+import { filterTrades } from './TradeQuery.js';
+import { convertTrades } from './FxRates.js';
+import { strategyOf, daysToExpiry, dteBucket, STRATEGY_LABELS, DTE_BUCKETS } from './Options.js';
 
 const FIAT = SCALE.FIAT; // 100 — used for integer accumulation
 const toC = (v) => Math.round((v || 0) * FIAT); // float → cents
@@ -32,15 +36,38 @@ const MIN_SAMPLES = {
  * Single-pass analytics engine.
  * One iteration through trades, then derived metrics.
  *
+ * settings.accounts scopes the run to one account ID, an array of
+ * IDs, or 'all' (default). See Accounts.js.
+ *
+ * settings.baseCurrency (default 'USD') is the reporting currency.
+ * Trades in other currencies are converted with settings.fxRates on
+ * their close date; trades with no available rate are excluded and
+ * reported in warnings. See FxRates.js.
+ *
+ * settings.query (a query string) or settings.view (a saved smart view,
+ * { query }) narrows the run to matching trades first. An invalid
+ * query matches nothing. See TradeQuery.js.
+ *
  * @param {Object[]} trades
  * @param {Object} [settings={}]
  * @returns {Object|null}
  */
 function computeFast(trades, settings = {}) {
-  if (!trades?.length) return null;
   if (!settings || typeof settings !== 'object') settings = {};
+  const query = settings.view?.query ?? settings.query;
+  if (typeof query === 'string' && query.trim()) trades = filterTrades(trades, query);
+  if (settings.accounts != null) trades = scopeTrades(trades, settings.accounts);
+  if (!trades?.length) return null;
+
+  const baseCurrency = normalizeCurrency(settings.baseCurrency);
+  const fx = convertTrades(trades, baseCurrency, settings.fxRates);
+  trades = fx.trades;
+  if (!trades.length) return null;
 
   const warnings = [];
+  if (fx.excluded > 0) {
+    warnings.push({ metric: 'fx', message: `${fx.excluded} trade(s) excluded — no ${fx.missing.join('/')}→${baseCurrency} rate on file` });
+  }
   const n = trades.length;
 
   // ─── Accumulators (filled in single pass) ───────────────────
@@ -71,6 +98,9 @@ function computeFast(trades, settings = {}) {
   const emotionMap = {};
   const symbolMap = {};     // J2.1
   const assetClassMap = {}; // J2.2
+  const accountMap = {};    // per-account breakdown
+  const optStratMap = {};   // options: by strategy structure
+  const dteMap = {};        // options: by days-to-expiry at entry
   const durations = [];     // J2.3: hold durations in minutes
   const durationPnls = [];  // J2.3: paired P&L for duration correlation
   // J2.4: playbook × day-of-week matrix
@@ -162,6 +192,38 @@ function computeFast(trades, settings = {}) {
       assetClassMap[acKey].rCount++;
     }
 
+    // Account breakdown
+    const acctKey = accountIdOf(t);
+    if (!accountMap[acctKey]) accountMap[acctKey] = { pnlCents: 0, count: 0, wins: 0 };
+    accountMap[acctKey].pnlCents += pnlC;
+    accountMap[acctKey].count++;
+    if (pnlC > 0) accountMap[acctKey].wins++;
+
+    // Options: structure + DTE at entry
+    const optStrat = strategyOf(t);
+    if (optStrat) {
+      const osKey = STRATEGY_LABELS[optStrat] || optStrat;
+      if (!optStratMap[osKey]) optStratMap[osKey] = { pnlCents: 0, count: 0, wins: 0, rSum: 0, rCount: 0 };
+      optStratMap[osKey].pnlCents += pnlC;
+      optStratMap[osKey].count++;
+      if (pnlC > 0) optStratMap[osKey].wins++;
+      if (t.rMultiple != null && !isNaN(t.rMultiple)) {
+        optStratMap[osKey].rSum += t.rMultiple;
+        optStratMap[osKey].rCount++;
+      }
+      const dteKey = dteBucket(daysToExpiry(t.expiry, t.date));
+      if (dteKey) {
+        if (!dteMap[dteKey]) dteMap[dteKey] = { pnlCents: 0, count: 0, wins: 0, rSum: 0, rCount: 0 };
+        dteMap[dteKey].pnlCents += pnlC;
+        dteMap[dteKey].count++;
+        if (pnlC > 0) dteMap[dteKey].wins++;
+        if (t.rMultiple != null && !isNaN(t.rMultiple)) {
+          dteMap[dteKey].rSum += t.rMultiple;
+          dteMap[dteKey].rCount++;
+        }
+      }
+    }
+
     // J2.3: Time-in-trade duration (minutes)
     if (t.closeDate && t.date) {
       const openMs = new Date(t.date).getTime();
@@ -326,8 +388,9 @@ function computeFast(trades, settings = {}) {
 
   // ─── Insights ──────────────────────────────────────────────
   const ins = [];
-  if (expectancy > 0) ins.push({ t: 'positive', x: `Positive expectancy: $${expectancy.toFixed(0)} per trade. Your system has edge.` });
-  else if (expectancy < 0) ins.push({ t: 'warning', x: `Negative expectancy: $${expectancy.toFixed(0)} per trade. Review your strategy.` });
+  const sym = currencySymbol(baseCurrency);
+  if (expectancy > 0) ins.push({ t: 'positive', x: `Positive expectancy: ${sym}${expectancy.toFixed(0)} per trade. Your system has edge.` });
+  else if (expectancy < 0) ins.push({ t: 'warning', x: `Negative expectancy: ${sym}${expectancy.toFixed(0)} per trade. Review your strategy.` });
   if (kelly > 0.01) ins.push({ t: 'positive', x: `Continuous Kelly: ${(kelly * 100).toFixed(1)}% (return-to-variance ratio).` });
   if (ror < 5) ins.push({ t: 'positive', x: `MC Ruin (2K sims): ${ror.toFixed(1)}% at 30% DD. Sustainable.` });
   else if (ror > 30) ins.push({ t: 'warning', x: `MC Ruin (2K sims): ${ror.toFixed(1)}%. Reduce size.` });
@@ -376,6 +439,41 @@ function computeFast(trades, settings = {}) {
     };
   }
 
+  // Performance by Account
+  const byAcct = {};
+  for (const [k, v] of Object.entries(accountMap)) {
+    byAcct[k] = {
+      pnl: fromC(v.pnlCents),
+      count: v.count,
+      wins: v.wins,
+      winRate: v.count > 0 ? (v.wins / v.count * 100) : 0,
+    };
+  }
+
+  // Options breakdowns (DTE in bucket order)
+  const byOptStrat = {};
+  for (const [k, v] of Object.entries(optStratMap)) {
+    byOptStrat[k] = {
+      pnl: fromC(v.pnlCents),
+      count: v.count,
+      wins: v.wins,
+      winRate: v.count > 0 ? (v.wins / v.count * 100) : 0,
+      avgR: v.rCount > 0 ? v.rSum / v.rCount : 0,
+    };
+  }
+  const byDte = {};
+  for (const { label } of DTE_BUCKETS) {
+    const v = dteMap[label];
+    if (!v) continue;
+    byDte[label] = {
+      pnl: fromC(v.pnlCents),
+      count: v.count,
+      wins: v.wins,
+      winRate: v.count > 0 ? (v.wins / v.count * 100) : 0,
+      avgR: v.rCount > 0 ? v.rSum / v.rCount : 0,
+    };
+  }
+
   // J2.5: Rolling Performance Windows (7d, 30d, 90d)
   // Uses dailyEntries (sorted by date) to compute windowed metrics
   const rollingWindows = computeRollingWindows(dailyEntries, dailyPnls);
@@ -409,6 +507,9 @@ function computeFast(trades, settings = {}) {
     byEmo,
     bySym,  // J2.1
     byAC,   // J2.2
+    byAcct,
+    byOptStrat,
+    byDte,
     rolling: rollingWindows, // J2.5
     duration: durationStats, // J2.3
     corrMatrix,              // J2.4
@@ -421,6 +522,8 @@ function computeFast(trades, settings = {}) {
     warnings,
     tradeCount: n,
     winCount, lossCount,
+    baseCurrency,
+    fx: { converted: fx.converted, excluded: fx.excluded, missing: fx.missing },
   };
 }
 
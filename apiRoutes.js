@@ -0,0 +1,276 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — REST API v1
+//
+// Authenticated CRUD for journal data, so scripts and other tools can
+// push trades without going through the browser.
+//
+// Mount:
+//   app.use('/api/v1', createApiRouter());
+//
+// Auth: API key via `x-api-key` header or `api_key` query param
+// (see middleware.js apiKeyAuth, keys from apiStore.js createKeyStore).
+// Every key maps to a userId; each user sees only their own records.
+//
+// Resources (same verbs for each):
+//   /trades       /playbooks       /notes       /trade-plans
+//
+//   GET    /:resource             list — ?limit&offset&from&to&symbol&accountId&sort
+//   GET    /:resource/:id         fetch one
+//   POST   /:resource             create one (object) or many (array / { items: [] })
+//   PUT    /:resource/:id         replace
+//   PATCH  /:resource/:id         merge fields
+//   DELETE /:resource/:id         delete
+//
+// Trades are normalized and validated with engine/TradeSchema.js —
+// the same rules the app applies to imports and manual entry.
+//
+// Responses use middleware.js shape:
+//   { ok: true, data, meta? } | { ok: false, error: { code, message, details? } }
+// ═══════════════════════════════════════════════════════════════════
+
+import express from 'express';
+import {
+  apiKeyAuth, rateLimiter, cors, apiErrorHandler,
+  parsePagination, okResponse, errorResponse,
+} from './middleware.js';
+import { createFileStore, createKeyStore } from './apiStore.js';
+import { normalizeTrade, validateTrade } from '../engine/TradeSchema.js';
+
+const MAX_BULK = 5000;
+const PAGINATION = { limit: 50, maxLimit: 500 };
+
+// ─── Record Preparation ─────────────────────────────────────────
+// Each returns { record } or { errors: string[] }.
+
+function _uid(prefix) {
+  return prefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function _isPlainObject(v) {
+  return v != null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function prepareTrade(input) {
+  const record = normalizeTrade(input);
+  const { valid, errors } = validateTrade(record);
+  return valid ? { record } : { errors };
+}
+
+function _prepareRecord(prefix, check) {
+  return (input) => {
+    const errors = check ? check(input) : [];
+    if (errors.length) return { errors };
+    const now = new Date().toISOString();
+    return {
+      record: {
+        ...input,
+        id: input.id ? String(input.id) : _uid(prefix),
+        createdAt: input.createdAt || now,
+        _updatedAt: now,
+      },
+    };
+  };
+}
+
+const RESOURCES = {
+  'trades': { collection: 'trades', prepare: prepareTrade },
+  'playbooks': {
+    collection: 'playbooks',
+    prepare: _prepareRecord('pb_', (r) =>
+      (typeof r.name === 'string' && r.name.trim() ? [] : ['Missing required field: name'])),
+  },
+  'notes': {
+    collection: 'notes',
+    prepare: _prepareRecord('note_', (r) =>
+      (r.title || r.content || r.text ? [] : ['Note needs a title or content'])),
+  },
+  'trade-plans': { collection: 'tradePlans', prepare: _prepareRecord('plan_') },
+};
+
+// ─── Querying ───────────────────────────────────────────────────
+
+/**
+ * Parse a from/to query bound. Date-only `to` values include the
+ * whole day.
+ * @returns {string|null|undefined} ISO string, null if absent, undefined if invalid
+ */
+function _parseBound(val, endOfDay) {
+  if (val == null || val === '') return null;
+  const s = String(val);
+  const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(s) && endOfDay ? `${s}T23:59:59.999Z` : s);
+  return isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+/**
+ * Filter, sort and paginate records from query params.
+ *
+ * @param {Object[]} records
+ * @param {Object} query - { from, to, symbol, accountId, sort, limit, offset }
+ * @returns {{ data: Object[], meta: { total: number, limit: number, offset: number } } | { error: string }}
+ */
+function queryRecords(records, query = {}) {
+  const from = _parseBound(query.from, false);
+  const to = _parseBound(query.to, true);
+  if (from === undefined || to === undefined) return { error: 'from/to must be ISO dates' };
+
+  let out = records;
+  if (from || to) {
+    out = out.filter((r) => {
+      const ms = new Date(r.date || r.createdAt).getTime();
+      if (isNaN(ms)) return false;
+      return (!from || ms >= Date.parse(from)) && (!to || ms <= Date.parse(to));
+    });
+  }
+  if (query.symbol) {
+    const symbols = new Set(String(query.symbol).toUpperCase().split(',').map((s) => s.trim()).filter(Boolean));
+    out = out.filter((r) => symbols.has(String(r.symbol || '').toUpperCase()));
+  }
+  if (query.accountId) {
+    out = out.filter((r) => (r.accountId || 'default') === query.accountId);
+  }
+
+  const asc = query.sort === 'date' || query.sort === 'asc';
+  const key = (r) => r.date || r.createdAt || '';
+  out = [...out].sort((a, b) => (asc ? key(a).localeCompare(key(b)) : key(b).localeCompare(key(a))));
+
+  const { limit, offset } = parsePagination(query, PAGINATION);
+  return {
+    data: out.slice(offset, offset + limit),
+    meta: { total: out.length, limit, offset },
+  };
+}
+
+// ─── Router ─────────────────────────────────────────────────────
+
+// Express 4 doesn't forward rejected promises to error handlers
+const asyncRoute = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+function _validationError(res, message, details) {
+  return res.status(400).json({
+    ok: false,
+    error: { code: 'VALIDATION_ERROR', message, details },
+  });
+}
+
+/**
+ * Build the /api/v1 router.
+ *
+ * @param {Object} [opts]
+ * @param {Object} [opts.store] - Record store (default: createFileStore({ dir }))
+ * @param {Object} [opts.keyStore] - Key store (default: createKeyStore({ dir }))
+ * @param {string} [opts.dir] - Data directory for the default stores
+ * @param {Object} [opts.rateLimit] - rateLimiter() options, or false to disable
+ * @returns {import('express').Router}
+ */
+function createApiRouter(opts = {}) {
+  const store = opts.store || createFileStore({ dir: opts.dir });
+  const keyStore = opts.keyStore || createKeyStore({ dir: opts.dir });
+  const router = express.Router();
+
+  if (keyStore.size === 0) {
+    console.warn('[API] No API keys configured — set TRADEFORGE_API_KEYS to enable /api/v1');
+  }
+
+  router.use(cors());
+  router.use(express.json({ limit: '10mb' }));
+  router.use(apiKeyAuth(keyStore));
+  if (opts.rateLimit !== false) router.use(rateLimiter({ max: 300, ...opts.rateLimit }));
+
+  // Resolve :resource → collection config
+  router.param('resource', (req, res, next, name) => {
+    const resource = RESOURCES[name];
+    if (!resource) return errorResponse(res, 404, 'NOT_FOUND', `Unknown resource: ${name}`);
+    req.resource = resource;
+    next();
+  });
+
+  // ─── GET /:resource ──────────────────────────────────────────
+  router.get('/:resource', asyncRoute(async (req, res) => {
+    const records = await store.list(req.userId, req.resource.collection);
+    const result = queryRecords(records, req.query);
+    if (result.error) return errorResponse(res, 400, 'INVALID_QUERY', result.error);
+    return okResponse(res, result.data, result.meta);
+  }));
+
+  // ─── GET /:resource/:id ──────────────────────────────────────
+  router.get('/:resource/:id', asyncRoute(async (req, res) => {
+    const record = await store.get(req.userId, req.resource.collection, req.params.id);
+    if (!record) return errorResponse(res, 404, 'NOT_FOUND', `No record with id ${req.params.id}`);
+    return okResponse(res, record);
+  }));
+
+  // ─── POST /:resource ─────────────────────────────────────────
+  router.post('/:resource', asyncRoute(async (req, res) => {
+    const body = req.body;
+    const bulk = Array.isArray(body) || Array.isArray(body?.items);
+    const inputs = Array.isArray(body) ? body : bulk ? body.items : [body];
+
+    if (inputs.length === 0) return _validationError(res, 'Request body is empty');
+    if (inputs.length > MAX_BULK) return _validationError(res, `At most ${MAX_BULK} records per request`);
+
+    const records = [];
+    const errors = [];
+    inputs.forEach((input, index) => {
+      if (!_isPlainObject(input)) {
+        errors.push({ index, errors: ['Record must be a JSON object'] });
+        return;
+      }
+      const { record, errors: fieldErrors } = req.resource.prepare(input);
+      if (record) records.push(record);
+      else errors.push({ index, errors: fieldErrors });
+    });
+
+    if (!bulk) {
+      if (errors.length) return _validationError(res, 'Invalid record', errors[0].errors);
+      const { inserted } = await store.insert(req.userId, req.resource.collection, records);
+      if (!inserted.length) return errorResponse(res, 409, 'CONFLICT', `Record ${records[0].id} already exists`);
+      return res.status(201).json({ ok: true, data: inserted[0] });
+    }
+
+    if (!records.length) return _validationError(res, 'No valid records', errors);
+    const { inserted, conflicts } = await store.insert(req.userId, req.resource.collection, records);
+    return res.status(201).json({
+      ok: true,
+      data: inserted,
+      meta: { created: inserted.length, conflicts, errors },
+    });
+  }));
+
+  // ─── PUT / PATCH /:resource/:id ──────────────────────────────
+  const update = (merge) => asyncRoute(async (req, res) => {
+    if (!_isPlainObject(req.body)) return _validationError(res, 'Request body must be a JSON object');
+    const { collection, prepare } = req.resource;
+    const existing = await store.get(req.userId, collection, req.params.id);
+    if (!existing) return errorResponse(res, 404, 'NOT_FOUND', `No record with id ${req.params.id}`);
+
+    const input = merge ? { ...existing, ...req.body } : { ...req.body, createdAt: existing.createdAt };
+    const { record, errors } = prepare({ ...input, id: req.params.id });
+    if (!record) return _validationError(res, 'Invalid record', errors);
+
+    const saved = await store.replace(req.userId, collection, req.params.id, record);
+    if (!saved) return errorResponse(res, 404, 'NOT_FOUND', `No record with id ${req.params.id}`);
+    return okResponse(res, saved);
+  });
+  router.put('/:resource/:id', update(false));
+  router.patch('/:resource/:id', update(true));
+
+  // ─── DELETE /:resource/:id ───────────────────────────────────
+  router.delete('/:resource/:id', asyncRoute(async (req, res) => {
+    const removed = await store.remove(req.userId, req.resource.collection, req.params.id);
+    if (!removed) return errorResponse(res, 404, 'NOT_FOUND', `No record with id ${req.params.id}`);
+    return okResponse(res, { id: req.params.id, deleted: true });
+  }));
+
+  // Malformed JSON bodies surface as 400s from express.json()
+  router.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') return _validationError(res, 'Malformed JSON body');
+    if (err.type === 'entity.too.large') return errorResponse(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body too large');
+    return next(err);
+  });
+  router.use(apiErrorHandler());
+
+  return router;
+}
+
+export { RESOURCES, createApiRouter, queryRecords, prepareTrade };
+export default createApiRouter;
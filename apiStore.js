@@ -0,0 +1,240 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — API Store (file-backed)
+//
+// Persistence for the /api/v1 REST router. One JSON document per
+// user under the data directory:
+//
+//   <dataDir>/users/<sha256(userId)>.json
+//     { trades: [], playbooks: [], notes: [], tradePlans: [] }
+//
+// Documents are cached in memory after first read. Writes are
+// serialized per user and land atomically (temp file + rename), so a
+// crash mid-write never leaves a truncated document behind.
+//
+// No external services — works out of the box for local scripts.
+// Swap createFileStore() for a database-backed store with the same
+// interface for multi-instance deployments.
+//
+// API keys (createKeyStore) come from:
+//   TRADEFORGE_API_KEYS="key1:userA,key2:userB"   (userId defaults to 'local')
+//   <dataDir>/api-keys.json  [{ key, userId, label }]
+// ═══════════════════════════════════════════════════════════════════
+
+import fs from 'node:fs/promises';
+import fsSync from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+const COLLECTIONS = ['trades', 'playbooks', 'notes', 'tradePlans'];
+const DEFAULT_DATA_DIR = '.tradeforge-data';
+const DEFAULT_USER = 'local';
+
+function _emptyDoc() {
+  return Object.fromEntries(COLLECTIONS.map((c) => [c, []]));
+}
+
+// userIds end up in file names. Hashing keeps them to a safe charset
+// without two ids ever sharing a file ('a.b' vs 'a_b', emails, …).
+function _safeUserId(userId) {
+  return createHash('sha256').update(String(userId || DEFAULT_USER)).digest('hex');
+}
+
+function _copyDoc(doc) {
+  return Object.fromEntries(COLLECTIONS.map((c) => [c, [...doc[c]]]));
+}
+
+// ─── Record Store ───────────────────────────────────────────────
+
+/**
+ * Create a file-backed record store.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.dir] - Data directory (default: TRADEFORGE_DATA_DIR or .tradeforge-data)
+ * @returns {Object} Store with async list/get/insert/replace/remove per (userId, collection)
+ */
+function createFileStore({ dir } = {}) {
+  const root = path.resolve(dir || process.env.TRADEFORGE_DATA_DIR || DEFAULT_DATA_DIR);
+  const usersDir = path.join(root, 'users');
+  const cache = new Map();   // userId → doc
+  const queues = new Map();  // userId → Promise (write chain)
+
+  const fileFor = (id) => path.join(usersDir, `${id}.json`);
+
+  async function load(userId) {
+    const id = _safeUserId(userId);
+    if (cache.has(id)) return cache.get(id);
+    const doc = _emptyDoc();
+    try {
+      const parsed = JSON.parse(await fs.readFile(fileFor(id), 'utf-8'));
+      for (const c of COLLECTIONS) if (Array.isArray(parsed[c])) doc[c] = parsed[c];
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    // Another request may have populated the cache while we awaited
+    if (cache.has(id)) return cache.get(id);
+    cache.set(id, doc);
+    return doc;
+  }
+
+  async function persist(id, doc) {
+    const file = fileFor(id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.mkdir(usersDir, { recursive: true });
+    await fs.writeFile(tmp, JSON.stringify(doc));
+    await fs.rename(tmp, file);
+  }
+
+  /**
+   * Run a mutation against a copy of a user's document, persist it,
+   * and only then make it the cached document. A failed write leaves
+   * the cache as it was. Mutations for one user run one at a time.
+   */
+  function mutate(userId, fn) {
+    const id = _safeUserId(userId);
+    const prev = queues.get(id) || Promise.resolve();
+    const next = prev.catch(() => {}).then(async () => {
+      const draft = _copyDoc(await load(userId));
+      const result = fn(draft);
+      await persist(id, draft);
+      cache.set(id, draft);
+      return result;
+    });
+    queues.set(id, next);
+    return next;
+  }
+
+  function assertCollection(collection) {
+    if (!COLLECTIONS.includes(collection)) throw new Error(`Unknown collection: ${collection}`);
+  }
+
+  return {
+    dir: root,
+
+    /** @returns {Promise<Object[]>} */
+    async list(userId, collection) {
+      assertCollection(collection);
+      return (await load(userId))[collection];
+    },
+
+    /** @returns {Promise<Object|null>} */
+    async get(userId, collection, id) {
+      assertCollection(collection);
+      return (await load(userId))[collection].find((r) => r.id === id) || null;
+    },
+
+    /**
+     * Insert records. Records whose id already exists are reported
+     * as conflicts and left untouched.
+     * @returns {Promise<{ inserted: Object[], conflicts: string[] }>}
+     */
+    insert(userId, collection, records) {
+      assertCollection(collection);
+      return mutate(userId, (doc) => {
+        const ids = new Set(doc[collection].map((r) => r.id));
+        const inserted = [];
+        const conflicts = [];
+        for (const r of records) {
+          if (ids.has(r.id)) { conflicts.push(r.id); continue; }
+          ids.add(r.id);
+          inserted.push(r);
+        }
+        doc[collection] = [...inserted, ...doc[collection]];
+        return { inserted, conflicts };
+      });
+    },
+
+    /** Replace a record by id. @returns {Promise<Object|null>} */
+    replace(userId, collection, id, record) {
+      assertCollection(collection);
+      return mutate(userId, (doc) => {
+        const idx = doc[collection].findIndex((r) => r.id === id);
+        if (idx < 0) return null;
+        doc[collection][idx] = { ...record, id };
+        return doc[collection][idx];
+      });
+    },
+
+    /** Delete a record by id. @returns {Promise<boolean>} */
+    remove(userId, collection, id) {
+      assertCollection(collection);
+      return mutate(userId, (doc) => {
+        const before = doc[collection].length;
+        doc[collection] = doc[collection].filter((r) => r.id !== id);
+        return doc[collection].length < before;
+      });
+    },
+
+    /** Wait for pending writes (tests, graceful shutdown). */
+    async flush() {
+      await Promise.all([...queues.values()].map((p) => p.catch(() => {})));
+    },
+  };
+}
+
+// ─── API Key Store ──────────────────────────────────────────────
+
+const _hashKey = (key) => createHash('sha256').update(String(key)).digest();
+
+/**
+ * Parse "key1:userA,key2" into key entries.
+ * @param {string} raw
+ * @returns {Array<{ key: string, userId: string }>}
+ */
+function parseKeyList(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const i = entry.indexOf(':');
+      return i > 0
+        ? { key: entry.slice(0, i), userId: entry.slice(i + 1) || DEFAULT_USER }
+        : { key: entry, userId: DEFAULT_USER };
+    });
+}
+
+/**
+ * Create the key store used by middleware.js apiKeyAuth().
+ *
+ * @param {Object} [opts]
+ * @param {Array<{ key: string, userId?: string, label?: string }>} [opts.keys] - Explicit keys
+ * @param {string} [opts.dir] - Data directory holding api-keys.json
+ * @param {string} [opts.env] - Key list string (default: TRADEFORGE_API_KEYS)
+ * @returns {{ validate: (key: string) => Object|null, size: number }}
+ */
+function createKeyStore({ keys, dir, env } = {}) {
+  let entries = keys ? [...keys] : parseKeyList(env ?? process.env.TRADEFORGE_API_KEYS);
+
+  if (!keys) {
+    const file = path.join(path.resolve(dir || process.env.TRADEFORGE_DATA_DIR || DEFAULT_DATA_DIR), 'api-keys.json');
+    try {
+      const fromFile = JSON.parse(fsSync.readFileSync(file, 'utf-8'));
+      if (Array.isArray(fromFile)) entries = entries.concat(fromFile.filter((k) => k?.key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[API] Could not read ${file}:`, err.message);
+    }
+  }
+
+  // Only hashes are kept in memory; compare in constant time
+  const hashed = entries.map((k) => {
+    const hash = _hashKey(k.key);
+    return {
+      hash,
+      data: { id: hash.toString('hex').slice(0, 16), userId: k.userId || DEFAULT_USER, label: k.label || '' },
+    };
+  });
+
+  return {
+    size: hashed.length,
+    validate(key) {
+      if (!key) return null;
+      const h = _hashKey(key);
+      const match = hashed.find((k) => timingSafeEqual(k.hash, h));
+      return match ? match.data : null;
+    },
+  };
+}
+
+export { COLLECTIONS, DEFAULT_DATA_DIR, createFileStore, createKeyStore, parseKeyList };
+export default createFileStore;
@@ -0,0 +1,144 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Account Switcher
+//
+// Compact dropdown that selects the active account scope:
+// "All Accounts", a single account, or several (checkbox toggle).
+// Reads/writes useAccountStore.scope — pages scope their trades via
+// scopeTrades(trades, scope).
+// ═══════════════════════════════════════════════════════════════════
+
+import React, { useState, useRef, useEffect } from 'react';
+import { C, F, M } from '../constants.js';
+import { useAccountStore } from '../state/useAccountStore.js';
+import { scopeLabel } from '../engine/Accounts.js';
+
+const TYPE_BADGE = {
+  personal: 'PER',
+  evaluation: 'EVAL',
+  funded: 'FUND',
+  demo: 'DEMO',
+};
+
+function AccountSwitcher({ compact = false }) {
+  const accounts = useAccountStore((s) => s.accounts);
+  const scope = useAccountStore((s) => s.scope);
+  const setScope = useAccountStore((s) => s.setScope);
+  const toggleScopeAccount = useAccountStore((s) => s.toggleScopeAccount);
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  // Close on outside click
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', onDown);
+    return () => document.removeEventListener('mousedown', onDown);
+  }, [open]);
+
+  // Nothing to switch between with a single account
+  if (accounts.length < 2) return null;
+
+  const isAll = scope === 'all';
+  const isSelected = (id) => !isAll && scope.includes(id);
+
+  return (
+    <div ref={ref} style={{ position: 'relative' }}>
+      <button
+        className="tf-btn"
+        onClick={() => setOpen((o) => !o)}
+        aria-haspopup="listbox"
+        aria-expanded={open}
+        style={{
+          padding: compact ? '4px 8px' : '5px 10px',
+          borderRadius: 6,
+          border: `1px solid ${isAll ? C.bd : C.b}`,
+          background: isAll ? C.sf : C.b + '15',
+          color: isAll ? C.t2 : C.b,
+          fontSize: 11, fontWeight: 600, fontFamily: F,
+          cursor: 'pointer',
+          whiteSpace: 'nowrap',
+        }}
+      >
+        {scopeLabel(scope, accounts)} ▾
+      </button>
+
+      {open && (
+        <div
+          role="listbox"
+          aria-multiselectable="true"
+          style={{
+            position: 'absolute', top: '100%', right: 0, marginTop: 4,
+            minWidth: 220, padding: 4, zIndex: 200,
+            background: C.sf, border: `1px solid ${C.bd}`, borderRadius: 8,
+            boxShadow: '0 8px 24px rgba(0,0,0,0.35)',
+          }}
+        >
+          <AccountOption
+            label="All Accounts"
+            selected={isAll}
+            onClick={() => { setScope('all'); setOpen(false); }}
+          />
+          <div style={{ height: 1, background: C.bd, margin: '4px 0' }} />
+          {accounts.map((a) => (
+            <AccountOption
+              key={a.id}
+              label={a.name}
+              badge={TYPE_BADGE[a.type]}
+              selected={isSelected(a.id)}
+              multi
+              onClick={() => toggleScopeAccount(a.id)}
+              onOnly={() => { setScope([a.id]); setOpen(false); }}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function AccountOption({ label, badge, selected, multi, onClick, onOnly }) {
+  return (
+    <div
+      role="option"
+      aria-selected={selected}
+      onClick={onClick}
+      style={{
+        display: 'flex', alignItems: 'center', gap: 8,
+        padding: '6px 8px', borderRadius: 6, cursor: 'pointer',
+        background: selected ? C.b + '12' : 'transparent',
+        fontSize: 12, fontFamily: F, color: selected ? C.t1 : C.t2,
+      }}
+    >
+      {multi && (
+        <span style={{
+          width: 12, height: 12, borderRadius: 3, flexShrink: 0,
+          border: `1px solid ${selected ? C.b : C.bd2}`,
+          background: selected ? C.b : 'transparent',
+        }} />
+      )}
+      <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+        {label}
+      </span>
+      {badge && (
+        <span style={{ fontSize: 9, fontFamily: M, color: C.t3, letterSpacing: 0.5 }}>{badge}</span>
+      )}
+      {onOnly && (
+        <button
+          className="tf-btn"
+          onClick={(e) => { e.stopPropagation(); onOnly(); }}
+          style={{
+            background: 'none', border: 'none', padding: '0 2px',
+            color: C.t3, fontSize: 10, fontFamily: M, cursor: 'pointer',
+          }}
+        >
+          only
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default React.memo(AccountSwitcher);
+export { AccountSwitcher };
@@ -4,15 +4,20 @@
 // Compact sidebar/overlay panel for managing price alerts.
 // Inline form: symbol input + condition select + price input + add button.
 // Shows active and triggered alerts with toggle/delete controls.
+// "Conditions" mode swaps in CompositeAlertBuilder for indicator /
+// drawing / script alerts.
 //
 // Usage:
 //   <AlertPanel /> — shows in sidebar/overlay
+//   <AlertPanel currentSymbol="BTC" currentTimeframe="15m" drawings={...} />
 //   <AlertPanel compact /> — minimal mode for workspace panels
 // ═══════════════════════════════════════════════════════════════════
 
 import React, { useState, useCallback, useMemo } from 'react';
 import { C, F, M } from '../constants.js';
 import { useAlertStore } from '../state/useAlertStore.js';
+import { describeAlert } from '../engine/AlertConditions.js';
+import CompositeAlertBuilder from './CompositeAlertBuilder.jsx';
 
 const CONDITIONS = [
   { id: 'above',       label: '↑ Above',        desc: 'Price goes above target' },
@@ -32,7 +37,7 @@ function formatTime(iso) {
   return d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
 }
 
-export default function AlertPanel({ compact = false, currentSymbol = '' }) {
+export default function AlertPanel({ compact = false, currentSymbol = '', currentTimeframe = '1h', drawings = [] }) {
   const alerts = useAlertStore(s => s.alerts);
   const addAlert = useAlertStore(s => s.addAlert);
   const removeAlert = useAlertStore(s => s.removeAlert);
@@ -44,6 +49,7 @@ export default function AlertPanel({ compact = false, currentSymbol = '' }) {
   const [price, setPrice] = useState('');
   const [note, setNote] = useState('');
   const [repeating, setRepeating] = useState(false);
+  const [mode, setMode] = useState('price');
 
   const activeAlerts = useMemo(() => alerts.filter(a => a.active), [alerts]);
   const triggeredAlerts = useMemo(() => alerts.filter(a => !a.active && a.triggeredAt), [alerts]);
@@ -101,8 +107,28 @@ export default function AlertPanel({ compact = false, currentSymbol = '' }) {
         </span>
       </div>
 
+      {/* ─── Mode Toggle ──────────────────────────────── */}
+      <div style={{ display: 'flex', gap: 4, marginBottom: 6 }}>
+        {[['price', 'Price'], ['conditions', 'Conditions']].map(([id, label]) => (
+          <button className="tf-btn"
+            key={id}
+            onClick={() => setMode(id)}
+            style={{
+              flex: 1, background: mode === id ? C.sf2 : 'transparent', border: `1px solid ${C.bd}`,
+              borderRadius: 4, color: mode === id ? C.t1 : C.t3, padding: '3px 0', fontSize: 10, cursor: 'pointer',
+            }}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'conditions' && (
+        <CompositeAlertBuilder symbol={currentSymbol} timeframe={currentTimeframe} drawings={drawings} />
+      )}
+
       {/* ─── Add Alert Form ───────────────────────────── */}
-      <div style={{
+      {mode === 'price' && <div style={{
         display: 'flex', flexDirection: 'column', gap: 6,
         padding: 8, background: C.sf, borderRadius: 8,
         border: `1px solid ${C.bd}`, marginBottom: 12,
@@ -180,7 +206,7 @@ export default function AlertPanel({ compact = false, currentSymbol = '' }) {
             + Add
           </button>
         </div>
-      </div>
+      </div>}
 
       {/* ─── Active Alerts ────────────────────────────── */}
       {activeAlerts.length > 0 && (
@@ -256,6 +282,8 @@ function AlertRow({ alert, onToggle, onRemove, triggered = false }) {
     above: '↑', below: '↓',
     cross_above: '↗', cross_below: '↘',
   };
+  const composite = alert.type === 'composite';
+  const bullish = composite ? alert.conditions?.[0]?.op?.includes('above') : alert.condition.includes('above');
 
   return (
     <div style={{
@@ -267,7 +295,7 @@ function AlertRow({ alert, onToggle, onRemove, triggered = false }) {
       borderRadius: 6,
       marginBottom: 3,
       opacity: triggered ? 0.7 : 1,
-      borderLeft: `3px solid ${triggered ? C.g : (alert.condition.includes('above') || alert.condition.includes('cross_above') ? C.g : C.r)}`,
+      borderLeft: `3px solid ${triggered || bullish ? C.g : (composite ? C.b : C.r)}`,
     }}>
       {/* Symbol + condition */}
       <div style={{ flex: 1, minWidth: 0 }}>
@@ -276,13 +304,21 @@ function AlertRow({ alert, onToggle, onRemove, triggered = false }) {
             {alert.symbol}
           </span>
           <span style={{ fontSize: 10, color: C.t3 }}>
-            {condIcons[alert.condition] || ''} {alert.condition.replace('_', ' ')}
+            {composite
+              ? `${alert.timeframe} · ${alert.evaluate === 'intrabar' ? 'intrabar' : 'bar close'}`
+              : `${condIcons[alert.condition] || ''} ${alert.condition.replace('_', ' ')}`}
           </span>
         </div>
         <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 1 }}>
-          <span style={{ fontFamily: M, fontWeight: 600, fontSize: 12, color: C.b }}>
-            ${alert.price.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-          </span>
+          {composite ? (
+            <span style={{ fontFamily: M, fontSize: 10, color: C.b, lineHeight: 1.3 }}>
+              {describeAlert({ ...alert, timeframe: null })}
+            </span>
+          ) : (
+            <span style={{ fontFamily: M, fontWeight: 600, fontSize: 12, color: C.b }}>
+              ${alert.price.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+            </span>
+          )}
           {alert.repeating && (
             <span style={{ fontSize: 8, color: C.t3, background: C.bd + '60', padding: '1px 4px', borderRadius: 2 }}>
               REPEAT
@@ -0,0 +1,255 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Backtest Panel
+//
+// Runs a strategy script (strategy.entry / strategy.exit) against the
+// bars currently on the chart via Backtester.js. Cost settings are
+// per run; results land in useChartStore.backtestResult so the chart
+// can show the fills. "Add to Journal" copies the simulated trades
+// into the trade store (tagged 'backtest'). The Optimize tab
+// (OptimizerPanel) sweeps the script's params with the same costs.
+//
+// Usage:
+//   <BacktestPanel bars={data} symbol={symbol} onClose={...} />
+// ═══════════════════════════════════════════════════════════════════
+
+import React, { useState, useMemo, useCallback } from 'react';
+import { C, F, M } from '../constants.js';
+import { useScriptStore } from '../state/useScriptStore.js';
+import { useChartStore } from '../state/useChartStore.js';
+import { useTradeStore } from '../state/useTradeStore.js';
+import { backtestScript, maxDrawdown, COMMISSION_TYPES, SLIPPAGE_TYPES } from '../engine/Backtester.js';
+import { pointValueFor } from '../engine/Executions.js';
+import { normalizeTrade } from '../engine/TradeSchema.js';
+import { fmtD } from '../utils.js';
+import EquityCurveChart from './EquityCurveChart.jsx';
+import OptimizerPanel from './OptimizerPanel.jsx';
+
+const COMMISSION_LABELS = { perContract: 'Per contract', perTrade: 'Per order', percent: '% of notional' };
+const SLIPPAGE_LABELS = { ticks: 'Ticks', points: 'Points', percent: '% of price' };
+
+// Scripts that emit strategy signals
+const isStrategyScript = (sc) => /\bstrategy\.(entry|exit)\s*\(/.test(sc.code || '');
+
+export default function BacktestPanel({ bars = [], symbol = '', onClose }) {
+  const scripts = useScriptStore((s) => s.scripts);
+  const result = useChartStore((s) => s.backtestResult);
+  const setBacktestResult = useChartStore((s) => s.setBacktestResult);
+  const clearBacktestTrades = useChartStore((s) => s.clearBacktestTrades);
+  const addTrades = useTradeStore((s) => s.addTrades);
+
+  const strategies = useMemo(() => scripts.filter(isStrategyScript), [scripts]);
+  const [scriptId, setScriptId] = useState(() => strategies[0]?.id || '');
+  const [qty, setQty] = useState(1);
+  const [pointValue, setPointValue] = useState(() => pointValueFor(symbol));
+  const [fillOn, setFillOn] = useState('nextOpen');
+  const [commission, setCommission] = useState({ type: 'perContract', value: 0 });
+  const [slippage, setSlippage] = useState({ type: 'ticks', value: 1, tickSize: 0.25 });
+  const [added, setAdded] = useState(false);
+  const [tab, setTab] = useState('backtest');
+
+  const script = strategies.find((s) => s.id === scriptId) || strategies[0];
+
+  // Shared by the Backtest and Optimize tabs
+  const backtestOpts = useMemo(() => ({
+    symbol: symbol || 'BACKTEST',
+    qty: Number(qty) || 1,
+    pointValue: Number(pointValue) || 1,
+    fillOn,
+    commission: { ...commission, value: Number(commission.value) || 0 },
+    slippage: { ...slippage, value: Number(slippage.value) || 0, tickSize: Number(slippage.tickSize) || 0.01 },
+    playbook: script?.name,
+  }), [symbol, qty, pointValue, fillOn, commission, slippage, script?.name]);
+
+  const handleRun = useCallback(() => {
+    if (!script || !bars.length) return;
+    const res = backtestScript(script.code, bars, { ...backtestOpts, params: script.params || {} });
+    setBacktestResult({
+      scriptId: script.id,
+      trades: res.trades,
+      equity: res.equity,
+      analytics: res.analytics,
+      error: res.error,
+      ranAt: new Date().toISOString(),
+    });
+    setAdded(false);
+  }, [script, bars, backtestOpts, setBacktestResult]);
+
+  const handleAddToJournal = useCallback(() => {
+    if (!result?.trades?.length) return;
+    addTrades(result.trades.map((t) => normalizeTrade(t)));
+    setAdded(true);
+  }, [result, addTrades]);
+
+  const inputStyle = {
+    background: C.sf,
+    border: `1px solid ${C.bd}`,
+    color: C.t1,
+    borderRadius: 4,
+    padding: '4px 6px',
+    fontFamily: M,
+    fontSize: 11,
+    outline: 'none',
+    width: '100%',
+    boxSizing: 'border-box',
+  };
+  const labelStyle = { fontSize: 10, color: C.t3, fontFamily: F, marginBottom: 2 };
+  const a = result?.analytics;
+  const net = a ? a.totalPnl : 0;   // trade pnl is already net of fees
+  const maxDd = useMemo(() => maxDrawdown((result?.equity || []).map((e) => e.equity)), [result]);
+
+  return (
+    <div style={{ padding: 10, display: 'flex', flexDirection: 'column', gap: 8, fontFamily: F }}>
+      <div style={{ display: 'flex', alignItems: 'center' }}>
+        <span style={{ fontSize: 12, fontWeight: 700, color: C.t1, flex: 1 }}>🧪 Backtest</span>
+        {onClose && (
+          <button onClick={onClose} style={{ background: 'none', border: 'none', color: C.t3, cursor: 'pointer', fontSize: 14 }}>
+            ✕
+          </button>
+        )}
+      </div>
+
+      {strategies.length === 0 ? (
+        <div style={{ fontSize: 11, color: C.t3, lineHeight: 1.5 }}>
+          No strategy scripts. Use <code style={{ fontFamily: M }}>strategy.entry()</code> /{' '}
+          <code style={{ fontFamily: M }}>strategy.exit()</code> in a script, or duplicate the built-in
+          “MA Crossover Strategy”.
+        </div>
+      ) : (
+        <>
+          <div>
+            <div style={labelStyle}>Strategy</div>
+            <select value={script?.id || ''} onChange={(e) => setScriptId(e.target.value)} style={inputStyle}>
+              {strategies.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+            </select>
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 6 }}>
+            <div>
+              <div style={labelStyle}>Qty</div>
+              <input type="number" min="0" value={qty} onChange={(e) => setQty(e.target.value)} style={inputStyle} />
+            </div>
+            <div>
+              <div style={labelStyle}>Point value</div>
+              <input type="number" min="0" value={pointValue} onChange={(e) => setPointValue(e.target.value)} style={inputStyle} />
+            </div>
+            <div>
+              <div style={labelStyle}>Commission</div>
+              <select value={commission.type} onChange={(e) => setCommission((c) => ({ ...c, type: e.target.value }))} style={inputStyle}>
+                {COMMISSION_TYPES.map((t) => <option key={t} value={t}>{COMMISSION_LABELS[t]}</option>)}
+              </select>
+            </div>
+            <div>
+              <div style={labelStyle}>Amount</div>
+              <input type="number" min="0" step="0.01" value={commission.value} onChange={(e) => setCommission((c) => ({ ...c, value: e.target.value }))} style={inputStyle} />
+            </div>
+            <div>
+              <div style={labelStyle}>Slippage</div>
+              <select value={slippage.type} onChange={(e) => setSlippage((s) => ({ ...s, type: e.target.value }))} style={inputStyle}>
+                {SLIPPAGE_TYPES.map((t) => <option key={t} value={t}>{SLIPPAGE_LABELS[t]}</option>)}
+              </select>
+            </div>
+            <div>
+              <div style={labelStyle}>Amount</div>
+              <input type="number" min="0" step="0.01" value={slippage.value} onChange={(e) => setSlippage((s) => ({ ...s, value: e.target.value }))} style={inputStyle} />
+            </div>
+            {slippage.type === 'ticks' && (
+              <div>
+                <div style={labelStyle}>Tick size</div>
+                <input type="number" min="0" step="0.01" value={slippage.tickSize} onChange={(e) => setSlippage((s) => ({ ...s, tickSize: e.target.value }))} style={inputStyle} />
+              </div>
+            )}
+            <div>
+              <div style={labelStyle}>Fill at</div>
+              <select value={fillOn} onChange={(e) => setFillOn(e.target.value)} style={inputStyle}>
+                <option value="nextOpen">Next bar open</option>
+                <option value="close">Signal bar close</option>
+              </select>
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', gap: 4 }}>
+            {[['backtest', 'Backtest'], ['optimize', 'Optimize']].map(([id, label]) => (
+              <button
+                key={id}
+                onClick={() => setTab(id)}
+                style={{
+                  flex: 1, background: tab === id ? C.sf2 : 'transparent', border: `1px solid ${C.bd}`,
+                  borderRadius: 4, color: tab === id ? C.t1 : C.t3, padding: '4px 0', fontSize: 11, cursor: 'pointer',
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {tab === 'optimize' && <OptimizerPanel script={script} bars={bars} backtestOpts={backtestOpts} />}
+
+          {tab === 'backtest' && (
+            <button
+              onClick={handleRun}
+              disabled={!bars.length}
+              style={{
+                background: C.b, color: '#fff', border: 'none', borderRadius: 4,
+                padding: '6px 0', fontSize: 12, fontWeight: 600, cursor: 'pointer', fontFamily: F,
+              }}
+            >
+              ▶ Run on {bars.length} bars
+            </button>
+          )}
+        </>
+      )}
+
+      {tab === 'backtest' && result?.error && (
+        <div style={{ fontSize: 11, color: C.r, fontFamily: M }}>{result.error}</div>
+      )}
+
+      {tab === 'backtest' && result && !result.error && !a && (
+        <div style={{ fontSize: 11, color: C.t3 }}>No trades — the strategy never entered a position.</div>
+      )}
+
+      {tab === 'backtest' && a && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 6, fontSize: 11 }}>
+            {[
+              ['Net P&L', fmtD(net), net >= 0 ? C.g : C.r],
+              ['Trades', a.tradeCount, C.t1],
+              ['Win rate', `${a.winRate.toFixed(1)}%`, C.t1],
+              ['Profit factor', Number.isFinite(a.pf) ? a.pf.toFixed(2) : '∞', C.t1],
+              ['Max DD', fmtD(-maxDd), C.r],
+              ['Fees', fmtD(a.totalFees), C.t2],
+            ].map(([label, value, color]) => (
+              <div key={label} style={{ background: C.sf, borderRadius: 4, padding: '4px 6px' }}>
+                <div style={labelStyle}>{label}</div>
+                <div style={{ fontFamily: M, fontWeight: 700, color }}>{value}</div>
+              </div>
+            ))}
+          </div>
+
+          <EquityCurveChart eq={a.eq} height={140} />
+
+          <div style={{ display: 'flex', gap: 6 }}>
+            <button
+              onClick={handleAddToJournal}
+              disabled={added}
+              style={{
+                flex: 1, background: 'transparent', border: `1px solid ${C.bd}`, borderRadius: 4,
+                color: added ? C.t3 : C.t1, padding: '4px 0', fontSize: 11, cursor: added ? 'default' : 'pointer',
+              }}
+            >
+              {added ? '✓ Added to Journal' : 'Add to Journal'}
+            </button>
+            <button
+              onClick={clearBacktestTrades}
+              style={{
+                background: 'transparent', border: `1px solid ${C.bd}`, borderRadius: 4,
+                color: C.t3, padding: '4px 8px', fontSize: 11, cursor: 'pointer',
+              }}
+            >
+              Clear
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -7,6 +7,7 @@
 import React from 'react';
 import ChartEngineWidget from './ChartEngineWidget.jsx';
 import { useChartStore } from '../state/useChartStore.js';
+import { CHART_TYPES } from '../constants.js';
 
 /**
  * ChartCanvas — Backward-compatible wrapper.
@@ -66,6 +67,9 @@ export default function ChartCanvas({
       height="100%"
       width="100%"
       showVolume={true}
+      orderFlow={orderFlow}
+      showVolumeProfile={showVolumeProfile}
+      overrideChartType={chartType ? CHART_TYPES.find((ct) => ct.id === chartType)?.engineId || chartType : undefined}
       onBarClick={rest.onBarClick}
       onCrosshairMove={rest.onCrosshairMove}
       onEngineReady={(eng) => {
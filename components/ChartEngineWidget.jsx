@@ -5,7 +5,8 @@
 // existing Zustand stores. Drop-in replacement for the old ChartCanvas.
 //
 // Reads from:
-//   useChartStore  → symbol, timeframe, chartType, indicators, drawings
+//   useChartStore  → symbol, timeframe, chartType, indicators, active drawing tool
+//   useDrawingStore → main chart drawings (bound to its DrawingEngine)
 //   useTradeStore  → trade entries for marker overlay
 //   useThemeStore  → dark/light theme
 //   useSettingsStore → user preferences
@@ -14,6 +15,11 @@
 //   engineRef      → direct access for screenshots, programmatic control
 //   onBarClick     → callback when user clicks a bar (for trade entry)
 //   onCrosshairMove → callback with current price/time (for trade toolbar)
+//   onVisibleRangeChange → visible time range after user scroll/zoom
+//
+// Multi-chart sync (MultiChartLayout):
+//   syncedTimestamp  → ghost crosshair from a linked pane
+//   visibleTimeRange → follow a linked pane's scroll/zoom
 //
 // Usage:
 //   <ChartEngineWidget
@@ -27,6 +33,9 @@ import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react'
 import { useChartStore } from '../state/useChartStore.js';
 import { useTradeStore } from '../state/useTradeStore.js';
 import { useThemeStore } from '../state/useThemeStore.js';
+import { useOrderFlowStore } from '../state/useOrderFlowStore.js';
+import { useDrawingStore, bindDrawingEngine } from '../state/useDrawingStore.js';
+import { useChartTradeStore } from '../state/useChartTradeStore.js';
 
 // ─── Chart Engine Imports ────────────────────────────────────────
 // These come from the new Sprint 1-5 engine at src/chartEngine/
@@ -35,13 +44,28 @@ import { createFancyCanvas } from '../chartEngine/FancyCanvas.js';
 import { createPaneWidget } from '../chartEngine/PaneWidget.js';
 import { createChartEngine } from '../chartEngine/ChartEngine.js';
 import { createCandlestickRenderer } from '../chartEngine/renderers/CandlestickRenderer.js';
-import { createGridCrosshair } from '../chartEngine/renderers/GridCrosshair.js';
-import { getChartTypeRenderer } from '../chartEngine/renderers/ChartTypes.js';
+import { createGridCrosshair, createSessionRenderer } from '../chartEngine/renderers/GridCrosshair.js';
+import {
+  CHART_TYPES as ENGINE_CHART_TYPES,
+  getChartTypeRenderer,
+  transformBars,
+  resolveChartTypeParams,
+  isTimeBased,
+} from '../chartEngine/renderers/ChartTypes.js';
+import {
+  createFootprintRenderer,
+  createVolumeProfileRenderer,
+  createDeltaPaneRenderer,
+  formatFlow,
+} from '../chartEngine/renderers/OrderFlowRenderer.js';
 import { createVolumeRenderer } from '../chartEngine/renderers/VolumePaneRenderer.js';
 import { createPaneLayout } from '../chartEngine/PaneLayout.js';
 import { getTheme } from '../chartEngine/ThemeManager.js';
 import { createBinanceFeed } from '../chartEngine/feeds/BinanceFeed.js';
+import { RESOLUTION_MS, normalizeResolution } from '../chartEngine/feeds/DataFeed.js';
 import { createDataManager } from '../chartEngine/feeds/DataManager.js';
+import { createResampler, planResolution } from '../chartEngine/feeds/Resampler.js';
+import { getLocalFileFeed } from '../chartEngine/feeds/LocalFileFeed.js';
 import { createDrawingEngine } from '../chartEngine/tools/DrawingEngine.js';
 import { createDrawingRenderer } from '../chartEngine/tools/DrawingRenderer.js';
 import {
@@ -56,13 +80,34 @@ import {
   renderOverlayIndicator,
   renderPaneIndicator,
 } from '../chartEngine/indicators/renderer.js';
+import {
+  createFootprintAggregator,
+  barTickSize,
+  footprintsFromTicks,
+  buildVolumeProfile,
+  sessionProfiles,
+  deltaSeries,
+  alignFootprints,
+} from '../engine/orderFlow.js';
+import { isHigherTimeframe, timeframeMs } from '../engine/MultiTimeframe.js';
+import { timeRangeOfViewport, viewportForTimeRange, timeAtIndex, fractionalIndexAtTime } from '../engine/ChartLayouts.js';
+import { calendarForSymbol, sessionKeyFn, sessionMarks, parseContract } from '../engine/SessionCalendar.js';
+import { continuousRoot, mapTradesToContinuous } from '../engine/ContinuousFutures.js';
+import { createContinuousFeed } from '../chartEngine/feeds/ContinuousFeed.js';
+import { registerChartCapture } from '../utils/chartExport.js';
 
 // ─── Constants ───────────────────────────────────────────────────
 const BINANCE_TF_MAP = {
-  '1m': '1m', '3m': '3m', '5m': '5m', '15m': '15m', '30m': '30m',
+  '1s': '1s', '1m': '1m', '3m': '3m', '5m': '5m', '15m': '15m', '30m': '30m',
   '1h': '1h', '2h': '2h', '4h': '4h', '6h': '6h', '8h': '8h', '12h': '12h',
   '1D': '1d', '1d': '1d', '3D': '3d', '1W': '1w', '1w': '1w', '1M': '1M',
 };
+// Timeframes Binance serves; any other (7m, 90m, 15s…) is resampled
+// from the coarsest of these that fits its buckets (Resampler.js)
+const BINANCE_RESOLUTIONS = Object.keys(BINANCE_TF_MAP);
+// History bars per load, and the cap on base bars fetched to build them
+const HISTORY_BARS = 500;
+const MAX_BASE_BARS = 5000;
 
 const SYMBOL_MAP = {
   'BTC': 'BTCUSDT', 'ETH': 'ETHUSDT', 'SOL': 'SOLUSDT',
@@ -73,6 +118,17 @@ const SYMBOL_MAP = {
   'ES': 'BTCUSDT', 'NQ': 'ETHUSDT', // Fallback mapping for non-crypto
 };
 
+// Footprint backfill: recent trades only (aggTrades pages 1000 at a time)
+const FLOW_BACKFILL_BARS = 60;
+const FLOW_BACKFILL_MS = 30 * 60_000;
+const FLOW_BACKFILL_MAX_TRADES = 50_000;
+// Higher-timeframe history fetched before the chart's first bar
+const HTF_WARMUP_BARS = 300;
+// Share of the plot height given to the delta strip
+const DELTA_PANE_RATIO = 0.18;
+// Rows in the visible-range profile
+const PROFILE_ROWS = 60;
+
 /**
  * Resolve a TradeForge symbol to a Binance symbol.
  * If the symbol already ends in USDT/BUSD/BTC, use as-is.
@@ -84,11 +140,33 @@ function resolveSymbol(sym) {
   return SYMBOL_MAP[upper] || upper + 'USDT';
 }
 
+const klineToBar = (k) => ({ time: k[0], open: +k[1], high: +k[2], low: +k[3], close: +k[4], volume: +k[5] });
+
 /**
- * Resolve a TradeForge timeframe to a Binance interval.
+ * Latest `count` bars of a Binance interval, paging back from now
+ * (the klines endpoint returns at most 1000 per request).
  */
-function resolveTf(tf) {
-  return BINANCE_TF_MAP[tf] || '1h';
+async function fetchKlines(symbol, interval, count) {
+  let bars = [];
+  let endTime = null;
+  while (bars.length < count) {
+    const limit = Math.min(1000, count - bars.length);
+    const url = `https://api.binance.com/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}${endTime != null ? `&endTime=${endTime}` : ''}`;
+    const data = await (await fetch(url)).json();
+    if (!Array.isArray(data)) throw new Error(data?.msg || 'Unexpected klines response');
+    bars = [...data.map(klineToBar), ...bars];
+    if (data.length < limit) break;
+    endTime = data[0][0] - 1;
+  }
+  return bars;
+}
+
+/** Up to 1000 bars of a Binance interval from `startTime` forward (higher-timeframe series) */
+async function fetchKlinesSince(symbol, interval, startTime) {
+  const url = `https://api.binance.com/api/v3/klines?symbol=${symbol}&interval=${interval}&startTime=${startTime}&limit=1000`;
+  const data = await (await fetch(url)).json();
+  if (!Array.isArray(data)) throw new Error(data?.msg || 'Unexpected klines response');
+  return data.map(klineToBar);
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -106,10 +184,16 @@ function resolveTf(tf) {
  * @param {Function} [props.onEngineReady] - Callback: (engineRef) => void
  * @param {string} [props.overrideSymbol]  - Override store symbol (for ChartPane)
  * @param {string} [props.overrideTf]      - Override store timeframe (for ChartPane)
+ * @param {string} [props.overrideChartType] - Override store chart type (engine id, for ChartPane)
  * @param {Array}  [props.overrideIndicators] - Override store indicators (for ChartPane)
  * @param {boolean} [props.showToolbar=false] - Show drawing toolbar
  * @param {boolean} [props.showVolume=true]   - Show volume overlay
+ * @param {boolean} [props.orderFlow]         - Footprint candles + delta strip (default: store)
+ * @param {boolean} [props.showVolumeProfile] - Session / visible-range profile (default: store)
  * @param {boolean} [props.compact=false]     - Compact mode (no axis labels)
+ * @param {number} [props.syncedTimestamp]   - Ghost crosshair time from a linked pane
+ * @param {{from: number, to: number}} [props.visibleTimeRange] - Time range to show (linked scroll)
+ * @param {Function} [props.onVisibleRangeChange] - Callback: ({from, to}) => void, on user scroll/zoom
  * @param {React.ReactNode} [props.children]  - Overlay elements (trade bars, etc.)
  */
 export default function ChartEngineWidget({
@@ -120,10 +204,16 @@ export default function ChartEngineWidget({
   onEngineReady,
   overrideSymbol,
   overrideTf,
+  overrideChartType,
   overrideIndicators,
   showToolbar = false,
   showVolume = true,
+  orderFlow: orderFlowProp,
+  showVolumeProfile: showVolumeProfileProp,
   compact = false,
+  syncedTimestamp = null,
+  visibleTimeRange = null,
+  onVisibleRangeChange,
   children,
 }) {
   // ─── Store Connections ───────────────────────────────────────
@@ -134,13 +224,26 @@ export default function ChartEngineWidget({
   const storeLogScale = useChartStore((s) => s.logScale);
   const storeActiveTool = useChartStore((s) => s.activeTool);
   const setStoreData = useChartStore((s) => s.setData);
+  const setContractRolls = useChartStore((s) => s.setContractRolls);
+  const continuousOpts = useChartStore((s) => s.continuous);
+  const seriesRequests = useChartStore((s) => s.seriesRequests);
+  const storeOrderFlow = useChartStore((s) => s.orderFlow);
+  const storeShowVolumeProfile = useChartStore((s) => s.showVolumeProfile);
+  const profileMode = useOrderFlowStore((s) => s.profileMode);
+  const deltaMode = useOrderFlowStore((s) => s.deltaMode);
+  const rowsPerBar = useOrderFlowStore((s) => s.rowsPerBar);
+  const importedTicks = useOrderFlowStore((s) => s.imported);
   const theme = useThemeStore((s) => s.theme);
   const trades = useTradeStore((s) => s.trades);
 
   // Use overrides if provided (for independent ChartPane instances)
   const symbol = overrideSymbol || storeSymbol;
   const tf = overrideTf || storeTf;
+  const chartType = overrideChartType || storeChartType;
   const indicators = overrideIndicators || storeIndicators;
+  const orderFlow = orderFlowProp ?? storeOrderFlow;
+  const showVolumeProfile = showVolumeProfileProp ?? storeShowVolumeProfile;
+  const flowOn = (orderFlow || showVolumeProfile) && isTimeBased(chartType);
 
   // ─── Refs ────────────────────────────────────────────────────
   const containerRef = useRef(null);
@@ -150,19 +253,69 @@ export default function ChartEngineWidget({
   const drawingRendererRef = useRef(null);
   const indicatorInstancesRef = useRef([]);
   const barsRef = useRef([]);
+  const rollsRef = useRef(null);   // Roll segments when showing a continuous future
+  const chartTypeRef = useRef(chartType);
+  const chartBarsRef = useRef({ src: null, type: null, params: null, bars: [] });
   const wsRef = useRef(null);
   const mountedRef = useRef(true);
+  // Higher-timeframe bars for multi-timeframe indicators: { [tf]: bars }
+  const seriesRef = useRef({});
+  // Order flow: live aggregator or imported footprints, keyed by bar time
+  const flowRef = useRef({ agg: null, byTime: null, tickSize: 0 });
+  // Linked-pane sync, read by the render loop and mouse handlers
+  const syncedTimeRef = useRef(syncedTimestamp);
+  const rangeChangeRef = useRef(onVisibleRangeChange);
+  const resolutionMsRef = useRef(0);
+  const captureInfoRef = useRef({});
 
   // ─── State ───────────────────────────────────────────────────
   const [status, setStatus] = useState('idle'); // idle | loading | ready | error
   const [barCount, setBarCount] = useState(0);
-  const [activeTool, setActiveTool] = useState(null);
-  const [selectedDrawing, setSelectedDrawing] = useState(null);
-  const [drawColor, setDrawColor] = useState('#2962FF');
+  const [seriesVersion, setSeriesVersion] = useState(0);
+  const [localDataVersion, setLocalDataVersion] = useState(0);
+
+  chartTypeRef.current = chartType;
+
+  /**
+   * Bars as plotted: the raw feed for time-based types, synthetic
+   * bricks/columns for Renko, Range, Kagi and P&F. Cached per source
+   * array (the feed swaps in a new array on every update); ATR sizes
+   * are pinned when the type or history changes.
+   */
+  const chartBars = useCallback(() => {
+    const src = barsRef.current;
+    const type = chartTypeRef.current;
+    const cache = chartBarsRef.current;
+    if (cache.src === src && cache.type === type) return cache.bars;
+    if (!ENGINE_CHART_TYPES[type]?.transform) {
+      chartBarsRef.current = { src, type, params: null, bars: src };
+      return src;
+    }
+    const params = cache.type === type && cache.params ? cache.params : resolveChartTypeParams(type, src);
+    chartBarsRef.current = { src, type, params: src.length ? params : null, bars: transformBars(type, src, params) };
+    return chartBarsRef.current.bars;
+  }, []);
 
   // ─── Resolve symbols/timeframes ──────────────────────────────
   const binanceSymbol = useMemo(() => resolveSymbol(symbol), [symbol]);
-  const binanceTf = useMemo(() => resolveTf(tf), [tf]);
+  const calendar = useMemo(() => calendarForSymbol(symbol), [symbol]);
+  const sessionKey = useMemo(() => sessionKeyFn(calendar), [calendar]);
+  // Binance interval fetched and streamed; resampled to `tf` unless native
+  const feedPlan = useMemo(
+    () => planResolution(tf, BINANCE_RESOLUTIONS) || { resolution: tf, base: '1h', native: true },
+    [tf],
+  );
+  const binanceTf = BINANCE_TF_MAP[feedPlan.base];
+  const resolutionMs = RESOLUTION_MS[normalizeResolution(tf)] || timeframeMs(tf) || 3_600_000;
+  resolutionMsRef.current = resolutionMs;
+  captureInfoRef.current = { symbol, tf };
+  rangeChangeRef.current = onVisibleRangeChange;
+
+  // Imported ticks replace the feed: bars and footprints come from the file
+  const importedFlow = useMemo(
+    () => (importedTicks ? footprintsFromTicks(importedTicks.ticks, { resolutionMs, rowsPerBar }) : null),
+    [importedTicks, resolutionMs, rowsPerBar],
+  );
 
   // ─── Initialize Engine ───────────────────────────────────────
   useEffect(() => {
@@ -229,9 +382,9 @@ export default function ChartEngineWidget({
       el,
       ro,
       getCanvas: () => mainCanvas,
-      getBars: () => barsRef.current,
+      getBars: chartBars,
       getVisibleRange: () => {
-        const bars = barsRef.current;
+        const bars = chartBars();
         const end = bars.length - 1 - state.scrollOffset + 5;
         const start = Math.max(0, Math.floor(end - state.visibleBars + 1));
         return { start, end: Math.min(bars.length - 1, Math.floor(end)) };
@@ -241,15 +394,76 @@ export default function ChartEngineWidget({
 
     if (onEngineReady) onEngineReady(engineRef.current);
 
+    // Trade attachments snapshot every canvas layer (candles + trade
+    // markers, drawing overlays, top canvas) of the latest mounted chart
+    const unregisterCapture = registerChartCapture(() => ({
+      layers: [...el.querySelectorAll('canvas')],
+      ...captureInfoRef.current,
+    }));
+
     // Cleanup
     return () => {
       mountedRef.current = false;
+      unregisterCapture();
       ro.disconnect();
       el.innerHTML = '';
       engineRef.current = null;
     };
   }, []); // Mount once
 
+  // ─── Drawing Tools ───────────────────────────────────────────
+  // Main chart only: its drawings are the store symbol's (useDrawingStore),
+  // loaded and saved per symbol by AppBoot. Tool selection comes from
+  // useChartStore.activeTool (DrawingToolbar / MobileDrawingSheet).
+  const isMainChart = !overrideSymbol;
+  useEffect(() => {
+    if (!isMainChart) return;
+    const markDirty = () => { if (engineRef.current) engineRef.current.markDirty(); };
+
+    const drawingEngine = createDrawingEngine({
+      onChange: (drawings) => {
+        useDrawingStore.getState().setDrawings(drawings);
+        markDirty();
+      },
+      onStateChange: (s) => {
+        if (s !== 'creating' && useChartStore.getState().activeTool) useChartStore.getState().setActiveTool(null);
+        markDirty();
+      },
+      onComplete: (d) => {
+        if (d.type !== 'text' && d.type !== 'callout') return;
+        const text = window.prompt('Enter text:', '');
+        if (text) drawingEngine.setText(d.id, text);
+        else drawingEngine.removeDrawing(d.id);
+      },
+    });
+    drawingEngineRef.current = drawingEngine;
+    drawingRendererRef.current = createDrawingRenderer(drawingEngine, {
+      getRiskAmount: () => useChartTradeStore.getState().riskAmount,
+      getBarInterval: () => resolutionMsRef.current,
+    });
+    const unbind = bindDrawingEngine(drawingEngine);
+
+    return () => {
+      unbind();
+      drawingEngine.dispose();
+      drawingEngineRef.current = null;
+      drawingRendererRef.current = null;
+    };
+  }, [isMainChart]);
+
+  // Reload when history is imported for this symbol
+  useEffect(() => {
+    const onImport = (e) => {
+      const imported = e.detail?.symbol?.toUpperCase();
+      const root = continuousRoot(symbol);
+      if (imported === symbol.toUpperCase() || (root && parseContract(imported)?.root === root)) {
+        setLocalDataVersion((v) => v + 1);
+      }
+    };
+    window.addEventListener('tradeforge:local-data', onImport);
+    return () => window.removeEventListener('tradeforge:local-data', onImport);
+  }, [symbol]);
+
   // ─── Data Loading ────────────────────────────────────────────
   useEffect(() => {
     if (!engineRef.current) return;
@@ -257,6 +471,8 @@ export default function ChartEngineWidget({
 
     setStatus('loading');
     barsRef.current = [];
+    rollsRef.current = null;
+    chartBarsRef.current = { src: null, type: null, params: null, bars: [] };
     engineRef.current.state.scrollOffset = 0;
 
     // Close existing WebSocket
@@ -265,29 +481,73 @@ export default function ChartEngineWidget({
       wsRef.current = null;
     }
 
+    if (importedFlow) {
+      const bars = importedFlow.bars;
+      flowRef.current = { agg: null, byTime: new Map(bars.map((b) => [b.time, b])), tickSize: importedFlow.tickSize };
+      barsRef.current = bars;
+      setBarCount(bars.length);
+      setStatus(bars.length ? 'ready' : 'error');
+      setStoreData(bars, 'ticks');
+      engineRef.current.state.mainDirty = true;
+      engineRef.current.state.topDirty = true;
+      return () => { cancelled = true; };
+    }
+
     (async () => {
       try {
-        const url = `https://api.binance.com/api/v3/klines?symbol=${binanceSymbol}&interval=${binanceTf}&limit=500`;
-        const res = await fetch(url);
-        const data = await res.json();
+        // Imported history (LocalFileFeed) wins over Binance; no live stream
+        const localFeed = getLocalFileFeed();
+
+        // Continuous futures stitched from imported contracts (ESH5, ESM5…)
+        if (continuousRoot(symbol)) {
+          const contFeed = createContinuousFeed(localFeed, continuousOpts);
+          if (await contFeed.hasSymbol(symbol)) {
+            const { bars } = await contFeed.getBars(symbol, tf, undefined, Date.now(), 500);
+            if (cancelled) return;
+            rollsRef.current = contFeed.continuousInfo(symbol, tf);
+            barsRef.current = bars;
+            setBarCount(bars.length);
+            setStatus(bars.length ? 'ready' : 'error');
+            if (!overrideSymbol) {
+              setStoreData(bars, 'continuous');
+              setContractRolls(rollsRef.current);
+            }
+            if (engineRef.current) engineRef.current.markDirty();
+            return;
+          }
+        }
+
+        if (await localFeed.hasSymbol(symbol).catch(() => false)) {
+          const { bars } = await localFeed.getBars(symbol, tf, undefined, Date.now(), 500);
+          if (cancelled) return;
+          barsRef.current = bars;
+          setBarCount(bars.length);
+          setStatus(bars.length ? 'ready' : 'error');
+          if (!overrideSymbol) setStoreData(bars, 'local');
+          if (engineRef.current) engineRef.current.markDirty();
+          return;
+        }
+
+        // Timeframes Binance doesn't serve fold their base bars through
+        // one resampler, history and live updates alike
+        const agg = feedPlan.native ? null : createResampler(tf);
+        const baseCount = agg
+          ? Math.min(MAX_BASE_BARS, Math.ceil(HISTORY_BARS * timeframeMs(tf) / timeframeMs(feedPlan.base)))
+          : HISTORY_BARS;
+        const base = await fetchKlines(binanceSymbol, binanceTf, baseCount);
 
         if (cancelled) return;
 
-        const bars = data.map((k) => ({
-          time: k[0],
-          open: +k[1],
-          high: +k[2],
-          low: +k[3],
-          close: +k[4],
-          volume: +k[5],
-        }));
+        const bars = agg ? agg.seed(base) : base;
+        // The fetch window usually starts mid-bucket: drop the short first bar
+        if (agg && bars.length > 1 && base[0].time > bars[0].time) bars.shift();
 
         barsRef.current = bars;
         setBarCount(bars.length);
         setStatus('ready');
 
-        // Sync to global store
-        setStoreData(bars, 'binance');
+        // Sync to global store (main chart only; panes keep their own bars)
+        if (!overrideSymbol) setStoreData(bars, 'binance');
 
         // Mark engine dirty
         if (engineRef.current) {
@@ -306,7 +566,7 @@ export default function ChartEngineWidget({
             const msg = JSON.parse(evt.data);
             if (msg.e === 'kline' && msg.k) {
               const k = msg.k;
-              const bar = {
+              const baseBar = {
                 time: k.t,
                 open: +k.o,
                 high: +k.h,
@@ -314,6 +574,8 @@ export default function ChartEngineWidget({
                 close: +k.c,
                 volume: +k.v,
               };
+              const bar = agg ? agg.update(baseBar)?.bar : baseBar;
+              if (!bar) return;
 
               const prev = barsRef.current;
               if (!prev.length) return;
@@ -353,11 +615,101 @@ export default function ChartEngineWidget({
         wsRef.current = null;
       }
     };
-  }, [binanceSymbol, binanceTf]);
+  }, [binanceSymbol, tf, feedPlan, importedFlow, localDataVersion, continuousOpts]);
 
-  // ─── Compute Indicators ──────────────────────────────────────
+  // ─── Live Order Flow ─────────────────────────────────────────
+  // Footprints from the aggTrade stream, backfilled with recent trades.
+  // Live ticks that arrive during the backfill are held and merged
+  // after it by trade id so nothing is counted twice.
   useEffect(() => {
+    if (importedFlow) return;
+    flowRef.current = { agg: null, byTime: null, tickSize: 0 };
     const bars = barsRef.current;
+    if (!flowOn || status !== 'ready' || !bars.length) return;
+
+    const tickSize = barTickSize(bars, rowsPerBar);
+    const agg = createFootprintAggregator({ resolutionMs, tickSize });
+    flowRef.current = { agg, byTime: null, tickSize };
+
+    const feed = createBinanceFeed();
+    let cancelled = false;
+    let pending = [];
+    const markDirty = () => {
+      if (engineRef.current) engineRef.current.state.mainDirty = true;
+    };
+
+    const subId = feed.subscribeTrades(binanceSymbol, (tick) => {
+      if (pending) pending.push(tick);
+      else {
+        agg.add(tick);
+        markDirty();
+      }
+    });
+
+    const to = Date.now();
+    const from = Math.max(bars[Math.max(0, bars.length - FLOW_BACKFILL_BARS)].time, to - FLOW_BACKFILL_MS);
+    const flush = (lastId) => {
+      if (cancelled) return;
+      for (const tick of pending) if (lastId == null || !(tick.id <= lastId)) agg.add(tick);
+      pending = null;
+      markDirty();
+    };
+    feed.getTrades(binanceSymbol, from, to, FLOW_BACKFILL_MAX_TRADES)
+      .then(({ ticks }) => {
+        if (cancelled) return;
+        agg.addMany(ticks);
+        flush(ticks.length ? ticks[ticks.length - 1].id : null);
+      })
+      .catch(() => flush(null));
+
+    return () => {
+      cancelled = true;
+      feed.unsubscribeTrades(subId);
+      feed.dispose();
+    };
+  }, [flowOn, status, binanceSymbol, resolutionMs, rowsPerBar, importedFlow]);
+
+  // ─── Higher-Timeframe Series ─────────────────────────────────
+  // Timeframes above the chart's that indicators or scripts need
+  const htfKey = useMemo(() => {
+    const tfs = new Set(seriesRequests);
+    for (const ind of indicators || []) if (ind.timeframe) tfs.add(ind.timeframe);
+    return [...tfs].filter((t) => isHigherTimeframe(t, tf)).sort().join(',');
+  }, [indicators, seriesRequests, tf]);
+
+  useEffect(() => {
+    seriesRef.current = {};
+    if (!overrideSymbol) useChartStore.getState().setSeries({});
+  }, [binanceSymbol, importedFlow, overrideSymbol]);
+
+  useEffect(() => {
+    if (status !== 'ready' || importedFlow || !htfKey) return;
+    let cancelled = false;
+    const first = barsRef.current[0]?.time ?? Date.now();
+    const missing = htfKey.split(',').filter((t) => !seriesRef.current[t] && BINANCE_TF_MAP[t]);
+
+    (async () => {
+      for (const htf of missing) {
+        try {
+          const startTime = Math.floor(first - HTF_WARMUP_BARS * timeframeMs(htf));
+          const bars = await fetchKlinesSince(binanceSymbol, BINANCE_TF_MAP[htf], startTime);
+          if (cancelled) return;
+          seriesRef.current = { ...seriesRef.current, [htf]: bars };
+        } catch {
+          // Indicators fall back to aggregating the chart's own bars
+        }
+      }
+      if (cancelled || !missing.length) return;
+      if (!overrideSymbol) useChartStore.getState().setSeries(seriesRef.current);
+      setSeriesVersion((v) => v + 1);
+    })();
+
+    return () => { cancelled = true; };
+  }, [status, htfKey, binanceSymbol, importedFlow, overrideSymbol]);
+
+  // ─── Compute Indicators ──────────────────────────────────────
+  useEffect(() => {
+    const bars = chartBars();
     if (!bars.length || !indicators?.length) {
       indicatorInstancesRef.current = [];
       return;
@@ -368,14 +720,19 @@ export default function ChartEngineWidget({
       const id = ind.indicatorId || ind.type;
       if (!INDICATORS[id]) return null;
 
-      const instance = createIndicatorInstance(id, ind.params || {});
+      const instance = createIndicatorInstance(id, ind.params || {}, {}, { timeframe: ind.timeframe });
 
       // Apply color override if provided
       if (ind.color && instance.outputs[0]) {
         instance.outputs[0].color = ind.color;
       }
 
-      instance.compute(bars);
+      // Synthetic bars (Renko etc.) have no fixed timeframe: align by time only
+      instance.compute(bars, {
+        timeframe: isTimeBased(chartTypeRef.current) ? tf : undefined,
+        series: seriesRef.current,
+        sessionKey,
+      });
       return instance;
     }).filter(Boolean);
 
@@ -384,13 +741,20 @@ export default function ChartEngineWidget({
     if (engineRef.current) {
       engineRef.current.state.mainDirty = true;
     }
-  }, [indicators, barCount]);
+  }, [indicators, barCount, chartType, tf, seriesVersion, sessionKey]);
 
   // ─── Render Loop ─────────────────────────────────────────────
   useEffect(() => {
     if (!engineRef.current) return;
     let raf;
 
+    const flowTheme = getTheme(theme === 'light' ? 'light' : 'dark').theme;
+    const footprintRenderer = createFootprintRenderer(flowTheme);
+    const profileRenderer = createVolumeProfileRenderer(flowTheme);
+    const sessionRenderer = createSessionRenderer();
+    const intraday = timeframeMs(tf) > 0 && timeframeMs(tf) < 86_400_000;
+    const deltaRenderer = createDeltaPaneRenderer(flowTheme);
+
     function render() {
       raf = requestAnimationFrame(render);
 
@@ -398,7 +762,7 @@ export default function ChartEngineWidget({
       if (!eng) return;
 
       const { state: S, mainCtx: mCtx, topCtx: tCtx, mainCanvas, topCanvas } = eng;
-      const bars = barsRef.current;
+      const bars = chartBars();
 
       if (!bars.length) return;
 
@@ -415,7 +779,8 @@ export default function ChartEngineWidget({
         const axW = compact ? 0 : 72;
         const txH = compact ? 0 : 24;
         const cW = mw - axW;
-        const mainH = mh - txH;
+        const deltaH = flowOn && orderFlow ? Math.round((mh - txH) * DELTA_PANE_RATIO) : 0;
+        const mainH = mh - txH - deltaH;
 
         // Viewport calc
         const end = bars.length - 1 - S.scrollOffset + 5;
@@ -423,6 +788,12 @@ export default function ChartEngineWidget({
         const vis = bars.slice(start, Math.min(bars.length, Math.floor(end) + 1));
         const bSp = cW / S.visibleBars;
 
+        // Order flow aligned with the chart bars (null where no trades yet)
+        const flow = flowRef.current;
+        const fps = flowOn && (flow.byTime || flow.agg)
+          ? alignFootprints(bars, flow.byTime || flow.agg.byTime())
+          : null;
+
         let lo = Infinity, hi = -Infinity;
         for (const b of vis) {
           if (b.low < lo) lo = b.low;
@@ -440,7 +811,18 @@ export default function ChartEngineWidget({
         mCtx.fillRect(0, 0, bw, bh);
 
         // Store render info
-        S.lastRender = { start, end: Math.floor(end), vis, bSp, p2y, yMin, yMax, cW, mainH, axW, txH, thm, pr };
+        S.lastRender = { start, end: Math.floor(end), vis, bSp, p2y, yMin, yMax, cW, mainH, deltaH, axW, txH, thm, pr, fps };
+
+        // Drawings are anchored by price and time; snap new points to bars
+        if (drawingEngineRef.current) {
+          const barMs = resolutionMsRef.current;
+          drawingEngineRef.current.setCoordinateConverters({
+            priceToPixel: p2y,
+            pixelToPrice: (y) => yMin + ((mainH - y) / mainH) * (yMax - yMin),
+            timeToPixel: (t) => (fractionalIndexAtTime(bars, t, barMs) - start + 0.5) * bSp,
+            pixelToTime: (x) => timeAtIndex(bars, Math.round(start + x / bSp - 0.5), barMs),
+          });
+        }
 
         // Grid
         const cBW = Math.round(cW * pr);
@@ -458,8 +840,15 @@ export default function ChartEngineWidget({
           mCtx.fillRect(0, y, cBW, Math.max(1, pr));
         }
 
+        // Session breaks and extended-hours shading (intraday, time-based)
+        if (calendar && intraday && isTimeBased(chartType)) {
+          const marks = sessionMarks(bars, calendar, { start, end: start + vis.length - 1 });
+          sessionRenderer.draw(mCtx, { ...marks, firstVisibleIdx: start, barSpacing: bSp, pixelRatio: pr, bitmapHeight: mainBH });
+        }
+
         // Volume
-        if (showVolume) {
+        const drawFootprints = !!(fps && orderFlow);
+        if (showVolume && !drawFootprints && ENGINE_CHART_TYPES[chartType]?.hasVolume !== false) {
           let mV = 0;
           for (const b of vis) if ((b.volume || 0) > mV) mV = b.volume;
           if (mV > 0) {
@@ -482,9 +871,35 @@ export default function ChartEngineWidget({
           }
         }
 
-        // Candles
+        // Candles (footprints in order flow mode; other registered chart
+        // types use their own draw function)
         const bodyW = candleBodyWidth(bSp);
-        for (let ps = 0; ps < 2; ps++) {
+        const drawSeries = !drawFootprints && chartType !== 'candlestick' && ENGINE_CHART_TYPES[chartType]
+          ? getChartTypeRenderer(chartType)
+          : null;
+        const skipCandles = drawFootprints || !!drawSeries;
+        if (drawFootprints) {
+          footprintRenderer.draw(mCtx, {
+            bars: vis,
+            footprints: fps.slice(start, start + vis.length),
+            tickSize: flow.tickSize,
+            startIdx: start,
+            firstVisibleIdx: start,
+            barSpacing: bSp,
+            priceToY: p2y,
+            pixelRatio: pr,
+          });
+        } else if (drawSeries) {
+          drawSeries(mCtx, vis, {
+            barSpacing: bSp,
+            startIdx: start,
+            firstVisibleIdx: start,
+            priceToY: p2y,
+            pixelRatio: pr,
+            bitmapHeight: mainBH,
+          }, thm.theme);
+        }
+        for (let ps = 0; ps < 2 && !skipCandles; ps++) {
           // Wicks
           mCtx.fillStyle = ps === 0 ? (thm.bullCandle || '#26A69A') : (thm.bearCandle || '#EF5350');
           for (let i = 0; i < vis.length; i++) {
@@ -497,7 +912,7 @@ export default function ChartEngineWidget({
             mCtx.fillRect(x - Math.floor(ww / 2), hY, ww, Math.max(1, lY - hY));
           }
         }
-        for (let ps = 0; ps < 2; ps++) {
+        for (let ps = 0; ps < 2 && !skipCandles; ps++) {
           // Bodies
           mCtx.fillStyle = ps === 0 ? (thm.bullCandle || '#26A69A') : (thm.bearCandle || '#EF5350');
           for (let i = 0; i < vis.length; i++) {
@@ -513,6 +928,33 @@ export default function ChartEngineWidget({
           }
         }
 
+        // Volume profile: one per UTC session in view, or the visible range
+        if (fps && showVolumeProfile && flow.tickSize > 0) {
+          const endIdx = start + vis.length - 1;
+          const rowSize = Number((Math.ceil((yMax - yMin) / PROFILE_ROWS / flow.tickSize) * flow.tickSize).toPrecision(12));
+          if (profileMode === 'visible') {
+            profileRenderer.draw(mCtx, {
+              profile: buildVolumeProfile(fps, { from: start, to: endIdx, rowSize }),
+              priceToY: p2y,
+              pixelRatio: pr,
+              bitmapWidth: cBW,
+            });
+          } else {
+            const sessions = sessionProfiles(fps.slice(start, endIdx + 1), { times: vis.map((b) => b.time), rowSize, sessionKey });
+            for (const sp of sessions) {
+              profileRenderer.draw(mCtx, {
+                profile: sp,
+                priceToY: p2y,
+                pixelRatio: pr,
+                left: Math.round(sp.from * bSp * pr),
+                bitmapWidth: Math.round((sp.to + 1) * bSp * pr),
+                align: 'left',
+                widthPct: 0.7,
+              });
+            }
+          }
+        }
+
         // Overlay indicators
         const overlayInds = indicatorInstancesRef.current.filter((i) => i.mode === 'overlay');
         for (const ind of overlayInds) {
@@ -529,7 +971,12 @@ export default function ChartEngineWidget({
 
         // Trade markers
         if (trades?.length) {
-          renderTradeMarkers(mCtx, trades, symbol, bars, start, Math.floor(end), bSp, p2y, pr);
+          renderTradeMarkers(mCtx, mapTradesToContinuous(trades, rollsRef.current), symbol, bars, start, Math.floor(end), bSp, p2y, pr);
+        }
+
+        // Drawings (selected and in-progress ones go on the top canvas)
+        if (drawingRendererRef.current) {
+          drawingRendererRef.current.drawMain(mCtx, { pixelRatio: pr, bitmapWidth: cBW, bitmapHeight: mainBH, mediaWidth: cW, mediaHeight: mainH });
         }
 
         // Price line
@@ -548,6 +995,29 @@ export default function ChartEngineWidget({
 
         mCtx.restore();
 
+        // Delta strip (per-bar delta or cumulative delta, reset per UTC session)
+        const deltaBH = Math.round(deltaH * pr);
+        if (deltaBH > 0 && fps) {
+          const { delta, cumDelta } = deltaSeries(fps, { sessionKey, times: bars.map((b) => b.time) });
+          const series = deltaMode === 'cumulative' ? cumDelta : delta;
+          mCtx.save();
+          mCtx.beginPath();
+          mCtx.rect(0, mainBH, cBW, deltaBH);
+          mCtx.clip();
+          deltaRenderer.draw(mCtx, {
+            values: series.slice(start, start + vis.length),
+            mode: deltaMode,
+            startIdx: start,
+            firstVisibleIdx: start,
+            barSpacing: bSp,
+            pixelRatio: pr,
+            top: mainBH,
+            height: deltaBH,
+            bitmapWidth: cBW,
+          });
+          mCtx.restore();
+        }
+
         // Price axis
         if (!compact) {
           const axX = cBW;
@@ -575,7 +1045,7 @@ export default function ChartEngineWidget({
           }
 
           // Time axis
-          const tY = mainBH;
+          const tY = mainBH + deltaBH;
           mCtx.fillStyle = thm.axisBg || '#1E222D';
           mCtx.fillRect(0, tY, bw, bh - tY);
         }
@@ -609,6 +1079,37 @@ export default function ChartEngineWidget({
           tCtx.lineTo(bx + 0.5, topCanvas.height);
           tCtx.stroke();
           tCtx.setLineDash([]);
+        } else if (syncedTimeRef.current != null) {
+          // Ghost crosshair: the bar containing a linked pane's hover time
+          const ts = syncedTimeRef.current;
+          let lo = 0, hi = bars.length - 1, gi = -1;
+          while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (bars[mid].time <= ts) { gi = mid; lo = mid + 1; } else hi = mid - 1;
+          }
+          if (gi >= R.start && gi <= R.end) {
+            const gx = Math.round((gi - R.start + 0.5) * R.bSp * pr);
+            tCtx.strokeStyle = 'rgba(41,98,255,0.55)';
+            tCtx.lineWidth = Math.max(1, Math.round(pr));
+            tCtx.setLineDash([Math.round(4 * pr), Math.round(4 * pr)]);
+            tCtx.beginPath();
+            tCtx.moveTo(gx + 0.5, 0);
+            tCtx.lineTo(gx + 0.5, topCanvas.height);
+            tCtx.stroke();
+            tCtx.setLineDash([]);
+          }
+        }
+
+        // Selected / in-progress drawing with its anchors
+        if (drawingRendererRef.current) {
+          const cBW = Math.round(R.cW * pr);
+          const mainBH = Math.round(R.mainH * pr);
+          tCtx.save();
+          tCtx.beginPath();
+          tCtx.rect(0, 0, cBW, mainBH);
+          tCtx.clip();
+          drawingRendererRef.current.drawTop(tCtx, { pixelRatio: pr, bitmapWidth: cBW, bitmapHeight: mainBH, mediaWidth: R.cW, mediaHeight: R.mainH });
+          tCtx.restore();
         }
 
         // OHLCV legend
@@ -644,6 +1145,16 @@ export default function ChartEngineWidget({
             ox += tCtx.measureText(v).width + Math.round(8 * pr);
           }
 
+          // Bar delta from the footprint
+          const fp = R.fps?.[S.hoverIdx != null ? S.hoverIdx : bars.length - 1];
+          if (fp) {
+            tCtx.fillStyle = R.thm.textSecondary || '#787B86';
+            tCtx.fillText('Δ', ox, y);
+            ox += tCtx.measureText('Δ').width + Math.round(2 * pr);
+            tCtx.fillStyle = fp.delta >= 0 ? (R.thm.bullCandle || '#26A69A') : (R.thm.bearCandle || '#EF5350');
+            tCtx.fillText(formatFlow(fp.delta), ox, y);
+          }
+
           // Overlay indicator values in legend
           const overlayInds = indicatorInstancesRef.current.filter((i) => i.mode === 'overlay');
           if (overlayInds.length) {
@@ -677,7 +1188,24 @@ export default function ChartEngineWidget({
 
     raf = requestAnimationFrame(render);
     return () => cancelAnimationFrame(raf);
-  }, [theme, symbol, tf, showVolume, compact, barCount, trades, indicators]);
+  }, [theme, symbol, tf, chartType, showVolume, compact, barCount, trades, indicators, flowOn, orderFlow, showVolumeProfile, profileMode, deltaMode, calendar, sessionKey]);
+
+  // ─── Linked-Pane Sync ────────────────────────────────────────
+  useEffect(() => {
+    syncedTimeRef.current = syncedTimestamp;
+    if (engineRef.current) engineRef.current.state.topDirty = true;
+  }, [syncedTimestamp]);
+
+  // Follow a linked pane's time range (not re-emitted, so no echo)
+  useEffect(() => {
+    const eng = engineRef.current;
+    if (!eng || !visibleTimeRange || eng.state.dragging) return;
+    const vp = viewportForTimeRange(chartBars(), visibleTimeRange, resolutionMs);
+    if (!vp) return;
+    eng.state.scrollOffset = vp.scrollOffset;
+    eng.state.visibleBars = vp.visibleBars;
+    eng.markDirty();
+  }, [visibleTimeRange, barCount, resolutionMs, chartBars]);
 
   // ─── Mouse Interaction ───────────────────────────────────────
   useEffect(() => {
@@ -690,6 +1218,12 @@ export default function ChartEngineWidget({
       return { x: e.clientX - r.left, y: e.clientY - r.top };
     }
 
+    function emitRange() {
+      if (!rangeChangeRef.current) return;
+      const range = timeRangeOfViewport(chartBars(), eng.state, resolutionMsRef.current);
+      if (range) rangeChangeRef.current(range);
+    }
+
     function onMouseMove(e) {
       const pos = getPos(e);
       const S = eng.state;
@@ -700,18 +1234,25 @@ export default function ChartEngineWidget({
       S.mouseY = pos.y;
 
       const ri = Math.round(pos.x / R.bSp - 0.5);
-      S.hoverIdx = Math.max(0, Math.min(barsRef.current.length - 1, R.start + ri));
+      S.hoverIdx = Math.max(0, Math.min(chartBars().length - 1, R.start + ri));
+
+      // Drawing previews, anchor drags and moves (never while panning)
+      if (!S.dragging && drawingEngineRef.current) drawingEngineRef.current.onMouseMove(pos.x, pos.y);
 
       if (S.dragging) {
-        S.scrollOffset = Math.max(0, Math.round(S.dragStartOffset + (e.clientX - S.dragStartX) / R.bSp));
-        S.mainDirty = true;
+        const offset = Math.max(0, Math.round(S.dragStartOffset + (e.clientX - S.dragStartX) / R.bSp));
+        if (offset !== S.scrollOffset) {
+          S.scrollOffset = offset;
+          S.mainDirty = true;
+          emitRange();
+        }
       }
 
       S.topDirty = true;
 
       // Callback
       if (onCrosshairMove && S.hoverIdx != null) {
-        const bar = barsRef.current[S.hoverIdx];
+        const bar = chartBars()[S.hoverIdx];
         if (bar) {
           const price = R.yMin + ((R.mainH - pos.y) / R.mainH) * (R.yMax - R.yMin);
           onCrosshairMove({ price, time: bar.time, bar, x: pos.x, y: pos.y });
@@ -730,6 +1271,12 @@ export default function ChartEngineWidget({
 
     function onMouseDown(e) {
       if (e.button !== 0) return;
+      // Placing points, selecting or grabbing a drawing doesn't pan
+      const de = drawingEngineRef.current;
+      if (de && eng.state.lastRender) {
+        const pos = getPos(e);
+        if (de.onMouseDown(pos.x, pos.y)) return;
+      }
       eng.state.dragging = true;
       eng.state.dragStartX = e.clientX;
       eng.state.dragStartOffset = eng.state.scrollOffset;
@@ -737,6 +1284,7 @@ export default function ChartEngineWidget({
     }
 
     function onMouseUp(e) {
+      if (drawingEngineRef.current) drawingEngineRef.current.onMouseUp();
       const wasDrag = eng.state.dragging;
       eng.state.dragging = false;
       tc.style.cursor = 'crosshair';
@@ -749,7 +1297,7 @@ export default function ChartEngineWidget({
         if (R) {
           const pos = getPos(e);
           const price = R.yMin + ((R.mainH - pos.y) / R.mainH) * (R.yMax - R.yMin);
-          const bar = barsRef.current[eng.state.hoverIdx];
+          const bar = chartBars()[eng.state.hoverIdx];
           if (bar) onBarClick(price, bar.time, bar);
         }
       }
@@ -761,6 +1309,14 @@ export default function ChartEngineWidget({
       eng.state.visibleBars = Math.max(10, Math.min(2000, Math.round(eng.state.visibleBars * (1 + d * 0.15))));
       eng.state.mainDirty = true;
       eng.state.topDirty = true;
+      emitRange();
+    }
+
+    function onKeyDown(e) {
+      const t = e.target;
+      if (t && (t.tagName === 'INPUT' || t.tagName === 'TEXTAREA' || t.isContentEditable)) return;
+      // Escape cancels / deselects, Delete removes the selected drawing
+      if (drawingEngineRef.current && drawingEngineRef.current.onKeyDown(e.key)) e.preventDefault();
     }
 
     tc.style.cursor = 'crosshair';
@@ -770,6 +1326,7 @@ export default function ChartEngineWidget({
     tc.addEventListener('mouseup', onMouseUp);
     tc.addEventListener('wheel', onWheel, { passive: false });
     window.addEventListener('mouseup', onMouseUp);
+    window.addEventListener('keydown', onKeyDown);
 
     return () => {
       tc.removeEventListener('mousemove', onMouseMove);
@@ -778,6 +1335,7 @@ export default function ChartEngineWidget({
       tc.removeEventListener('mouseup', onMouseUp);
       tc.removeEventListener('wheel', onWheel);
       window.removeEventListener('mouseup', onMouseUp);
+      window.removeEventListener('keydown', onKeyDown);
     };
   }, [onBarClick, onCrosshairMove]);
 
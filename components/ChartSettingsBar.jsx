@@ -7,6 +7,10 @@
 import React, { useState } from 'react';
 import { C, F, M } from '../constants.js';
 import { useChartStore } from '../state/useChartStore.js';
+import { useOrderFlowStore } from '../state/useOrderFlowStore.js';
+import { getLocalFileFeed } from '../chartEngine/feeds/LocalFileFeed.js';
+import { clearCache } from '../data/FetchService.js';
+import { continuousRoot } from '../engine/ContinuousFutures.js';
 
 // ─── SVG Icons ───────────────────────────────────────────────────
 const GearIcon = () => (
@@ -181,6 +185,159 @@ function MagnetToggle() {
   );
 }
 
+// ─── Order Flow Settings ─────────────────────────────────────────
+function OrderFlowSettings({ orderFlow, showVolumeProfile }) {
+  const profileMode = useOrderFlowStore((s) => s.profileMode);
+  const deltaMode = useOrderFlowStore((s) => s.deltaMode);
+  const imported = useOrderFlowStore((s) => s.imported);
+  const [importMsg, setImportMsg] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const { count, errors } = useOrderFlowStore.getState().importTicks(await file.text(), file.name);
+    setImportMsg(count
+      ? `${count.toLocaleString()} ticks${errors.length ? ` · ${errors.length} skipped` : ''}`
+      : errors[0] || 'No ticks found');
+  };
+
+  return (
+    <>
+      {showVolumeProfile && (
+        <SelectRow
+          label="Profile"
+          value={profileMode}
+          onChange={useOrderFlowStore.getState().setProfileMode}
+          options={[
+            { value: 'session', label: 'Session' },
+            { value: 'visible', label: 'Visible Range' },
+          ]}
+        />
+      )}
+      {orderFlow && (
+        <SelectRow
+          label="Delta"
+          value={deltaMode}
+          onChange={useOrderFlowStore.getState().setDeltaMode}
+          options={[
+            { value: 'delta', label: 'Bar Delta' },
+            { value: 'cumulative', label: 'Cumulative' },
+          ]}
+        />
+      )}
+      <div style={{
+        display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+        padding: '6px 0', gap: 6,
+      }}>
+        <span style={{ fontSize: 12, color: C.t2, fontFamily: F, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          {imported ? imported.name : 'Tick Data'}
+        </span>
+        {imported ? (
+          <button className="tf-btn"
+            onClick={() => { useOrderFlowStore.getState().clearImported(); setImportMsg(''); }}
+            style={{
+              background: C.r + '20', border: `1px solid ${C.r}40`, borderRadius: 4,
+              color: C.r, fontSize: 10, cursor: 'pointer', padding: '2px 6px',
+            }}
+          >
+            ×
+          </button>
+        ) : (
+          <label style={{
+            background: C.bg2, border: `1px solid ${C.bd}`, borderRadius: 4,
+            color: C.t1, fontSize: 10, cursor: 'pointer', padding: '2px 6px', fontFamily: M,
+          }}>
+            Import CSV
+            <input type="file" accept=".csv,.txt" onChange={handleFile} style={{ display: 'none' }} />
+          </label>
+        )}
+      </div>
+      {importMsg && (
+        <div style={{ fontSize: 10, color: C.t3, fontFamily: M, paddingBottom: 4 }}>{importMsg}</div>
+      )}
+    </>
+  );
+}
+
+// ─── Historical Data (LocalFileFeed) ─────────────────────────────
+// OHLCV or tick CSVs imported for the current symbol. Charts, replay
+// and backtests use them ahead of any network source.
+function LocalDataImport() {
+  const symbol = useChartStore((s) => s.symbol);
+  const tf = useChartStore((s) => s.tf);
+  const [msg, setMsg] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setMsg('Importing…');
+    const res = await getLocalFileFeed().importText(await file.text(), { symbol, resolution: tf, source: file.name });
+    if (!res.ok) { setMsg(res.error || 'Import failed'); return; }
+    clearCache();
+    window.dispatchEvent(new CustomEvent('tradeforge:local-data', { detail: { symbol } }));
+    setMsg(`${res.count.toLocaleString()} ${tf} bars${res.kind === 'ticks' ? ' from ticks' : ''}${res.errors.length ? ` · ${res.errors.length} skipped` : ''}`);
+  };
+
+  return (
+    <>
+      <div style={{
+        display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+        padding: '6px 0', gap: 6,
+      }}>
+        <span style={{ fontSize: 12, color: C.t2, fontFamily: F }}>
+          History ({symbol} {tf})
+        </span>
+        <label style={{
+          background: C.bg2, border: `1px solid ${C.bd}`, borderRadius: 4,
+          color: C.t1, fontSize: 10, cursor: 'pointer', padding: '2px 6px', fontFamily: M,
+        }}>
+          Import CSV
+          <input type="file" accept=".csv,.txt" onChange={handleFile} style={{ display: 'none' }} />
+        </label>
+      </div>
+      {msg && (
+        <div style={{ fontSize: 10, color: C.t3, fontFamily: M, paddingBottom: 4 }}>{msg}</div>
+      )}
+    </>
+  );
+}
+
+// ─── Continuous Futures ──────────────────────────────────────────
+// How imported contracts stitch into 'ES'/'NQ' charts (useChartStore
+// continuous → ContinuousFeed). Only shown on a continuous root.
+function ContinuousSettings() {
+  const symbol = useChartStore((s) => s.symbol);
+  const continuous = useChartStore((s) => s.continuous);
+  const setContinuous = useChartStore((s) => s.setContinuous);
+  if (!continuousRoot(symbol)) return null;
+
+  return (
+    <>
+      <SelectRow
+        label="Contract Roll"
+        value={continuous.roll}
+        onChange={(roll) => setContinuous({ roll })}
+        options={[
+          { value: 'calendar', label: 'Calendar' },
+          { value: 'volume', label: 'Volume' },
+        ]}
+      />
+      <SelectRow
+        label="Back-Adjust"
+        value={continuous.adjust}
+        onChange={(adjust) => setContinuous({ adjust })}
+        options={[
+          { value: 'ratio', label: 'Ratio' },
+          { value: 'difference', label: 'Difference' },
+          { value: 'none', label: 'None' },
+        ]}
+      />
+    </>
+  );
+}
+
 // ─── Settings Popup ──────────────────────────────────────────────
 function SettingsPopup({ onClose }) {
   const chartType = useChartStore((s) => s.chartType);
@@ -222,6 +379,10 @@ function SettingsPopup({ onClose }) {
           { value: 'line', label: 'Line' },
           { value: 'area', label: 'Area' },
           { value: 'heikinashi', label: 'Heikin Ashi' },
+          { value: 'renko', label: 'Renko' },
+          { value: 'range', label: 'Range Bars' },
+          { value: 'kagi', label: 'Kagi' },
+          { value: 'pnf', label: 'Point & Figure' },
         ]}
       />
 
@@ -245,6 +406,13 @@ function SettingsPopup({ onClose }) {
         onChange={() => useChartStore.setState((s) => ({ showVolumeProfile: !s.showVolumeProfile }))}
       />
 
+      {(orderFlow || showVolumeProfile) && (
+        <OrderFlowSettings orderFlow={orderFlow} showVolumeProfile={showVolumeProfile} />
+      )}
+
+      <LocalDataImport />
+      <ContinuousSettings />
+
       <div style={{ height: 1, background: C.bd, margin: '6px 0' }} />
 
       <div style={{
@@ -0,0 +1,290 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Composite Alert Builder
+//
+// Form for condition alerts: each row compares price / an indicator /
+// a drawing / a script output against another operand or a value.
+// Rows combine with AND/OR; the alert has its own timeframe and fires
+// on bar close or intrabar. Saved via useAlertStore.addCompositeAlert
+// and evaluated by AlertEngine.
+//
+// Usage:
+//   <CompositeAlertBuilder symbol="BTCUSDT" timeframe="15m" drawings={...} />
+// ═══════════════════════════════════════════════════════════════════
+
+import React, { useState, useCallback, useMemo } from 'react';
+import { C, F, M } from '../constants.js';
+import { useAlertStore } from '../state/useAlertStore.js';
+import { useScriptStore } from '../state/useScriptStore.js';
+import { getAllIndicators, getIndicator } from '../chartEngine/indicators/registry.js';
+import { ALERT_OPS, OP_LABELS, describeAlert, validateAlert } from '../engine/AlertConditions.js';
+
+const TIMEFRAMES = ['1m', '5m', '15m', '30m', '1h', '4h', '1D', '1W'];
+const PRICE_FIELDS = ['close', 'open', 'high', 'low', 'hl2'];
+const SOURCE_LABELS = { price: 'Price', indicator: 'Indicator', drawing: 'Drawing', script: 'Script', value: 'Value' };
+const FIB_CHOICES = ['', '0', '0.236', '0.382', '0.5', '0.618', '0.786', '1'];
+
+const defaultOperand = (source) => {
+  switch (source) {
+    case 'indicator': return { source, id: 'rsi', params: {} };
+    case 'drawing': return { source, drawingId: '' };
+    case 'script': return { source, scriptId: '', output: 0 };
+    case 'value': return { source, value: 0 };
+    default: return { source: 'price', field: 'close' };
+  }
+};
+
+const newCondition = () => ({ left: defaultOperand('price'), op: 'crosses_above', right: { source: 'value', value: 0 } });
+
+export default function CompositeAlertBuilder({ symbol = '', timeframe = '1h', drawings = [], onAdded }) {
+  const addCompositeAlert = useAlertStore((s) => s.addCompositeAlert);
+  const scripts = useScriptStore((s) => s.scripts);
+
+  const [sym, setSym] = useState(symbol.toUpperCase());
+  const [tf, setTf] = useState(timeframe);
+  const [logic, setLogic] = useState('and');
+  const [evaluate, setEvaluate] = useState('close');
+  const [repeating, setRepeating] = useState(false);
+  const [conditions, setConditions] = useState(() => [newCondition()]);
+  const [errors, setErrors] = useState([]);
+
+  const updateCondition = useCallback((i, patch) => {
+    setConditions((cs) => cs.map((c, j) => (j === i ? { ...c, ...patch } : c)));
+  }, []);
+
+  const draft = useMemo(() => ({
+    symbol: sym.trim(),
+    timeframe: tf,
+    logic,
+    evaluate,
+    // Snapshot drawings so the alert still works if the chart isn't open
+    conditions: conditions.map((c) => ({
+      ...c,
+      left: withDrawingSnapshot(c.left, drawings),
+      right: withDrawingSnapshot(c.right, drawings),
+    })),
+  }), [sym, tf, logic, evaluate, conditions, drawings]);
+
+  const handleAdd = useCallback(() => {
+    const problems = validateAlert(draft);
+    setErrors(problems);
+    if (problems.length) return;
+    addCompositeAlert({ ...draft, repeating });
+    setConditions([newCondition()]);
+    onAdded?.();
+  }, [draft, repeating, addCompositeAlert, onAdded]);
+
+  const inputStyle = {
+    background: C.bg,
+    border: `1px solid ${C.bd}`,
+    color: C.t1,
+    borderRadius: 4,
+    padding: '3px 6px',
+    fontFamily: M,
+    fontSize: 11,
+    outline: 'none',
+    minWidth: 0,
+  };
+
+  return (
+    <div style={{
+      display: 'flex', flexDirection: 'column', gap: 6, fontFamily: F,
+      padding: 8, background: C.sf, borderRadius: 8, border: `1px solid ${C.bd}`, marginBottom: 12,
+    }}>
+      <div style={{ display: 'flex', gap: 4 }}>
+        <input
+          aria-label="Alert symbol"
+          value={sym}
+          onChange={(e) => setSym(e.target.value.toUpperCase())}
+          placeholder="SYM"
+          style={{ ...inputStyle, width: 70, fontWeight: 700, textAlign: 'center' }}
+        />
+        <select aria-label="Alert timeframe" value={tf} onChange={(e) => setTf(e.target.value)} style={inputStyle}>
+          {TIMEFRAMES.map((t) => <option key={t} value={t}>{t}</option>)}
+        </select>
+        <select aria-label="Evaluate on" value={evaluate} onChange={(e) => setEvaluate(e.target.value)} style={{ ...inputStyle, flex: 1 }}>
+          <option value="close">On bar close</option>
+          <option value="intrabar">Intrabar</option>
+        </select>
+      </div>
+
+      {conditions.map((c, i) => (
+        <div key={i} style={{ display: 'flex', flexDirection: 'column', gap: 3, paddingTop: i ? 6 : 0, borderTop: i ? `1px dashed ${C.bd}` : 'none' }}>
+          {i > 0 && (
+            <button
+              className="tf-btn"
+              onClick={() => setLogic((l) => (l === 'and' ? 'or' : 'and'))}
+              title="Toggle AND / OR"
+              style={{ alignSelf: 'center', background: 'none', border: `1px solid ${C.bd}`, borderRadius: 4, color: C.b, fontSize: 9, fontWeight: 700, padding: '1px 6px', cursor: 'pointer' }}
+            >
+              {logic.toUpperCase()}
+            </button>
+          )}
+          <OperandEditor
+            operand={c.left}
+            onChange={(left) => updateCondition(i, { left })}
+            drawings={drawings}
+            scripts={scripts}
+            inputStyle={inputStyle}
+            allowValue={false}
+          />
+          <div style={{ display: 'flex', gap: 4 }}>
+            <select aria-label="Operator" value={c.op} onChange={(e) => updateCondition(i, { op: e.target.value })} style={{ ...inputStyle, flex: 1 }}>
+              {ALERT_OPS.map((op) => <option key={op} value={op}>{OP_LABELS[op]}</option>)}
+            </select>
+            {conditions.length > 1 && (
+              <button
+                className="tf-btn"
+                onClick={() => setConditions((cs) => cs.filter((_, j) => j !== i))}
+                title="Remove condition"
+                style={{ background: 'none', border: 'none', color: C.r + '80', cursor: 'pointer', fontSize: 11 }}
+              >
+                ✕
+              </button>
+            )}
+          </div>
+          <OperandEditor
+            operand={c.right}
+            onChange={(right) => updateCondition(i, { right })}
+            drawings={drawings}
+            scripts={scripts}
+            inputStyle={inputStyle}
+          />
+        </div>
+      ))}
+
+      <button
+        className="tf-btn"
+        onClick={() => setConditions((cs) => [...cs, newCondition()])}
+        style={{ background: 'none', border: `1px dashed ${C.bd}`, borderRadius: 4, color: C.t3, fontSize: 10, padding: '3px 0', cursor: 'pointer' }}
+      >
+        + Condition
+      </button>
+
+      <div style={{ fontSize: 10, color: C.t3, fontFamily: M, lineHeight: 1.4 }}>{describeAlert(draft)}</div>
+      {errors.map((err) => <div key={err} style={{ fontSize: 10, color: C.r }}>{err}</div>)}
+
+      <div style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: 3, fontSize: 10, color: C.t3, cursor: 'pointer', flex: 1 }}>
+          <input type="checkbox" checked={repeating} onChange={(e) => setRepeating(e.target.checked)} style={{ width: 12, height: 12 }} />
+          Repeat
+        </label>
+        <button
+          className="tf-btn"
+          onClick={handleAdd}
+          disabled={!sym.trim()}
+          style={{
+            background: C.b, color: '#fff', border: 'none', borderRadius: 4,
+            padding: '4px 12px', fontSize: 11, fontWeight: 600, cursor: 'pointer',
+            opacity: sym.trim() ? 1 : 0.4,
+          }}
+        >
+          + Add
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ─── Operand Editor ─────────────────────────────────────────────
+
+function OperandEditor({ operand, onChange, drawings, scripts, inputStyle, allowValue = true }) {
+  const sources = Object.keys(SOURCE_LABELS).filter((s) => allowValue || s !== 'value');
+  const def = operand.source === 'indicator' ? getIndicator(operand.id) : null;
+
+  return (
+    <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap' }}>
+      <select aria-label="Operand source" value={operand.source} onChange={(e) => onChange(defaultOperand(e.target.value))} style={inputStyle}>
+        {sources.map((s) => <option key={s} value={s}>{SOURCE_LABELS[s]}</option>)}
+      </select>
+
+      {operand.source === 'price' && (
+        <select aria-label="Price field" value={operand.field || 'close'} onChange={(e) => onChange({ ...operand, field: e.target.value })} style={{ ...inputStyle, flex: 1 }}>
+          {PRICE_FIELDS.map((f) => <option key={f} value={f}>{f}</option>)}
+        </select>
+      )}
+
+      {operand.source === 'value' && (
+        <input
+          aria-label="Value"
+          type="number"
+          step="any"
+          value={operand.value}
+          onChange={(e) => onChange({ ...operand, value: Number(e.target.value) })}
+          style={{ ...inputStyle, flex: 1, textAlign: 'right' }}
+        />
+      )}
+
+      {operand.source === 'indicator' && (
+        <>
+          <select aria-label="Indicator" value={operand.id} onChange={(e) => onChange({ source: 'indicator', id: e.target.value, params: {} })} style={{ ...inputStyle, flex: 1 }}>
+            {getAllIndicators().map((ind) => <option key={ind.id} value={ind.id}>{ind.shortName}</option>)}
+          </select>
+          {def && Object.entries(def.params).map(([k, cfg]) => (
+            <input
+              key={k}
+              aria-label={cfg.label || k}
+              title={cfg.label || k}
+              type="number"
+              step={cfg.step || 'any'}
+              value={operand.params?.[k] ?? cfg.default}
+              onChange={(e) => onChange({ ...operand, params: { ...operand.params, [k]: Number(e.target.value) } })}
+              style={{ ...inputStyle, width: 44 }}
+            />
+          ))}
+          {def && def.outputs.length > 1 && (
+            <select aria-label="Indicator output" value={operand.output || def.outputs[0].key} onChange={(e) => onChange({ ...operand, output: e.target.value })} style={inputStyle}>
+              {def.outputs.map((o) => <option key={o.key} value={o.key}>{o.label || o.key}</option>)}
+            </select>
+          )}
+        </>
+      )}
+
+      {operand.source === 'drawing' && (
+        <>
+          <select aria-label="Drawing" value={operand.drawingId || ''} onChange={(e) => onChange({ ...operand, drawingId: e.target.value })} style={{ ...inputStyle, flex: 1 }}>
+            <option value="">{drawings.length ? 'Select drawing…' : 'No drawings on chart'}</option>
+            {drawings.map((d, i) => <option key={d.id} value={d.id}>{d.type} #{i + 1}</option>)}
+          </select>
+          {drawings.find((d) => d.id === operand.drawingId)?.type === 'fib' && (
+            <select aria-label="Fib level" value={operand.level ?? ''} onChange={(e) => onChange({ ...operand, level: e.target.value === '' ? undefined : Number(e.target.value) })} style={inputStyle}>
+              {FIB_CHOICES.map((l) => <option key={l} value={l}>{l === '' ? 'any level' : l}</option>)}
+            </select>
+          )}
+          {drawings.find((d) => d.id === operand.drawingId)?.type === 'rect' && (
+            <select aria-label="Edge" value={operand.level || 'top'} onChange={(e) => onChange({ ...operand, level: e.target.value })} style={inputStyle}>
+              <option value="top">top</option>
+              <option value="bottom">bottom</option>
+            </select>
+          )}
+        </>
+      )}
+
+      {operand.source === 'script' && (
+        <>
+          <select aria-label="Script" value={operand.scriptId || ''} onChange={(e) => onChange({ ...operand, scriptId: e.target.value })} style={{ ...inputStyle, flex: 1 }}>
+            <option value="">Select script…</option>
+            {scripts.map((sc) => <option key={sc.id} value={sc.id}>{sc.name}</option>)}
+          </select>
+          <input
+            aria-label="Script output"
+            title="Output index or label"
+            value={operand.output ?? 0}
+            onChange={(e) => {
+              const v = e.target.value;
+              onChange({ ...operand, output: /^\d+$/.test(v) ? Number(v) : v });
+            }}
+            style={{ ...inputStyle, width: 50 }}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+function withDrawingSnapshot(operand, drawings) {
+  if (operand?.source !== 'drawing' || !operand.drawingId) return operand;
+  const d = drawings.find((x) => x.id === operand.drawingId);
+  return d ? { ...operand, drawing: { type: d.type, points: d.points.map((p) => ({ price: p.price, time: p.time })) } } : operand;
+}
+
+export { CompositeAlertBuilder };
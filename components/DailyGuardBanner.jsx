@@ -13,18 +13,20 @@ import { C, F, M } from '../constants.js';
 import { useDailyGuardStore, bannerProps } from '../state/useDailyGuardStore.js';
 import { useSettingsStore } from '../state/useSettingsStore.js';
 import { useTradeStore } from '../state/useTradeStore.js';
+import { useAccountStore } from '../state/useAccountStore.js';
 
 export default function DailyGuardBanner() {
   const trades = useTradeStore(s => s.trades);
   const dailyLossLimit = useSettingsStore(s => s.dailyLossLimit);
+  const accountScope = useAccountStore(s => s.scope);
   const evaluate = useDailyGuardStore(s => s.evaluate);
   const guardState = useDailyGuardStore();
   const override = useDailyGuardStore(s => s.override);
 
-  // Re-evaluate whenever trades or settings change
+  // Re-evaluate whenever trades, settings or the account scope change
   useEffect(() => {
-    evaluate(trades, dailyLossLimit);
-  }, [trades, dailyLossLimit, evaluate]);
+    evaluate(trades, dailyLossLimit, accountScope);
+  }, [trades, dailyLossLimit, accountScope, evaluate]);
 
   const banner = bannerProps(guardState);
   if (!banner.show) return null;
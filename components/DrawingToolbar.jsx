@@ -17,12 +17,22 @@ const TOOL_GROUPS = [
       { id: 'hray',         name: 'Horizontal Ray',  icon: '→' },
       { id: 'hline',        name: 'Horizontal Line', icon: '―' },
       { id: 'crossline',    name: 'Cross Line',      icon: '┼' },
+      { id: 'arrow',        name: 'Arrow',           icon: '↗' },
     ],
   },
   {
     label: 'Fibonacci',
     tools: [
-      { id: 'fib', name: 'Fib Retracement', icon: '⊞' },
+      { id: 'fib',     name: 'Fib Retracement',     icon: '⊞' },
+      { id: 'fibext',  name: 'Fib Extension',       icon: '⊟' },
+      { id: 'fibtime', name: 'Fib Time Zones',      icon: '⦀' },
+    ],
+  },
+  {
+    label: 'Gann',
+    tools: [
+      { id: 'pitchfork', name: 'Pitchfork', icon: 'Ψ' },
+      { id: 'gannfan',   name: 'Gann Fan',  icon: '⟋' },
     ],
   },
   {
@@ -32,6 +42,21 @@ const TOOL_GROUPS = [
       { id: 'channel', name: 'Channel',   icon: '⋕' },
     ],
   },
+  {
+    label: 'Notes',
+    tools: [
+      { id: 'text',    name: 'Text',    icon: 'T' },
+      { id: 'callout', name: 'Callout', icon: '💬' },
+    ],
+  },
+  {
+    label: 'Measure',
+    tools: [
+      { id: 'measure', name: 'Price / Date Range', icon: '⇕' },
+      { id: 'long',    name: 'Long Position',      icon: '▲' },
+      { id: 'short',   name: 'Short Position',     icon: '▼' },
+    ],
+  },
 ];
 
 const PRESET_COLORS = [
@@ -51,6 +76,11 @@ const PRESET_COLORS = [
  * @param {(color: string) => void} [props.onColorChange] - Color change
  * @param {string}       props.selectedColor  - Current drawing color
  * @param {boolean}      [props.hasSelection] - Is a drawing selected
+ * @param {string}       [props.selectedType] - Tool type of the selected drawing
+ * @param {() => void}   [props.onPlaceTrade] - Send the selected position drawing to trade entry
+ * @param {Object}       [props.visibility]   - Visibility rule of the selected drawing
+ * @param {(rule: Object) => void} [props.onVisibilityChange] - Set the selected drawing's visibility
+ * @param {string}       [props.timeframe]    - Chart timeframe (reference for visibility rules)
  * @param {string}       [props.theme='dark']
  */
 export default function DrawingToolbar({
@@ -62,11 +92,18 @@ export default function DrawingToolbar({
   onColorChange,
   selectedColor = '#2962FF',
   hasSelection = false,
+  selectedType = null,
+  onPlaceTrade,
+  visibility = null,
+  onVisibilityChange,
+  timeframe = '1h',
   theme = 'dark',
 }) {
   const [expanded, setExpanded] = useState(null); // Expanded group label
   const [showColors, setShowColors] = useState(false);
+  const [showVisibility, setShowVisibility] = useState(false);
   const colorRef = useRef(null);
+  const visibilityRef = useRef(null);
   const isDark = theme === 'dark';
 
   const c = {
@@ -85,6 +122,9 @@ export default function DrawingToolbar({
       if (colorRef.current && !colorRef.current.contains(e.target)) {
         setShowColors(false);
       }
+      if (visibilityRef.current && !visibilityRef.current.contains(e.target)) {
+        setShowVisibility(false);
+      }
     };
     document.addEventListener('mousedown', handler);
     return () => document.removeEventListener('mousedown', handler);
@@ -223,7 +263,105 @@ export default function DrawingToolbar({
         )}
       </div>
 
+      {/* Timeframe visibility of the selected drawing */}
+      {hasSelection && onVisibilityChange && (
+        <div ref={visibilityRef} style={{ position: 'relative' }}>
+          <button
+            onClick={() => setShowVisibility(!showVisibility)}
+            title="Show on timeframes"
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              width: '100%',
+              height: 36,
+              background: 'transparent',
+              color: visibility && visibility.mode !== 'all' ? c.active : c.text,
+              border: 'none',
+              cursor: 'pointer',
+              fontSize: 14,
+            }}
+          >
+            ⏱
+          </button>
+
+          {showVisibility && (
+            <div style={{
+              position: 'absolute',
+              left: 48,
+              bottom: 0,
+              background: c.bg,
+              border: `1px solid ${c.border}`,
+              borderRadius: 8,
+              padding: 4,
+              boxShadow: '0 4px 16px rgba(0,0,0,0.3)',
+              zIndex: 1000,
+              width: 170,
+            }}>
+              {[
+                { mode: 'all', label: 'All timeframes' },
+                { mode: 'max', label: `${timeframe} and below` },
+                { mode: 'min', label: `${timeframe} and above` },
+                { mode: 'only', label: `Only ${timeframe}` },
+              ].map(opt => {
+                const current = (visibility?.mode || 'all') === opt.mode &&
+                  (opt.mode === 'all' || visibility?.tf === timeframe);
+                return (
+                  <button
+                    key={opt.mode}
+                    onClick={() => {
+                      onVisibilityChange(opt.mode === 'all' ? { mode: 'all' } : { mode: opt.mode, tf: timeframe });
+                      setShowVisibility(false);
+                    }}
+                    style={{
+                      display: 'block',
+                      width: '100%',
+                      padding: '6px 8px',
+                      background: current ? c.hover : 'transparent',
+                      color: current ? c.textActive : c.text,
+                      border: 'none',
+                      borderRadius: 4,
+                      cursor: 'pointer',
+                      fontSize: 11,
+                      textAlign: 'left',
+                    }}
+                  >
+                    {opt.label}
+                  </button>
+                );
+              })}
+              {visibility && visibility.mode !== 'all' && visibility.tf !== timeframe && (
+                <div style={{ padding: '4px 8px', fontSize: 10, color: c.text }}>
+                  Now: {visibility.mode === 'only' ? 'only ' : visibility.mode === 'max' ? '≤ ' : '≥ '}{visibility.tf}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Actions */}
+      {hasSelection && onPlaceTrade && (selectedType === 'long' || selectedType === 'short') && (
+        <button
+          onClick={onPlaceTrade}
+          title="Open trade entry from position"
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            width: '100%',
+            height: 36,
+            background: 'transparent',
+            color: selectedType === 'long' ? '#26A69A' : c.danger,
+            border: 'none',
+            cursor: 'pointer',
+            fontSize: 14,
+          }}
+        >
+          $
+        </button>
+      )}
+
       {hasSelection && onDelete && (
         <button
           onClick={onDelete}
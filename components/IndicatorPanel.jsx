@@ -13,6 +13,9 @@ import {
   getPaneIndicators,
 } from '../chartEngine/indicators/registry.js';
 
+// Source timeframes offered per indicator ('' = the chart's own)
+const SOURCE_TIMEFRAMES = ['', '5m', '15m', '1h', '4h', '1D', '1W'];
+
 /**
  * IndicatorPanel — Add, remove, and configure indicators.
  *
@@ -201,6 +204,9 @@ export default function IndicatorPanel({ isOpen, onClose }) {
                       {paramStr && (
                         <span style={{ color: C.t3 }}> ({paramStr})</span>
                       )}
+                      {ind.timeframe && (
+                        <span style={{ color: C.b, fontSize: 10 }}> {ind.timeframe}</span>
+                      )}
                     </button>
 
                     {/* Visibility toggle */}
@@ -239,7 +245,7 @@ export default function IndicatorPanel({ isOpen, onClose }) {
                   </div>
 
                   {/* Parameter editor */}
-                  {isEditing && def && Object.keys(def.params).length > 0 && (
+                  {isEditing && def && (
                     <div
                       style={{
                         padding: '4px 12px 8px 28px',
@@ -248,6 +254,29 @@ export default function IndicatorPanel({ isOpen, onClose }) {
                         gap: 8,
                       }}
                     >
+                      <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                        <label style={{ fontSize: 10, color: C.t3, fontFamily: F }}>
+                          Timeframe
+                        </label>
+                        <select
+                          value={ind.timeframe || ''}
+                          onChange={(e) => updateIndicator(idx, { timeframe: e.target.value || null })}
+                          style={{
+                            padding: '3px 4px',
+                            background: C.bg,
+                            border: `1px solid ${C.bd}`,
+                            borderRadius: 4,
+                            color: C.t1,
+                            fontSize: 11,
+                            fontFamily: F,
+                            outline: 'none',
+                          }}
+                        >
+                          {SOURCE_TIMEFRAMES.map((t) => (
+                            <option key={t || 'chart'} value={t}>{t || 'Chart'}</option>
+                          ))}
+                        </select>
+                      </div>
                       {Object.entries(def.params).map(([key, config]) => (
                         <div key={key} style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
                           <label
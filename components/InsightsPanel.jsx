@@ -17,6 +17,8 @@ import { C, F, M } from '../constants.js';
 import { detectPatterns, gradePatterns } from '../engine/PatternDetector.js';
 import { generateDebrief, generateWeeklyDebrief } from '../engine/DailyDebrief.js';
 import { useChecklistStore } from '../state/useChecklistStore.js';
+import { useSettingsStore } from '../state/useSettingsStore.js';
+import { useFxStore } from '../state/useFxStore.js';
 
 const TABS = [
   { id: 'patterns', label: '🔍 Patterns' },
@@ -169,6 +171,8 @@ function PatternsTab({ trades }) {
 function DebriefTab({ trades }) {
   const [mode, setMode] = useState('daily'); // 'daily' | 'weekly'
   const [dateOffset, setDateOffset] = useState(0); // 0 = today, -1 = yesterday, etc.
+  const baseCurrency = useSettingsStore((s) => s.baseCurrency);
+  const fxRates = useFxStore((s) => s.rates);
 
   const targetDate = useMemo(() => {
     const d = new Date();
@@ -178,9 +182,9 @@ function DebriefTab({ trades }) {
 
   const debrief = useMemo(() =>
     mode === 'daily'
-      ? generateDebrief(trades, targetDate)
-      : generateWeeklyDebrief(trades),
-    [trades, targetDate, mode]
+      ? generateDebrief(trades, targetDate, { baseCurrency, fxRates })
+      : generateWeeklyDebrief(trades, { baseCurrency, fxRates }),
+    [trades, targetDate, mode, baseCurrency, fxRates]
   );
 
   return (
@@ -17,6 +17,8 @@ import { C, F, M } from '../constants.js';
 import { radii } from '../theme/tokens.js';
 import { useSettingsStore } from '../state/useSettingsStore.js';
 import { useTradeStore } from '../state/useTradeStore.js';
+import { useFxStore } from '../state/useFxStore.js';
+import { useAttachmentStore } from '../state/useAttachmentStore.js';
 import { useOnboardingStore } from '../state/useOnboardingStore.js';
 import { useSocialStore } from '../state/useSocialStore.js';
 import { genDemoData } from '../data/demoData.js';
@@ -446,14 +448,18 @@ function DataContent() {
     downloadFile(csv, `tradeforge-export-${date}.csv`, 'text/csv');
   };
 
-  const handleExportJSON = () => {
-    const json = exportJSON(trades);
+  const handleExportJSON = async () => {
+    const attachments = await useAttachmentStore.getState().exportBackup();
+    const json = exportJSON(trades, { attachments });
     const date = new Date().toISOString().slice(0, 10);
     downloadFile(json, `tradeforge-export-${date}.json`, 'application/json');
   };
 
   const handleExportReport = () => {
-    const analytics = computeFast(trades);
+    const analytics = computeFast(trades, {
+      baseCurrency: useSettingsStore.getState().baseCurrency,
+      fxRates: useFxStore.getState().rates,
+    });
     const md = generateReport(trades, analytics, { title: 'TradeForge Performance Report' });
     downloadReport(md);
   };
@@ -473,16 +479,19 @@ function DataContent() {
       ok: true,
       message: `${result.brokerLabel || result.broker}: ${result.count} trades${result.skipped ? ` (${result.skipped} skipped)` : ''}`,
       trades: result.trades,
+      attachments: result.attachments,
     });
   };
 
-  const confirmImport = () => {
+  const confirmImport = async () => {
     if (!importResult?.trades?.length) return;
     const merged = [...trades, ...importResult.trades];
     setTrades(merged);
+    const att = await useAttachmentStore.getState().importBackup(importResult.attachments);
+    const attNote = att.data ? ` Restored ${att.data} attachment${att.data !== 1 ? 's' : ''}.` : '';
     setImportResult({
       ok: true,
-      message: `✅ Imported ${importResult.trades.length} trades. Total: ${merged.length}.`,
+      message: `✅ Imported ${importResult.trades.length} trades. Total: ${merged.length}.${attNote}`,
       trades: null,
     });
   };
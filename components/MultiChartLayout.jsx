@@ -0,0 +1,204 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — MultiChartLayout
+//
+// Grid of chart panes driven by useChartStore.layout / panes. Each pane
+// has its own symbol, timeframe, chart type and indicators; the layout
+// bar picks the grid (capped at maxCharts) and the pane links:
+//
+//   Symbol group (A–D badge) — panes in a group change symbol together
+//   Interval                 — a timeframe change applies to all panes
+//   Crosshair                — hover time mirrored via CrosshairBus
+//   Time range               — scroll/zoom mirrored via CrosshairBus
+//
+// Replaces the fixed 2x2 QuadChart; quadMode is true whenever this
+// view is showing.
+// ═══════════════════════════════════════════════════════════════════
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { C, M, CRYPTO_TFS, CHART_TYPES } from '../constants.js';
+import { useChartStore } from '../state/useChartStore.js';
+import ChartEngineWidget from './ChartEngineWidget.jsx';
+import SymbolSearch from './SymbolSearch.jsx';
+import crosshairBus from '../utils/CrosshairBus.js';
+import {
+  LINK_GROUPS,
+  availableLayouts,
+  getLayout,
+  gridTemplate,
+  cellArea,
+} from '../engine/ChartLayouts.js';
+
+/** Badge colour per symbol group (read at render so theme swaps apply) */
+const groupColor = (group) => ({ A: C.info, B: C.g, C: C.y, D: C.p })[group];
+
+const LINK_TOGGLES = [
+  { key: 'interval', label: '⏱', title: 'Link interval' },
+  { key: 'crosshair', label: '✛', title: 'Link crosshair' },
+  { key: 'timeRange', label: '⇔', title: 'Link scroll / time range' },
+];
+
+const btnStyle = (active) => ({
+  background: active ? C.b + '28' : 'transparent',
+  color: active ? C.b : C.t3,
+  border: active ? `1px solid ${C.b}40` : '1px solid transparent',
+  borderRadius: 4,
+  padding: '2px 7px',
+  fontSize: 11,
+  fontFamily: M,
+  cursor: 'pointer',
+});
+
+/** Next symbol group in the badge cycle: none → A → B → C → D → none */
+function nextGroup(group) {
+  const i = LINK_GROUPS.indexOf(group);
+  return i === LINK_GROUPS.length - 1 ? null : LINK_GROUPS[i + 1];
+}
+
+// ─── Pane ───────────────────────────────────────────────────────
+
+function LayoutPane({ pane, cell, active, links }) {
+  const updatePane = useChartStore((s) => s.updatePane);
+  const setActivePane = useChartStore((s) => s.setActivePane);
+  const [syncedTimestamp, setSyncedTimestamp] = useState(null);
+  const [timeRange, setTimeRange] = useState(null);
+  const paneId = pane.id;
+
+  useEffect(() => {
+    if (!links.crosshair) { setSyncedTimestamp(null); return undefined; }
+    return crosshairBus.subscribe(paneId, (payload) => setSyncedTimestamp(payload ? payload.timestamp : null));
+  }, [paneId, links.crosshair]);
+
+  useEffect(() => {
+    if (!links.timeRange) return undefined;
+    return crosshairBus.subscribeRange(paneId, ({ from, to }) => setTimeRange({ from, to }));
+  }, [paneId, links.timeRange]);
+
+  const handleCrosshairMove = useCallback(({ time, price }) => {
+    if (links.crosshair) crosshairBus.emit(paneId, { timestamp: time, price });
+  }, [paneId, links.crosshair]);
+
+  const handleRangeChange = useCallback((range) => {
+    if (links.timeRange) crosshairBus.emitRange(paneId, range);
+  }, [paneId, links.timeRange]);
+
+  const engineType = CHART_TYPES.find((ct) => ct.id === pane.chartType)?.engineId || pane.chartType;
+
+  return (
+    <div
+      onMouseDown={() => setActivePane(paneId)}
+      onMouseLeave={() => links.crosshair && crosshairBus.clear(paneId)}
+      style={{
+        gridArea: cellArea(cell),
+        display: 'flex',
+        flexDirection: 'column',
+        minWidth: 0,
+        minHeight: 0,
+        background: C.bg,
+        outline: active ? `1px solid ${C.b}60` : 'none',
+        outlineOffset: -1,
+      }}
+    >
+      <div style={{
+        display: 'flex', alignItems: 'center', gap: 4, padding: '2px 6px',
+        background: C.bg2, borderBottom: `1px solid ${C.bd}`, flexShrink: 0, minHeight: 28,
+      }}>
+        <button
+          title={pane.group ? `Symbol group ${pane.group} (click to change)` : 'Link symbol to a group'}
+          onClick={() => updatePane(paneId, { group: nextGroup(pane.group) })}
+          style={{
+            width: 18, height: 18, borderRadius: 4, fontSize: 10, fontFamily: M, fontWeight: 700,
+            cursor: 'pointer', padding: 0,
+            border: `1px solid ${pane.group ? groupColor(pane.group) : C.bd}`,
+            background: pane.group ? groupColor(pane.group) + '30' : 'transparent',
+            color: pane.group ? groupColor(pane.group) : C.t3,
+          }}
+        >
+          {pane.group || '·'}
+        </button>
+        <SymbolSearch
+          onSelect={(sym) => updatePane(paneId, { symbol: sym })}
+          currentSymbol={pane.symbol}
+          width={110}
+        />
+        <select
+          value={pane.tf}
+          onChange={(e) => updatePane(paneId, { tf: e.target.value })}
+          style={{ background: 'transparent', color: C.t2, border: `1px solid ${C.bd}`, borderRadius: 4, fontSize: 11, fontFamily: M }}
+        >
+          {CRYPTO_TFS.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+        </select>
+        {pane.indicators.length > 0 && (
+          <span style={{ marginLeft: 'auto', fontSize: 10, color: C.p, fontFamily: M }}>
+            {pane.indicators.length} ind
+          </span>
+        )}
+      </div>
+      <div style={{ flex: 1, position: 'relative', minHeight: 0 }}>
+        <ChartEngineWidget
+          overrideSymbol={pane.symbol}
+          overrideTf={pane.tf}
+          overrideChartType={engineType}
+          overrideIndicators={pane.indicators}
+          orderFlow={false}
+          showVolumeProfile={false}
+          syncedTimestamp={syncedTimestamp}
+          visibleTimeRange={links.timeRange ? timeRange : null}
+          onCrosshairMove={handleCrosshairMove}
+          onVisibleRangeChange={handleRangeChange}
+        />
+      </div>
+    </div>
+  );
+}
+
+// ─── Layout ─────────────────────────────────────────────────────
+
+export default function MultiChartLayout() {
+  const layoutId = useChartStore((s) => s.layout);
+  const panes = useChartStore((s) => s.panes);
+  const links = useChartStore((s) => s.paneLinks);
+  const activePaneId = useChartStore((s) => s.activePaneId);
+  const maxCharts = useChartStore((s) => s.maxCharts);
+  const setLayout = useChartStore((s) => s.setLayout);
+  const setPaneLink = useChartStore((s) => s.setPaneLink);
+
+  const layout = getLayout(layoutId) || getLayout('1x1');
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', width: '100%', height: '100%', minHeight: 0 }}>
+      <div style={{
+        display: 'flex', alignItems: 'center', gap: 2, padding: '3px 6px',
+        background: C.bg2, borderBottom: `1px solid ${C.bd}`, flexShrink: 0,
+      }}>
+        {availableLayouts(maxCharts).map((l) => (
+          <button key={l.id} title={l.label} onClick={() => setLayout(l.id)} style={btnStyle(l.id === layoutId)}>
+            {l.id}
+          </button>
+        ))}
+        <div style={{ marginLeft: 'auto', display: 'flex', gap: 2 }}>
+          {LINK_TOGGLES.map((t) => (
+            <button
+              key={t.key}
+              title={t.title}
+              onClick={() => setPaneLink(t.key, !links[t.key])}
+              style={btnStyle(links[t.key])}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div style={{ display: 'grid', ...gridTemplate(layout.id), gap: 1, flex: 1, minHeight: 0, background: C.bd }}>
+        {panes.slice(0, layout.cells.length).map((pane, i) => (
+          <LayoutPane
+            key={pane.id}
+            pane={pane}
+            cell={layout.cells[i]}
+            active={pane.id === activePaneId}
+            links={links}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,312 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Optimizer Panel
+//
+// Parameter sweep / walk-forward UI for one strategy script. Ranges
+// start from the script's param() declarations (min/max/step) and can
+// be edited per run. Runs go through OptimizerBridge (Web Worker).
+// "Apply" writes a result's params to the script via
+// useScriptStore.setScriptParams.
+//
+// Rendered inside BacktestPanel's Optimize tab; cost settings come
+// from there so both tabs simulate the same fills.
+// ═══════════════════════════════════════════════════════════════════
+
+import React, { useState, useMemo, useRef, useEffect, useCallback } from 'react';
+import { C, F, M } from '../constants.js';
+import { useScriptStore } from '../state/useScriptStore.js';
+import { executeScript } from '../engine/ScriptEngine.js';
+import { OBJECTIVES, rangesFromParams, comboCount } from '../engine/Optimizer.js';
+import { startOptimization } from '../engine/OptimizerBridge.js';
+import { fmtD } from '../utils.js';
+
+const MAX_ROWS = 20;
+
+const fmtParams = (params) => Object.entries(params || {}).map(([k, v]) => `${k}=${v}`).join(' ');
+const fmtDate = (t) => {
+  if (t == null) return '—';
+  const d = new Date(typeof t === 'number' && t < 1e12 ? t * 1000 : t);
+  return isNaN(d) ? '—' : d.toISOString().slice(0, 10);
+};
+
+export default function OptimizerPanel({ script, bars = [], backtestOpts = {} }) {
+  const setScriptParams = useScriptStore((s) => s.setScriptParams);
+
+  // Declared params (with min/max) → default ranges. Only re-derived
+  // when the code changes so live bars / applied params keep edits.
+  const code = script?.code;
+  const barsRef = useRef(bars);
+  barsRef.current = bars;
+  const hasBars = bars.length > 0;
+  const declared = useMemo(
+    () => (code && hasBars ? executeScript(code, barsRef.current).params : {}),
+    [code, hasBars],
+  );
+  const defaultRanges = useMemo(() => rangesFromParams(declared), [declared]);
+  const [ranges, setRanges] = useState({});
+  useEffect(() => { setRanges(defaultRanges); }, [defaultRanges]);
+
+  const [mode, setMode] = useState('sweep');
+  const [method, setMethod] = useState('grid');
+  const [samples, setSamples] = useState(100);
+  const [objective, setObjective] = useState('netPnl');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [folds, setFolds] = useState(4);
+  const [inSamplePct, setInSamplePct] = useState(70);
+  const [anchored, setAnchored] = useState(false);
+
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const runRef = useRef(null);
+
+  useEffect(() => () => runRef.current?.cancel(), []);
+
+  const combos = comboCount(ranges);
+  const candidateCount = method === 'random' ? Math.min(samples, combos) : combos;
+
+  const handleRun = useCallback(() => {
+    if (!script || !bars.length) return;
+    runRef.current?.cancel();
+    setError(null);
+    setResult(null);
+    setProgress({ done: 0, total: candidateCount });
+
+    const baseParams = Object.fromEntries(
+      Object.entries(declared).map(([k, p]) => [k, script.params?.[k] ?? p.default]),
+    );
+    const opts = {
+      ranges,
+      method,
+      samples: Number(samples) || 100,
+      objective,
+      from: from || undefined,
+      to: to || undefined,
+      baseParams,
+      backtest: backtestOpts,
+      ...(mode === 'walkForward' ? { folds: Number(folds) || 4, inSamplePct: (Number(inSamplePct) || 70) / 100, anchored } : {}),
+    };
+    const run = startOptimization(mode, script.code, bars, opts, {
+      onProgress: (done, total) => setProgress({ done, total }),
+    });
+    runRef.current = run;
+    run.promise
+      .then(({ data, ms }) => {
+        if (runRef.current !== run) return;
+        setResult({ mode, data, ms });
+        setProgress(null);
+      })
+      .catch((err) => {
+        if (runRef.current !== run) return;
+        setError(err.message);
+        setProgress(null);
+      });
+  }, [script, bars, declared, ranges, method, samples, objective, from, to, backtestOpts, mode, folds, inSamplePct, anchored, candidateCount]);
+
+  const handleCancel = () => {
+    runRef.current?.cancel();
+    runRef.current = null;
+    setProgress(null);
+  };
+
+  const apply = (params) => {
+    if (script && params) setScriptParams(script.id, params);
+  };
+
+  const inputStyle = {
+    background: C.sf,
+    border: `1px solid ${C.bd}`,
+    color: C.t1,
+    borderRadius: 4,
+    padding: '3px 5px',
+    fontFamily: M,
+    fontSize: 11,
+    outline: 'none',
+    width: '100%',
+    boxSizing: 'border-box',
+  };
+  const labelStyle = { fontSize: 10, color: C.t3, fontFamily: F, marginBottom: 2 };
+  const cell = { padding: '3px 4px', fontFamily: M, fontSize: 10, color: C.t2, whiteSpace: 'nowrap' };
+  const applyBtn = {
+    background: 'transparent', border: `1px solid ${C.bd}`, borderRadius: 3,
+    color: C.b, fontSize: 10, padding: '1px 6px', cursor: 'pointer',
+  };
+
+  const rangeNames = Object.keys(declared).filter((k) => typeof declared[k].default === 'number');
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 8, fontFamily: F }}>
+      {/* Param ranges */}
+      <div>
+        <div style={labelStyle}>Parameter ranges (min / max / step)</div>
+        {rangeNames.length === 0 && (
+          <div style={{ fontSize: 11, color: C.t3 }}>This script declares no numeric params.</div>
+        )}
+        {rangeNames.map((name) => {
+          const r = ranges[name];
+          const setField = (field, value) =>
+            setRanges((prev) => ({ ...prev, [name]: { ...(prev[name] || {}), [field]: Number(value) } }));
+          return (
+            <div key={name} style={{ display: 'grid', gridTemplateColumns: '16px 1fr 1fr 1fr 1fr', gap: 4, alignItems: 'center', marginBottom: 3 }}>
+              <input
+                type="checkbox"
+                checked={!!r}
+                onChange={(e) => setRanges((prev) => {
+                  const next = { ...prev };
+                  if (e.target.checked) {
+                    const d = declared[name].default;
+                    next[name] = defaultRanges[name] || { min: d, max: d, step: 1 };
+                  }
+                  else delete next[name];
+                  return next;
+                })}
+              />
+              <span style={{ fontSize: 11, color: C.t2, fontFamily: M, overflow: 'hidden', textOverflow: 'ellipsis' }}>{declared[name].label || name}</span>
+              {['min', 'max', 'step'].map((field) => (
+                <input
+                  key={field}
+                  type="number"
+                  disabled={!r}
+                  value={r?.[field] ?? ''}
+                  onChange={(e) => setField(field, e.target.value)}
+                  style={inputStyle}
+                />
+              ))}
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 6 }}>
+        <div>
+          <div style={labelStyle}>Mode</div>
+          <select value={mode} onChange={(e) => setMode(e.target.value)} style={inputStyle}>
+            <option value="sweep">Sweep</option>
+            <option value="walkForward">Walk-forward</option>
+          </select>
+        </div>
+        <div>
+          <div style={labelStyle}>Objective</div>
+          <select value={objective} onChange={(e) => setObjective(e.target.value)} style={inputStyle}>
+            {Object.entries(OBJECTIVES).map(([id, o]) => <option key={id} value={id}>{o.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <div style={labelStyle}>Search</div>
+          <select value={method} onChange={(e) => setMethod(e.target.value)} style={inputStyle}>
+            <option value="grid">Grid</option>
+            <option value="random">Random</option>
+          </select>
+        </div>
+        <div>
+          <div style={labelStyle}>Samples</div>
+          <input type="number" min="1" disabled={method !== 'random'} value={samples} onChange={(e) => setSamples(e.target.value)} style={inputStyle} />
+        </div>
+        <div>
+          <div style={labelStyle}>From</div>
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} style={inputStyle} />
+        </div>
+        <div>
+          <div style={labelStyle}>To</div>
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} style={inputStyle} />
+        </div>
+        {mode === 'walkForward' && (
+          <>
+            <div>
+              <div style={labelStyle}>Folds</div>
+              <input type="number" min="1" max="20" value={folds} onChange={(e) => setFolds(e.target.value)} style={inputStyle} />
+            </div>
+            <div>
+              <div style={labelStyle}>In-sample %</div>
+              <input type="number" min="5" max="95" value={inSamplePct} onChange={(e) => setInSamplePct(e.target.value)} style={inputStyle} />
+            </div>
+            <label style={{ fontSize: 11, color: C.t2, display: 'flex', alignItems: 'center', gap: 4, gridColumn: 'span 2' }}>
+              <input type="checkbox" checked={anchored} onChange={(e) => setAnchored(e.target.checked)} />
+              Anchored (in-sample grows from first bar)
+            </label>
+          </>
+        )}
+      </div>
+
+      {progress ? (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+          <div style={{ flex: 1, height: 4, background: C.sf, borderRadius: 2, overflow: 'hidden' }}>
+            <div style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%`, height: '100%', background: C.b }} />
+          </div>
+          <span style={{ fontSize: 10, color: C.t3, fontFamily: M }}>{progress.done}/{progress.total}</span>
+          <button onClick={handleCancel} style={applyBtn}>Cancel</button>
+        </div>
+      ) : (
+        <button
+          onClick={handleRun}
+          disabled={!script || !candidateCount}
+          style={{
+            background: C.b, color: '#fff', border: 'none', borderRadius: 4,
+            padding: '6px 0', fontSize: 12, fontWeight: 600, cursor: 'pointer', fontFamily: F,
+          }}
+        >
+          ⚙ Optimize {candidateCount} combos{mode === 'walkForward' ? ` × ${folds} folds` : ''}
+        </button>
+      )}
+
+      {error && <div style={{ fontSize: 11, color: C.r, fontFamily: M }}>{error}</div>}
+
+      {/* Sweep results */}
+      {result?.mode === 'sweep' && (
+        <div style={{ overflowX: 'auto' }}>
+          <div style={{ fontSize: 10, color: C.t3, marginBottom: 4 }}>
+            {result.data.tested} tested in {Math.round(result.ms)}ms{result.data.errors ? ` · ${result.data.errors} errors` : ''}
+          </div>
+          <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+            <thead>
+              <tr>{['Params', 'Net', 'Sharpe', 'PF', 'DD', '#', ''].map((h) => <th key={h} style={{ ...cell, color: C.t3, textAlign: 'left' }}>{h}</th>)}</tr>
+            </thead>
+            <tbody>
+              {result.data.results.slice(0, MAX_ROWS).map((r, i) => (
+                <tr key={i} style={{ borderTop: `1px solid ${C.bd}` }}>
+                  <td style={{ ...cell, color: C.t1 }}>{fmtParams(r.params)}</td>
+                  <td style={{ ...cell, color: r.metrics.netPnl >= 0 ? C.g : C.r }}>{fmtD(r.metrics.netPnl)}</td>
+                  <td style={cell}>{r.metrics.sharpe.toFixed(2)}</td>
+                  <td style={cell}>{Number.isFinite(r.metrics.profitFactor) ? r.metrics.profitFactor.toFixed(2) : '∞'}</td>
+                  <td style={cell}>{fmtD(-r.metrics.maxDd)}</td>
+                  <td style={cell}>{r.metrics.trades}</td>
+                  <td style={cell}><button onClick={() => apply(r.params)} style={applyBtn}>Apply</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Walk-forward results */}
+      {result?.mode === 'walkForward' && (
+        <div style={{ overflowX: 'auto' }}>
+          <div style={{ fontSize: 11, color: C.t2, marginBottom: 4 }}>
+            OOS net <span style={{ fontFamily: M, color: result.data.oosMetrics.netPnl >= 0 ? C.g : C.r }}>{fmtD(result.data.oosMetrics.netPnl)}</span>
+            {' · '}{result.data.oosMetrics.trades} trades
+            {result.data.efficiency != null && <> · efficiency <span style={{ fontFamily: M }}>{result.data.efficiency}</span></>}
+          </div>
+          <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+            <thead>
+              <tr>{['#', 'OOS period', 'Params', 'IS net', 'OOS net', ''].map((h) => <th key={h} style={{ ...cell, color: C.t3, textAlign: 'left' }}>{h}</th>)}</tr>
+            </thead>
+            <tbody>
+              {result.data.folds.map((f) => (
+                <tr key={f.fold} style={{ borderTop: `1px solid ${C.bd}` }}>
+                  <td style={cell}>{f.fold}</td>
+                  <td style={cell}>{fmtDate(f.outOfSample.from)}–{fmtDate(f.outOfSample.to)}</td>
+                  <td style={{ ...cell, color: C.t1 }}>{f.params ? fmtParams(f.params) : '—'}</td>
+                  <td style={cell}>{f.inSampleMetrics ? fmtD(f.inSampleMetrics.netPnl) : '—'}</td>
+                  <td style={{ ...cell, color: (f.outOfSampleMetrics?.netPnl ?? 0) >= 0 ? C.g : C.r }}>
+                    {f.outOfSampleMetrics ? fmtD(f.outOfSampleMetrics.netPnl) : '—'}
+                  </td>
+                  <td style={cell}>{f.params && <button onClick={() => apply(f.params)} style={applyBtn}>Apply</button>}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Playbook Editor
+// Edits a structured playbook (engine/Playbooks.js): entry criteria,
+// invalidation rules, target R, allowed instruments and sessions, and
+// the pre-trade checklist items (useChecklistStore) it requires.
+// ═══════════════════════════════════════════════════════════════════
+
+import React, { useState, useEffect } from 'react';
+import { C, F, M } from '../../constants.js';
+import { radii } from '../../theme/tokens.js';
+import { Btn, ModalOverlay, inputStyle } from '../UIKit.jsx';
+import { useTradeStore } from '../../state/useTradeStore.js';
+import { useChecklistStore } from '../../state/useChecklistStore.js';
+import { normalizePlaybook, validatePlaybook, SESSIONS } from '../../engine/Playbooks.js';
+import { uid } from '../../utils.js';
+import toast from '../Toast.jsx';
+
+const labelStyle = { display: 'block', fontSize: 11, fontWeight: 600, color: C.t3, marginBottom: 4 };
+
+function toForm(pb) {
+  const p = normalizePlaybook(pb || {});
+  return {
+    name: p.name,
+    description: p.description,
+    entryCriteria: p.entryCriteria.join('\n'),
+    invalidation: p.invalidation.join('\n'),
+    targetR: p.targetR ?? '',
+    instruments: p.instruments.join(', '),
+    sessions: p.sessions,
+    checklist: p.checklist,
+  };
+}
+
+function Field({ id, label, hint, children }) {
+  return (
+    <div style={{ marginBottom: 14 }}>
+      <label style={labelStyle} htmlFor={id}>
+        {label}
+        {hint && <span style={{ fontWeight: 400, marginLeft: 8 }}>{hint}</span>}
+      </label>
+      {children}
+    </div>
+  );
+}
+
+function ToggleChip({ active, onClick, children }) {
+  return (
+    <button
+      className="tf-btn"
+      onClick={onClick}
+      aria-pressed={active}
+      style={{
+        padding: '4px 10px', borderRadius: radii.sm, cursor: 'pointer',
+        fontSize: 11, fontWeight: 600, fontFamily: F,
+        border: `1px solid ${active ? C.b : C.bd}`,
+        background: active ? C.b + '15' : 'transparent',
+        color: active ? C.b : C.t3,
+      }}
+    >
+      {children}
+    </button>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Object|null} props.playbook - Playbook to edit, or null for a new one
+ * @param {string} [props.initialName] - Name for a new playbook
+ * @param {Function} props.onClose
+ */
+export default function PlaybookEditor({ isOpen, playbook, initialName = '', onClose }) {
+  const playbooks = useTradeStore((s) => s.playbooks);
+  const checklistItems = useChecklistStore((s) => s.items);
+  const [form, setForm] = useState(() => toForm(playbook));
+
+  useEffect(() => {
+    if (isOpen) setForm(toForm(playbook || { name: initialName }));
+  }, [isOpen, playbook, initialName]);
+
+  const set = (k, v) => setForm((f) => ({ ...f, [k]: v }));
+  const toggle = (k, id) =>
+    setForm((f) => ({ ...f, [k]: f[k].includes(id) ? f[k].filter((x) => x !== id) : [...f[k], id] }));
+
+  const handleSave = () => {
+    const next = normalizePlaybook({ ...playbook, ...form, id: playbook?.id || uid() });
+    const check = validatePlaybook(next, playbooks);
+    if (!check.ok) {
+      toast.error(check.error);
+      return;
+    }
+    const store = useTradeStore.getState();
+    if (playbook?.id) store.updatePlaybook(playbook.id, next);
+    else store.addPlaybook(next);
+    toast.success(`Playbook "${next.name}" saved`);
+    onClose();
+  };
+
+  const textarea = { ...inputStyle, width: '100%', boxSizing: 'border-box', resize: 'vertical', lineHeight: 1.6, fontFamily: M };
+
+  return (
+    <ModalOverlay isOpen={isOpen} onClose={onClose} width={640}>
+      <h3 style={{ fontSize: 16, fontWeight: 800, fontFamily: F, color: C.t1, margin: '0 0 16px' }}>
+        {playbook ? `Edit Playbook — ${playbook.name}` : 'New Playbook'}
+      </h3>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 120px', gap: 10 }}>
+        <Field id="pb-name" label="Name">
+          <input id="pb-name" value={form.name} onChange={(e) => set('name', e.target.value)}
+            placeholder="e.g. Opening Range Breakout" style={{ ...inputStyle, fontWeight: 700 }} autoFocus />
+        </Field>
+        <Field id="pb-target" label="Target R">
+          <input id="pb-target" type="number" min="0" step="0.5" value={form.targetR}
+            onChange={(e) => set('targetR', e.target.value)} placeholder="2" style={inputStyle} />
+        </Field>
+      </div>
+
+      <Field id="pb-desc" label="Description">
+        <input id="pb-desc" value={form.description} onChange={(e) => set('description', e.target.value)}
+          placeholder="What the setup is and why it works" style={inputStyle} />
+      </Field>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 10 }}>
+        <Field id="pb-entry" label="Entry criteria" hint="one per line">
+          <textarea id="pb-entry" rows={5} value={form.entryCriteria} onChange={(e) => set('entryCriteria', e.target.value)}
+            placeholder={'Break of the 5m opening range\nVolume above average'} style={textarea} />
+        </Field>
+        <Field id="pb-invalid" label="Invalidation" hint="one per line">
+          <textarea id="pb-invalid" rows={5} value={form.invalidation} onChange={(e) => set('invalidation', e.target.value)}
+            placeholder={'Back inside the range\nNo follow-through in 15m'} style={textarea} />
+        </Field>
+      </div>
+
+      <Field id="pb-instruments" label="Instruments" hint="comma-separated · blank = any · ES* matches prefixes">
+        <input id="pb-instruments" value={form.instruments} onChange={(e) => set('instruments', e.target.value)}
+          placeholder="ES, NQ, AAPL" style={{ ...inputStyle, fontFamily: M }} />
+      </Field>
+
+      <Field label="Sessions" hint="none selected = any">
+        <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+          {SESSIONS.map((s) => (
+            <ToggleChip key={s.id} active={form.sessions.includes(s.id)} onClick={() => toggle('sessions', s.id)}>
+              {s.label}
+            </ToggleChip>
+          ))}
+        </div>
+      </Field>
+
+      <Field label="Checklist" hint="pre-trade items this setup requires">
+        <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+          {checklistItems.map((item) => (
+            <ToggleChip key={item.id} active={form.checklist.includes(item.id)} onClick={() => toggle('checklist', item.id)}>
+              {item.emoji} {item.label}
+            </ToggleChip>
+          ))}
+        </div>
+      </Field>
+
+      <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end', marginTop: 6 }}>
+        <Btn variant="ghost" onClick={onClose}>Cancel</Btn>
+        <Btn onClick={handleSave}>{playbook ? 'Save' : 'Create'}</Btn>
+      </div>
+    </ModalOverlay>
+  );
+}
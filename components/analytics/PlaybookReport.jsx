@@ -0,0 +1,190 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Playbook Report
+// Setup-level expectancy, win rate by market condition, rule
+// adherence and the in-plan vs out-of-plan P&L split
+// (engine/Playbooks.js playbookReport).
+// ═══════════════════════════════════════════════════════════════════
+
+import React, { useMemo, useState } from 'react';
+import { C, F, M } from '../../constants.js';
+import { Card, AutoGrid, Btn } from '../UIKit.jsx';
+import { fmtD } from '../../utils.js';
+import { useTradeStore } from '../../state/useTradeStore.js';
+import { useSettingsStore } from '../../state/useSettingsStore.js';
+import { useFxStore } from '../../state/useFxStore.js';
+import { useChecklistStore } from '../../state/useChecklistStore.js';
+import { playbookReport, findPlaybook, MARKET_CONDITIONS, VIOLATION_LABELS } from '../../engine/Playbooks.js';
+import PlaybookEditor from './PlaybookEditor.jsx';
+import { SectionLabel, MiniStat } from './AnalyticsPrimitives.jsx';
+
+const CONDITION_LABELS = Object.fromEntries(MARKET_CONDITIONS.map((c) => [c.id, c.label]));
+
+const pnlColor = (v) => (v >= 0 ? C.g : C.r);
+const pct = (v) => (v == null ? '—' : `${v.toFixed(0)}%`);
+const adherenceColor = (v) => (v == null ? C.t3 : v >= 90 ? C.g : v >= 70 ? C.y : C.r);
+
+// ─── In-plan vs out-of-plan ─────────────────────────────────────
+
+function PlanSplit({ inPlan, outOfPlan, compact }) {
+  const total = inPlan.count + outOfPlan.count;
+  const share = total ? (inPlan.count / total) * 100 : 0;
+  const side = (label, s, color) => (
+    <div>
+      <div style={{ fontSize: 9, fontWeight: 600, color, fontFamily: M, textTransform: 'uppercase' }}>{label}</div>
+      <div style={{ fontSize: compact ? 12 : 16, fontWeight: 800, fontFamily: M, color: pnlColor(s.pnl) }}>{fmtD(s.pnl)}</div>
+      <div style={{ fontSize: 10, color: C.t3, fontFamily: M }}>
+        {s.count}t · {pct(s.count ? s.winRate : null)} · {s.count ? fmtD(s.expectancy) : '—'}/t
+      </div>
+    </div>
+  );
+  return (
+    <div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8 }}>
+        {side('In plan', inPlan, C.g)}
+        <div style={{ textAlign: 'right' }}>{side('Out of plan', outOfPlan, C.r)}</div>
+      </div>
+      <div style={{ display: 'flex', height: 4, borderRadius: 2, overflow: 'hidden', background: C.bg2, marginTop: 6 }}>
+        <div style={{ width: `${share}%`, background: C.g }} />
+        <div style={{ flex: 1, background: total ? C.r + '80' : 'transparent' }} />
+      </div>
+    </div>
+  );
+}
+
+// ─── Win rate by market condition ───────────────────────────────
+
+function ConditionTable({ rows }) {
+  if (!rows.length) return null;
+  return (
+    <div style={{ marginTop: 10 }}>
+      <div style={{ fontSize: 9, fontWeight: 600, color: C.t3, fontFamily: M, textTransform: 'uppercase', marginBottom: 4 }}>
+        By market condition
+      </div>
+      {rows.map((r) => (
+        <div key={r.condition} style={{ display: 'grid', gridTemplateColumns: '1fr 34px 40px 70px', gap: 6, fontSize: 11, fontFamily: M, padding: '2px 0' }}>
+          <span style={{ color: r.condition === 'unspecified' ? C.t3 : C.t1, fontFamily: F }}>
+            {CONDITION_LABELS[r.condition] || (r.condition === 'unspecified' ? 'Not set' : r.condition)}
+          </span>
+          <span style={{ textAlign: 'right', color: C.t3 }}>{r.count}t</span>
+          <span style={{ textAlign: 'right', color: r.winRate >= 50 ? C.g : C.r }}>{pct(r.winRate)}</span>
+          <span style={{ textAlign: 'right', color: pnlColor(r.pnl) }}>{fmtD(r.pnl)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ─── Playbook card ──────────────────────────────────────────────
+
+function PlaybookCard({ row, onEdit }) {
+  const pb = row.playbook;
+  const violations = Object.entries(row.violations).sort((a, b) => b[1] - a[1]);
+
+  return (
+    <Card style={{ padding: 14, borderLeft: `3px solid ${row.count ? pnlColor(row.pnl) : C.bd}` }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 8, marginBottom: 8 }}>
+        <div style={{ minWidth: 0 }}>
+          <div style={{ fontSize: 14, fontWeight: 800, color: C.t1 }}>{row.name}</div>
+          <div style={{ fontSize: 10, color: C.t3, fontFamily: M }}>
+            {pb
+              ? [pb.targetR && `${pb.targetR}R target`, pb.instruments.join(', '), pb.sessions.join('/')].filter(Boolean).join(' · ') || 'Any instrument / session'
+              : 'Not defined — every trade counts as out of plan'}
+          </div>
+        </div>
+        <Btn variant="ghost" onClick={() => onEdit(row)} style={{ fontSize: 11, padding: '3px 10px' }}>
+          {pb ? 'Edit' : 'Define'}
+        </Btn>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 6, marginBottom: 10 }}>
+        <MiniStat label="Expectancy" value={row.count ? fmtD(row.expectancy) : '—'} color={pnlColor(row.expectancy)} />
+        <MiniStat label="Win Rate" value={row.count ? pct(row.winRate) : '—'} color={row.winRate >= 50 ? C.g : C.r} />
+        <MiniStat label="Trades" value={row.count} />
+        <MiniStat label="Avg R" value={row.avgR != null ? `${row.avgR.toFixed(2)}R` : '—'} color={row.avgR != null ? pnlColor(row.avgR) : undefined} />
+        <MiniStat label="Hit Target" value={pct(row.targetHitRate)} />
+        <MiniStat label="Adherence" value={pct(row.adherence)} color={adherenceColor(row.adherence)} />
+      </div>
+
+      {row.count > 0 && <PlanSplit inPlan={row.inPlan} outOfPlan={row.outOfPlan} compact />}
+      <ConditionTable rows={row.byCondition} />
+
+      {violations.length > 0 && (
+        <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap', marginTop: 10 }}>
+          {violations.map(([rule, n]) => (
+            <span key={rule} style={{ fontSize: 9, fontFamily: M, padding: '1px 6px', borderRadius: 3, background: C.y + '15', color: C.y }}>
+              {VIOLATION_LABELS[rule]} ×{n}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {pb?.entryCriteria.length > 0 && (
+        <div style={{ marginTop: 10, paddingTop: 8, borderTop: `1px solid ${C.bd}40`, fontSize: 11, color: C.t2 }}>
+          {pb.entryCriteria.map((c, i) => <div key={i}>✓ {c}</div>)}
+          {pb.invalidation.map((c, i) => <div key={i} style={{ color: C.t3 }}>✗ {c}</div>)}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+// ─── Report ─────────────────────────────────────────────────────
+
+/**
+ * @param {Object} props
+ * @param {Object[]} props.trades - Trades in the current analytics scope
+ */
+function PlaybookReport({ trades }) {
+  const playbooks = useTradeStore((s) => s.playbooks);
+  const baseCurrency = useSettingsStore((s) => s.baseCurrency);
+  const fxRates = useFxStore((s) => s.rates);
+  const checklistItems = useChecklistStore((s) => s.items);
+  const [editing, setEditing] = useState(null); // { playbook, name } | null
+
+  const report = useMemo(
+    () => playbookReport(trades, playbooks, { baseCurrency, fxRates, checklistItems }),
+    [trades, playbooks, baseCurrency, fxRates, checklistItems]
+  );
+
+  const edit = (row) => setEditing({
+    playbook: row?.playbook ? findPlaybook(playbooks, row.name) : null,
+    name: row?.name || '',
+  });
+
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <SectionLabel text="Playbook Report" />
+        <Btn onClick={() => edit(null)} style={{ fontSize: 11, padding: '3px 10px', marginBottom: 10 }}>+ Playbook</Btn>
+      </div>
+
+      <Card style={{ padding: 16, marginBottom: 10 }}>
+        <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: 16, alignItems: 'center' }}>
+          <PlanSplit inPlan={report.inPlan} outOfPlan={report.outOfPlan} />
+          <MiniStat label="Rule Adherence" value={pct(report.adherence)} color={adherenceColor(report.adherence)} />
+          <MiniStat label="No Playbook" value={`${report.unassigned.count}t · ${fmtD(report.unassigned.pnl)}`} color={report.unassigned.count ? C.y : C.t3} />
+        </div>
+        {report.missing.length > 0 && (
+          <div style={{ fontSize: 10, color: C.y, marginTop: 8 }}>
+            No FX rate for {report.missing.join(', ')} — those trades are left out.
+          </div>
+        )}
+      </Card>
+
+      {report.rows.length > 0 && (
+        <AutoGrid minWidth={280} gap={10}>
+          {report.rows.map((row) => <PlaybookCard key={row.name} row={row} onEdit={edit} />)}
+        </AutoGrid>
+      )}
+
+      <PlaybookEditor
+        isOpen={!!editing}
+        playbook={editing?.playbook || null}
+        initialName={editing?.name}
+        onClose={() => setEditing(null)}
+      />
+    </div>
+  );
+}
+
+export default React.memo(PlaybookReport);
@@ -1,13 +1,19 @@
 // ═══════════════════════════════════════════════════════════════════
 // TradeForge OS v10 — Analytics Risk Tab
-// Risk metrics, R-multiple distribution, drawdown curve, warnings
+// Risk metrics, R-multiple distribution, drawdown curve, MAE/MFE
+// excursions, warnings
 // ═══════════════════════════════════════════════════════════════════
 
-import React from 'react';
+import React, { useMemo, useState, useRef } from 'react';
 import { C, M } from '../../constants.js';
-import { Card, StatCard, AutoGrid } from '../UIKit.jsx';
+import { Card, StatCard, AutoGrid, Btn } from '../UIKit.jsx';
 import RDistributionChart from '../RDistributionChart.jsx';
+import ChartWrapper from '../ChartWrapper.jsx';
 import { SectionLabel, DrawdownChart } from './AnalyticsPrimitives.jsx';
+import { excursionStats } from '../../engine/Excursion.js';
+import { analyzeExcursions } from '../../data/ExcursionService.js';
+import { useTradeStore } from '../../state/useTradeStore.js';
+import { fmtD } from '../../utils.js';
 
 function RiskTab({ result, trades }) {
   return (
@@ -36,6 +42,9 @@ function RiskTab({ result, trades }) {
         <DrawdownChart eq={result.eq} height={200} />
       </Card>
 
+      {/* MAE / MFE Excursions */}
+      <ExcursionSection trades={trades} />
+
       {/* Warnings */}
       {result.warnings?.length > 0 && (
         <Card style={{ padding: 16 }}>
@@ -63,4 +72,173 @@ function RiskTab({ result, trades }) {
     </div>
   );
 }
+
+// ─── MAE / MFE Excursions ───────────────────────────────────────
+
+function ExcursionSection({ trades }) {
+  const setExcursions = useTradeStore((s) => s.setExcursions);
+  const [progress, setProgress] = useState(null); // { done, total } while running
+  const [message, setMessage] = useState('');
+  const [axis, setAxis] = useState('mae'); // 'mae' | 'mfe'
+  const abortRef = useRef(null);
+
+  const stats = useMemo(() => excursionStats(trades), [trades]);
+  const pending = stats.total - stats.count;
+
+  const run = async () => {
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    setMessage('');
+    setProgress({ done: 0, total: pending });
+    const { results, skipped } = await analyzeExcursions(trades, {
+      signal: ctrl.signal,
+      onProgress: (done, total) => setProgress({ done, total }),
+    });
+    setExcursions(results);
+    setProgress(null);
+    abortRef.current = null;
+    const n = Object.keys(results).length;
+    setMessage(`Analyzed ${n} trade${n !== 1 ? 's' : ''}${skipped.length ? ` · ${skipped.length} skipped (no chart data for the holding window)` : ''}`);
+  };
+
+  return (
+    <Card style={{ padding: 16, marginBottom: 16 }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+        <SectionLabel text="Excursions (MAE / MFE)" />
+        {progress ? (
+          <Btn onClick={() => abortRef.current?.abort()} style={{ fontSize: 11, padding: '5px 10px' }}>
+            Stop ({progress.done}/{progress.total})
+          </Btn>
+        ) : pending > 0 && (
+          <Btn onClick={run} style={{ fontSize: 11, padding: '5px 10px' }}>
+            Analyze {pending} trade{pending !== 1 ? 's' : ''}
+          </Btn>
+        )}
+      </div>
+
+      {message && (
+        <div style={{ fontSize: 11, color: C.t3, fontFamily: M, marginBottom: 10 }}>{message}</div>
+      )}
+
+      {stats.count === 0 ? (
+        <div style={{ fontSize: 12, color: C.t3, padding: '12px 0' }}>
+          Replay chart bars for each trade to see how much heat you take and how much profit you leave on the table.
+        </div>
+      ) : (
+        <>
+          <AutoGrid minWidth={140} gap={8} style={{ marginBottom: 16 }}>
+            <StatCard label="Avg MAE" value={fmtD(-stats.avgMae)} color={C.r} />
+            <StatCard label="Avg MFE" value={fmtD(stats.avgMfe)} color={C.g} />
+            <StatCard label="Avg Give-Back (ETD)" value={fmtD(-stats.avgEtd)} color={C.y} />
+            <StatCard
+              label="Exit Efficiency"
+              value={stats.avgEfficiency == null ? '—' : `${(stats.avgEfficiency * 100).toFixed(0)}%`}
+              color={stats.avgEfficiency >= 0.5 ? C.g : stats.avgEfficiency >= 0.25 ? C.y : C.r}
+            />
+            <StatCard label="Winners' Avg MAE" value={fmtD(-stats.winnerAvgMae)} color={C.t2} />
+            <StatCard label="Losers' Avg MFE" value={fmtD(stats.loserAvgMfe)} color={C.t2} />
+          </AutoGrid>
+
+          <div style={{ display: 'flex', gap: 6, marginBottom: 8 }}>
+            {['mae', 'mfe'].map((a) => (
+              <button
+                key={a}
+                className="tf-btn"
+                onClick={() => setAxis(a)}
+                style={{
+                  padding: '3px 10px', borderRadius: 4, fontSize: 10, fontFamily: M, fontWeight: 700,
+                  border: `1px solid ${axis === a ? C.b : C.bd}`,
+                  background: axis === a ? C.b + '15' : 'transparent',
+                  color: axis === a ? C.b : C.t3, cursor: 'pointer',
+                }}
+              >
+                {a.toUpperCase()} vs P&L
+              </button>
+            ))}
+          </div>
+          <ExcursionScatter points={stats.points} axis={axis} height={240} />
+
+          <div style={{ marginTop: 16 }}>
+            <SectionLabel text="Exit Efficiency Distribution" />
+            <EfficiencyChart dist={stats.efficiencyDist} height={160} />
+          </div>
+
+          {stats.count < stats.total && (
+            <div style={{ fontSize: 10, color: C.t3, fontFamily: M, marginTop: 8 }}>
+              Based on {stats.count} of {stats.total} trades
+            </div>
+          )}
+        </>
+      )}
+    </Card>
+  );
+}
+
+function ExcursionScatter({ points, axis, height }) {
+  const config = useMemo(() => {
+    const toPoint = (p) => ({ x: axis === 'mae' ? p.mae : p.mfe, y: p.pnl });
+    const winners = points.filter((p) => p.pnl > 0).map(toPoint);
+    const losers = points.filter((p) => p.pnl <= 0).map(toPoint);
+    return {
+      type: 'scatter',
+      data: {
+        datasets: [
+          { label: 'Winners', data: winners, backgroundColor: C.g + 'b0', pointRadius: 3.5 },
+          { label: 'Losers', data: losers, backgroundColor: C.r + 'b0', pointRadius: 3.5 },
+        ],
+      },
+      options: {
+        scales: {
+          x: {
+            title: { display: true, text: axis.toUpperCase(), color: C.t3, font: { family: M, size: 9 } },
+            grid: { color: C.bd + '40', drawTicks: false },
+            ticks: { font: { family: M, size: 9 }, color: C.t3 },
+            border: { display: false },
+            min: 0,
+          },
+          y: {
+            title: { display: true, text: 'P&L', color: C.t3, font: { family: M, size: 9 } },
+            grid: { color: C.bd + '40', drawTicks: false },
+            ticks: { font: { family: M, size: 9 }, color: C.t3 },
+            border: { display: false },
+          },
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: (item) => `${axis.toUpperCase()} ${fmtD(item.parsed.x)} · P&L ${fmtD(item.parsed.y)}`,
+            },
+          },
+        },
+      },
+    };
+  }, [points, axis]);
+
+  return <ChartWrapper config={config} height={height} />;
+}
+
+function EfficiencyChart({ dist, height }) {
+  const config = useMemo(() => ({
+    type: 'bar',
+    data: {
+      labels: dist.map((d) => d.label),
+      datasets: [{
+        label: 'Trades',
+        data: dist.map((d) => d.count),
+        backgroundColor: [C.r, C.y, C.y, C.g, C.g].map((c) => c + 'c0'),
+        borderRadius: 4,
+        maxBarThickness: 40,
+      }],
+    },
+    options: {
+      scales: {
+        x: { grid: { display: false }, ticks: { font: { family: M, size: 9 }, color: C.t3 }, border: { display: false } },
+        y: { grid: { color: C.bd + '40', drawTicks: false }, ticks: { font: { family: M, size: 9 }, color: C.t3, precision: 0 }, border: { display: false } },
+      },
+    },
+  }), [dist]);
+
+  return <ChartWrapper config={config} height={height} />;
+}
+
 export default React.memo(RiskTab);
@@ -1,6 +1,7 @@
 // ═══════════════════════════════════════════════════════════════════
 // TradeForge OS v10 — Analytics Strategies Tab
-// Strategy performance cards, P&L heatmap, detailed table, playbook mgr
+// Playbook report, strategy performance cards (with note backlinks),
+// P&L heatmap, detailed table, playbook mgr
 // ═══════════════════════════════════════════════════════════════════
 
 import React, { useMemo } from 'react';
@@ -9,9 +10,11 @@ import { Card, AutoGrid } from '../UIKit.jsx';
 import { fmtD } from '../../utils.js';
 import BreakdownBarChart from '../BreakdownBarChart.jsx';
 import PlaybookManager from '../PlaybookManager.jsx';
+import Backlinks from '../journal/Backlinks.jsx';
+import PlaybookReport from './PlaybookReport.jsx';
 import { SectionLabel, MiniStat, headerRow, dataRow } from './AnalyticsPrimitives.jsx';
 
-function StrategiesTab({ result }) {
+function StrategiesTab({ result, trades }) {
   const strategies = useMemo(() =>
     Object.entries(result.bySt)
       .map(([name, d]) => ({ name, ...d, wr: d.count > 0 ? (d.wins / d.count) * 100 : 0 }))
@@ -23,6 +26,9 @@ function StrategiesTab({ result }) {
 
   return (
     <div>
+      {/* Playbook Report: expectancy, conditions, adherence, in/out of plan */}
+      <PlaybookReport trades={trades} />
+
       {/* Playbook Stat Cards */}
       {strategies.length > 0 && (
         <div style={{ marginBottom: 16 }}>
@@ -44,6 +50,9 @@ function StrategiesTab({ result }) {
                     <MiniStat label="Trades" value={s.count} />
                     <MiniStat label="Avg P&L" value={fmtD(avgPnl)} color={avgPnl >= 0 ? C.g : C.r} />
                   </div>
+                  <div style={{ marginTop: 10, paddingTop: 8, borderTop: `1px solid ${C.bd}40` }}>
+                    <Backlinks kind="playbook" target={s.name} max={2} />
+                  </div>
                 </Card>
               );
             })}
@@ -57,6 +66,20 @@ function StrategiesTab({ result }) {
         <BreakdownBarChart data={result.bySt} height={Math.max(150, strategies.length * 40)} />
       </Card>
 
+      {/* Options: structure + DTE at entry */}
+      {result.byOptStrat && Object.keys(result.byOptStrat).length > 0 && (
+        <AutoGrid minWidth={320} gap={16} style={{ marginBottom: 16 }}>
+          <Card style={{ padding: 16 }}>
+            <SectionLabel text="Options P&L by Structure" />
+            <BreakdownBarChart data={result.byOptStrat} height={Math.max(120, Object.keys(result.byOptStrat).length * 36)} />
+          </Card>
+          <Card style={{ padding: 16 }}>
+            <SectionLabel text="Options P&L by Days to Expiry" />
+            <BreakdownBarChart data={result.byDte} height={Math.max(120, Object.keys(result.byDte).length * 36)} />
+          </Card>
+        </AutoGrid>
+      )}
+
       {/* Playbook × Day Correlation Matrix */}
       {result.corrMatrix && Object.keys(result.corrMatrix).length > 1 && (
         <Card style={{ padding: 16, marginBottom: 16 }}>
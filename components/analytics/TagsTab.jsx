@@ -0,0 +1,152 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Analytics Tags Tab
+// P&L, win rate and expectancy per tag and per tag combination, by
+// taxonomy group, and the cost of mistake tags against the trader's
+// baseline (engine/TagTaxonomy.js tagAnalytics).
+// ═══════════════════════════════════════════════════════════════════
+
+import React, { useMemo, useState } from 'react';
+import { C, F, M } from '../../constants.js';
+import { Card, Btn } from '../UIKit.jsx';
+import { fmtD } from '../../utils.js';
+import { useSettingsStore } from '../../state/useSettingsStore.js';
+import { useFxStore } from '../../state/useFxStore.js';
+import { useTagStore } from '../../state/useTagStore.js';
+import { TAG_GROUPS, tagAnalytics } from '../../engine/TagTaxonomy.js';
+import TagManager from '../journal/TagManager.jsx';
+import { SectionLabel, MiniStat, headerRow, dataRow } from './AnalyticsPrimitives.jsx';
+
+const COLS = '1fr 60px 60px 90px 90px 90px';
+const pnlColor = (v) => (v >= 0 ? C.g : C.r);
+
+function TagChip({ tag }) {
+  return (
+    <span style={{
+      padding: '1px 7px', borderRadius: 4, fontSize: 11, fontWeight: 600,
+      background: tag.color + '15', color: tag.color, whiteSpace: 'nowrap',
+    }}>
+      {tag.name}
+    </span>
+  );
+}
+
+function StatsTable({ rows, label, renderName }) {
+  return (
+    <Card style={{ padding: 0, overflow: 'hidden' }}>
+      <div style={{ ...headerRow, gridTemplateColumns: COLS }}>
+        <div>{label}</div>
+        <div style={{ textAlign: 'right' }}>Trades</div>
+        <div style={{ textAlign: 'right' }}>Win %</div>
+        <div style={{ textAlign: 'right' }}>P&L</div>
+        <div style={{ textAlign: 'right' }}>Expectancy</div>
+        <div style={{ textAlign: 'right' }}>Cost</div>
+      </div>
+      {rows.map((r) => (
+        <div key={r.key} style={{ ...dataRow, gridTemplateColumns: COLS, alignItems: 'center' }}>
+          <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap' }}>{renderName(r)}</div>
+          <div style={{ textAlign: 'right', fontFamily: M }}>{r.count}</div>
+          <div style={{ textAlign: 'right', fontFamily: M, color: r.winRate >= 50 ? C.g : C.r }}>{r.winRate.toFixed(0)}%</div>
+          <div style={{ textAlign: 'right', fontFamily: M, fontWeight: 700, color: pnlColor(r.pnl) }}>{fmtD(r.pnl)}</div>
+          <div style={{ textAlign: 'right', fontFamily: M, color: pnlColor(r.expectancy) }}>{fmtD(r.expectancy)}</div>
+          <div style={{ textAlign: 'right', fontFamily: M, color: r.cost > 0 ? C.r : C.t3 }}>
+            {r.cost == null ? '—' : fmtD(r.cost)}
+          </div>
+        </div>
+      ))}
+    </Card>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object[]} props.trades - Trades in the current analytics scope
+ */
+function TagsTab({ trades }) {
+  const baseCurrency = useSettingsStore((s) => s.baseCurrency);
+  const fxRates = useFxStore((s) => s.rates);
+  const taxonomy = useTagStore((s) => s.tags);
+  const [comboSize, setComboSize] = useState(2);
+  const [managing, setManaging] = useState(false);
+
+  const report = useMemo(
+    () => tagAnalytics(trades, taxonomy, { baseCurrency, fxRates, comboSize }),
+    [trades, taxonomy, baseCurrency, fxRates, comboSize]
+  );
+
+  const groups = [
+    ...TAG_GROUPS,
+    { id: null, label: 'Ungrouped', color: C.t3 },
+  ].map((g) => ({ ...g, rows: report.tags.filter((t) => t.group === g.id) })).filter((g) => g.rows.length);
+
+  const { mistakes } = report;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <SectionLabel text="Cost of Mistakes" />
+        <Btn variant="ghost" onClick={() => setManaging(true)} style={{ fontSize: 11, padding: '3px 10px', marginBottom: 10 }}>
+          🏷 Manage tags
+        </Btn>
+      </div>
+
+      <Card style={{ padding: 16, marginBottom: 16, borderLeft: `3px solid ${mistakes.cost > 0 ? C.r : C.bd}` }}>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 12 }}>
+          <MiniStat label="Cost of Mistakes" value={mistakes.count ? fmtD(mistakes.cost) : '—'} color={mistakes.cost > 0 ? C.r : C.t3} />
+          <MiniStat label="Mistake Trades" value={`${mistakes.count}t · ${fmtD(mistakes.pnl)}`} color={mistakes.count ? pnlColor(mistakes.pnl) : C.t3} />
+          <MiniStat label="Baseline / Trade" value={fmtD(mistakes.baseline)} color={pnlColor(mistakes.baseline)} />
+          <MiniStat label="Untagged" value={`${report.untagged.count}t · ${fmtD(report.untagged.pnl)}`} color={C.t3} />
+        </div>
+        <div style={{ fontSize: 10, color: C.t3, marginTop: 8 }}>
+          {report.tags.some((t) => t.group === 'mistake')
+            ? 'What trades tagged with a mistake made below the average of trades without one.'
+            : 'Put tags in the Mistake group to price them against your baseline.'}
+        </div>
+        {report.missing.length > 0 && (
+          <div style={{ fontSize: 10, color: C.y, marginTop: 6 }}>
+            No FX rate for {report.missing.join(', ')} — those trades are left out.
+          </div>
+        )}
+      </Card>
+
+      {!report.tags.length && (
+        <Card style={{ padding: 24, textAlign: 'center', fontSize: 12, color: C.t3, fontFamily: F }}>
+          No tagged trades in this view yet.
+        </Card>
+      )}
+
+      {groups.map((g) => (
+        <div key={g.id || 'none'} style={{ marginBottom: 16 }}>
+          <div style={{ fontSize: 10, fontWeight: 700, color: g.color, fontFamily: M, textTransform: 'uppercase', marginBottom: 6 }}>
+            {g.label}
+          </div>
+          <StatsTable rows={g.rows} label="Tag" renderName={(r) => <TagChip tag={r} />} />
+        </div>
+      ))}
+
+      {report.tags.length > 1 && (
+        <div style={{ marginBottom: 16 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <SectionLabel text="Tag Combinations" />
+            <div style={{ display: 'flex', gap: 4, marginBottom: 10 }}>
+              {[2, 3].map((n) => (
+                <Btn key={n} variant={comboSize === n ? 'primary' : 'ghost'} onClick={() => setComboSize(n)}
+                  style={{ fontSize: 10, padding: '2px 8px' }}>
+                  {n === 2 ? 'Pairs' : 'Triples'}
+                </Btn>
+              ))}
+            </div>
+          </div>
+          {report.combos.length ? (
+            <StatsTable rows={report.combos} label="Combination" renderName={(r) => r.tags.map((t) => <TagChip key={t.key} tag={t} />)} />
+          ) : (
+            <div style={{ fontSize: 11, color: C.t3 }}>No combination appears on two or more trades.</div>
+          )}
+        </div>
+      )}
+
+      <TagManager isOpen={managing} onClose={() => setManaging(false)} />
+    </div>
+  );
+}
+
+export default React.memo(TagsTab);
@@ -1,7 +1,10 @@
 // ═══════════════════════════════════════════════════════════════════
 // TradeForge OS v10.6 — Quick Journal Panel
 // Sprint 10 C10.5: Floating panel on chart to log a trade quickly.
-// Pre-fills symbol, entry/exit from chart levels, captures context.
+// Pre-fills symbol, entry/exit from chart levels, captures context,
+// optionally attaches a snapshot of the chart with its trade levels.
+// Records the market condition and the pre-trade checklist ticks the
+// playbook report scores rule adherence from.
 // ═══════════════════════════════════════════════════════════════════
 
 import React, { useState, useMemo } from 'react';
@@ -9,6 +12,9 @@ import { C, F, M, EMOJIS } from '../../constants.js';
 import { useChartStore } from '../../state/useChartStore.js';
 import { useTradeStore } from '../../state/useTradeStore.js';
 import { useChartTradeStore } from '../../state/useChartTradeStore.js';
+import { useAttachmentStore } from '../../state/useAttachmentStore.js';
+import { useChecklistStore } from '../../state/useChecklistStore.js';
+import { findPlaybook, MARKET_CONDITIONS } from '../../engine/Playbooks.js';
 import { uid } from '../../utils.js';
 import toast from '../Toast.jsx';
 
@@ -22,6 +28,7 @@ export default function QuickJournalPanel({ onClose }) {
   const tradeSide = useChartTradeStore((s) => s.tradeSide);
   const exitTradeMode = useChartTradeStore((s) => s.exitTradeMode);
   const addTrade = useTradeStore((s) => s.addTrade);
+  const playbooks = useTradeStore((s) => s.playbooks);
 
   const [form, setForm] = useState({
     side: tradeSide || 'long',
@@ -29,8 +36,10 @@ export default function QuickJournalPanel({ onClose }) {
     pnl: '',
     emotion: '',
     playbook: '',
+    marketCondition: '',
     notes: '',
     tags: '',
+    snapshot: true,
   });
 
   const set = (k, v) => setForm(f => ({ ...f, [k]: v }));
@@ -48,7 +57,7 @@ export default function QuickJournalPanel({ onClose }) {
     return Math.round(diff * qty * 100) / 100;
   }, [pendingEntry, pendingTP, pendingSL, form.qty, form.side]);
 
-  const handleSubmit = () => {
+  const handleSubmit = async () => {
     const pnl = form.pnl !== '' ? Number(form.pnl) : autoPnl;
     if (pnl == null || isNaN(pnl)) {
       toast.error('Enter P&L or set Entry + Exit levels');
@@ -70,12 +79,20 @@ export default function QuickJournalPanel({ onClose }) {
       playbook: form.playbook,
       tags: form.tags.split(',').map(t => t.trim()).filter(Boolean),
       notes: form.notes.trim(),
+      marketCondition: form.marketCondition,
       ruleBreak: false,
+      checklist: checklistTicks(findPlaybook(playbooks, form.playbook)),
       screenshots: [],
       _source: 'chart-quick-journal',
     };
 
     addTrade(trade);
+    useChecklistStore.getState().resetChecks();
+    // Capture while the entry / SL / TP lines are still on the chart
+    if (form.snapshot) {
+      const res = await useAttachmentStore.getState().captureChartFor(trade.id, { totalPnl: pnl });
+      if (!res.ok) toast.error(`Snapshot not attached: ${res.error}`);
+    }
     exitTradeMode();
     onClose();
     toast.success(`${trade.symbol} ${trade.side} logged — ${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)}`);
@@ -144,7 +161,28 @@ export default function QuickJournalPanel({ onClose }) {
         </div>
 
         {/* Playbook + Emotion */}
-        <SmallInput label="Strategy" value={form.playbook} onChange={(v) => set('playbook', v)} placeholder="e.g. Breakout" />
+        <SmallInput label="Strategy" value={form.playbook} onChange={(v) => set('playbook', v)} placeholder="e.g. Breakout" list="qj-playbooks" />
+        <datalist id="qj-playbooks">
+          {playbooks.map((p) => <option key={p.id || p.name} value={p.name} />)}
+        </datalist>
+
+        {/* Market condition */}
+        <div style={{ display: 'flex', gap: 3, marginTop: 2, marginBottom: 2, flexWrap: 'wrap' }}>
+          {MARKET_CONDITIONS.map((c) => (
+            <button className="tf-btn"
+              key={c.id}
+              onClick={() => set('marketCondition', form.marketCondition === c.id ? '' : c.id)}
+              style={{
+                padding: '2px 6px', fontSize: 9, borderRadius: 4, cursor: 'pointer', fontFamily: M,
+                border: `1px solid ${form.marketCondition === c.id ? C.b : C.bd}`,
+                background: form.marketCondition === c.id ? C.b + '15' : 'transparent',
+                color: form.marketCondition === c.id ? C.b : C.t3,
+              }}
+            >
+              {c.label}
+            </button>
+          ))}
+        </div>
 
         {/* Emotion chips */}
         <div style={{ display: 'flex', gap: 3, marginTop: 6, marginBottom: 6, flexWrap: 'wrap' }}>
@@ -188,6 +226,12 @@ export default function QuickJournalPanel({ onClose }) {
           />
         </div>
 
+        {/* Chart snapshot */}
+        <label style={{ display: 'flex', gap: 6, alignItems: 'center', marginTop: 6, fontSize: 9, color: C.t2, fontFamily: M, cursor: 'pointer' }}>
+          <input type="checkbox" checked={form.snapshot} onChange={(e) => set('snapshot', e.target.checked)} />
+          📷 Attach chart snapshot
+        </label>
+
         {/* Submit */}
         <button className="tf-btn"
           onClick={handleSubmit}
@@ -206,6 +250,18 @@ export default function QuickJournalPanel({ onClose }) {
   );
 }
 
+/**
+ * Pre-trade checklist state to store on the trade: the playbook's
+ * checklist items, or every item when it has none. Null when the
+ * checklist is switched off.
+ */
+function checklistTicks(playbook) {
+  const { enabled, items, checked } = useChecklistStore.getState();
+  if (!enabled) return null;
+  const ids = playbook?.checklist?.length ? playbook.checklist : items.map((i) => i.id);
+  return Object.fromEntries(ids.map((id) => [id, !!checked[id]]));
+}
+
 function LevelBadge({ label, value, color }) {
   return (
     <div style={{
@@ -221,7 +277,7 @@ function LevelBadge({ label, value, color }) {
   );
 }
 
-function SmallInput({ label, value, onChange, placeholder, type = 'text' }) {
+function SmallInput({ label, value, onChange, placeholder, type = 'text', list }) {
   return (
     <div style={{ marginBottom: 4 }}>
       <label style={{ fontSize: 8, fontWeight: 600, color: C.t3, fontFamily: M }}>{label}</label>
@@ -230,6 +286,7 @@ function SmallInput({ label, value, onChange, placeholder, type = 'text' }) {
         value={value}
         onChange={(e) => onChange(e.target.value)}
         placeholder={placeholder}
+        list={list}
         style={{
           width: '100%', padding: '3px 6px', fontSize: 10,
           borderRadius: 3, border: `1px solid ${C.bd}`,
@@ -0,0 +1,125 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Attachment Lightbox
+// Full-size viewer for a trade's attachments. ←/→ to page, Esc to
+// close; download and delete the current image.
+// ═══════════════════════════════════════════════════════════════════
+
+import React, { useEffect, useState } from 'react';
+import { C, F, M } from '../../constants.js';
+import { radii } from '../../theme/tokens.js';
+import { useAttachmentStore } from '../../state/useAttachmentStore.js';
+
+const navBtn = {
+  position: 'absolute', top: '50%', transform: 'translateY(-50%)',
+  width: 40, height: 40, borderRadius: 20,
+  border: `1px solid ${C.bd}`, background: C.sf + 'cc', color: C.t1,
+  fontSize: 18, cursor: 'pointer',
+};
+
+const barBtn = {
+  padding: '6px 12px', borderRadius: 4,
+  border: `1px solid ${C.bd}`, background: 'transparent',
+  color: C.t2, fontSize: 11, fontWeight: 600, fontFamily: F, cursor: 'pointer',
+};
+
+/**
+ * @param {Object} props
+ * @param {Object[]} props.attachments - Metadata rows (useAttachmentStore)
+ * @param {number} props.index - Initially shown attachment
+ * @param {Function} props.onClose
+ */
+export default function AttachmentLightbox({ attachments, index = 0, onClose }) {
+  const [i, setI] = useState(index);
+  const [url, setUrl] = useState(null);
+  const count = attachments.length;
+  const current = attachments[Math.min(i, count - 1)];
+
+  // Load the full image of the current attachment
+  useEffect(() => {
+    if (!current) return;
+    let objectUrl = null;
+    let cancelled = false;
+    setUrl(null);
+    useAttachmentStore.getState().getBlob(current.id).then((blob) => {
+      if (cancelled || !blob) return;
+      objectUrl = URL.createObjectURL(blob);
+      setUrl(objectUrl);
+    });
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [current?.id]);
+
+  useEffect(() => {
+    const handler = (e) => {
+      if (e.key === 'Escape') { e.preventDefault(); onClose(); }
+      else if (e.key === 'ArrowRight') setI((n) => (n + 1) % count);
+      else if (e.key === 'ArrowLeft') setI((n) => (n - 1 + count) % count);
+    };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [count, onClose]);
+
+  // Closed once the last attachment is deleted
+  useEffect(() => {
+    if (!count) onClose();
+  }, [count, onClose]);
+
+  if (!current) return null;
+
+  const download = () => {
+    if (!url) return;
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = current.name || 'attachment.png';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+  };
+
+  const remove = async () => {
+    await useAttachmentStore.getState().removeAttachment(current.id);
+    setI((n) => Math.max(0, Math.min(n, count - 2)));
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      role="dialog"
+      aria-label="Attachment viewer"
+      style={{
+        position: 'fixed', inset: 0, zIndex: 99999,
+        background: 'rgba(0,0,0,0.8)', backdropFilter: 'blur(4px)',
+        display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center',
+        padding: 24, gap: 12,
+      }}
+    >
+      <div onClick={(e) => e.stopPropagation()} style={{ position: 'relative', maxWidth: '92vw', maxHeight: '80vh' }}>
+        {url ? (
+          <img src={url} alt={current.name}
+            style={{ display: 'block', maxWidth: '92vw', maxHeight: '80vh', borderRadius: radii.md, border: `1px solid ${C.bd}` }} />
+        ) : (
+          <div style={{ width: 320, height: 200, display: 'flex', alignItems: 'center', justifyContent: 'center', color: C.t3, fontSize: 12 }}>
+            Loading…
+          </div>
+        )}
+        {count > 1 && (
+          <>
+            <button aria-label="Previous" onClick={() => setI((n) => (n - 1 + count) % count)} style={{ ...navBtn, left: -52 }}>‹</button>
+            <button aria-label="Next" onClick={() => setI((n) => (n + 1) % count)} style={{ ...navBtn, right: -52 }}>›</button>
+          </>
+        )}
+      </div>
+
+      <div onClick={(e) => e.stopPropagation()} style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+        <span style={{ fontSize: 11, fontFamily: M, color: C.t3, marginRight: 8 }}>
+          {current.name} · {i + 1}/{count} · {new Date(current.createdAt).toLocaleString()}
+        </span>
+        <button className="tf-btn" onClick={download} style={barBtn}>Download</button>
+        <button className="tf-btn" onClick={remove} style={{ ...barBtn, color: C.r }}>Delete</button>
+        <button className="tf-btn" onClick={onClose} style={barBtn}>Close</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Backlinks
+// Notes that link to a trade, trading day or playbook via [[…]]
+// links (engine/NoteLinks.js), with a shortcut to start a new one.
+// ═══════════════════════════════════════════════════════════════════
+
+import React, { useMemo } from 'react';
+import { C, F, M } from '../../constants.js';
+import { useTradeStore } from '../../state/useTradeStore.js';
+import { useUIStore } from '../../state/useUIStore.js';
+import { backlinksFor } from '../../engine/NoteLinks.js';
+import { markdownToText } from '../../utils/markdown.js';
+
+const linkBtn = {
+  background: 'none', border: 'none', padding: 0,
+  fontSize: 10, fontFamily: F, fontWeight: 600, color: C.b, cursor: 'pointer',
+};
+
+/** [[…]] link text that points at a target */
+function linkText(kind, target) {
+  return kind === 'day' ? `[[${target}]]` : `[[${kind}:${target}]]`;
+}
+
+/**
+ * @param {Object} props
+ * @param {'trade'|'day'|'playbook'} props.kind
+ * @param {string} props.target - Trade ID, YYYY-MM-DD or playbook name
+ * @param {string} [props.day] - Trading day to offer a daily-page link for
+ * @param {number} [props.max] - Show at most this many (compact cards)
+ */
+export default function Backlinks({ kind, target, day, max }) {
+  const notes = useTradeStore((s) => s.notes);
+  const links = useMemo(() => backlinksFor(notes, kind, target), [notes, kind, target]);
+  const open = useUIStore((s) => s.openJournalTarget);
+  const shown = max ? links.slice(0, max) : links;
+
+  return (
+    <div style={{ fontFamily: F }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: shown.length ? 4 : 0 }}>
+        <span style={{ fontSize: 10, fontWeight: 600, color: C.t3, fontFamily: M }}>
+          Backlinks{links.length ? ` (${links.length})` : ''}
+        </span>
+        {day && (
+          <button className="tf-btn" onClick={() => open({ type: 'day', date: day })} style={linkBtn}>
+            📅 Daily page
+          </button>
+        )}
+        <button className="tf-btn"
+          onClick={() => open({ type: 'newNote', content: `${linkText(kind, target)} ` })}
+          style={linkBtn}
+        >
+          + Note
+        </button>
+      </div>
+
+      {shown.map(({ note, count, context }) => (
+        <button
+          key={note.id}
+          className="tf-btn"
+          onClick={() => open({ type: 'note', id: note.id })}
+          style={{
+            display: 'block', width: '100%', textAlign: 'left',
+            background: 'none', border: 'none', padding: '3px 0', cursor: 'pointer',
+          }}
+        >
+          <span style={{ fontSize: 11, fontWeight: 600, color: C.t1 }}>
+            {note.kind === 'daily' ? '📅 ' : '📝 '}{note.title || 'Untitled'}
+          </span>
+          {count > 1 && <span style={{ fontSize: 9, color: C.t3, fontFamily: M, marginLeft: 4 }}>×{count}</span>}
+          {context && (
+            <span style={{
+              display: 'block', fontSize: 10, color: C.t3,
+              overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap',
+            }}>
+              {markdownToText(context)}
+            </span>
+          )}
+        </button>
+      ))}
+      {max && links.length > max && (
+        <div style={{ fontSize: 9, color: C.t3, fontFamily: M }}>+{links.length - max} more</div>
+      )}
+    </div>
+  );
+}
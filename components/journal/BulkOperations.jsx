@@ -5,14 +5,17 @@
 // Features:
 //   - Select all / select none / invert selection
 //   - Bulk delete with undo
-//   - Bulk tag (add/remove tags)
-//   - Bulk edit field (emotion, playbook, side)
+//   - Bulk tag (add/remove tags, picked from the tag taxonomy)
+//   - Bulk edit field (emotion, market condition, playbook, side)
 //   - Bulk export selected
 // ═══════════════════════════════════════════════════════════════════
 
 import React, { useState, useCallback, useMemo } from 'react';
 import { C, F, M } from '../../constants.js';
 import { useTradeStore } from '../../state/useTradeStore.js';
+import { useTagStore } from '../../state/useTagStore.js';
+import { TAG_GROUPS, collectTags } from '../../engine/TagTaxonomy.js';
+import { MARKET_CONDITIONS } from '../../engine/Playbooks.js';
 
 /**
  * Hook for managing bulk selection state.
@@ -71,8 +74,7 @@ export function BulkActionBar({
   count, allSelected, onSelectAll, onSelectNone, onInvert,
   onBulkDelete, onBulkTag, onBulkEdit, onBulkExport,
 }) {
-  const [showTagInput, setShowTagInput] = useState(false);
-  const [tagValue, setTagValue] = useState('');
+  const [showTagPicker, setShowTagPicker] = useState(false);
   const [showEditMenu, setShowEditMenu] = useState(false);
 
   if (count === 0) return null;
@@ -100,36 +102,15 @@ export function BulkActionBar({
       <div style={{ width: 1, height: 20, background: C.bd, margin: '0 4px' }} />
 
       {/* Tag action */}
-      {showTagInput ? (
-        <div style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
-          <input
-            value={tagValue}
-            onChange={(e) => setTagValue(e.target.value)}
-            placeholder="Tag name"
-            autoFocus
-            onKeyDown={(e) => {
-              if (e.key === 'Enter' && tagValue.trim()) {
-                onBulkTag(tagValue.trim());
-                setTagValue('');
-                setShowTagInput(false);
-              }
-              if (e.key === 'Escape') setShowTagInput(false);
-            }}
-            style={{
-              width: 100, padding: '3px 8px', fontSize: 10,
-              borderRadius: 4, border: `1px solid ${C.bd}`,
-              background: C.sf, color: C.t1, fontFamily: M,
-              outline: 'none',
-            }}
+      <div style={{ position: 'relative' }}>
+        <BulkBtn label="🏷 Tag" onClick={() => setShowTagPicker(!showTagPicker)} />
+        {showTagPicker && (
+          <TagPicker
+            onApply={(tags, mode) => { onBulkTag(tags, mode); setShowTagPicker(false); }}
+            onClose={() => setShowTagPicker(false)}
           />
-          <BulkBtn label="Add" onClick={() => {
-            if (tagValue.trim()) { onBulkTag(tagValue.trim()); setTagValue(''); setShowTagInput(false); }
-          }} />
-          <BulkBtn label="✕" onClick={() => setShowTagInput(false)} />
-        </div>
-      ) : (
-        <BulkBtn label="🏷 Tag" onClick={() => setShowTagInput(true)} />
-      )}
+        )}
+      </div>
 
       {/* Edit menu */}
       <div style={{ position: 'relative' }}>
@@ -149,7 +130,10 @@ export function BulkActionBar({
                 { label: 'Set Emotion → Neutral', field: 'emotion', value: 'neutral' },
                 { label: 'Set Emotion → Greedy', field: 'emotion', value: 'greedy' },
                 null,
+                ...MARKET_CONDITIONS.map((c) => ({ label: `Set Condition → ${c.label}`, field: 'marketCondition', value: c.id })),
+                null,
                 { label: 'Clear Emotion', field: 'emotion', value: '' },
+                { label: 'Clear Condition', field: 'marketCondition', value: '' },
                 { label: 'Clear Playbook', field: 'playbook', value: '' },
                 { label: 'Clear Notes', field: 'notes', value: '' },
               ].map((item, i) => item === null ? (
@@ -190,6 +174,101 @@ export function BulkActionBar({
   );
 }
 
+/**
+ * Tag picker for bulk tagging: taxonomy tags by group, or a new tag typed in.
+ * @param {Function} onApply - (tags: string[], mode: 'add'|'remove') => void
+ * @param {Function} onClose
+ */
+function TagPicker({ onApply, onClose }) {
+  const trades = useTradeStore((s) => s.trades);
+  const taxonomy = useTagStore((s) => s.tags);
+  const [mode, setMode] = useState('add');
+  const [value, setValue] = useState('');
+
+  const tags = useMemo(() => collectTags(trades, taxonomy), [trades, taxonomy]);
+  const q = value.trim().toLowerCase();
+  const shown = q ? tags.filter((t) => t.key.includes(q)) : tags;
+  const groupLabel = (id) => TAG_GROUPS.find((g) => g.id === id)?.label || 'Other';
+
+  const submit = () => {
+    if (value.trim()) { onApply([value.trim()], mode); setValue(''); }
+  };
+
+  return (
+    <>
+      <div onClick={onClose} style={{ position: 'fixed', inset: 0, zIndex: 98 }} />
+      <div style={{
+        position: 'absolute', top: '100%', left: 0, marginTop: 4,
+        background: C.bg, border: `1px solid ${C.bd}`,
+        borderRadius: 6, padding: 8, zIndex: 99, width: 240,
+        boxShadow: '0 4px 12px rgba(0,0,0,0.3)',
+      }}>
+        <div style={{ display: 'flex', gap: 4, marginBottom: 6 }}>
+          {['add', 'remove'].map((m) => (
+            <button className="tf-btn"
+              key={m}
+              onClick={() => setMode(m)}
+              style={{
+                flex: 1, padding: '3px 0', fontSize: 10, fontWeight: 600, fontFamily: M,
+                borderRadius: 4, cursor: 'pointer',
+                border: `1px solid ${mode === m ? (m === 'add' ? C.b : C.r) : C.bd}`,
+                background: mode === m ? (m === 'add' ? C.b : C.r) + '15' : 'transparent',
+                color: mode === m ? (m === 'add' ? C.b : C.r) : C.t3,
+              }}
+            >
+              {m === 'add' ? '+ Add' : '− Remove'}
+            </button>
+          ))}
+        </div>
+        <input
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          placeholder="Find or type a new tag"
+          autoFocus
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') submit();
+            if (e.key === 'Escape') onClose();
+          }}
+          style={{
+            width: '100%', boxSizing: 'border-box', padding: '3px 8px', fontSize: 10,
+            borderRadius: 4, border: `1px solid ${C.bd}`,
+            background: C.sf, color: C.t1, fontFamily: M,
+            outline: 'none', marginBottom: 6,
+          }}
+        />
+        <div style={{ maxHeight: 200, overflowY: 'auto' }}>
+          {shown.map((t, i) => (
+            <React.Fragment key={t.key}>
+              {(i === 0 || shown[i - 1].group !== t.group) && (
+                <div style={{ fontSize: 8, fontWeight: 700, color: C.t3, fontFamily: M, textTransform: 'uppercase', margin: '4px 0 2px' }}>
+                  {groupLabel(t.group)}
+                </div>
+              )}
+              <button className="tf-btn"
+                onClick={() => onApply([t.name], mode)}
+                style={{
+                  display: 'flex', justifyContent: 'space-between', width: '100%',
+                  padding: '3px 6px', fontSize: 10, fontFamily: F,
+                  background: 'none', border: 'none', color: t.color,
+                  cursor: 'pointer', borderRadius: 4,
+                }}
+                onMouseEnter={(e) => e.currentTarget.style.background = C.sf}
+                onMouseLeave={(e) => e.currentTarget.style.background = 'none'}
+              >
+                <span style={{ fontWeight: 600 }}>● {t.name}</span>
+                <span style={{ color: C.t3, fontFamily: M }}>{t.count}</span>
+              </button>
+            </React.Fragment>
+          ))}
+          {q && !tags.some((t) => t.key === q) && mode === 'add' && (
+            <BulkBtn label={`+ New tag "${value.trim()}"`} onClick={submit} />
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
+
 function BulkBtn({ label, onClick, danger }) {
   return (
     <button className="tf-btn"
@@ -1,11 +1,27 @@
 // ═══════════════════════════════════════════════════════════════════
 // TradeForge OS v10 — Journal Filter Bar
-// Search, side filter, date range, asset class, summary stats
+// Query search (engine/TradeQuery.js) with autocomplete and saved
+// smart views, side filter, date range, asset class, summary stats
 // ═══════════════════════════════════════════════════════════════════
 
-import React from 'react';
+import React, { useState, useRef, useMemo } from 'react';
 import { C, F, M } from '../../constants.js';
 import { fmtD } from '../../utils.js';
+import { suggestQuery, applySuggestion } from '../../engine/TradeQuery.js';
+import { useSmartViewStore } from '../../state/useSmartViewStore.js';
+import toast from '../Toast.jsx';
+
+const smallBtn = {
+  padding: '7px 10px',
+  borderRadius: 4,
+  border: `1px solid ${C.bd}`,
+  background: 'transparent',
+  color: C.t3,
+  fontSize: 11,
+  fontWeight: 600,
+  fontFamily: F,
+  cursor: 'pointer',
+};
 
 export default function JournalFilterBar({
   filter, setFilter,
@@ -15,27 +31,171 @@ export default function JournalFilterBar({
   customDateTo, setCustomDateTo,
   assetClassFilter, setAssetClassFilter,
   summary,
+  trades = [],
+  queryError = null,
 }) {
+  const views = useSmartViewStore((s) => s.views);
+  const activeViewId = useSmartViewStore((s) => s.activeViewId);
+  const activeView = views.find((v) => v.id === activeViewId) || null;
+
+  const inputRef = useRef(null);
+  const [cursor, setCursor] = useState(null);
+  const [highlight, setHighlight] = useState(0);
+
+  // Autocomplete for the token under the cursor (null when closed)
+  const suggestions = useMemo(() => {
+    if (cursor == null) return null;
+    const s = suggestQuery(filter, cursor, trades);
+    return s.items.length ? s : null;
+  }, [filter, cursor, trades]);
+
+  const accept = (item) => {
+    const next = applySuggestion(filter, suggestions, item);
+    setFilter(next.text);
+    setHighlight(0);
+    requestAnimationFrame(() => {
+      const el = inputRef.current;
+      if (!el) return;
+      el.focus();
+      el.setSelectionRange(next.cursor, next.cursor);
+      setCursor(next.cursor);
+    });
+  };
+
+  const onKeyDown = (e) => {
+    if (!suggestions) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlight((h) => (h + 1) % suggestions.items.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlight((h) => (h - 1 + suggestions.items.length) % suggestions.items.length);
+    } else if (e.key === 'Tab' || e.key === 'Enter') {
+      e.preventDefault();
+      accept(suggestions.items[Math.min(highlight, suggestions.items.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setCursor(null);
+    }
+  };
+
+  const selectView = (id) => {
+    const view = views.find((v) => v.id === id);
+    useSmartViewStore.getState().setActiveView(view ? view.id : null);
+    setFilter(view ? view.query : '');
+  };
+
+  const saveView = () => {
+    const name = window.prompt('Save smart view as:', activeView?.name || '');
+    if (name == null) return;
+    const res = useSmartViewStore.getState().saveView(name, filter);
+    if (!res.ok) {
+      toast.error(res.error);
+      return;
+    }
+    useSmartViewStore.getState().setActiveView(res.data.id);
+    toast.success(`Saved view "${res.data.name}"`);
+  };
+
+  const deleteView = () => {
+    if (!activeView) return;
+    useSmartViewStore.getState().deleteView(activeView.id);
+    toast.info(`Deleted view "${activeView.name}"`);
+  };
+
+  const modified = activeView && activeView.query !== filter.trim();
+
   return (
     <>
       <div style={{ display: 'flex', gap: 8, marginBottom: 8, alignItems: 'center', flexWrap: 'wrap' }}>
-        {/* Search */}
-        <input aria-label="Filter trades"
-          value={filter}
-          onChange={(e) => setFilter(e.target.value)}
-          placeholder="Search symbol, strategy, tags..."
+        {/* Query search with autocomplete */}
+        <div style={{ position: 'relative', flex: 1, minWidth: 160 }}>
+          <input aria-label="Filter trades"
+            ref={inputRef}
+            value={filter}
+            onChange={(e) => {
+              setFilter(e.target.value);
+              if (!e.target.value.trim() && activeView) useSmartViewStore.getState().setActiveView(null);
+              setCursor(e.target.selectionStart);
+              setHighlight(0);
+            }}
+            onKeyDown={onKeyDown}
+            onClick={(e) => setCursor(e.target.selectionStart)}
+            onBlur={() => setCursor(null)}
+            placeholder='Search, or query: playbook:"ORB" AND r<-1 AND hour:9..10'
+            spellCheck={false}
+            style={{
+              width: '100%',
+              boxSizing: 'border-box',
+              padding: '8px 12px',
+              borderRadius: 6,
+              border: `1px solid ${queryError ? C.r : C.bd}`,
+              background: C.sf,
+              color: C.t1,
+              fontSize: 12,
+              fontFamily: filter.includes(':') ? M : F,
+              outline: 'none',
+            }}
+          />
+          {suggestions && (
+            <div role="listbox" style={{
+              position: 'absolute', top: '100%', left: 0, right: 0, marginTop: 2, zIndex: 20,
+              background: C.bg2, border: `1px solid ${C.bd}`, borderRadius: 6,
+              boxShadow: '0 8px 24px rgba(0,0,0,0.35)', overflow: 'hidden',
+            }}>
+              {suggestions.items.map((item, i) => (
+                <div key={item.insert} role="option" aria-selected={i === highlight}
+                  onMouseDown={(e) => { e.preventDefault(); accept(item); }}
+                  onMouseEnter={() => setHighlight(i)}
+                  style={{
+                    display: 'flex', justifyContent: 'space-between', gap: 12,
+                    padding: '6px 10px', cursor: 'pointer',
+                    background: i === highlight ? C.b + '20' : 'transparent',
+                    fontSize: 11,
+                  }}
+                >
+                  <span style={{ fontFamily: M, color: C.t1 }}>{item.label}</span>
+                  {item.detail && <span style={{ color: C.t3 }}>{item.detail}</span>}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Smart views */}
+        <select aria-label="Smart view"
+          value={activeViewId || ''}
+          onChange={(e) => selectView(e.target.value)}
           style={{
-            flex: 1, minWidth: 160,
-            padding: '8px 12px',
-            borderRadius: 6,
-            border: `1px solid ${C.bd}`,
-            background: C.sf,
-            color: C.t1,
-            fontSize: 12,
+            padding: '7px 10px',
+            borderRadius: 4,
+            border: `1px solid ${activeView ? C.b : C.bd}`,
+            background: activeView ? C.b + '20' : C.sf,
+            color: activeView ? C.b : C.t3,
+            fontSize: 11,
+            fontWeight: 600,
             fontFamily: F,
+            cursor: 'pointer',
             outline: 'none',
           }}
-        />
+        >
+          <option value="">All Trades</option>
+          {views.map((v) => (
+            <option key={v.id} value={v.id}>{v.name}{v.id === activeViewId && modified ? ' •' : ''}</option>
+          ))}
+        </select>
+        <button className="tf-btn"
+          onClick={saveView}
+          disabled={!filter.trim() || !!queryError}
+          title="Save query as a smart view"
+          style={{ ...smallBtn, opacity: !filter.trim() || queryError ? 0.5 : 1 }}
+        >
+          Save View
+        </button>
+        {activeView && (
+          <button className="tf-btn" onClick={deleteView} title="Delete smart view" style={{ ...smallBtn, color: C.r }}>
+            ✕
+          </button>
+        )}
 
         {/* Side Filter */}
         {['all', 'long', 'short'].map((s) => (
@@ -119,6 +279,13 @@ export default function JournalFilterBar({
         </div>
       </div>
 
+      {/* Query parse error */}
+      {queryError && (
+        <div style={{ fontSize: 11, fontFamily: M, color: C.r, margin: '-4px 0 8px' }}>
+          {queryError.error} (at {queryError.pos + 1})
+        </div>
+      )}
+
       {/* Custom date range inputs */}
       {dateRange === 'custom' && (
         <div style={{ display: 'flex', gap: 8, marginBottom: 8, alignItems: 'center' }}>
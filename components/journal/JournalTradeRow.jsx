@@ -1,13 +1,25 @@
 // ═══════════════════════════════════════════════════════════════════
 // TradeForge OS v10.5 — Journal Trade Row (Sprint 9 update)
-// Added: selection checkbox, context badge, replay button
+// Added: selection checkbox, context badge, replay button, attachments,
+// note backlinks, playbook plan check, market condition
 // ═══════════════════════════════════════════════════════════════════
 
-import React from 'react';
+import React, { useState, useMemo } from 'react';
 import { C, M } from '../../constants.js';
 import { Btn } from '../UIKit.jsx';
 import { fmtD } from '../../utils.js';
 import { ContextBadge } from './JournalEvolution.jsx';
+import { STRATEGY_LABELS, strategyOf, daysToExpiry, optionSymbol } from '../../engine/Options.js';
+import { estimateEntryGreeks } from '../../data/OptionsService.js';
+import { useTradeStore } from '../../state/useTradeStore.js';
+import TradeAttachments, { AttachmentThumbs } from './TradeAttachments.jsx';
+import MarkdownView from './MarkdownView.jsx';
+import Backlinks from './Backlinks.jsx';
+import { dayKey } from '../../engine/NoteLinks.js';
+import { useChecklistStore } from '../../state/useChecklistStore.js';
+import { findPlaybook, checkTradePlan, MARKET_CONDITIONS } from '../../engine/Playbooks.js';
+import { useTagStore } from '../../state/useTagStore.js';
+import { tagInfo } from '../../engine/TagTaxonomy.js';
 
 const GRID_COLS = '28px 100px 80px 55px 1fr 80px 100px';
 const GRID_COLS_NO_CHECK = '100px 80px 55px 1fr 80px 100px';
@@ -56,6 +68,7 @@ function DesktopRow({ trade: t, isExpanded, onClick, bulkMode, isSelected, onTog
       <div style={{ color: C.t2, fontSize: 11, display: 'flex', alignItems: 'center', gap: 6 }}>
         {t.playbook || '—'}
         {t.context?.tags?.length > 0 && <ContextBadge context={t.context} />}
+        <AttachmentThumbs tradeId={t.id} />
       </div>
       <div style={{ fontSize: 11 }}>{t.emotion || '—'}</div>
       <div style={{ textAlign: 'right', fontFamily: M, fontWeight: 700, color: (t.pnl || 0) >= 0 ? C.g : C.r }}>
@@ -108,6 +121,7 @@ function MobileRow({ trade: t, isExpanded, onClick, bulkMode, isSelected, onTogg
           {t.playbook && <span>· {t.playbook}</span>}
           {t.emotion && <span>· {t.emotion}</span>}
           {t.context?.tags?.length > 0 && <ContextBadge context={t.context} />}
+          <AttachmentThumbs tradeId={t.id} max={1} />
         </div>
       </div>
     </div>
@@ -117,6 +131,17 @@ function MobileRow({ trade: t, isExpanded, onClick, bulkMode, isSelected, onTogg
 // ─── Expanded Detail Panel ─────────────────────────────────────
 
 function ExpandedDetail({ trade: t, isTablet, deleteConfirm, onEdit, onDelete, onDeleteConfirm, onCancelDelete, onViewChart, onReplay }) {
+  const playbooks = useTradeStore((s) => s.playbooks);
+  const checklistItems = useChecklistStore((s) => s.items);
+  const taxonomy = useTagStore((s) => s.tags);
+  const plan = useMemo(
+    () => checkTradePlan(t, findPlaybook(playbooks, t.playbook), { checklistItems }),
+    [t, playbooks, checklistItems]
+  );
+  const checklistLabel = (key) => checklistItems.find((i) => i.id === key)?.label || key;
+  const setCondition = (id) =>
+    useTradeStore.getState().updateTrade(t.id, { marketCondition: t.marketCondition === id ? '' : id });
+
   return (
     <div style={{
       padding: '12px 16px 16px',
@@ -124,8 +149,8 @@ function ExpandedDetail({ trade: t, isTablet, deleteConfirm, onEdit, onDelete, o
       borderBottom: `1px solid ${C.bd}`,
     }}>
       <div style={{ display: 'grid', gridTemplateColumns: isTablet ? 'repeat(2, 1fr)' : 'repeat(4, 1fr)', gap: 12, marginBottom: 12 }}>
-        <DetailItem label="Entry" value={t.entry != null ? `$${t.entry}` : '—'} />
-        <DetailItem label="Exit" value={t.exit != null ? `$${t.exit}` : '—'} />
+        <DetailItem label={t.executions?.length ? 'Avg Entry' : 'Entry'} value={t.entry != null ? `$${+Number(t.entry).toFixed(4)}` : '—'} />
+        <DetailItem label={t.executions?.length ? 'Avg Exit' : 'Exit'} value={t.exit != null ? `$${+Number(t.exit).toFixed(4)}` : '—'} />
         <DetailItem label="Qty" value={t.qty ?? '—'} />
         <DetailItem label="Fees" value={t.fees != null ? `$${t.fees}` : '—'} />
         <DetailItem label="R-Multiple" value={t.rMultiple != null ? `${t.rMultiple}R` : '—'} />
@@ -134,6 +159,47 @@ function ExpandedDetail({ trade: t, isTablet, deleteConfirm, onEdit, onDelete, o
         <DetailItem label="Time" value={t.date ? new Date(t.date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '—'} />
       </div>
 
+      {/* Playbook plan check */}
+      <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap', alignItems: 'center', marginBottom: 12 }}>
+        <span style={{
+          fontSize: 9, fontFamily: M, fontWeight: 700, padding: '2px 8px', borderRadius: 3,
+          background: plan.inPlan ? C.g + '15' : C.r + '15',
+          color: plan.inPlan ? C.g : C.r,
+        }}>
+          {plan.inPlan ? '✓ In plan' : 'Out of plan'} · {plan.score}% adherence
+        </span>
+        {plan.violations.map((v) => (
+          <span key={v.rule} style={{ fontSize: 9, fontFamily: M, padding: '2px 6px', borderRadius: 3, background: C.y + '15', color: C.y }}>
+            {v.text}
+          </span>
+        ))}
+      </div>
+
+      {/* Market condition (feeds the playbook report's by-condition split) */}
+      <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap', alignItems: 'center', marginBottom: 12 }}>
+        <span style={{ fontSize: 10, fontWeight: 600, color: C.t3, fontFamily: M, marginRight: 4 }}>Condition</span>
+        {MARKET_CONDITIONS.map((c) => (
+          <button className="tf-btn"
+            key={c.id}
+            onClick={() => setCondition(c.id)}
+            style={{
+              padding: '2px 8px', fontSize: 9, borderRadius: 4, cursor: 'pointer', fontFamily: M,
+              border: `1px solid ${t.marketCondition === c.id ? C.b : C.bd}`,
+              background: t.marketCondition === c.id ? C.b + '15' : 'transparent',
+              color: t.marketCondition === c.id ? C.b : C.t3,
+            }}
+          >
+            {c.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Options: structure, legs, Greeks at entry */}
+      {t.assetClass === 'options' && strategyOf(t) && <OptionsDetail trade={t} />}
+
+      {/* Executions (scale-in / scale-out fills) */}
+      {t.executions?.length > 0 && <ExecutionsTable executions={t.executions} />}
+
       {/* Context from Intelligence Layer */}
       {t.context && (
         <div style={{ marginBottom: 10 }}>
@@ -166,7 +232,7 @@ function ExpandedDetail({ trade: t, isTablet, deleteConfirm, onEdit, onDelete, o
                 background: val ? C.g + '10' : C.r + '10',
                 color: val ? C.g : C.r,
               }}>
-                {val ? '✓' : '✗'} {key}
+                {val ? '✓' : '✗'} {checklistLabel(key)}
               </span>
             ))}
           </div>
@@ -178,15 +244,18 @@ function ExpandedDetail({ trade: t, isTablet, deleteConfirm, onEdit, onDelete, o
         <div style={{ marginBottom: 10 }}>
           <div style={{ fontSize: 10, fontWeight: 600, color: C.t3, marginBottom: 4, fontFamily: M }}>Tags</div>
           <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap' }}>
-            {t.tags.map((tag, i) => (
-              <span key={i} style={{
-                padding: '2px 8px', borderRadius: 4,
-                background: C.b + '15', color: C.b,
-                fontSize: 10, fontWeight: 600,
-              }}>
-                {tag}
-              </span>
-            ))}
+            {t.tags.map((tag, i) => {
+              const { color } = tagInfo(taxonomy, tag);
+              return (
+                <span key={i} style={{
+                  padding: '2px 8px', borderRadius: 4,
+                  background: color + '15', color,
+                  fontSize: 10, fontWeight: 600,
+                }}>
+                  {tag}
+                </span>
+              );
+            })}
           </div>
         </div>
       )}
@@ -195,7 +264,7 @@ function ExpandedDetail({ trade: t, isTablet, deleteConfirm, onEdit, onDelete, o
       {t.notes && (
         <div style={{ marginBottom: 12 }}>
           <div style={{ fontSize: 10, fontWeight: 600, color: C.t3, marginBottom: 4, fontFamily: M }}>Notes</div>
-          <div style={{ fontSize: 12, color: C.t2, lineHeight: 1.6, whiteSpace: 'pre-wrap' }}>{t.notes}</div>
+          <MarkdownView text={t.notes} style={{ fontSize: 12, lineHeight: 1.6 }} />
         </div>
       )}
 
@@ -216,6 +285,14 @@ function ExpandedDetail({ trade: t, isTablet, deleteConfirm, onEdit, onDelete, o
         </div>
       )}
 
+      {/* Attachments (IndexedDB blobs; paste, drop or chart capture) */}
+      <TradeAttachments trade={t} />
+
+      {/* Notes linking here via [[trade:id]] */}
+      <div style={{ marginBottom: 12 }}>
+        <Backlinks kind="trade" target={t.id} day={dayKey(t.date)} />
+      </div>
+
       {/* Actions */}
       <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end', flexWrap: 'wrap' }}>
         {deleteConfirm === t.id ? (
@@ -241,6 +318,124 @@ function ExpandedDetail({ trade: t, isTablet, deleteConfirm, onEdit, onDelete, o
   );
 }
 
+// ─── Executions Table ──────────────────────────────────────────
+
+function ExecutionsTable({ executions }) {
+  const cell = { padding: '3px 8px', fontFamily: M, fontSize: 10, textAlign: 'right' };
+  return (
+    <div style={{ marginBottom: 12 }}>
+      <div style={{ fontSize: 10, fontWeight: 600, color: C.t3, marginBottom: 4, fontFamily: M }}>
+        Executions ({executions.length})
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', color: C.t2 }}>
+        <thead>
+          <tr style={{ color: C.t3 }}>
+            <th style={{ ...cell, textAlign: 'left', fontWeight: 600 }}>Time</th>
+            <th style={{ ...cell, textAlign: 'left', fontWeight: 600 }}>Side</th>
+            <th style={{ ...cell, fontWeight: 600 }}>Qty</th>
+            <th style={{ ...cell, fontWeight: 600 }}>Price</th>
+            <th style={{ ...cell, fontWeight: 600 }}>Fee</th>
+            <th style={{ ...cell, fontWeight: 600 }}>Realized</th>
+          </tr>
+        </thead>
+        <tbody>
+          {executions.map((x) => (
+            <tr key={x.id} style={{ borderTop: `1px solid ${C.bd}` }}>
+              <td style={{ ...cell, textAlign: 'left' }}>
+                {new Date(x.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}
+              </td>
+              <td style={{ ...cell, textAlign: 'left', fontWeight: 700, color: x.side === 'buy' ? C.g : C.r }}>
+                {x.side.toUpperCase()}
+              </td>
+              <td style={cell}>{x.qty}</td>
+              <td style={cell}>{x.price}</td>
+              <td style={cell}>{x.fee ? x.fee.toFixed(2) : '—'}</td>
+              <td style={{ ...cell, color: x.realized == null ? C.t3 : x.realized >= 0 ? C.g : C.r }}>
+                {x.realized == null ? '—' : fmtD(x.realized)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ─── Options Detail ────────────────────────────────────────────
+
+function OptionsDetail({ trade: t }) {
+  const updateTrade = useTradeStore((s) => s.updateTrade);
+  const [status, setStatus] = useState('');
+  const cell = { padding: '3px 8px', fontFamily: M, fontSize: 10, textAlign: 'right' };
+  const dte = daysToExpiry(t.expiry, t.date);
+  const legs = t.legs?.length ? t.legs : [{ ...t, symbol: optionSymbol({ ...t, underlying: t.underlying || t.symbol }) }];
+
+  const estimate = async () => {
+    setStatus('Loading underlying…');
+    const { updates, reason } = await estimateEntryGreeks(t);
+    if (updates) {
+      updateTrade(t.id, updates);
+      setStatus('');
+    } else {
+      setStatus(reason === 'no_underlying_price' ? 'No underlying data at entry' : 'Premium outside pricing bounds');
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: 12 }}>
+      <div style={{ display: 'flex', gap: 12, alignItems: 'baseline', flexWrap: 'wrap', marginBottom: 4 }}>
+        <span style={{ fontSize: 10, fontWeight: 600, color: C.t3, fontFamily: M }}>
+          {STRATEGY_LABELS[strategyOf(t)] || strategyOf(t)}
+          {t.expiry && ` · exp ${t.expiry}`}
+          {dte != null && ` · ${dte} DTE at entry`}
+        </span>
+        <span style={{ fontSize: 10, fontFamily: M, color: C.t2 }}>
+          {t.ivAtEntry != null
+            ? `IV ${(t.ivAtEntry * 100).toFixed(1)}% · Δ ${t.deltaAtEntry} · underlying $${t.underlyingAtEntry}`
+            : status}
+        </span>
+        {t.ivAtEntry == null && !status && (
+          <Btn variant="ghost" onClick={estimate} style={{ fontSize: 10, padding: '2px 8px' }}>Estimate Greeks</Btn>
+        )}
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', color: C.t2 }}>
+        <thead>
+          <tr style={{ color: C.t3 }}>
+            <th style={{ ...cell, textAlign: 'left', fontWeight: 600 }}>Contract</th>
+            <th style={{ ...cell, textAlign: 'left', fontWeight: 600 }}>Side</th>
+            <th style={{ ...cell, fontWeight: 600 }}>Qty</th>
+            <th style={{ ...cell, fontWeight: 600 }}>Entry</th>
+            <th style={{ ...cell, fontWeight: 600 }}>Exit</th>
+            <th style={{ ...cell, fontWeight: 600 }}>IV</th>
+            <th style={{ ...cell, fontWeight: 600 }}>Δ</th>
+            <th style={{ ...cell, fontWeight: 600 }}>P&L</th>
+          </tr>
+        </thead>
+        <tbody>
+          {legs.map((l, i) => {
+            const iv = t.legs?.length ? l.iv : t.ivAtEntry;
+            const delta = t.legs?.length ? l.delta : t.deltaAtEntry;
+            return (
+              <tr key={l.id || i} style={{ borderTop: `1px solid ${C.bd}` }}>
+                <td style={{ ...cell, textAlign: 'left' }}>{l.symbol}</td>
+                <td style={{ ...cell, textAlign: 'left', fontWeight: 700, color: l.side === 'long' ? C.g : C.r }}>
+                  {l.side === 'long' ? 'BUY' : 'SELL'}
+                </td>
+                <td style={cell}>{l.qty}</td>
+                <td style={cell}>{l.entry != null ? +Number(l.entry).toFixed(4) : '—'}</td>
+                <td style={cell}>{l.exit != null ? +Number(l.exit).toFixed(4) : '—'}</td>
+                <td style={cell}>{iv != null ? `${(iv * 100).toFixed(1)}%` : '—'}</td>
+                <td style={cell}>{delta ?? '—'}</td>
+                <td style={{ ...cell, color: (l.pnl || 0) >= 0 ? C.g : C.r }}>{l.pnl != null ? fmtD(l.pnl) : '—'}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 // ─── Detail Item ───────────────────────────────────────────────
 
 function DetailItem({ label, value, color }) {
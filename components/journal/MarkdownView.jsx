@@ -0,0 +1,233 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Markdown View
+// Renders note markdown (utils/markdown.js) with clickable
+// [[trade:…]] / [[YYYY-MM-DD]] / [[playbook:…]] links and embedded
+// ![[debrief:YYYY-MM-DD]] daily summaries.
+// ═══════════════════════════════════════════════════════════════════
+
+import React, { useMemo } from 'react';
+import { C, F, M } from '../../constants.js';
+import { radii } from '../../theme/tokens.js';
+import { useTradeStore } from '../../state/useTradeStore.js';
+import { useSettingsStore } from '../../state/useSettingsStore.js';
+import { useFxStore } from '../../state/useFxStore.js';
+import { useUIStore } from '../../state/useUIStore.js';
+import { parseMarkdown } from '../../utils/markdown.js';
+import { parseLink, tradeLabel } from '../../engine/NoteLinks.js';
+import { generateDebrief } from '../../engine/DailyDebrief.js';
+import { fmtD } from '../../utils.js';
+
+const KIND_ICON = { trade: '📈', day: '📅', debrief: '📅', playbook: '📘' };
+
+/** Journal target for a link */
+function targetOf(link) {
+  if (link.kind === 'trade') return { type: 'trade', id: link.target };
+  if (link.kind === 'playbook') return { type: 'playbook', name: link.target };
+  return { type: 'day', date: link.target };
+}
+
+/**
+ * A resolved [[link]] chip.
+ * @param {Object} props
+ * @param {string} props.body - Text inside [[ ]]
+ * @param {string|null} [props.label]
+ * @param {Map} props.tradesById
+ */
+export function WikiLink({ body, label, tradesById }) {
+  const link = parseLink(body);
+  if (!link) return <span style={{ color: C.t3 }}>[[{body}]]</span>;
+
+  const trade = link.kind === 'trade' ? tradesById.get(link.target) : null;
+  const missing = link.kind === 'trade' && !trade;
+  const text = label || (link.kind === 'trade' ? tradeLabel(trade) : link.target);
+  const color = missing ? C.t3 : trade ? ((trade.pnl || 0) >= 0 ? C.g : C.r) : C.b;
+
+  return (
+    <button
+      className="tf-btn"
+      onClick={(e) => { e.stopPropagation(); if (!missing) useUIStore.getState().openJournalTarget(targetOf(link)); }}
+      title={missing ? 'Trade no longer exists' : `Open ${link.kind} ${link.target}`}
+      style={{
+        display: 'inline', padding: '0 4px', margin: 0,
+        borderRadius: radii.sm, border: 'none',
+        background: color + '14', color,
+        font: 'inherit', fontWeight: 600, cursor: missing ? 'default' : 'pointer',
+        textDecoration: missing ? 'line-through' : 'none',
+      }}
+    >
+      {KIND_ICON[link.kind]} {text}
+      {trade && !label && trade.pnl != null && (
+        <span style={{ fontFamily: M, fontSize: '0.9em', marginLeft: 4 }}>{fmtD(trade.pnl)}</span>
+      )}
+    </button>
+  );
+}
+
+/**
+ * A trading day's DailyDebrief summary.
+ * @param {Object} props
+ * @param {string} props.date - YYYY-MM-DD
+ * @param {Map} props.tradesById
+ */
+export function DebriefEmbed({ date, tradesById }) {
+  const trades = useTradeStore((s) => s.trades);
+  const baseCurrency = useSettingsStore((s) => s.baseCurrency);
+  const fxRates = useFxStore((s) => s.rates);
+  const debrief = useMemo(
+    () => generateDebrief(trades, date, { baseCurrency, fxRates }),
+    [trades, date, baseCurrency, fxRates]
+  );
+
+  const gradeColor = !debrief.grade ? C.t3 : debrief.grade.startsWith('A') || debrief.grade.startsWith('B') ? C.g : C.r;
+
+  return (
+    <div style={{
+      margin: '8px 0 12px', padding: '10px 12px',
+      borderRadius: radii.md, border: `1px solid ${C.bd}`,
+      borderLeft: `3px solid ${debrief.totalTrades ? ((debrief.totalPnl || 0) >= 0 ? C.g : C.r) : C.bd}`,
+      background: C.sf2, fontFamily: F,
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8 }}>
+        <div style={{ fontSize: 10, fontWeight: 700, color: C.t3, fontFamily: M, textTransform: 'uppercase', letterSpacing: '0.05em' }}>
+          Daily Debrief · {date}
+        </div>
+        {debrief.grade && (
+          <span style={{ fontSize: 11, fontWeight: 800, fontFamily: M, color: gradeColor }}>{debrief.grade}</span>
+        )}
+      </div>
+      <div style={{ fontSize: 13, fontWeight: 700, color: C.t1, margin: '4px 0 6px' }}>
+        {debrief.totalTrades ? debrief.headline : 'No trades on this day'}
+      </div>
+
+      {debrief.sections.map((s) => (
+        <div key={s.title} style={{ fontSize: 11, color: C.t2, marginBottom: 4 }}>
+          <span style={{ fontWeight: 700, color: C.t3 }}>{s.title}: </span>
+          {s.items.join(' · ')}
+        </div>
+      ))}
+
+      {debrief.observations.map((o, i) => (
+        <div key={i} style={{ fontSize: 11, marginTop: 2, color: o.type === 'warning' ? C.r : o.type === 'positive' ? C.g : C.t2 }}>
+          {o.type === 'warning' ? '⚠ ' : o.type === 'positive' ? '✓ ' : '· '}{o.text}
+        </div>
+      ))}
+
+      {debrief.trades?.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, marginTop: 8, fontSize: 11 }}>
+          {debrief.trades.map((t) => (
+            <WikiLink key={t.id} body={`trade:${t.id}`} tradesById={tradesById} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function renderInline(tokens, ctx) {
+  return tokens.map((tok, i) => {
+    switch (tok.type) {
+      case 'text': return <React.Fragment key={i}>{tok.text}</React.Fragment>;
+      case 'code':
+        return (
+          <code key={i} style={{ fontFamily: M, fontSize: '0.92em', padding: '1px 4px', borderRadius: 3, background: C.bg2 }}>
+            {tok.text}
+          </code>
+        );
+      case 'strong': return <strong key={i}>{renderInline(tok.children, ctx)}</strong>;
+      case 'em': return <em key={i}>{renderInline(tok.children, ctx)}</em>;
+      case 'strike': return <s key={i}>{renderInline(tok.children, ctx)}</s>;
+      case 'link':
+        return (
+          <a key={i} href={tok.href} target="_blank" rel="noopener noreferrer" style={{ color: C.b }}>
+            {renderInline(tok.children, ctx)}
+          </a>
+        );
+      case 'wikilink': return <WikiLink key={i} body={tok.body} label={tok.label} tradesById={ctx.tradesById} />;
+      default: return null;
+    }
+  });
+}
+
+const HEADING_SIZE = { 1: 18, 2: 15, 3: 13 };
+
+function renderBlock(block, i, ctx) {
+  switch (block.type) {
+    case 'heading':
+      return (
+        <div key={i} role="heading" aria-level={block.level} style={{
+          fontSize: HEADING_SIZE[block.level], fontWeight: 800, color: C.t1, margin: '12px 0 6px',
+        }}>
+          {renderInline(block.inline, ctx)}
+        </div>
+      );
+    case 'paragraph':
+      return (
+        <p key={i} style={{ margin: '0 0 8px' }}>
+          {block.lines.map((line, j) => (
+            <React.Fragment key={j}>{j > 0 && <br />}{renderInline(line, ctx)}</React.Fragment>
+          ))}
+        </p>
+      );
+    case 'list': {
+      const Tag = block.ordered ? 'ol' : 'ul';
+      const isTasks = block.items.every((it) => it.checked != null);
+      return (
+        <Tag key={i} style={{ margin: '0 0 8px', paddingLeft: isTasks ? 4 : 20, listStyle: isTasks ? 'none' : undefined }}>
+          {block.items.map((it, j) => (
+            <li key={j} style={{ marginBottom: 2 }}>
+              {it.checked != null && <input type="checkbox" checked={it.checked} readOnly style={{ marginRight: 6, verticalAlign: 'middle' }} />}
+              <span style={{ textDecoration: it.checked ? 'line-through' : 'none', color: it.checked ? C.t3 : undefined }}>
+                {renderInline(it.inline, ctx)}
+              </span>
+            </li>
+          ))}
+        </Tag>
+      );
+    }
+    case 'quote':
+      return (
+        <blockquote key={i} style={{ margin: '0 0 8px', padding: '2px 10px', borderLeft: `3px solid ${C.bd}`, color: C.t3 }}>
+          {block.lines.map((line, j) => <div key={j}>{renderInline(line, ctx)}</div>)}
+        </blockquote>
+      );
+    case 'code':
+      return (
+        <pre key={i} style={{
+          margin: '0 0 8px', padding: '8px 10px', borderRadius: radii.sm,
+          background: C.bg2, fontFamily: M, fontSize: 11, overflowX: 'auto', whiteSpace: 'pre',
+        }}>
+          {block.text}
+        </pre>
+      );
+    case 'hr':
+      return <hr key={i} style={{ border: 'none', borderTop: `1px solid ${C.bd}`, margin: '10px 0' }} />;
+    case 'embed': {
+      const link = parseLink(block.body);
+      if (link && (link.kind === 'debrief' || link.kind === 'day')) {
+        return <DebriefEmbed key={i} date={link.target} tradesById={ctx.tradesById} />;
+      }
+      return <p key={i} style={{ margin: '0 0 8px' }}><WikiLink body={block.body} tradesById={ctx.tradesById} /></p>;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Rendered markdown note.
+ * @param {Object} props
+ * @param {string} props.text - Markdown source
+ * @param {Object} [props.style]
+ */
+export default function MarkdownView({ text, style }) {
+  const trades = useTradeStore((s) => s.trades);
+  const tradesById = useMemo(() => new Map(trades.map((t) => [t.id, t])), [trades]);
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+  const ctx = { tradesById };
+
+  return (
+    <div style={{ fontSize: 13, lineHeight: 1.7, color: C.t2, fontFamily: F, wordBreak: 'break-word', ...style }}>
+      {blocks.length ? blocks.map((b, i) => renderBlock(b, i, ctx)) : <span style={{ color: C.t3 }}>Nothing to preview</span>}
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Tag Manager
+// Groups and colors for trade tags (useTagStore), plus rename, merge
+// and delete across every trade in the journal.
+// ═══════════════════════════════════════════════════════════════════
+
+import React, { useMemo, useState, useEffect } from 'react';
+import { C, F, M } from '../../constants.js';
+import { radii } from '../../theme/tokens.js';
+import { Btn, ModalOverlay, inputStyle } from '../UIKit.jsx';
+import { useTradeStore } from '../../state/useTradeStore.js';
+import { useTagStore } from '../../state/useTagStore.js';
+import { TAG_GROUPS, collectTags } from '../../engine/TagTaxonomy.js';
+import toast from '../Toast.jsx';
+
+const plural = (n) => `${n} trade${n === 1 ? '' : 's'}`;
+
+function TagRow({ tag, selected, onSelect }) {
+  const [name, setName] = useState(tag.name);
+  useEffect(() => setName(tag.name), [tag.name]);
+
+  const commitRename = () => {
+    const next = name.trim();
+    if (!next || next === tag.name) {
+      setName(tag.name);
+      return;
+    }
+    const res = useTagStore.getState().renameTag(tag.name, next);
+    if (!res.ok) toast.error(res.error);
+    else toast.success(`Renamed "${tag.name}" → "${next}" on ${plural(res.data)}`);
+  };
+
+  const handleDelete = () => {
+    const n = useTagStore.getState().deleteTag(tag.name);
+    toast.success(`Deleted "${tag.name}"${n ? ` from ${plural(n)}` : ''}`);
+  };
+
+  return (
+    <div style={{
+      display: 'grid', gridTemplateColumns: '20px 26px 1fr 140px 48px 28px', gap: 8, alignItems: 'center',
+      padding: '4px 6px', borderRadius: radii.sm, background: selected ? C.b + '10' : 'transparent',
+    }}>
+      <input type="checkbox" checked={selected} onChange={() => onSelect(tag.key)} aria-label={`Select ${tag.name}`} />
+      <input
+        type="color"
+        value={tag.color}
+        onChange={(e) => useTagStore.getState().setTag(tag.name, { color: e.target.value })}
+        title="Tag color"
+        style={{ width: 24, height: 20, padding: 0, border: 'none', background: 'none', cursor: 'pointer' }}
+      />
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onBlur={commitRename}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.currentTarget.blur();
+          if (e.key === 'Escape') setName(tag.name);
+        }}
+        aria-label="Tag name"
+        style={{ ...inputStyle, padding: '3px 8px', fontSize: 12, fontWeight: 600, color: tag.color }}
+      />
+      <select
+        value={tag.group || ''}
+        onChange={(e) => useTagStore.getState().setTag(tag.name, { group: e.target.value || null })}
+        aria-label="Tag group"
+        style={{ ...inputStyle, padding: '3px 6px', fontSize: 11 }}
+      >
+        <option value="">No group</option>
+        {TAG_GROUPS.map((g) => <option key={g.id} value={g.id}>{g.label}</option>)}
+      </select>
+      <span style={{ fontSize: 10, color: C.t3, fontFamily: M, textAlign: 'right' }}>{tag.count}t</span>
+      <button
+        className="tf-btn"
+        onClick={handleDelete}
+        title="Remove this tag from every trade"
+        style={{ background: 'none', border: 'none', color: C.t3, cursor: 'pointer', fontSize: 12 }}
+      >
+        ✕
+      </button>
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ */
+export default function TagManager({ isOpen, onClose }) {
+  const trades = useTradeStore((s) => s.trades);
+  const taxonomy = useTagStore((s) => s.tags);
+  const [selected, setSelected] = useState(new Set());
+  const [mergeInto, setMergeInto] = useState('');
+  const [newTag, setNewTag] = useState('');
+
+  const tags = useMemo(() => collectTags(trades, taxonomy), [trades, taxonomy]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setSelected(new Set());
+      setMergeInto('');
+    }
+  }, [isOpen]);
+
+  const toggle = (key) => setSelected((prev) => {
+    const next = new Set(prev);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    return next;
+  });
+
+  const handleMerge = () => {
+    const res = useTagStore.getState().mergeTags([...selected], mergeInto);
+    if (!res.ok) {
+      toast.error(res.error);
+      return;
+    }
+    toast.success(`Merged ${selected.size} tags into "${mergeInto.trim()}" on ${plural(res.data)}`);
+    setSelected(new Set());
+    setMergeInto('');
+  };
+
+  const handleAdd = () => {
+    if (!newTag.trim()) return;
+    useTagStore.getState().setTag(newTag, {});
+    setNewTag('');
+  };
+
+  const sections = [
+    ...TAG_GROUPS.map((g) => ({ id: g.id, label: g.label, color: g.color })),
+    { id: null, label: 'Ungrouped', color: C.t3 },
+  ].map((s) => ({ ...s, tags: tags.filter((t) => t.group === s.id) })).filter((s) => s.tags.length);
+
+  return (
+    <ModalOverlay isOpen={isOpen} onClose={onClose} width={560}>
+      <h3 style={{ fontSize: 16, fontWeight: 800, fontFamily: F, color: C.t1, margin: '0 0 4px' }}>Tags</h3>
+      <div style={{ fontSize: 11, color: C.t3, marginBottom: 14 }}>
+        Group and color tags. Renaming onto an existing tag merges them on every trade.
+      </div>
+
+      <div style={{ display: 'flex', gap: 6, marginBottom: 12 }}>
+        <input
+          value={newTag}
+          onChange={(e) => setNewTag(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+          placeholder="New tag"
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <Btn variant="ghost" onClick={handleAdd} style={{ fontSize: 11 }}>+ Add</Btn>
+      </div>
+
+      <div style={{ maxHeight: 380, overflowY: 'auto', marginBottom: 12 }}>
+        {!tags.length && (
+          <div style={{ fontSize: 12, color: C.t3, padding: 20, textAlign: 'center' }}>No tags yet</div>
+        )}
+        {sections.map((s) => (
+          <div key={s.id || 'none'} style={{ marginBottom: 10 }}>
+            <div style={{ fontSize: 9, fontWeight: 700, color: s.color, fontFamily: M, textTransform: 'uppercase', marginBottom: 2 }}>
+              {s.label}
+            </div>
+            {s.tags.map((tag) => (
+              <TagRow key={tag.key} tag={tag} selected={selected.has(tag.key)} onSelect={toggle} />
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {selected.size > 0 && (
+        <div style={{ display: 'flex', gap: 6, alignItems: 'center', paddingTop: 10, borderTop: `1px solid ${C.bd}` }}>
+          <span style={{ fontSize: 11, color: C.t2, fontFamily: M }}>Merge {selected.size} into</span>
+          <input
+            value={mergeInto}
+            onChange={(e) => setMergeInto(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleMerge()}
+            list="tag-manager-names"
+            placeholder="Target tag"
+            style={{ ...inputStyle, flex: 1 }}
+          />
+          <datalist id="tag-manager-names">
+            {tags.map((t) => <option key={t.key} value={t.name} />)}
+          </datalist>
+          <Btn onClick={handleMerge} disabled={!mergeInto.trim()} style={{ fontSize: 11 }}>Merge</Btn>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 12 }}>
+        <Btn variant="ghost" onClick={onClose}>Done</Btn>
+      </div>
+    </ModalOverlay>
+  );
+}
@@ -0,0 +1,170 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Trade Attachments
+// Thumbnail strip for a trade's images. Paste (Ctrl+V) or drop images
+// onto it, or capture the open chart in one click. Thumbnails open
+// AttachmentLightbox.
+//
+// <AttachmentThumbs> is the compact variant used in collapsed rows.
+// ═══════════════════════════════════════════════════════════════════
+
+import React, { useEffect, useState } from 'react';
+import { C, F, M } from '../../constants.js';
+import { useAttachmentStore } from '../../state/useAttachmentStore.js';
+import { imagesFromTransfer } from '../../utils/attachments.js';
+import { hasChartCapture } from '../../utils/chartExport.js';
+import AttachmentLightbox from './AttachmentLightbox.jsx';
+import toast from '../Toast.jsx';
+
+const EMPTY = [];
+
+/** Object URL for a blob, revoked when it changes or on unmount */
+function useObjectURL(blob) {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!blob) { setUrl(null); return; }
+    const u = URL.createObjectURL(blob);
+    setUrl(u);
+    return () => URL.revokeObjectURL(u);
+  }, [blob]);
+  return url;
+}
+
+/** Thumbnail of one attachment; without a stored thumb, loads the full image */
+function Thumb({ attachment, size, onClick }) {
+  const [full, setFull] = useState(null);
+  useEffect(() => {
+    if (attachment.thumb) return;
+    let cancelled = false;
+    useAttachmentStore.getState().getBlob(attachment.id).then((b) => { if (!cancelled) setFull(b); });
+    return () => { cancelled = true; };
+  }, [attachment.id, attachment.thumb]);
+  const url = useObjectURL(attachment.thumb || full);
+
+  return (
+    <button
+      onClick={(e) => { e.stopPropagation(); onClick(); }}
+      title={attachment.name}
+      style={{
+        width: size * 1.5, height: size, padding: 0, flexShrink: 0,
+        borderRadius: 4, overflow: 'hidden', cursor: 'zoom-in',
+        border: `1px solid ${C.bd}`, background: C.sf2,
+      }}
+    >
+      {url && <img src={url} alt={attachment.name} style={{ width: '100%', height: '100%', objectFit: 'cover', display: 'block' }} />}
+    </button>
+  );
+}
+
+/**
+ * Compact thumbnails for a collapsed journal row.
+ * @param {Object} props
+ * @param {string} props.tradeId
+ * @param {number} [props.max=2]
+ */
+export function AttachmentThumbs({ tradeId, max = 2 }) {
+  const list = useAttachmentStore((s) => s.byTrade[tradeId] || EMPTY);
+  const [open, setOpen] = useState(null);
+  if (!list.length) return null;
+
+  return (
+    <span style={{ display: 'inline-flex', gap: 3, alignItems: 'center' }}>
+      {list.slice(0, max).map((a, i) => (
+        <Thumb key={a.id} attachment={a} size={16} onClick={() => setOpen(i)} />
+      ))}
+      {list.length > max && (
+        <span style={{ fontSize: 9, fontFamily: M, color: C.t3 }}>+{list.length - max}</span>
+      )}
+      {open != null && <AttachmentLightbox attachments={list} index={open} onClose={() => setOpen(null)} />}
+    </span>
+  );
+}
+
+/**
+ * Attachment strip with paste / drop / chart capture.
+ * @param {Object} props
+ * @param {Object} props.trade
+ */
+export default function TradeAttachments({ trade }) {
+  const list = useAttachmentStore((s) => s.byTrade[trade.id] || EMPTY);
+  const [open, setOpen] = useState(null);
+  const [dragOver, setDragOver] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const attach = async (files, source) => {
+    if (!files.length) return;
+    setBusy(true);
+    for (const file of files) {
+      const res = await useAttachmentStore.getState().addAttachment(trade.id, file, { source });
+      if (!res.ok) toast.error(res.error);
+    }
+    setBusy(false);
+  };
+
+  const capture = async () => {
+    setBusy(true);
+    const res = await useAttachmentStore.getState().captureChartFor(trade.id, {
+      totalPnl: trade.pnl,
+    });
+    setBusy(false);
+    if (res.ok) toast.success('Chart snapshot attached');
+    else toast.error(res.error);
+  };
+
+  return (
+    <div
+      tabIndex={0}
+      onPaste={(e) => {
+        const files = imagesFromTransfer(e.clipboardData);
+        if (files.length) { e.preventDefault(); attach(files, 'paste'); }
+      }}
+      onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+      onDragLeave={() => setDragOver(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDragOver(false);
+        attach(imagesFromTransfer(e.dataTransfer), 'drop');
+      }}
+      style={{
+        marginBottom: 12, padding: 8, borderRadius: 6, outline: 'none',
+        border: `1px dashed ${dragOver ? C.b : C.bd}`,
+        background: dragOver ? C.b + '10' : 'transparent',
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: list.length ? 6 : 0 }}>
+        <div style={{ fontSize: 10, fontWeight: 600, color: C.t3, fontFamily: M }}>
+          Attachments{list.length ? ` (${list.length})` : ''}
+          <span style={{ fontWeight: 400, marginLeft: 8 }}>{busy ? 'Saving…' : 'Paste or drop images here'}</span>
+        </div>
+        <div style={{ display: 'flex', gap: 6 }}>
+          <label style={{ fontSize: 10, fontFamily: F, color: C.t2, cursor: 'pointer' }}>
+            + Image
+            <input type="file" accept="image/*" multiple hidden
+              onChange={(e) => { attach([...e.target.files], 'file'); e.target.value = ''; }} />
+          </label>
+          <button className="tf-btn"
+            onClick={capture}
+            disabled={busy || !hasChartCapture()}
+            title={hasChartCapture() ? 'Attach a snapshot of the open chart' : 'Open a chart to capture it'}
+            style={{
+              border: 'none', background: 'none', padding: 0,
+              fontSize: 10, fontFamily: F, color: hasChartCapture() ? C.b : C.t3,
+              cursor: hasChartCapture() ? 'pointer' : 'default',
+            }}
+          >
+            📷 Capture chart
+          </button>
+        </div>
+      </div>
+
+      {list.length > 0 && (
+        <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+          {list.map((a, i) => (
+            <Thumb key={a.id} attachment={a} size={80} onClick={() => setOpen(i)} />
+          ))}
+        </div>
+      )}
+
+      {open != null && <AttachmentLightbox attachments={list} index={open} onClose={() => setOpen(null)} />}
+    </div>
+  );
+}
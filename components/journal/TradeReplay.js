@@ -2,6 +2,8 @@
 // TradeForge OS v10.5 — Trade Replay Launcher
 // Sprint 9 C9.2: Click a trade in journal → chart opens at entry bar
 // with trade overlay, entry/exit markers, and optional replay mode.
+// Trades on a specific futures contract (ESZ5) open the continuous
+// chart of its root, with prices back-adjusted like the contract's bars.
 //
 // Integrates with: useChartStore, navigateToTrade, ReplayBar
 // ═══════════════════════════════════════════════════════════════════
@@ -9,6 +11,8 @@
 import { useUIStore } from '../../state/useUIStore.js';
 import { useChartStore } from '../../state/useChartStore.js';
 import { C } from '../../constants.js';
+import { parseContract } from '../../engine/SessionCalendar.js';
+import { mapTradeToContinuous } from '../../engine/ContinuousFutures.js';
 
 /**
  * Navigate to chart and set up replay at trade's entry point.
@@ -25,9 +29,10 @@ export function launchTradeReplay(trade, opts = {}) {
   // 1. Switch to chart page
   ui.setPage('charts');
 
-  // 2. Set symbol and timeframe
+  // 2. Set symbol and timeframe (contracts replay on the continuous chart)
   if (trade.symbol) {
-    store.setSymbol(trade.symbol.toUpperCase());
+    const contract = parseContract(trade.symbol, Date.parse(trade.entryTime || trade.date) || Date.now());
+    store.setSymbol(contract ? contract.root : trade.symbol.toUpperCase());
   }
 
   // Infer timeframe from trade duration
@@ -49,7 +54,7 @@ export function launchTradeReplay(trade, opts = {}) {
   if (replayMode && store.toggleReplay) {
     // Delay to let chart data load
     setTimeout(() => {
-      const data = store.data || [];
+      const data = useChartStore.getState().data || [];
       if (!data.length) return;
 
       // Find bar closest to entry time
@@ -58,7 +63,7 @@ export function launchTradeReplay(trade, opts = {}) {
       let bestDiff = Infinity;
 
       for (let i = 0; i < data.length; i++) {
-        const barDate = new Date(data[i].timestamp || data[i].date);
+        const barDate = new Date(data[i].time ?? data[i].timestamp ?? data[i].date);
         const diff = Math.abs(barDate - entryDate);
         if (diff < bestDiff) {
           bestDiff = diff;
@@ -79,9 +84,13 @@ export function launchTradeReplay(trade, opts = {}) {
  * Build entry/exit drawing markers for a trade.
  * Returns drawing objects that can be added to the chart.
  * @param {Object} trade
+ * @param {Object} [continuous] - Roll segments of a continuous futures chart
+ *                                (useChartStore.contractRolls); contract
+ *                                prices are back-adjusted onto it
  * @returns {Array} Drawing objects
  */
-export function buildTradeDrawings(trade) {
+export function buildTradeDrawings(trade, continuous = useChartStore.getState().contractRolls) {
+  if (continuous) trade = mapTradeToContinuous(trade, continuous);
   const drawings = [];
 
   if (trade.entry) {
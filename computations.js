@@ -148,20 +148,25 @@ export function bollingerBands(src, period = 20, stdDev = 2) {
 // VWAP (Volume Weighted Average Price)
 // ═══════════════════════════════════════════════════════════════
 
+const utcDay = (time) => Math.floor(time / 86_400_000);
+
 /**
- * VWAP — resets at each new day boundary.
+ * VWAP — resets at each new session. Without a session key, sessions
+ * are UTC days; pass a calendar's key (SessionCalendar.sessionKeyFn)
+ * to reset at the exchange open instead (CME 17:00 CT, NYSE 09:30 ET).
  * @param {Array<{high:number, low:number, close:number, volume:number, time:number}>} bars
+ * @param {(time: number) => string|number} [sessionKey]
  * @returns {number[]}
  */
-export function vwap(bars) {
+export function vwap(bars, sessionKey = utcDay) {
   const out = new Array(bars.length).fill(NaN);
-  let cumTPV = 0, cumVol = 0, lastDay = -1;
+  let cumTPV = 0, cumVol = 0, lastDay = null;
 
   for (let i = 0; i < bars.length; i++) {
     const b = bars[i];
-    const day = new Date(b.time).getUTCDate();
+    const day = sessionKey(b.time);
 
-    // Reset on new day
+    // Reset on new session
     if (day !== lastDay) {
       cumTPV = 0;
       cumVol = 0;
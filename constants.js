@@ -67,6 +67,10 @@ export const CHART_TYPES = [
   { id: 'area', label: 'Area', engineId: 'area' },
   { id: 'heikinashi', label: 'Heikin-Ashi', engineId: 'heikinashi' },
   { id: 'baseline', label: 'Baseline', engineId: 'baseline' },
+  { id: 'renko', label: 'Renko', engineId: 'renko' },
+  { id: 'range', label: 'Range', engineId: 'range' },
+  { id: 'kagi', label: 'Kagi', engineId: 'kagi' },
+  { id: 'pnf', label: 'Point & Figure', engineId: 'pnf' },
 ];
 
 export const EMOJIS = [
@@ -185,4 +189,6 @@ export const DEFAULT_SETTINGS = {
   positionSizing: 'fixed_pct',
   kellyFraction: 0.5,
   activeRiskPreset: null,       // ID of active built-in preset (or null for custom)
+  // ─── Currency ───────────────────────────────────────────────
+  baseCurrency: 'USD',          // All P&L is converted to this currency for analytics
 };
@@ -0,0 +1,89 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Account Scoping
+//
+// Every trade belongs to exactly one account (trade.accountId).
+// Trades without an accountId (legacy data, pre-v11 imports) are
+// treated as belonging to the built-in default account.
+//
+// A "scope" selects which accounts an analysis runs over:
+//   null | 'all'        → every account
+//   'acct_1'            → a single account
+//   ['acct_1', 'acct_2'] → several accounts
+//
+// Pure functions — no store deps. Safe to use in the analytics worker.
+//
+// Usage:
+//   import { scopeTrades } from './Accounts.js';
+//   const evalTrades = scopeTrades(trades, ['ftmo_1', 'ftmo_2']);
+// ═══════════════════════════════════════════════════════════════════
+
+const DEFAULT_ACCOUNT_ID = 'default';
+
+const ACCOUNT_TYPES = ['personal', 'evaluation', 'funded', 'demo'];
+
+/**
+ * Resolve the account a trade belongs to.
+ * @param {Object} trade
+ * @returns {string}
+ */
+function accountIdOf(trade) {
+  return trade?.accountId || DEFAULT_ACCOUNT_ID;
+}
+
+/**
+ * Normalize a scope into a Set of account IDs, or null for "all".
+ * Empty arrays are treated as "all" so a cleared multi-select never
+ * silently hides every trade.
+ *
+ * @param {null|string|string[]} scope
+ * @returns {Set<string>|null}
+ */
+function normalizeScope(scope) {
+  if (scope == null || scope === 'all') return null;
+  if (typeof scope === 'string') return new Set([scope]);
+  if (Array.isArray(scope)) {
+    const ids = scope.filter((id) => typeof id === 'string' && id);
+    return ids.length ? new Set(ids) : null;
+  }
+  return null;
+}
+
+/**
+ * Filter trades to the accounts selected by scope.
+ * Returns the input array unchanged when the scope is "all".
+ *
+ * @param {Object[]} trades
+ * @param {null|string|string[]} scope
+ * @returns {Object[]}
+ */
+function scopeTrades(trades, scope) {
+  if (!Array.isArray(trades)) return [];
+  const ids = normalizeScope(scope);
+  if (!ids) return trades;
+  return trades.filter((t) => ids.has(accountIdOf(t)));
+}
+
+/**
+ * Human-readable label for a scope (used by the account switcher).
+ * @param {null|string|string[]} scope
+ * @param {Object[]} accounts - [{ id, name }]
+ * @returns {string}
+ */
+function scopeLabel(scope, accounts = []) {
+  const ids = normalizeScope(scope);
+  if (!ids) return 'All Accounts';
+  if (ids.size === 1) {
+    const [id] = ids;
+    return accounts.find((a) => a.id === id)?.name || id;
+  }
+  return `${ids.size} Accounts`;
+}
+
+export {
+  DEFAULT_ACCOUNT_ID,
+  ACCOUNT_TYPES,
+  accountIdOf,
+  normalizeScope,
+  scopeTrades,
+  scopeLabel,
+};
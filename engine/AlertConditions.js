@@ -0,0 +1,310 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Composite Alert Conditions
+//
+// Evaluates multi-condition alerts against a bar series. A condition
+// compares two operands:
+//
+//   { left: Operand, op, right: Operand | number }
+//
+// Operands:
+//   { source: 'price', field: 'close'|'open'|'high'|'low'|'hl2' }
+//   { source: 'indicator', id: 'rsi', params: { period: 14 }, output: 'rsi' }
+//       — any indicator in chartEngine/indicators/registry.js
+//   { source: 'drawing', drawingId, drawing: { type, points }, level }
+//       — hlevel/hline/hray: the level; trendline/extended: the line
+//         through both anchors (ray: from the first anchor onwards);
+//         fib: retracement `level` (0–1, default 0.5);
+//         rect: level 'top' | 'bottom'. `drawing` is a snapshot taken
+//         when the alert is created; the live drawing wins if found.
+//   { source: 'script', scriptId, output: label|index, band: 'upper'|'lower' }
+//       — a line/band/histogram output from ScriptEngine
+//   { source: 'value', value }
+//
+// Ops: above | below | crosses_above | crosses_below | crosses | touches
+//   'touches' uses tolerancePct (default 0.1%, matching
+//   PriceActionEngine.checkDrawingProximity). A fib drawing with no
+//   `level` touches when price is near any of its levels.
+//
+// Alert shape (useAlertStore, type: 'composite'):
+//   { symbol, timeframe, logic: 'and'|'or', evaluate: 'close'|'intrabar',
+//     conditions: [...] }
+//
+// Pure functions — the caller passes bars and a context:
+//   { drawings: Drawing[], runScript: (scriptId, bars) => outputs[] }
+// See AlertEngine.js for the streaming runtime.
+// ═══════════════════════════════════════════════════════════════════
+
+import { getIndicator } from '../chartEngine/indicators/registry.js';
+import { checkDrawingProximity } from './PriceActionEngine.js';
+
+const ALERT_OPS = ['above', 'below', 'crosses_above', 'crosses_below', 'crosses', 'touches'];
+const OPERAND_SOURCES = ['price', 'indicator', 'drawing', 'script', 'value'];
+const EVALUATE_MODES = ['close', 'intrabar'];
+const DEFAULT_TOLERANCE_PCT = 0.001;
+
+const OP_LABELS = {
+  above: '>',
+  below: '<',
+  crosses_above: 'crosses above',
+  crosses_below: 'crosses below',
+  crosses: 'crosses',
+  touches: 'touches',
+};
+
+const _num = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+const _ms = (t) => (typeof t === 'number' && t < 1e12 ? t * 1000 : typeof t === 'number' ? t : Date.parse(t));
+
+// ─── Operand Series ─────────────────────────────────────────────
+
+/**
+ * Price level of a drawing at a point in time.
+ * @param {Object} drawing - { type, points: [{ price, time }] }
+ * @param {number} time - ms
+ * @param {number|string} [level] - Fib ratio, or 'top'|'bottom' for rectangles
+ * @returns {number|null}
+ */
+function drawingLevelAt(drawing, time, level) {
+  const pts = drawing?.points || [];
+  if (!pts.length) return null;
+  const [p1, p2] = pts;
+
+  switch (drawing.type) {
+    case 'hlevel':
+    case 'hline':
+    case 'hray':
+      return _num(p1.price);
+    case 'fib': {
+      if (!p2) return null;
+      const ratio = Number.isFinite(Number(level)) ? Number(level) : 0.5;
+      return p1.price + (p2.price - p1.price) * ratio;
+    }
+    case 'rect':
+    case 'rectangle':
+      if (!p2) return null;
+      return level === 'bottom' ? Math.min(p1.price, p2.price) : Math.max(p1.price, p2.price);
+    case 'trendline':
+    case 'ray':
+    case 'extended':
+    case 'extendedline':
+    case 'channel': {
+      if (!p2) return null;
+      const t1 = _ms(p1.time);
+      const t2 = _ms(p2.time);
+      if (t1 === t2) return _num(p1.price);
+      if (drawing.type === 'ray' && time < t1) return null;
+      return p1.price + ((p2.price - p1.price) * (time - t1)) / (t2 - t1);
+    }
+    default:
+      return null;
+  }
+}
+
+function _priceSeries(bars, field = 'close') {
+  if (field === 'hl2') return bars.map((b) => (b.high + b.low) / 2);
+  return bars.map((b) => _num(b[field] ?? b.close));
+}
+
+function _indicatorSeries(op, bars) {
+  const def = getIndicator(op.id);
+  if (!def) throw new Error(`Unknown indicator: ${op.id}`);
+  const params = {};
+  for (const [k, cfg] of Object.entries(def.params)) params[k] = op.params?.[k] ?? cfg.default;
+  const out = def.compute(bars, params) || {};
+  const key = op.output || def.outputs[0]?.key;
+  const values = out[key];
+  if (!values) throw new Error(`${def.shortName} has no output "${key}"`);
+  return Array.from(values, _num);
+}
+
+function _findDrawing(op, ctx) {
+  return (op.drawingId && ctx.drawings?.find((d) => d.id === op.drawingId)) || op.drawing || null;
+}
+
+function _scriptSeries(op, bars, ctx) {
+  const outputs = ctx.runScript?.(op.scriptId, bars) || [];
+  const series = outputs.filter((o) => o.type === 'line' || o.type === 'band' || o.type === 'histogram');
+  const out = typeof op.output === 'number'
+    ? series[op.output]
+    : series.find((o) => o.label === op.output) || (op.output == null ? series[0] : null);
+  if (!out) throw new Error(`Script output not found: ${op.output ?? 0}`);
+  const data = out.type === 'band' ? out.data[op.band === 'lower' ? 'lower' : 'upper'] : out.data;
+  return Array.from(data, _num);
+}
+
+/**
+ * Values of an operand for every bar.
+ * @param {Object|number} op
+ * @param {Object[]} bars
+ * @param {Object} [ctx]
+ * @returns {Array<number|null>}
+ */
+function operandSeries(op, bars, ctx = {}) {
+  if (typeof op === 'number') return bars.map(() => op);
+  switch (op?.source) {
+    case 'value': return bars.map(() => _num(Number(op.value)));
+    case 'price': return _priceSeries(bars, op.field);
+    case 'indicator': return _indicatorSeries(op, bars);
+    case 'script': return _scriptSeries(op, bars, ctx);
+    case 'drawing': {
+      const drawing = _findDrawing(op, ctx);
+      return bars.map((b) => (drawing ? drawingLevelAt(drawing, _ms(b.time), op.level) : null));
+    }
+    default:
+      throw new Error(`Unknown operand source: ${op?.source}`);
+  }
+}
+
+// ─── Evaluation ─────────────────────────────────────────────────
+
+/**
+ * Evaluate one condition at the last bar.
+ *
+ * @param {Object} cond - { left, op, right, tolerancePct }
+ * @param {Object[]} bars
+ * @param {Object} [ctx]
+ * @returns {{ pass: boolean, value: number|null, target: number|null }}
+ */
+function evaluateCondition(cond, bars, ctx = {}) {
+  const i = bars.length - 1;
+  if (i < 0) return { pass: false, value: null, target: null };
+
+  const a = operandSeries(cond.left, bars, ctx);
+  const value = a[i];
+  const tol = cond.tolerancePct ?? DEFAULT_TOLERANCE_PCT;
+
+  // Untargeted fib touch — any level, via checkDrawingProximity
+  if (cond.op === 'touches' && cond.right?.source === 'drawing' && cond.right.level == null) {
+    const drawing = _findDrawing(cond.right, ctx);
+    if (drawing?.type === 'fib' && value != null) {
+      const hits = checkDrawingProximity([{ ...drawing, visible: true }], { close: value }, tol);
+      return { pass: hits.length > 0, value, target: hits[0]?.level ?? null };
+    }
+  }
+
+  const b = operandSeries(cond.right, bars, ctx);
+  const target = b[i];
+  if (value == null || target == null) return { pass: false, value, target };
+
+  const pa = i > 0 ? a[i - 1] : null;
+  const pb = i > 0 ? b[i - 1] : null;
+  const hasPrev = pa != null && pb != null;
+  let pass = false;
+
+  switch (cond.op) {
+    case 'above': pass = value > target; break;
+    case 'below': pass = value < target; break;
+    case 'crosses_above': pass = hasPrev && pa <= pb && value > target; break;
+    case 'crosses_below': pass = hasPrev && pa >= pb && value < target; break;
+    case 'crosses': pass = hasPrev && ((pa <= pb && value > target) || (pa >= pb && value < target)); break;
+    case 'touches': pass = Math.abs(value - target) <= Math.abs(target) * tol; break;
+    default: throw new Error(`Unknown operator: ${cond.op}`);
+  }
+  return { pass, value, target };
+}
+
+/**
+ * Evaluate a composite alert at the last bar of `bars`.
+ * Conditions that throw (unknown indicator, missing script output)
+ * count as not passing and are reported in `errors`.
+ *
+ * @param {Object} alert - { logic, conditions }
+ * @param {Object[]} bars
+ * @param {Object} [ctx]
+ * @returns {{ triggered: boolean, results: Object[], errors: string[], barTime: number|null, price: number|null }}
+ */
+function evaluateAlert(alert, bars, ctx = {}) {
+  const conditions = alert.conditions || [];
+  const results = [];
+  const errors = [];
+  for (const cond of conditions) {
+    try {
+      results.push(evaluateCondition(cond, bars, ctx));
+    } catch (err) {
+      errors.push(err.message);
+      results.push({ pass: false, value: null, target: null });
+    }
+  }
+  const passes = results.map((r) => r.pass);
+  const triggered = conditions.length > 0 && (alert.logic === 'or' ? passes.some(Boolean) : passes.every(Boolean));
+  const last = bars[bars.length - 1];
+  return { triggered, results, errors, barTime: last ? last.time : null, price: last ? last.close : null };
+}
+
+// ─── Descriptions ───────────────────────────────────────────────
+
+/**
+ * Short label for an operand: "RSI(14)", "Close", "Fib 0.618".
+ * @param {Object|number} op
+ * @returns {string}
+ */
+function describeOperand(op) {
+  if (typeof op === 'number') return String(op);
+  switch (op?.source) {
+    case 'value': return String(op.value);
+    case 'price': return op.field && op.field !== 'close' ? op.field.toUpperCase() : 'Price';
+    case 'indicator': {
+      const def = getIndicator(op.id);
+      const name = def?.shortName || op.id;
+      const args = def ? Object.keys(def.params).map((k) => op.params?.[k] ?? def.params[k].default) : [];
+      const out = op.output && def && def.outputs.length > 1 ? ` ${op.output}` : '';
+      return `${name}${args.length ? `(${args.join(', ')})` : ''}${out}`;
+    }
+    case 'drawing': {
+      const type = op.drawing?.type || 'drawing';
+      return op.level != null ? `${type} ${op.level}` : type;
+    }
+    case 'script': return `script ${op.output ?? ''}`.trim();
+    default: return '?';
+  }
+}
+
+/**
+ * Readable summary of an alert's conditions.
+ * @param {Object} alert
+ * @returns {string} e.g. "RSI(14) < 30 AND Price crosses above SMA(50) · 15m"
+ */
+function describeAlert(alert) {
+  const joiner = alert.logic === 'or' ? ' OR ' : ' AND ';
+  const text = (alert.conditions || [])
+    .map((c) => `${describeOperand(c.left)} ${OP_LABELS[c.op] || c.op} ${describeOperand(c.right)}`)
+    .join(joiner);
+  return alert.timeframe ? `${text} · ${alert.timeframe}` : text;
+}
+
+/**
+ * Check an alert definition before saving.
+ * @param {Object} alert
+ * @returns {string[]} Problems (empty when valid)
+ */
+function validateAlert(alert) {
+  const errors = [];
+  if (!alert?.symbol) errors.push('Missing symbol');
+  if (!alert?.conditions?.length) errors.push('Add at least one condition');
+  if (alert?.evaluate && !EVALUATE_MODES.includes(alert.evaluate)) errors.push(`Unknown evaluation mode: ${alert.evaluate}`);
+  (alert?.conditions || []).forEach((c, i) => {
+    if (!ALERT_OPS.includes(c.op)) errors.push(`Condition ${i + 1}: unknown operator ${c.op}`);
+    for (const side of ['left', 'right']) {
+      const op = c[side];
+      if (typeof op === 'number') continue;
+      if (!OPERAND_SOURCES.includes(op?.source)) errors.push(`Condition ${i + 1}: ${side} operand has no source`);
+      else if (op.source === 'indicator' && !getIndicator(op.id)) errors.push(`Condition ${i + 1}: unknown indicator ${op.id}`);
+      else if (op.source === 'drawing' && !op.drawingId && !op.drawing) errors.push(`Condition ${i + 1}: drawing not set`);
+      else if (op.source === 'script' && !op.scriptId) errors.push(`Condition ${i + 1}: script not set`);
+    }
+  });
+  return errors;
+}
+
+export {
+  ALERT_OPS,
+  OPERAND_SOURCES,
+  EVALUATE_MODES,
+  OP_LABELS,
+  drawingLevelAt,
+  operandSeries,
+  evaluateCondition,
+  evaluateAlert,
+  describeOperand,
+  describeAlert,
+  validateAlert,
+};
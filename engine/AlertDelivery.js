@@ -0,0 +1,400 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Alert Delivery
+//
+// Sends alert triggers and DailyGuard lockouts to outside channels:
+//
+//   webhook — POST from the browser straight to a URL, JSON body
+//             rendered from the channel's template
+//   relay   — same webhook, but sent by the server (POST
+//             /api/relay/deliver), so it completes even if the tab
+//             closes and isn't subject to browser CORS
+//   email   — via the server relay's SMTP transport
+//
+// Every send goes through RetryQueue: network errors, 408/429 and 5xx
+// are retried with backoff; other 4xx and template errors are not.
+// For relay and email the browser only retries the hand-off: the relay
+// answers 202 and retries the target itself, and every hand-off of one
+// delivery carries the same Idempotency-Key so the relay sends it once.
+// relayOutcome() then polls the relay for how that delivery ended.
+//
+// Templates are JSON with {{path}} placeholders. A string that is only
+// a placeholder keeps the value's type ("{{price}}" → 97500), anything
+// else is string-interpolated ("{{symbol}} @ {{price}}").
+//
+// Event shape (alertEvent / guardEvent build these):
+//   { kind: 'alert'|'dailyguard'|'test', title, message, symbol,
+//     price, timeframe, time, alert?, guard? }
+//
+// Used by state/useDeliveryStore.js (browser) and api/relayRoutes.js
+// (server) — no DOM or Node-only APIs here.
+// ═══════════════════════════════════════════════════════════════════
+
+import { RetryQueue } from '../utils/RetryQueue.js';
+
+const CHANNEL_TYPES = ['webhook', 'relay', 'email'];
+const EVENT_KINDS = ['alert', 'dailyguard'];
+
+const DEFAULT_WEBHOOK_TEMPLATE = JSON.stringify({
+  text: '{{title}}: {{message}}',
+  kind: '{{kind}}',
+  symbol: '{{symbol}}',
+  price: '{{price}}',
+  timeframe: '{{timeframe}}',
+  time: '{{time}}',
+}, null, 2);
+
+const DEFAULT_EMAIL_SUBJECT = '[TradeForge] {{title}}';
+
+const DEFAULT_RETRY = { maxRetries: 3, baseDelay: 1000, maxDelay: 30_000 };
+const DEFAULT_TIMEOUT_MS = 10_000;
+const DEFAULT_RELAY_URL = '/api/relay';
+const DEFAULT_POLL = { intervalMs: 1000, maxIntervalMs: 15_000, timeoutMs: 5 * 60_000 };
+
+// ─── Templates ──────────────────────────────────────────────────
+
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+function _lookup(vars, path) {
+  return path.split('.').reduce((v, k) => (v == null ? undefined : v[k]), vars);
+}
+
+/**
+ * Replace {{path}} placeholders in a string.
+ * @param {string} text
+ * @param {Object} vars
+ * @returns {string}
+ */
+function interpolate(text, vars) {
+  return String(text ?? '').replace(PLACEHOLDER, (_, path) => {
+    const v = _lookup(vars, path);
+    if (v == null) return '';
+    return typeof v === 'object' ? JSON.stringify(v) : String(v);
+  });
+}
+
+/**
+ * Render a JSON template against event variables.
+ * @param {string|Object} template - JSON text or an already-parsed object
+ * @param {Object} vars
+ * @returns {*} Rendered JSON value
+ */
+function renderTemplate(template, vars) {
+  let tree = template;
+  if (typeof template === 'string') {
+    try {
+      tree = JSON.parse(template);
+    } catch (err) {
+      const e = new Error(`Invalid webhook template: ${err.message}`);
+      e.retryable = false;
+      throw e;
+    }
+  }
+
+  const walk = (node) => {
+    if (typeof node === 'string') {
+      const whole = node.match(WHOLE_PLACEHOLDER);
+      if (whole) return _lookup(vars, whole[1]) ?? null;
+      return interpolate(node, vars);
+    }
+    if (Array.isArray(node)) return node.map(walk);
+    if (node && typeof node === 'object') {
+      return Object.fromEntries(Object.entries(node).map(([k, v]) => [k, walk(v)]));
+    }
+    return node;
+  };
+  return walk(tree);
+}
+
+// ─── Events ─────────────────────────────────────────────────────
+
+/**
+ * Delivery event for a triggered alert.
+ * @param {Object} alert - useAlertStore alert (price or composite)
+ * @param {Object} [info]
+ * @param {number} [info.price] - Price at trigger
+ * @param {string} [info.message] - Human-readable description
+ * @returns {Object}
+ */
+function alertEvent(alert, { price = null, message = '' } = {}) {
+  return {
+    kind: 'alert',
+    title: `${alert.symbol} alert`,
+    message,
+    symbol: alert.symbol,
+    price,
+    timeframe: alert.timeframe || null,
+    time: new Date().toISOString(),
+    alert: {
+      id: alert.id,
+      type: alert.type || 'price',
+      condition: alert.condition || null,
+      target: alert.price ?? null,
+      note: alert.note || '',
+    },
+  };
+}
+
+/**
+ * Delivery event for a DailyGuard lockout.
+ * @param {Object} guard - { todayPnl, dailyLossLimit, remaining, pctUsed }
+ * @param {string} message - formatGuardMessage() text
+ * @returns {Object}
+ */
+function guardEvent(guard, message) {
+  return {
+    kind: 'dailyguard',
+    title: 'Daily loss limit hit',
+    message,
+    symbol: null,
+    price: null,
+    timeframe: null,
+    time: new Date().toISOString(),
+    guard: {
+      todayPnl: guard.todayPnl,
+      dailyLossLimit: guard.dailyLossLimit,
+      remaining: guard.remaining,
+      pctUsed: guard.pctUsed,
+    },
+  };
+}
+
+// ─── Channels ───────────────────────────────────────────────────
+
+/**
+ * Check a channel definition before saving.
+ * @param {Object} channel
+ * @returns {string[]} Problems (empty when valid)
+ */
+function validateChannel(channel) {
+  const errors = [];
+  if (!CHANNEL_TYPES.includes(channel?.type)) {
+    errors.push(`Unknown channel type: ${channel?.type}`);
+    return errors;
+  }
+  if (channel.type === 'email') {
+    const to = [].concat(channel.to || []).flatMap((t) => String(t).split(',')).map((t) => t.trim()).filter(Boolean);
+    if (!to.length) errors.push('Add at least one recipient');
+    else if (to.some((t) => !/^[^\s@]+@[^\s@]+$/.test(t))) errors.push('Invalid email address');
+  } else {
+    if (!/^https?:\/\/\S+$/i.test(channel.url || '')) errors.push('URL must start with http:// or https://');
+    try {
+      renderTemplate(channel.template || DEFAULT_WEBHOOK_TEMPLATE, {});
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Email content for a channel + event.
+ * @param {Object} channel - { to, subject, body }
+ * @param {Object} event
+ * @returns {{ to: string[], subject: string, text: string }}
+ */
+function emailMessage(channel, event) {
+  const to = [].concat(channel.to || []).flatMap((t) => String(t).split(',')).map((t) => t.trim()).filter(Boolean);
+  const lines = [
+    event.message,
+    '',
+    event.symbol ? `Symbol: ${event.symbol}` : null,
+    event.price != null ? `Price: ${event.price}` : null,
+    event.timeframe ? `Timeframe: ${event.timeframe}` : null,
+    `Time: ${event.time}`,
+  ].filter((l) => l != null);
+  return {
+    to,
+    subject: interpolate(channel.subject || DEFAULT_EMAIL_SUBJECT, event),
+    text: channel.body ? interpolate(channel.body, event) : lines.join('\n'),
+  };
+}
+
+/**
+ * HTTP request that delivers an event to a channel.
+ * Webhooks go to their URL; relay and email go to the server relay.
+ *
+ * @param {Object} channel
+ * @param {Object} event
+ * @param {Object} [opts]
+ * @param {string} [opts.relayUrl='/api/relay']
+ * @param {string} [opts.relayKey] - API key for the relay
+ * @param {string} [opts.deliveryId] - Idempotency key for the relay
+ * @returns {{ url: string, method: string, headers: Object, body: string }}
+ */
+function buildRequest(channel, event, { relayUrl = DEFAULT_RELAY_URL, relayKey = '', deliveryId = '' } = {}) {
+  if (channel.type === 'webhook') {
+    return {
+      url: channel.url,
+      method: channel.method || 'POST',
+      headers: { 'Content-Type': 'application/json', ...(channel.headers || {}) },
+      body: JSON.stringify(renderTemplate(channel.template || DEFAULT_WEBHOOK_TEMPLATE, event)),
+    };
+  }
+
+  // Relay / email: the server renders and sends
+  const { id, name, type, url, method, headers, template, to, subject, body } = channel;
+  const target = type === 'email'
+    ? { id, name, type: 'email', to, subject, body }
+    : { id, name, type: 'webhook', url, method, headers, template };
+  return {
+    url: `${relayUrl.replace(/\/$/, '')}/deliver`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(relayKey ? { 'x-api-key': relayKey } : {}),
+      ...(deliveryId ? { 'Idempotency-Key': deliveryId } : {}),
+    },
+    body: JSON.stringify({ channel: target, event }),
+  };
+}
+
+// ─── Sending ────────────────────────────────────────────────────
+
+function _deliveryId() {
+  return 'dlv_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+function _httpError(status, detail) {
+  const err = new Error(`HTTP ${status}${detail ? ` — ${detail}` : ''}`);
+  err.status = status;
+  err.retryable = status === 408 || status === 429 || status >= 500;
+  return err;
+}
+
+async function _send(fetchFn, req, timeoutMs) {
+  const ctrl = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timer = ctrl ? setTimeout(() => ctrl.abort(), timeoutMs) : null;
+  try {
+    const res = await fetchFn(req.url, {
+      method: req.method,
+      headers: req.headers,
+      body: req.body,
+      signal: ctrl?.signal,
+    });
+    if (!res.ok) {
+      let detail = '';
+      try { detail = (await res.text()).slice(0, 200); } catch { /* body is optional */ }
+      throw _httpError(res.status, detail);
+    }
+    return res.status;
+  } catch (err) {
+    if (err.name === 'AbortError') throw new Error(`Timed out after ${timeoutMs}ms`);
+    throw err;
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+/**
+ * Deliver one event to one channel, with retries. Relay and email
+ * channels resolve once the relay accepts the event (status 202).
+ *
+ * @param {Object} channel
+ * @param {Object} event
+ * @param {Object} [opts]
+ * @param {Function} [opts.fetch] - fetch implementation (default: global fetch)
+ * @param {string} [opts.relayUrl]
+ * @param {string} [opts.relayKey]
+ * @param {Object} [opts.retry] - RetryQueue options
+ * @param {number} [opts.timeoutMs=10000] - Per attempt
+ * @param {string} [opts.deliveryId] - Idempotency key (default: a new one per call)
+ * @returns {Promise<{ ok: boolean, channelId: string, attempts: number, status?: number, deliveryId?: string, error?: string }>}
+ */
+async function deliverToChannel(channel, event, opts = {}) {
+  const fetchFn = opts.fetch || globalThis.fetch;
+  const timeoutMs = opts.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const queue = new RetryQueue({
+    ...DEFAULT_RETRY,
+    ...opts.retry,
+    shouldRetry: (err) => err.retryable !== false,
+  });
+
+  let attempts = 0;
+  try {
+    const deliveryId = channel.type === 'webhook' ? '' : opts.deliveryId || _deliveryId();
+    const req = buildRequest(channel, event, { ...opts, deliveryId });
+    const status = await queue.exec(() => {
+      attempts++;
+      return _send(fetchFn, req, timeoutMs);
+    });
+    return { ok: true, channelId: channel.id, attempts, status, ...(deliveryId ? { deliveryId } : {}) };
+  } catch (err) {
+    return { ok: false, channelId: channel.id, attempts, status: err.status ?? null, error: err.message };
+  }
+}
+
+/**
+ * Wait for the relay to finish a delivery it accepted, polling
+ * GET {relayUrl}/deliveries/:id with a growing interval.
+ *
+ * @param {string} deliveryId - from deliverToChannel() (relay / email)
+ * @param {Object} [opts]
+ * @param {Function} [opts.fetch]
+ * @param {string} [opts.relayUrl]
+ * @param {string} [opts.relayKey]
+ * @param {Object} [opts.poll] - { intervalMs, maxIntervalMs, timeoutMs }
+ * @returns {Promise<{ ok: boolean|null, attempts: number, error?: string }>}
+ *   ok is null when the relay hadn't finished by the timeout
+ */
+async function relayOutcome(deliveryId, opts = {}) {
+  const fetchFn = opts.fetch || globalThis.fetch;
+  const { intervalMs, maxIntervalMs, timeoutMs } = { ...DEFAULT_POLL, ...opts.poll };
+  const url = `${(opts.relayUrl || DEFAULT_RELAY_URL).replace(/\/$/, '')}/deliveries/${encodeURIComponent(deliveryId)}`;
+  const headers = opts.relayKey ? { 'x-api-key': opts.relayKey } : {};
+  const deadline = Date.now() + timeoutMs;
+
+  for (let wait = intervalMs; ; wait = Math.min(wait * 2, maxIntervalMs)) {
+    try {
+      const res = await fetchFn(url, { method: 'GET', headers });
+      if (res.status === 404) return { ok: false, attempts: 0, error: 'The relay has no record of this delivery' };
+      if (res.ok) {
+        const { data } = await res.json();
+        if (data.status !== 'pending') {
+          return { ok: data.status === 'delivered', attempts: data.attempts, ...(data.error ? { error: data.error } : {}) };
+        }
+      }
+    } catch { /* relay unreachable — keep polling until the deadline */ }
+    if (Date.now() + wait > deadline) return { ok: null, attempts: 0 };
+    await new Promise((resolve) => setTimeout(resolve, wait));
+  }
+}
+
+/**
+ * Deliver an event to every enabled channel subscribed to its kind.
+ * Channels without an `events` list receive every kind; 'test'
+ * events go to whatever channels are passed.
+ *
+ * @param {Object[]} channels
+ * @param {Object} event
+ * @param {Object} [opts] - deliverToChannel options, plus:
+ * @param {(channel: Object, result: Object) => void} [opts.onResult]
+ * @returns {Promise<Object[]>} Results, in channel order
+ */
+async function dispatchEvent(channels, event, opts = {}) {
+  const targets = (channels || []).filter((ch) =>
+    ch.enabled !== false && (event.kind === 'test' || !ch.events || ch.events.includes(event.kind)));
+  return Promise.all(targets.map(async (ch) => {
+    const result = await deliverToChannel(ch, event, opts);
+    opts.onResult?.(ch, result);
+    return result;
+  }));
+}
+
+export {
+  CHANNEL_TYPES,
+  EVENT_KINDS,
+  DEFAULT_WEBHOOK_TEMPLATE,
+  DEFAULT_EMAIL_SUBJECT,
+  DEFAULT_RELAY_URL,
+  interpolate,
+  renderTemplate,
+  alertEvent,
+  guardEvent,
+  validateChannel,
+  emailMessage,
+  buildRequest,
+  deliverToChannel,
+  relayOutcome,
+  dispatchEvent,
+};
@@ -0,0 +1,197 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Alert Engine
+//
+// Streaming runtime for composite alerts (AlertConditions.js).
+//
+// Bars come from DataFeed subscriptions, one per symbol/timeframe an
+// active alert needs (sync() opens and closes them). The engine runs
+// for the whole session (useAlertStore startCompositeAlerts, started
+// by AppBoot), independent of what the chart is showing.
+//
+// Each stream keeps a rolling bar buffer. On every update:
+//   evaluate: 'intrabar' — evaluated against the forming bar
+//   evaluate: 'close'    — evaluated once per bar, when the next bar
+//                          opens, against closed bars only
+// An alert fires at most once per bar (alert.lastBarTime). History
+// loads never fire alerts — they only seed the buffers.
+//
+// Usage:
+//   const engine = createAlertEngine({ feed, getAlerts, onTrigger });
+//   engine.sync();            // after alerts change
+//   engine.dispose();
+// ═══════════════════════════════════════════════════════════════════
+
+import { RESOLUTION_MS, normalizeResolution } from '../chartEngine/feeds/DataFeed.js';
+import { executeScript } from './ScriptEngine.js';
+import { evaluateAlert } from './AlertConditions.js';
+
+const DEFAULT_HISTORY_BARS = 300;
+
+const _isComposite = (a) => a?.type === 'composite';
+
+/**
+ * @param {Object} options
+ * @param {Object} [options.feed] - DataFeed the alert streams load and subscribe from
+ * @param {() => Object[]} options.getAlerts - Current alerts (composite ones are used)
+ * @param {(alert: Object, evaluation: Object) => void} options.onTrigger
+ * @param {(symbol: string) => Object[]} [options.getDrawings] - Live drawings for a symbol
+ * @param {(id: string) => Object} [options.getScript] - Script by id ({ code, params })
+ * @param {(symbol: string) => string} [options.resolveSymbol] - Alert symbol → feed symbol
+ * @param {number} [options.historyBars=300] - Bars loaded and kept per stream
+ * @returns {Object} AlertEngine instance
+ */
+export function createAlertEngine(options) {
+  const {
+    feed = null,
+    getAlerts,
+    onTrigger,
+    getDrawings = () => [],
+    getScript = () => null,
+    resolveSymbol = (s) => s,
+    historyBars = DEFAULT_HISTORY_BARS,
+  } = options;
+
+  /** key → { symbol, resolution, bars, source: 'feed', subId } */
+  const streams = new Map();
+  let disposed = false;
+
+  const keyOf = (symbol, resolution) =>
+    `${String(symbol).toUpperCase()}|${normalizeResolution(resolution || '1h')}`;
+  const alertKey = (a) => keyOf(resolveSymbol(a.symbol), a.timeframe);
+
+  function activeAlerts() {
+    return (getAlerts() || []).filter((a) => _isComposite(a) && a.active);
+  }
+
+  // ─── Evaluation ──────────────────────────────────────────────
+
+  function evaluateStream(key, closed) {
+    const stream = streams.get(key);
+    if (!stream || stream.bars.length < 2) return;
+
+    const scriptCache = new Map();
+    const runScript = (id, bars) => {
+      const cacheKey = `${id}|${bars.length}`;
+      if (scriptCache.has(cacheKey)) return scriptCache.get(cacheKey);
+      const script = getScript(id);
+      const res = script ? executeScript(script.code, bars, script.params || {}) : null;
+      const outputs = res && !res.error ? res.outputs : [];
+      scriptCache.set(cacheKey, outputs);
+      return outputs;
+    };
+
+    for (const alert of activeAlerts()) {
+      if (alertKey(alert) !== key) continue;
+      const onClose = (alert.evaluate || 'close') === 'close';
+      if (onClose && !closed) continue;
+
+      const bars = onClose ? stream.bars.slice(0, -1) : stream.bars;
+      const barTime = bars[bars.length - 1]?.time;
+      if (barTime == null || alert.lastBarTime === barTime) continue;
+
+      const evaluation = evaluateAlert(alert, bars, {
+        drawings: getDrawings(alert.symbol) || [],
+        runScript,
+      });
+      if (evaluation.triggered) onTrigger(alert, evaluation);
+    }
+  }
+
+  /**
+   * Merge a streamed bar into a buffer and evaluate its alerts.
+   * @param {string} key
+   * @param {Object} bar
+   */
+  function ingest(key, bar) {
+    const stream = streams.get(key);
+    if (!stream || !bar) return;
+    const bars = stream.bars;
+    const last = bars[bars.length - 1];
+    let closed = false;
+
+    if (!last || bar.time > last.time) {
+      bars.push(bar);
+      closed = !!last;
+      if (bars.length > historyBars * 2) bars.splice(0, bars.length - historyBars);
+    } else if (bar.time === last.time) {
+      bars[bars.length - 1] = bar;
+    } else {
+      return; // out-of-order update for an older bar
+    }
+    evaluateStream(key, closed);
+  }
+
+  // ─── Feed Streams ────────────────────────────────────────────
+
+  function closeFeedStream(key) {
+    const stream = streams.get(key);
+    if (stream?.source !== 'feed') return;
+    if (stream.subId && feed) feed.unsubscribeBars(stream.subId);
+    streams.delete(key);
+  }
+
+  async function openFeedStream(key, symbol, resolution) {
+    const stream = { symbol, resolution, bars: [], source: 'feed', subId: null };
+    streams.set(key, stream);
+    try {
+      const now = Date.now();
+      const from = now - historyBars * (RESOLUTION_MS[resolution] || 3_600_000);
+      const result = await feed.getBars(symbol, resolution, from, now);
+      if (disposed || streams.get(key) !== stream) return;
+      stream.bars = [...(result?.bars || [])];
+      stream.subId = feed.subscribeBars(symbol, resolution, (bar) => {
+        if (!disposed && streams.get(key) === stream) ingest(key, bar);
+      });
+    } catch (err) {
+      if (streams.get(key) === stream) streams.delete(key);
+      console.warn(`[AlertEngine] Could not load ${symbol} ${resolution}:`, err.message);
+    }
+  }
+
+  /**
+   * Open feed streams for active alerts and close streams no alert
+   * needs anymore. Call when alerts change.
+   */
+  function sync() {
+    if (disposed) return;
+    const needed = new Map();
+    for (const a of activeAlerts()) {
+      needed.set(alertKey(a), { symbol: resolveSymbol(a.symbol), resolution: normalizeResolution(a.timeframe || '1h') });
+    }
+    for (const [key, stream] of [...streams]) {
+      if (stream.source === 'feed' && !needed.has(key)) closeFeedStream(key);
+    }
+    if (!feed) return;
+    for (const [key, { symbol, resolution }] of needed) {
+      if (!streams.has(key)) openFeedStream(key, symbol, resolution);
+    }
+  }
+
+  return {
+    sync,
+
+    /**
+     * Push a bar for a symbol/timeframe (streams must already exist).
+     * @param {string} symbol
+     * @param {string} resolution
+     * @param {Object} bar
+     */
+    push(symbol, resolution, bar) {
+      ingest(keyOf(symbol, resolution), bar);
+    },
+
+    /** Streams currently held: [{ key, source, bars }] */
+    get streams() {
+      return [...streams].map(([key, s]) => ({ key, source: s.source, bars: s.bars.length }));
+    },
+
+    dispose() {
+      if (disposed) return;
+      for (const key of [...streams.keys()]) closeFeedStream(key);
+      streams.clear();
+      disposed = true;
+    },
+  };
+}
+
+export default createAlertEngine;
@@ -14,7 +14,10 @@
 //   exportTradesCSV(trades, 'my-trades.csv');
 // ═══════════════════════════════════════════════════════════════════
 
-function fmtD(n) { return (n >= 0 ? '+' : '-') + '$' + Math.abs(n || 0).toFixed(2); }
+import { currencySymbol } from './Money.js';
+import { convertTrades } from './FxRates.js';
+
+function fmtDAmount(n, sym = '$') { return (n >= 0 ? '+' : '-') + sym + Math.abs(n || 0).toFixed(2); }
 function fmtPct(n) { return (n || 0).toFixed(1) + '%'; }
 
 /**
@@ -23,17 +26,19 @@ function fmtPct(n) { return (n || 0).toFixed(1) + '%'; }
  *
  * @param {Object[]} trades
  * @param {Object} analytics - Result from computeFast()
- * @param {Object} [opts]
+ * @param {Object} [opts] - { title, dateFrom, dateTo, baseCurrency, fxRates }
  */
 export function exportHTMLReport(trades, analytics, opts = {}) {
   const a = analytics || {};
+  const baseCurrency = opts.baseCurrency || a.baseCurrency || 'USD';
+  const fmtD = (n) => fmtDAmount(n, currencySymbol(baseCurrency));
   const title = opts.title || 'TradeForge Performance Report';
   const dateFrom = opts.dateFrom || '';
   const dateTo = opts.dateTo || '';
   const now = new Date().toISOString().slice(0, 10);
 
   // Filter trades by date range if specified
-  let filtered = trades || [];
+  let filtered = convertTrades(trades, baseCurrency, opts.fxRates).trades;
   if (dateFrom) filtered = filtered.filter(t => t.date >= dateFrom);
   if (dateTo) filtered = filtered.filter(t => t.date <= dateTo + 'T23:59:59');
   const sorted = [...filtered].sort((a, b) => new Date(b.date) - new Date(a.date));
@@ -196,7 +201,7 @@ export function exportHTMLReport(trades, analytics, opts = {}) {
  */
 export function exportTradesCSV(trades, filename = 'tradeforge-trades.csv') {
   const COLUMNS = [
-    'Date', 'Symbol', 'Side', 'Entry', 'Exit', 'Qty', 'P&L', 'Fees',
+    'Date', 'Symbol', 'Side', 'Entry', 'Exit', 'Qty', 'P&L', 'Fees', 'Currency',
     'Stop Loss', 'Take Profit', 'R Multiple', 'Asset Class', 'Strategy',
     'Emotion', 'Rating', 'Rule Break', 'Notes',
   ];
@@ -210,6 +215,7 @@ export function exportTradesCSV(trades, filename = 'tradeforge-trades.csv') {
     t.qty || '',
     t.pnl || 0,
     t.fees || 0,
+    t.currency || 'USD',
     t.stopLoss || '',
     t.takeProfit || '',
     t.rMultiple || '',
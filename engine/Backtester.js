@@ -0,0 +1,317 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Strategy Backtester
+//
+// Replays strategy signals from ScriptEngine (strategy.entry /
+// strategy.exit) bar by bar over historical OHLCV data and produces
+// journal-shaped trades (TradeSchema) that feed straight into
+// computeFast().
+//
+// Fill model:
+//   fillOn 'nextOpen' (default) — a signal on bar i fills at the open
+//                                of bar i+1 (no look-ahead)
+//   fillOn 'close'              — fills at the close of the signal bar
+//   Stops / limits attached to an entry are checked intrabar from the
+//   bar after the fill onwards (from the fill bar itself when filling
+//   at the open). A bar that gaps through the level fills at its open.
+//   If stop and target are both inside one bar the stop wins —
+//   OHLC can't tell which came first, so assume the worst.
+//
+// Position model: one position at a time, no pyramiding. An entry in
+// the opposite direction reverses the position; an entry in the same
+// direction is ignored while the position is open.
+//
+// Costs:
+//   commission { type: 'perContract'|'perTrade'|'percent', value }
+//              charged on every fill
+//   slippage   { type: 'ticks'|'points'|'percent', value, tickSize }
+//              applied against the trader on market and stop fills
+//              (limit fills are at the limit price)
+//
+// Trade pnl is net of fees, like broker imports (reconcile.js checks
+// pnl = gross − fees), so computeFast's win rate, profit factor and
+// equity curve include commission. `fees` records what was deducted.
+// Prices are scaled by pointValue.
+//
+// Pure functions — no store deps.
+// ═══════════════════════════════════════════════════════════════════
+
+import { executeScript } from './ScriptEngine.js';
+import { computeFast } from './analyticsFast.js';
+import { roundMoney } from './Money.js';
+
+const COMMISSION_TYPES = ['perContract', 'perTrade', 'percent'];
+const SLIPPAGE_TYPES = ['ticks', 'points', 'percent'];
+
+const DEFAULTS = {
+  symbol: 'BACKTEST',
+  qty: 1,
+  pointValue: 1,
+  commission: { type: 'perContract', value: 0 },
+  slippage: { type: 'points', value: 0, tickSize: 0.01 },
+  fillOn: 'nextOpen',
+  closeAtEnd: true,
+  playbook: 'Backtest',
+};
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+function _toIso(time) {
+  if (time == null) return null;
+  const ms = typeof time === 'number' ? (time < 1e12 ? time * 1000 : time) : Date.parse(time);
+  return isNaN(ms) ? null : new Date(ms).toISOString();
+}
+
+function _tradeId() {
+  return 'bt_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+}
+
+const _round = (v) => Math.round(v * 1e6) / 1e6; // strip float noise from prices
+
+/**
+ * Commission for one fill.
+ * @param {Object} model - { type, value }
+ * @param {number} price
+ * @param {number} qty
+ * @param {number} pointValue
+ * @returns {number}
+ */
+function commissionFor(model, price, qty, pointValue = 1) {
+  const value = Number(model?.value) || 0;
+  if (value <= 0) return 0;
+  switch (model.type) {
+    case 'perTrade': return value;
+    case 'percent': return (Math.abs(price * qty * pointValue) * value) / 100;
+    default: return value * qty;
+  }
+}
+
+/**
+ * Slippage in price units for one fill.
+ * @param {Object} model - { type, value, tickSize }
+ * @param {number} price
+ * @returns {number}
+ */
+function slippageFor(model, price) {
+  const value = Number(model?.value) || 0;
+  if (value <= 0) return 0;
+  switch (model.type) {
+    case 'ticks': return value * (Number(model.tickSize) || 0.01);
+    case 'percent': return (Math.abs(price) * value) / 100;
+    default: return value;
+  }
+}
+
+// ─── Simulation ─────────────────────────────────────────────────
+
+/**
+ * Simulate signals over bars.
+ *
+ * @param {Object[]} bars - [{ time, open, high, low, close, volume }]
+ * @param {Object[]} signals - From executeScript(): [{ action, direction, barIdx, qty, stop, limit, comment }]
+ * @param {Object} [opts]
+ * @param {string} [opts.symbol='BACKTEST']
+ * @param {number} [opts.qty=1] - Default position size when a signal has none
+ * @param {number} [opts.pointValue=1] - Contract multiplier
+ * @param {Object} [opts.commission] - { type: 'perContract'|'perTrade'|'percent', value }
+ * @param {Object} [opts.slippage] - { type: 'ticks'|'points'|'percent', value, tickSize }
+ * @param {string} [opts.fillOn='nextOpen'] - 'nextOpen' | 'close'
+ * @param {boolean} [opts.closeAtEnd=true] - Close any open position at the last bar's close
+ * @param {string} [opts.accountId]
+ * @param {string} [opts.assetClass]
+ * @param {string} [opts.playbook='Backtest']
+ * @returns {{ trades: Object[], equity: Array<{ time, equity }>, open: Object|null }}
+ */
+function runBacktest(bars, signals, opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  const pv = Number(o.pointValue) > 0 ? Number(o.pointValue) : 1;
+  const trades = [];
+  const equity = [];
+  if (!bars?.length) return { trades, equity, open: null };
+
+  // Exits first so "exit + re-enter" on one bar works
+  const byBar = new Map();
+  for (const s of signals || []) {
+    if (!s || s.barIdx < 0 || s.barIdx >= bars.length) continue;
+    if (!byBar.has(s.barIdx)) byBar.set(s.barIdx, []);
+    byBar.get(s.barIdx).push(s);
+  }
+  for (const list of byBar.values()) {
+    list.sort((a, b) => (a.action === 'exit' ? 0 : 1) - (b.action === 'exit' ? 0 : 1));
+  }
+
+  let pos = null;
+  let realized = 0;
+  let pending = [];
+
+  const fill = (side, qty, price, i, fee) => ({
+    id: `${side}_${i}`,
+    time: _toIso(bars[i].time),
+    side,
+    qty,
+    price: _round(price),
+    fee: roundMoney(fee),
+  });
+
+  function open(sig, price, i) {
+    const dir = sig.direction === 'long' ? 1 : -1;
+    const qty = sig.qty > 0 ? sig.qty : Number(o.qty) || 1;
+    const px = price + dir * slippageFor(o.slippage, price);
+    const fee = commissionFor(o.commission, px, qty, pv);
+    pos = {
+      dir, qty, entry: px, entryIdx: i, fees: fee,
+      stop: sig.stop, limit: sig.limit, comment: sig.comment,
+      fills: [fill(dir === 1 ? 'buy' : 'sell', qty, px, i, fee)],
+    };
+  }
+
+  function close(price, i, reason, slip = true) {
+    const { dir, qty } = pos;
+    const px = slip ? price - dir * slippageFor(o.slippage, price) : price;
+    const fee = commissionFor(o.commission, px, qty, pv);
+    const fees = pos.fees + fee;
+    const pnl = roundMoney((px - pos.entry) * dir * qty * pv - fees);
+    let rMultiple = null;
+    if (pos.stop != null) {
+      const risk = Math.abs(pos.entry - pos.stop) * qty * pv;
+      if (risk > 0) rMultiple = Math.round((pnl / risk) * 100) / 100;
+    }
+
+    trades.push({
+      id: _tradeId(),
+      date: _toIso(bars[pos.entryIdx].time),
+      closeDate: _toIso(bars[i].time),
+      symbol: o.symbol,
+      side: dir === 1 ? 'long' : 'short',
+      entry: _round(pos.entry),
+      exit: _round(px),
+      qty,
+      pnl,
+      fees: roundMoney(fees),
+      stopLoss: pos.stop,
+      takeProfit: pos.limit,
+      rMultiple,
+      pointValue: pv === 1 ? null : pv,
+      ...(o.assetClass ? { assetClass: o.assetClass } : {}),
+      ...(o.accountId ? { accountId: o.accountId } : {}),
+      playbook: o.playbook,
+      tags: ['backtest'],
+      notes: [pos.comment, `Exit: ${reason}`].filter(Boolean).join(' — '),
+      executions: [...pos.fills, fill(dir === 1 ? 'sell' : 'buy', qty, px, i, fee)],
+      backtest: { entryBar: pos.entryIdx, exitBar: i, exitReason: reason },
+    });
+    realized += pnl;
+    pos = null;
+  }
+
+  function act(sig, price, i) {
+    if (sig.action === 'exit') {
+      if (pos && (!sig.direction || (sig.direction === 'long') === (pos.dir === 1))) close(price, i, 'signal');
+      return;
+    }
+    if (pos) {
+      if ((sig.direction === 'long') === (pos.dir === 1)) return; // no pyramiding
+      close(price, i, 'reverse');
+    }
+    open(sig, price, i);
+  }
+
+  // Intrabar stop / target check
+  function checkExits(bar, i) {
+    const { dir, stop, limit } = pos;
+    const stopHit = stop != null && (dir === 1 ? bar.low <= stop : bar.high >= stop);
+    if (stopHit) {
+      const px = dir === 1 ? Math.min(bar.open, stop) : Math.max(bar.open, stop);
+      close(px, i, 'stop');
+      return;
+    }
+    const limitHit = limit != null && (dir === 1 ? bar.high >= limit : bar.low <= limit);
+    if (limitHit) {
+      const px = dir === 1 ? Math.max(bar.open, limit) : Math.min(bar.open, limit);
+      close(px, i, 'target', false);
+    }
+  }
+
+  for (let i = 0; i < bars.length; i++) {
+    const bar = bars[i];
+
+    if (o.fillOn !== 'close') {
+      for (const sig of pending) act(sig, bar.open, i);
+      pending = [];
+    }
+
+    if (pos && (o.fillOn !== 'close' || pos.entryIdx < i)) checkExits(bar, i);
+
+    const sigs = byBar.get(i) || [];
+    if (o.fillOn === 'close') for (const sig of sigs) act(sig, bar.close, i);
+    else pending = sigs;
+
+    const openPnl = pos ? (bar.close - pos.entry) * pos.dir * pos.qty * pv - pos.fees : 0;
+    equity.push({ time: bar.time, equity: roundMoney(realized + openPnl) });
+  }
+
+  const last = bars.length - 1;
+  if (pos && o.closeAtEnd) {
+    close(bars[last].close, last, 'end');
+    equity[last].equity = roundMoney(realized);
+  }
+
+  return {
+    trades,
+    equity,
+    open: pos ? { side: pos.dir === 1 ? 'long' : 'short', qty: pos.qty, entry: _round(pos.entry), entryBar: pos.entryIdx } : null,
+  };
+}
+
+/**
+ * Largest peak-to-trough fall of an equity series, in dollars. The
+ * series starts from flat (0), so a run that only loses still draws down.
+ * @param {number[]} values - Cumulative P&L
+ * @returns {number}
+ */
+function maxDrawdown(values) {
+  let peak = 0;
+  let dd = 0;
+  for (const v of values) {
+    if (v > peak) peak = v;
+    if (peak - v > dd) dd = peak - v;
+  }
+  return roundMoney(dd);
+}
+
+/**
+ * Run a strategy script and backtest its signals.
+ *
+ * @param {string} code - Script source using strategy.entry / strategy.exit
+ * @param {Object[]} bars
+ * @param {Object} [opts] - runBacktest() options, plus:
+ * @param {Object} [opts.params] - Script parameter overrides
+ * @param {Object} [opts.settings] - computeFast() settings
+ * @returns {{ trades, equity, open, signals, outputs, params, analytics, error }}
+ */
+function backtestScript(code, bars, opts = {}) {
+  const res = executeScript(code, bars, opts.params || {});
+  if (res.error) {
+    return { trades: [], equity: [], open: null, signals: [], outputs: [], params: res.params, analytics: null, error: res.error };
+  }
+  const bt = runBacktest(bars, res.signals, opts);
+  return {
+    ...bt,
+    signals: res.signals,
+    outputs: res.outputs,
+    params: res.params,
+    analytics: bt.trades.length ? computeFast(bt.trades, opts.settings || {}) : null,
+    error: null,
+  };
+}
+
+export {
+  COMMISSION_TYPES,
+  SLIPPAGE_TYPES,
+  commissionFor,
+  slippageFor,
+  runBacktest,
+  backtestScript,
+  maxDrawdown,
+};
+
+export default backtestScript;
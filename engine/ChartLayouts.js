@@ -0,0 +1,303 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Multi-Chart Layouts
+//
+// Grid definitions for the multi-chart view and the pure helpers the
+// chart store and panes use to keep linked panes in step.
+//
+//   CHART_LAYOUTS / getLayout   — grid spec per layout id ('1x2', '1+3', …)
+//   availableLayouts            — layouts that fit a plan's maxCharts
+//   gridTemplate / cellArea     — CSS grid properties for a layout
+//   resizePanes                 — grow/shrink the pane list to a layout
+//   applyPaneUpdate             — apply a pane edit plus its linked edits
+//   timeRangeOfViewport /
+//   viewportForTimeRange        — scroll/zoom sync between panes on
+//                                 different timeframes
+//
+// Layout ids are rows x columns, so '1x2' is two charts side by side and
+// '2x1' two stacked charts. '1+N' is one large chart with N beside it.
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} LayoutCell
+ * @property {number} row      - 1-based grid row
+ * @property {number} col      - 1-based grid column
+ * @property {number} [rowSpan=1]
+ * @property {number} [colSpan=1]
+ */
+
+/**
+ * @typedef {Object} ChartLayout
+ * @property {string} id
+ * @property {string} label
+ * @property {number} rows
+ * @property {number} cols
+ * @property {LayoutCell[]} cells - One per pane, in pane order
+ */
+
+/**
+ * @typedef {Object} LayoutPane
+ * @property {string} id
+ * @property {string} symbol
+ * @property {string} tf
+ * @property {string} chartType
+ * @property {Array} indicators  - Registry format, see useChartStore
+ * @property {string|null} group - Symbol link group ('A'–'D') or null
+ */
+
+/**
+ * @typedef {Object} PaneLinks
+ * @property {boolean} interval  - Timeframe changes apply to every pane
+ * @property {boolean} crosshair - Crosshair mirrored via CrosshairBus
+ * @property {boolean} timeRange - Scroll/zoom mirrored across panes
+ */
+
+/** Symbol link groups, shown as coloured badges on each pane */
+export const LINK_GROUPS = ['A', 'B', 'C', 'D'];
+
+/** @type {PaneLinks} */
+export const DEFAULT_PANE_LINKS = { interval: false, crosshair: true, timeRange: false };
+
+/** Pane count of the free plan (PLAN_FEATURES.free.maxCharts) */
+export const DEFAULT_MAX_CHARTS = 4;
+
+/** Symbols given to new panes, in order */
+export const DEFAULT_PANE_SYMBOLS = ['BTC', 'ETH', 'SOL', 'BNB', 'XRP', 'ADA', 'DOGE', 'AVAX', 'LINK'];
+
+/** Build the cells of a plain rows x cols grid, row by row */
+function grid(rows, cols) {
+  const cells = [];
+  for (let r = 1; r <= rows; r++) {
+    for (let c = 1; c <= cols; c++) cells.push({ row: r, col: c });
+  }
+  return cells;
+}
+
+/** One large chart on the left spanning `n` rows, `n` small ones on the right */
+function mainPlus(n) {
+  return [
+    { row: 1, col: 1, rowSpan: n },
+    ...Array.from({ length: n }, (_, i) => ({ row: i + 1, col: 2 })),
+  ];
+}
+
+/** @type {Record<string, ChartLayout>} */
+export const CHART_LAYOUTS = {
+  '1x1': { id: '1x1', label: 'Single', rows: 1, cols: 1, cells: grid(1, 1) },
+  '1x2': { id: '1x2', label: '2 side by side', rows: 1, cols: 2, cells: grid(1, 2) },
+  '2x1': { id: '2x1', label: '2 stacked', rows: 2, cols: 1, cells: grid(2, 1) },
+  '1x3': { id: '1x3', label: '3 side by side', rows: 1, cols: 3, cells: grid(1, 3) },
+  '1+2': { id: '1+2', label: '1 + 2', rows: 2, cols: 2, cells: mainPlus(2) },
+  '1+3': { id: '1+3', label: '1 + 3', rows: 3, cols: 2, cells: mainPlus(3) },
+  '2x2': { id: '2x2', label: '2 x 2', rows: 2, cols: 2, cells: grid(2, 2) },
+  '2x3': { id: '2x3', label: '2 x 3', rows: 2, cols: 3, cells: grid(2, 3) },
+  '3x3': { id: '3x3', label: '3 x 3', rows: 3, cols: 3, cells: grid(3, 3) },
+  '4x4': { id: '4x4', label: '4 x 4', rows: 4, cols: 4, cells: grid(4, 4) },
+};
+
+/**
+ * @param {string} id
+ * @returns {ChartLayout|null}
+ */
+export function getLayout(id) {
+  return CHART_LAYOUTS[id] || null;
+}
+
+/**
+ * Number of panes a layout shows (0 for an unknown id).
+ * @param {string} id
+ * @returns {number}
+ */
+export function layoutPaneCount(id) {
+  return CHART_LAYOUTS[id]?.cells.length || 0;
+}
+
+/**
+ * Layouts that fit within a plan's chart limit, in menu order.
+ * @param {number} [maxCharts=DEFAULT_MAX_CHARTS]
+ * @returns {ChartLayout[]}
+ */
+export function availableLayouts(maxCharts = DEFAULT_MAX_CHARTS) {
+  return Object.values(CHART_LAYOUTS).filter((l) => l.cells.length <= maxCharts);
+}
+
+/**
+ * CSS grid container properties for a layout.
+ * @param {string} id
+ * @returns {{ gridTemplateRows: string, gridTemplateColumns: string }}
+ */
+export function gridTemplate(id) {
+  const l = CHART_LAYOUTS[id] || CHART_LAYOUTS['1x1'];
+  return {
+    gridTemplateRows: `repeat(${l.rows}, minmax(0, 1fr))`,
+    gridTemplateColumns: `repeat(${l.cols}, minmax(0, 1fr))`,
+  };
+}
+
+/**
+ * CSS grid-area for a layout cell.
+ * @param {LayoutCell} cell
+ * @returns {string} 'row / col / span rows / span cols'
+ */
+export function cellArea(cell) {
+  return `${cell.row} / ${cell.col} / span ${cell.rowSpan || 1} / span ${cell.colSpan || 1}`;
+}
+
+let _paneSeq = 0;
+
+/**
+ * Create a pane.
+ * @param {Partial<LayoutPane>} [init]
+ * @returns {LayoutPane}
+ */
+export function createPane(init = {}) {
+  return {
+    id: init.id || `lp_${Date.now().toString(36)}_${(++_paneSeq).toString(36)}`,
+    symbol: (init.symbol || 'BTC').toUpperCase(),
+    tf: init.tf || '1h',
+    chartType: init.chartType || 'candlestick',
+    indicators: (init.indicators || []).map((ind) => ({ ...ind })),
+    group: LINK_GROUPS.includes(init.group) ? init.group : null,
+  };
+}
+
+/**
+ * Grow or shrink the pane list to `count` panes. Existing panes keep
+ * their settings; new panes copy `template` (timeframe, chart type,
+ * indicators) and take the next default symbol not already shown.
+ *
+ * @param {LayoutPane[]} panes
+ * @param {number} count
+ * @param {Partial<LayoutPane>} [template]
+ * @returns {LayoutPane[]}
+ */
+export function resizePanes(panes, count, template = {}) {
+  const out = panes.slice(0, count);
+  const used = new Set(out.map((p) => p.symbol));
+  let next = 0;
+  while (out.length < count) {
+    while (next < DEFAULT_PANE_SYMBOLS.length - 1 && used.has(DEFAULT_PANE_SYMBOLS[next])) next++;
+    const symbol = DEFAULT_PANE_SYMBOLS[next] || DEFAULT_PANE_SYMBOLS[0];
+    used.add(symbol);
+    out.push(createPane({ ...template, id: undefined, group: null, symbol }));
+  }
+  return out;
+}
+
+/**
+ * Apply an edit to one pane and propagate it to linked panes:
+ * a symbol change reaches every pane in the same link group, a
+ * timeframe change reaches every pane when interval linking is on.
+ *
+ * @param {LayoutPane[]} panes
+ * @param {string} paneId
+ * @param {Partial<LayoutPane>} patch
+ * @param {PaneLinks} [links]
+ * @returns {LayoutPane[]}
+ */
+export function applyPaneUpdate(panes, paneId, patch, links = DEFAULT_PANE_LINKS) {
+  const source = panes.find((p) => p.id === paneId);
+  if (!source) return panes;
+  const upd = { ...patch };
+  if (upd.symbol) upd.symbol = upd.symbol.toUpperCase();
+  if ('group' in upd && !LINK_GROUPS.includes(upd.group)) upd.group = null;
+
+  const group = 'group' in upd ? upd.group : source.group;
+  return panes.map((p) => {
+    if (p.id === paneId) return { ...p, ...upd };
+    const linked = {};
+    if (upd.symbol && group && p.group === group) linked.symbol = upd.symbol;
+    if (upd.tf && links.interval) linked.tf = upd.tf;
+    return Object.keys(linked).length ? { ...p, ...linked } : p;
+  });
+}
+
+/**
+ * Panes whose symbol follows `paneId` (same link group, excluding itself).
+ * @param {LayoutPane[]} panes
+ * @param {string} paneId
+ * @returns {string[]}
+ */
+export function linkedPaneIds(panes, paneId) {
+  const group = panes.find((p) => p.id === paneId)?.group;
+  if (!group) return [];
+  return panes.filter((p) => p.id !== paneId && p.group === group).map((p) => p.id);
+}
+
+// ─── Time-Range Sync ────────────────────────────────────────────
+// The chart viewport is index based: the right edge sits at
+// bars.length - 1 - scrollOffset + RIGHT_MARGIN and spans visibleBars.
+// Panes on different timeframes share a time range instead, which
+// each converts to its own offset and zoom.
+
+const RIGHT_MARGIN = 5;
+const MIN_VISIBLE = 10;
+const MAX_VISIBLE = 2000;
+
+/** Index of the last bar at or before `time` (-1 if none) */
+function indexAtTime(bars, time) {
+  let lo = 0, hi = bars.length - 1, idx = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (bars[mid].time <= time) { idx = mid; lo = mid + 1; } else hi = mid - 1;
+  }
+  return idx;
+}
+
+/** Time at a fractional bar index, extrapolating past either end */
+export function timeAtIndex(bars, idx, barMs) {
+  const last = bars.length - 1;
+  if (idx <= 0) return bars[0].time + idx * barMs;
+  if (idx >= last) return bars[last].time + (idx - last) * barMs;
+  const i = Math.floor(idx);
+  return bars[i].time + (idx - i) * (bars[i + 1].time - bars[i].time);
+}
+
+/** Fractional bar index of a time, the inverse of timeAtIndex() */
+export function fractionalIndexAtTime(bars, time, barMs) {
+  const last = bars.length - 1;
+  if (time <= bars[0].time) return (time - bars[0].time) / barMs;
+  if (time >= bars[last].time) return last + (time - bars[last].time) / barMs;
+  const i = indexAtTime(bars, time);
+  return i + (time - bars[i].time) / (bars[i + 1].time - bars[i].time);
+}
+
+/**
+ * Time range shown by a viewport.
+ *
+ * @param {Array<{time: number}>} bars
+ * @param {{ scrollOffset: number, visibleBars: number }} viewport
+ * @param {number} barMs - Bar interval, used beyond the last bar
+ * @returns {{ from: number, to: number } | null}
+ */
+export function timeRangeOfViewport(bars, { scrollOffset, visibleBars }, barMs) {
+  if (!bars?.length) return null;
+  const end = bars.length - 1 - scrollOffset + RIGHT_MARGIN;
+  return {
+    from: timeAtIndex(bars, end - visibleBars + 1, barMs),
+    to: timeAtIndex(bars, end, barMs),
+  };
+}
+
+/**
+ * Viewport that shows a time range on these bars. Zoom is clamped to
+ * the chart's limits and the view never scrolls past the live edge.
+ *
+ * @param {Array<{time: number}>} bars
+ * @param {{ from: number, to: number }} range
+ * @param {number} barMs
+ * @returns {{ scrollOffset: number, visibleBars: number } | null}
+ */
+export function viewportForTimeRange(bars, range, barMs) {
+  if (!bars?.length || !range || !(range.to > range.from) || !(barMs > 0)) return null;
+  const last = bars.length - 1;
+  const toIdx = range.to > bars[last].time
+    ? last + (range.to - bars[last].time) / barMs
+    : Math.max(0, indexAtTime(bars, range.to));
+  const fromIdx = range.from < bars[0].time
+    ? (range.from - bars[0].time) / barMs
+    : Math.max(0, indexAtTime(bars, range.from));
+  return {
+    scrollOffset: Math.max(0, Math.round(last + RIGHT_MARGIN - toIdx)),
+    visibleBars: Math.max(MIN_VISIBLE, Math.min(MAX_VISIBLE, Math.round(toIdx - fromIdx + 1))),
+  };
+}
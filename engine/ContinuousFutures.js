@@ -0,0 +1,318 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Continuous Futures
+// Stitches quarterly/monthly contracts (ESH5, ESM5, …) into one
+// continuous series, and maps trades on specific contracts onto it.
+//
+//   Roll rules
+//     calendar — the exchange roll dates from SessionCalendar
+//                (ES: 8 days before expiry, GC: 2 days before first
+//                notice, …)
+//     volume   — the next contract takes over the session after its
+//                daily volume first exceeds the current one's (never
+//                later than the current contract's expiry)
+//
+//   Back-adjustment (the newest contract keeps its real prices)
+//     ratio      — older contracts scaled by new/old at each roll;
+//                  keeps percentage moves, the default for long history
+//     difference — older contracts shifted by new − old; keeps point
+//                  moves, matches what a contract trader saw in ticks
+//     none       — raw prices with gaps at the rolls
+//
+// Each segment carries the transform applied to its contract
+// (adjusted = price × ratio + offset), so journal fills on ESZ5 can
+// be drawn at the right place on the continuous chart.
+// ═══════════════════════════════════════════════════════════════════
+
+import {
+  FUTURES_SPECS,
+  futuresRoot,
+  parseContract,
+  contractDates,
+  tradingDayKey,
+} from './SessionCalendar.js';
+
+export const ROLL_RULES = ['calendar', 'volume'];
+export const ADJUSTMENTS = ['ratio', 'difference', 'none'];
+
+/** Trade fields holding prices (TradeSchema plus broker/chart aliases) */
+const PRICE_FIELDS = ['entry', 'exit', 'stopLoss', 'takeProfit', 'entryPrice', 'exitPrice', 'openPrice', 'closePrice'];
+
+const round = (v) => Number(v.toPrecision(12));
+
+/**
+ * @typedef {Object} RollSegment
+ * @property {string} code   - Contract code as stored ('ESZ5')
+ * @property {number} year
+ * @property {number} month  - 1–12
+ * @property {number} start  - First instant the contract is shown (inclusive)
+ * @property {number} end    - Instant the next contract takes over (exclusive)
+ * @property {number} ratio  - Back-adjustment: adjusted = price × ratio + offset
+ * @property {number} offset
+ */
+
+/**
+ * @typedef {Object} ContinuousSeries
+ * @property {string} root
+ * @property {string} roll
+ * @property {string} adjust
+ * @property {Array}  bars      - Adjusted bars, each with its `contract`
+ * @property {RollSegment[]} segments - Oldest first
+ */
+
+// ─── Symbols ────────────────────────────────────────────────────
+
+/**
+ * Contract root of a continuous symbol: 'ES', 'ES1!', '/ES', 'ES=F',
+ * 'MES' → its own prefix ('ES', 'MES'). Null for single contracts
+ * ('ESZ5') and symbols that aren't futures.
+ * @param {string} symbol
+ * @returns {string|null}
+ */
+export function continuousRoot(symbol) {
+  if (!futuresRoot(symbol) || parseContract(symbol)) return null;
+  return String(symbol).toUpperCase().trim().replace(/^\//, '').replace(/=F$|\d!$/, '');
+}
+
+/** Same underlying (ES and MES track the same index) */
+function sameUnderlying(a, b) {
+  const ra = futuresRoot(a);
+  return !!ra && ra === futuresRoot(b);
+}
+
+const monthIndex = (c) => c.year * 12 + c.month - 1;
+
+/**
+ * Parse and order a root's contract codes, oldest first.
+ * @param {string[]} codes
+ * @param {string} root
+ * @returns {Array<{ code: string, year: number, month: number, expiry: number, roll: number }>}
+ */
+function orderContracts(codes, root) {
+  const seen = new Set();
+  const out = [];
+  for (const code of codes) {
+    const c = parseContract(code);
+    if (!c || c.root !== root) continue;
+    const key = monthIndex(c);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const dates = contractDates(root, c.year, c.month);
+    if (dates) out.push({ code: String(code).toUpperCase(), year: c.year, month: c.month, expiry: dates.expiry, roll: dates.roll });
+  }
+  return out.sort((a, b) => monthIndex(a) - monthIndex(b));
+}
+
+// ─── Rolls ──────────────────────────────────────────────────────
+
+/**
+ * Decide which contract is front at every instant.
+ *
+ * @param {Object<string, Array>} series - { [contractCode]: sorted bars }
+ * @param {Object} opts
+ * @param {string} opts.root
+ * @param {'calendar'|'volume'} [opts.roll='calendar']
+ * @returns {Array<{ code: string, year: number, month: number, start: number, end: number }>}
+ */
+export function rollSegments(series, { root, roll = 'calendar' } = {}) {
+  const contracts = orderContracts(Object.keys(series || {}), root)
+    .filter((c) => series[c.code]?.length);
+  if (!contracts.length) return [];
+
+  const ends = roll === 'volume' ? volumeRolls(series, contracts, root) : contracts.map((c) => c.roll);
+  const out = [];
+  let start = -Infinity;
+  contracts.forEach((c, i) => {
+    const end = i === contracts.length - 1 ? Infinity : ends[i];
+    if (end <= start) return; // superseded before it became front
+    out.push({ code: c.code, year: c.year, month: c.month, start, end });
+    start = end;
+  });
+  return out;
+}
+
+/** Roll instants under the volume rule: ends[i] is when contracts[i] hands over */
+function volumeRolls(series, contracts, root) {
+  const cal = FUTURES_SPECS[futuresRoot(root)]?.calendar;
+
+  // Daily volume per contract, and the first bar of each trading day
+  const volumes = contracts.map(() => new Map());
+  const dayStart = new Map();
+  contracts.forEach((c, i) => {
+    for (const b of series[c.code]) {
+      const day = tradingDayKey(b.time, cal);
+      volumes[i].set(day, (volumes[i].get(day) || 0) + (b.volume || 0));
+      if (!dayStart.has(day) || b.time < dayStart.get(day)) dayStart.set(day, b.time);
+    }
+  });
+  const days = [...dayStart.keys()].sort();
+
+  const ends = contracts.map((c) => c.expiry);
+  let cur = 0;
+  let pending = false;
+  for (const day of days) {
+    const t = dayStart.get(day);
+    // Volume crossed yesterday, or the front contract expired: roll at this session's open
+    while (cur < contracts.length - 1 && (pending || contracts[cur].expiry < t)) {
+      ends[cur] = Math.min(ends[cur], t);
+      cur++;
+      pending = false;
+    }
+    pending = false;
+    const next = volumes[cur + 1];
+    if (next && (next.get(day) || 0) > (volumes[cur].get(day) || 0)) pending = true;
+  }
+  return ends;
+}
+
+// ─── Building ───────────────────────────────────────────────────
+
+/** Close of the last bar before `time`, or null */
+function closeBefore(bars, time) {
+  let lo = 0, hi = bars.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (bars[mid].time < time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo > 0 ? bars[lo - 1].close : null;
+}
+
+/**
+ * Stitch contracts into a back-adjusted continuous series.
+ *
+ * @param {Object<string, Array>} series - { [contractCode]: sorted bars }
+ * @param {Object} opts
+ * @param {string} opts.root                               - Code root ('ES', 'MES')
+ * @param {'calendar'|'volume'} [opts.roll='calendar']
+ * @param {'ratio'|'difference'|'none'} [opts.adjust='ratio']
+ * @returns {ContinuousSeries}
+ */
+export function buildContinuous(series, { root, roll = 'calendar', adjust = 'ratio' } = {}) {
+  const segments = rollSegments(series, { root, roll }).map((s) => ({ ...s, ratio: 1, offset: 0 }));
+
+  // Back-adjust from the newest contract: each roll's gap is the price
+  // difference between the two contracts on the last bar before it
+  for (let i = segments.length - 2; i >= 0 && adjust !== 'none'; i--) {
+    const seg = segments[i];
+    const newer = segments[i + 1];
+    const oldPx = closeBefore(series[seg.code], seg.end);
+    const newPx = closeBefore(series[newer.code], seg.end) ?? series[newer.code][0]?.open;
+    seg.ratio = newer.ratio;
+    seg.offset = newer.offset;
+    if (oldPx == null || newPx == null) continue;
+    if (adjust === 'ratio' && oldPx > 0 && newPx > 0) seg.ratio = newer.ratio * (newPx / oldPx);
+    else if (adjust === 'difference') seg.offset = newer.offset + (newPx - oldPx) * newer.ratio;
+  }
+
+  const bars = [];
+  for (const seg of segments) {
+    for (const b of series[seg.code]) {
+      if (b.time < seg.start || b.time >= seg.end) continue;
+      bars.push({
+        ...b,
+        open: adjustPrice(b.open, seg),
+        high: adjustPrice(b.high, seg),
+        low: adjustPrice(b.low, seg),
+        close: adjustPrice(b.close, seg),
+        contract: seg.code,
+      });
+    }
+  }
+  return { root, roll, adjust, bars, segments };
+}
+
+/**
+ * Re-anchor a freshly built (older) range onto an already loaded
+ * series so both share the newest contract's price level. Used when
+ * paging history: the new range's adjustments are relative to its own
+ * newest contract, which the loaded series may have adjusted already.
+ *
+ * @param {ContinuousSeries} older
+ * @param {ContinuousSeries} loaded
+ * @returns {ContinuousSeries} `older` with its bars and segments re-adjusted
+ */
+export function anchorContinuous(older, loaded) {
+  const byMonth = new Map(loaded.segments.map((s) => [monthIndex(s), s]));
+  const common = [...older.segments].reverse().find((s) => byMonth.has(monthIndex(s)));
+  const ref = common || older.segments[older.segments.length - 1];
+  const target = common ? byMonth.get(monthIndex(common)) : loaded.segments[0];
+  if (!ref || !target) return older;
+
+  // adjusted' = target(ref⁻¹(adjusted)) — the same affine map for every segment
+  const k = target.ratio / ref.ratio;
+  const shift = target.offset - ref.offset * k;
+  const map = (v) => round(v * k + shift);
+
+  return {
+    ...older,
+    segments: older.segments.map((s) => ({ ...s, ratio: s.ratio * k, offset: s.offset * k + shift })),
+    bars: older.bars.map((b) => ({ ...b, open: map(b.open), high: map(b.high), low: map(b.low), close: map(b.close) })),
+  };
+}
+
+/**
+ * @param {number} price
+ * @param {RollSegment} [seg]
+ * @returns {number}
+ */
+export function adjustPrice(price, seg) {
+  if (!seg || !Number.isFinite(price)) return price;
+  return round(price * seg.ratio + seg.offset);
+}
+
+// ─── Trades ─────────────────────────────────────────────────────
+
+/**
+ * The segment whose transform applies to a contract: its own, the
+ * newest one for contracts after the loaded range, the oldest for
+ * contracts before it, otherwise the one front at `time`.
+ *
+ * @param {ContinuousSeries} continuous
+ * @param {{ year: number, month: number }} contract
+ * @param {number} [time]
+ * @returns {RollSegment|null}
+ */
+export function segmentForContract(continuous, contract, time) {
+  const segs = continuous?.segments || [];
+  if (!segs.length || !contract) return null;
+  const m = monthIndex(contract);
+  const own = segs.find((s) => monthIndex(s) === m);
+  if (own) return own;
+  if (m > monthIndex(segs[segs.length - 1])) return segs[segs.length - 1];
+  if (m < monthIndex(segs[0])) return segs[0];
+  return segs.find((s) => time >= s.start && time < s.end) || null;
+}
+
+/**
+ * Map a trade on a specific contract onto a continuous chart: prices
+ * back-adjusted like that contract's bars, symbol set to the chart's.
+ * Trades on other instruments are returned unchanged.
+ *
+ * @param {Object} trade - Journal trade ({ symbol: 'ESZ5', date, entry, exit, … })
+ * @param {ContinuousSeries & { symbol?: string }} continuous
+ * @returns {Object}
+ */
+export function mapTradeToContinuous(trade, continuous) {
+  const time = Date.parse(trade?.entryTime || trade?.date);
+  const contract = parseContract(trade?.symbol, Number.isFinite(time) ? time : Date.now());
+  if (!contract || !continuous || !sameUnderlying(contract.root, continuous.root)) return trade;
+
+  const seg = segmentForContract(continuous, contract, time);
+  const out = { ...trade, symbol: continuous.symbol || continuous.root, contract: trade.symbol };
+  if (!seg) return out;
+  for (const f of PRICE_FIELDS) {
+    if (typeof trade[f] === 'number' && trade[f]) out[f] = adjustPrice(trade[f], seg);
+  }
+  out.adjustment = { ratio: seg.ratio, offset: seg.offset };
+  return out;
+}
+
+/**
+ * @param {Object[]} trades
+ * @param {ContinuousSeries} continuous
+ * @returns {Object[]}
+ */
+export function mapTradesToContinuous(trades, continuous) {
+  if (!continuous) return trades || [];
+  return (trades || []).map((t) => mapTradeToContinuous(t, continuous));
+}
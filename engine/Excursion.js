@@ -0,0 +1,240 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Trade Excursion Engine (MAE / MFE)
+//
+// Replays the OHLCV bars inside a trade's holding window to measure
+// how far price moved against and in favor of the position:
+//
+//   MAE  Maximum Adverse Excursion   — worst open loss while in the trade
+//   MFE  Maximum Favorable Excursion — best open profit while in the trade
+//   ETD  End Trade Drawdown          — profit given back from the MFE peak
+//        to the exit (MFE − captured move)
+//   Efficiency                       — captured move ÷ MFE (1 = exited at
+//        the best price, <0 = closed red after being green)
+//
+// All excursions are reported in price points, account currency
+// (points × dollars-per-point) and, when the trade has a stopLoss,
+// R-multiples. Results are stored on the trade as `trade.excursion`.
+//
+// Pure functions — bars are passed in (see data/ExcursionService.js
+// for fetching via FetchService / DataFeed).
+//
+// Usage:
+//   const exc = computeExcursion(trade, bars);
+//   const stats = excursionStats(trades);
+// ═══════════════════════════════════════════════════════════════════
+
+import { roundMoney } from './Money.js';
+
+/**
+ * @typedef {Object} Excursion
+ * @property {number} mae          - Max adverse excursion (currency, ≥ 0)
+ * @property {number} mfe          - Max favorable excursion (currency, ≥ 0)
+ * @property {number} etd          - End trade drawdown (currency, ≥ 0)
+ * @property {number} maePts       - MAE in price points
+ * @property {number} mfePts       - MFE in price points
+ * @property {number} maePrice     - Worst price reached
+ * @property {number} mfePrice     - Best price reached
+ * @property {number|null} maeR    - MAE in R (null without stopLoss)
+ * @property {number|null} mfeR    - MFE in R (null without stopLoss)
+ * @property {number|null} efficiency - Captured move ÷ MFE (null when MFE is 0)
+ * @property {number} barCount     - Bars inside the holding window
+ * @property {string} source       - Bar source ('binance', 'yahoo', 'feed', ...)
+ * @property {string} computedAt   - ISO timestamp
+ */
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+function toMs(t) {
+  if (t == null) return NaN;
+  if (typeof t === 'number') return t < 1e12 ? t * 1000 : t; // seconds → ms
+  return new Date(t).getTime();
+}
+
+/**
+ * Currency value of a one-point move for the whole position.
+ * Prefers an explicit trade.pointValue, then infers it from the
+ * gross P&L (net pnl + fees), then falls back to quantity (stocks/crypto).
+ * @param {Object} trade
+ * @returns {number}
+ */
+function dollarsPerPoint(trade) {
+  if (trade.pointValue > 0) return trade.pointValue * (trade.qty || trade.quantity || 1);
+  const move = (trade.exit || 0) - (trade.entry || 0);
+  const gross = (trade.pnl || 0) + (trade.fees || 0);
+  if (move !== 0 && gross) return Math.abs(gross / move);
+  return Math.abs(trade.qty || trade.quantity || 1);
+}
+
+/**
+ * Slice the bars that overlap the trade's holding window: from the bar
+ * containing the entry through the last bar that opened before the exit.
+ *
+ * @param {Object[]} bars - Sorted OHLCV bars ({ time, high, low, ... })
+ * @param {number} entryMs
+ * @param {number} exitMs
+ * @returns {Object[]}
+ */
+function holdingBars(bars, entryMs, exitMs) {
+  if (!bars?.length || isNaN(entryMs)) return [];
+  const end = isNaN(exitMs) ? entryMs : exitMs;
+
+  let first = -1;
+  for (let i = 0; i < bars.length; i++) {
+    const t = toMs(bars[i].time);
+    if (t <= entryMs) first = i;
+    else break;
+  }
+  if (first < 0) return []; // bars start after the entry — no coverage
+
+  const out = [];
+  for (let i = first; i < bars.length; i++) {
+    if (toMs(bars[i].time) > end) break;
+    out.push(bars[i]);
+  }
+  return out;
+}
+
+// ─── Core ───────────────────────────────────────────────────────
+
+/**
+ * Compute MAE / MFE / ETD / efficiency for one trade.
+ *
+ * @param {Object} trade - Needs entry, exit, side, date (+ closeDate)
+ * @param {Object[]} bars - OHLCV bars covering the holding window
+ * @param {Object} [opts]
+ * @param {string} [opts.source] - Recorded on the result
+ * @returns {Excursion|null} null when the trade or bars can't be used
+ */
+function computeExcursion(trade, bars, opts = {}) {
+  if (!trade || !(trade.entry > 0) || !(trade.exit > 0)) return null;
+
+  const entryMs = toMs(trade.date);
+  const exitMs = toMs(trade.closeDate || trade.date);
+  const window = holdingBars(bars, entryMs, exitMs);
+  if (!window.length) return null;
+
+  const dir = trade.side === 'short' ? -1 : 1;
+  const entry = trade.entry;
+  const exit = trade.exit;
+
+  // The fills themselves are on the price path even if the bar
+  // resolution is coarse, so seed the range with entry and exit.
+  let hi = Math.max(entry, exit);
+  let lo = Math.min(entry, exit);
+  for (const b of window) {
+    if (b.high > hi) hi = b.high;
+    if (b.low < lo) lo = b.low;
+  }
+
+  const maePrice = dir === 1 ? lo : hi;
+  const mfePrice = dir === 1 ? hi : lo;
+  const maePts = Math.max(0, (entry - maePrice) * dir);
+  const mfePts = Math.max(0, (mfePrice - entry) * dir);
+  const capturedPts = (exit - entry) * dir;
+  const etdPts = Math.max(0, mfePts - capturedPts);
+
+  const dpp = dollarsPerPoint(trade);
+  const risk = trade.stopLoss > 0 ? Math.abs(entry - trade.stopLoss) : 0;
+
+  return {
+    mae: roundMoney(maePts * dpp),
+    mfe: roundMoney(mfePts * dpp),
+    etd: roundMoney(etdPts * dpp),
+    maePts,
+    mfePts,
+    maePrice,
+    mfePrice,
+    maeR: risk > 0 ? maePts / risk : null,
+    mfeR: risk > 0 ? mfePts / risk : null,
+    efficiency: mfePts > 0 ? capturedPts / mfePts : null,
+    barCount: window.length,
+    source: opts.source || 'unknown',
+    computedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * True when the bars reach back to the trade's entry (so the whole
+ * holding window can be replayed).
+ * @param {Object} trade
+ * @param {Object[]} bars
+ * @returns {boolean}
+ */
+function barsCoverTrade(trade, bars) {
+  if (!bars?.length) return false;
+  return toMs(bars[0].time) <= toMs(trade.date);
+}
+
+// ─── Aggregation ────────────────────────────────────────────────
+
+const EFFICIENCY_BUCKETS = [
+  { label: '< 0',     min: -Infinity, max: 0 },
+  { label: '0–25%',   min: 0,         max: 0.25 },
+  { label: '25–50%',  min: 0.25,      max: 0.5 },
+  { label: '50–75%',  min: 0.5,       max: 0.75 },
+  { label: '75–100%', min: 0.75,      max: Infinity },
+];
+
+/**
+ * Aggregate stored excursions across trades for the Risk tab.
+ *
+ * @param {Object[]} trades - Trades (only those with trade.excursion count)
+ * @returns {{
+ *   count: number, total: number,
+ *   avgMae: number, avgMfe: number, avgEtd: number, avgEfficiency: number|null,
+ *   winnerAvgMae: number, loserAvgMfe: number,
+ *   points: Array<{ id: string, mae: number, mfe: number, pnl: number, efficiency: number|null }>,
+ *   efficiencyDist: Array<{ label: string, count: number }>
+ * }}
+ */
+function excursionStats(trades) {
+  const list = (trades || []).filter((t) => t.excursion);
+  const n = list.length;
+  const dist = EFFICIENCY_BUCKETS.map((b) => ({ label: b.label, count: 0 }));
+  const points = [];
+
+  let maeSum = 0, mfeSum = 0, etdSum = 0;
+  let effSum = 0, effN = 0;
+  let winMaeSum = 0, winN = 0, lossMfeSum = 0, lossN = 0;
+
+  for (const t of list) {
+    const x = t.excursion;
+    maeSum += x.mae || 0;
+    mfeSum += x.mfe || 0;
+    etdSum += x.etd || 0;
+
+    if (x.efficiency != null) {
+      effSum += x.efficiency;
+      effN++;
+      const idx = EFFICIENCY_BUCKETS.findIndex((b) => x.efficiency >= b.min && x.efficiency < b.max);
+      dist[idx >= 0 ? idx : dist.length - 1].count++;
+    }
+
+    if ((t.pnl || 0) > 0) { winMaeSum += x.mae || 0; winN++; }
+    else if ((t.pnl || 0) < 0) { lossMfeSum += x.mfe || 0; lossN++; }
+
+    points.push({ id: t.id, mae: x.mae || 0, mfe: x.mfe || 0, pnl: t.pnl || 0, efficiency: x.efficiency });
+  }
+
+  return {
+    count: n,
+    total: trades?.length || 0,
+    avgMae: n ? roundMoney(maeSum / n) : 0,
+    avgMfe: n ? roundMoney(mfeSum / n) : 0,
+    avgEtd: n ? roundMoney(etdSum / n) : 0,
+    avgEfficiency: effN ? effSum / effN : null,
+    winnerAvgMae: winN ? roundMoney(winMaeSum / winN) : 0, // how much heat winners take
+    loserAvgMfe: lossN ? roundMoney(lossMfeSum / lossN) : 0, // profit losers showed first
+    points,
+    efficiencyDist: dist,
+  };
+}
+
+export {
+  EFFICIENCY_BUCKETS,
+  computeExcursion,
+  excursionStats,
+  holdingBars,
+  barsCoverTrade,
+  dollarsPerPoint,
+};
@@ -0,0 +1,381 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Executions & Position Reconstruction
+//
+// Execution-level trade model. A trade can carry the individual fills
+// that built it (scale-ins, partial exits):
+//
+//   trade.executions = [
+//     { id, time, side: 'buy'|'sell', qty, price, fee },
+//     ...
+//   ]
+//
+// When executions are present they are the source of truth: side,
+// date/closeDate, average entry/exit, qty, fees, pnl and rMultiple
+// are derived from them (deriveFromExecutions).
+//
+// reconstructTrades() groups a raw fill stream (broker execution
+// exports) into round-trip trades — a trade opens when the position
+// leaves flat and closes when it returns to flat. A fill that flips
+// the position through zero is split between the two trades.
+//
+// Lot matching (how exits are costed against entries):
+//   'fifo' — first-in-first-out  (default, US futures/tax convention)
+//   'lifo' — last-in-first-out
+//   'avg'  — average cost
+// A completed flat-to-flat trade has the same total P&L under every
+// method; the method changes the realized P&L of each partial exit
+// (exec.realized) and of positions still open at the end of the data.
+//
+// Trade pnl is net of the fills' fees, like every other trade in the
+// app (fees records what was deducted); exec.realized is the gross
+// price P&L of that exit. Both are scaled by pointValue (contract
+// multiplier, default 1).
+//
+// Pure functions — no store deps.
+// ═══════════════════════════════════════════════════════════════════
+
+import { roundMoney } from './Money.js';
+
+const MATCHING_METHODS = ['fifo', 'lifo', 'avg'];
+
+const QTY_EPS = 1e-9;
+
+// Dollars per 1.00 price move for common CME/COMEX/CBOT contracts.
+// Used when reconstructing futures fills that carry no P&L column.
+const FUTURES_POINT_VALUES = {
+  ES: 50, MES: 5, NQ: 20, MNQ: 2, YM: 5, MYM: 0.5, RTY: 50, M2K: 5,
+  CL: 1000, MCL: 100, NG: 10000, GC: 100, MGC: 10, SI: 5000, HG: 25000,
+  ZB: 1000, ZN: 1000, ZF: 1000, ZC: 50, ZS: 50, ZW: 50,
+  '6E': 125000, '6J': 12500000, '6B': 62500,
+};
+
+const _ROOTS = Object.keys(FUTURES_POINT_VALUES).sort((a, b) => b.length - a.length);
+
+/**
+ * Contract multiplier for a futures symbol ('ESH5', 'MNQ 03-25', 'CL').
+ * Returns 1 for anything unrecognized (stocks, crypto, forex units).
+ * @param {string} symbol
+ * @returns {number}
+ */
+function pointValueFor(symbol) {
+  const s = String(symbol || '').toUpperCase().replace(/=F$/, '');
+  for (const root of _ROOTS) {
+    if (!s.startsWith(root)) continue;
+    const rest = s.slice(root.length);
+    if (!rest || /^[FGHJKMNQUVXZ]\d{1,2}$/.test(rest) || /^\s/.test(rest)) return FUTURES_POINT_VALUES[root];
+  }
+  return 1;
+}
+
+// ─── Normalization ──────────────────────────────────────────────
+
+function _execId() {
+  return 'ex_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+}
+
+/**
+ * Normalize a raw fill. Accepts 'buy'/'sell', 'b'/'s', 'long'/'short'
+ * and signed quantities (negative = sell).
+ *
+ * @param {Object} raw - { time|date, side|action, qty|quantity, price, fee|commission }
+ * @returns {Object|null} Normalized execution, or null if unusable
+ */
+function normalizeExecution(raw) {
+  if (!raw) return null;
+  const rawQty = Number(raw.qty ?? raw.quantity);
+  const price = Number(raw.price);
+  const time = raw.time || raw.date;
+  const ms = new Date(time).getTime();
+  if (!rawQty || !(price > 0) || isNaN(ms)) return null;
+
+  const s = String(raw.side ?? raw.action ?? '').trim().toLowerCase();
+  let side;
+  if (['buy', 'b', 'bot', 'bought', 'long', 'buy to open', 'buy to cover'].includes(s)) side = 'buy';
+  else if (['sell', 's', 'sld', 'sold', 'short', 'sell short', 'sell to close'].includes(s)) side = 'sell';
+  else if (!s) side = rawQty > 0 ? 'buy' : 'sell';
+  else side = s.startsWith('b') ? 'buy' : s.startsWith('s') ? 'sell' : null;
+  if (!side) return null;
+
+  return {
+    id: raw.id || _execId(),
+    time: new Date(ms).toISOString(),
+    side,
+    qty: Math.abs(rawQty),
+    price,
+    fee: Math.abs(Number(raw.fee ?? raw.commission ?? 0)) || 0,
+  };
+}
+
+/**
+ * Normalize and time-sort a list of fills. Unusable rows are dropped.
+ * @param {Object[]} list
+ * @returns {Object[]}
+ */
+function normalizeExecutions(list) {
+  return (list || [])
+    .map(normalizeExecution)
+    .filter(Boolean)
+    .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+// ─── Lot Book ───────────────────────────────────────────────────
+
+/**
+ * Tracks open lots for one position and realizes P&L on reductions.
+ * dir: +1 long, -1 short.
+ */
+function createLotBook(method) {
+  const lots = []; // { qty, price }
+  return {
+    get size() { return lots.reduce((s, l) => s + l.qty, 0); },
+
+    add(qty, price) {
+      if (method === 'avg' && lots.length) {
+        const total = lots[0].qty + qty;
+        lots[0] = { qty: total, price: (lots[0].qty * lots[0].price + qty * price) / total };
+      } else {
+        lots.push({ qty, price });
+      }
+    },
+
+    /** Close qty at price; returns sum of (price − cost) × qty (unsigned direction). */
+    reduce(qty, price) {
+      let remaining = qty;
+      let diff = 0;
+      while (remaining > QTY_EPS && lots.length) {
+        const idx = method === 'lifo' ? lots.length - 1 : 0;
+        const lot = lots[idx];
+        const take = Math.min(lot.qty, remaining);
+        diff += (price - lot.price) * take;
+        lot.qty -= take;
+        remaining -= take;
+        if (lot.qty <= QTY_EPS) lots.splice(idx, 1);
+      }
+      return diff;
+    },
+
+    /** Average cost of what is still open. */
+    avgCost() {
+      const q = this.size;
+      return q > 0 ? lots.reduce((s, l) => s + l.qty * l.price, 0) / q : 0;
+    },
+  };
+}
+
+// ─── Derivation ─────────────────────────────────────────────────
+
+/**
+ * Derive the flat trade fields from a trade's executions.
+ *
+ * @param {Object[]} executions - Fills for ONE round trip
+ * @param {Object} [opts]
+ * @param {'fifo'|'lifo'|'avg'} [opts.method='fifo']
+ * @param {number} [opts.pointValue=1] - Contract multiplier
+ * @param {number} [opts.stopLoss] - For rMultiple
+ * @returns {Object|null} { side, date, closeDate, entry, exit, qty, maxPosition,
+ *   fees, pnl, rMultiple, open, openQty, executions }
+ */
+function deriveFromExecutions(executions, opts = {}) {
+  const fills = normalizeExecutions(executions);
+  if (!fills.length) return null;
+
+  const method = MATCHING_METHODS.includes(opts.method) ? opts.method : 'fifo';
+  const pv = opts.pointValue > 0 ? opts.pointValue : 1;
+  const dir = fills[0].side === 'buy' ? 1 : -1;
+  const book = createLotBook(method);
+
+  let entryQty = 0, entryNotional = 0;
+  let exitQty = 0, exitNotional = 0;
+  let fees = 0, pnl = 0;
+  let position = 0, maxPosition = 0;
+  const out = [];
+
+  for (const f of fills) {
+    const signed = f.side === 'buy' ? f.qty : -f.qty;
+    fees += f.fee;
+    if (Math.sign(signed) === dir) {
+      book.add(f.qty, f.price);
+      entryQty += f.qty;
+      entryNotional += f.qty * f.price;
+      out.push({ ...f });
+    } else {
+      // Exits beyond the open size are ignored here — reconstructTrades
+      // splits position flips before calling this.
+      const closeQty = Math.min(f.qty, book.size);
+      const realized = roundMoney(book.reduce(closeQty, f.price) * dir * pv);
+      pnl += realized;
+      exitQty += closeQty;
+      exitNotional += closeQty * f.price;
+      out.push({ ...f, realized });
+    }
+    position += signed;
+    maxPosition = Math.max(maxPosition, Math.abs(position));
+  }
+
+  const entry = entryQty > 0 ? entryNotional / entryQty : 0;
+  const exit = exitQty > 0 ? exitNotional / exitQty : 0;
+  const openQty = book.size;
+  pnl = roundMoney(pnl - fees);
+
+  let rMultiple = null;
+  if (opts.stopLoss > 0 && entry > 0) {
+    const risk = Math.abs(entry - opts.stopLoss) * entryQty * pv;
+    if (risk > 0) rMultiple = Math.round((pnl / risk) * 100) / 100;
+  }
+
+  return {
+    side: dir === 1 ? 'long' : 'short',
+    date: fills[0].time,
+    closeDate: openQty > QTY_EPS ? null : fills[fills.length - 1].time,
+    entry,
+    exit,
+    qty: entryQty,
+    maxPosition,
+    fees: roundMoney(fees),
+    pnl,
+    rMultiple,
+    open: openQty > QTY_EPS,
+    openQty,
+    openCost: book.avgCost(),
+    executions: out,
+  };
+}
+
+/**
+ * Replace a trade's executions and re-derive its flat fields.
+ * Journal fields (playbook, notes, tags, ...) are preserved.
+ *
+ * @param {Object} trade
+ * @param {Object[]} executions
+ * @param {Object} [opts] - { method, pointValue }
+ * @returns {Object} New trade object
+ */
+function applyExecutions(trade, executions, opts = {}) {
+  const d = deriveFromExecutions(executions, {
+    method: opts.method || trade.matching,
+    pointValue: opts.pointValue ?? trade.pointValue,
+    stopLoss: trade.stopLoss,
+  });
+  if (!d) return { ...trade, executions: [] };
+
+  return {
+    ...trade,
+    side: d.side,
+    date: d.date,
+    closeDate: d.closeDate,
+    entry: d.entry,
+    exit: d.exit,
+    qty: d.qty,
+    fees: d.fees,
+    pnl: d.pnl,
+    rMultiple: d.rMultiple ?? trade.rMultiple ?? null,
+    executions: d.executions,
+  };
+}
+
+// ─── Reconstruction ─────────────────────────────────────────────
+
+/**
+ * Group a raw fill stream into round-trip trades.
+ *
+ * Fills are grouped by symbol (and accountId when present), sorted by
+ * time, and split into flat-to-flat trades. A fill that reverses the
+ * position closes the current trade and opens the next one with the
+ * remainder (fee is prorated).
+ *
+ * @param {Object[]} fills - Raw fills ({ symbol, time, side, qty, price, fee, accountId? })
+ * @param {Object} [opts]
+ * @param {'fifo'|'lifo'|'avg'} [opts.method='fifo']
+ * @param {number|Object<string, number>|Function} [opts.pointValue=1] - Multiplier,
+ *   per-symbol map, or (symbol) => multiplier (e.g. pointValueFor)
+ * @param {boolean} [opts.includeOpen=true] - Emit trailing open positions
+ * @returns {Object[]} Trades (newest last) with executions[] and derived fields
+ */
+function reconstructTrades(fills, opts = {}) {
+  const method = MATCHING_METHODS.includes(opts.method) ? opts.method : 'fifo';
+  const includeOpen = opts.includeOpen !== false;
+  const pvFor = (sym) => {
+    if (typeof opts.pointValue === 'number') return opts.pointValue;
+    if (typeof opts.pointValue === 'function') return opts.pointValue(sym) || 1;
+    return opts.pointValue?.[sym] ?? 1;
+  };
+
+  // Group by symbol + account, keeping the passthrough fields
+  const groups = new Map();
+  for (const raw of fills || []) {
+    const f = normalizeExecution(raw);
+    if (!f || !raw.symbol) continue;
+    const key = `${raw.accountId || ''}|${raw.symbol}`;
+    if (!groups.has(key)) groups.set(key, { symbol: raw.symbol, accountId: raw.accountId, fills: [] });
+    groups.get(key).fills.push(f);
+  }
+
+  const trades = [];
+  for (const { symbol, accountId, fills: list } of groups.values()) {
+    list.sort((a, b) => a.time.localeCompare(b.time));
+    const pointValue = pvFor(symbol);
+
+    let current = [];
+    let position = 0;
+
+    const flush = () => {
+      if (!current.length) return;
+      const d = deriveFromExecutions(current, { method, pointValue });
+      if (d && (!d.open || includeOpen)) {
+        trades.push({
+          id: 'tr_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+          symbol,
+          ...(accountId ? { accountId } : {}),
+          side: d.side,
+          date: d.date,
+          closeDate: d.closeDate,
+          entry: d.entry,
+          exit: d.exit,
+          qty: d.qty,
+          fees: d.fees,
+          pnl: d.pnl,
+          rMultiple: null,
+          ...(pointValue !== 1 ? { pointValue } : {}),
+          matching: method,
+          executions: d.executions,
+          ...(d.open ? { open: true } : {}),
+        });
+      }
+      current = [];
+    };
+
+    for (const f of list) {
+      const signed = f.side === 'buy' ? f.qty : -f.qty;
+      const next = position + signed;
+
+      if (position !== 0 && Math.sign(next) !== Math.sign(position) && Math.abs(next) > QTY_EPS) {
+        // Flip through zero — split the fill
+        const closeQty = Math.abs(position);
+        const feeClose = f.fee * (closeQty / f.qty);
+        current.push({ ...f, id: f.id + '_c', qty: closeQty, fee: feeClose });
+        flush();
+        current.push({ ...f, id: f.id + '_o', qty: f.qty - closeQty, fee: f.fee - feeClose });
+        position = next;
+        continue;
+      }
+
+      current.push(f);
+      position = Math.abs(next) <= QTY_EPS ? 0 : next;
+      if (position === 0) flush();
+    }
+    flush(); // trailing open position
+  }
+
+  return trades.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export {
+  MATCHING_METHODS,
+  FUTURES_POINT_VALUES,
+  pointValueFor,
+  normalizeExecution,
+  normalizeExecutions,
+  deriveFromExecutions,
+  applyExecutions,
+  reconstructTrades,
+};
@@ -0,0 +1,330 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — FX Rate Table & Currency Conversion
+//
+// Converts trade P&L from each trade's native currency into the
+// user's base currency using the daily rate on the trade's close date.
+//
+// Rate table shape (plain object — safe to postMessage to a Worker):
+//   { EUR: { '2025-01-02': 1.0921, '2025-01-03': 1.0893, ... },
+//     JPY: { '2025-01-02': 0.00634, ... } }
+//
+// Every rate is quoted as USD per 1 unit of the currency (USD is the
+// pivot). Cross rates (EUR → JPY) go through USD.
+//
+// Missing dates fall back to the most recent earlier rate (weekends,
+// holidays), then to the earliest rate on file. A currency with no
+// rates at all cannot be converted.
+//
+// Sources:
+//   - Manual entry:  setRate(table, 'EUR', '2025-01-02', 1.0921)
+//   - CSV import:    parseFxCSV(text)  (wide or long layout, see below)
+//
+// Pure functions — no store deps. Safe to use in the analytics worker.
+// ═══════════════════════════════════════════════════════════════════
+
+import { normalizeCurrency, roundMoney } from './Money.js';
+
+const PIVOT = 'USD';
+
+// Sorted date index per currency map (rebuilt when the map object changes)
+const _sortedKeys = new WeakMap();
+
+function sortedDates(map) {
+  let keys = _sortedKeys.get(map);
+  if (!keys) {
+    keys = Object.keys(map).sort();
+    _sortedKeys.set(map, keys);
+  }
+  return keys;
+}
+
+function dateKey(d) {
+  if (!d) return null;
+  if (typeof d === 'string' && /^\d{4}-\d{2}-\d{2}/.test(d)) return d.slice(0, 10);
+  const dt = new Date(d);
+  return isNaN(dt.getTime()) ? null : dt.toISOString().slice(0, 10);
+}
+
+// ─── Table Editing ──────────────────────────────────────────────
+
+/**
+ * Set one rate. Returns a new table (input is not mutated).
+ *
+ * @param {Object} table
+ * @param {string} currency - ISO code (e.g. 'EUR')
+ * @param {string} date - YYYY-MM-DD (or any parseable date)
+ * @param {number} usdPerUnit - USD value of 1 unit of currency
+ * @returns {Object}
+ */
+function setRate(table, currency, date, usdPerUnit) {
+  const ccy = normalizeCurrency(currency);
+  const key = dateKey(date);
+  const rate = Number(usdPerUnit);
+  if (ccy === PIVOT || !key || !(rate > 0)) return table || {};
+
+  const prev = table || {};
+  return { ...prev, [ccy]: { ...(prev[ccy] || {}), [key]: rate } };
+}
+
+/**
+ * Remove one rate (or a whole currency when date is omitted).
+ * @param {Object} table
+ * @param {string} currency
+ * @param {string} [date]
+ * @returns {Object}
+ */
+function removeRate(table, currency, date) {
+  const ccy = normalizeCurrency(currency);
+  if (!table?.[ccy]) return table || {};
+  const next = { ...table };
+  if (!date) {
+    delete next[ccy];
+    return next;
+  }
+  const map = { ...next[ccy] };
+  delete map[dateKey(date)];
+  if (Object.keys(map).length) next[ccy] = map;
+  else delete next[ccy];
+  return next;
+}
+
+/**
+ * Merge rate tables. Rates in `b` win on conflicts.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object}
+ */
+function mergeRateTables(a, b) {
+  const out = { ...(a || {}) };
+  for (const [ccy, map] of Object.entries(b || {})) {
+    out[ccy] = { ...(out[ccy] || {}), ...map };
+  }
+  return out;
+}
+
+// ─── Lookup & Conversion ────────────────────────────────────────
+
+/**
+ * USD value of 1 unit of currency on a date.
+ *
+ * @param {Object} table
+ * @param {string} currency
+ * @param {string} date
+ * @returns {number|null} null when the currency has no rates
+ */
+function getRate(table, currency, date) {
+  const ccy = normalizeCurrency(currency);
+  if (ccy === PIVOT) return 1;
+
+  const map = table?.[ccy];
+  if (!map) return null;
+
+  const key = dateKey(date);
+  if (key && map[key] != null) return map[key];
+
+  const keys = sortedDates(map);
+  if (!keys.length) return null;
+  if (!key) return map[keys[keys.length - 1]];
+
+  // Binary search: last date <= key
+  let lo = 0, hi = keys.length - 1, found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (keys[mid] <= key) { found = mid; lo = mid + 1; }
+    else hi = mid - 1;
+  }
+  return map[keys[found >= 0 ? found : 0]];
+}
+
+/**
+ * Conversion factor from one currency to another on a date.
+ * @returns {number|null}
+ */
+function crossRate(table, from, to, date) {
+  const f = normalizeCurrency(from);
+  const t = normalizeCurrency(to);
+  if (f === t) return 1;
+  const fromUsd = getRate(table, f, date);
+  const toUsd = getRate(table, t, date);
+  if (fromUsd == null || toUsd == null) return null;
+  return fromUsd / toUsd;
+}
+
+/**
+ * Convert an amount between currencies.
+ *
+ * @param {number} amount
+ * @param {string} from
+ * @param {string} to
+ * @param {string} date
+ * @param {Object} table
+ * @returns {number|null} null when no rate is available
+ */
+function convert(amount, from, to, date, table) {
+  const rate = crossRate(table, from, to, date);
+  return rate == null ? null : roundMoney((amount || 0) * rate);
+}
+
+/**
+ * Convert trade P&L and fees into a base currency using the rate on
+ * each trade's close date (falls back to the entry date).
+ *
+ * Trades already in the base currency are returned as-is (same object).
+ * Converted trades keep their native values in pnlNative/feesNative.
+ * Trades whose currency has no rate are dropped and reported in
+ * `missing` so callers can warn instead of mixing currencies.
+ *
+ * @param {Object[]} trades
+ * @param {string} baseCurrency
+ * @param {Object} table
+ * @returns {{ trades: Object[], converted: number, excluded: number, missing: string[] }}
+ */
+function convertTrades(trades, baseCurrency, table) {
+  const base = normalizeCurrency(baseCurrency);
+  const out = [];
+  const missing = new Set();
+  let converted = 0;
+
+  for (const t of trades || []) {
+    const ccy = normalizeCurrency(t.currency);
+    if (ccy === base) {
+      out.push(t);
+      continue;
+    }
+
+    const rate = crossRate(table, ccy, base, t.closeDate || t.date);
+    if (rate == null) {
+      missing.add(ccy);
+      continue;
+    }
+
+    converted++;
+    out.push({
+      ...t,
+      pnl: roundMoney((t.pnl || 0) * rate),
+      fees: roundMoney((t.fees || 0) * rate),
+      currency: base,
+      pnlNative: t.pnl,
+      feesNative: t.fees,
+      currencyNative: ccy,
+      fxRate: rate,
+    });
+  }
+
+  return {
+    trades: out,
+    converted,
+    excluded: (trades?.length || 0) - out.length,
+    missing: [...missing],
+  };
+}
+
+/**
+ * Distinct currencies used by a set of trades.
+ * @param {Object[]} trades
+ * @returns {string[]}
+ */
+function tradeCurrencies(trades) {
+  const set = new Set();
+  for (const t of trades || []) set.add(normalizeCurrency(t.currency));
+  return [...set].sort();
+}
+
+// ─── CSV Import ─────────────────────────────────────────────────
+
+/**
+ * Parse a column/row key into a conversion to "USD per unit of X".
+ *   'EUR'               → { ccy: 'EUR', invert: false }
+ *   'EURUSD' / 'EUR/USD' → { ccy: 'EUR', invert: false }  (1 EUR = r USD)
+ *   'USDJPY' / 'USD/JPY' → { ccy: 'JPY', invert: true }   (1 USD = r JPY)
+ * @returns {{ ccy: string, invert: boolean }|null}
+ */
+function parseRateKey(raw) {
+  const k = String(raw || '').trim().toUpperCase().replace(/[/_\-\s]/g, '');
+  if (/^[A-Z]{3}$/.test(k)) return k === PIVOT ? null : { ccy: k, invert: false };
+  if (/^[A-Z]{6}$/.test(k)) {
+    const a = k.slice(0, 3), b = k.slice(3);
+    if (b === PIVOT && a !== PIVOT) return { ccy: a, invert: false };
+    if (a === PIVOT && b !== PIVOT) return { ccy: b, invert: true };
+  }
+  return null;
+}
+
+function splitLine(line) {
+  return line.split(/[,;\t]/).map((c) => c.trim().replace(/^"|"$/g, ''));
+}
+
+/**
+ * Parse historical daily FX rates from CSV.
+ *
+ * Wide layout (one column per currency or USD pair):
+ *   Date,EURUSD,USDJPY,GBP
+ *   2025-01-02,1.0921,157.2,1.2410
+ *
+ * Long layout (one rate per row):
+ *   date,pair,rate
+ *   2025-01-02,EURUSD,1.0921
+ *
+ * Crosses that don't involve USD (e.g. EURJPY) are skipped.
+ *
+ * @param {string} text
+ * @returns {{ table: Object, count: number, errors: string[] }}
+ */
+function parseFxCSV(text) {
+  const lines = String(text || '').split(/\r?\n/).filter((l) => l.trim());
+  const errors = [];
+  let table = {};
+  let count = 0;
+
+  if (lines.length < 2) return { table, count, errors: ['No data rows found'] };
+
+  const header = splitLine(lines[0]).map((h) => h.toLowerCase());
+  const dateCol = header.findIndex((h) => h === 'date' || h === 'day' || h === 'time');
+  if (dateCol < 0) return { table, count, errors: ['Missing "date" column'] };
+
+  const keyCol = header.findIndex((h) => ['pair', 'currency', 'symbol', 'ccy'].includes(h));
+  const rateCol = header.findIndex((h) => h === 'rate' || h === 'close' || h === 'price');
+  const isLong = keyCol >= 0 && rateCol >= 0;
+
+  const add = (key, date, value, lineNo) => {
+    const spec = parseRateKey(key);
+    const v = parseFloat(value);
+    if (!spec) { errors.push(`Line ${lineNo}: unsupported pair "${key}"`); return; }
+    if (!(v > 0)) return; // blank cells are common in wide files
+    if (!dateKey(date)) { errors.push(`Line ${lineNo}: invalid date "${date}"`); return; }
+    table = setRate(table, spec.ccy, date, spec.invert ? 1 / v : v);
+    count++;
+  };
+
+  if (isLong) {
+    for (let i = 1; i < lines.length; i++) {
+      const cells = splitLine(lines[i]);
+      add(cells[keyCol], cells[dateCol], cells[rateCol], i + 1);
+    }
+  } else {
+    const rawHeader = splitLine(lines[0]);
+    const cols = rawHeader
+      .map((h, idx) => ({ h, idx }))
+      .filter(({ idx, h }) => idx !== dateCol && parseRateKey(h));
+    if (!cols.length) return { table, count, errors: ['No currency columns found'] };
+    for (let i = 1; i < lines.length; i++) {
+      const cells = splitLine(lines[i]);
+      for (const { h, idx } of cols) add(h, cells[dateCol], cells[idx], i + 1);
+    }
+  }
+
+  return { table, count, errors };
+}
+
+export {
+  PIVOT,
+  setRate,
+  removeRate,
+  mergeRateTables,
+  getRate,
+  crossRate,
+  convert,
+  convertTrades,
+  tradeCurrencies,
+  parseFxCSV,
+};
@@ -14,6 +14,10 @@
 //   - Crypto prices/quantities: scale 1e8 (satoshi precision)
 //   - P&L and fees are ALWAYS fiat scale (denominated in dollars)
 //
+// Currency: each trade carries an ISO 4217 `currency` (default USD).
+//           CURRENCIES holds display metadata; conversion between
+//           currencies lives in FxRates.js.
+//
 // Design: Non-invasive. Trade objects keep `pnl` as a float field.
 //         This module is used at computation boundaries, not storage.
 //         No schema changes. No migration headaches.
@@ -268,6 +272,58 @@ function isZero(value, scale = SCALE.FIAT) {
   return Math.round((value || 0) * scale) === 0;
 }
 
+// ─── Currency Metadata ──────────────────────────────────────────
+
+const CURRENCIES = Object.freeze({
+  USD: { symbol: '$',    name: 'US Dollar',          decimals: 2 },
+  EUR: { symbol: '€',    name: 'Euro',               decimals: 2 },
+  GBP: { symbol: '£',    name: 'British Pound',      decimals: 2 },
+  JPY: { symbol: '¥',    name: 'Japanese Yen',       decimals: 0 },
+  CHF: { symbol: 'CHF ', name: 'Swiss Franc',        decimals: 2 },
+  CAD: { symbol: 'C$',   name: 'Canadian Dollar',    decimals: 2 },
+  AUD: { symbol: 'A$',   name: 'Australian Dollar',  decimals: 2 },
+  NZD: { symbol: 'NZ$',  name: 'New Zealand Dollar', decimals: 2 },
+  HKD: { symbol: 'HK$',  name: 'Hong Kong Dollar',   decimals: 2 },
+  SGD: { symbol: 'S$',   name: 'Singapore Dollar',   decimals: 2 },
+});
+
+/**
+ * Normalize a currency code. Unknown/empty values fall back to USD.
+ * @param {string} code
+ * @returns {string} Upper-case ISO 4217 code
+ */
+function normalizeCurrency(code) {
+  const c = String(code || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(c) ? c : 'USD';
+}
+
+/**
+ * Display symbol for a currency code (falls back to the code itself).
+ * @param {string} code
+ * @returns {string}
+ */
+function currencySymbol(code) {
+  const c = normalizeCurrency(code);
+  return CURRENCIES[c]?.symbol ?? c + ' ';
+}
+
+/**
+ * Format a signed P&L amount in a currency: "+€1,234.50", "-¥12,000".
+ * @param {number} value
+ * @param {string} [code='USD']
+ * @returns {string}
+ */
+function fmtMoney(value, code = 'USD') {
+  const c = normalizeCurrency(code);
+  const decimals = CURRENCIES[c]?.decimals ?? 2;
+  const v = value || 0;
+  const abs = Math.abs(v).toLocaleString('en-US', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  });
+  return (v >= 0 ? '+' : '-') + currencySymbol(c) + abs;
+}
+
 // ─── Export ─────────────────────────────────────────────────────
 
 export {
@@ -284,6 +340,10 @@ export {
   migrateAllTrades,
   moneyEqual,
   isZero,
+  CURRENCIES,
+  normalizeCurrency,
+  currencySymbol,
+  fmtMoney,
 };
 
 export default {
@@ -0,0 +1,249 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Multi-Timeframe Series
+//
+// Lets an indicator or script compute on a higher timeframe than the
+// chart (a daily 200 SMA on a 5m chart) and map the result back onto
+// the chart's bars.
+//
+//   parseTimeframe / timeframeMs  — '5m', '4h', '1D', '1W', '1M', '30s'
+//   bucketStart / bucketEnd       — UTC buckets (weeks start Monday)
+//   aggregateBars                 — build higher-timeframe bars from bars
+//   extendWithBars                — bring a fetched HTF series up to date
+//                                   with the chart's newer bars
+//   alignToBars                   — HTF values → chart bars, no lookahead
+//   computeOnTimeframe            — all of the above around a compute fn
+//
+// No lookahead: a higher-timeframe value only appears on chart bars
+// that close at or after the higher-timeframe bar closes. Until then
+// the chart shows the previous completed value, so history looks the
+// same as it did in real time.
+// ═══════════════════════════════════════════════════════════════════
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60_000,
+  h: 3_600_000,
+  D: 86_400_000,
+  W: 604_800_000,
+  M: 2_592_000_000, // nominal 30 days, for ordering only
+};
+
+// Epoch day 0 was a Thursday; weeks start on Monday 00:00 UTC
+const WEEK_OFFSET = 4 * UNIT_MS.D;
+
+/**
+ * Parse a timeframe string.
+ * Accepts '30s', '5m', '4h', '1D'/'1d'/'D', '1W'/'1w'/'W', '1M'/'M'
+ * and bare minute counts ('60', '240').
+ *
+ * @param {string} tf
+ * @returns {{ n: number, unit: 's'|'m'|'h'|'D'|'W'|'M', ms: number } | null}
+ */
+export function parseTimeframe(tf) {
+  if (tf == null) return null;
+  const s = String(tf).trim();
+  if (/^\d+$/.test(s)) {
+    const n = Number(s);
+    return n > 0 ? { n, unit: 'm', ms: n * UNIT_MS.m } : null;
+  }
+  const m = s.match(/^(\d*)([smhdDwWM])$/);
+  if (!m) return null;
+  const n = m[1] ? Number(m[1]) : 1;
+  if (!(n > 0)) return null;
+  const unit = m[2] === 'd' ? 'D' : m[2] === 'w' ? 'W' : m[2];
+  return { n, unit, ms: n * UNIT_MS[unit] };
+}
+
+/**
+ * Nominal timeframe length in ms (months count as 30 days).
+ * @param {string} tf
+ * @returns {number} 0 when unparseable
+ */
+export function timeframeMs(tf) {
+  return parseTimeframe(tf)?.ms || 0;
+}
+
+/**
+ * Whether `tf` is strictly longer than `base`.
+ * @param {string} tf
+ * @param {string} base
+ * @returns {boolean}
+ */
+export function isHigherTimeframe(tf, base) {
+  const a = timeframeMs(tf);
+  const b = timeframeMs(base);
+  return a > 0 && b > 0 && a > b;
+}
+
+/**
+ * Start of the timeframe bucket containing `time` (UTC).
+ * @param {number} time
+ * @param {string} tf
+ * @returns {number}
+ */
+export function bucketStart(time, tf) {
+  const p = parseTimeframe(tf);
+  if (!p) return time;
+  if (p.unit === 'M') {
+    const d = new Date(time);
+    const months = d.getUTCFullYear() * 12 + d.getUTCMonth();
+    const start = Math.floor(months / p.n) * p.n;
+    return Date.UTC(Math.floor(start / 12), start % 12, 1);
+  }
+  if (p.unit === 'W') {
+    return Math.floor((time - WEEK_OFFSET) / p.ms) * p.ms + WEEK_OFFSET;
+  }
+  return Math.floor(time / p.ms) * p.ms;
+}
+
+/**
+ * End (exclusive) of the bucket that starts at `start`.
+ * @param {number} start
+ * @param {string} tf
+ * @returns {number}
+ */
+export function bucketEnd(start, tf) {
+  const p = parseTimeframe(tf);
+  if (!p) return start;
+  if (p.unit === 'M') {
+    const d = new Date(start);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + p.n, 1);
+  }
+  return start + p.ms;
+}
+
+/**
+ * Aggregate bars into `tf` buckets. The first bucket may be partial
+ * when the input starts mid-bucket.
+ * @param {Array<{time, open, high, low, close, volume}>} bars - Sorted by time
+ * @param {string} tf
+ * @returns {Array<{time, open, high, low, close, volume}>}
+ */
+export function aggregateBars(bars, tf) {
+  const out = [];
+  let cur = null;
+  for (const b of bars || []) {
+    const t = bucketStart(b.time, tf);
+    if (!cur || cur.time !== t) {
+      cur = { time: t, open: b.open, high: b.high, low: b.low, close: b.close, volume: b.volume || 0 };
+      out.push(cur);
+      continue;
+    }
+    if (b.high > cur.high) cur.high = b.high;
+    if (b.low < cur.low) cur.low = b.low;
+    cur.close = b.close;
+    cur.volume += b.volume || 0;
+  }
+  return out;
+}
+
+/**
+ * Bring a fetched higher-timeframe series up to date with the chart's
+ * bars: buckets from the last fetched one onward are rebuilt from
+ * `bars`. When `bars` start after that bucket opened, the fetched bar
+ * is merged instead of replaced so its open and range survive.
+ *
+ * @param {Array} htfBars - Fetched HTF bars, sorted by time
+ * @param {Array} bars    - Chart bars (lower timeframe), sorted by time
+ * @param {string} tf     - HTF timeframe
+ * @returns {Array}
+ */
+export function extendWithBars(htfBars, bars, tf) {
+  if (!htfBars?.length) return aggregateBars(bars, tf);
+  if (!bars?.length) return htfBars;
+
+  const last = htfBars[htfBars.length - 1];
+  let i = 0;
+  while (i < bars.length && bars[i].time < last.time) i++;
+  const tail = aggregateBars(bars.slice(i), tf);
+  if (!tail.length) return htfBars;
+
+  const out = htfBars.slice(0, -1);
+  const [first, ...rest] = tail;
+  if (first.time === last.time && bars[i].time > last.time) {
+    out.push({
+      time: last.time,
+      open: last.open,
+      high: Math.max(last.high, first.high),
+      low: Math.min(last.low, first.low),
+      close: first.close,
+      volume: Math.max(last.volume || 0, first.volume),
+    });
+  } else {
+    if (first.time !== last.time) out.push(last);
+    out.push(first);
+  }
+  return out.concat(rest);
+}
+
+/**
+ * Map values computed on HTF bars onto chart bars.
+ *
+ * Without lookahead (default) chart bar i gets the value of the latest
+ * HTF bar that has closed by the time bar i closes. With `lookahead`
+ * it gets the value of the HTF bar containing it (repaints on history
+ * — only for display of already-closed levels).
+ *
+ * @param {Array<{time: number}>} bars - Chart bars
+ * @param {Array<{time: number}>} htfBars
+ * @param {Array} values - One per HTF bar
+ * @param {Object} opts
+ * @param {string} opts.timeframe  - HTF timeframe
+ * @param {string} [opts.baseTf]   - Chart timeframe (default: next bar's time closes a bar)
+ * @param {boolean} [opts.lookahead=false]
+ * @param {*} [opts.fill=NaN]      - Value before the first available HTF value
+ * @returns {Array}
+ */
+export function alignToBars(bars, htfBars, values, { timeframe, baseTf, lookahead = false, fill = NaN }) {
+  const out = new Array(bars.length).fill(fill);
+  if (!htfBars?.length || !values) return out;
+
+  const htfEnd = (k) => (k + 1 < htfBars.length
+    ? Math.min(htfBars[k + 1].time, bucketEnd(htfBars[k].time, timeframe))
+    : bucketEnd(htfBars[k].time, timeframe));
+  const barEnd = (i) => (baseTf
+    ? bucketEnd(bucketStart(bars[i].time, baseTf), baseTf)
+    : i + 1 < bars.length ? bars[i + 1].time : Infinity);
+
+  let k = -1;
+  for (let i = 0; i < bars.length; i++) {
+    if (lookahead) {
+      while (k + 1 < htfBars.length && htfBars[k + 1].time <= bars[i].time) k++;
+    } else {
+      const end = barEnd(i);
+      while (k + 1 < htfBars.length && htfEnd(k + 1) <= end) k++;
+    }
+    if (k >= 0 && values[k] !== undefined) out[i] = values[k];
+  }
+  return out;
+}
+
+/**
+ * Run a compute function on the higher-timeframe series and align
+ * every array it returns back onto the chart bars.
+ *
+ * @param {(bars: Array) => Object|Array} compute - Returns an array or { key: array }
+ * @param {Array} bars - Chart bars
+ * @param {Object} opts
+ * @param {string} opts.timeframe    - HTF timeframe
+ * @param {string} [opts.baseTf]     - Chart timeframe
+ * @param {Array}  [opts.htfBars]    - Fetched HTF history (else aggregated from bars)
+ * @param {boolean} [opts.lookahead=false]
+ * @param {*} [opts.fill=NaN]
+ * @returns {Object|Array} Same shape as compute's result
+ */
+export function computeOnTimeframe(compute, bars, opts) {
+  const src = opts.htfBars?.length
+    ? extendWithBars(opts.htfBars, bars, opts.timeframe)
+    : aggregateBars(bars, opts.timeframe);
+  const raw = compute(src);
+  const align = (values) => alignToBars(bars, src, values, opts);
+  if (Array.isArray(raw)) return align(raw);
+  const out = {};
+  for (const [key, values] of Object.entries(raw || {})) {
+    out[key] = Array.isArray(values) ? align(values) : values;
+  }
+  return out;
+}
+
+export default computeOnTimeframe;
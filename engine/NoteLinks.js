@@ -0,0 +1,346 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Note Links, Backlinks & Search
+//
+// Notes are markdown. Wiki-style links tie them to the journal:
+//
+//   [[trade:id_abc123]]        a trade
+//   [[2026-10-14]]             a trading day (its daily journal page)
+//   [[playbook:ORB]]           a playbook (case-insensitive)
+//   [[trade:id_abc|that fade]] any link can carry a display label
+//   ![[debrief:2026-10-14]]    embed: that day's DailyDebrief summary
+//
+// Daily pages are notes with kind 'daily' and a date, created for
+// every trading day (missingDailyNotes) except days whose page the
+// user deleted. Days are UTC dates, matching generateDebrief().
+//
+// Pure functions — no store access.
+//
+// Usage:
+//   parseLinks(note.content)                  // → [{ kind, target, label, embed, index }]
+//   backlinksFor(notes, 'trade', trade.id)    // → [{ note, count, context }]
+//   searchNotes(notes, 'revenge "gap fill"')  // → [{ note, score, snippet, terms }]
+//   missingDailyNotes(notes, trades, dismissed) // → new daily notes to add
+//   suggestLinks(text, cursor, { trades, playbooks })
+// ═══════════════════════════════════════════════════════════════════
+
+import { markdownToText } from '../utils/markdown.js';
+
+const LINK_RE = /(!?)\[\[([^[\]\n|]+)(?:\|([^[\]\n]+))?\]\]/g;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const LINK_KINDS = ['trade', 'day', 'playbook', 'debrief'];
+
+/**
+ * UTC trading day of a date.
+ * @param {string|number|Date} date
+ * @returns {string|null} YYYY-MM-DD
+ */
+function dayKey(date) {
+  if (date == null || date === '') return null;
+  const d = new Date(date);
+  return isNaN(d) ? null : d.toISOString().slice(0, 10);
+}
+
+// ─── Links ──────────────────────────────────────────────────────
+
+/**
+ * Resolve the inside of a [[…]] link.
+ * @param {string} body - e.g. 'trade:abc', '2026-10-14', 'playbook:ORB'
+ * @returns {{ kind: string, target: string }|null}
+ */
+function parseLink(body) {
+  const text = String(body ?? '').trim();
+  if (DATE_RE.test(text)) return { kind: 'day', target: text };
+
+  const m = /^([a-z]+):\s*(.+)$/i.exec(text);
+  if (!m) return null;
+  const kind = m[1].toLowerCase() === 'pb' ? 'playbook' : m[1].toLowerCase();
+  const target = m[2].trim();
+  if (!LINK_KINDS.includes(kind) || !target) return null;
+  if ((kind === 'day' || kind === 'debrief') && !DATE_RE.test(target)) return null;
+  return { kind, target };
+}
+
+/**
+ * Canonical key of a link target (playbooks match case-insensitively).
+ * @param {string} kind
+ * @param {string} target
+ * @returns {string}
+ */
+function linkKey(kind, target) {
+  return `${kind}:${kind === 'playbook' ? String(target).toLowerCase() : target}`;
+}
+
+/**
+ * All valid links in a markdown text, in order.
+ * @param {string} text
+ * @returns {{ kind: string, target: string, label: string|null, embed: boolean, raw: string, index: number }[]}
+ */
+function parseLinks(text) {
+  const links = [];
+  for (const m of String(text ?? '').matchAll(LINK_RE)) {
+    const link = parseLink(m[2]);
+    if (!link) continue;
+    links.push({ ...link, label: m[3]?.trim() || null, embed: m[1] === '!', raw: m[0], index: m.index });
+  }
+  return links;
+}
+
+/** Text of the line around a position, trimmed for display */
+function lineAround(text, index, max = 120) {
+  const start = text.lastIndexOf('\n', index) + 1;
+  const end = text.indexOf('\n', index);
+  const line = text.slice(start, end < 0 ? undefined : end).trim();
+  return line.length > max ? line.slice(0, max - 1) + '…' : line;
+}
+
+const _indexCache = new WeakMap();
+
+/**
+ * Backlink index of a notes array: link key → notes that link there.
+ * Embeds are not backlinks. Memoized per array instance.
+ * @param {Object[]} notes
+ * @returns {Map<string, { note: Object, count: number, context: string }[]>}
+ */
+function backlinkIndex(notes) {
+  const list = notes || [];
+  const cached = _indexCache.get(list);
+  if (cached) return cached;
+
+  const index = new Map();
+  for (const note of list) {
+    const content = note.content || '';
+    const seen = new Map();
+    for (const link of parseLinks(content)) {
+      if (link.embed) continue;
+      // A daily page doesn't backlink its own day
+      if (link.kind === 'day' && note.kind === 'daily' && note.date === link.target) continue;
+      const key = linkKey(link.kind, link.target);
+      const entry = seen.get(key);
+      if (entry) entry.count++;
+      else seen.set(key, { note, count: 1, context: lineAround(content, link.index) });
+    }
+    for (const [key, entry] of seen) {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(entry);
+    }
+  }
+  for (const entries of index.values()) {
+    entries.sort((a, b) => noteSortKey(b.note).localeCompare(noteSortKey(a.note)));
+  }
+  if (Array.isArray(notes)) _indexCache.set(notes, index);
+  return index;
+}
+
+/**
+ * Notes linking to a trade, day or playbook, newest first.
+ * @param {Object[]} notes
+ * @param {'trade'|'day'|'playbook'} kind
+ * @param {string} target
+ * @returns {{ note: Object, count: number, context: string }[]}
+ */
+function backlinksFor(notes, kind, target) {
+  if (!target) return [];
+  return backlinkIndex(notes).get(linkKey(kind, target)) || [];
+}
+
+// ─── Daily pages ────────────────────────────────────────────────
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+function dailyNoteId(date) {
+  return `daily_${date}`;
+}
+
+/**
+ * A new daily journal page with the day's debrief embedded.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object} Note
+ */
+function createDailyNote(date) {
+  return {
+    id: dailyNoteId(date),
+    kind: 'daily',
+    date,
+    title: `Daily Journal — ${date}`,
+    content: `![[debrief:${date}]]\n\n## Plan\n\n\n## Review\n\n`,
+    tags: ['daily'],
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Daily pages for trading days that don't have one yet, newest first.
+ * @param {Object[]} notes
+ * @param {Object[]} trades
+ * @param {string[]} [dismissed] - Days whose page was deleted; not recreated
+ * @returns {Object[]}
+ */
+function missingDailyNotes(notes, trades, dismissed = []) {
+  const have = new Set((notes || []).filter((n) => n.kind === 'daily').map((n) => n.date));
+  for (const day of dismissed || []) have.add(day);
+  const days = new Set();
+  for (const t of trades || []) {
+    const day = dayKey(t.date);
+    if (day && !have.has(day)) days.add(day);
+  }
+  return [...days].sort().reverse().map(createDailyNote);
+}
+
+/** Sort key: a daily page's date, otherwise when the note was last touched */
+function noteSortKey(note) {
+  return note.date || note.updatedAt || note.createdAt || '';
+}
+
+// ─── Full-text search ───────────────────────────────────────────
+
+/**
+ * Split a search query into lower-case terms; "quoted phrases" stay whole.
+ * @param {string} query
+ * @returns {string[]}
+ */
+function searchTerms(query) {
+  const terms = [];
+  for (const m of String(query ?? '').matchAll(/"([^"]+)"|(\S+)/g)) {
+    const term = (m[1] ?? m[2]).trim().toLowerCase();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+function countOf(haystack, needle) {
+  let n = 0;
+  for (let i = haystack.indexOf(needle); i >= 0; i = haystack.indexOf(needle, i + needle.length)) n++;
+  return n;
+}
+
+/** Plain-text excerpt around the first hit of any term */
+function snippetFor(content, terms, radius = 60) {
+  const text = markdownToText(content).replace(/\s+/g, ' ');
+  const lower = text.toLowerCase();
+  const hits = terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0);
+  if (!hits.length) return text.slice(0, radius * 2);
+  const at = Math.min(...hits);
+  const start = Math.max(0, at - radius);
+  const end = Math.min(text.length, at + radius * 2);
+  return (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '');
+}
+
+/**
+ * Full-text search over note titles, content and tags.
+ * Every term must match; title and tag hits rank higher.
+ * An empty query returns all notes, newest first.
+ *
+ * @param {Object[]} notes
+ * @param {string} query
+ * @returns {{ note: Object, score: number, snippet: string|null, terms: string[] }[]}
+ */
+function searchNotes(notes, query) {
+  const terms = searchTerms(query);
+  const byDate = (a, b) => noteSortKey(b.note).localeCompare(noteSortKey(a.note));
+  if (!terms.length) {
+    return (notes || []).map((note) => ({ note, score: 0, snippet: null, terms })).sort(byDate);
+  }
+
+  const results = [];
+  for (const note of notes || []) {
+    const title = (note.title || '').toLowerCase();
+    const content = (note.content || '').toLowerCase();
+    const tags = (note.tags || []).map((t) => String(t).toLowerCase());
+    let score = 0;
+    let all = true;
+    for (const term of terms) {
+      const s = countOf(title, term) * 5 + tags.filter((t) => t.includes(term)).length * 3 + countOf(content, term);
+      if (!s) { all = false; break; }
+      score += s;
+    }
+    if (all) results.push({ note, score, snippet: snippetFor(note.content || '', terms), terms });
+  }
+  return results.sort((a, b) => b.score - a.score || byDate(a, b));
+}
+
+// ─── Link autocomplete ──────────────────────────────────────────
+
+/** Short label of a trade for link chips and suggestions */
+function tradeLabel(trade) {
+  if (!trade) return 'Missing trade';
+  return [trade.symbol, trade.side, dayKey(trade.date)].filter(Boolean).join(' ');
+}
+
+/**
+ * Autocomplete an unclosed [[ link before the cursor.
+ * @param {string} text
+ * @param {number} cursor
+ * @param {Object} [sources] - { trades, playbooks } (playbooks: names or { name })
+ * @param {number} [limit=8]
+ * @returns {{ from: number, to: number, items: { label: string, insert: string, detail?: string }[] }|null}
+ */
+function suggestLinks(text, cursor, sources = {}, limit = 8) {
+  const src = String(text ?? '');
+  const at = Math.max(0, Math.min(cursor ?? src.length, src.length));
+  const open = /\[\[([^[\]\n]*)$/.exec(src.slice(0, at));
+  if (!open) return null;
+
+  const from = open.index;
+  const to = at + (src.slice(at).startsWith(']]') ? 2 : 0);
+  const prefix = open[1].toLowerCase();
+  const trades = [...(sources.trades || [])].sort((a, b) => String(b.date).localeCompare(String(a.date)));
+  const items = [];
+
+  const tradeItems = (q) => {
+    for (const t of trades) {
+      if (items.length >= limit) break;
+      const sym = (t.symbol || '').toLowerCase();
+      if (q && !sym.startsWith(q) && !String(t.id).toLowerCase().startsWith(q)) continue;
+      items.push({
+        label: tradeLabel(t),
+        insert: `[[trade:${t.id}]]`,
+        detail: t.pnl != null ? `${t.pnl >= 0 ? '+' : ''}${Math.round(t.pnl * 100) / 100}` : undefined,
+      });
+    }
+  };
+
+  if (prefix.startsWith('trade:')) {
+    tradeItems(prefix.slice(6).trim());
+  } else if (prefix.startsWith('playbook:') || prefix.startsWith('pb:')) {
+    const q = prefix.slice(prefix.indexOf(':') + 1).trim();
+    const names = new Map();
+    for (const p of sources.playbooks || []) {
+      const name = typeof p === 'string' ? p : p?.name;
+      if (name) names.set(name.toLowerCase(), name);
+    }
+    for (const t of trades) if (t.playbook) names.set(t.playbook.toLowerCase(), t.playbook);
+    for (const [lower, name] of [...names].sort((a, b) => a[1].localeCompare(b[1]))) {
+      if (lower.startsWith(q) && items.length < limit) items.push({ label: name, insert: `[[playbook:${name}]]` });
+    }
+  } else {
+    for (const kw of ['trade:', 'playbook:']) {
+      if (kw.startsWith(prefix)) items.push({ label: kw, insert: `[[${kw}`, detail: `Link a ${kw.slice(0, -1)}` });
+    }
+    const days = [...new Set(trades.map((t) => dayKey(t.date)).filter(Boolean))];
+    for (const day of days) {
+      if (items.length >= limit) break;
+      if (day.startsWith(prefix)) items.push({ label: day, insert: `[[${day}]]`, detail: 'Trading day' });
+    }
+    if (prefix && /^[a-z]/.test(prefix)) tradeItems(prefix);
+  }
+  return { from, to, items: items.slice(0, limit) };
+}
+
+export {
+  dayKey,
+  parseLink,
+  linkKey,
+  parseLinks,
+  backlinkIndex,
+  backlinksFor,
+  dailyNoteId,
+  createDailyNote,
+  missingDailyNotes,
+  noteSortKey,
+  searchTerms,
+  searchNotes,
+  tradeLabel,
+  suggestLinks,
+};
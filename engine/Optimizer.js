@@ -0,0 +1,357 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Strategy Optimizer
+//
+// Parameter sweeps and walk-forward analysis for strategy scripts
+// (see Backtester.js). Every candidate is a full backtest, scored
+// with computeFast() metrics.
+//
+// Ranges — per param, either a list of values or a numeric range:
+//   { fast: { min: 5, max: 20, step: 5 }, slow: [30, 50, 100] }
+// rangesFromParams() derives ranges from param() declarations.
+//
+// Search methods:
+//   'grid'   — every combination (capped at maxCombos)
+//   'random' — `samples` random combinations (seeded, reproducible)
+//
+// Objectives (higher score is better; drawdown is negated):
+//   netPnl | sharpe | profitFactor | maxDd
+// All are computed from trade P&L net of commission (Backtester.js).
+// maxDd is the dollar peak-to-trough fall of cumulative P&L; a set
+// that doesn't make money ranks last on it, however shallow its
+// drawdown. Sets with fewer than minTrades trades always rank last.
+//
+// Walk-forward: bars are split into `folds` consecutive windows.
+// Each window is optimized on its first inSamplePct of bars, then
+// the winning params are run on the rest (out-of-sample). Windows are
+// rolling by default; anchored: true grows the in-sample from bar 0.
+// Indicators always warm up on all prior history — only trades
+// entered inside a segment count toward that segment.
+//
+// Pure functions — no store deps. Runs in optimizer.worker.js.
+// ═══════════════════════════════════════════════════════════════════
+
+import { executeScript } from './ScriptEngine.js';
+import { runBacktest, maxDrawdown } from './Backtester.js';
+import { computeFast } from './analyticsFast.js';
+
+const OBJECTIVES = {
+  netPnl: { label: 'Net P&L', score: (m) => m.netPnl },
+  sharpe: { label: 'Sharpe', score: (m) => m.sharpe },
+  profitFactor: { label: 'Profit Factor', score: (m) => (Number.isFinite(m.profitFactor) ? m.profitFactor : 1e6) },
+  maxDd: { label: 'Max Drawdown', score: (m) => -m.maxDd, profitableOnly: true },
+};
+
+const SEARCH_METHODS = ['grid', 'random'];
+
+const DEFAULT_MAX_COMBOS = 2000;
+
+// ─── Parameter Space ────────────────────────────────────────────
+
+/**
+ * Expand one range spec into its candidate values.
+ * @param {Array|Object|number} spec - [values] | { min, max, step } | fixed value
+ * @returns {Array}
+ */
+function rangeValues(spec) {
+  if (Array.isArray(spec)) return spec;
+  if (spec == null || typeof spec !== 'object') return [spec];
+  const min = Number(spec.min);
+  const max = Number(spec.max);
+  if (!Number.isFinite(min) || !Number.isFinite(max) || max < min) return [];
+  const step = Number(spec.step) > 0 ? Number(spec.step) : 1;
+  const out = [];
+  // Round to the step's precision so 0.1 steps don't drift
+  const decimals = (String(step).split('.')[1] || '').length;
+  for (let i = 0; ; i++) {
+    const v = Number((min + i * step).toFixed(decimals));
+    if (v > max + 1e-9) break;
+    out.push(v);
+  }
+  return out;
+}
+
+/**
+ * Default sweep ranges from a script's declared params.
+ * Params without numeric min/max are left out (held at their value).
+ *
+ * @param {Object} declared - executeScript().params — { name: { default, min, max, step } }
+ * @returns {Object} ranges
+ */
+function rangesFromParams(declared = {}) {
+  const ranges = {};
+  for (const [name, p] of Object.entries(declared)) {
+    if (typeof p.default !== 'number' || !Number.isFinite(p.min) || !Number.isFinite(p.max)) continue;
+    ranges[name] = { min: p.min, max: p.max, step: p.step || Math.max(1, Math.round((p.max - p.min) / 10)) };
+  }
+  return ranges;
+}
+
+/**
+ * Number of grid combinations for a set of ranges.
+ * @param {Object} ranges
+ * @returns {number}
+ */
+function comboCount(ranges) {
+  return Object.values(ranges).reduce((n, spec) => n * rangeValues(spec).length, 1);
+}
+
+/**
+ * Every combination of the given ranges.
+ * @param {Object} ranges
+ * @param {number} [max=2000] - Stop after this many combinations
+ * @returns {Object[]}
+ */
+function paramGrid(ranges, max = DEFAULT_MAX_COMBOS) {
+  let combos = [{}];
+  for (const [name, spec] of Object.entries(ranges)) {
+    const values = rangeValues(spec);
+    if (!values.length) continue;
+    const next = [];
+    for (const c of combos) {
+      for (const v of values) {
+        if (next.length >= max) break;
+        next.push({ ...c, [name]: v });
+      }
+    }
+    combos = next;
+  }
+  return combos;
+}
+
+// mulberry32 — small seeded PRNG so random searches can be repeated
+function _rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random distinct combinations of the given ranges.
+ * @param {Object} ranges
+ * @param {number} samples
+ * @param {number} [seed=1]
+ * @returns {Object[]}
+ */
+function randomParams(ranges, samples, seed = 1) {
+  const entries = Object.entries(ranges).map(([k, spec]) => [k, rangeValues(spec)]).filter(([, v]) => v.length);
+  const total = entries.reduce((n, [, v]) => n * v.length, 1);
+  const want = Math.min(samples, total);
+  const rand = _rng(seed);
+  const seen = new Set();
+  const out = [];
+  // Bounded attempts — duplicates get likelier as want → total
+  for (let attempt = 0; out.length < want && attempt < want * 20; attempt++) {
+    const combo = {};
+    for (const [k, values] of entries) combo[k] = values[Math.floor(rand() * values.length)];
+    const key = JSON.stringify(combo);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(combo);
+  }
+  return out;
+}
+
+// ─── Evaluation ─────────────────────────────────────────────────
+
+function _barMs(bar) {
+  const t = bar?.time;
+  if (typeof t === 'number') return t < 1e12 ? t * 1000 : t;
+  return Date.parse(t);
+}
+
+/**
+ * Index range [start, end) of bars inside a date range.
+ * @param {Object[]} bars
+ * @param {string|number} [from]
+ * @param {string|number} [to] - Date-only values include the whole day
+ * @returns {{ start: number, end: number }}
+ */
+function barRange(bars, from, to) {
+  const fromMs = from ? Date.parse(from) : -Infinity;
+  const toMs = to
+    ? Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(String(to)) ? `${to}T23:59:59.999Z` : to)
+    : Infinity;
+  let start = 0;
+  while (start < bars.length && _barMs(bars[start]) < fromMs) start++;
+  let end = start;
+  while (end < bars.length && _barMs(bars[end]) <= toMs) end++;
+  return { start, end };
+}
+
+/**
+ * Summary metrics for a set of trades. maxDd is in dollars.
+ * @param {Object[]} trades - Backtest trades in exit order
+ * @returns {{ netPnl, sharpe, profitFactor, maxDd, winRate, trades }}
+ */
+function _cumulative(trades) {
+  let cum = 0;
+  return trades.map((t) => (cum += t.pnl || 0));
+}
+
+function metricsOf(trades) {
+  if (!trades.length) return { netPnl: 0, sharpe: 0, profitFactor: 0, maxDd: 0, winRate: 0, trades: 0 };
+  // Monte Carlo is irrelevant for ranking and dominates runtime
+  const a = computeFast(trades, { mcRuns: 0 });
+  return {
+    netPnl: a.totalPnl,   // backtest trade pnl is net of fees
+    sharpe: a.sharpe,
+    profitFactor: a.pf,
+    maxDd: maxDrawdown(_cumulative(trades)),
+    winRate: a.winRate,
+    trades: trades.length,
+  };
+}
+
+/**
+ * Backtest a script over bars[start, end) with given params.
+ * The script sees bars[0, end) so indicators are warmed up; only
+ * signals from `start` on are traded.
+ *
+ * @returns {{ trades: Object[], error: string|null }}
+ */
+function backtestRange(code, bars, start, end, params, opts = {}) {
+  const slice = bars.slice(0, end);
+  const res = executeScript(code, slice, params);
+  if (res.error) return { trades: [], error: res.error };
+  const signals = res.signals.filter((s) => s.barIdx >= start);
+  const { trades } = runBacktest(slice, signals, opts);
+  return { trades, error: null };
+}
+
+function _candidates(opts) {
+  const ranges = opts.ranges || {};
+  return opts.method === 'random'
+    ? randomParams(ranges, opts.samples || 100, opts.seed ?? 1)
+    : paramGrid(ranges, opts.maxCombos || DEFAULT_MAX_COMBOS);
+}
+
+/**
+ * Backtest every candidate param set over one bar range and rank them.
+ *
+ * @param {string} code
+ * @param {Object[]} bars
+ * @param {Object} opts
+ * @param {Object} opts.ranges - Param ranges (see header)
+ * @param {string} [opts.method='grid'] - 'grid' | 'random'
+ * @param {number} [opts.samples=100] - Random search size
+ * @param {number} [opts.seed=1] - Random search seed
+ * @param {string} [opts.objective='netPnl'] - Key of OBJECTIVES
+ * @param {number} [opts.minTrades=1] - Candidates with fewer trades rank last
+ * @param {Object} [opts.baseParams] - Values for params that aren't swept
+ * @param {string} [opts.from] / [opts.to] - Date range to trade
+ * @param {Object} [opts.backtest] - runBacktest() options
+ * @param {Function} [opts.onProgress] - (done, total) => void
+ * @returns {{ results: Object[], best: Object|null, objective: string, tested: number, errors: number }}
+ */
+function runSweep(code, bars, opts = {}) {
+  const { start, end } = barRange(bars, opts.from, opts.to);
+  return _sweep(code, bars, start, end, _candidates(opts), opts);
+}
+
+function _sweep(code, bars, start, end, candidates, opts) {
+  const objective = OBJECTIVES[opts.objective] ? opts.objective : 'netPnl';
+  const { score, profitableOnly } = OBJECTIVES[objective];
+  const minTrades = opts.minTrades ?? 1;
+  const eligible = (m) => m.trades >= minTrades && (!profitableOnly || m.netPnl > 0);
+  const results = [];
+  let errors = 0;
+
+  candidates.forEach((combo, i) => {
+    const params = { ...opts.baseParams, ...combo };
+    const { trades, error } = backtestRange(code, bars, start, end, params, opts.backtest);
+    if (error) errors++;
+    else {
+      const metrics = metricsOf(trades);
+      results.push({ params, metrics, score: eligible(metrics) ? score(metrics) : -Infinity });
+    }
+    opts.onProgress?.(i + 1, candidates.length);
+  });
+
+  results.sort((a, b) => (b.score - a.score) || 0);   // -Infinity ties give NaN
+  const best = results.length && results[0].score > -Infinity ? results[0] : null;
+  return { results, best, objective, tested: candidates.length, errors };
+}
+
+/**
+ * Walk-forward optimization.
+ *
+ * @param {string} code
+ * @param {Object[]} bars
+ * @param {Object} opts - runSweep() options, plus:
+ * @param {number} [opts.folds=4] - Number of windows
+ * @param {number} [opts.inSamplePct=0.7] - In-sample share of each window
+ * @param {boolean} [opts.anchored=false] - Grow in-sample from the first bar
+ * @returns {{ folds: Object[], oosTrades: Object[], oosMetrics: Object, efficiency: number|null, objective: string }}
+ */
+function walkForward(code, bars, opts = {}) {
+  const { start, end } = barRange(bars, opts.from, opts.to);
+  const folds = Math.max(1, Math.floor(opts.folds || 4));
+  const isPct = Math.min(0.95, Math.max(0.05, opts.inSamplePct ?? 0.7));
+  const objective = OBJECTIVES[opts.objective] ? opts.objective : 'netPnl';
+  const score = OBJECTIVES[objective].score;
+  const candidates = _candidates(opts);
+  const span = (end - start) / folds;
+  const total = candidates.length * folds;
+
+  const out = [];
+  const oosTrades = [];
+  for (let f = 0; f < folds; f++) {
+    const winStart = start + Math.round(f * span);
+    const winEnd = f === folds - 1 ? end : start + Math.round((f + 1) * span);
+    const isStart = opts.anchored ? start : winStart;
+    const isEnd = winStart + Math.round((winEnd - winStart) * isPct);
+
+    const sweep = _sweep(code, bars, isStart, isEnd, candidates, {
+      ...opts,
+      objective,
+      onProgress: opts.onProgress ? (done) => opts.onProgress(f * candidates.length + done, total) : null,
+    });
+    const fold = {
+      fold: f + 1,
+      inSample: { start: isStart, end: isEnd, from: bars[isStart]?.time, to: bars[isEnd - 1]?.time },
+      outOfSample: { start: isEnd, end: winEnd, from: bars[isEnd]?.time, to: bars[winEnd - 1]?.time },
+      params: sweep.best?.params || null,
+      inSampleMetrics: sweep.best?.metrics || null,
+      inSampleScore: sweep.best?.score ?? null,
+      outOfSampleMetrics: null,
+      outOfSampleScore: null,
+    };
+    if (sweep.best && winEnd > isEnd) {
+      const { trades } = backtestRange(code, bars, isEnd, winEnd, sweep.best.params, opts.backtest);
+      fold.outOfSampleMetrics = metricsOf(trades);
+      fold.outOfSampleScore = score(fold.outOfSampleMetrics);
+      oosTrades.push(...trades);
+    }
+    out.push(fold);
+  }
+
+  // Walk-forward efficiency: how much of the in-sample score survives
+  const scored = out.filter((f) => f.inSampleScore != null && f.outOfSampleScore != null);
+  const isSum = scored.reduce((s, f) => s + f.inSampleScore, 0);
+  const oosSum = scored.reduce((s, f) => s + f.outOfSampleScore, 0);
+  const efficiency = scored.length && isSum > 0 && objective !== 'maxDd'
+    ? Math.round((oosSum / isSum) * 100) / 100
+    : null;
+
+  return { folds: out, oosTrades, oosMetrics: metricsOf(oosTrades), efficiency, objective };
+}
+
+export {
+  OBJECTIVES,
+  SEARCH_METHODS,
+  rangeValues,
+  rangesFromParams,
+  comboCount,
+  paramGrid,
+  randomParams,
+  barRange,
+  metricsOf,
+  backtestRange,
+  runSweep,
+  walkForward,
+};
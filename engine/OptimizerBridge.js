@@ -0,0 +1,104 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — OptimizerBridge
+//
+// Starts Optimizer.js runs in optimizer.worker.js so long sweeps
+// don't block the UI. Each run gets its own worker; cancel()
+// terminates it. Falls back to running synchronously when Workers
+// are unavailable (SSR, tests).
+//
+// Usage:
+//   const run = startOptimization('sweep', code, bars, opts, {
+//     onProgress: (done, total) => ...,
+//   });
+//   const { data, ms, mode } = await run.promise;
+//   run.cancel();
+// ═══════════════════════════════════════════════════════════════════
+
+import { runSweep, walkForward } from './Optimizer.js';
+
+let _idCounter = 0;
+
+const _now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+function _runSync(kind, code, bars, opts, onProgress) {
+  const t0 = _now();
+  const run = kind === 'walkForward' ? walkForward : runSweep;
+  const data = run(code, bars, { ...opts, onProgress });
+  return { data, ms: Math.round((_now() - t0) * 100) / 100, mode: 'sync' };
+}
+
+/**
+ * Start an optimization run.
+ *
+ * @param {'sweep'|'walkForward'} kind
+ * @param {string} code - Strategy script source
+ * @param {Object[]} bars
+ * @param {Object} opts - runSweep() / walkForward() options (no callbacks)
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.onProgress] - (done, total) => void
+ * @returns {{ promise: Promise<{ data: Object, ms: number, mode: 'worker'|'sync' }>, cancel: () => void }}
+ */
+function startOptimization(kind, code, bars, opts = {}, { onProgress } = {}) {
+  if (typeof Worker === 'undefined') {
+    let promise;
+    try {
+      promise = Promise.resolve(_runSync(kind, code, bars, opts, onProgress));
+    } catch (err) {
+      promise = Promise.reject(err);
+    }
+    return { promise, cancel: () => {} };
+  }
+
+  let worker;
+  let settle = null;
+  const id = ++_idCounter;
+
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+    try {
+      worker = new Worker(new URL('./optimizer.worker.js', import.meta.url), { type: 'module' });
+    } catch {
+      // Worker creation failed (CSP, module support) — run inline
+      settle = null;
+      try { resolve(_runSync(kind, code, bars, opts, onProgress)); } catch (err) { reject(err); }
+      return;
+    }
+
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.id !== id) return;
+      if (msg.type === 'progress') {
+        onProgress?.(msg.done, msg.total);
+        return;
+      }
+      const s = settle;
+      settle = null;
+      worker.terminate();
+      if (!s) return;
+      if (msg.type === 'error') s.reject(new Error(msg.error));
+      else s.resolve({ data: msg.data, ms: msg.ms, mode: 'worker' });
+    };
+    worker.onerror = (err) => {
+      const s = settle;
+      settle = null;
+      worker.terminate();
+      s?.reject(new Error(err.message || 'Optimizer worker error'));
+    };
+
+    worker.postMessage({ type: kind, code, bars, opts, id });
+  });
+
+  return {
+    promise,
+    cancel() {
+      worker?.terminate();
+      if (settle) {
+        settle.reject(new Error('Optimization cancelled'));
+        settle = null;
+      }
+    },
+  };
+}
+
+export { startOptimization };
+export default startOptimization;
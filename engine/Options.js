@@ -0,0 +1,638 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Options Engine
+//
+// Option legs, multi-leg strategy grouping and Black-Scholes pricing.
+//
+// An option leg is a trade with contract fields:
+//   { underlying, optionType: 'call'|'put', strike, expiry: 'YYYY-MM-DD',
+//     multiplier (default 100), side, qty, entry, exit, pnl, fees }
+//
+// Legs opened together on the same underlying (spreads, straddles,
+// iron condors, …) are grouped into one strategy trade:
+//
+//   { symbol: underlying, assetClass: 'options', strategy: 'iron_condor',
+//     legs: [...], entry: net debit/credit per unit, side: 'long' (debit)
+//     | 'short' (credit), expiry: nearest leg expiry, pnl: Σ legs }
+//
+// classifyStrategy() names the structure from the legs alone.
+// greeksAtEntry() backs implied volatility out of each leg's entry
+// premium given the underlying price at entry, then sums Greeks.
+//
+// Pure functions — no store deps.
+// ═══════════════════════════════════════════════════════════════════
+
+import { roundMoney } from './Money.js';
+
+const DAY_MS = 86_400_000;
+const YEAR_MS = 365 * DAY_MS;
+const DEFAULT_MULTIPLIER = 100;
+const DEFAULT_RATE = 0.04;        // annual risk-free rate for IV/Greeks
+const DEFAULT_GROUP_WINDOW_MS = 60_000;
+
+const STRATEGY_LABELS = {
+  long_call: 'Long Call',
+  short_call: 'Short Call',
+  long_put: 'Long Put',
+  short_put: 'Short Put',
+  bull_call_spread: 'Bull Call Spread',
+  bear_call_spread: 'Bear Call Spread',
+  bull_put_spread: 'Bull Put Spread',
+  bear_put_spread: 'Bear Put Spread',
+  ratio_spread: 'Ratio Spread',
+  long_straddle: 'Long Straddle',
+  short_straddle: 'Short Straddle',
+  long_strangle: 'Long Strangle',
+  short_strangle: 'Short Strangle',
+  iron_condor: 'Iron Condor',
+  reverse_iron_condor: 'Reverse Iron Condor',
+  iron_butterfly: 'Iron Butterfly',
+  long_butterfly: 'Long Butterfly',
+  short_butterfly: 'Short Butterfly',
+  calendar: 'Calendar',
+  diagonal: 'Diagonal',
+  covered_call: 'Covered Call',
+  protective_put: 'Protective Put',
+  custom: 'Custom',
+};
+
+// Days to expiry at entry; `max` is inclusive
+const DTE_BUCKETS = [
+  { label: '0DTE', max: 0 },
+  { label: '1–7d', max: 7 },
+  { label: '8–30d', max: 30 },
+  { label: '31–60d', max: 60 },
+  { label: '60d+', max: Infinity },
+];
+
+// ─── Contract Parsing ───────────────────────────────────────────
+
+/**
+ * Normalize an option type spelling ('C', 'Call', 'PUT', …).
+ * @param {string} raw
+ * @returns {'call'|'put'|null}
+ */
+function normalizeOptionType(raw) {
+  const s = String(raw || '').trim().toLowerCase();
+  if (s === 'c' || s === 'call' || s === 'calls') return 'call';
+  if (s === 'p' || s === 'put' || s === 'puts') return 'put';
+  return null;
+}
+
+/**
+ * Coerce a date-ish value to 'YYYY-MM-DD'.
+ * @param {string|Date} raw
+ * @returns {string|null}
+ */
+function normalizeExpiry(raw) {
+  if (!raw) return null;
+  const s = String(raw).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(s)) return s.slice(0, 10);
+  const d = new Date(s);
+  if (isNaN(d.getTime())) return null;
+  // Local calendar date — "3/15/2024" must not shift across UTC midnight
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Parse an OCC option symbol ("SPY240315C00510000", "SPY   240315P00495500")
+ * or the short ".SPY240315C510" form.
+ *
+ * @param {string} symbol
+ * @returns {{ underlying: string, expiry: string, optionType: 'call'|'put', strike: number }|null}
+ */
+function parseOccSymbol(symbol) {
+  const s = String(symbol || '').trim().toUpperCase().replace(/^\./, '');
+  const m = s.match(/^([A-Z][A-Z0-9.]{0,5})\s*(\d{2})(\d{2})(\d{2})([CP])(\d+(?:\.\d+)?)$/);
+  if (!m) return null;
+  const [, underlying, yy, mm, dd, cp, rawStrike] = m;
+  // OCC strikes are 8 digits with 3 implied decimals
+  const strike = /^\d{8}$/.test(rawStrike) ? parseInt(rawStrike, 10) / 1000 : parseFloat(rawStrike);
+  if (!(strike > 0)) return null;
+  return {
+    underlying,
+    expiry: `20${yy}-${mm}-${dd}`,
+    optionType: cp === 'C' ? 'call' : 'put',
+    strike,
+  };
+}
+
+/**
+ * Parse a broker description like "SPY 3/15/2024 Call $510.00".
+ * @param {string} desc
+ * @returns {{ underlying: string, expiry: string, optionType: 'call'|'put', strike: number }|null}
+ */
+function parseOptionDescription(desc) {
+  const m = String(desc || '').match(/([A-Z][A-Z0-9.]{0,5})\s+(\d{1,2}\/\d{1,2}\/\d{2,4})\s+(call|put)\s+\$?([\d,]+(?:\.\d+)?)/i);
+  if (!m) return null;
+  const strike = parseFloat(m[4].replace(/,/g, ''));
+  const expiry = normalizeExpiry(m[2]);
+  if (!(strike > 0) || !expiry) return null;
+  return { underlying: m[1].toUpperCase(), expiry, optionType: normalizeOptionType(m[3]), strike };
+}
+
+/**
+ * Build a readable contract symbol: "SPY 240315C510".
+ * @param {Object} leg - { underlying, expiry, optionType, strike }
+ * @returns {string}
+ */
+function optionSymbol(leg) {
+  const exp = String(leg.expiry || '').replace(/-/g, '').slice(2);
+  return `${leg.underlying} ${exp}${leg.optionType === 'put' ? 'P' : 'C'}${+Number(leg.strike).toFixed(3)}`;
+}
+
+/**
+ * True when a trade (or leg) carries option contract fields.
+ * @param {Object} t
+ * @returns {boolean}
+ */
+function isOptionLeg(t) {
+  return !!(t && normalizeOptionType(t.optionType) && t.strike > 0 && t.expiry);
+}
+
+// ─── Expiry Math ────────────────────────────────────────────────
+
+/**
+ * Calendar days from a date to expiry (0 on expiration day).
+ * @param {string} expiry - 'YYYY-MM-DD'
+ * @param {string|number} from - ISO date or ms
+ * @returns {number|null}
+ */
+function daysToExpiry(expiry, from) {
+  const exp = normalizeExpiry(expiry);
+  const d = new Date(from);
+  if (!exp || isNaN(d.getTime())) return null;
+  const fromDay = Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+  return Math.round((Date.parse(exp + 'T00:00:00Z') - fromDay) / DAY_MS);
+}
+
+/**
+ * Year fraction from a timestamp to the close on expiry day
+ * (16:00 New York ≈ 20:00 UTC). Floored at one minute so 0DTE
+ * trades near the bell still price.
+ * @param {string} expiry
+ * @param {string|number} from
+ * @returns {number|null}
+ */
+function yearsToExpiry(expiry, from) {
+  const exp = normalizeExpiry(expiry);
+  const fromMs = new Date(from).getTime();
+  if (!exp || isNaN(fromMs)) return null;
+  const expMs = Date.parse(exp + 'T20:00:00Z');
+  return Math.max(expMs - fromMs, 60_000) / YEAR_MS;
+}
+
+/**
+ * @param {number|null} dte
+ * @returns {string|null} DTE_BUCKETS label
+ */
+function dteBucket(dte) {
+  if (dte == null || isNaN(dte)) return null;
+  return DTE_BUCKETS.find((b) => Math.max(0, dte) <= b.max).label;
+}
+
+// ─── Black-Scholes ──────────────────────────────────────────────
+
+/** Standard normal PDF. */
+function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/** Standard normal CDF (Abramowitz & Stegun 26.2.17, |err| < 7.5e-8). */
+function normCdf(x) {
+  const k = 1 / (1 + 0.2316419 * Math.abs(x));
+  const poly = k * (0.319381530 + k * (-0.356563782 + k * (1.781477937 + k * (-1.821255978 + k * 1.330274429))));
+  const tail = normPdf(x) * poly;
+  return x >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Black-Scholes (Merton) price and Greeks for one contract unit.
+ *
+ * @param {Object} p
+ * @param {'call'|'put'} p.type
+ * @param {number} p.S - Underlying price
+ * @param {number} p.K - Strike
+ * @param {number} p.T - Years to expiry
+ * @param {number} p.sigma - Annualized volatility (0.25 = 25%)
+ * @param {number} [p.r=DEFAULT_RATE] - Risk-free rate
+ * @param {number} [p.q=0] - Dividend yield
+ * @returns {{ price: number, delta: number, gamma: number, theta: number, vega: number }|null}
+ *   theta per calendar day, vega per 1 vol point
+ */
+function blackScholes({ type, S, K, T, sigma, r = DEFAULT_RATE, q = 0 }) {
+  if (!(S > 0) || !(K > 0) || !(T > 0) || !(sigma > 0)) return null;
+  const sqrtT = Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (r - q + 0.5 * sigma * sigma) * T) / (sigma * sqrtT);
+  const d2 = d1 - sigma * sqrtT;
+  const dq = Math.exp(-q * T);
+  const dr = Math.exp(-r * T);
+  const pdf = normPdf(d1);
+
+  const gamma = (dq * pdf) / (S * sigma * sqrtT);
+  const vega = (S * dq * pdf * sqrtT) / 100;
+  const decay = -(S * dq * pdf * sigma) / (2 * sqrtT);
+
+  if (type === 'put') {
+    return {
+      price: K * dr * normCdf(-d2) - S * dq * normCdf(-d1),
+      delta: dq * (normCdf(d1) - 1),
+      gamma,
+      theta: (decay + r * K * dr * normCdf(-d2) - q * S * dq * normCdf(-d1)) / 365,
+      vega,
+    };
+  }
+  return {
+    price: S * dq * normCdf(d1) - K * dr * normCdf(d2),
+    delta: dq * normCdf(d1),
+    gamma,
+    theta: (decay - r * K * dr * normCdf(d2) + q * S * dq * normCdf(d1)) / 365,
+    vega,
+  };
+}
+
+/**
+ * Implied volatility by bisection. Returns null when the premium is
+ * outside no-arbitrage bounds (below intrinsic or above the ceiling).
+ *
+ * @param {number} premium - Option price per unit
+ * @param {Object} p - { type, S, K, T, r, q }
+ * @returns {number|null} Annualized volatility
+ */
+function impliedVol(premium, { type, S, K, T, r = DEFAULT_RATE, q = 0 }) {
+  if (!(premium > 0) || !(S > 0) || !(K > 0) || !(T > 0)) return null;
+  const priceAt = (sigma) => blackScholes({ type, S, K, T, sigma, r, q }).price;
+
+  let lo = 1e-4;
+  let hi = 5;
+  if (premium < priceAt(lo) - 1e-6 || premium > priceAt(hi)) return null;
+
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (priceAt(mid) < premium) lo = mid; else hi = mid;
+    if (hi - lo < 1e-6) break;
+  }
+  return (lo + hi) / 2;
+}
+
+// ─── Strategy Classification ────────────────────────────────────
+
+function _dir(leg) {
+  return leg.side === 'short' ? -1 : 1;
+}
+
+// Merge duplicate contracts (same type/strike/expiry/side) so a
+// 1-2-1 butterfly entered as four legs still classifies.
+function _mergeLegs(legs) {
+  const map = new Map();
+  for (const l of legs) {
+    const key = `${l.optionType || 'stock'}|${l.strike || ''}|${l.expiry || ''}|${l.side}`;
+    if (map.has(key)) map.get(key).qty += l.qty || 1;
+    else map.set(key, { ...l, qty: l.qty || 1 });
+  }
+  return [...map.values()];
+}
+
+/**
+ * Name the structure formed by a set of legs.
+ * Stock legs (no optionType) are allowed for covered calls and
+ * protective puts.
+ *
+ * @param {Object[]} legs - { optionType, strike, expiry, side, qty }
+ * @returns {string} STRATEGY_LABELS key
+ */
+function classifyStrategy(legs) {
+  const merged = _mergeLegs((legs || []).map((l) => ({ ...l, optionType: normalizeOptionType(l.optionType) })));
+  const opts = merged.filter((l) => l.optionType);
+  const stock = merged.filter((l) => !l.optionType);
+
+  if (stock.length) {
+    if (stock.length === 1 && opts.length === 1 && stock[0].side === 'long') {
+      const o = opts[0];
+      if (o.optionType === 'call' && o.side === 'short') return 'covered_call';
+      if (o.optionType === 'put' && o.side === 'long') return 'protective_put';
+    }
+    return 'custom';
+  }
+
+  const n = opts.length;
+  if (n === 0) return 'custom';
+  if (n === 1) return `${opts[0].side === 'short' ? 'short' : 'long'}_${opts[0].optionType}`;
+
+  const sameExpiry = opts.every((l) => l.expiry === opts[0].expiry);
+  const sameQty = opts.every((l) => l.qty === opts[0].qty);
+  const byStrike = [...opts].sort((a, b) => a.strike - b.strike);
+
+  if (n === 2) {
+    const [a, b] = byStrike;
+    if (!sameExpiry) {
+      if (a.optionType !== b.optionType || a.side === b.side) return 'custom';
+      return a.strike === b.strike ? 'calendar' : 'diagonal';
+    }
+    if (a.optionType === b.optionType) {
+      if (a.side === b.side || a.strike === b.strike) return 'custom';
+      if (!sameQty) return 'ratio_spread';
+      // a = lower strike
+      if (a.optionType === 'call') return a.side === 'long' ? 'bull_call_spread' : 'bear_call_spread';
+      return b.side === 'long' ? 'bear_put_spread' : 'bull_put_spread';
+    }
+    if (a.side !== b.side || !sameQty) return 'custom';
+    const side = a.side === 'short' ? 'short' : 'long';
+    return a.strike === b.strike ? `${side}_straddle` : `${side}_strangle`;
+  }
+
+  if (!sameExpiry) return 'custom';
+
+  if (n === 3 && opts.every((l) => l.optionType === opts[0].optionType)) {
+    const [lo, mid, hi] = byStrike;
+    const wingsMatch = lo.side === hi.side && lo.qty === hi.qty && mid.side !== lo.side;
+    const centered = Math.abs((mid.strike - lo.strike) - (hi.strike - mid.strike)) < 1e-9;
+    if (wingsMatch && centered && mid.qty === 2 * lo.qty) {
+      return lo.side === 'long' ? 'long_butterfly' : 'short_butterfly';
+    }
+    return 'custom';
+  }
+
+  if (n === 4 && sameQty) {
+    const puts = byStrike.filter((l) => l.optionType === 'put');
+    const calls = byStrike.filter((l) => l.optionType === 'call');
+    if (puts.length !== 2 || calls.length !== 2) return 'custom';
+    const [p1, p2] = puts;   // p1 lower strike (outer)
+    const [c1, c2] = calls;  // c2 higher strike (outer)
+    if (p1.side === p2.side || c1.side === c2.side) return 'custom';
+    if (p2.side !== c1.side || p2.strike > c1.strike) return 'custom';
+    if (p2.side === 'short') return p2.strike === c1.strike ? 'iron_butterfly' : 'iron_condor';
+    return 'reverse_iron_condor';
+  }
+
+  return 'custom';
+}
+
+/**
+ * Display label for a trade's option structure.
+ * @param {Object} trade
+ * @returns {string|null}
+ */
+function strategyOf(trade) {
+  if (trade?.strategy) return trade.strategy;
+  if (isOptionLeg(trade)) return classifyStrategy([trade]);
+  return null;
+}
+
+/**
+ * Worst-case loss at expiry for one unit of the strategy, in dollars
+ * (premium paid included). Null when loss is unbounded or legs expire
+ * on different dates (calendars depend on the back leg's value).
+ *
+ * @param {Object[]} legs - { optionType, strike, expiry, side, qty, entry, multiplier }
+ * @param {number} [units=1] - Strategy units (leg qty / units = ratio)
+ * @returns {number|null}
+ */
+function maxLoss(legs, units = 1) {
+  if (!legs?.length) return null;
+  const opts = legs.filter((l) => l.optionType);
+  if (opts.some((l) => l.expiry !== opts[0].expiry)) return null;
+
+  const payoff = (S) => legs.reduce((sum, l) => {
+    const type = normalizeOptionType(l.optionType);
+    const value = type === 'call' ? Math.max(0, S - l.strike)
+      : type === 'put' ? Math.max(0, l.strike - S)
+      : S;
+    const mult = type ? (l.multiplier || DEFAULT_MULTIPLIER) : 1;
+    return sum + _dir(l) * ((l.qty || 1) / units) * (value - (l.entry || 0)) * mult;
+  }, 0);
+
+  // Payoff is piecewise linear — slope past the top strike decides
+  // whether losses are bounded as S → ∞.
+  const upSlope = legs.reduce((s, l) => {
+    const type = normalizeOptionType(l.optionType);
+    return type === 'put' ? s : s + _dir(l) * (l.qty || 1) * (type ? (l.multiplier || DEFAULT_MULTIPLIER) : 1);
+  }, 0);
+  if (upSlope < 0) return null;
+
+  const points = [0, ...opts.map((l) => l.strike)];
+  const worst = Math.min(...points.map(payoff));
+  return worst < 0 ? roundMoney(-worst) : 0;
+}
+
+// ─── Strategy Grouping ──────────────────────────────────────────
+
+function _legOf(t) {
+  return {
+    id: t.id,
+    symbol: optionSymbol(t),
+    optionType: normalizeOptionType(t.optionType),
+    strike: t.strike,
+    expiry: normalizeExpiry(t.expiry),
+    multiplier: t.multiplier || DEFAULT_MULTIPLIER,
+    side: t.side === 'short' ? 'short' : 'long',
+    qty: t.qty ?? t.quantity ?? 1,
+    entry: t.entry,
+    exit: t.exit,
+    pnl: t.pnl,
+    fees: t.fees || 0,
+  };
+}
+
+/**
+ * Combine option legs into a single strategy trade.
+ *
+ * @param {Object[]} legTrades - Option leg trades on one underlying
+ * @returns {Object} Strategy trade
+ */
+function buildStrategyTrade(legTrades) {
+  const first = legTrades[0];
+  const legs = legTrades.map(_legOf);
+  const units = Math.min(...legs.map((l) => l.qty)) || 1;
+  const multiplier = legs[0].multiplier;
+
+  // Net value per unit in premium terms: + debit paid, − credit received
+  const netOpen = legs.reduce((s, l) => s + _dir(l) * l.entry * (l.qty / units), 0);
+  const netClose = legs.reduce((s, l) => s + _dir(l) * (l.exit || 0) * (l.qty / units), 0);
+  const sign = netOpen >= 0 ? 1 : -1;
+  const closed = legTrades.every((t) => t.closeDate);
+
+  const pnl = roundMoney(legs.reduce((s, l) => s + (l.pnl || 0), 0));
+  const risk = maxLoss(legs, units);
+  const strategy = classifyStrategy(legs);
+  const notes = [...new Set(legTrades.map((t) => t.notes).filter(Boolean))].join('\n');
+
+  return {
+    id: 'os_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+    date: legTrades.map((t) => t.date).sort()[0],
+    closeDate: closed ? legTrades.map((t) => t.closeDate).sort().pop() : null,
+    symbol: first.underlying,
+    underlying: first.underlying,
+    side: sign > 0 ? 'long' : 'short',
+    entry: +Math.abs(netOpen).toFixed(4),
+    exit: closed ? +(sign * netClose).toFixed(4) : null,
+    qty: units,
+    multiplier,
+    pnl,
+    fees: roundMoney(legs.reduce((s, l) => s + l.fees, 0)),
+    rMultiple: risk > 0 ? Math.round((pnl / (risk * units)) * 100) / 100 : null,
+    assetClass: 'options',
+    expiry: legs.map((l) => l.expiry).sort()[0],
+    strategy,
+    legs,
+    ...(first.accountId ? { accountId: first.accountId } : {}),
+    ...(first.currency ? { currency: first.currency } : {}),
+    playbook: first.playbook || '',
+    tags: first.tags || [],
+    notes: notes || `${STRATEGY_LABELS[strategy]} on ${first.underlying}`,
+  };
+}
+
+/**
+ * Group option legs opened together into strategy trades.
+ * Legs on the same account + underlying whose entries fall within
+ * `windowMs` of the group's first leg are combined. Non-option trades
+ * pass through unchanged; lone legs get `strategy` set.
+ *
+ * @param {Object[]} trades
+ * @param {Object} [opts]
+ * @param {number} [opts.windowMs=60000]
+ * @returns {Object[]}
+ */
+function groupStrategies(trades, opts = {}) {
+  const windowMs = opts.windowMs ?? DEFAULT_GROUP_WINDOW_MS;
+  const out = [];
+  const open = new Map(); // account|underlying → current group
+
+  const emit = (group) => {
+    if (group.length === 1) {
+      const t = group[0];
+      out.push({ ...t, strategy: classifyStrategy([_legOf(t)]) });
+    } else {
+      out.push(buildStrategyTrade(group));
+    }
+  };
+
+  const sorted = [...(trades || [])].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  for (const t of sorted) {
+    if (!isOptionLeg(t) || t.legs?.length) { out.push(t); continue; }
+    const underlying = t.underlying || t.symbol;
+    const key = `${t.accountId || ''}|${underlying}`;
+    const group = open.get(key);
+    const ms = new Date(t.date).getTime();
+    if (group && ms - new Date(group[0].date).getTime() <= windowMs) {
+      group.push({ ...t, underlying });
+    } else {
+      if (group) emit(group);
+      open.set(key, [{ ...t, underlying }]);
+    }
+  }
+  for (const group of open.values()) emit(group);
+
+  return out.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
+
+// ─── Greeks at Entry ────────────────────────────────────────────
+
+/**
+ * Estimate implied volatility and Greeks at entry from the underlying
+ * price at the time of the trade. Each leg's IV is backed out of its
+ * entry premium; strategy Greeks are the signed sum per strategy unit
+ * (per share — multiply by multiplier for dollar terms).
+ *
+ * @param {Object} trade - Option leg or strategy trade
+ * @param {number} underlyingPrice
+ * @param {Object} [opts] - { rate, dividendYield }
+ * @returns {{ underlyingPrice: number, iv: number|null, delta: number, gamma: number,
+ *   theta: number, vega: number, legs: Array<{ iv: number|null, delta: number|null }> }|null}
+ */
+function greeksAtEntry(trade, underlyingPrice, opts = {}) {
+  if (!(underlyingPrice > 0)) return null;
+  const legs = trade?.legs?.length ? trade.legs : isOptionLeg(trade) ? [_legOf(trade)] : [];
+  if (!legs.length) return null;
+
+  const r = opts.rate ?? DEFAULT_RATE;
+  const q = opts.dividendYield ?? 0;
+  const units = Math.min(...legs.map((l) => l.qty || 1)) || 1;
+  const sum = { delta: 0, gamma: 0, theta: 0, vega: 0 };
+  let ivWeighted = 0;
+  let ivWeight = 0;
+  let priced = 0;
+
+  const perLeg = legs.map((l) => {
+    const type = normalizeOptionType(l.optionType);
+    if (!type) {
+      // Stock leg: delta 1 per share
+      sum.delta += _dir(l) * ((l.qty || 1) / units) / (trade.multiplier || DEFAULT_MULTIPLIER);
+      return { iv: null, delta: 1 };
+    }
+    const T = yearsToExpiry(l.expiry, trade.date);
+    const iv = impliedVol(l.entry, { type, S: underlyingPrice, K: l.strike, T, r, q });
+    if (iv == null) return { iv: null, delta: null };
+    const g = blackScholes({ type, S: underlyingPrice, K: l.strike, T, sigma: iv, r, q });
+    const w = _dir(l) * ((l.qty || 1) / units);
+    sum.delta += w * g.delta;
+    sum.gamma += w * g.gamma;
+    sum.theta += w * g.theta;
+    sum.vega += w * g.vega;
+    ivWeighted += iv * Math.abs(w);
+    ivWeight += Math.abs(w);
+    priced++;
+    return { iv: +iv.toFixed(4), delta: +g.delta.toFixed(4) };
+  });
+
+  if (!priced) return null;
+  return {
+    underlyingPrice,
+    iv: +(ivWeighted / ivWeight).toFixed(4),
+    delta: +sum.delta.toFixed(4),
+    gamma: +sum.gamma.toFixed(5),
+    theta: +sum.theta.toFixed(4),
+    vega: +sum.vega.toFixed(4),
+    legs: perLeg,
+  };
+}
+
+/**
+ * Write greeksAtEntry() results onto a trade (schema fields
+ * underlyingAtEntry / ivAtEntry / deltaAtEntry, plus per-leg iv/delta).
+ *
+ * @param {Object} trade
+ * @param {number} underlyingPrice
+ * @param {Object} [opts]
+ * @returns {Object|null} Field updates for updateTrade(), or null
+ */
+function entryGreeksUpdate(trade, underlyingPrice, opts = {}) {
+  const g = greeksAtEntry(trade, underlyingPrice, opts);
+  if (!g) return null;
+  const updates = {
+    underlyingAtEntry: underlyingPrice,
+    ivAtEntry: g.iv,
+    deltaAtEntry: g.delta,
+  };
+  if (trade.legs?.length) {
+    updates.legs = trade.legs.map((l, i) => ({ ...l, iv: g.legs[i].iv, delta: g.legs[i].delta }));
+  }
+  return updates;
+}
+
+export {
+  DEFAULT_MULTIPLIER,
+  DEFAULT_RATE,
+  STRATEGY_LABELS,
+  DTE_BUCKETS,
+  normalizeOptionType,
+  normalizeExpiry,
+  parseOccSymbol,
+  parseOptionDescription,
+  optionSymbol,
+  isOptionLeg,
+  daysToExpiry,
+  yearsToExpiry,
+  dteBucket,
+  normCdf,
+  blackScholes,
+  impliedVol,
+  classifyStrategy,
+  strategyOf,
+  maxLoss,
+  buildStrategyTrade,
+  groupStrategies,
+  greeksAtEntry,
+  entryGreeksUpdate,
+};
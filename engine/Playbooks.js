@@ -0,0 +1,349 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Structured Playbooks & Playbook Report
+//
+// A playbook is a written setup. Trades link to it by name
+// (trade.playbook, case-insensitive).
+//
+//   {
+//     id, name, description,
+//     entryCriteria: string[],   // what must be true to take it
+//     invalidation:  string[],   // what kills the setup
+//     targetR:       number,     // planned reward in R
+//     instruments:   string[],   // 'ES', 'NQ', 'AAPL', 'BTC*' (empty = any)
+//     sessions:      string[],   // 'pre' | 'regular' | 'post' (empty = any)
+//     checklist:     string[],   // useChecklistStore item ids
+//   }
+//
+// Older playbooks stored entry rules as `rules`; normalizePlaybook
+// migrates them and keeps `rules` as an alias.
+//
+// A trade is in plan when it names a defined playbook and breaks none
+// of it: no ruleBreak, allowed instrument and session, and every
+// playbook checklist item ticked (trade.checklist: { itemId: bool }).
+// Trades without checklist data aren't penalised for it.
+//
+// Pure functions — no store access. Amounts are reported in
+// opts.baseCurrency (converted via opts.fxRates).
+//
+// Usage:
+//   normalizePlaybook({ name: 'ORB', rules: ['…'] })
+//   checkTradePlan(trade, playbook, { checklistItems })  // → { inPlan, violations, score }
+//   playbookReport(trades, playbooks, { baseCurrency, fxRates, checklistItems })
+// ═══════════════════════════════════════════════════════════════════
+
+import { convertTrades } from './FxRates.js';
+import { calendarForSymbol, sessionAt, futuresRoot } from './SessionCalendar.js';
+
+const SESSIONS = [
+  { id: 'pre', label: 'Pre-market' },
+  { id: 'regular', label: 'Regular hours' },
+  { id: 'post', label: 'After hours' },
+];
+
+const MARKET_CONDITIONS = [
+  { id: 'trending', label: 'Trending' },
+  { id: 'ranging', label: 'Ranging' },
+  { id: 'volatile', label: 'Volatile' },
+  { id: 'quiet', label: 'Quiet' },
+];
+
+const SESSION_IDS = SESSIONS.map((s) => s.id);
+
+const VIOLATION_LABELS = {
+  playbook: 'No playbook',
+  unknown: 'Playbook not defined',
+  rules: 'Rule break',
+  instrument: 'Instrument not allowed',
+  session: 'Outside allowed sessions',
+  checklist: 'Checklist incomplete',
+};
+
+/** Trimmed, non-empty strings from an array or a newline/comma list */
+function list(value, split = /\n/) {
+  const arr = Array.isArray(value) ? value : typeof value === 'string' ? value.split(split) : [];
+  return arr.map((v) => String(v ?? '').trim()).filter(Boolean);
+}
+
+/**
+ * Key trades and playbooks are matched on.
+ * @param {string} name
+ * @returns {string}
+ */
+function playbookKey(name) {
+  return String(name ?? '').trim().toLowerCase();
+}
+
+// ─── Playbooks ──────────────────────────────────────────────────
+
+/**
+ * Fill in the structured fields of a playbook. Unknown fields are kept.
+ * @param {Object} pb
+ * @returns {Object}
+ */
+function normalizePlaybook(pb = {}) {
+  const entryCriteria = list(pb.entryCriteria ?? pb.rules);
+  const targetR = Number(pb.targetR);
+  return {
+    ...pb,
+    name: String(pb.name ?? '').trim(),
+    description: String(pb.description ?? '').trim(),
+    entryCriteria,
+    rules: entryCriteria,
+    invalidation: list(pb.invalidation),
+    targetR: targetR > 0 ? targetR : null,
+    instruments: [...new Set(list(pb.instruments, /[\n,]/).map((s) => s.toUpperCase()))],
+    sessions: list(pb.sessions).filter((s) => SESSION_IDS.includes(s)),
+    checklist: [...new Set(list(pb.checklist))],
+  };
+}
+
+/**
+ * Validate a playbook before saving.
+ * @param {Object} pb - Normalized playbook
+ * @param {Object[]} [playbooks] - Existing playbooks (for duplicate names)
+ * @returns {{ ok: boolean, error?: string }}
+ */
+function validatePlaybook(pb, playbooks = []) {
+  if (!pb.name) return { ok: false, error: 'Name is required' };
+  const clash = playbooks.find((p) => p.id !== pb.id && playbookKey(p.name) === playbookKey(pb.name));
+  if (clash) return { ok: false, error: `A playbook named "${clash.name}" already exists` };
+  return { ok: true };
+}
+
+/**
+ * The playbook a trade belongs to.
+ * @param {Object[]} playbooks
+ * @param {string} name - trade.playbook
+ * @returns {Object|null}
+ */
+function findPlaybook(playbooks, name) {
+  const key = playbookKey(name);
+  if (!key) return null;
+  return (playbooks || []).find((p) => playbookKey(p.name) === key) || null;
+}
+
+/**
+ * Whether a symbol is one of a playbook's instruments. Entries match
+ * the symbol, its futures root ('MESZ5' → ES) or a 'PREFIX*' wildcard.
+ * @param {string} symbol
+ * @param {string[]} instruments
+ * @returns {boolean}
+ */
+function instrumentAllowed(symbol, instruments) {
+  if (!instruments?.length) return true;
+  const sym = String(symbol ?? '').trim().toUpperCase();
+  if (!sym) return false;
+  const root = futuresRoot(sym);
+  return instruments.some((inst) =>
+    inst.endsWith('*') ? sym.startsWith(inst.slice(0, -1)) : inst === sym || inst === root
+  );
+}
+
+/**
+ * Exchange session a trade was entered in.
+ * @param {Object} trade
+ * @returns {'pre'|'regular'|'post'|'closed'|null} Null when unknown
+ */
+function tradeSession(trade) {
+  const time = new Date(trade?.date).getTime();
+  if (isNaN(time)) return null;
+  const cal = calendarForSymbol(trade.symbol, trade.assetClass);
+  return cal ? sessionAt(time, cal).phase : null;
+}
+
+/**
+ * Whether a trade was marked as breaking its rules.
+ * @param {Object} trade
+ * @returns {boolean}
+ */
+function brokeRules(trade) {
+  return trade.ruleBreak === true || trade.followedRules === false;
+}
+
+/**
+ * Market condition a trade was taken in.
+ * @param {Object} trade
+ * @returns {string} A MARKET_CONDITIONS id, or 'unspecified'
+ */
+function conditionOf(trade) {
+  return playbookKey(trade.marketCondition) || 'unspecified';
+}
+
+// ─── Plan Check ─────────────────────────────────────────────────
+
+/**
+ * Check one trade against its playbook.
+ *
+ * score is rule adherence from 0 to 100: the average of the checks
+ * that have data (rules followed, share of checklist items ticked,
+ * instrument, session).
+ *
+ * @param {Object} trade
+ * @param {Object|null} playbook - findPlaybook(playbooks, trade.playbook)
+ * @param {Object} [opts] - { checklistItems: useChecklistStore items, for labels }
+ * @returns {{ inPlan: boolean, violations: Array<{ rule: string, text: string }>, score: number }}
+ */
+function checkTradePlan(trade, playbook, opts = {}) {
+  const violations = [];
+  const parts = [];
+  const add = (rule, detail) =>
+    violations.push({ rule, text: detail ? `${VIOLATION_LABELS[rule]}: ${detail}` : VIOLATION_LABELS[rule] });
+
+  if (!playbookKey(trade.playbook)) add('playbook');
+  else if (!playbook) add('unknown', trade.playbook);
+
+  const broke = brokeRules(trade);
+  parts.push(broke ? 0 : 1);
+  if (broke) add('rules');
+
+  if (playbook?.instruments?.length) {
+    const ok = instrumentAllowed(trade.symbol, playbook.instruments);
+    parts.push(ok ? 1 : 0);
+    if (!ok) add('instrument', trade.symbol || '—');
+  }
+
+  if (playbook?.sessions?.length) {
+    const session = tradeSession(trade);
+    if (session) {
+      const ok = playbook.sessions.includes(session);
+      parts.push(ok ? 1 : 0);
+      if (!ok) add('session', session);
+    }
+  }
+
+  const ticks = trade.checklist;
+  if (playbook?.checklist?.length && ticks && typeof ticks === 'object') {
+    const byId = new Map((opts.checklistItems || []).map((i) => [i.id, i]));
+    const missed = playbook.checklist.filter((id) => !(ticks[id] ?? ticks[byId.get(id)?.label]));
+    parts.push(1 - missed.length / playbook.checklist.length);
+    if (missed.length) add('checklist', missed.map((id) => byId.get(id)?.label || id).join(', '));
+  }
+
+  const score = Math.round((parts.reduce((s, v) => s + v, 0) / parts.length) * 100);
+  return { inPlan: violations.length === 0, violations, score };
+}
+
+// ─── Report ─────────────────────────────────────────────────────
+
+/**
+ * Outcome stats for a group of trades.
+ * expectancy is the average P&L per trade; avgR the average R multiple
+ * of the trades that have one.
+ * @param {Object[]} trades
+ */
+function tradeStats(trades) {
+  let pnl = 0, wins = 0, losses = 0, winSum = 0, lossSum = 0, rSum = 0, rCount = 0;
+  for (const t of trades) {
+    const p = t.pnl || 0;
+    pnl += p;
+    if (p > 0) { wins++; winSum += p; }
+    else if (p < 0) { losses++; lossSum += p; }
+    if (t.rMultiple != null && !isNaN(t.rMultiple)) { rSum += Number(t.rMultiple); rCount++; }
+  }
+  const count = trades.length;
+  return {
+    count,
+    wins,
+    losses,
+    pnl,
+    winRate: count ? (wins / count) * 100 : 0,
+    avgWin: wins ? winSum / wins : 0,
+    avgLoss: losses ? lossSum / losses : 0,
+    expectancy: count ? pnl / count : 0,
+    avgR: rCount ? rSum / rCount : null,
+  };
+}
+
+/** Stats per market condition, most-traded first */
+function byCondition(trades) {
+  const groups = new Map();
+  for (const t of trades) {
+    const c = conditionOf(t);
+    if (!groups.has(c)) groups.set(c, []);
+    groups.get(c).push(t);
+  }
+  return [...groups]
+    .map(([condition, list]) => ({ condition, ...tradeStats(list) }))
+    .sort((a, b) => b.count - a.count || a.condition.localeCompare(b.condition));
+}
+
+/**
+ * Playbook report: per-playbook expectancy, win rate by market
+ * condition, rule adherence and the in-plan vs out-of-plan split.
+ *
+ * Every defined playbook gets a row (even without trades), plus a row
+ * for each playbook name used on trades but not defined. Trades with no
+ * playbook only count towards the totals.
+ *
+ * @param {Object[]} trades
+ * @param {Object[]} playbooks
+ * @param {Object} [opts] - { baseCurrency, fxRates, checklistItems }
+ * @returns {{ rows: Object[], inPlan: Object, outOfPlan: Object, unassigned: Object, adherence: number|null, missing: string[] }}
+ */
+function playbookReport(trades, playbooks, opts = {}) {
+  const { trades: list, missing } = convertTrades(trades || [], opts.baseCurrency || 'USD', opts.fxRates);
+  const defined = (playbooks || []).map(normalizePlaybook).filter((p) => p.name);
+
+  const groups = new Map(defined.map((p) => [playbookKey(p.name), { name: p.name, playbook: p, trades: [] }]));
+  const inPlan = [];
+  const outOfPlan = [];
+  const unassigned = [];
+  let scoreSum = 0;
+
+  for (const t of list) {
+    const key = playbookKey(t.playbook);
+    const group = key ? groups.get(key) || { name: String(t.playbook).trim(), playbook: null, trades: [] } : null;
+    if (group && !groups.has(key)) groups.set(key, group);
+
+    const check = checkTradePlan(t, group?.playbook || null, opts);
+    scoreSum += check.score;
+    (check.inPlan ? inPlan : outOfPlan).push(t);
+    if (group) group.trades.push({ trade: t, check });
+    else unassigned.push(t);
+  }
+
+  const rows = [...groups.values()].map(({ name, playbook, trades: entries }) => {
+    const ts = entries.map((e) => e.trade);
+    const violations = {};
+    for (const e of entries) for (const v of e.check.violations) violations[v.rule] = (violations[v.rule] || 0) + 1;
+    const withR = playbook?.targetR ? ts.filter((t) => t.rMultiple != null && !isNaN(t.rMultiple)) : [];
+    return {
+      name,
+      playbook,
+      ...tradeStats(ts),
+      adherence: entries.length ? entries.reduce((s, e) => s + e.check.score, 0) / entries.length : null,
+      ruleBreaks: ts.filter(brokeRules).length,
+      targetHitRate: withR.length ? (withR.filter((t) => Number(t.rMultiple) >= playbook.targetR).length / withR.length) * 100 : null,
+      violations,
+      inPlan: tradeStats(entries.filter((e) => e.check.inPlan).map((e) => e.trade)),
+      outOfPlan: tradeStats(entries.filter((e) => !e.check.inPlan).map((e) => e.trade)),
+      byCondition: byCondition(ts),
+    };
+  }).sort((a, b) => b.count - a.count || b.pnl - a.pnl || a.name.localeCompare(b.name));
+
+  return {
+    rows,
+    inPlan: tradeStats(inPlan),
+    outOfPlan: tradeStats(outOfPlan),
+    unassigned: tradeStats(unassigned),
+    adherence: list.length ? scoreSum / list.length : null,
+    missing,
+  };
+}
+
+export {
+  SESSIONS,
+  MARKET_CONDITIONS,
+  VIOLATION_LABELS,
+  playbookKey,
+  normalizePlaybook,
+  validatePlaybook,
+  findPlaybook,
+  instrumentAllowed,
+  tradeSession,
+  brokeRules,
+  conditionOf,
+  checkTradePlan,
+  tradeStats,
+  playbookReport,
+};
@@ -37,13 +37,19 @@ function generateReport(trades, analytics, opts = {}) {
   if (opts.dateFrom) filtered = filtered.filter(t => t.date >= opts.dateFrom);
   if (opts.dateTo) filtered = filtered.filter(t => t.date <= opts.dateTo);
 
+  // Trades dropped for a missing FX rate aren't in the analytics
+  const tradeCount = a.tradeCount ?? filtered.length;
   const sections = [];
 
   // ─── Header ─────────────────────────────────────────
   sections.push(`# ${title}\n`);
   sections.push(`**Generated:** ${new Date().toLocaleString()}  `);
   sections.push(`**Period:** ${dateRange}  `);
-  sections.push(`**Total Trades:** ${filtered.length}\n`);
+  if (a.baseCurrency) sections.push(`**Currency:** ${a.baseCurrency}  `);
+  sections.push(`**Total Trades:** ${tradeCount}\n`);
+  if (a.fx?.excluded > 0) {
+    sections.push(`> ${a.fx.excluded} trade(s) left out — no ${a.fx.missing.join('/')}→${a.baseCurrency} rate on file\n`);
+  }
 
   // ─── Key Metrics ────────────────────────────────────
   sections.push(`## Key Metrics\n`);
@@ -71,7 +77,7 @@ function generateReport(trades, analytics, opts = {}) {
   sections.push(`## Win/Loss Breakdown\n`);
   sections.push(`- **Wins:** ${a.winCount || 0} (${(a.winRate || 0).toFixed(1)}%)`);
   sections.push(`- **Losses:** ${a.lossCount || 0} (${(100 - (a.winRate || 0)).toFixed(1)}%)`);
-  sections.push(`- **Breakeven:** ${(filtered.length || 0) - (a.winCount || 0) - (a.lossCount || 0)}`);
+  sections.push(`- **Breakeven:** ${tradeCount - (a.winCount || 0) - (a.lossCount || 0)}`);
   sections.push('');
 
   // ─── Performance by Symbol ──────────────────────────
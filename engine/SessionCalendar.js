@@ -0,0 +1,751 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Session Calendars
+//
+// Trading hours, holidays and futures rolls for the instruments in
+// SymbolRegistry. Everything is computed from rules (no tables to
+// refresh) except the FOMC schedule, which runs to NEWS_SCHEDULE_END.
+//
+//   CALENDARS / getCalendar      — exchange hours per venue
+//   calendarForSymbol            — 'ES=F', 'ESZ5', 'AAPL', 'EURUSD=X' → calendar
+//   holidays / sessionWindow     — closures, early closes, session times
+//   sessionAt / tradingDayKey    — phase ('pre'|'regular'|'post'|'closed')
+//                                  and trading day of an instant
+//   sessionMarks / filterRegularHours — chart breaks, ETH shading, RTH-only
+//   weeklyClose / heldOverWeekend — prop firm weekend rule
+//   scheduledNews / newsNear     — high-impact US releases (NFP, FOMC)
+//   FUTURES_SPECS / frontContract / rollSchedule — expiries and rolls
+//
+// A trading day is named by the local date its session closes on, so
+// CME's Sunday 17:00 CT open belongs to Monday.
+// ═══════════════════════════════════════════════════════════════════
+
+import { tzOffset } from '../chartEngine/feeds/Resampler.js';
+import { SymbolRegistry } from '../data/SymbolRegistry.js';
+
+const MIN = 60_000;
+const DAY = 86_400_000;
+
+// ─── Calendars ──────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} Calendar
+ * @property {string}   id
+ * @property {string}   name
+ * @property {string}   timeZone   - IANA zone the hours are quoted in
+ * @property {string[]} regular    - ['HH:MM', 'HH:MM'] open/close; open ≥ close means
+ *                                   the session opens the evening before
+ * @property {string[]} [extended] - Pre/post-market or overnight hours around `regular`
+ * @property {number[]} weekdays   - Local weekdays (0 = Sun) that are trading days
+ * @property {'us'|'cme'|'fx'|null} holidays - Holiday rule set
+ * @property {{regular: string, extended: string}} [earlyClose] - Early close times
+ * @property {string}   [weekend]  - Calendar whose weekly close applies (24/7 markets)
+ */
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+/** @type {Object<string, Calendar>} */
+export const CALENDARS = {
+  us_equity: {
+    id: 'us_equity', name: 'US Equities (NYSE/Nasdaq)', timeZone: 'America/New_York',
+    regular: ['09:30', '16:00'], extended: ['04:00', '20:00'],
+    weekdays: WEEKDAYS, holidays: 'us',
+    earlyClose: { regular: '13:00', extended: '17:00' },
+  },
+  cme_equity: {
+    id: 'cme_equity', name: 'CME Equity Index (Globex)', timeZone: 'America/Chicago',
+    regular: ['08:30', '15:15'], extended: ['17:00', '16:00'],
+    weekdays: WEEKDAYS, holidays: 'cme',
+    earlyClose: { regular: '12:00', extended: '12:00' },
+  },
+  cme_energy: {
+    id: 'cme_energy', name: 'NYMEX Energy (Globex)', timeZone: 'America/Chicago',
+    regular: ['08:00', '13:30'], extended: ['17:00', '16:00'],
+    weekdays: WEEKDAYS, holidays: 'cme',
+    earlyClose: { regular: '12:00', extended: '12:00' },
+  },
+  cme_metals: {
+    id: 'cme_metals', name: 'COMEX Metals (Globex)', timeZone: 'America/Chicago',
+    regular: ['07:20', '12:30'], extended: ['17:00', '16:00'],
+    weekdays: WEEKDAYS, holidays: 'cme',
+    earlyClose: { regular: '12:00', extended: '12:00' },
+  },
+  cbot_rates: {
+    id: 'cbot_rates', name: 'CBOT Treasuries (Globex)', timeZone: 'America/Chicago',
+    regular: ['07:20', '14:00'], extended: ['17:00', '16:00'],
+    weekdays: WEEKDAYS, holidays: 'cme',
+    earlyClose: { regular: '12:00', extended: '12:00' },
+  },
+  forex: {
+    id: 'forex', name: 'Forex (24×5)', timeZone: 'America/New_York',
+    regular: ['17:00', '17:00'],
+    weekdays: WEEKDAYS, holidays: 'fx',
+  },
+  crypto: {
+    id: 'crypto', name: 'Crypto (24×7)', timeZone: 'UTC',
+    regular: ['00:00', '24:00'],
+    weekdays: [0, 1, 2, 3, 4, 5, 6], holidays: null,
+    weekend: 'forex',
+  },
+};
+
+const CLASS_CALENDARS = {
+  stock: 'us_equity',
+  stocks: 'us_equity',
+  etf: 'us_equity',
+  options: 'us_equity',
+  index: 'us_equity',
+  futures: 'cme_equity',
+  forex: 'forex',
+  crypto: 'crypto',
+};
+
+/**
+ * Resolve a calendar from an id, a calendar object, or symbol info
+ * ({ calendar } or { assetClass }).
+ * @param {string|Calendar|Object} ref
+ * @returns {Calendar|null}
+ */
+export function getCalendar(ref) {
+  if (!ref) return null;
+  if (typeof ref === 'string') return CALENDARS[ref] || null;
+  if (ref.regular && ref.timeZone) return ref;
+  return CALENDARS[ref.calendar] || CALENDARS[CLASS_CALENDARS[ref.assetClass]] || null;
+}
+
+/**
+ * Calendar for a chart/journal symbol: registry entries first, then
+ * futures roots and contract codes ('ES', 'MESZ5'), then crypto pairs.
+ * @param {string} symbol
+ * @param {string} [assetClass] - Fallback when the symbol is unknown
+ * @returns {Calendar|null}
+ */
+export function calendarForSymbol(symbol, assetClass) {
+  const info = SymbolRegistry.lookup(symbol);
+  if (info) return getCalendar(info);
+  const root = futuresRoot(symbol);
+  if (root) return getCalendar(FUTURES_SPECS[root].calendar);
+  if (/^[A-Z0-9]+(USDT|BUSD|USDC)$/i.test(String(symbol || '').trim())) return CALENDARS.crypto;
+  return assetClass ? getCalendar({ assetClass }) : null;
+}
+
+/**
+ * Session spec for the bar resampler: buckets anchor on the session
+ * open (the overnight open for Globex/FX, the regular open for stocks).
+ * @param {string|Calendar} cal
+ * @returns {{ timeZone: string, start: string }|null}
+ */
+export function sessionSpec(cal) {
+  const c = getCalendar(cal);
+  if (!c) return null;
+  const [open, close] = c.extended || c.regular;
+  return { timeZone: c.timeZone, start: hm(open) >= hm(close) ? open : c.regular[0] };
+}
+
+// ─── Date Helpers ───────────────────────────────────────────────
+// Local dates are handled as "local epoch" ms (the wall clock read as
+// UTC) and keyed 'YYYY-MM-DD'.
+
+function hm(s) {
+  const [h, m] = String(s).split(':').map(Number);
+  return (h * 60 + (m || 0)) * MIN;
+}
+
+function keyOf(localMs) {
+  return new Date(localMs).toISOString().slice(0, 10);
+}
+
+function dayOf(key) {
+  return Date.UTC(+key.slice(0, 4), +key.slice(5, 7) - 1, +key.slice(8, 10));
+}
+
+function addDays(key, n) {
+  return keyOf(dayOf(key) + n * DAY);
+}
+
+function weekday(key) {
+  return new Date(dayOf(key)).getUTCDay();
+}
+
+function ymd(y, m, d) {
+  return keyOf(Date.UTC(y, m - 1, d));
+}
+
+function localToUtc(localMs, timeZone) {
+  const guess = localMs - tzOffset(localMs, timeZone);
+  return localMs - tzOffset(guess, timeZone);
+}
+
+/** Local date key of an instant in a calendar's zone */
+export function localDateKey(time, cal) {
+  const c = getCalendar(cal) || CALENDARS.crypto;
+  return keyOf(time + tzOffset(time, c.timeZone));
+}
+
+/** nth (1-based, negative from the end) weekday `dow` of a month */
+function nthWeekday(y, m, dow, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(y, m - 1, 1)).getUTCDay();
+    return ymd(y, m, 1 + ((dow - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDate = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const last = new Date(Date.UTC(y, m - 1, lastDate)).getUTCDay();
+  return ymd(y, m, lastDate - ((last - dow + 7) % 7) + (n + 1) * 7);
+}
+
+/** Saturday holidays move to Friday, Sunday ones to Monday */
+function observed(key) {
+  const dow = weekday(key);
+  return dow === 6 ? addDays(key, -1) : dow === 0 ? addDays(key, 1) : key;
+}
+
+function easter(y) {
+  // Anonymous Gregorian algorithm
+  const a = y % 19, b = Math.floor(y / 100), c = y % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3), h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4), k = c % 4, l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  return ymd(y, Math.floor((h + l - 7 * m + 114) / 31), ((h + l - 7 * m + 114) % 31) + 1);
+}
+
+// ─── Holidays ───────────────────────────────────────────────────
+
+/**
+ * NYSE holidays and early closes for a year.
+ * @param {number} y
+ * @returns {Array<{date: string, name: string, closed: boolean}>}
+ */
+function usHolidays(y) {
+  const out = [];
+  const add = (date, name, closed = true) => {
+    if (date.startsWith(String(y)) && weekday(date) % 6 !== 0) out.push({ date, name, closed });
+  };
+
+  // New Year's falling on Saturday is not observed on Dec 31
+  const ny = ymd(y, 1, 1);
+  add(weekday(ny) === 0 ? addDays(ny, 1) : ny, "New Year's Day");
+  add(nthWeekday(y, 1, 1, 3), 'Martin Luther King Jr. Day');
+  add(nthWeekday(y, 2, 1, 3), "Washington's Birthday");
+  add(addDays(easter(y), -2), 'Good Friday');
+  add(nthWeekday(y, 5, 1, -1), 'Memorial Day');
+  if (y >= 2022) add(observed(ymd(y, 6, 19)), 'Juneteenth');
+  add(observed(ymd(y, 7, 4)), 'Independence Day');
+  add(nthWeekday(y, 9, 1, 1), 'Labor Day');
+  const thanksgiving = nthWeekday(y, 11, 4, 4);
+  add(thanksgiving, 'Thanksgiving Day');
+  add(observed(ymd(y, 12, 25)), 'Christmas Day');
+
+  // Early closes: July 3, the day after Thanksgiving, Christmas Eve
+  const jul3 = ymd(y, 7, 3);
+  if (weekday(jul3) >= 1 && weekday(jul3) <= 4) add(jul3, 'Independence Day (early close)', false);
+  add(addDays(thanksgiving, 1), 'Day after Thanksgiving (early close)', false);
+  const dec24 = ymd(y, 12, 24);
+  if (weekday(dec24) >= 1 && weekday(dec24) <= 4) add(dec24, 'Christmas Eve (early close)', false);
+
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Globex closes fully on these; other US holidays are early halts
+const CME_CLOSED = new Set(["New Year's Day", 'Good Friday', 'Christmas Day']);
+
+const _holidayCache = new Map();
+
+function holidayMap(year, set) {
+  const key = `${set}|${year}`;
+  let map = _holidayCache.get(key);
+  if (map) return map;
+
+  let list = [];
+  if (set === 'us') list = usHolidays(year);
+  else if (set === 'cme') list = usHolidays(year).map((h) => ({ ...h, closed: CME_CLOSED.has(h.name) }));
+  else if (set === 'fx') list = usHolidays(year).filter((h) => h.closed && CME_CLOSED.has(h.name) && h.name !== 'Good Friday');
+
+  map = new Map(list.map((h) => [h.date, h]));
+  _holidayCache.set(key, map);
+  return map;
+}
+
+/**
+ * Holidays and early closes of a calendar in a year.
+ * @param {number} year
+ * @param {string|Calendar} cal
+ * @returns {Array<{date: string, name: string, closed: boolean}>}
+ */
+export function holidays(year, cal) {
+  const c = getCalendar(cal);
+  return c?.holidays ? [...holidayMap(year, c.holidays).values()] : [];
+}
+
+// ─── Sessions ───────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} SessionWindow
+ * @property {string} date         - Trading day key
+ * @property {number} open         - First tradable instant (extended hours), UTC ms
+ * @property {number} close
+ * @property {number} regularOpen
+ * @property {number} regularClose
+ * @property {string|null} holiday - Holiday name on early-close days
+ */
+
+const _windowCache = new Map();
+
+/**
+ * Session times of a trading day, or null when the market is closed
+ * all day (weekend or holiday).
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {string|Calendar} cal
+ * @returns {SessionWindow|null}
+ */
+export function sessionWindow(dateKey, cal) {
+  const c = getCalendar(cal);
+  if (!c) return null;
+  const cacheKey = `${c.id}|${dateKey}`;
+  if (_windowCache.has(cacheKey)) return _windowCache.get(cacheKey);
+
+  let win = null;
+  const day = dayOf(dateKey);
+  const holiday = c.holidays ? holidayMap(+dateKey.slice(0, 4), c.holidays).get(dateKey) : null;
+  if (c.weekdays.includes(weekday(dateKey)) && !holiday?.closed) {
+    const span = ([o, cl], early) => {
+      const start = day + hm(o) - (hm(o) >= hm(cl) ? DAY : 0);
+      return [localToUtc(start, c.timeZone), localToUtc(day + hm(early || cl), c.timeZone)];
+    };
+    const [regularOpen, regularClose] = span(c.regular, holiday && c.earlyClose?.regular);
+    const [open, close] = span(c.extended || c.regular, holiday && c.earlyClose?.extended);
+    win = { date: dateKey, open, close, regularOpen, regularClose, holiday: holiday?.name || null };
+  }
+
+  if (_windowCache.size > 20_000) _windowCache.clear();
+  _windowCache.set(cacheKey, win);
+  return win;
+}
+
+/**
+ * Whether a date is a trading day on a calendar.
+ * @param {string} dateKey
+ * @param {string|Calendar} cal
+ */
+export function isTradingDay(dateKey, cal) {
+  return sessionWindow(dateKey, cal) !== null;
+}
+
+/**
+ * The next (dir = 1) or previous (dir = -1) trading day.
+ * @param {string} dateKey
+ * @param {string|Calendar} cal
+ * @param {1|-1} [dir=1]
+ * @returns {string|null}
+ */
+export function nextTradingDay(dateKey, cal, dir = 1) {
+  let key = dateKey;
+  for (let i = 0; i < 14; i++) {
+    key = addDays(key, dir);
+    if (isTradingDay(key, cal)) return key;
+  }
+  return null;
+}
+
+/**
+ * Where an instant falls in the trading calendar.
+ * @param {number} time
+ * @param {string|Calendar} cal
+ * @returns {{ phase: 'pre'|'regular'|'post'|'closed', tradingDay: string|null, window: SessionWindow|null }}
+ */
+export function sessionAt(time, cal) {
+  const c = getCalendar(cal);
+  if (!c) return { phase: 'closed', tradingDay: null, window: null };
+  const key = localDateKey(time, c);
+  // Overnight sessions open the evening before their trading day
+  for (const k of [key, addDays(key, 1)]) {
+    const w = sessionWindow(k, c);
+    if (!w || time < w.open || time >= w.close) continue;
+    const phase = time < w.regularOpen ? 'pre' : time < w.regularClose ? 'regular' : 'post';
+    return { phase, tradingDay: k, window: w };
+  }
+  return { phase: 'closed', tradingDay: null, window: null };
+}
+
+/**
+ * Whether the market is open at an instant.
+ * @param {number} time
+ * @param {string|Calendar} cal
+ * @param {{ extended?: boolean }} [opts] - extended: count pre/post-market (default true)
+ */
+export function isMarketOpen(time, cal, { extended = true } = {}) {
+  const { phase } = sessionAt(time, cal);
+  return phase === 'regular' || (extended && phase !== 'closed');
+}
+
+/**
+ * Trading day an instant belongs to — the session it trades in, or
+ * its local date outside sessions.
+ * @param {number} time
+ * @param {string|Calendar} cal
+ * @returns {string}
+ */
+export function tradingDayKey(time, cal) {
+  return sessionAt(time, cal).tradingDay || localDateKey(time, cal);
+}
+
+/**
+ * `(time) => tradingDayKey` for a calendar, or UTC dates without one.
+ * Pass as the session key of session-reset indicators (VWAP).
+ * @param {string|Calendar|null} cal
+ * @returns {(time: number) => string}
+ */
+export function sessionKeyFn(cal) {
+  const c = getCalendar(cal);
+  if (!c) return (time) => keyOf(time);
+  return (time) => tradingDayKey(time, c);
+}
+
+// ─── Chart Helpers ──────────────────────────────────────────────
+
+/**
+ * Session breaks and extended-hours runs for a bar range.
+ * @param {Array<{time: number}>} bars
+ * @param {string|Calendar} cal
+ * @param {{ start?: number, end?: number }} [range] - Index range (inclusive)
+ * @returns {{ breaks: number[], extended: Array<{from: number, to: number}> }}
+ *          breaks: indexes of each session's first bar; extended: index runs
+ */
+export function sessionMarks(bars, cal, { start = 0, end = bars.length - 1 } = {}) {
+  const c = getCalendar(cal);
+  const out = { breaks: [], extended: [] };
+  if (!c || !bars.length) return out;
+
+  let prevDay = start > 0 ? tradingDayKey(bars[start - 1].time, c) : null;
+  let run = null;
+  for (let i = Math.max(0, start); i <= Math.min(end, bars.length - 1); i++) {
+    const s = sessionAt(bars[i].time, c);
+    const day = s.tradingDay || localDateKey(bars[i].time, c);
+    if (prevDay !== null && day !== prevDay) out.breaks.push(i);
+    prevDay = day;
+
+    const ext = c.extended && (s.phase === 'pre' || s.phase === 'post');
+    if (ext && run && run.to === i - 1) run.to = i;
+    else if (ext) out.extended.push(run = { from: i, to: i });
+  }
+  return out;
+}
+
+/**
+ * Keep only bars that open in regular trading hours (RTH-only charts).
+ * @param {Array<{time: number}>} bars
+ * @param {string|Calendar} cal
+ * @returns {Array}
+ */
+export function filterRegularHours(bars, cal) {
+  const c = getCalendar(cal);
+  if (!c?.extended) return bars;
+  return bars.filter((b) => sessionAt(b.time, c).phase === 'regular');
+}
+
+// ─── Weekends ───────────────────────────────────────────────────
+
+/**
+ * Close of the last session of the trading week containing `time`
+ * (or of the next week when `time` falls on the weekend).
+ * @param {number} time
+ * @param {string|Calendar} cal
+ * @returns {number|null}
+ */
+export function weeklyClose(time, cal) {
+  let c = getCalendar(cal);
+  if (c?.weekend) c = getCalendar(c.weekend);
+  if (!c) return null;
+
+  let key = sessionAt(time, c).tradingDay;
+  if (!key) {
+    const local = localDateKey(time, c);
+    key = isTradingDay(local, c) && time < sessionWindow(local, c).open ? local : nextTradingDay(local, c);
+  }
+  if (!key) return null;
+  // Walk forward until the next trading day wraps into a new week
+  for (let next = nextTradingDay(key, c); next && weekday(next) > weekday(key); next = nextTradingDay(key, c)) {
+    key = next;
+  }
+  return sessionWindow(key, c).close;
+}
+
+/**
+ * Whether a position open from `from` to `to` was held through a
+ * weekly close.
+ * @param {number} from
+ * @param {number} to
+ * @param {string|Calendar} cal
+ * @returns {number|null} The weekly close it was held through
+ */
+export function heldOverWeekend(from, to, cal) {
+  const close = weeklyClose(from, cal);
+  return close != null && to > close ? close : null;
+}
+
+// ─── Scheduled News ─────────────────────────────────────────────
+
+// FOMC statement days (14:00 ET). The Fed publishes the next year's
+// meetings each summer; add them here and move NEWS_SCHEDULE_END.
+const FOMC_DATES = [
+  '2024-01-31', '2024-03-20', '2024-05-01', '2024-06-12', '2024-07-31', '2024-09-18', '2024-11-07', '2024-12-18',
+  '2025-01-29', '2025-03-19', '2025-05-07', '2025-06-18', '2025-07-30', '2025-09-17', '2025-10-29', '2025-12-10',
+  '2026-01-28', '2026-03-18', '2026-04-29', '2026-06-17', '2026-07-29', '2026-09-16', '2026-10-28', '2026-12-09',
+];
+
+/** Last day FOMC_DATES covers; later ranges get NFP only */
+export const NEWS_SCHEDULE_END = '2026-12-31';
+
+const NEWS_SCHEDULE_END_MS = Date.parse(`${NEWS_SCHEDULE_END}T23:59:59.999Z`);
+let warnedScheduleEnd = false;
+
+/**
+ * @typedef {Object} NewsEvent
+ * @property {number} time
+ * @property {string} name
+ * @property {string} currency
+ * @property {'high'|'medium'|'low'} impact
+ */
+
+/**
+ * High-impact US releases between two instants: Non-Farm Payrolls
+ * (08:30 ET on the first Friday — the usual BLS date; holidays and
+ * shutdowns move it, so callers can supply the real one) and FOMC
+ * statements through NEWS_SCHEDULE_END. Warns once when asked for
+ * dates past it.
+ * @param {number} from
+ * @param {number} to
+ * @returns {NewsEvent[]}
+ */
+export function scheduledNews(from, to) {
+  if (to > NEWS_SCHEDULE_END_MS && !warnedScheduleEnd) {
+    warnedScheduleEnd = true;
+    console.warn(`[SessionCalendar] FOMC dates end ${NEWS_SCHEDULE_END}; later meetings are missing until the schedule is updated`);
+  }
+  const tz = 'America/New_York';
+  const at = (key, clock) => localToUtc(dayOf(key) + hm(clock), tz);
+  const events = [];
+
+  const start = new Date(from);
+  let y = start.getUTCFullYear();
+  let m = start.getUTCMonth() + 1;
+  while (Date.UTC(y, m - 1, 1) <= to) {
+    const nfp = at(nthWeekday(y, m, 5, 1), '08:30');
+    events.push({ time: nfp, name: 'Non-Farm Payrolls', currency: 'USD', impact: 'high' });
+    if (++m > 12) { m = 1; y++; }
+  }
+  for (const d of FOMC_DATES) {
+    events.push({ time: at(d, '14:00'), name: 'FOMC Statement', currency: 'USD', impact: 'high' });
+  }
+  return events.filter((e) => e.time >= from && e.time <= to).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * The news event within `windowMin` minutes of an instant, if any.
+ * @param {number} time
+ * @param {NewsEvent[]} events
+ * @param {number} [windowMin=2]
+ * @returns {NewsEvent|null}
+ */
+export function newsNear(time, events, windowMin = 2) {
+  const w = windowMin * MIN;
+  return events.find((e) => Math.abs(e.time - time) <= w) || null;
+}
+
+// ─── Futures ────────────────────────────────────────────────────
+
+export const MONTH_CODES = 'FGHJKMNQUVXZ';
+
+/**
+ * Contract specs by root.
+ *   months — listed contract months (codes)
+ *   expiry — last-trade-day rule
+ *   roll   — when continuous charts move to the next contract: `days`
+ *            calendar or `businessDays` before expiry / first notice
+ */
+export const FUTURES_SPECS = {
+  ES:  { calendar: 'cme_equity', months: 'HMUZ', expiry: 'third_friday', roll: { from: 'expiry', days: 8 } },
+  NQ:  { calendar: 'cme_equity', months: 'HMUZ', expiry: 'third_friday', roll: { from: 'expiry', days: 8 } },
+  YM:  { calendar: 'cme_equity', months: 'HMUZ', expiry: 'third_friday', roll: { from: 'expiry', days: 8 } },
+  RTY: { calendar: 'cme_equity', months: 'HMUZ', expiry: 'third_friday', roll: { from: 'expiry', days: 8 } },
+  CL:  { calendar: 'cme_energy', months: MONTH_CODES, expiry: 'crude', roll: { from: 'expiry', businessDays: 3 } },
+  NG:  { calendar: 'cme_energy', months: MONTH_CODES, expiry: 'natgas', roll: { from: 'expiry', businessDays: 3 } },
+  GC:  { calendar: 'cme_metals', months: 'GJMQVZ', expiry: 'metals', roll: { from: 'first_notice', businessDays: 2 } },
+  SI:  { calendar: 'cme_metals', months: 'HKNUZ', expiry: 'metals', roll: { from: 'first_notice', businessDays: 2 } },
+  ZB:  { calendar: 'cbot_rates', months: 'HMUZ', expiry: 'treasury', roll: { from: 'first_notice', businessDays: 2 } },
+  ZN:  { calendar: 'cbot_rates', months: 'HMUZ', expiry: 'treasury', roll: { from: 'first_notice', businessDays: 2 } },
+};
+
+// Micro contracts follow their full-size root's calendar and rolls
+const MICRO_ROOTS = { MES: 'ES', MNQ: 'NQ', MYM: 'YM', M2K: 'RTY', MCL: 'CL', MGC: 'GC', SIL: 'SI' };
+
+const CONTRACT_RE = /^\/?([A-Z0-9]{1,3}?)([FGHJKMNQUVXZ])(\d{1,2})$/;
+
+function bareRoot(symbol) {
+  return String(symbol || '').toUpperCase().trim().replace(/^\//, '').replace(/=F$|\d!$/, '');
+}
+
+/**
+ * Spec root of a futures symbol: 'ES', '/ES', 'ES=F', 'ES1!', 'ESZ5',
+ * 'MESZ25' → 'ES'. Null when not a known future.
+ * @param {string} symbol
+ * @returns {string|null}
+ */
+export function futuresRoot(symbol) {
+  const bare = bareRoot(symbol);
+  const root = FUTURES_SPECS[bare] || MICRO_ROOTS[bare] ? bare : bare.match(CONTRACT_RE)?.[1];
+  if (!root) return null;
+  return FUTURES_SPECS[root] ? root : MICRO_ROOTS[root] || null;
+}
+
+/**
+ * Parse a contract code. Single-digit years resolve to the nearest
+ * matching year from five years back.
+ * @param {string} code - 'ESZ5', 'CLF26', '/NQH4'
+ * @param {number} [ref=Date.now()]
+ * @returns {{ root: string, code: string, month: number, year: number }|null}
+ */
+export function parseContract(code, ref = Date.now()) {
+  const m = String(code || '').toUpperCase().trim().match(CONTRACT_RE);
+  if (!m) return null;
+  const month = MONTH_CODES.indexOf(m[2]) + 1;
+  let year;
+  if (m[3].length === 2) year = 2000 + Number(m[3]);
+  else {
+    const base = new Date(ref).getUTCFullYear() - 5;
+    year = base + ((Number(m[3]) - base % 10 + 10) % 10);
+  }
+  return { root: m[1], code: `${m[1]}${m[2]}${m[3]}`, month, year };
+}
+
+/**
+ * Contract code, e.g. contractCode('ES', 2025, 12) → 'ESZ5'.
+ * @param {string} root
+ * @param {number} year
+ * @param {number} month - 1–12
+ */
+export function contractCode(root, year, month) {
+  return `${root}${MONTH_CODES[month - 1]}${year % 10}`;
+}
+
+function isBusinessDay(key) {
+  const dow = weekday(key);
+  return dow >= 1 && dow <= 5 && !holidayMap(+key.slice(0, 4), 'us').get(key)?.closed;
+}
+
+function businessDaysBefore(key, n) {
+  let k = key;
+  for (let i = 0; i < n; i++) {
+    do { k = addDays(k, -1); } while (!isBusinessDay(k));
+  }
+  return k;
+}
+
+function lastBusinessDay(y, m) {
+  let k = ymd(y, m + 1, 0);
+  while (!isBusinessDay(k)) k = addDays(k, -1);
+  return k;
+}
+
+function expiryDay(spec, y, m) {
+  switch (spec.expiry) {
+    case 'third_friday': {
+      let k = nthWeekday(y, m, 5, 3);
+      while (!isBusinessDay(k)) k = addDays(k, -1);
+      return k;
+    }
+    case 'crude': {
+      // 3 business days before the 25th of the prior month
+      let k = ymd(y, m - 1, 25);
+      while (!isBusinessDay(k)) k = addDays(k, -1);
+      return businessDaysBefore(k, 3);
+    }
+    case 'natgas':
+      return businessDaysBefore(ymd(y, m, 1), 3);
+    case 'metals':
+      return businessDaysBefore(lastBusinessDay(y, m), 2);
+    case 'treasury':
+      return businessDaysBefore(lastBusinessDay(y, m), 7);
+    default:
+      return lastBusinessDay(y, m);
+  }
+}
+
+function closeOf(key, cal) {
+  let k = key;
+  while (!isTradingDay(k, cal)) k = addDays(k, -1);
+  return sessionWindow(k, cal).close;
+}
+
+/**
+ * Expiry and roll instants of a contract (session close of each day).
+ * @param {string} root
+ * @param {number} year
+ * @param {number} month - 1–12
+ * @returns {{ root: string, code: string, year: number, month: number, expiry: number, roll: number }|null}
+ */
+export function contractDates(root, year, month) {
+  const r = futuresRoot(root);
+  const spec = r && FUTURES_SPECS[r];
+  if (!spec) return null;
+
+  const expiryKey = expiryDay(spec, year, month);
+  // First notice: last business day of the month before delivery
+  const anchor = spec.roll.from === 'first_notice' ? lastBusinessDay(year, month - 1) : expiryKey;
+  const rollKey = spec.roll.days ? addDays(anchor, -spec.roll.days) : businessDaysBefore(anchor, spec.roll.businessDays || 0);
+
+  // Keep the caller's root in codes ('MES' stays 'MES')
+  const bare = bareRoot(root);
+  const codeRoot = FUTURES_SPECS[bare] || MICRO_ROOTS[bare] ? bare : r;
+  return {
+    root: codeRoot,
+    code: contractCode(codeRoot, year, month),
+    year,
+    month,
+    expiry: closeOf(expiryKey, spec.calendar),
+    roll: closeOf(rollKey, spec.calendar),
+  };
+}
+
+/**
+ * The contract a continuous chart shows at an instant (the first
+ * listed contract whose roll hasn't passed).
+ * @param {string} root
+ * @param {number} time
+ */
+export function frontContract(root, time) {
+  const r = futuresRoot(root);
+  if (!r) return null;
+  const months = FUTURES_SPECS[r].months;
+  const d = new Date(time);
+  let y = d.getUTCFullYear();
+  let m = d.getUTCMonth(); // previous month: energy contracts expire the month before
+  if (m === 0) { y--; m = 12; }
+  for (let i = 0; i < 30; i++) {
+    if (months.includes(MONTH_CODES[m - 1])) {
+      const c = contractDates(root, y, m);
+      if (c.roll > time) return c;
+    }
+    if (++m > 12) { m = 1; y++; }
+  }
+  return null;
+}
+
+/**
+ * Contracts covering [from, to], each with the span it's the front
+ * contract for: start (previous roll) ≤ t < end (its roll).
+ * @param {string} root
+ * @param {number} from
+ * @param {number} to
+ * @returns {Array<{ code: string, year: number, month: number, start: number, end: number, expiry: number }>}
+ */
+export function rollSchedule(root, from, to) {
+  const out = [];
+  let c = frontContract(root, from);
+  let start = -Infinity;
+  while (c && start <= to) {
+    out.push({ ...c, start, end: c.roll });
+    start = c.roll;
+    c = frontContract(root, c.roll);
+  }
+  return out;
+}
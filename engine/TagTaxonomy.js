@@ -0,0 +1,282 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Tag Taxonomy & Tag Analytics
+//
+// Trade tags stay a free-form array (trade.tags). The taxonomy gives
+// known tags a group and a color:
+//
+//   [{ name: 'fomo', group: 'mistake', color: '#ef4444' }, …]
+//
+// Tags match case-insensitively ('FOMO' and 'fomo' are one tag).
+// Mistake tags are priced against the trader's baseline: the average
+// P&L of trades with no mistake tag. A mistake's cost is what its trades
+// made below that baseline, in total.
+//
+// Pure functions — no store access. Amounts are reported in
+// opts.baseCurrency (converted via opts.fxRates).
+//
+// Usage:
+//   tagInfo(taxonomy, 'fomo')                       // → { name, key, group, color }
+//   retagTrades(trades, ['fomo', 'FOMO '], 'fomo')  // → [{ id, tags }] to apply
+//   tagAnalytics(trades, taxonomy, { baseCurrency, fxRates })
+// ═══════════════════════════════════════════════════════════════════
+
+import { convertTrades } from './FxRates.js';
+import { tradeStats } from './Playbooks.js';
+
+const TAG_GROUPS = [
+  { id: 'setup', label: 'Setup', color: '#3b82f6' },
+  { id: 'mistake', label: 'Mistake', color: '#ef4444' },
+  { id: 'condition', label: 'Market Condition', color: '#f59e0b' },
+  { id: 'management', label: 'Management', color: '#10b981' },
+];
+
+// Colors for tags without a group or color of their own
+const TAG_PALETTE = ['#6366f1', '#8b5cf6', '#ec4899', '#14b8a6', '#0ea5e9', '#84cc16', '#f97316', '#64748b'];
+
+const GROUP_IDS = TAG_GROUPS.map((g) => g.id);
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Key tags are matched on.
+ * @param {string} name
+ * @returns {string}
+ */
+function tagKey(name) {
+  return String(name ?? '').trim().toLowerCase();
+}
+
+/** Stable palette color for a tag name */
+function paletteColor(key) {
+  let h = 0;
+  for (let i = 0; i < key.length; i++) h = (h * 31 + key.charCodeAt(i)) >>> 0;
+  return TAG_PALETTE[h % TAG_PALETTE.length];
+}
+
+// ─── Taxonomy ───────────────────────────────────────────────────
+
+/**
+ * Clean a taxonomy list: trimmed names, known groups, #rrggbb colors,
+ * one entry per tag (the first wins).
+ * @param {Object[]} list
+ * @returns {Array<{ name: string, group: string|null, color: string|null }>}
+ */
+function normalizeTaxonomy(list) {
+  const seen = new Set();
+  const out = [];
+  for (const entry of Array.isArray(list) ? list : []) {
+    const name = String(entry?.name ?? '').trim();
+    const key = tagKey(name);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push({
+      name,
+      group: GROUP_IDS.includes(entry.group) ? entry.group : null,
+      color: COLOR_RE.test(entry.color || '') ? entry.color.toLowerCase() : null,
+    });
+  }
+  return out;
+}
+
+/**
+ * Group and color of a tag.
+ * @param {Object[]} taxonomy
+ * @param {string} name
+ * @returns {{ name: string, key: string, group: string|null, color: string }}
+ */
+function tagInfo(taxonomy, name) {
+  const key = tagKey(name);
+  const entry = (taxonomy || []).find((e) => tagKey(e.name) === key);
+  const group = entry?.group || null;
+  return {
+    name: entry?.name || String(name ?? '').trim(),
+    key,
+    group,
+    color: entry?.color || TAG_GROUPS.find((g) => g.id === group)?.color || paletteColor(key),
+  };
+}
+
+/**
+ * Every tag in use or in the taxonomy, with its trade count. Sorted by
+ * group (ungrouped last), then most used.
+ * @param {Object[]} trades
+ * @param {Object[]} taxonomy
+ * @returns {Array<{ name, key, group, color, count }>}
+ */
+function collectTags(trades, taxonomy) {
+  const counts = new Map();
+  const names = new Map();
+  for (const t of trades || []) {
+    for (const tag of uniqueTags(t.tags)) {
+      const key = tagKey(tag);
+      counts.set(key, (counts.get(key) || 0) + 1);
+      if (!names.has(key)) names.set(key, tag);
+    }
+  }
+  for (const e of taxonomy || []) if (!names.has(tagKey(e.name))) names.set(tagKey(e.name), e.name);
+
+  const order = (g) => (g ? GROUP_IDS.indexOf(g) : GROUP_IDS.length);
+  return [...names]
+    .map(([key, name]) => ({ ...tagInfo(taxonomy, name), count: counts.get(key) || 0 }))
+    .sort((a, b) => order(a.group) - order(b.group) || b.count - a.count || a.key.localeCompare(b.key));
+}
+
+// ─── Editing trades ─────────────────────────────────────────────
+
+/**
+ * Trimmed tags with case-insensitive duplicates removed (first spelling kept).
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+function uniqueTags(tags) {
+  const seen = new Set();
+  const out = [];
+  for (const tag of Array.isArray(tags) ? tags : []) {
+    const name = String(tag ?? '').trim();
+    const key = tagKey(name);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push(name);
+  }
+  return out;
+}
+
+/**
+ * Rename or merge tags across trades. Every tag in `from` becomes `to`
+ * (an empty `to` removes them). Only changed trades are returned.
+ * @param {Object[]} trades
+ * @param {string[]} from
+ * @param {string} to
+ * @returns {Array<{ id: string, tags: string[] }>}
+ */
+function retagTrades(trades, from, to) {
+  const keys = new Set((from || []).map(tagKey).filter(Boolean));
+  const target = String(to ?? '').trim();
+  const updates = [];
+  for (const t of trades || []) {
+    const tags = Array.isArray(t.tags) ? t.tags : [];
+    if (!tags.some((tag) => keys.has(tagKey(tag)))) continue;
+    const next = uniqueTags(tags.map((tag) => (keys.has(tagKey(tag)) ? target : tag)));
+    updates.push({ id: t.id, tags: next });
+  }
+  return updates;
+}
+
+/**
+ * Add tags to a trade's tags (bulk apply).
+ * @param {string[]} tags
+ * @param {string[]} add
+ * @returns {string[]}
+ */
+function addTags(tags, add) {
+  return uniqueTags([...(tags || []), ...(add || [])]);
+}
+
+/**
+ * Remove tags from a trade's tags.
+ * @param {string[]} tags
+ * @param {string[]} remove
+ * @returns {string[]}
+ */
+function removeTags(tags, remove) {
+  const keys = new Set((remove || []).map(tagKey));
+  return uniqueTags(tags).filter((tag) => !keys.has(tagKey(tag)));
+}
+
+// ─── Analytics ──────────────────────────────────────────────────
+
+/**
+ * Per-tag and per-combination performance, plus the cost of mistakes.
+ *
+ * @param {Object[]} trades
+ * @param {Object[]} taxonomy
+ * @param {Object} [opts] - { baseCurrency, fxRates, comboSize: 2|3, minCount: 2 }
+ * @returns {{ tags: Object[], combos: Object[], mistakes: Object, untagged: Object, missing: string[] }}
+ */
+function tagAnalytics(trades, taxonomy, opts = {}) {
+  const { trades: list, missing } = convertTrades(trades || [], opts.baseCurrency || 'USD', opts.fxRates);
+  const comboSize = opts.comboSize === 3 ? 3 : 2;
+  const minCount = opts.minCount ?? 2;
+  const isMistake = (tag) => tagInfo(taxonomy, tag).group === 'mistake';
+
+  const byTag = new Map();
+  const byCombo = new Map();
+  const clean = [];
+  const mistaken = [];
+  const untagged = [];
+
+  for (const t of list) {
+    const tags = uniqueTags(t.tags);
+    if (!tags.length) untagged.push(t);
+    (tags.some(isMistake) ? mistaken : clean).push(t);
+
+    for (const tag of tags) {
+      const key = tagKey(tag);
+      if (!byTag.has(key)) byTag.set(key, { name: tag, trades: [] });
+      byTag.get(key).trades.push(t);
+    }
+
+    const sorted = [...tags].sort((a, b) => tagKey(a).localeCompare(tagKey(b)));
+    for (const combo of combinations(sorted, comboSize)) {
+      const key = combo.map(tagKey).join(' + ');
+      if (!byCombo.has(key)) byCombo.set(key, { tags: combo, trades: [] });
+      byCombo.get(key).trades.push(t);
+    }
+  }
+
+  // Baseline: how the trader does without mistakes
+  const baseline = clean.length ? tradeStats(clean).expectancy : 0;
+  const cost = (stats) => baseline * stats.count - stats.pnl;
+
+  const tags = [...byTag.values()].map(({ name, trades: ts }) => {
+    const info = tagInfo(taxonomy, name);
+    const stats = tradeStats(ts);
+    return { ...info, ...stats, cost: info.group === 'mistake' ? cost(stats) : null };
+  }).sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+
+  const combos = [...byCombo.values()]
+    .filter((c) => c.trades.length >= minCount)
+    .map(({ tags: names, trades: ts }) => {
+      const stats = tradeStats(ts);
+      return {
+        tags: names.map((n) => tagInfo(taxonomy, n)),
+        key: names.map(tagKey).join(' + '),
+        ...stats,
+        cost: names.some(isMistake) ? cost(stats) : null,
+      };
+    })
+    .sort((a, b) => b.count - a.count || b.pnl - a.pnl || a.key.localeCompare(b.key));
+
+  const mistakeStats = tradeStats(mistaken);
+  return {
+    tags,
+    combos,
+    mistakes: { ...mistakeStats, baseline, cost: cost(mistakeStats) },
+    untagged: tradeStats(untagged),
+    missing,
+  };
+}
+
+/** k-element combinations of a list, in order */
+function combinations(items, k) {
+  if (k > items.length) return [];
+  if (k === 1) return items.map((i) => [i]);
+  const out = [];
+  items.forEach((head, i) => {
+    for (const tail of combinations(items.slice(i + 1), k - 1)) out.push([head, ...tail]);
+  });
+  return out;
+}
+
+export {
+  TAG_GROUPS,
+  TAG_PALETTE,
+  tagKey,
+  normalizeTaxonomy,
+  tagInfo,
+  collectTags,
+  uniqueTags,
+  retagTrades,
+  addTags,
+  removeTags,
+  tagAnalytics,
+};
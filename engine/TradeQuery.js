@@ -0,0 +1,590 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Trade Query Language
+//
+// Structured filters over journal trades, used by the journal filter
+// bar, saved smart views and computeFast (settings.query / .view).
+//
+//   playbook:"ORB" AND rMultiple<-1 AND tag:fomo AND hour:9..10 AND emotion!=calm
+//
+// Syntax:
+//   field:value   field=value   field!=value      equality (case-insensitive)
+//   field<n  field<=n  field>n  field>=n          numbers, dates, weekdays
+//   field:a..b    field:a..   field:..b           inclusive ranges
+//   field:a,b,c                                   any of
+//   "quoted value"   ES*  *gap*                    spaces, wildcards
+//   AND  OR  NOT  -term  ( … )                    boolean logic; AND is implied
+//   bare words                                    free text (symbol, playbook,
+//                                                 emotion, tags, notes)
+//
+// Dates compare by prefix, so date:2025-03 is all of March and
+// date<=2025-03 includes it. hour / day use the trade's local time.
+//
+// Usage:
+//   const q = compileQuery('tag:fomo AND pnl<0');
+//   if (q.ok) trades.filter(q.match);
+//   filterTrades(trades, 'side:short hour:9..10');
+//   suggestQuery('play', 4, trades)   // → { from, to, items: [{ label, insert }] }
+// ═══════════════════════════════════════════════════════════════════
+
+import { accountIdOf } from './Accounts.js';
+
+const MINUTE = 60_000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_NAMES = WEEKDAYS.map((d) => d.slice(0, 3));
+const OPERATORS = ['!=', '>=', '<=', ':', '=', '<', '>'];
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+const num = (v) => (v == null || v === '' || isNaN(v) ? null : Number(v));
+
+// ─── Fields ─────────────────────────────────────────────────────
+
+/**
+ * Queryable trade fields.
+ *   type: 'text' | 'list' | 'enum' | 'number' | 'date' | 'day' | 'bool'
+ *   get: trade → value
+ *   values: fixed value set (enum, day, bool) for validation and autocomplete
+ *   contains: text matches by substring instead of equality
+ */
+const QUERY_FIELDS = {
+  id: { type: 'text', get: (t) => t.id, description: 'Trade ID' },
+  symbol: { type: 'text', get: (t) => t.symbol, description: 'Ticker symbol' },
+  side: { type: 'enum', values: ['long', 'short'], get: (t) => t.side, description: 'Long or short' },
+  playbook: { type: 'text', get: (t) => t.playbook, description: 'Playbook / strategy' },
+  emotion: { type: 'text', get: (t) => t.emotion, description: 'Emotional state' },
+  condition: { type: 'text', get: (t) => t.marketCondition, description: 'Market condition' },
+  tag: { type: 'list', get: (t) => t.tags, description: 'Has tag' },
+  assetClass: {
+    type: 'enum',
+    values: ['futures', 'stocks', 'equities', 'options', 'forex', 'crypto'],
+    get: (t) => t.assetClass,
+    description: 'Asset class',
+  },
+  account: { type: 'text', get: (t) => accountIdOf(t), description: 'Account ID' },
+  currency: { type: 'text', get: (t) => t.currency || 'USD', description: 'Trade currency' },
+  notes: { type: 'text', contains: true, get: (t) => t.notes, description: 'Notes contain' },
+  pnl: { type: 'number', get: (t) => num(t.pnl), description: 'Net P&L' },
+  fees: { type: 'number', get: (t) => num(t.fees), description: 'Fees' },
+  qty: { type: 'number', get: (t) => num(t.qty), description: 'Quantity' },
+  entry: { type: 'number', get: (t) => num(t.entry), description: 'Entry price' },
+  exit: { type: 'number', get: (t) => num(t.exit), description: 'Exit price' },
+  rMultiple: { type: 'number', get: (t) => num(t.rMultiple), description: 'R multiple' },
+  rating: { type: 'number', get: (t) => num(t.rating), description: 'Trade rating' },
+  date: { type: 'date', get: (t) => dateString(t.date), description: 'Entry date (YYYY-MM-DD)' },
+  hour: {
+    type: 'number',
+    get: (t) => (t.date ? new Date(t.date).getHours() : null),
+    description: 'Entry hour (0–23)',
+  },
+  day: {
+    type: 'day',
+    values: DAY_NAMES,
+    get: (t) => (t.date ? new Date(t.date).getDay() : null),
+    description: 'Weekday (mon–sun)',
+  },
+  duration: {
+    type: 'number',
+    get: (t) => (t.date && t.closeDate ? (new Date(t.closeDate) - new Date(t.date)) / MINUTE : null),
+    description: 'Hold time in minutes',
+  },
+  result: {
+    type: 'enum',
+    values: ['win', 'loss', 'breakeven'],
+    get: (t) => {
+      const pnl = Number(t.pnl) || 0;
+      return pnl > 0 ? 'win' : pnl < 0 ? 'loss' : 'breakeven';
+    },
+    description: 'Win, loss or breakeven',
+  },
+  ruleBreak: { type: 'bool', values: ['true', 'false'], get: (t) => !t.followedRules, description: 'Broke a rule' },
+};
+
+const ALIASES = {
+  strategy: 'playbook',
+  tags: 'tag',
+  r: 'rMultiple',
+  asset: 'assetClass',
+  accountid: 'account',
+  dow: 'day',
+  weekday: 'day',
+  hold: 'duration',
+  outcome: 'result',
+  rulebreak: 'ruleBreak',
+};
+
+const FIELD_LOOKUP = new Map([
+  ...Object.keys(QUERY_FIELDS).map((name) => [name.toLowerCase(), name]),
+  ...Object.entries(ALIASES),
+]);
+
+/**
+ * Canonical field name for a field or alias (case-insensitive).
+ * @param {string} name
+ * @returns {string|null}
+ */
+function resolveField(name) {
+  return FIELD_LOOKUP.get(String(name).toLowerCase()) || null;
+}
+
+function dateString(d) {
+  if (d == null || d === '') return null;
+  if (typeof d === 'string') return d;
+  const ms = new Date(d).getTime();
+  return isNaN(ms) ? null : new Date(ms).toISOString();
+}
+
+function queryError(message, pos) {
+  const err = new Error(message);
+  err.pos = pos;
+  return err;
+}
+
+// ─── Tokenizer ──────────────────────────────────────────────────
+
+const FIELD_RE = /[A-Za-z_]\w*/y;
+
+function readQuoted(text, i) {
+  const end = text.indexOf('"', i + 1);
+  if (end < 0) throw queryError('Unclosed quote', i);
+  return { value: text.slice(i + 1, end), end: end + 1 };
+}
+
+function readBare(text, i) {
+  let j = i;
+  while (j < text.length && !/[\s()]/.test(text[j])) j++;
+  return { value: text.slice(i, j), end: j };
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, pos: i });
+      i++;
+      continue;
+    }
+    if (text.startsWith('&&', i) || text.startsWith('||', i)) {
+      tokens.push({ type: ch === '&' ? 'AND' : 'OR', pos: i });
+      i += 2;
+      continue;
+    }
+    // -term / !term negate; -1 stays a number
+    if ((ch === '-' || ch === '!') && i + 1 < text.length && !/[\s\d=]/.test(text[i + 1])) {
+      tokens.push({ type: 'NOT', pos: i });
+      i++;
+      continue;
+    }
+    if (ch === '"') {
+      const q = readQuoted(text, i);
+      tokens.push({ type: 'text', value: q.value, pos: i });
+      i = q.end;
+      continue;
+    }
+
+    // field<op>value
+    FIELD_RE.lastIndex = i;
+    const m = FIELD_RE.exec(text);
+    const op = m && OPERATORS.find((o) => text.startsWith(o, i + m[0].length));
+    if (op) {
+      const valuePos = i + m[0].length + op.length;
+      const v = text[valuePos] === '"' ? readQuoted(text, valuePos) : readBare(text, valuePos);
+      if (v.value === '' && text[valuePos] !== '"') throw queryError(`Missing value for ${m[0]}`, valuePos);
+      tokens.push({
+        type: 'cmp', field: m[0], op, value: v.value, quoted: text[valuePos] === '"', pos: i, valuePos,
+      });
+      i = v.end;
+      continue;
+    }
+
+    const word = readBare(text, i);
+    const upper = word.value.toUpperCase();
+    tokens.push(KEYWORDS.includes(upper) ? { type: upper, pos: i } : { type: 'text', value: word.value, pos: i });
+    i = word.end;
+  }
+
+  return tokens;
+}
+
+// ─── Parser ─────────────────────────────────────────────────────
+// or    := and (OR and)*
+// and   := unary (AND? unary)*
+// unary := NOT unary | '(' or ')' | cmp | text
+
+function parseTokens(tokens, length) {
+  let i = 0;
+  const peek = () => tokens[i];
+  const startsUnary = (t) => t && (t.type === 'NOT' || t.type === '(' || t.type === 'cmp' || t.type === 'text');
+
+  function parseOr() {
+    const items = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      i++;
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  }
+
+  function parseAnd() {
+    const items = [parseUnary()];
+    for (;;) {
+      if (peek()?.type === 'AND') {
+        i++;
+        items.push(parseUnary());
+      } else if (startsUnary(peek())) {
+        items.push(parseUnary());
+      } else {
+        break;
+      }
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  }
+
+  function parseUnary() {
+    const t = peek();
+    if (!t) throw queryError('Unexpected end of query', length);
+    if (t.type === 'NOT') {
+      i++;
+      return { type: 'not', item: parseUnary() };
+    }
+    if (t.type === '(') {
+      i++;
+      const inner = parseOr();
+      if (peek()?.type !== ')') throw queryError('Missing closing parenthesis', peek()?.pos ?? length);
+      i++;
+      return inner;
+    }
+    if (t.type === 'cmp') {
+      i++;
+      const field = resolveField(t.field);
+      if (!field) throw queryError(`Unknown field "${t.field}"`, t.pos);
+      return { type: 'cmp', field, op: t.op, value: t.value, quoted: t.quoted, pos: t.pos, valuePos: t.valuePos };
+    }
+    if (t.type === 'text') {
+      i++;
+      return { type: 'text', value: t.value, pos: t.pos };
+    }
+    throw queryError(`Unexpected ${t.type}`, t.pos);
+  }
+
+  const ast = parseOr();
+  if (i < tokens.length) throw queryError(`Unexpected ${tokens[i].type}`, tokens[i].pos);
+  return ast;
+}
+
+/**
+ * Parse a query into an AST.
+ * @param {string} text
+ * @returns {{ ok: true, ast: Object|null } | { ok: false, error: string, pos: number }}
+ */
+function parseQuery(text) {
+  const src = String(text ?? '');
+  try {
+    const tokens = tokenize(src);
+    return { ok: true, ast: tokens.length ? parseTokens(tokens, src.length) : null };
+  } catch (err) {
+    return { ok: false, error: err.message, pos: err.pos ?? 0 };
+  }
+}
+
+// ─── Compiler ───────────────────────────────────────────────────
+
+function wildcard(pattern) {
+  if (!pattern.includes('*')) return (s) => s === pattern;
+  const re = new RegExp('^' + pattern.split('*').map((p) => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  return (s) => re.test(s);
+}
+
+/** Split a raw value into { kind: 'one'|'range'|'list', ... } */
+function shapeValue(node) {
+  if (node.quoted) return { kind: 'one', values: [node.value] };
+  const range = node.value.split('..');
+  if (range.length === 2) return { kind: 'range', lo: range[0], hi: range[1] };
+  if (node.value.includes(',')) return { kind: 'list', values: node.value.split(',').filter(Boolean) };
+  return { kind: 'one', values: [node.value] };
+}
+
+/** Parse one literal for a field type; throws on invalid input */
+function literal(def, field, raw, pos) {
+  const v = raw.trim();
+  switch (def.type) {
+    case 'number': {
+      const n = Number(v);
+      if (v === '' || isNaN(n)) throw queryError(`${field} expects a number, got "${raw}"`, pos);
+      return n;
+    }
+    case 'date':
+      if (!/^\d{4}(-\d{2}(-\d{2})?)?$/.test(v)) throw queryError(`${field} expects YYYY, YYYY-MM or YYYY-MM-DD`, pos);
+      return v;
+    case 'day': {
+      const lower = v.toLowerCase();
+      const idx = /^[0-6]$/.test(lower)
+        ? Number(lower)
+        : WEEKDAYS.findIndex((d) => lower.length >= 3 && d.startsWith(lower));
+      if (idx < 0) throw queryError(`Unknown weekday "${raw}"`, pos);
+      return idx;
+    }
+    case 'bool': {
+      const lower = v.toLowerCase();
+      if (['true', 'yes', '1'].includes(lower)) return true;
+      if (['false', 'no', '0'].includes(lower)) return false;
+      throw queryError(`${field} expects true or false`, pos);
+    }
+    case 'enum': {
+      const lower = v.toLowerCase();
+      if (!def.values.includes(lower)) throw queryError(`${field} must be one of ${def.values.join(', ')}`, pos);
+      return lower;
+    }
+    default:
+      return v.toLowerCase();
+  }
+}
+
+const ORDERED = new Set(['number', 'date', 'day']);
+
+function compileCompare(node) {
+  const def = QUERY_FIELDS[node.field];
+  const { field, op, valuePos } = node;
+  const shape = shapeValue(node);
+
+  if (!ORDERED.has(def.type)) {
+    if (!['!=', ':', '='].includes(op)) throw queryError(`${field} does not support ${op}`, node.pos);
+    if (shape.kind === 'range') throw queryError(`${field} does not support ranges`, valuePos);
+  } else if (op !== ':' && op !== '=' && op !== '!=' && shape.kind !== 'one') {
+    throw queryError(`${op} takes a single value`, valuePos);
+  }
+
+  // Equality test over the field's normalized value
+  let eq;
+  if (def.type === 'date') {
+    const prefix = (s, len) => s.slice(0, len);
+    if (shape.kind === 'range') {
+      const lo = shape.lo && literal(def, field, shape.lo, valuePos);
+      const hi = shape.hi && literal(def, field, shape.hi, valuePos);
+      eq = (s) => (!lo || prefix(s, lo.length) >= lo) && (!hi || prefix(s, hi.length) <= hi);
+    } else {
+      const vals = shape.values.map((v) => literal(def, field, v, valuePos));
+      eq = (s) => vals.some((v) => prefix(s, v.length) === v);
+    }
+  } else if (ORDERED.has(def.type)) {
+    if (shape.kind === 'range') {
+      const lo = shape.lo === '' ? -Infinity : literal(def, field, shape.lo, valuePos);
+      const hi = shape.hi === '' ? Infinity : literal(def, field, shape.hi, valuePos);
+      eq = (n) => n >= lo && n <= hi;
+    } else {
+      const vals = shape.values.map((v) => literal(def, field, v, valuePos));
+      eq = (n) => vals.includes(n);
+    }
+  } else if (def.type === 'bool') {
+    const vals = shape.values.map((v) => literal(def, field, v, valuePos));
+    eq = (b) => vals.includes(!!b);
+  } else {
+    const vals = shape.values.map((v) => literal(def, field, v, valuePos));
+    const tests = def.contains
+      ? vals.map((v) => (s) => s.includes(v))
+      : vals.map(wildcard);
+    const one = (s) => tests.some((test) => test(String(s).toLowerCase()));
+    eq = def.type === 'list' ? (arr) => (arr || []).some(one) : one;
+  }
+
+  const get = def.get;
+  const missing = (v) => v == null || v === '' || (typeof v === 'number' && isNaN(v));
+
+  if (op === ':' || op === '=') return (t) => { const v = get(t); return !missing(v) && eq(v); };
+  if (op === '!=') return (t) => { const v = get(t); return missing(v) || !eq(v); };
+
+  // Ordered comparisons on a single value
+  const target = literal(def, field, shape.values[0], valuePos);
+  const key = def.type === 'date' ? (s) => s.slice(0, target.length) : (v) => v;
+  const cmp = {
+    '<': (v) => v < target,
+    '<=': (v) => v <= target,
+    '>': (v) => v > target,
+    '>=': (v) => v >= target,
+  }[op];
+  return (t) => { const v = get(t); return !missing(v) && cmp(key(v)); };
+}
+
+function compileText(node) {
+  const q = node.value.toLowerCase();
+  return (t) =>
+    (t.symbol || '').toLowerCase().includes(q) ||
+    (t.playbook || '').toLowerCase().includes(q) ||
+    (t.emotion || '').toLowerCase().includes(q) ||
+    (t.tags || []).some((tag) => String(tag).toLowerCase().includes(q)) ||
+    (t.notes || '').toLowerCase().includes(q);
+}
+
+function compileNode(node) {
+  switch (node.type) {
+    case 'and': {
+      const fns = node.items.map(compileNode);
+      return (t) => fns.every((fn) => fn(t));
+    }
+    case 'or': {
+      const fns = node.items.map(compileNode);
+      return (t) => fns.some((fn) => fn(t));
+    }
+    case 'not': {
+      const fn = compileNode(node.item);
+      return (t) => !fn(t);
+    }
+    case 'cmp':
+      return compileCompare(node);
+    default:
+      return compileText(node);
+  }
+}
+
+/**
+ * Compile a query into a trade predicate.
+ * An empty query matches every trade.
+ * @param {string} text
+ * @returns {{ ok: true, match: Function, ast: Object|null } | { ok: false, error: string, pos: number }}
+ */
+function compileQuery(text) {
+  const parsed = parseQuery(text);
+  if (!parsed.ok) return parsed;
+  if (!parsed.ast) return { ok: true, ast: null, match: () => true };
+  try {
+    return { ok: true, ast: parsed.ast, match: compileNode(parsed.ast) };
+  } catch (err) {
+    return { ok: false, error: err.message, pos: err.pos ?? 0 };
+  }
+}
+
+/**
+ * Filter trades by a query. Invalid queries match nothing.
+ * @param {Object[]} trades
+ * @param {string} query
+ * @returns {Object[]}
+ */
+function filterTrades(trades, query) {
+  if (!Array.isArray(trades)) return [];
+  const q = compileQuery(query);
+  if (!q.ok) return [];
+  return q.ast ? trades.filter(q.match) : trades;
+}
+
+// ─── Autocomplete ───────────────────────────────────────────────
+
+function quoteValue(value) {
+  const v = String(value).replace(/"/g, '');
+  return /[\s(),]|\.\./.test(v) ? `"${v}"` : v;
+}
+
+/** Candidate values of a field: fixed values, or distinct values in trades by frequency */
+function fieldValues(name, trades) {
+  const def = QUERY_FIELDS[name];
+  if (def.values) return def.values.map((value) => ({ value }));
+  if (def.type !== 'text' && def.type !== 'list') return [];
+  if (def.contains) return [];
+
+  const counts = new Map();
+  for (const t of trades || []) {
+    const raw = def.get(t);
+    for (const v of def.type === 'list' ? raw || [] : [raw]) {
+      if (v == null || v === '') continue;
+      const s = String(v);
+      counts.set(s, (counts.get(s) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([value, count]) => ({ value, count }));
+}
+
+/**
+ * Autocomplete the token under the cursor.
+ *
+ * Field names complete to `field:`; after an operator the field's
+ * values complete (enum values, or values seen in trades, most
+ * frequent first); keywords complete mid-query.
+ *
+ * @param {string} text
+ * @param {number} [cursor=text.length]
+ * @param {Object[]} [trades=[]] - Source of suggested values
+ * @param {number} [limit=8]
+ * @returns {{ from: number, to: number, items: { label: string, insert: string, detail?: string }[] }}
+ */
+function suggestQuery(text, cursor, trades = [], limit = 8) {
+  const src = String(text ?? '');
+  const at = Math.max(0, Math.min(cursor ?? src.length, src.length));
+  const before = src.slice(0, at);
+  const to = at + /^[^\s()]*/.exec(src.slice(at))[0].length;
+
+  // Inside an unclosed quoted value, e.g. playbook:"Gap F|
+  const quoted = /([A-Za-z_]\w*)(!=|>=|<=|:|=|<|>)"([^"]*)$/.exec(before);
+  let from, token;
+  if (quoted && (before.split('"').length - 1) % 2 === 1) {
+    from = at - quoted[0].length;
+    token = quoted[0];
+  } else {
+    token = /[^\s()]*$/.exec(before)[0];
+    from = at - token.length;
+  }
+  if (/^[-!]/.test(token)) {
+    from++;
+    token = token.slice(1);
+  }
+
+  const items = [];
+  const cmp = /^([A-Za-z_]\w*)(!=|>=|<=|:|=|<|>)"?(.*)$/.exec(token);
+
+  if (cmp) {
+    const name = resolveField(cmp[1]);
+    if (name) {
+      const partial = cmp[3].toLowerCase();
+      for (const { value, count } of fieldValues(name, trades)) {
+        const lower = value.toLowerCase();
+        if (!lower.startsWith(partial) || lower === partial) continue;
+        items.push({
+          label: value,
+          insert: `${cmp[1]}${cmp[2]}${quoteValue(value)} `,
+          ...(count != null && { detail: `${count} trade${count === 1 ? '' : 's'}` }),
+        });
+        if (items.length >= limit) break;
+      }
+    }
+    return { from, to, items };
+  }
+
+  const prefix = token.toLowerCase();
+  for (const [name, def] of Object.entries(QUERY_FIELDS)) {
+    if (name.toLowerCase().startsWith(prefix)) {
+      items.push({ label: `${name}:`, insert: `${name}:`, detail: def.description });
+    }
+  }
+  if (prefix && before.slice(0, from).trim()) {
+    for (const kw of KEYWORDS) {
+      if (kw.toLowerCase().startsWith(prefix)) items.push({ label: kw, insert: `${kw} ` });
+    }
+  }
+  return { from, to, items: items.slice(0, limit) };
+}
+
+/**
+ * Apply a suggestion to the query text.
+ * @param {string} text
+ * @param {{ from: number, to: number }} range - From suggestQuery()
+ * @param {{ insert: string }} item
+ * @returns {{ text: string, cursor: number }}
+ */
+function applySuggestion(text, range, item) {
+  const src = String(text ?? '');
+  const next = src.slice(0, range.from) + item.insert + src.slice(range.to).replace(/^ +/, item.insert.endsWith(' ') ? '' : '$&');
+  return { text: next, cursor: range.from + item.insert.length };
+}
+
+export {
+  QUERY_FIELDS,
+  resolveField,
+  parseQuery,
+  compileQuery,
+  filterTrades,
+  suggestQuery,
+  applySuggestion,
+};
@@ -28,11 +28,27 @@ const TRADE_SCHEMA = {
   stopLoss:   { type: 'number',  required: false, default: null },
   takeProfit: { type: 'number',  required: false, default: null },
   rMultiple:  { type: 'number',  required: false, default: null },
+  pointValue: { type: 'number',  required: false, default: null },   // contract multiplier
+  executions: { type: 'array',   required: false, default: null },   // fills — see Executions.js
+
+  // Options — single leg fields, or legs[] for a grouped strategy (see Options.js)
+  underlying: { type: 'string',  required: false, default: null },
+  optionType: { type: 'string',  required: false, default: null, enum: ['call', 'put'] },
+  strike:     { type: 'number',  required: false, default: null },
+  expiry:     { type: 'string',  required: false, default: null },   // YYYY-MM-DD
+  multiplier: { type: 'number',  required: false, default: null },   // contract size, usually 100
+  strategy:   { type: 'string',  required: false, default: null },   // STRATEGY_LABELS key
+  legs:       { type: 'array',   required: false, default: null },
+  underlyingAtEntry: { type: 'number', required: false, default: null },
+  ivAtEntry:         { type: 'number', required: false, default: null },
+  deltaAtEntry:      { type: 'number', required: false, default: null },
 
   // Classification
   assetClass: { type: 'string',  required: false, default: 'futures',
                 enum: ['futures', 'stocks', 'crypto', 'forex', 'options', 'etf', 'other'] },
   playbook:   { type: 'string',  required: false, default: '' },
+  accountId:  { type: 'string',  required: false, default: 'default' },
+  currency:   { type: 'string',  required: false, default: 'USD' },  // ISO code of pnl/fees
   tags:       { type: 'array',   required: false, default: [] },
 
   // Journal
@@ -40,6 +56,7 @@ const TRADE_SCHEMA = {
   notes:      { type: 'string',  required: false, default: '' },
   rating:     { type: 'number',  required: false, default: null, min: 1, max: 5 },
   ruleBreak:  { type: 'boolean', required: false, default: false },
+  marketCondition: { type: 'string', required: false, default: '' },  // see Playbooks.js MARKET_CONDITIONS
 
   // Metadata
   _updatedAt:    { type: 'string',  required: false, default: null },
@@ -174,7 +191,7 @@ function normalizeTrade(trade) {
 
     // Clamp to enum
     if (def.enum && !def.enum.includes(val)) {
-      val = def.default ?? def.enum[0];
+      val = 'default' in def ? def.default : def.enum[0];
     }
 
     // Clamp to range
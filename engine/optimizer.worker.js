@@ -0,0 +1,49 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Optimizer Web Worker
+//
+// Runs Optimizer.js sweeps off the main thread.
+// Protocol:
+//   Main → Worker: { type: 'sweep'|'walkForward', code, bars, opts, id }
+//   Worker → Main: { type: 'progress', done, total, id }   (throttled)
+//   Worker → Main: { type: 'result', data: {...}, id, ms }
+//   Worker → Main: { type: 'error', error, id }
+//   Main → Worker: { type: 'ping' }
+//   Worker → Main: { type: 'pong' }
+//
+// A run can't be interrupted from inside — OptimizerBridge cancels by
+// terminating the worker.
+// ═══════════════════════════════════════════════════════════════════
+
+import { runSweep, walkForward } from './Optimizer.js';
+
+const PROGRESS_INTERVAL_MS = 100;
+
+if (typeof self !== 'undefined' && typeof self.postMessage === 'function') {
+  self.onmessage = (e) => {
+    const { type, code, bars, opts, id } = e.data || {};
+
+    if (type === 'ping') {
+      self.postMessage({ type: 'pong' });
+      return;
+    }
+
+    if (type === 'sweep' || type === 'walkForward') {
+      const t0 = performance.now();
+      let lastPost = 0;
+      const onProgress = (done, total) => {
+        const now = performance.now();
+        if (done < total && now - lastPost < PROGRESS_INTERVAL_MS) return;
+        lastPost = now;
+        self.postMessage({ type: 'progress', done, total, id });
+      };
+      try {
+        const run = type === 'sweep' ? runSweep : walkForward;
+        const data = run(code, bars, { ...opts, onProgress });
+        const ms = Math.round((performance.now() - t0) * 100) / 100;
+        self.postMessage({ type: 'result', data, id, ms });
+      } catch (err) {
+        self.postMessage({ type: 'error', error: err.message, id });
+      }
+    }
+  };
+}
@@ -1,15 +1,31 @@
 // ═══════════════════════════════════════════════════════════════════
-// TradeForge OS v10 — Order Flow / Volume Profile
-// Extracted from v9.3 monolith (genVP function).
-// Generates simulated volume profile data for a given OHLC bar.
-// Uses deterministic seeded PRNG for stable rendering.
+// TradeForge OS v11 — Order Flow / Volume Profile
+//
+// Real order flow from trade prints:
+//   ticks (Binance aggTrade stream, or an imported tick CSV)
+//     → createFootprintAggregator: bid/ask volume per price level per bar
+//     → buildVolumeProfile / sessionProfiles: POC, VAH, VAL
+//     → deltaSeries: per-bar delta and cumulative delta
+//
+// Conventions:
+//   - A tick's side is the aggressor: 'buy' lifted the ask, 'sell'
+//     hit the bid. askVol = aggressive buys, bidVol = aggressive sells.
+//   - delta = askVol − bidVol (positive = net buying).
+//   - Bars without trade data carry no footprint; nothing is inferred.
+//
+// genVolumeProfile() is the old simulated per-bar profile (seeded PRNG,
+// from the v9.3 monolith genVP). No chart or analysis uses it any more;
+// it stays as the module's default export for existing importers and
+// must not be used for analysis.
 // ═══════════════════════════════════════════════════════════════════
 
+import { parseCSVRaw, parseNumeric } from '../csv.js';
+
 // WeakMap cache keyed by bar object reference
 const VP_CACHE = new WeakMap();
 
 /**
- * Generate volume profile levels for a single OHLC bar.
+ * SIMULATED — generate volume profile levels for a single OHLC bar.
  * Uses a seeded PRNG derived from the bar's OHLC values for deterministic output.
  *
  * @param {{ open: number, high: number, low: number, close: number }} bar
@@ -107,5 +123,569 @@ function clearVPCache() {
   // For testing, create fresh bar objects.
 }
 
-export { genVolumeProfile, clearVPCache };
+// ─── Ticks ──────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} Tick
+ * @property {number} time  - ms
+ * @property {number} price
+ * @property {number} qty
+ * @property {'buy'|'sell'} side - Aggressor side
+ * @property {number} [id]  - Exchange trade id, when known
+ */
+
+/**
+ * Tick from a Binance aggTrade message. `m` (buyer is maker) means the
+ * seller was the aggressor.
+ * @param {{ a: number, T: number, p: string, q: string, m: boolean }} msg
+ * @returns {Tick}
+ */
+function tickFromAggTrade(msg) {
+  return {
+    id: msg.a,
+    time: msg.T,
+    price: parseFloat(msg.p),
+    qty: parseFloat(msg.q),
+    side: msg.m ? 'sell' : 'buy',
+  };
+}
+
+const TICK_COLUMNS = {
+  time: ['time', 'timestamp', 'ts', 'datetime', 'date', 'transact_time', 't'],
+  price: ['price', 'last', 'p', 'trade_price'],
+  qty: ['qty', 'quantity', 'size', 'volume', 'amount', 'q', 'vol'],
+  side: ['side', 'aggressor', 'aggressor_side', 'direction'],
+  buyerMaker: ['is_buyer_maker', 'isbuyermaker', 'buyer_maker', 'm'],
+  bid: ['bid', 'bid_price'],
+  ask: ['ask', 'ask_price'],
+};
+
+function _findColumn(headers, names) {
+  const norm = headers.map((h) => h.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  return norm.findIndex((h) => names.includes(h));
+}
+
+function _parseTickTime(v) {
+  const n = Number(v);
+  if (v !== '' && Number.isFinite(n)) {
+    // Seconds, milliseconds or microseconds since epoch
+    if (n < 1e11) return n * 1000;
+    if (n > 1e14) return Math.floor(n / 1000);
+    return n;
+  }
+  const t = Date.parse(v);
+  return Number.isNaN(t) ? NaN : t;
+}
+
+function _parseSide(v) {
+  const s = String(v ?? '').trim().toLowerCase();
+  // 'ask' / 'bid' = the side of the book the trade printed against
+  if (['buy', 'b', 'buyer', 'ask', 'a', 'long', '1'].includes(s)) return 'buy';
+  if (['sell', 's', 'seller', 'bid', 'short', '-1'].includes(s)) return 'sell';
+  return null;
+}
+
+/**
+ * Parse a tick/trade CSV export.
+ *
+ * Needs time, price and quantity columns. The aggressor side comes
+ * from (in order): a side/aggressor column, an is_buyer_maker column,
+ * bid/ask columns (at/above ask = buy, at/below bid = sell), or the
+ * tick rule (uptick = buy, downtick = sell, unchanged = previous side).
+ *
+ * @param {string} text
+ * @returns {{ ticks: Tick[], errors: string[], sideSource: string }}
+ */
+function parseTickCSV(text) {
+  const { headers, rows } = parseCSVRaw(text);
+  const col = Object.fromEntries(Object.entries(TICK_COLUMNS).map(([k, names]) => [k, _findColumn(headers, names)]));
+  const errors = [];
+
+  for (const required of ['time', 'price', 'qty']) {
+    if (col[required] < 0) errors.push(`Missing ${required} column`);
+  }
+  if (errors.length) return { ticks: [], errors, sideSource: 'none' };
+
+  const sideSource = col.side >= 0 ? 'side'
+    : col.buyerMaker >= 0 ? 'buyerMaker'
+      : col.bid >= 0 && col.ask >= 0 ? 'quote'
+        : 'tickRule';
+
+  const ticks = [];
+  let lastPrice = NaN;
+  let lastSide = 'buy';
+
+  rows.forEach((row, i) => {
+    const time = _parseTickTime(row[col.time]);
+    const price = parseNumeric(row[col.price]);
+    const qty = Math.abs(parseNumeric(row[col.qty]));
+    if (!Number.isFinite(time) || !Number.isFinite(price) || !Number.isFinite(qty)) {
+      if (errors.length < 20) errors.push(`Row ${i + 2}: invalid time, price or quantity`);
+      return;
+    }
+
+    let side = null;
+    if (sideSource === 'side') side = _parseSide(row[col.side]);
+    else if (sideSource === 'buyerMaker') side = /^(true|1|yes|y)$/i.test(String(row[col.buyerMaker]).trim()) ? 'sell' : 'buy';
+    else if (sideSource === 'quote') {
+      const bid = parseNumeric(row[col.bid]);
+      const ask = parseNumeric(row[col.ask]);
+      if (price >= ask) side = 'buy';
+      else if (price <= bid) side = 'sell';
+    }
+    if (!side) {
+      if (price > lastPrice) side = 'buy';
+      else if (price < lastPrice) side = 'sell';
+      else side = lastSide;
+    }
+
+    ticks.push({ time, price, qty, side });
+    lastPrice = price;
+    lastSide = side;
+  });
+
+  ticks.sort((a, b) => a.time - b.time);
+  return { ticks, errors, sideSource };
+}
+
+// ─── Footprints ─────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} FootprintLevel
+ * @property {number} price
+ * @property {number} bidVol   - Aggressive sells at this price
+ * @property {number} askVol   - Aggressive buys at this price
+ * @property {number} totalVol
+ * @property {number} delta    - askVol − bidVol
+ */
+
+/**
+ * @typedef {Object} FootprintBar
+ * @property {number} time
+ * @property {number} open
+ * @property {number} high
+ * @property {number} low
+ * @property {number} close
+ * @property {number} volume
+ * @property {number} bidVol
+ * @property {number} askVol
+ * @property {number} delta
+ * @property {number} trades
+ * @property {FootprintLevel[]} levels - Sorted high → low
+ */
+
+function _decimals(step) {
+  const s = String(step);
+  if (s.includes('e-')) return Number(s.split('e-')[1]);
+  return s.includes('.') ? s.split('.')[1].length : 0;
+}
+
+/**
+ * Snap a price to a tick grid.
+ * @param {number} price
+ * @param {number} tickSize
+ * @returns {number}
+ */
+function priceLevel(price, tickSize) {
+  if (!(tickSize > 0)) return price;
+  return Number((Math.round(price / tickSize) * tickSize).toFixed(_decimals(tickSize)));
+}
+
+function _finishBar(raw) {
+  const levels = [...raw.levels.entries()]
+    .map(([price, v]) => ({ price, bidVol: v.bid, askVol: v.ask, totalVol: v.bid + v.ask, delta: v.ask - v.bid }))
+    .sort((a, b) => b.price - a.price);
+  return {
+    time: raw.time,
+    open: raw.open,
+    high: raw.high,
+    low: raw.low,
+    close: raw.close,
+    volume: raw.bidVol + raw.askVol,
+    bidVol: raw.bidVol,
+    askVol: raw.askVol,
+    delta: raw.askVol - raw.bidVol,
+    trades: raw.trades,
+    levels,
+  };
+}
+
+/**
+ * Streaming footprint builder. Ticks are bucketed into bars of
+ * `resolutionMs` and price levels of `tickSize`. Out-of-order ticks
+ * land in their own bar and only move its open/close when they are
+ * earlier/later than what it has seen (backfill after live is fine).
+ *
+ * @param {Object} opts
+ * @param {number} opts.resolutionMs - Bar length (RESOLUTION_MS[tf])
+ * @param {number} opts.tickSize     - Price level size (row height)
+ * @param {number} [opts.maxBars=2000] - Oldest bars are dropped past this
+ * @returns {{ add: Function, addMany: Function, bars: Function, get: Function, byTime: Function, clear: Function, size: number }}
+ */
+function createFootprintAggregator({ resolutionMs, tickSize, maxBars = 2000 }) {
+  if (!(resolutionMs > 0)) throw new Error('resolutionMs must be positive');
+  const raw = new Map();   // bar time → mutable bar
+  const done = new Map();  // bar time → finished FootprintBar (cache)
+  let sortedTimes = [];
+  let sortedDirty = false;
+
+  function _bucket(time) {
+    return Math.floor(time / resolutionMs) * resolutionMs;
+  }
+
+  /**
+   * Add one tick.
+   * @param {Tick} tick
+   * @returns {number|null} Bar time the tick landed in (null if rejected)
+   */
+  function add(tick) {
+    if (!tick || !Number.isFinite(tick.price) || !(tick.qty > 0)) return null;
+    const t = _bucket(tick.time);
+    let bar = raw.get(t);
+    if (!bar) {
+      bar = { time: t, open: tick.price, high: tick.price, low: tick.price, close: tick.price, bidVol: 0, askVol: 0, trades: 0, levels: new Map(), firstTime: tick.time, lastTime: tick.time };
+      raw.set(t, bar);
+      sortedDirty = true;
+      if (raw.size > maxBars) {
+        const oldest = Math.min(...raw.keys());
+        raw.delete(oldest);
+        done.delete(oldest);
+      }
+    }
+
+    if (tick.price > bar.high) bar.high = tick.price;
+    if (tick.price < bar.low) bar.low = tick.price;
+    if (tick.time < bar.firstTime) {
+      bar.open = tick.price;
+      bar.firstTime = tick.time;
+    }
+    if (tick.time >= bar.lastTime) {
+      bar.close = tick.price;
+      bar.lastTime = tick.time;
+    }
+    bar.trades++;
+
+    const level = priceLevel(tick.price, tickSize);
+    let cell = bar.levels.get(level);
+    if (!cell) {
+      cell = { bid: 0, ask: 0 };
+      bar.levels.set(level, cell);
+    }
+    if (tick.side === 'sell') {
+      cell.bid += tick.qty;
+      bar.bidVol += tick.qty;
+    } else {
+      cell.ask += tick.qty;
+      bar.askVol += tick.qty;
+    }
+    done.delete(t);
+    return t;
+  }
+
+  function get(time) {
+    const t = _bucket(time);
+    if (!raw.has(t)) return null;
+    if (!done.has(t)) done.set(t, _finishBar(raw.get(t)));
+    return done.get(t);
+  }
+
+  function _times() {
+    if (sortedDirty) {
+      sortedTimes = [...raw.keys()].sort((a, b) => a - b);
+      sortedDirty = false;
+    }
+    return sortedTimes;
+  }
+
+  return {
+    add,
+    /** @param {Tick[]} ticks */
+    addMany(ticks) {
+      for (const tick of ticks) add(tick);
+    },
+    /** Footprint for the bar containing `time`, or null */
+    get,
+    /** All footprint bars, oldest first */
+    bars() {
+      return _times().map((t) => get(t));
+    },
+    /** Map of bar time → FootprintBar (for aligning with chart bars) */
+    byTime() {
+      return new Map(_times().map((t) => [t, get(t)]));
+    },
+    clear() {
+      raw.clear();
+      done.clear();
+      sortedTimes = [];
+      sortedDirty = false;
+    },
+    get size() { return raw.size; },
+    get tickSize() { return tickSize; },
+  };
+}
+
+/**
+ * Aggregate a batch of ticks into footprint bars.
+ * @param {Tick[]} ticks
+ * @param {{ resolutionMs: number, tickSize: number }} opts
+ * @returns {FootprintBar[]}
+ */
+function aggregateTicks(ticks, opts) {
+  const agg = createFootprintAggregator({ ...opts, maxBars: Infinity });
+  agg.addMany(ticks);
+  return agg.bars();
+}
+
+/**
+ * A tick size that gives roughly `rows` price levels across a range.
+ * Rounded to 1, 2 or 5 × a power of ten.
+ * @param {number} low
+ * @param {number} high
+ * @param {number} [rows=20]
+ * @returns {number}
+ */
+function suggestTickSize(low, high, rows = 20) {
+  const span = high - low;
+  if (!(span > 0)) return 1;
+  const raw = span / rows;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const norm = raw / mag;
+  const nice = norm <= 1 ? 1 : norm <= 2 ? 2 : norm <= 5 ? 5 : 10;
+  return Number((nice * mag).toPrecision(12));
+}
+
+/**
+ * Tick size giving about `rows` levels across an average recent bar.
+ * @param {Array<{ high: number, low: number }>} bars
+ * @param {number} [rows=12]
+ * @returns {number}
+ */
+function barTickSize(bars, rows = 12) {
+  let sum = 0;
+  let n = 0;
+  for (const b of bars.slice(-100)) {
+    if (b.high > b.low) {
+      sum += b.high - b.low;
+      n++;
+    }
+  }
+  return n ? suggestTickSize(0, sum / n, rows) : 1;
+}
+
+/**
+ * Footprint bars from an imported tick file, with the tick size picked
+ * from the data: a coarse pass finds typical bar ranges, then ticks
+ * are re-aggregated at `rowsPerBar` levels per average bar.
+ * @param {Tick[]} ticks
+ * @param {{ resolutionMs: number, rowsPerBar?: number }} opts
+ * @returns {{ bars: FootprintBar[], tickSize: number }}
+ */
+function footprintsFromTicks(ticks, { resolutionMs, rowsPerBar = 12 }) {
+  if (!ticks?.length) return { bars: [], tickSize: 1 };
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const t of ticks) {
+    if (t.price < lo) lo = t.price;
+    if (t.price > hi) hi = t.price;
+  }
+  const coarse = aggregateTicks(ticks, { resolutionMs, tickSize: suggestTickSize(lo, hi, 50) });
+  const tickSize = barTickSize(coarse, rowsPerBar);
+  return { bars: aggregateTicks(ticks, { resolutionMs, tickSize }), tickSize };
+}
+
+// ─── Volume Profile ─────────────────────────────────────────────
+
+/**
+ * @typedef {Object} VolumeProfile
+ * @property {FootprintLevel[]} levels - Sorted low → high
+ * @property {number|null} poc  - Price with the most volume
+ * @property {number|null} vah  - Value area high
+ * @property {number|null} val  - Value area low
+ * @property {number} totalVol
+ * @property {number} bidVol
+ * @property {number} askVol
+ * @property {number} rowSize
+ */
+
+/**
+ * Volume profile over a range of footprint bars. Bars without
+ * `levels` (no trade data) are skipped.
+ *
+ * The value area grows from the POC one row at a time toward the side
+ * with more volume until it holds `valueArea` of the total.
+ *
+ * @param {Array<FootprintBar|null>} bars
+ * @param {Object} [opts]
+ * @param {number} [opts.from=0]  - First bar index (inclusive)
+ * @param {number} [opts.to]      - Last bar index (inclusive)
+ * @param {number} [opts.rowSize] - Merge levels into rows of this size (centered on multiples)
+ * @param {number} [opts.valueArea=0.7]
+ * @returns {VolumeProfile}
+ */
+function buildVolumeProfile(bars, opts = {}) {
+  const { from = 0, to = (bars?.length || 0) - 1, rowSize, valueArea = 0.7 } = opts;
+  const rows = new Map();
+  let detected = Infinity;
+
+  for (let i = Math.max(0, from); i <= to && i < (bars?.length || 0); i++) {
+    const bar = bars[i];
+    if (!bar?.levels) continue;
+    for (let j = 0; j < bar.levels.length; j++) {
+      const lv = bar.levels[j];
+      const price = rowSize ? priceLevel(lv.price, rowSize) : lv.price;
+      let row = rows.get(price);
+      if (!row) {
+        row = { price, bidVol: 0, askVol: 0, totalVol: 0, delta: 0 };
+        rows.set(price, row);
+      }
+      row.bidVol += lv.bidVol;
+      row.askVol += lv.askVol;
+      row.totalVol += lv.totalVol;
+      row.delta += lv.delta;
+      if (!rowSize && j > 0) detected = Math.min(detected, Math.abs(bar.levels[j - 1].price - lv.price));
+    }
+  }
+
+  const levels = [...rows.values()].sort((a, b) => a.price - b.price);
+  const profile = {
+    levels,
+    poc: null,
+    vah: null,
+    val: null,
+    totalVol: 0,
+    bidVol: 0,
+    askVol: 0,
+    rowSize: rowSize || (Number.isFinite(detected) ? detected : 0),
+  };
+  if (!levels.length) return profile;
+
+  let pocIdx = 0;
+  for (let i = 0; i < levels.length; i++) {
+    profile.totalVol += levels[i].totalVol;
+    profile.bidVol += levels[i].bidVol;
+    profile.askVol += levels[i].askVol;
+    if (levels[i].totalVol > levels[pocIdx].totalVol) pocIdx = i;
+  }
+
+  let lo = pocIdx, hi = pocIdx;
+  let inside = levels[pocIdx].totalVol;
+  const target = profile.totalVol * valueArea;
+  while (inside < target && (lo > 0 || hi < levels.length - 1)) {
+    const below = lo > 0 ? levels[lo - 1].totalVol : -1;
+    const above = hi < levels.length - 1 ? levels[hi + 1].totalVol : -1;
+    if (above >= below) inside += levels[++hi].totalVol;
+    else inside += levels[--lo].totalVol;
+  }
+
+  profile.poc = levels[pocIdx].price;
+  profile.val = levels[lo].price;
+  profile.vah = levels[hi].price;
+  return profile;
+}
+
+/** Default session key: UTC calendar day */
+function utcSessionKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * One volume profile per session.
+ * @param {Array<FootprintBar|null>} bars - Aligned with chart bars (null where no data)
+ * @param {Object} [opts] - buildVolumeProfile options, plus:
+ * @param {(time: number) => string} [opts.sessionKey] - Default: UTC day
+ * @param {number[]} [opts.times] - Bar times when `bars` has gaps (null entries)
+ * @returns {Array<VolumeProfile & { key: string, from: number, to: number, startTime: number, endTime: number }>}
+ */
+function sessionProfiles(bars, opts = {}) {
+  const keyOf = opts.sessionKey || utcSessionKey;
+  const timeAt = (i) => opts.times?.[i] ?? bars[i]?.time;
+  const out = [];
+  let start = 0;
+  let key = null;
+
+  const flush = (end) => {
+    if (key == null) return;
+    const profile = buildVolumeProfile(bars, { ...opts, from: start, to: end });
+    out.push({ ...profile, key, from: start, to: end, startTime: timeAt(start), endTime: timeAt(end) });
+  };
+
+  for (let i = 0; i < bars.length; i++) {
+    const t = timeAt(i);
+    if (t == null) continue;
+    const k = keyOf(t);
+    if (k !== key) {
+      flush(i - 1);
+      key = k;
+      start = i;
+    }
+  }
+  flush(bars.length - 1);
+  return out;
+}
+
+/**
+ * Per-bar delta and cumulative delta. Bars without trade data are NaN
+ * and don't move the cumulative line.
+ * @param {Array<FootprintBar|null>} bars
+ * @param {Object} [opts]
+ * @param {(time: number) => string} [opts.sessionKey] - Reset cumulative delta when this changes
+ * @param {number[]} [opts.times]
+ * @returns {{ delta: number[], cumDelta: number[] }}
+ */
+function deltaSeries(bars, opts = {}) {
+  const delta = new Array(bars.length).fill(NaN);
+  const cumDelta = new Array(bars.length).fill(NaN);
+  let cum = 0;
+  let started = false;
+  let key = null;
+
+  for (let i = 0; i < bars.length; i++) {
+    const bar = bars[i];
+    if (opts.sessionKey) {
+      const t = opts.times?.[i] ?? bar?.time;
+      const k = t != null ? opts.sessionKey(t) : key;
+      if (k !== key) {
+        key = k;
+        cum = 0;
+      }
+    }
+    if (!bar?.levels) {
+      if (started) cumDelta[i] = cum;
+      continue;
+    }
+    started = true;
+    delta[i] = bar.delta;
+    cum += bar.delta;
+    cumDelta[i] = cum;
+  }
+  return { delta, cumDelta };
+}
+
+/**
+ * Footprints aligned with chart bars by time (null where missing).
+ * @param {Array<{time: number}>} chartBars
+ * @param {Map<number, FootprintBar>} byTime - aggregator.byTime()
+ * @returns {Array<FootprintBar|null>}
+ */
+function alignFootprints(chartBars, byTime) {
+  return chartBars.map((b) => byTime.get(b.time) || null);
+}
+
+export {
+  genVolumeProfile,
+  clearVPCache,
+  tickFromAggTrade,
+  parseTickCSV,
+  priceLevel,
+  createFootprintAggregator,
+  aggregateTicks,
+  suggestTickSize,
+  barTickSize,
+  footprintsFromTicks,
+  buildVolumeProfile,
+  sessionProfiles,
+  deltaSeries,
+  alignFootprints,
+  utcSessionKey,
+};
 export default genVolumeProfile;
@@ -31,6 +31,31 @@ for (let i = 0; i < barCount; i++) {
   if (bullCross[i]) marker(i, { color: '#22c55e', position: 'below', shape: 'triangle' });
   if (bearCross[i]) marker(i, { color: '#ef4444', position: 'above', shape: 'triangle' });
 }`,
+  },
+  {
+    id: '__builtin_ma_cross_strategy',
+    name: 'MA Crossover Strategy',
+    description: 'Backtestable long/short SMA crossover with an ATR stop. Run it from the Backtest panel.',
+    category: 'strategy',
+    builtin: true,
+    enabled: false,
+    params: {},
+    code: `const fast = param('fast', 10, { min: 2, max: 50, label: 'Fast SMA' });
+const slow = param('slow', 30, { min: 5, max: 200, label: 'Slow SMA' });
+const stopAtr = param('stopAtr', 2, { min: 0.5, max: 5, step: 0.5, label: 'Stop (ATR)' });
+
+const fastLine = sma(close, fast);
+const slowLine = sma(close, slow);
+const range = atr(bars, 14);
+
+plot(fastLine, { color: '#22c55e', label: 'Fast SMA' });
+plot(slowLine, { color: '#ef4444', label: 'Slow SMA' });
+
+// Stops are read at the signal bar; entries reverse any open position
+const longStop = close.map((c, i) => (range[i] != null ? c - range[i] * stopAtr : null));
+const shortStop = close.map((c, i) => (range[i] != null ? c + range[i] * stopAtr : null));
+strategy.entry('long', crossover(fastLine, slowLine), { stop: longStop });
+strategy.entry('short', crossunder(fastLine, slowLine), { stop: shortStop });`,
   },
   {
     id: '__builtin_bb_squeeze',
@@ -584,6 +609,7 @@ export const SCRIPT_CATEGORIES = [
   { id: 'volatility', label: 'Volatility', icon: '🌊' },
   { id: 'volume', label: 'Volume', icon: '📊' },
   { id: 'oscillator', label: 'Oscillators', icon: '〰️' },
+  { id: 'strategy', label: 'Strategies', icon: '🧪' },
   { id: 'custom', label: 'Custom', icon: '🔧' },
 ];
 
@@ -25,6 +25,8 @@ export {
   niceScale,
   formatPrice,
   formatTimeLabel,
+  timeToBarIndex,
+  sessionTimeTicks,
 } from './CoordinateSystem.js';
 
 // Canvas management
@@ -44,6 +46,8 @@ export {
 
 export {
   createGridRenderer,
+  createSessionRenderer,
+  DEFAULT_SESSION_THEME,
   createCrosshairRenderer,
   drawPriceLabel,
   drawOHLCVLegend,
@@ -52,6 +56,21 @@ export {
 // Data feeds
 export { RESOLUTION_MS, normalizeResolution } from './feeds/DataFeed.js';
 export { createBinanceFeed } from './feeds/BinanceFeed.js';
+export {
+  createLocalFileFeed,
+  getLocalFileFeed,
+  parseBarCSV,
+  barsFromTicks,
+  barsFromColumns,
+} from './feeds/LocalFileFeed.js';
+export { createContinuousFeed } from './feeds/ContinuousFeed.js';
+export {
+  createResampler,
+  resampleBars,
+  sessionBucket,
+  planResolution,
+  tzOffset,
+} from './feeds/Resampler.js';
 export { createDataManager } from './feeds/DataManager.js';
 export { createLRUCache, CACHE_TTL, getTTLForResolution } from './feeds/LRUCache.js';
 export { useChartData } from './feeds/useChartData.js';
@@ -74,10 +93,28 @@ export {
   drawLineChart,
   drawAreaChart,
   drawBaselineChart,
+  drawRenko,
+  drawKagi,
+  drawPointFigure,
+  transformBars,
+  resolveChartTypeParams,
+  isTimeBased,
 } from './renderers/ChartTypes.js';
+export {
+  toRenko,
+  toRangeBars,
+  toKagi,
+  toPointFigure,
+  atrBoxSize,
+} from './renderers/BarTransforms.js';
 
 // Volume pane
 export { createVolumePaneRenderer } from './renderers/VolumePaneRenderer.js';
+export {
+  createFootprintRenderer,
+  createVolumeProfileRenderer,
+  createDeltaPaneRenderer,
+} from './renderers/OrderFlowRenderer.js';
 
 // Drawing tools
 export {
@@ -87,6 +124,19 @@ export {
   FIB_LEVELS,
   FIB_COLORS,
   TOOL_POINT_COUNT,
+  FIB_EXTENSION_LEVELS,
+  FIB_TIME_ZONES,
+  GANN_ANGLES,
+  TEXT_TOOLS,
+  POSITION_TOOLS,
+  fibExtensionPrice,
+  fibTimeZones,
+  measureStats,
+  positionLevels,
+  positionMetrics,
+  VISIBILITY_ALL,
+  normalizeVisibility,
+  isVisibleOnTimeframe,
   serializeDrawings,
   deserializeDrawings,
 } from './tools/DrawingModel.js';
@@ -125,7 +125,7 @@ export function cors({ origins = ['*'] } = {}) {
     }
 
     res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
-    res.set('Access-Control-Allow-Headers', 'Content-Type, x-api-key, Authorization');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, x-api-key, Authorization, Idempotency-Key');
     res.set('Access-Control-Max-Age', '86400');
 
     if (req.method === 'OPTIONS') {
@@ -7,6 +7,8 @@
 import React, { useEffect, useState, useMemo, useCallback, useRef, Suspense } from 'react';
 import { C, F, M, CHART_TYPES, TFS } from '../constants.js';
 import { useChartStore } from '../state/useChartStore.js';
+import { useDrawingStore } from '../state/useDrawingStore.js';
+import { positionLevels } from '../chartEngine/tools/DrawingModel.js';
 // No UIKit Btn needed — ChartsPage uses local ToolbarBtn
 
 // ─── Core (always needed) ────────────────────────────────────────
@@ -24,6 +26,7 @@ import { WebSocketService } from '../data/WebSocketService.js';
 import { fetchOHLC, warmCache } from '../data/FetchService.js';
 import { setFormatSymbol } from '../engine/chartRenderer.js';
 import { TOOL_CONFIG, magnetSnap } from '../engine/drawingTools.js';
+import { parseTimeframe } from '../engine/MultiTimeframe.js';
 import { useAlertStore, checkSymbolAlerts, requestNotificationPermission } from '../state/useAlertStore.js';
 import { safeClone } from '../utils/safeJSON.js';
 import { useWatchlistStore } from '../state/useWatchlistStore.js';
@@ -37,11 +40,12 @@ import ChartContextMenu from '../components/chart/ChartContextMenu.jsx';
 
 // ─── Lazy-loaded (Tier 2+: opened on demand) ────────────────────
 const ReplayBar = React.lazy(() => import('../components/ReplayBar.jsx'));
-const QuadChart = React.lazy(() => import('../components/QuadChart.jsx'));
+const MultiChartLayout = React.lazy(() => import('../components/MultiChartLayout.jsx'));
 const WorkspaceLayout = React.lazy(() => import('../components/WorkspaceLoader.jsx'));
 const FundamentalsCard = React.lazy(() => import('../components/FundamentalsCard.jsx'));
 const ScriptEditor = React.lazy(() => import('../components/ScriptEditor.jsx'));
 const ScriptManager = React.lazy(() => import('../components/ScriptManager.jsx'));
+const BacktestPanel = React.lazy(() => import('../components/BacktestPanel.jsx'));
 const ShareSnapshotModal = React.lazy(() => import('../components/ShareSnapshotModal.jsx'));
 const WatchlistPanel = React.lazy(() => import('../components/WatchlistPanel.jsx'));
 const AlertPanel = React.lazy(() => import('../components/AlertPanel.jsx'));
@@ -106,6 +110,10 @@ function ChartsPageInner() {
 
   // Drawing tools
   const activeTool = useChartStore((s) => s.activeTool);
+  const setActiveTool = useChartStore((s) => s.setActiveTool);
+  const selectedDrawing = useDrawingStore((s) => s.selected);
+  const drawColor = useDrawingStore((s) => s.color);
+  const liveDrawings = useDrawingStore((s) => s.drawings);
   const drawings = useChartStore((s) => s.drawings);
   const drawingsVisible = useChartStore((s) => s.drawingsVisible);
   const showVolumeProfile = useChartStore((s) => s.showVolumeProfile); // C1.4
@@ -143,6 +151,7 @@ function ChartsPageInner() {
   const [showTrades, setShowTrades] = useState(true);
   const [copyFeedback, setCopyFeedback] = useState(false);
   const [showScriptManager, setShowScriptManager] = useState(false);
+  const [showBacktest, setShowBacktest] = useState(false);
   const [showShareModal, setShowShareModal] = useState(false);
   const [showWatchlist, setShowWatchlist] = useState(false);
   const [showSnapshotPublisher, setShowSnapshotPublisher] = useState(false);
@@ -436,6 +445,7 @@ function ChartsPageInner() {
               {t.label}
             </ToolbarBtn>
           ))}
+          <CustomTfInput tf={tf} presets={TFS} onChange={setTf} />
         </div>
 
         <Divider />
@@ -526,7 +536,7 @@ function ChartsPageInner() {
                     onClick={() => { toggleReplay(); setShowOverflow(false); }}
                   />
                   <OverflowItem
-                    label="⊞ Quad View"
+                    label="⊞ Multi-Chart"
                     active={quadMode}
                     onClick={() => { toggleQuadMode(); setShowOverflow(false); }}
                     disabled={workspaceMode}
@@ -547,6 +557,11 @@ function ChartsPageInner() {
                     active={enabledScriptCount > 0}
                     onClick={() => { setShowScriptManager(true); setShowOverflow(false); }}
                   />
+                  <OverflowItem
+                    label="🧪 Backtest"
+                    active={showBacktest}
+                    onClick={() => { setShowBacktest(prev => !prev); setShowOverflow(false); }}
+                  />
                   <OverflowItem
                     label={intelligence.enabled ? '🧠 Intel ON' : '🧠 Intelligence'}
                     active={intelligence.enabled}
@@ -658,7 +673,27 @@ function ChartsPageInner() {
       /* ─── Classic Chart Mode ──────────────────────────── */
       <div style={{ flex: 1, display: 'flex', overflow: 'hidden' }}>
         {/* Drawing Toolbar — desktop only */}
-        {!quadMode && !isMobile && <DrawingToolbar />}
+        {!quadMode && !isMobile && (
+          <DrawingToolbar
+            activeTool={activeTool}
+            onToolSelect={setActiveTool}
+            onCancel={() => setActiveTool(null)}
+            onClearAll={() => useDrawingStore.getState().clearAll()}
+            onDelete={() => useDrawingStore.getState().deleteSelected()}
+            onColorChange={(color) => useDrawingStore.getState().setColor(color)}
+            selectedColor={selectedDrawing?.color || drawColor}
+            hasSelection={!!selectedDrawing}
+            selectedType={selectedDrawing?.type}
+            visibility={selectedDrawing?.visibility}
+            onVisibilityChange={(rule) => useDrawingStore.getState().setSelectedVisibility(rule)}
+            onPlaceTrade={() => {
+              const drawing = liveDrawings.find((d) => d.id === selectedDrawing?.id);
+              const levels = drawing && positionLevels(drawing);
+              if (levels) useChartTradeStore.getState().loadPosition(levels);
+            }}
+            timeframe={tf}
+          />
+        )}
 
         {/* Chart */}
         <div
@@ -683,7 +718,7 @@ function ChartsPageInner() {
         >
           {quadMode ? (
             <Suspense fallback={<div style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', color: C.t3 }}>Loading...</div>}>
-              <QuadChart />
+              <MultiChartLayout />
             </Suspense>
           ) : isMobile ? (
             /* C6.4: Wrap chart in SwipeChartNav on mobile */
@@ -867,7 +902,25 @@ function ChartsPageInner() {
             }}
           >
             <Suspense fallback={null}>
-              <AlertPanel currentSymbol={symbol} />
+              <AlertPanel currentSymbol={symbol} currentTimeframe={tf} drawings={liveDrawings} />
+            </Suspense>
+          </div>
+        )}
+
+        {/* Backtest Panel — slide-in */}
+        {showBacktest && !isMobile && (
+          <div
+            className="tf-slide-right"
+            style={{
+              width: 260,
+              borderLeft: `1px solid ${C.bd}`,
+              background: C.bg,
+              overflowY: 'auto',
+              flexShrink: 0,
+            }}
+          >
+            <Suspense fallback={null}>
+              <BacktestPanel bars={data} symbol={symbol} onClose={() => setShowBacktest(false)} />
             </Suspense>
           </div>
         )}
@@ -1011,6 +1064,55 @@ function ToolbarBtn({ children, active, onClick, title, disabled }) {
   );
 }
 
+// Intervals the feed resamples to when the exchange doesn't serve them
+const CUSTOM_TF_SUGGESTIONS = ['15s', '30s', '1m', '3m', '5m', '7m', '15m', '45m', '1h', '2h', '3h', '4h', '1D', '3D', '1W'];
+
+/** Free-form bar interval (e.g. 7m, 90m, 15s); commits on Enter or blur */
+function CustomTfInput({ tf, presets, onChange }) {
+  const isPreset = presets.some((t) => t.id === tf);
+  const [value, setValue] = useState(isPreset ? '' : tf);
+  useEffect(() => setValue(isPreset ? '' : tf), [tf, isPreset]);
+
+  const commit = () => {
+    const p = parseTimeframe(value);
+    if (!p) {
+      setValue(isPreset ? '' : tf);
+      return;
+    }
+    const next = `${p.n}${p.unit}`;
+    setValue(next);
+    if (next !== tf) onChange(next);
+  };
+
+  return (
+    <>
+      <input
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.currentTarget.blur();
+          if (e.key === 'Escape') setValue(isPreset ? '' : tf);
+        }}
+        list="chart-custom-tfs"
+        placeholder="7m"
+        title="Custom interval — seconds (s), minutes (m), hours (h), days (D), weeks (W)"
+        aria-label="Custom interval"
+        style={{
+          width: 46, padding: '3px 6px', borderRadius: 3,
+          border: `1px solid ${isPreset ? C.bd : C.b}`,
+          background: isPreset ? 'transparent' : C.b + '25',
+          color: isPreset ? C.t2 : C.b,
+          fontSize: 11, fontWeight: 600, fontFamily: M, outline: 'none',
+        }}
+      />
+      <datalist id="chart-custom-tfs">
+        {CUSTOM_TF_SUGGESTIONS.map((t) => <option key={t} value={t} />)}
+      </datalist>
+    </>
+  );
+}
+
 /** Sprint 4: Overflow menu item */
 function OverflowItem({ label, onClick, active, disabled, custom }) {
   if (custom) return custom;
@@ -9,12 +9,18 @@
 // Mobile: swaps to MobileAnalytics component.
 // ═══════════════════════════════════════════════════════════════════
 
-import React, { useEffect, useState, Suspense } from 'react';
+import React, { useEffect, useMemo, useState, Suspense } from 'react';
 import { C, F, M } from '../constants.js';
 import { useTradeStore } from '../state/useTradeStore.js';
 import { useAnalyticsStore } from '../state/useAnalyticsStore.js';
 import { useUIStore } from '../state/useUIStore.js';
+import { useSettingsStore } from '../state/useSettingsStore.js';
+import { useFxStore } from '../state/useFxStore.js';
+import { useSmartViewStore } from '../state/useSmartViewStore.js';
+import { useAccountStore } from '../state/useAccountStore.js';
 import { computeAndStore } from '../engine/analyticsSingleton.js';
+import { filterTrades } from '../engine/TradeQuery.js';
+import { scopeTrades } from '../engine/Accounts.js';
 import { Card, SkeletonRow } from '../components/UIKit.jsx';
 import { InsightsEmptyState } from '../components/EmptyState.jsx';
 import { useBreakpoints } from '../utils/useMediaQuery.js';
@@ -26,6 +32,7 @@ import StrategiesTab from '../components/analytics/StrategiesTab.jsx';
 import PsychologyTab from '../components/analytics/PsychologyTab.jsx';
 import TimingTab from '../components/analytics/TimingTab.jsx';
 import RiskTab from '../components/analytics/RiskTab.jsx';
+import TagsTab from '../components/analytics/TagsTab.jsx';
 import PlaybookDashboard from '../components/PlaybookDashboard.jsx';
 
 // Mobile (dedicated mobile analytics experience)
@@ -40,6 +47,7 @@ const TABS = [
   { id: 'psychology',  label: 'Psychology',  icon: '🧠' },
   { id: 'timing',      label: 'Timing',      icon: '⏱️' },
   { id: 'risk',        label: 'Risk',        icon: '🛡️' },
+  { id: 'tags',        label: 'Tags',        icon: '🏷' },
   { id: 'playbooks',   label: 'Playbooks',   icon: '📚' },
   { id: 'plans',       label: 'Plans',       icon: '📋' },
 ];
@@ -50,24 +58,39 @@ const TAB_COMPONENTS = {
   psychology: PsychologyTab,
   timing: TimingTab,
   risk: RiskTab,
+  tags: TagsTab,
   playbooks: PlaybookDashboard,
 };
 
 export default function InsightsPage() {
-  const trades = useTradeStore((s) => s.trades);
+  const allTrades = useTradeStore((s) => s.trades);
+  const accountScope = useAccountStore((s) => s.scope);
+  const trades = useMemo(() => scopeTrades(allTrades, accountScope), [allTrades, accountScope]);
   const result = useAnalyticsStore((s) => s.result);
   const computing = useAnalyticsStore((s) => s.computing);
   const setPage = useUIStore((s) => s.setPage);
   const lastComputeMs = useAnalyticsStore((s) => s.lastComputeMs);
+  const baseCurrency = useSettingsStore((s) => s.baseCurrency);
+  const fxRates = useFxStore((s) => s.rates);
+  const fxRevision = useFxStore((s) => s.revision);
+  const activeView = useSmartViewStore((s) => s.getActiveView());
   const [tab, setTab] = useState('overview');
   const { isMobile } = useBreakpoints();
 
-  // Compute analytics via Web Worker (off main thread).
+  // Compute analytics via Web Worker (off main thread),
+  // scoped to the selected account(s) and the active smart view.
+  const viewQuery = activeView?.query;
   useEffect(() => {
     if (trades.length > 0) {
-      computeAndStore(trades, { mcRuns: 1000 });
+      computeAndStore(trades, { mcRuns: 1000, baseCurrency, fxRates, fxRevision, query: viewQuery });
     }
-  }, [trades]);
+  }, [trades, baseCurrency, fxRates, fxRevision, viewQuery]);
+
+  // Tabs that work from raw trades see the same scope as `result`
+  const viewTrades = useMemo(
+    () => (viewQuery?.trim() ? filterTrades(trades, viewQuery) : trades),
+    [trades, viewQuery]
+  );
 
   // ═══════════════════════════════════════════════════════════════
   // MOBILE RENDER
@@ -99,7 +122,7 @@ export default function InsightsPage() {
         </h1>
         <p style={{ fontSize: 12, color: C.t3, margin: '4px 0 0', fontFamily: M }}>
           {result
-            ? `${result.tradeCount} trades analyzed${lastComputeMs ? ` · ${lastComputeMs}ms` : ''}`
+            ? `${result.tradeCount} trades analyzed${activeView ? ` · view: ${activeView.name}` : ''}${lastComputeMs ? ` · ${lastComputeMs}ms` : ''}`
             : computing
               ? 'Computing analytics...'
               : `${trades.length} trades`
@@ -221,7 +244,7 @@ export default function InsightsPage() {
 
       {needsAnalytics && result && (() => {
         const ActiveTab = TAB_COMPONENTS[tab] || OverviewTab;
-        return <ActiveTab result={result} trades={trades} />;
+        return <ActiveTab result={result} trades={viewTrades} />;
       })()}
     </div>
   );
@@ -3,51 +3,91 @@
 //
 // Trading journal notes with narrative treatment:
 //   1. Header with count + New Note CTA
-//   2. Search bar (when notes exist)
-//   3. Note cards with tags, timestamps, truncated content
-//   4. Note form modal
+//   2. Full-text search + All / Notes / Daily pages filter
+//   3. Note cards with tags, timestamps, rendered preview or search hits
+//   4. Markdown editor modal with live preview and [[link]] autocomplete
+//
+// Notes are markdown and link to trades, days and playbooks with
+// [[trade:ID]] / [[2026-10-14]] / [[playbook:ORB]] (engine/NoteLinks.js).
+// A daily page per trading day embeds that day's DailyDebrief.
 //
 // Embedded inside JournalPage as a tab (Sprint 2 IA).
 // Mobile-responsive with larger touch targets + font sizes.
 // ═══════════════════════════════════════════════════════════════════
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import { C, F, M } from '../constants.js';
 import { radii } from '../theme/tokens.js';
 import { useTradeStore } from '../state/useTradeStore.js';
+import { useUIStore } from '../state/useUIStore.js';
 import { Card, Btn, ModalOverlay, inputStyle } from '../components/UIKit.jsx';
 import { NotesEmptyState } from '../components/EmptyState.jsx';
+import MarkdownView from '../components/journal/MarkdownView.jsx';
+import Backlinks from '../components/journal/Backlinks.jsx';
+import { searchNotes, backlinksFor, createDailyNote, suggestLinks } from '../engine/NoteLinks.js';
+import { applySuggestion } from '../engine/TradeQuery.js';
+import { markdownToText } from '../utils/markdown.js';
 import { uid } from '../utils.js';
 import { useBreakpoints } from '../utils/useMediaQuery.js';
 import toast from '../components/Toast.jsx';
 
+const KIND_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'notes', label: 'Notes' },
+  { id: 'daily', label: 'Daily pages' },
+];
+
 export default function NotesPage() {
   const notes = useTradeStore((s) => s.notes);
   const addNote = useTradeStore((s) => s.addNote);
   const deleteNote = useTradeStore((s) => s.deleteNote);
   const updateNote = useTradeStore((s) => s.updateNote);
+  const journalTarget = useUIStore((s) => s.journalTarget);
   const { isMobile } = useBreakpoints();
 
   const [formOpen, setFormOpen] = useState(false);
   const [editNote, setEditNote] = useState(null);
+  const [draft, setDraft] = useState('');
   const [filter, setFilter] = useState('');
+  const [kind, setKind] = useState('all');
   const [deleteConfirm, setDeleteConfirm] = useState(null);
 
-  // Filter notes
-  const filtered = useMemo(() => {
-    if (!filter.trim()) return notes;
-    const q = filter.toLowerCase();
-    return notes.filter(
-      (n) =>
-        (n.title || '').toLowerCase().includes(q) ||
-        (n.content || '').toLowerCase().includes(q) ||
-        (n.tags || []).some((t) => t.toLowerCase().includes(q))
-    );
-  }, [notes, filter]);
+  // Full-text search (all terms must match; title and tag hits rank first)
+  const results = useMemo(() => {
+    const scoped = kind === 'all' ? notes
+      : notes.filter((n) => (kind === 'daily') === (n.kind === 'daily'));
+    return searchNotes(scoped, filter);
+  }, [notes, filter, kind]);
+
+  const openEditor = (note) => { setEditNote(note); setDraft(''); setFormOpen(true); };
+
+  // Links and backlinks elsewhere open notes here (useUIStore.openJournalTarget)
+  useEffect(() => {
+    if (!journalTarget) return;
+    const current = useTradeStore.getState().notes;
+    if (journalTarget.type === 'note') {
+      const note = current.find((n) => n.id === journalTarget.id);
+      if (note) openEditor(note);
+    } else if (journalTarget.type === 'day') {
+      let note = current.find((n) => n.kind === 'daily' && n.date === journalTarget.date);
+      if (!note) {
+        note = createDailyNote(journalTarget.date);
+        addNote(note);
+      }
+      openEditor(note);
+    } else if (journalTarget.type === 'newNote') {
+      setEditNote(null);
+      setDraft(journalTarget.content || '');
+      setFormOpen(true);
+    } else {
+      return;
+    }
+    useUIStore.getState().clearJournalTarget();
+  }, [journalTarget, addNote]);
 
   const handleSave = (note) => {
     if (editNote) {
-      updateNote(editNote.id, note);
+      updateNote(editNote.id, { ...note, updatedAt: new Date().toISOString() });
       toast.success('Note updated');
     } else {
       addNote({ ...note, id: uid(), createdAt: new Date().toISOString() });
@@ -63,7 +103,7 @@ export default function NotesPage() {
     toast.success('Note deleted');
   };
 
-  const openNewNote = () => { setEditNote(null); setFormOpen(true); };
+  const openNewNote = () => { setEditNote(null); setDraft(''); setFormOpen(true); };
   const isFiltered = filter.trim().length > 0;
 
   return (
@@ -90,7 +130,7 @@ export default function NotesPage() {
           </h1>
           <p style={{ fontSize: 12, color: C.t3, margin: '4px 0 0', fontFamily: M }}>
             {notes.length} note{notes.length !== 1 ? 's' : ''}
-            {isFiltered && ` · ${filtered.length} match${filtered.length !== 1 ? 'es' : ''}`}
+            {isFiltered && ` · ${results.length} match${results.length !== 1 ? 'es' : ''}`}
           </p>
         </div>
         <Btn
@@ -107,46 +147,69 @@ export default function NotesPage() {
 
       {/* ─── Search ──── */}
       {notes.length > 0 && (
-        <div style={{ position: 'relative', marginBottom: 16 }}>
-          <input
-            value={filter}
-            onChange={(e) => setFilter(e.target.value)}
-            placeholder="Search notes..."
-            aria-label="Search notes"
-            className="tf-input"
-            style={{
-              ...inputStyle,
-              width: '100%',
-              fontSize: isMobile ? 14 : 12,
-              minHeight: isMobile ? 44 : undefined,
-            }}
-          />
-          {isFiltered && (
-            <button
-              onClick={() => setFilter('')}
-              className="tf-btn"
-              aria-label="Clear search"
+        <div style={{ display: 'flex', gap: 8, marginBottom: 16, flexWrap: 'wrap' }}>
+          <div style={{ position: 'relative', flex: 1, minWidth: 200 }}>
+            <input
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              placeholder='Search notes... ("exact phrase" supported)'
+              aria-label="Search notes"
+              className="tf-input"
               style={{
-                position: 'absolute',
-                right: 8,
-                top: '50%',
-                transform: 'translateY(-50%)',
-                background: 'none',
-                border: 'none',
-                color: C.t3,
-                fontSize: 14,
-                cursor: 'pointer',
-                padding: 4,
+                ...inputStyle,
+                width: '100%',
+                fontSize: isMobile ? 14 : 12,
+                minHeight: isMobile ? 44 : undefined,
               }}
-            >
-              ✕
-            </button>
-          )}
+            />
+            {isFiltered && (
+              <button
+                onClick={() => setFilter('')}
+                className="tf-btn"
+                aria-label="Clear search"
+                style={{
+                  position: 'absolute',
+                  right: 8,
+                  top: '50%',
+                  transform: 'translateY(-50%)',
+                  background: 'none',
+                  border: 'none',
+                  color: C.t3,
+                  fontSize: 14,
+                  cursor: 'pointer',
+                  padding: 4,
+                }}
+              >
+                ✕
+              </button>
+            )}
+          </div>
+          <div role="tablist" aria-label="Note type" style={{ display: 'flex', gap: 4 }}>
+            {KIND_FILTERS.map((k) => (
+              <button
+                key={k.id}
+                role="tab"
+                aria-selected={kind === k.id}
+                onClick={() => setKind(k.id)}
+                className="tf-btn"
+                style={{
+                  padding: isMobile ? '10px 12px' : '6px 10px',
+                  borderRadius: radii.sm,
+                  border: `1px solid ${kind === k.id ? C.b : C.bd}`,
+                  background: kind === k.id ? C.b + '20' : 'transparent',
+                  color: kind === k.id ? C.b : C.t3,
+                  fontSize: 11, fontWeight: 600, fontFamily: F, cursor: 'pointer',
+                }}
+              >
+                {k.label}
+              </button>
+            ))}
+          </div>
         </div>
       )}
 
       {/* ─── Notes List ──── */}
-      {filtered.length > 0 ? (
+      {results.length > 0 ? (
         <div
           style={{
             display: 'grid',
@@ -156,13 +219,16 @@ export default function NotesPage() {
           role="list"
           aria-label="Notes"
         >
-          {filtered.map((note) => (
+          {results.map(({ note, snippet, terms }) => (
             <NoteCard
               key={note.id}
               note={note}
+              notes={notes}
+              snippet={snippet}
+              terms={terms}
               isMobile={isMobile}
               deleteConfirm={deleteConfirm}
-              onEdit={() => { setEditNote(note); setFormOpen(true); }}
+              onEdit={() => openEditor(note)}
               onDeleteConfirm={() => setDeleteConfirm(note.id)}
               onDeleteCancel={() => setDeleteConfirm(null)}
               onDelete={() => handleDelete(note.id)}
@@ -177,17 +243,17 @@ export default function NotesPage() {
             <Card>
               <div style={{ padding: 48, textAlign: 'center' }}>
                 <div style={{ fontSize: 14, color: C.t2, marginBottom: 8 }}>
-                  No notes match "{filter}"
+                  {isFiltered ? `No notes match "${filter}"` : 'No notes of this type yet'}
                 </div>
                 <button
-                  onClick={() => setFilter('')}
+                  onClick={() => { setFilter(''); setKind('all'); }}
                   className="tf-btn tf-link"
                   style={{
                     border: 'none', background: 'transparent',
                     color: C.b, fontSize: 13, fontWeight: 600, cursor: 'pointer',
                   }}
                 >
-                  Clear search
+                  Show all notes
                 </button>
               </div>
             </Card>
@@ -195,12 +261,13 @@ export default function NotesPage() {
         </div>
       )}
 
-      {/* ─── Note Form Modal ──── */}
+      {/* ─── Note Editor Modal ──── */}
       <NoteFormModal
         isOpen={formOpen}
         onClose={() => { setFormOpen(false); setEditNote(null); }}
         onSave={handleSave}
         editNote={editNote}
+        initialContent={draft}
         isMobile={isMobile}
       />
     </div>
@@ -211,8 +278,21 @@ export default function NotesPage() {
 // NOTE CARD
 // ═══════════════════════════════════════════════════════════════════
 
-function NoteCard({ note, isMobile, deleteConfirm, onEdit, onDeleteConfirm, onDeleteCancel, onDelete }) {
+/** Text with search terms highlighted */
+function Highlight({ text, terms }) {
+  if (!terms?.length) return text;
+  const escaped = terms.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const parts = text.split(new RegExp(`(${escaped.join('|')})`, 'gi'));
+  return parts.map((part, i) => (i % 2 === 1
+    ? <mark key={i} style={{ background: C.y + '40', color: C.t1, borderRadius: 2 }}>{part}</mark>
+    : <React.Fragment key={i}>{part}</React.Fragment>));
+}
+
+function NoteCard({ note, notes, snippet, terms, isMobile, deleteConfirm, onEdit, onDeleteConfirm, onDeleteCancel, onDelete }) {
   const isConfirming = deleteConfirm === note.id;
+  const isDaily = note.kind === 'daily';
+  const preview = snippet ?? markdownToText(note.content);
+  const backlinkCount = isDaily ? backlinksFor(notes, 'day', note.date).length : 0;
 
   return (
     <Card
@@ -236,14 +316,19 @@ function NoteCard({ note, isMobile, deleteConfirm, onEdit, onDeleteConfirm, onDe
             textOverflow: 'ellipsis',
             whiteSpace: 'nowrap',
           }}>
-            {note.title || 'Untitled'}
+            {isDaily && '📅 '}<Highlight text={note.title || 'Untitled'} terms={terms} />
           </div>
           <div style={{ fontSize: 11, color: C.t3, fontFamily: M }}>
-            {note.createdAt
-              ? new Date(note.createdAt).toLocaleDateString(undefined, {
-                  weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+            {isDaily
+              ? new Date(`${note.date}T12:00:00Z`).toLocaleDateString(undefined, {
+                  weekday: 'long', month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC',
                 })
-              : '—'}
+              : note.createdAt
+                ? new Date(note.createdAt).toLocaleDateString(undefined, {
+                    weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+                  })
+                : '—'}
+            {backlinkCount > 0 && ` · ${backlinkCount} backlink${backlinkCount !== 1 ? 's' : ''}`}
           </div>
         </div>
 
@@ -281,26 +366,29 @@ function NoteCard({ note, isMobile, deleteConfirm, onEdit, onDeleteConfirm, onDe
               >
                 Edit
               </button>
-              <button
-                onClick={onDeleteConfirm}
-                className="tf-btn tf-link"
-                aria-label={`Delete ${note.title || 'note'}`}
-                style={{
-                  background: 'none', border: 'none',
-                  color: C.t3, fontSize: 12, cursor: 'pointer',
-                  padding: isMobile ? '6px 8px' : '2px 6px',
-                  minHeight: isMobile ? 36 : undefined,
-                }}
-              >
-                Delete
-              </button>
+              {/* Daily pages come back for every trading day, so they aren't deletable */}
+              {!isDaily && (
+                <button
+                  onClick={onDeleteConfirm}
+                  className="tf-btn tf-link"
+                  aria-label={`Delete ${note.title || 'note'}`}
+                  style={{
+                    background: 'none', border: 'none',
+                    color: C.t3, fontSize: 12, cursor: 'pointer',
+                    padding: isMobile ? '6px 8px' : '2px 6px',
+                    minHeight: isMobile ? 36 : undefined,
+                  }}
+                >
+                  Delete
+                </button>
+              )}
             </>
           )}
         </div>
       </div>
 
-      {/* Content preview */}
-      {note.content && (
+      {/* Content preview (search hit or plain text of the markdown) */}
+      {preview && (
         <div style={{
           fontSize: 13,
           color: C.t2,
@@ -312,7 +400,7 @@ function NoteCard({ note, isMobile, deleteConfirm, onEdit, onDeleteConfirm, onDe
           WebkitLineClamp: 4,
           WebkitBoxOrient: 'vertical',
         }}>
-          {note.content}
+          <Highlight text={preview} terms={terms} />
         </div>
       )}
 
@@ -344,10 +432,96 @@ function NoteCard({ note, isMobile, deleteConfirm, onEdit, onDeleteConfirm, onDe
 // NOTE FORM MODAL
 // ═══════════════════════════════════════════════════════════════════
 
-function NoteFormModal({ isOpen, onClose, onSave, editNote, isMobile }) {
+/**
+ * Markdown textarea that autocompletes [[ links to trades, days and playbooks.
+ */
+function LinkingTextarea({ value, onChange, style, ...props }) {
+  const trades = useTradeStore((s) => s.trades);
+  const playbooks = useTradeStore((s) => s.playbooks);
+  const ref = useRef(null);
+  const [cursor, setCursor] = useState(null);
+  const [highlight, setHighlight] = useState(0);
+
+  const suggestions = useMemo(() => {
+    if (cursor == null) return null;
+    const s = suggestLinks(value, cursor, { trades, playbooks });
+    return s?.items.length ? s : null;
+  }, [value, cursor, trades, playbooks]);
+
+  const accept = (item) => {
+    const next = applySuggestion(value, suggestions, item);
+    onChange(next.text);
+    setHighlight(0);
+    requestAnimationFrame(() => {
+      const el = ref.current;
+      if (!el) return;
+      el.focus();
+      el.setSelectionRange(next.cursor, next.cursor);
+      setCursor(next.cursor);
+    });
+  };
+
+  const onKeyDown = (e) => {
+    if (!suggestions) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlight((h) => (h + 1) % suggestions.items.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlight((h) => (h - 1 + suggestions.items.length) % suggestions.items.length);
+    } else if (e.key === 'Tab' || e.key === 'Enter') {
+      e.preventDefault();
+      accept(suggestions.items[Math.min(highlight, suggestions.items.length - 1)]);
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      setCursor(null);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <textarea
+        {...props}
+        ref={ref}
+        value={value}
+        onChange={(e) => { onChange(e.target.value); setCursor(e.target.selectionStart); setHighlight(0); }}
+        onKeyDown={onKeyDown}
+        onClick={(e) => setCursor(e.target.selectionStart)}
+        onBlur={() => setCursor(null)}
+        style={style}
+      />
+      {suggestions && (
+        <div role="listbox" style={{
+          position: 'absolute', left: 8, right: 8, bottom: 8, zIndex: 20,
+          background: C.bg2, border: `1px solid ${C.bd}`, borderRadius: 6,
+          boxShadow: '0 8px 24px rgba(0,0,0,0.35)', overflow: 'hidden',
+        }}>
+          {suggestions.items.map((item, i) => (
+            <div key={item.insert} role="option" aria-selected={i === highlight}
+              onMouseDown={(e) => { e.preventDefault(); accept(item); }}
+              onMouseEnter={() => setHighlight(i)}
+              style={{
+                display: 'flex', justifyContent: 'space-between', gap: 12,
+                padding: '6px 10px', cursor: 'pointer',
+                background: i === highlight ? C.b + '20' : 'transparent',
+                fontSize: 11,
+              }}
+            >
+              <span style={{ fontFamily: M, color: C.t1 }}>{item.label}</span>
+              {item.detail && <span style={{ color: C.t3 }}>{item.detail}</span>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function NoteFormModal({ isOpen, onClose, onSave, editNote, initialContent = '', isMobile }) {
   const [title, setTitle] = useState('');
   const [content, setContent] = useState('');
   const [tags, setTags] = useState('');
+  const [mode, setMode] = useState('split'); // 'write' | 'preview' | 'split'
 
   React.useEffect(() => {
     if (isOpen && editNote) {
@@ -356,10 +530,10 @@ function NoteFormModal({ isOpen, onClose, onSave, editNote, isMobile }) {
       setTags(Array.isArray(editNote.tags) ? editNote.tags.join(', ') : '');
     } else if (isOpen) {
       setTitle('');
-      setContent('');
+      setContent(initialContent);
       setTags('');
     }
-  }, [isOpen, editNote]);
+  }, [isOpen, editNote, initialContent]);
 
   const handleSubmit = () => {
     onSave({
@@ -375,17 +549,43 @@ function NoteFormModal({ isOpen, onClose, onSave, editNote, isMobile }) {
     minHeight: isMobile ? 44 : undefined,
   };
 
+  // Side-by-side live preview needs room; mobile toggles instead
+  const view = isMobile && mode === 'split' ? 'write' : mode;
+  const editorHeight = isMobile ? 200 : 320;
+
   return (
-    <ModalOverlay isOpen={isOpen} onClose={onClose} width={560}>
-      <h3 style={{
-        fontSize: 16,
-        fontWeight: 800,
-        fontFamily: F,
-        color: C.t1,
-        margin: '0 0 16px',
-      }}>
-        {editNote ? 'Edit Note' : 'New Note'}
-      </h3>
+    <ModalOverlay isOpen={isOpen} onClose={onClose} width={isMobile ? 560 : 980}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', margin: '0 0 16px' }}>
+        <h3 style={{
+          fontSize: 16,
+          fontWeight: 800,
+          fontFamily: F,
+          color: C.t1,
+          margin: 0,
+        }}>
+          {editNote ? (editNote.kind === 'daily' ? 'Daily Journal' : 'Edit Note') : 'New Note'}
+        </h3>
+        <div role="tablist" aria-label="Editor mode" style={{ display: 'flex', gap: 2 }}>
+          {(isMobile ? ['write', 'preview'] : ['write', 'split', 'preview']).map((m) => (
+            <button
+              key={m}
+              role="tab"
+              aria-selected={view === m}
+              onClick={() => setMode(m)}
+              className="tf-btn"
+              style={{
+                padding: '4px 10px', borderRadius: radii.sm, border: 'none',
+                background: view === m ? C.b + '20' : 'transparent',
+                color: view === m ? C.b : C.t3,
+                fontSize: 11, fontWeight: 600, fontFamily: F, cursor: 'pointer',
+                textTransform: 'capitalize',
+              }}
+            >
+              {m}
+            </button>
+          ))}
+        </div>
+      </div>
 
       <div style={{ marginBottom: 14 }}>
         <label
@@ -410,20 +610,43 @@ function NoteFormModal({ isOpen, onClose, onSave, editNote, isMobile }) {
           htmlFor="note-content"
         >
           Content
+          <span style={{ fontWeight: 400, marginLeft: 8 }}>
+            Markdown · type [[ to link a trade, day or playbook
+          </span>
         </label>
-        <textarea
-          id="note-content"
-          value={content}
-          onChange={(e) => setContent(e.target.value)}
-          placeholder="Market observations, trade reflections, lessons learned..."
-          rows={isMobile ? 8 : 10}
-          style={{
-            ...mInput,
-            resize: 'vertical',
-            minHeight: isMobile ? 160 : 180,
-            lineHeight: 1.7,
-          }}
-        />
+        <div style={{ display: 'grid', gridTemplateColumns: view === 'split' ? '1fr 1fr' : '1fr', gap: 10 }}>
+          {view !== 'preview' && (
+            <LinkingTextarea
+              id="note-content"
+              value={content}
+              onChange={setContent}
+              placeholder={'Market observations, trade reflections, lessons learned...\n\n**bold**, *italic*, - lists, [[trade:…]], [[2026-10-14]], [[playbook:ORB]]'}
+              spellCheck
+              style={{
+                ...mInput,
+                width: '100%',
+                boxSizing: 'border-box',
+                resize: 'vertical',
+                height: editorHeight,
+                minHeight: isMobile ? 160 : 180,
+                lineHeight: 1.7,
+                fontFamily: M,
+              }}
+            />
+          )}
+          {view !== 'write' && (
+            <div
+              aria-label="Preview"
+              style={{
+                height: editorHeight, overflowY: 'auto',
+                padding: '8px 12px', borderRadius: radii.sm,
+                border: `1px solid ${C.bd}`, background: C.sf,
+              }}
+            >
+              <MarkdownView text={content} />
+            </div>
+          )}
+        </div>
       </div>
 
       <div style={{ marginBottom: 20 }}>
@@ -442,6 +665,13 @@ function NoteFormModal({ isOpen, onClose, onSave, editNote, isMobile }) {
         />
       </div>
 
+      {/* Notes linking to this trading day */}
+      {editNote?.kind === 'daily' && (
+        <div style={{ marginBottom: 20 }}>
+          <Backlinks kind="day" target={editNote.date} />
+        </div>
+      )}
+
       <div style={{
         display: 'flex',
         gap: 8,
@@ -19,11 +19,20 @@ import { useSettingsStore } from '../state/useSettingsStore.js';
 import { useTradeStore } from '../state/useTradeStore.js';
 import { useOnboardingStore } from '../state/useOnboardingStore.js';
 import { useSocialStore } from '../state/useSocialStore.js';
+import { useAccountStore } from '../state/useAccountStore.js';
+import { useFxStore } from '../state/useFxStore.js';
+import { useAttachmentStore } from '../state/useAttachmentStore.js';
+import { useDeliveryStore, TYPE_LABELS } from '../state/useDeliveryStore.js';
+import { usePropFirmStore, PRESETS as PROP_PRESETS } from '../state/usePropFirmStore.js';
+import { ACCOUNT_TYPES, DEFAULT_ACCOUNT_ID } from '../engine/Accounts.js';
+import { CURRENCIES } from '../engine/Money.js';
+import { tradeCurrencies } from '../engine/FxRates.js';
 import { genDemoData } from '../data/demoData.js';
 import { Card, Btn, inputStyle } from '../components/UIKit.jsx';
 import PlaybookManager from '../components/PlaybookManager.jsx';
 import RiskCalculator from '../components/RiskCalculator.jsx';
 import { listPresets } from '../engine/RiskPresets.js';
+import { CHANNEL_TYPES, EVENT_KINDS, validateChannel } from '../engine/AlertDelivery.js';
 import { getApiKey, setApiKey, getProviderStatus } from '../data/DataProvider.js';
 import { exportCSV, exportJSON, downloadFile, importFile } from '../data/ImportExport.js';
 import { configureSupabase, signIn, signUp, signOut, getAuth, getSyncStatus, sync } from '../data/StorageAdapter.js';
@@ -411,6 +420,30 @@ function TradingSetupSection() {
         </div>
       </Card>
 
+      {/* Currency & FX */}
+      <Card style={{ marginBottom: 16, padding: 20 }}>
+        <div style={{ fontSize: 13, fontWeight: 700, color: C.t1, marginBottom: 12 }}>
+          Currency & FX Rates
+        </div>
+        <CurrencyManager />
+      </Card>
+
+      {/* Trading Accounts */}
+      <Card style={{ marginBottom: 16, padding: 20 }}>
+        <div style={{ fontSize: 13, fontWeight: 700, color: C.t1, marginBottom: 12 }}>
+          Trading Accounts
+        </div>
+        <AccountsManager />
+      </Card>
+
+      {/* Prop Firm Evaluations */}
+      <Card style={{ marginBottom: 16, padding: 20 }}>
+        <div style={{ fontSize: 13, fontWeight: 700, color: C.t1, marginBottom: 12 }}>
+          Prop Firm Evaluations
+        </div>
+        <PropFirmManager />
+      </Card>
+
       {/* Position Sizer */}
       <Card style={{ padding: 20 }}>
         <div style={{ fontSize: 13, fontWeight: 700, color: C.t1, marginBottom: 12 }}>
@@ -422,6 +455,288 @@ function TradingSetupSection() {
   );
 }
 
+// ─── Accounts Manager ───────────────────────────────────────────
+
+function AccountsManager() {
+  const accounts = useAccountStore((s) => s.accounts);
+  const addAccount = useAccountStore((s) => s.addAccount);
+  const updateAccount = useAccountStore((s) => s.updateAccount);
+  const deleteAccount = useAccountStore((s) => s.deleteAccount);
+  const trades = useTradeStore((s) => s.trades);
+  const reassignAccount = useTradeStore((s) => s.reassignAccount);
+  const [name, setName] = useState('');
+  const [type, setType] = useState('evaluation');
+
+  const counts = {};
+  for (const t of trades) {
+    const id = t.accountId || DEFAULT_ACCOUNT_ID;
+    counts[id] = (counts[id] || 0) + 1;
+  }
+
+  const handleAdd = () => {
+    if (addAccount({ name, type })) setName('');
+  };
+
+  const handleDelete = (acct) => {
+    const n = counts[acct.id] || 0;
+    if (n > 0 && !window.confirm(`Move ${n} trade${n !== 1 ? 's' : ''} from "${acct.name}" to the main account and delete it?`)) return;
+    reassignAccount(acct.id, DEFAULT_ACCOUNT_ID);
+    deleteAccount(acct.id);
+  };
+
+  return (
+    <div>
+      {accounts.map((a) => (
+        <div key={a.id} style={{
+          display: 'flex', alignItems: 'center', gap: 8,
+          padding: '8px 0', borderBottom: `1px solid ${C.bd}`,
+        }}>
+          <input
+            value={a.name}
+            onChange={(e) => updateAccount(a.id, { name: e.target.value })}
+            style={{ ...inputStyle, flex: 1 }}
+          />
+          <select
+            value={a.type}
+            onChange={(e) => updateAccount(a.id, { type: e.target.value })}
+            style={{ ...inputStyle, width: 120, cursor: 'pointer' }}
+          >
+            {ACCOUNT_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+          </select>
+          <span style={{ fontSize: 11, color: C.t3, fontFamily: M, width: 70, textAlign: 'right' }}>
+            {counts[a.id] || 0} trades
+          </span>
+          {a.id !== DEFAULT_ACCOUNT_ID && (
+            <Btn onClick={() => handleDelete(a)} style={{ fontSize: 11, padding: '6px 10px' }}>
+              Delete
+            </Btn>
+          )}
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: 8, marginTop: 12 }}>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+          placeholder="e.g. Topstep 50K #2"
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          style={{ ...inputStyle, width: 120, cursor: 'pointer' }}
+        >
+          {ACCOUNT_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+        </select>
+        <Btn onClick={handleAdd} style={{ fontSize: 12, padding: '8px 14px' }}>
+          + Add Account
+        </Btn>
+      </div>
+    </div>
+  );
+}
+
+// ─── Prop Firm Manager ──────────────────────────────────────────
+
+/** Checkbox per account; none checked = all accounts */
+function AccountPicker({ value, onChange }) {
+  const accounts = useAccountStore((s) => s.accounts);
+  const toggle = (id) => onChange(value.includes(id) ? value.filter((v) => v !== id) : [...value, id]);
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+      {accounts.map((a) => (
+        <label key={a.id} style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 11, color: C.t2, cursor: 'pointer' }}>
+          <input type="checkbox" checked={value.includes(a.id)} onChange={() => toggle(a.id)} />
+          {a.name}
+        </label>
+      ))}
+      {!value.length && <span style={{ fontSize: 11, color: C.t3, fontFamily: M }}>all accounts</span>}
+    </div>
+  );
+}
+
+function PropFirmManager() {
+  const profiles = usePropFirmStore((s) => s.profiles);
+  const activeProfile = usePropFirmStore((s) => s.activeProfile);
+  const createFromPreset = usePropFirmStore((s) => s.createFromPreset);
+  const linkAccounts = usePropFirmStore((s) => s.linkAccounts);
+  const setActive = usePropFirmStore((s) => s.setActive);
+  const deleteProfile = usePropFirmStore((s) => s.deleteProfile);
+  const [presetId, setPresetId] = useState(Object.keys(PROP_PRESETS)[0]);
+  const [accountIds, setAccountIds] = useState([]);
+
+  const handleCreate = () => {
+    if (createFromPreset(presetId, accountIds)) setAccountIds([]);
+  };
+
+  return (
+    <div>
+      {profiles.map((p) => (
+        <div key={p.id} style={{ padding: '8px 0', borderBottom: `1px solid ${C.bd}` }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6 }}>
+            <input
+              type="radio"
+              checked={activeProfile?.id === p.id}
+              onChange={() => setActive(p.id)}
+              title="Track on the dashboard"
+            />
+            <span style={{ flex: 1, fontSize: 12, fontWeight: 600, color: C.t1 }}>{p.name}</span>
+            <span style={{ fontSize: 11, color: C.t3, fontFamily: M }}>
+              since {new Date(p.startDate).toLocaleDateString()}
+            </span>
+            <Btn onClick={() => deleteProfile(p.id)} style={{ fontSize: 11, padding: '6px 10px' }}>
+              Delete
+            </Btn>
+          </div>
+          <AccountPicker value={p.accountIds || []} onChange={(ids) => linkAccounts(p.id, ids)} />
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: 8, marginTop: 12 }}>
+        <select
+          value={presetId}
+          onChange={(e) => setPresetId(e.target.value)}
+          style={{ ...inputStyle, flex: 1, cursor: 'pointer' }}
+        >
+          {Object.entries(PROP_PRESETS).map(([id, preset]) => <option key={id} value={id}>{preset.name}</option>)}
+        </select>
+        <Btn onClick={handleCreate} style={{ fontSize: 12, padding: '8px 14px' }}>
+          + Start Evaluation
+        </Btn>
+      </div>
+      <div style={{ marginTop: 8 }}>
+        <AccountPicker value={accountIds} onChange={setAccountIds} />
+      </div>
+    </div>
+  );
+}
+
+// ─── Currency & FX Manager ──────────────────────────────────────
+
+function CurrencyManager() {
+  const baseCurrency = useSettingsStore((s) => s.baseCurrency);
+  const update = useSettingsStore((s) => s.update);
+  const rates = useFxStore((s) => s.rates);
+  const setRate = useFxStore((s) => s.setRate);
+  const removeRate = useFxStore((s) => s.removeRate);
+  const importCSV = useFxStore((s) => s.importCSV);
+  const trades = useTradeStore((s) => s.trades);
+  const [ccy, setCcy] = useState('EUR');
+  const [date, setDate] = useState(() => new Date().toISOString().slice(0, 10));
+  const [rate, setRateInput] = useState('');
+  const [status, setStatus] = useState(null);
+  const fileRef = useRef(null);
+
+  const used = tradeCurrencies(trades);
+  const uncovered = used.filter((c) => c !== 'USD' && !rates[c]);
+
+  const handleAdd = () => {
+    const v = Number(rate);
+    if (!(v > 0) || !date) return;
+    setRate(ccy, date, v);
+    setRateInput('');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const { count, errors } = importCSV(await file.text());
+    setStatus({
+      ok: count > 0,
+      message: count > 0
+        ? `Imported ${count} rate${count !== 1 ? 's' : ''}${errors.length ? ` (${errors.length} skipped)` : ''}`
+        : errors[0] || 'No rates found',
+    });
+    e.target.value = '';
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: 16, marginBottom: 16 }}>
+        <SettingRow label="Base Currency" hint="All P&L and analytics are reported in this currency">
+          <select
+            value={baseCurrency || 'USD'}
+            onChange={(e) => update({ baseCurrency: e.target.value })}
+            style={{ ...inputStyle, cursor: 'pointer' }}
+          >
+            {Object.entries(CURRENCIES).map(([code, c]) => (
+              <option key={code} value={code}>{code} — {c.name}</option>
+            ))}
+          </select>
+        </SettingRow>
+      </div>
+
+      {uncovered.length > 0 && (
+        <AlertBanner ok={false} message={`No FX rates for ${uncovered.join(', ')} — those trades are excluded from analytics.`} />
+      )}
+
+      <div style={{ fontSize: 11, color: C.t3, marginBottom: 8 }}>
+        Daily rates are quoted as USD per 1 unit. Missing days use the most recent earlier rate.
+      </div>
+
+      {Object.entries(rates).sort().map(([code, map]) => {
+        const dates = Object.keys(map).sort();
+        const last = dates[dates.length - 1];
+        return (
+          <div key={code} style={{
+            display: 'flex', alignItems: 'center', gap: 8,
+            padding: '6px 0', borderBottom: `1px solid ${C.bd}`, fontSize: 12,
+          }}>
+            <span style={{ fontFamily: M, fontWeight: 700, color: C.t1, width: 48 }}>{code}</span>
+            <span style={{ flex: 1, color: C.t2 }}>
+              {dates.length} day{dates.length !== 1 ? 's' : ''} · {dates[0]} → {last}
+            </span>
+            <span style={{ fontFamily: M, color: C.t2 }}>{map[last]}</span>
+            <Btn onClick={() => removeRate(code)} style={{ fontSize: 11, padding: '4px 10px' }}>
+              Remove
+            </Btn>
+          </div>
+        );
+      })}
+
+      <div style={{ display: 'flex', gap: 8, marginTop: 12, flexWrap: 'wrap' }}>
+        <select
+          value={ccy}
+          onChange={(e) => setCcy(e.target.value)}
+          style={{ ...inputStyle, width: 90, cursor: 'pointer' }}
+        >
+          {Object.keys(CURRENCIES).filter((c) => c !== 'USD').map((c) => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          style={{ ...inputStyle, width: 150 }}
+        />
+        <input
+          type="number"
+          step="0.0001"
+          value={rate}
+          onChange={(e) => setRateInput(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+          placeholder="USD per unit"
+          style={{ ...inputStyle, flex: 1, minWidth: 120 }}
+        />
+        <Btn onClick={handleAdd} style={{ fontSize: 12, padding: '8px 14px' }}>
+          + Add Rate
+        </Btn>
+        <Btn onClick={() => fileRef.current?.click()} style={{ fontSize: 12, padding: '8px 14px' }}>
+          Import CSV
+        </Btn>
+        <input ref={fileRef} type="file" accept=".csv,.txt" onChange={handleImport} style={{ display: 'none' }} />
+      </div>
+
+      {status && (
+        <div style={{ marginTop: 12 }}>
+          <AlertBanner ok={status.ok} message={status.message} />
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ═══════════════════════════════════════════════════════════════════
 // SECTION 2: PLAYBOOKS
 // ═══════════════════════════════════════════════════════════════════
@@ -448,8 +763,11 @@ function PlaybooksSection() {
 function DataSection() {
   const trades = useTradeStore((s) => s.trades);
   const setTrades = useTradeStore((s) => s.setTrades);
+  const accounts = useAccountStore((s) => s.accounts);
   const [importResult, setImportResult] = useState(null);
   const [importing, setImporting] = useState(false);
+  const [importAccountId, setImportAccountId] = useState(DEFAULT_ACCOUNT_ID);
+  const [importMatching, setImportMatching] = useState('fifo');
 
   const handleExportCSV = () => {
     const csv = exportCSV(trades);
@@ -457,14 +775,18 @@ function DataSection() {
     downloadFile(csv, `tradeforge-export-${date}.csv`, 'text/csv');
   };
 
-  const handleExportJSON = () => {
-    const json = exportJSON(trades);
+  const handleExportJSON = async () => {
+    const attachments = await useAttachmentStore.getState().exportBackup();
+    const json = exportJSON(trades, { attachments });
     const date = new Date().toISOString().slice(0, 10);
     downloadFile(json, `tradeforge-export-${date}.json`, 'application/json');
   };
 
   const handleExportReport = () => {
-    const analytics = computeFast(trades);
+    const analytics = computeFast(trades, {
+      baseCurrency: useSettingsStore.getState().baseCurrency,
+      fxRates: useFxStore.getState().rates,
+    });
     const md = generateReport(trades, analytics, { title: 'TradeForge Performance Report' });
     downloadReport(md);
   };
@@ -475,7 +797,7 @@ function DataSection() {
     setImporting(true);
     setImportResult(null);
 
-    const result = await importFile(file);
+    const result = await importFile(file, null, { accountId: importAccountId, matching: importMatching });
     setImporting(false);
 
     if (!result.ok) {
@@ -487,18 +809,21 @@ function DataSection() {
       ok: true,
       message: `Detected: ${result.brokerLabel || result.broker}. Found ${result.count} trades${result.skipped ? ` (${result.skipped} skipped)` : ''}.`,
       trades: result.trades,
+      attachments: result.attachments,
       broker: result.broker,
     });
   };
 
-  const confirmImport = () => {
+  const confirmImport = async () => {
     if (!importResult?.trades?.length) return;
     const existing = trades;
     const merged = [...existing, ...importResult.trades];
     setTrades(merged);
+    const att = await useAttachmentStore.getState().importBackup(importResult.attachments);
+    const attNote = att.data ? ` Restored ${att.data} attachment${att.data !== 1 ? 's' : ''}.` : '';
     setImportResult({
       ok: true,
-      message: `✅ Imported ${importResult.trades.length} trades. Total: ${merged.length}.`,
+      message: `✅ Imported ${importResult.trades.length} trades. Total: ${merged.length}.${attNote}`,
       trades: null,
     });
   };
@@ -565,6 +890,30 @@ function DataSection() {
             Supports Tradovate, NinjaTrader, ThinkorSwim, TradeStation, IBKR, or generic CSV/JSON
           </div>
 
+          {accounts.length > 1 && (
+            <SettingRow label="Import into account" hint="For trades the file doesn't assign to an account">
+              <select
+                value={importAccountId}
+                onChange={(e) => setImportAccountId(e.target.value)}
+                style={{ ...inputStyle, cursor: 'pointer' }}
+              >
+                {accounts.map((a) => <option key={a.id} value={a.id}>{a.name}</option>)}
+              </select>
+            </SettingRow>
+          )}
+
+          <SettingRow label="Fill matching" hint="How partial exits are costed when a file contains individual fills">
+            <select
+              value={importMatching}
+              onChange={(e) => setImportMatching(e.target.value)}
+              style={{ ...inputStyle, cursor: 'pointer' }}
+            >
+              <option value="fifo">FIFO — first in, first out</option>
+              <option value="lifo">LIFO — last in, first out</option>
+              <option value="avg">Average cost</option>
+            </select>
+          </SettingRow>
+
           <SettingRow label="Choose file">
             <input
               type="file"
@@ -612,9 +961,12 @@ function IntegrationsSection() {
       <SectionHeader
         icon="🔌"
         title="Integrations"
-        description="API keys, data sources, and cloud sync"
+        description="API keys, data sources, alert delivery and cloud sync"
       />
       <ApiKeySettings />
+      <div style={{ marginTop: 16 }}>
+        <AlertDeliverySettings />
+      </div>
       <div style={{ marginTop: 16 }}>
         <CloudSyncSection />
       </div>
@@ -685,6 +1037,151 @@ function ApiKeySettings() {
   );
 }
 
+// ─── Alert Delivery ─────────────────────────────────────────────
+
+const EVENT_LABELS = { alert: 'Alerts', dailyguard: 'Daily loss lockout' };
+
+function AlertDeliverySettings() {
+  const channels = useDeliveryStore((s) => s.channels);
+  const localSinks = useDeliveryStore((s) => s.localSinks);
+  const relayUrl = useDeliveryStore((s) => s.relayUrl);
+  const relayKey = useDeliveryStore((s) => s.relayKey);
+  const addChannel = useDeliveryStore((s) => s.addChannel);
+  const setLocalSink = useDeliveryStore((s) => s.setLocalSink);
+  const setRelay = useDeliveryStore((s) => s.setRelay);
+  const usesRelay = channels.some((c) => c.type !== 'webhook');
+
+  return (
+    <Card style={{ padding: 20 }}>
+      <div style={{ fontSize: 13, fontWeight: 700, color: C.t1, marginBottom: 4 }}>
+        Alert Delivery
+      </div>
+      <div style={{ fontSize: 11, color: C.t3, marginBottom: 14 }}>
+        Send alert triggers and daily loss lockouts to webhooks or email. Relay and email
+        channels are sent by the server, so they finish even if this tab closes.
+      </div>
+
+      <SettingRow label="In-app notifications">
+        <div style={{ display: 'flex', gap: 16 }}>
+          {[['toast', 'Toast'], ['browser', 'Browser notification']].map(([sink, label]) => (
+            <label key={sink} style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: C.t2, cursor: 'pointer' }}>
+              <input type="checkbox" checked={localSinks[sink] !== false} onChange={(e) => setLocalSink(sink, e.target.checked)} />
+              {label}
+            </label>
+          ))}
+        </div>
+      </SettingRow>
+
+      {channels.map((ch) => <DeliveryChannelEditor key={ch.id} channel={ch} />)}
+
+      <div style={{ display: 'flex', gap: 8, marginBottom: usesRelay ? 16 : 0 }}>
+        {CHANNEL_TYPES.map((type) => (
+          <Btn key={type} variant="ghost" onClick={() => addChannel({ type })} style={{ fontSize: 11, padding: '6px 12px' }}>
+            + {TYPE_LABELS[type]}
+          </Btn>
+        ))}
+      </div>
+
+      {usesRelay && (
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+          <SettingRow label="Relay URL" hint="This server's /api/relay, or another TradeForge server">
+            <input value={relayUrl} onChange={(e) => setRelay({ relayUrl: e.target.value })} style={inputStyle} />
+          </SettingRow>
+          <SettingRow label="Relay API key" hint="A key from TRADEFORGE_API_KEYS">
+            <input type="password" value={relayKey} onChange={(e) => setRelay({ relayKey: e.target.value })} style={inputStyle} />
+          </SettingRow>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+function DeliveryChannelEditor({ channel }) {
+  const updateChannel = useDeliveryStore((s) => s.updateChannel);
+  const removeChannel = useDeliveryStore((s) => s.removeChannel);
+  const deliver = useDeliveryStore((s) => s.deliver);
+  const [testing, setTesting] = useState(false);
+  const problems = validateChannel(channel);
+  const update = (patch) => updateChannel(channel.id, patch);
+  const last = channel.lastResult;
+
+  const handleTest = async () => {
+    setTesting(true);
+    await deliver({
+      kind: 'test',
+      title: 'Test alert',
+      message: `Test delivery from TradeForge to ${channel.name}`,
+      symbol: 'TEST',
+      price: 100,
+      timeframe: '1h',
+      time: new Date().toISOString(),
+    }, { channelIds: [channel.id] });
+    setTesting(false);
+  };
+
+  const toggleEvent = (kind) => {
+    const events = channel.events || EVENT_KINDS;
+    update({ events: events.includes(kind) ? events.filter((k) => k !== kind) : [...events, kind] });
+  };
+
+  return (
+    <div style={{ border: `1px solid ${C.bd}`, borderRadius: radii.md, padding: 12, marginBottom: 12 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 10 }}>
+        <input type="checkbox" checked={channel.enabled !== false} onChange={(e) => update({ enabled: e.target.checked })} title="Enabled" />
+        <input value={channel.name} onChange={(e) => update({ name: e.target.value })} style={{ ...inputStyle, flex: 1, fontWeight: 600 }} />
+        <span style={{ fontSize: 10, color: C.t3, fontFamily: M }}>{TYPE_LABELS[channel.type]}</span>
+        <button onClick={() => removeChannel(channel.id)} title="Remove channel" style={{ background: 'none', border: 'none', color: C.r, cursor: 'pointer', fontSize: 12 }}>
+          ✕
+        </button>
+      </div>
+
+      {channel.type === 'email' ? (
+        <>
+          <SettingRow label="Recipients" hint="Comma-separated">
+            <input value={channel.to || ''} onChange={(e) => update({ to: e.target.value })} placeholder="me@example.com" style={inputStyle} />
+          </SettingRow>
+          <SettingRow label="Subject" hint="{{title}}, {{symbol}}, {{price}}, {{message}} …">
+            <input value={channel.subject || ''} onChange={(e) => update({ subject: e.target.value })} style={inputStyle} />
+          </SettingRow>
+        </>
+      ) : (
+        <>
+          <SettingRow label="URL">
+            <input value={channel.url || ''} onChange={(e) => update({ url: e.target.value })} placeholder="https://…" style={inputStyle} />
+          </SettingRow>
+          <SettingRow label="JSON body" hint='"{{price}}" keeps numbers as numbers; also {{alert.note}}, {{guard.todayPnl}} …'>
+            <textarea
+              value={channel.template || ''}
+              onChange={(e) => update({ template: e.target.value })}
+              rows={6}
+              style={{ ...inputStyle, fontFamily: M, fontSize: 11, resize: 'vertical' }}
+            />
+          </SettingRow>
+        </>
+      )}
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+        {EVENT_KINDS.map((kind) => (
+          <label key={kind} style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 11, color: C.t2, cursor: 'pointer' }}>
+            <input type="checkbox" checked={(channel.events || EVENT_KINDS).includes(kind)} onChange={() => toggleEvent(kind)} />
+            {EVENT_LABELS[kind]}
+          </label>
+        ))}
+        <div style={{ flex: 1 }} />
+        {last && (
+          <StatusBadge ok={last.ok} label={last.pending ? `Sent to relay ${new Date(last.at).toLocaleTimeString()}` : last.ok ? `Delivered ${new Date(last.at).toLocaleTimeString()}` : `Failed: ${last.error}`} />
+        )}
+        <Btn variant="ghost" onClick={handleTest} disabled={testing || problems.length > 0} style={{ fontSize: 11, padding: '6px 12px' }}>
+          {testing ? 'Sending…' : 'Send test'}
+        </Btn>
+      </div>
+      {problems.length > 0 && (
+        <div style={{ fontSize: 11, color: C.y, marginTop: 8 }}>{problems.join(' · ')}</div>
+      )}
+    </div>
+  );
+}
+
 // ─── Cloud Sync Section ─────────────────────────────────────────
 
 function CloudSyncSection() {
@@ -12,11 +12,17 @@
 //   - mode: 'overlay' | 'pane'
 //   - params: configurable parameters with defaults
 //   - outputs: what the compute function returns
-//   - compute(bars, params): returns computed values
+//   - compute(bars, params, context): returns computed values
 //   - render config: colors, line styles, fills, bands
+//
+// Instances may set a source timeframe above the chart's: they then
+// compute on that series (context.series, which ChartEngineWidget
+// fetches from Binance, or aggregated from the chart bars) and align back without lookahead —
+// see engine/MultiTimeframe.js.
 // ═══════════════════════════════════════════════════════════════════
 
 import * as C from './computations.js';
+import { computeOnTimeframe, isHigherTimeframe } from '../../engine/MultiTimeframe.js';
 
 /**
  * @typedef {Object} IndicatorOutput
@@ -36,7 +42,7 @@ import * as C from './computations.js';
  * @property {string}   mode       - 'overlay' | 'pane'
  * @property {Object}   params     - { paramName: { default, min, max, step, label } }
  * @property {IndicatorOutput[]} outputs
- * @property {Function} compute    - (bars, params) => { [outputKey]: number[] }
+ * @property {Function} compute    - (bars, params, context) => { [outputKey]: number[] }
  * @property {Object}   [paneConfig] - For pane indicators: { min, max, bands }
  */
 
@@ -138,8 +144,8 @@ export const INDICATORS = {
     outputs: [
       { key: 'vwap', label: 'VWAP', color: '#FF6D00', width: 2, type: 'line' },
     ],
-    compute(bars) {
-      return { vwap: C.vwap(bars) };
+    compute(bars, params, context) {
+      return { vwap: C.vwap(bars, context?.sessionKey) };
     },
   },
 
@@ -373,9 +379,11 @@ export function getAllIndicators() {
  * @param {string} indicatorId
  * @param {Object} [paramOverrides]
  * @param {Object} [styleOverrides]
+ * @param {Object} [options]
+ * @param {string} [options.timeframe] - Source timeframe (null = chart's)
  * @returns {Object} Active indicator instance
  */
-export function createIndicatorInstance(indicatorId, paramOverrides = {}, styleOverrides = {}) {
+export function createIndicatorInstance(indicatorId, paramOverrides = {}, styleOverrides = {}, options = {}) {
   const def = INDICATORS[indicatorId];
   if (!def) throw new Error(`Unknown indicator: ${indicatorId}`);
 
@@ -401,19 +409,39 @@ export function createIndicatorInstance(indicatorId, paramOverrides = {}, styleO
     outputs,
     fills: def.fills,
     paneConfig: def.paneConfig,
+    timeframe: options.timeframe || null,
     visible: true,
     computed: null, // Filled after compute()
 
-    /** Compute indicator values from bar data */
-    compute(bars) {
-      this.computed = def.compute(bars, this.params);
+    /**
+     * Compute indicator values from bar data.
+     * @param {Array} bars - Chart bars
+     * @param {Object} [context]
+     * @param {string} [context.timeframe] - Chart timeframe
+     * @param {Object} [context.series]    - { [timeframe]: bars } fetched HTF history
+     * @param {Function} [context.sessionKey] - time → trading-session key (session-anchored indicators)
+     */
+    compute(bars, context = {}) {
+      this.computed = this.isMultiTimeframe(context.timeframe)
+        ? computeOnTimeframe((src) => def.compute(src, this.params, context), bars, {
+          timeframe: this.timeframe,
+          baseTf: context.timeframe,
+          htfBars: context.series?.[this.timeframe],
+        })
+        : def.compute(bars, this.params, context);
       return this.computed;
     },
 
-    /** Get the parameter label string (e.g., "SMA(20)") */
+    /** Whether this instance computes on a higher timeframe than the chart's */
+    isMultiTimeframe(chartTf) {
+      return !!this.timeframe && (!chartTf || isHigherTimeframe(this.timeframe, chartTf));
+    },
+
+    /** Get the parameter label string (e.g., "SMA(20)", "SMA(200) 1D") */
     get label() {
       const paramStr = Object.values(this.params).join(', ');
-      return paramStr ? `${def.shortName}(${paramStr})` : def.shortName;
+      const base = paramStr ? `${def.shortName}(${paramStr})` : def.shortName;
+      return this.timeframe ? `${base} ${this.timeframe}` : base;
     },
   };
 }
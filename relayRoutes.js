@@ -0,0 +1,266 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Alert Relay
+//
+// Server-side delivery for alert channels (engine/AlertDelivery.js).
+// The browser hands the event off once; the server accepts it (202),
+// then renders the webhook template or email and retries on its own
+// in the background, so delivery finishes even if the tab is closed
+// mid-send. Retries happen only here: the browser's retries of the
+// hand-off carry the same Idempotency-Key, and a key already accepted
+// is acknowledged again without sending twice. The outcome of each
+// delivery is kept for a while under that id, so the browser can poll
+// it into its notification log.
+//
+// Mount:
+//   app.use('/api/relay', createRelayRouter());
+//
+// Auth: same API keys as /api/v1 (x-api-key header).
+//
+// Routes:
+//   GET  /status    { email: boolean, allowHosts: string[]|null }
+//   POST /deliver   { channel: { type: 'webhook'|'email', ... }, event }
+//                   headers: Idempotency-Key (optional, one per event + channel)
+//                   → 202 { ok: true, data: { accepted, id, duplicate } }
+//                   | 400 | 403 HOST_NOT_ALLOWED | 503 SMTP_NOT_CONFIGURED
+//   GET  /deliveries/:id
+//                   → { id, type, status: 'pending'|'delivered'|'failed',
+//                       attempts, error, updatedAt } | 404 NOT_FOUND
+//
+// Config:
+//   TRADEFORGE_SMTP_URL / TRADEFORGE_SMTP_FROM   — see smtp.js
+//   TRADEFORGE_RELAY_HOSTS="hooks.slack.com,…"   — webhook host
+//     allowlist (subdomains match). '*' allows any public host; unset
+//     means the relay sends no webhooks. Loopback, private and
+//     link-local addresses are refused either way, so an API key
+//     can't point the server at its own network.
+// ═══════════════════════════════════════════════════════════════════
+
+import express from 'express';
+import process from 'node:process';
+import dns from 'node:dns/promises';
+import net from 'node:net';
+import { apiKeyAuth, rateLimiter, cors, apiErrorHandler, okResponse, errorResponse } from './middleware.js';
+import { createKeyStore } from './apiStore.js';
+import { smtpFromEnv } from './smtp.js';
+import { validateChannel, emailMessage, deliverToChannel } from '../engine/AlertDelivery.js';
+import { RetryQueue } from '../utils/RetryQueue.js';
+
+const DEFAULT_RETRY = { maxRetries: 4, baseDelay: 2000, maxDelay: 60_000 };
+const DELIVERY_TTL_MS = 15 * 60_000;
+const MAX_KEY_LENGTH = 128;
+
+const asyncRoute = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+function _isPlainObject(v) {
+  return v != null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * Parse a comma-separated host allowlist.
+ * @param {string} [value]
+ * @returns {string[]|null} Lower-cased hosts ('*' = any public host), or null for none
+ */
+function parseHostList(value) {
+  const hosts = String(value || '').split(',').map((h) => h.trim().toLowerCase()).filter(Boolean);
+  return hosts.length ? hosts : null;
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise
+ * not a public internet address.
+ * @param {string} ip
+ * @returns {boolean}
+ */
+function isPrivateAddress(ip) {
+  const addr = String(ip).replace(/^\[|\]$/g, '').toLowerCase();
+  if (net.isIPv4(addr)) {
+    const [a, b] = addr.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168);
+  }
+  if (net.isIPv6(addr)) {
+    const mapped = addr.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    // new URL() writes mapped IPv4 in hex: ::ffff:7f00:1
+    const hex = addr.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (hex) {
+      const [hi, lo] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+      return isPrivateAddress(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+    }
+    return addr === '::' || addr === '::1' || /^f[cd]/.test(addr) || /^fe[89ab]/.test(addr);
+  }
+  return false;
+}
+
+/**
+ * Whether a webhook URL may be sent by the relay: http(s), not a
+ * local or private address, and on the allowlist (exact or subdomain).
+ * @param {string} url
+ * @param {string[]|null} allowHosts
+ * @returns {boolean}
+ */
+function hostAllowed(url, allowHosts) {
+  if (!allowHosts?.length) return false;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+  const host = parsed.hostname.toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) return false;
+  return allowHosts.some((h) => h === '*' || host === h || host.endsWith(`.${h}`));
+}
+
+/**
+ * With a '*' allowlist any name is accepted, so also check where it
+ * resolves to — a public name can point at a private address.
+ * @param {string} url
+ * @param {Function} lookup - dns.lookup(host, { all: true }) signature
+ * @returns {Promise<boolean>}
+ */
+async function resolvesPublic(url, lookup) {
+  const host = new URL(url).hostname;
+  if (net.isIP(host.replace(/^\[|\]$/g, ''))) return true; // literals were checked by hostAllowed
+  try {
+    const addrs = await lookup(host, { all: true });
+    return addrs.length > 0 && addrs.every((a) => !isPrivateAddress(a.address));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create the /api/relay router.
+ *
+ * @param {Object} [opts]
+ * @param {Object} [opts.keyStore] - Key store (default: createKeyStore({ dir }))
+ * @param {string} [opts.dir] - Data directory for the default key store
+ * @param {Object|null} [opts.mailer] - { send(msg) } (default: smtpFromEnv())
+ * @param {Function} [opts.fetch] - fetch for webhooks (default: global fetch)
+ * @param {string[]|null} [opts.allowHosts] - Webhook host allowlist (default: TRADEFORGE_RELAY_HOSTS)
+ * @param {Function} [opts.lookup] - DNS lookup for '*' allowlists (default: dns.lookup)
+ * @param {Object} [opts.retry] - RetryQueue options
+ * @param {Object} [opts.rateLimit] - rateLimiter() options, or false to disable
+ * @param {Function} [opts.onDelivered] - (result, { channel, event, id }) after each background delivery
+ * @returns {import('express').Router} Router, plus flush() to await background deliveries
+ */
+function createRelayRouter(opts = {}) {
+  const keyStore = opts.keyStore || createKeyStore({ dir: opts.dir });
+  const mailer = opts.mailer !== undefined ? opts.mailer : smtpFromEnv();
+  const allowHosts = opts.allowHosts !== undefined ? opts.allowHosts : parseHostList(process.env.TRADEFORGE_RELAY_HOSTS);
+  const lookup = opts.lookup || dns.lookup;
+  const retry = { ...DEFAULT_RETRY, ...opts.retry };
+  const router = express.Router();
+  const deliveries = new Map(); // `${userId}:${id}` → { id, type, status, attempts, error, updatedAt, expires }
+  const pending = new Set();    // background deliveries
+
+  // Record a new delivery; null when the id was already accepted
+  const claim = (userId, id, type) => {
+    const now = Date.now();
+    for (const [k, d] of deliveries) if (d.expires <= now) deliveries.delete(k);
+    const key = `${userId}:${id}`;
+    if (deliveries.has(key)) return null;
+    const record = { id, type, status: 'pending', attempts: 0, error: null, updatedAt: new Date(now).toISOString(), expires: now + DELIVERY_TTL_MS };
+    deliveries.set(key, record);
+    return record;
+  };
+
+  const send = async (channel, event) => {
+    if (channel.type === 'webhook') return deliverToChannel(channel, event, { fetch: opts.fetch, retry });
+    let attempts = 0;
+    const queue = new RetryQueue({ ...retry, shouldRetry: (err) => err.retryable !== false });
+    const result = await queue.execSafe(() => {
+      attempts++;
+      return mailer.send(emailMessage(channel, event));
+    });
+    return { ...result, attempts };
+  };
+
+  router.use(cors());
+  router.use(express.json({ limit: '256kb' }));
+  router.use(apiKeyAuth(keyStore));
+  if (opts.rateLimit !== false) router.use(rateLimiter({ max: 120, ...opts.rateLimit }));
+
+  // ─── GET /status ─────────────────────────────────────────────
+  router.get('/status', (req, res) => okResponse(res, { email: !!mailer, allowHosts }));
+
+  // ─── POST /deliver ───────────────────────────────────────────
+  router.post('/deliver', asyncRoute(async (req, res) => {
+    const { channel, event } = req.body || {};
+    if (!_isPlainObject(channel) || !_isPlainObject(event) || typeof event.kind !== 'string') {
+      return errorResponse(res, 400, 'VALIDATION_ERROR', 'Body must be { channel, event } with event.kind');
+    }
+    if (channel.type !== 'webhook' && channel.type !== 'email') {
+      return errorResponse(res, 400, 'VALIDATION_ERROR', `Unsupported channel type: ${channel.type}`);
+    }
+    const problems = validateChannel(channel);
+    if (problems.length) {
+      return res.status(400).json({ ok: false, error: { code: 'VALIDATION_ERROR', message: 'Invalid channel', details: problems } });
+    }
+
+    if (channel.type === 'webhook' && (!hostAllowed(channel.url, allowHosts)
+      || (allowHosts.includes('*') && !(await resolvesPublic(channel.url, lookup))))) {
+      return errorResponse(res, 403, 'HOST_NOT_ALLOWED', 'Webhook host is not on the relay allowlist');
+    }
+    if (channel.type === 'email' && !mailer) {
+      return errorResponse(res, 503, 'SMTP_NOT_CONFIGURED', 'Email relay is not configured (TRADEFORGE_SMTP_URL)');
+    }
+
+    const id = String(req.get('idempotency-key') || '').slice(0, MAX_KEY_LENGTH)
+      || 'rly_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    const record = claim(req.userId, id, channel.type);
+    if (!record) {
+      return res.status(202).json({ ok: true, data: { accepted: true, id, duplicate: true } });
+    }
+
+    const job = send(channel, event)
+      .catch((err) => ({ ok: false, attempts: 0, error: err.message }))
+      .then((result) => {
+        if (!result.ok) {
+          console.warn(`[Relay] ${channel.type} delivery failed after ${result.attempts} attempts: ${result.error}`);
+        }
+        Object.assign(record, {
+          status: result.ok ? 'delivered' : 'failed',
+          attempts: result.attempts,
+          error: result.ok ? null : result.error,
+          updatedAt: new Date().toISOString(),
+          expires: Date.now() + DELIVERY_TTL_MS,
+        });
+        opts.onDelivered?.(result, { channel, event, id });
+      })
+      .finally(() => pending.delete(job));
+    pending.add(job);
+
+    return res.status(202).json({ ok: true, data: { accepted: true, id, duplicate: false } });
+  }));
+
+  // ─── GET /deliveries/:id ─────────────────────────────────────
+  router.get('/deliveries/:id', (req, res) => {
+    const record = deliveries.get(`${req.userId}:${req.params.id}`);
+    if (!record) return errorResponse(res, 404, 'NOT_FOUND', 'No delivery with that id');
+    const { expires, ...data } = record;
+    return okResponse(res, data);
+  });
+
+  router.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') return errorResponse(res, 400, 'VALIDATION_ERROR', 'Malformed JSON body');
+    if (err.type === 'entity.too.large') return errorResponse(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body too large');
+    return next(err);
+  });
+  router.use(apiErrorHandler());
+
+  /** Wait for background deliveries (tests, graceful shutdown). */
+  router.flush = async () => {
+    while (pending.size) await Promise.all([...pending]);
+  };
+
+  return router;
+}
+
+export { createRelayRouter, parseHostList, hostAllowed, isPrivateAddress };
+export default createRelayRouter;
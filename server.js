@@ -13,6 +13,7 @@
 //   ✓ Security headers
 //   ✓ Static asset caching (1yr for hashed, no-cache for HTML)
 //   ✓ Health check endpoint
+//   ✓ REST API (/api/v1) and alert delivery relay (/api/relay)
 //   ✓ Graceful shutdown
 //   ✓ Request logging
 //   ✓ Error handling
@@ -101,10 +102,18 @@ app.get('/health', (req, res) => {
   });
 });
 
-// ─── API Routes Placeholder ──────────────────────────────────────
-// Mount your API routes here when ready:
-// import { apiRouter } from './src/api/routes.js';
-// app.use('/api', apiRouter);
+// ─── REST API (/api/v1) ──────────────────────────────────────────
+// Authenticated CRUD for trades, playbooks, notes and trade plans.
+// Keys: TRADEFORGE_API_KEYS="key:userId,…"  Data: TRADEFORGE_DATA_DIR
+const { createApiRouter } = await import('./src/api/apiRoutes.js');
+app.use('/api/v1', createApiRouter());
+
+// ─── Alert Relay (/api/relay) ────────────────────────────────────
+// Server-side webhook/email delivery for alert channels.
+// SMTP: TRADEFORGE_SMTP_URL, TRADEFORGE_SMTP_FROM  Allowlist: TRADEFORGE_RELAY_HOSTS
+const { createRelayRouter } = await import('./src/api/relayRoutes.js');
+const relayRouter = createRelayRouter();
+app.use('/api/relay', relayRouter);
 
 // ═══════════════════════════════════════════════════════════════════
 // Production Mode
@@ -255,6 +264,7 @@ const server = app.listen(PORT, HOST, () => {
   console.log(`  → Mode:    ${mode}`);
   console.log(`  → Local:   \x1b[36mhttp://localhost:${PORT}\x1b[0m`);
   console.log(`  → Network: \x1b[36mhttp://${HOST}:${PORT}\x1b[0m`);
+  console.log(`  → API:     \x1b[36mhttp://localhost:${PORT}/api/v1\x1b[0m`);
   console.log('');
   if (!isProduction) {
     console.log('  \x1b[90mHMR enabled. Edit files and see changes instantly.\x1b[0m');
@@ -265,7 +275,9 @@ const server = app.listen(PORT, HOST, () => {
 // ─── Graceful Shutdown ───────────────────────────────────────────
 function shutdown(signal) {
   console.log(`\n\x1b[33m${signal} received. Shutting down gracefully...\x1b[0m`);
-  server.close(() => {
+  server.close(async () => {
+    // Let accepted alert deliveries finish (bounded by the timeout below)
+    await relayRouter.flush();
     console.log('\x1b[32m✓ Server closed\x1b[0m');
     process.exit(0);
   });
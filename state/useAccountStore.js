@@ -0,0 +1,149 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Account Store
+//
+// Manages trading accounts (evaluation, funded, personal, demo) and
+// the active account scope used by the dashboard, analytics and
+// daily guard.
+//
+// Trades reference accounts by trade.accountId. The built-in default
+// account always exists and owns any trade without an accountId.
+//
+// Persisted to IndexedDB via AppBoot auto-save (settings key 'accounts').
+//
+// Usage:
+//   const { accounts, scope } = useAccountStore.getState();
+//   useAccountStore.getState().addAccount({ name: 'Topstep 50K', type: 'evaluation' });
+//   useAccountStore.getState().setScope(['acct_1', 'acct_2']);
+// ═══════════════════════════════════════════════════════════════════
+
+import { create } from 'zustand';
+import { DEFAULT_ACCOUNT_ID, ACCOUNT_TYPES } from '../engine/Accounts.js';
+
+const DEFAULT_ACCOUNT = {
+  id: DEFAULT_ACCOUNT_ID,
+  name: 'Main Account',
+  type: 'personal',
+  broker: '',
+  startingBalance: 0,
+  createdAt: 0,
+};
+
+const useAccountStore = create((set, get) => ({
+  accounts: [DEFAULT_ACCOUNT],
+  scope: 'all', // 'all' | string[]
+  loaded: false,
+
+  // ─── Account CRUD ───────────────────────────────────────────
+
+  /**
+   * Create a new account.
+   * @param {Object} config - { name, type?, broker?, startingBalance? }
+   * @returns {Object|null} The created account, or null if name is empty
+   */
+  addAccount: (config = {}) => {
+    const name = (config.name || '').trim();
+    if (!name) return null;
+
+    const account = {
+      id: 'acct_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name,
+      type: ACCOUNT_TYPES.includes(config.type) ? config.type : 'personal',
+      broker: config.broker || '',
+      startingBalance: Number(config.startingBalance) || 0,
+      createdAt: Date.now(),
+    };
+
+    set((s) => ({ accounts: [...s.accounts, account] }));
+    return account;
+  },
+
+  /**
+   * Update account metadata.
+   * @param {string} id
+   * @param {Object} updates - { name?, type?, broker?, startingBalance? }
+   */
+  updateAccount: (id, updates = {}) => {
+    const { id: _ignored, ...rest } = updates;
+    if (rest.type && !ACCOUNT_TYPES.includes(rest.type)) delete rest.type;
+    set((s) => ({
+      accounts: s.accounts.map((a) => (a.id === id ? { ...a, ...rest } : a)),
+    }));
+  },
+
+  /**
+   * Delete an account. The default account cannot be deleted.
+   * Callers are responsible for reassigning the account's trades
+   * (see useTradeStore.reassignAccount).
+   * @param {string} id
+   * @returns {boolean} true if deleted
+   */
+  deleteAccount: (id) => {
+    if (id === DEFAULT_ACCOUNT_ID) return false;
+    if (!get().accounts.some((a) => a.id === id)) return false;
+
+    set((s) => {
+      const scope = Array.isArray(s.scope) ? s.scope.filter((x) => x !== id) : s.scope;
+      return {
+        accounts: s.accounts.filter((a) => a.id !== id),
+        scope: Array.isArray(scope) && scope.length === 0 ? 'all' : scope,
+      };
+    });
+    return true;
+  },
+
+  /**
+   * Look up an account by ID.
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  getAccount: (id) => get().accounts.find((a) => a.id === id) || null,
+
+  // ─── Scope ──────────────────────────────────────────────────
+
+  /**
+   * Set the active scope.
+   * @param {'all'|string|string[]} scope
+   */
+  setScope: (scope) => {
+    if (scope === 'all' || scope == null) return set({ scope: 'all' });
+    const ids = (Array.isArray(scope) ? scope : [scope])
+      .filter((id) => get().accounts.some((a) => a.id === id));
+    set({ scope: ids.length ? ids : 'all' });
+  },
+
+  /**
+   * Toggle one account in or out of a multi-account scope.
+   * @param {string} id
+   */
+  toggleScopeAccount: (id) => {
+    const { scope } = get();
+    const current = scope === 'all' ? [] : scope;
+    const next = current.includes(id) ? current.filter((x) => x !== id) : [...current, id];
+    get().setScope(next);
+  },
+
+  // ─── Persistence ────────────────────────────────────────────
+
+  /**
+   * Hydrate from IndexedDB. Always guarantees the default account.
+   * @param {Object} data - { accounts, scope }
+   */
+  hydrate: (data = {}) => {
+    const saved = Array.isArray(data.accounts) ? data.accounts : [];
+    const accounts = saved.some((a) => a.id === DEFAULT_ACCOUNT_ID)
+      ? saved
+      : [DEFAULT_ACCOUNT, ...saved];
+    const scope = Array.isArray(data.scope)
+      ? data.scope.filter((id) => accounts.some((a) => a.id === id))
+      : [];
+    set({ accounts, scope: scope.length ? scope : 'all', loaded: true });
+  },
+
+  toJSON: () => {
+    const { accounts, scope } = get();
+    return { accounts, scope };
+  },
+}));
+
+export { useAccountStore, DEFAULT_ACCOUNT };
+export default useAccountStore;
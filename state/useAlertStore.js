@@ -4,18 +4,32 @@
 // Price alert system: "Alert when AAPL > $200"
 // - Persisted to localStorage (lightweight, no IndexedDB needed)
 // - Checked on every OHLCV data update or WS tick
-// - Triggers: browser notification + in-app toast
+// - Triggers: browser notification + in-app toast, plus any webhook /
+//   email channels in useDeliveryStore
 // - Types: price_above, price_below, price_cross
+// - Composite alerts (type: 'composite'): indicator / drawing / script
+//   conditions joined with AND/OR, evaluated per timeframe by
+//   engine/AlertEngine.js from the bar stream — see AlertConditions.js.
+//   AppBoot runs one engine for the session (startCompositeAlerts).
 //
 // Usage:
 //   import { useAlertStore, checkAlerts } from './useAlertStore.js';
 //   const addAlert = useAlertStore(s => s.addAlert);
 //   addAlert({ symbol: 'AAPL', condition: 'above', price: 200 });
 //   checkAlerts(currentPrices); // call on each tick/candle
+//   addCompositeAlert({ symbol: 'BTCUSDT', timeframe: '15m', conditions: [
+//     { left: { source: 'indicator', id: 'rsi', params: { period: 14 } }, op: 'below', right: 30 },
+//   ] });
 // ═══════════════════════════════════════════════════════════════════
 
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
+import { describeAlert } from '../engine/AlertConditions.js';
+import { alertEvent } from '../engine/AlertDelivery.js';
+import { createAlertEngine } from '../engine/AlertEngine.js';
+import { deliverEvent, localSinkEnabled } from './useDeliveryStore.js';
+import { useDrawingStore } from './useDrawingStore.js';
+import { useScriptStore } from './useScriptStore.js';
 
 const ALERT_KEY = 'tradeforge-alerts';
 
@@ -32,6 +46,25 @@ const ALERT_KEY = 'tradeforge-alerts';
  * @property {string} [note] - optional user note
  */
 
+/**
+ * @typedef {Object} CompositeAlert
+ * @property {string} id
+ * @property {'composite'} type
+ * @property {string} symbol
+ * @property {string} timeframe - e.g. '15m', '1h'
+ * @property {'and'|'or'} logic - how conditions combine
+ * @property {'close'|'intrabar'} evaluate - on bar close or on every update
+ * @property {Object[]} conditions - see AlertConditions.evaluateCondition
+ * @property {boolean} active
+ * @property {boolean} repeating
+ * @property {number|null} lastBarTime - bar the alert last fired on
+ * @property {string|null} triggeredAt
+ * @property {string} createdAt
+ * @property {string} [note]
+ */
+
+const _alertId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
 const useAlertStore = create(
   persist(
     (set, get) => ({
@@ -48,7 +81,7 @@ const useAlertStore = create(
        */
       addAlert: ({ symbol, condition, price, note = '', repeating = false }) => {
         const alert = {
-          id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+          id: _alertId(),
           symbol: (symbol || '').toUpperCase(),
           condition,
           price: Number(price),
@@ -64,6 +97,38 @@ const useAlertStore = create(
         return alert.id;
       },
 
+      /**
+       * Add a composite (indicator / drawing / script) alert.
+       * @param {Object} params
+       * @param {string} params.symbol
+       * @param {string} params.timeframe
+       * @param {Object[]} params.conditions
+       * @param {'and'|'or'} [params.logic='and']
+       * @param {'close'|'intrabar'} [params.evaluate='close']
+       * @param {string} [params.note]
+       * @param {boolean} [params.repeating]
+       * @returns {string} alert id
+       */
+      addCompositeAlert: ({ symbol, timeframe, conditions, logic = 'and', evaluate = 'close', note = '', repeating = false }) => {
+        const alert = {
+          id: _alertId(),
+          type: 'composite',
+          symbol: (symbol || '').toUpperCase(),
+          timeframe,
+          logic,
+          evaluate,
+          conditions,
+          active: true,
+          repeating,
+          lastBarTime: null,
+          triggeredAt: null,
+          createdAt: new Date().toISOString(),
+          note,
+        };
+        set((s) => ({ alerts: [...s.alerts, alert] }));
+        return alert.id;
+      },
+
       /**
        * Remove an alert by ID.
        */
@@ -84,8 +149,10 @@ const useAlertStore = create(
 
       /**
        * Mark an alert as triggered.
+       * @param {string} id
+       * @param {Object} [extra] - extra fields to record (e.g. lastBarTime)
        */
-      triggerAlert: (id) => {
+      triggerAlert: (id, extra = {}) => {
         set((s) => ({
           alerts: s.alerts.map(a => {
             if (a.id !== id) return a;
@@ -93,6 +160,7 @@ const useAlertStore = create(
               ...a,
               active: a.repeating, // re-arm if repeating
               triggeredAt: new Date().toISOString(),
+              ...extra,
             };
           }),
         }));
@@ -152,7 +220,7 @@ export function requestNotificationPermission() {
  * Send a browser notification.
  */
 function sendNotification(title, body) {
-  if (typeof window === 'undefined') return;
+  if (typeof window === 'undefined' || !localSinkEnabled('browser')) return;
   if ('Notification' in window && Notification.permission === 'granted') {
     try {
       new Notification(title, {
@@ -168,8 +236,8 @@ function sendNotification(title, body) {
 /**
  * Dispatch an in-app toast event.
  */
-function dispatchAlertToast(alert, currentPrice) {
-  if (typeof window === 'undefined') return;
+function dispatchAlertToast(alert, currentPrice, message) {
+  if (typeof window === 'undefined' || !localSinkEnabled('toast')) return;
   const condLabel = {
     above: '↑ above',
     below: '↓ below',
@@ -180,7 +248,7 @@ function dispatchAlertToast(alert, currentPrice) {
     detail: {
       alert,
       currentPrice,
-      message: `${alert.symbol} ${condLabel[alert.condition] || alert.condition} $${alert.price.toFixed(2)}`,
+      message: message || `${alert.symbol} ${condLabel[alert.condition] || alert.condition} $${alert.price.toFixed(2)}`,
     },
   }));
 }
@@ -195,7 +263,8 @@ export function checkAlerts(prices) {
   if (!prices || typeof prices !== 'object') return;
 
   const store = useAlertStore.getState();
-  const activeAlerts = store.alerts.filter(a => a.active);
+  // Composite alerts are evaluated by AlertEngine from the bar stream
+  const activeAlerts = store.alerts.filter(a => a.active && a.type !== 'composite');
 
   for (const alert of activeAlerts) {
     const price = prices[alert.symbol];
@@ -230,6 +299,7 @@ export function checkAlerts(prices) {
       const msg = `${alert.symbol} hit $${price.toFixed(2)} (alert: ${alert.condition} $${alert.price.toFixed(2)})`;
       sendNotification(`🔔 ${alert.symbol} Price Alert`, msg);
       dispatchAlertToast(alert, price);
+      deliverEvent(alertEvent(alert, { price, message: msg }));
     }
 
     // Always update last price for cross detection
@@ -248,5 +318,62 @@ export function checkSymbolAlerts(symbol, price) {
   checkAlerts({ [symbol.toUpperCase()]: price });
 }
 
+/**
+ * Record and announce a composite alert trigger.
+ * Pass as AlertEngine's onTrigger.
+ *
+ * @param {CompositeAlert} alert
+ * @param {Object} evaluation - from AlertConditions.evaluateAlert
+ */
+export function fireCompositeAlert(alert, evaluation) {
+  useAlertStore.getState().triggerAlert(alert.id, { lastBarTime: evaluation.barTime });
+  const price = evaluation.price;
+  const msg = `${describeAlert(alert)}${price != null ? ` @ ${price.toFixed(2)}` : ''}`;
+  sendNotification(`🔔 ${alert.symbol} Alert`, msg);
+  dispatchAlertToast(alert, price, `${alert.symbol}: ${msg}`);
+  deliverEvent(alertEvent(alert, { price, message: msg }));
+}
+
+/**
+ * Run composite alerts for the whole session, whatever page is open.
+ * Each alert's symbol/timeframe gets its own feed stream. Drawing
+ * conditions see the main chart's live drawings (useDrawingStore), and
+ * for other symbols the drawings they had when the chart left them.
+ *
+ * @param {Object} feed - DataFeed for alert bars (e.g. createBinanceFeed())
+ * @param {Object} [options]
+ * @param {(symbol: string) => string} [options.resolveSymbol] - Alert symbol → feed symbol
+ * @returns {Function} Stop
+ */
+export function startCompositeAlerts(feed, options = {}) {
+  const lastDrawings = new Map(); // symbol → drawings when the chart switched away
+  const unsubDrawings = useDrawingStore.subscribe((s, prev) => {
+    if (prev.loaded && s.symbol !== prev.symbol) lastDrawings.set(prev.symbol, prev.drawings);
+  });
+
+  const engine = createAlertEngine({
+    feed,
+    getAlerts: () => useAlertStore.getState().alerts,
+    getDrawings: (symbol) => {
+      const key = String(symbol || '').toUpperCase();
+      const live = useDrawingStore.getState();
+      return live.loaded && live.symbol === key ? live.drawings : lastDrawings.get(key) || [];
+    },
+    getScript: (id) => useScriptStore.getState().getScript(id),
+    resolveSymbol: options.resolveSymbol,
+    onTrigger: fireCompositeAlert,
+  });
+  engine.sync();
+  const unsubAlerts = useAlertStore.subscribe((s, prev) => {
+    if (s.alerts !== prev.alerts) engine.sync();
+  });
+
+  return () => {
+    unsubAlerts();
+    unsubDrawings();
+    engine.dispose();
+  };
+}
+
 export { useAlertStore };
 export default useAlertStore;
@@ -0,0 +1,228 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Attachment Store
+//
+// Per-trade image attachments: pasted or dropped screenshots and
+// one-click chart captures (utils/chartExport.js captureChart).
+//
+// Images live as blobs in the StorageService 'attachments' table and
+// are written through immediately (no auto-save). This store keeps
+// only the metadata + thumbnail of each attachment, grouped by trade,
+// so journal rows can render without loading full images.
+//
+// Deleting a trade keeps its attachments until the next launch so the
+// delete can be undone. The trade ids are recorded (settings key
+// 'attachmentsPendingDelete') and only those are pruned at boot.
+//
+// Usage:
+//   await useAttachmentStore.getState().addAttachment(tradeId, file, { source: 'paste' });
+//   await useAttachmentStore.getState().captureChartFor(tradeId);
+//   const blob = await useAttachmentStore.getState().getBlob(id);
+// ═══════════════════════════════════════════════════════════════════
+
+import { create } from 'zustand';
+import { StorageService } from '../data/StorageService.js';
+import { makeThumbnail } from '../utils/attachments.js';
+import { captureChart } from '../utils/chartExport.js';
+
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const SOURCES = ['paste', 'drop', 'file', 'chart'];
+const PENDING_KEY = 'attachmentsPendingDelete';
+
+/** Group metadata rows by trade, oldest first */
+function groupByTrade(rows) {
+  const byTrade = {};
+  for (const r of [...rows].sort((a, b) => a.createdAt - b.createdAt)) {
+    if (!byTrade[r.tradeId]) byTrade[r.tradeId] = [];
+    byTrade[r.tradeId].push(r);
+  }
+  return byTrade;
+}
+
+const useAttachmentStore = create((set, get) => ({
+  byTrade: {}, // tradeId → [{ id, tradeId, name, type, size, source, createdAt, thumb }]
+  pendingDelete: [], // ids of deleted trades whose attachments go at next launch
+  loaded: false,
+
+  /**
+   * Attach an image to a trade.
+   * @param {string} tradeId
+   * @param {Blob} blob - Image blob or File
+   * @param {Object} [opts] - { source: 'paste'|'drop'|'file'|'chart', name }
+   * @returns {Promise<{ ok: boolean, data?: Object, error?: string }>}
+   */
+  addAttachment: async (tradeId, blob, opts = {}) => {
+    if (!tradeId) return { ok: false, error: 'No trade' };
+    if (!blob?.type?.startsWith('image/')) return { ok: false, error: 'Only images can be attached' };
+    if (blob.size > MAX_ATTACHMENT_BYTES) return { ok: false, error: 'Image is larger than 10 MB' };
+
+    const thumb = await makeThumbnail(blob);
+    const meta = {
+      id: 'att_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      tradeId,
+      name: opts.name || blob.name || 'image',
+      type: blob.type,
+      size: blob.size + (thumb?.size || 0),
+      source: SOURCES.includes(opts.source) ? opts.source : 'file',
+      createdAt: Date.now(),
+      thumb,
+    };
+
+    const res = await StorageService.attachments.put({ ...meta, blob });
+    if (!res.ok) return res;
+
+    set((s) => ({ byTrade: { ...s.byTrade, [tradeId]: [...(s.byTrade[tradeId] || []), meta] } }));
+    return { ok: true, data: meta };
+  },
+
+  /**
+   * Capture the mounted chart and attach it to a trade.
+   * @param {string} tradeId
+   * @param {Object} [annotations] - P&L banner, see captureChart()
+   * @returns {Promise<{ ok: boolean, data?: Object, error?: string }>}
+   */
+  captureChartFor: async (tradeId, annotations) => {
+    const shot = await captureChart(annotations ? { annotations } : {});
+    if (!shot) return { ok: false, error: 'No chart to capture' };
+    const name = `${shot.symbol || 'chart'}-${shot.tf || ''}-${new Date().toISOString().slice(0, 16)}.png`;
+    return get().addAttachment(tradeId, shot.blob, { source: 'chart', name });
+  },
+
+  /**
+   * Delete one attachment.
+   * @param {string} id
+   */
+  removeAttachment: async (id) => {
+    const res = await StorageService.attachments.delete(id);
+    if (!res.ok) return res;
+    set((s) => {
+      const byTrade = {};
+      for (const [tradeId, list] of Object.entries(s.byTrade)) {
+        const kept = list.filter((a) => a.id !== id);
+        if (kept.length) byTrade[tradeId] = kept;
+      }
+      return { byTrade };
+    });
+    return { ok: true };
+  },
+
+  /**
+   * Delete every attachment of a trade (e.g. when the trade is deleted).
+   * @param {string} tradeId
+   */
+  removeForTrade: async (tradeId) => {
+    const res = await StorageService.attachments.deleteForTrade(tradeId);
+    set((s) => {
+      const { [tradeId]: _removed, ...byTrade } = s.byTrade;
+      return { byTrade };
+    });
+    return res;
+  },
+
+  /**
+   * Load the full image of an attachment.
+   * @param {string} id
+   * @returns {Promise<Blob|null>}
+   */
+  getBlob: async (id) => {
+    const res = await StorageService.attachments.get(id);
+    return res.ok ? res.data?.blob || null : null;
+  },
+
+  /**
+   * Attachments of a trade.
+   * @param {string} tradeId
+   * @returns {Object[]}
+   */
+  forTrade: (tradeId) => get().byTrade[tradeId] || [],
+
+  // ─── Persistence ────────────────────────────────────────────
+
+  /**
+   * Hydrate from StorageService.attachments.list().
+   * @param {Object[]} rows - Metadata rows (no full images)
+   * @param {string[]} [pendingDelete] - Saved 'attachmentsPendingDelete' ids
+   */
+  hydrate: (rows = [], pendingDelete = []) => {
+    set({
+      byTrade: groupByTrade(Array.isArray(rows) ? rows : []),
+      pendingDelete: Array.isArray(pendingDelete) ? pendingDelete : [],
+      loaded: true,
+    });
+  },
+
+  /**
+   * Attachments encoded for a JSON backup (see exportJSON opts.attachments).
+   * @param {string[]} [tradeIds] - Only these trades
+   * @returns {Promise<Object[]>}
+   */
+  exportBackup: async (tradeIds) => {
+    const res = await StorageService.attachments.exportAll(tradeIds);
+    return res.data || [];
+  },
+
+  /**
+   * Restore attachments from a JSON backup and reload the store.
+   * @param {Object[]} records - importFile() result.attachments
+   * @returns {Promise<{ ok: boolean, data?: number, error?: string }>}
+   */
+  importBackup: async (records) => {
+    if (!records?.length) return { ok: true, data: 0 };
+    const res = await StorageService.attachments.importAll(records);
+    const list = await StorageService.attachments.list();
+    if (list.ok) get().hydrate(list.data);
+    return res;
+  },
+
+  // ─── Deleted trades ─────────────────────────────────────────
+
+  /**
+   * Record trades that were deleted, so their attachments are pruned
+   * at the next launch. Trades without attachments are ignored.
+   * @param {string[]} tradeIds
+   */
+  markDeleted: (tradeIds) => {
+    const { byTrade, pendingDelete } = get();
+    const add = tradeIds.filter((id) => byTrade[id] && !pendingDelete.includes(id));
+    if (!add.length) return;
+    const next = [...pendingDelete, ...add];
+    set({ pendingDelete: next });
+    StorageService.settings.set(PENDING_KEY, next);
+  },
+
+  /**
+   * Forget recorded deletes for trades that came back (undo, re-import).
+   * @param {string[]} tradeIds
+   */
+  unmarkDeleted: (tradeIds) => {
+    const { pendingDelete } = get();
+    const back = new Set(tradeIds);
+    const next = pendingDelete.filter((id) => !back.has(id));
+    if (next.length === pendingDelete.length) return;
+    set({ pendingDelete: next });
+    StorageService.settings.set(PENDING_KEY, next);
+  },
+
+  /**
+   * Delete the attachments of recorded deleted trades. Trades that exist
+   * again are skipped; nothing else is touched.
+   * @param {string[]} tradeIds - All current trade IDs
+   * @returns {Promise<number>} Attachments removed
+   */
+  prunePendingDeletes: async (tradeIds) => {
+    const { pendingDelete } = get();
+    if (!pendingDelete.length) return 0;
+    const keep = new Set(tradeIds);
+    let removed = 0;
+    for (const tradeId of pendingDelete) {
+      if (keep.has(tradeId)) continue;
+      const res = await get().removeForTrade(tradeId);
+      removed += res.data || 0;
+    }
+    set({ pendingDelete: [] });
+    await StorageService.settings.set(PENDING_KEY, []);
+    return removed;
+  },
+}));
+
+export { useAttachmentStore, MAX_ATTACHMENT_BYTES };
+export default useAttachmentStore;
@@ -8,6 +8,7 @@
 //   - Sign out
 //   - Token access for API calls
 //   - Auth state change listeners
+//   - Plan features (/api/billing/status) for the signed-in user
 //
 // Usage:
 //   const user = useAuthStore(s => s.user);
@@ -25,6 +26,7 @@ const useAuthStore = create((set, get) => ({
   error: null,
   provider: 'local', // 'supabase' | 'clerk' | 'local'
   isAuthenticated: false,
+  features: null, // PLAN_FEATURES[plan] from /api/billing/status; null = not loaded / local
 
   // ─── Initialize ─────────────────────────────────────────────
   // Call once on app startup (in App.jsx useEffect)
@@ -37,6 +39,7 @@ const useAuthStore = create((set, get) => ({
       const user = await provider.getUser();
       if (user) {
         set({ user, isAuthenticated: true, loading: false, error: null });
+        get().loadFeatures();
       } else {
         set({ user: null, isAuthenticated: false, loading: false });
       }
@@ -46,8 +49,9 @@ const useAuthStore = create((set, get) => ({
         if (event === 'SIGNED_IN' || event === 'TOKEN_REFRESHED') {
           const updatedUser = await provider.getUser();
           set({ user: updatedUser, isAuthenticated: !!updatedUser, error: null });
+          if (event === 'SIGNED_IN') get().loadFeatures();
         } else if (event === 'SIGNED_OUT') {
-          set({ user: null, isAuthenticated: false });
+          set({ user: null, isAuthenticated: false, features: null });
         }
       });
     } catch (err) {
@@ -99,7 +103,7 @@ const useAuthStore = create((set, get) => ({
     try {
       await provider.signOut();
     } catch { /* ignore sign out errors */ }
-    set({ user: null, isAuthenticated: false, error: null });
+    set({ user: null, isAuthenticated: false, error: null, features: null });
   },
 
   // ─── Token Access ───────────────────────────────────────────
@@ -109,6 +113,24 @@ const useAuthStore = create((set, get) => ({
     return provider.getToken();
   },
 
+  // ─── Plan Features ─────────────────────────────────────────
+  // Limits of the user's plan (maxCharts, maxTrades, …). Local mode
+  // has no billing server and keeps the free defaults.
+  loadFeatures: async () => {
+    try {
+      const token = await get().getToken();
+      if (!token || token === 'local-token') return;
+      const resp = await fetch('/api/billing/status', {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      if (!resp.ok) throw new Error(`Billing status failed: ${resp.status}`);
+      const { features } = await resp.json();
+      set({ features: features || null });
+    } catch (err) {
+      console.warn('[Auth] Plan features unavailable:', err.message);
+    }
+  },
+
   // ─── Password Reset ────────────────────────────────────────
   resetPassword: async (email) => {
     const provider = getAuthProvider();
@@ -4,19 +4,39 @@
 //
 // Changes from v10:
 //   - chartType values match engine: 'candlestick'|'hollow'|'heikinashi'|'ohlc'|'line'|'area'|'baseline'
-//   - indicators use registry format: { indicatorId, params, color, visible }
+//     plus non-time-based 'renko'|'range'|'kagi'|'pnf'
+//   - indicators use registry format: { indicatorId, params, color, visible, timeframe? }
+//     (timeframe = source timeframe for multi-timeframe indicators)
 //   - drawings managed by DrawingEngine (removed from store)
 //   - added: theme sync, scaleMode, volumeRatio
 //   - backward compat: old indicator format {type, params, color} still works
+//   - multi-chart layouts: layout id + panes (own symbol/tf/indicators),
+//     symbol link groups and interval/crosshair/time-range links.
+//     quadMode stays as the "more than one pane" flag for old callers.
 // ═══════════════════════════════════════════════════════════════════
 
 import { create } from 'zustand';
+import {
+  DEFAULT_PANE_LINKS,
+  DEFAULT_MAX_CHARTS,
+  createPane,
+  resizePanes,
+  applyPaneUpdate,
+  getLayout,
+  layoutPaneCount,
+} from '../engine/ChartLayouts.js';
+import { ROLL_RULES, ADJUSTMENTS } from '../engine/ContinuousFutures.js';
+
+/** New panes copy the main chart's timeframe, type and indicators */
+function paneTemplate(s) {
+  return { tf: s.tf, chartType: s.chartType, indicators: s.indicators };
+}
 
 const useChartStore = create((set, get) => ({
   // ─── Core ──────────────────────────────────────────────────
   symbol: 'BTC',
   tf: '1h',
-  chartType: 'candlestick', // 'candlestick'|'hollow'|'heikinashi'|'ohlc'|'line'|'area'|'baseline'
+  chartType: 'candlestick', // 'candlestick'|'hollow'|'heikinashi'|'ohlc'|'line'|'area'|'baseline'|'renko'|'range'|'kagi'|'pnf'
   scaleMode: 'linear',      // 'linear'|'log'|'percentage'
   logScale: false,           // Legacy compat — synced with scaleMode
 
@@ -25,6 +45,19 @@ const useChartStore = create((set, get) => ({
   source: null,
   loading: false,
 
+  // ─── Continuous Futures ────────────────────────────────────
+  // How 'ES'/'NQ' charts stitch imported contracts (ContinuousFutures.js),
+  // and the roll segments of the loaded one for mapping contract trades.
+  // Persisted by AppBoot (settings key 'continuousFutures').
+  continuous: { roll: 'calendar', adjust: 'ratio' },
+  contractRolls: null,
+
+  // ─── Higher-Timeframe Series ───────────────────────────────
+  // { [tf]: bars } for the loaded symbol, fetched by the main chart for
+  // multi-timeframe indicators and script security() calls.
+  series: {},
+  seriesRequests: [],       // Timeframes scripts have asked for
+
   // ─── Indicators ────────────────────────────────────────────
   // Format: { indicatorId: string, params: {}, color?: string, visible: boolean }
   // Also accepts legacy: { type: string, params: {}, color: string }
@@ -41,14 +74,22 @@ const useChartStore = create((set, get) => ({
   selectedDrawingId: null,
 
   // ─── Multi-Chart ───────────────────────────────────────────
-  quadMode: false,
+  // See engine/ChartLayouts.js. '1x1' shows the main chart; any other
+  // layout shows `panes`, each with its own symbol/tf/indicators.
+  quadMode: false,          // true while a multi-pane layout is shown
   quadSymbols: ['BTC', 'ETH', 'SOL', 'BNB'],
+  layout: '1x1',
+  panes: [],
+  paneLinks: { ...DEFAULT_PANE_LINKS },
+  activePaneId: null,
+  maxCharts: DEFAULT_MAX_CHARTS, // PLAN_FEATURES[plan].maxCharts (/api/billing/status)
 
   // ─── Replay ────────────────────────────────────────────────
   replayMode: false,
   replayIdx: 0,
   replayPlaying: false,
   backtestTrades: [],
+  backtestResult: null, // { scriptId, trades, equity, analytics, error, ranAt } — see Backtester.js
 
   // ─── Comparison ────────────────────────────────────────────
   comparisonSymbol: null,
@@ -97,6 +138,7 @@ const useChartStore = create((set, get) => ({
       params: ind.params || {},
       color: ind.color,
       visible: ind.visible !== false,
+      timeframe: ind.timeframe || null,
     };
     set((s) => ({ indicators: [...s.indicators, normalized] }));
   },
@@ -119,8 +161,20 @@ const useChartStore = create((set, get) => ({
   setIndicators: (indicators) => set({ indicators: indicators || [] }),
 
   // ─── Data ──────────────────────────────────────────────────
-  setData: (data, source) => set({ data, source, loading: false }),
+  setData: (data, source) => set({ data, source, loading: false, ...(source !== 'continuous' && { contractRolls: null }) }),
+  setContractRolls: (rolls) => set({ contractRolls: rolls || null }),
+  setContinuous: (opts) => set((s) => ({
+    continuous: {
+      roll: ROLL_RULES.includes(opts?.roll) ? opts.roll : s.continuous.roll,
+      adjust: ADJUSTMENTS.includes(opts?.adjust) ? opts.adjust : s.continuous.adjust,
+    },
+  })),
   setLoading: (loading) => set({ loading }),
+  setSeries: (series) => set({ series: series || {} }),
+  requestSeries: (timeframes) => set((s) => {
+    const add = (timeframes || []).filter((tf) => !s.seriesRequests.includes(tf));
+    return add.length ? { seriesRequests: [...s.seriesRequests, ...add] } : {};
+  }),
 
   // ─── Drawing Tools ─────────────────────────────────────────
   setActiveTool: (tool) => set({ activeTool: tool }),
@@ -128,8 +182,83 @@ const useChartStore = create((set, get) => ({
   setSelectedDrawing: (id) => set({ selectedDrawingId: id }),
 
   // ─── Multi-Chart ───────────────────────────────────────────
-  toggleQuadMode: () => set((s) => ({ quadMode: !s.quadMode })),
-  setQuadSymbols: (syms) => set({ quadSymbols: syms }),
+  toggleQuadMode: () => {
+    const s = get();
+    if (s.quadMode) return get().setLayout('1x1');
+    // Fresh quad view opens on quadSymbols; otherwise keep the panes
+    if (!s.panes.length) {
+      set({ panes: s.quadSymbols.map((symbol) => createPane({ ...paneTemplate(s), symbol })) });
+    }
+    return get().setLayout('2x2');
+  },
+
+  setQuadSymbols: (syms) => set((s) => ({
+    quadSymbols: syms,
+    panes: s.panes.map((p, i) => (syms[i] ? { ...p, symbol: syms[i].toUpperCase() } : p)),
+  })),
+
+  /**
+   * Switch layout. Panes are added or dropped to fit; existing panes
+   * keep their settings. Layouts above maxCharts are refused.
+   * @param {string} id - Layout id from CHART_LAYOUTS
+   * @returns {boolean} Whether the layout was applied
+   */
+  setLayout: (id) => {
+    const s = get();
+    const count = layoutPaneCount(id);
+    if (!count || count > s.maxCharts) return false;
+    if (count === 1) {
+      set({ layout: '1x1', quadMode: false });
+      return true;
+    }
+    const seed = s.panes.length ? s.panes : [createPane({ ...paneTemplate(s), symbol: s.symbol })];
+    const panes = resizePanes(seed, count, paneTemplate(s));
+    set({
+      layout: id,
+      quadMode: true,
+      panes,
+      activePaneId: panes.some((p) => p.id === s.activePaneId) ? s.activePaneId : panes[0].id,
+    });
+    return true;
+  },
+
+  /** Edit one pane; linked panes follow (symbol group, interval link) */
+  updatePane: (paneId, patch) =>
+    set((s) => ({ panes: applyPaneUpdate(s.panes, paneId, patch, s.paneLinks) })),
+
+  setActivePane: (paneId) => set({ activePaneId: paneId }),
+
+  /**
+   * @param {'interval'|'crosshair'|'timeRange'} key
+   * @param {boolean} value
+   */
+  setPaneLink: (key, value) => set((s) => ({ paneLinks: { ...s.paneLinks, [key]: !!value } })),
+
+  /** Plan limit; a layout that no longer fits falls back to a single chart */
+  setMaxCharts: (n) => {
+    const maxCharts = Math.max(1, n || DEFAULT_MAX_CHARTS);
+    set({ maxCharts });
+    if (layoutPaneCount(get().layout) > maxCharts) get().setLayout('1x1');
+  },
+
+  /**
+   * Restore a saved layout (useWorkspaceStore). Unknown or over-limit
+   * layouts fall back to a single chart.
+   * @param {{ layout: string, panes?: Object[], links?: Object }} saved
+   */
+  restoreLayout: (saved) => {
+    if (!saved) return;
+    const s = get();
+    const count = layoutPaneCount(saved.layout);
+    const panes = (saved.panes || []).slice(0, Math.min(count, s.maxCharts)).map((p) => createPane(p));
+    set({
+      panes,
+      paneLinks: { ...DEFAULT_PANE_LINKS, ...saved.links },
+      activePaneId: panes[0]?.id || null,
+    });
+    if (!getLayout(saved.layout) || !get().setLayout(saved.layout)) get().setLayout('1x1');
+  },
+
   toggleOrderFlow: () => set((s) => ({ orderFlow: !s.orderFlow })),
 
   // ─── Replay ────────────────────────────────────────────────
@@ -137,7 +266,8 @@ const useChartStore = create((set, get) => ({
   setReplayIdx: (idx) => set({ replayIdx: idx }),
   setReplayPlaying: (v) => set({ replayPlaying: v }),
   addBacktestTrade: (t) => set((s) => ({ backtestTrades: [...s.backtestTrades, t] })),
-  clearBacktestTrades: () => set({ backtestTrades: [] }),
+  clearBacktestTrades: () => set({ backtestTrades: [], backtestResult: null }),
+  setBacktestResult: (result) => set({ backtestResult: result, backtestTrades: result?.trades || [] }),
 
   // ─── Intelligence ──────────────────────────────────────────
   setIntelligence: (key, val) =>
@@ -76,6 +76,22 @@ export const useChartTradeStore = create(
         tradeStep: 'ready',
       })),
 
+      /**
+       * Load entry/SL/TP from a long or short position drawing
+       * (DrawingModel positionLevels) and open the position sizer.
+       * @param {{ side: 'long'|'short', entry: number, stop: number, target: number }} levels
+       * @param {number} [barIdx]
+       */
+      loadPosition: ({ side, entry, stop, target }, barIdx = null) => set({
+        tradeMode: true,
+        tradeStep: 'ready',
+        tradeSide: side,
+        pendingEntry: { price: entry, barIdx },
+        pendingSL: { price: stop, barIdx },
+        pendingTP: { price: target, barIdx },
+        showPositionSizer: true,
+      }),
+
       updateLevel: (level, price) => set((s) => {
         if (level === 'entry') return { pendingEntry: { ...s.pendingEntry, price } };
         if (level === 'sl') return { pendingSL: { ...s.pendingSL, price } };
@@ -7,6 +7,7 @@
 //   - Toast notification fired
 //   - Trade form shows confirmation dialog
 //   - Trade entry NOT blocked (soft lock, not hard lock)
+//   - Lockout sent to webhook / email channels (useDeliveryStore)
 //
 // The guard is purely reactive — it watches trade data and settings,
 // never blocks operations, only warns and logs.
@@ -16,6 +17,9 @@
 //   'warning' — P&L approaching limit (>75% consumed)
 //   'locked'  — Daily loss limit breached
 //
+// The guard can be scoped to a subset of accounts (e.g. only the
+// funded account whose daily limit actually matters).
+//
 // Usage:
 //   const { status, todayPnl, remaining, pctUsed } = useDailyGuard();
 //   // status === 'locked' → show banner
@@ -23,15 +27,20 @@
 // ═══════════════════════════════════════════════════════════════════
 
 import { create } from 'zustand';
+import { scopeTrades } from '../engine/Accounts.js';
+import { guardEvent } from '../engine/AlertDelivery.js';
+import { deliverEvent } from './useDeliveryStore.js';
 
 // ─── Pure computation (no store deps) ───────────────────────────
 
 /**
  * Calculate today's realized P&L from trades.
  * @param {Array} trades - All trades
+ * @param {null|string|string[]} [accounts] - Account scope (default: all)
  * @returns {{ todayPnl: number, todayCount: number, todayWins: number, todayLosses: number }}
  */
-function computeTodayPnl(trades) {
+function computeTodayPnl(trades, accounts = null) {
+  trades = scopeTrades(trades, accounts);
   const todayKey = new Date().toISOString().slice(0, 10);
   let todayPnl = 0;
   let todayCount = 0;
@@ -110,7 +119,7 @@ function fmtMoney(v) {
 
 // ─── Guard Store ────────────────────────────────────────────────
 
-const useDailyGuardStore = create((set) => ({
+const useDailyGuardStore = create((set, get) => ({
   status: 'ok',
   todayPnl: 0,
   todayCount: 0,
@@ -119,6 +128,7 @@ const useDailyGuardStore = create((set) => ({
   remaining: Infinity,
   pctUsed: 0,
   dailyLossLimit: 0,
+  accounts: 'all',
   lastEvaluated: 0,
   overrideActive: false, // user explicitly dismissed the lock for this session
 
@@ -126,17 +136,26 @@ const useDailyGuardStore = create((set) => ({
    * Recalculate guard state from trades + settings.
    * @param {Array} trades
    * @param {number} dailyLossLimit
+   * @param {'all'|string|string[]} [accounts='all'] - Account scope
    */
-  evaluate: (trades, dailyLossLimit) => {
-    const today = computeTodayPnl(trades);
+  evaluate: (trades, dailyLossLimit, accounts = 'all') => {
+    const today = computeTodayPnl(trades, accounts);
     const guard = evaluateGuard(today.todayPnl, dailyLossLimit);
+    const wasLocked = get().status === 'locked';
 
     set({
       ...today,
       ...guard,
       dailyLossLimit,
+      accounts,
       lastEvaluated: Date.now(),
     });
+
+    // Announce the lockout once, when it happens
+    if (guard.status === 'locked' && !wasLocked) {
+      const { message } = formatGuardMessage({ ...guard, todayPnl: today.todayPnl, dailyLossLimit });
+      deliverEvent(guardEvent({ ...guard, todayPnl: today.todayPnl, dailyLossLimit }, message));
+    }
   },
 
   /** User explicitly overrides the lockout for this session. */
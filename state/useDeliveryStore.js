@@ -0,0 +1,192 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Delivery Store
+//
+// Where alert triggers and DailyGuard lockouts get sent:
+//   - local sinks: in-app toast + browser Notification (toggles)
+//   - channels: webhooks, server-relayed webhooks, email
+//     (see engine/AlertDelivery.js)
+//
+// Channels + relay settings persist to localStorage. Every remote
+// delivery is recorded in useNotificationLog (category 'delivery')
+// and the channel's lastResult. Relay and email deliveries are logged
+// when the relay reports how they ended (AlertDelivery.relayOutcome),
+// not when it accepts them.
+//
+// Usage:
+//   import { deliverEvent } from './useDeliveryStore.js';
+//   deliverEvent(alertEvent(alert, { price, message }));
+// ═══════════════════════════════════════════════════════════════════
+
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { notificationLog } from './useNotificationLog.js';
+import {
+  DEFAULT_WEBHOOK_TEMPLATE,
+  DEFAULT_EMAIL_SUBJECT,
+  DEFAULT_RELAY_URL,
+  EVENT_KINDS,
+  dispatchEvent,
+  relayOutcome,
+} from '../engine/AlertDelivery.js';
+
+const DELIVERY_KEY = 'tradeforge-delivery';
+
+const TYPE_LABELS = { webhook: 'Webhook', relay: 'Relay webhook', email: 'Email' };
+
+/**
+ * @typedef {Object} DeliveryChannel
+ * @property {string} id
+ * @property {'webhook'|'relay'|'email'} type
+ * @property {string} name
+ * @property {boolean} enabled
+ * @property {string[]} events - 'alert' | 'dailyguard'
+ * @property {string} [url] - webhook / relay target
+ * @property {Object} [headers] - extra request headers
+ * @property {string} [template] - JSON body template
+ * @property {string} [to] - email recipients, comma-separated
+ * @property {string} [subject] - email subject template
+ * @property {Object|null} lastResult - { ok, at, attempts, error?, pending? }
+ */
+
+/** Record a delivery's result on its channel and in the notification log */
+function _record(channel, event, result, via = '') {
+  useDeliveryStore.getState().updateChannel(channel.id, {
+    lastResult: { ok: result.ok, at: new Date().toISOString(), attempts: result.attempts, error: result.error || null },
+  });
+  const tries = result.attempts > 1 ? ` after ${result.attempts} attempts` : '';
+  notificationLog.push({
+    type: result.ok ? 'success' : 'error',
+    category: 'delivery',
+    message: result.ok
+      ? `${channel.name}: delivered ${event.kind} "${event.title}"${via}${tries}`
+      : `${channel.name}: delivery failed${via}${tries} — ${result.error}`,
+    meta: { channelId: channel.id, kind: event.kind, attempts: result.attempts, status: result.status ?? null },
+  });
+}
+
+/** Follow a delivery the relay accepted until it reports the outcome */
+async function _followRelay(channel, event, deliveryId) {
+  const { relayUrl, relayKey } = useDeliveryStore.getState();
+  useDeliveryStore.getState().updateChannel(channel.id, {
+    lastResult: { ok: true, pending: true, at: new Date().toISOString(), attempts: 0, error: null },
+  });
+  const outcome = await relayOutcome(deliveryId, { relayUrl, relayKey });
+  if (outcome.ok === null) {
+    notificationLog.push({
+      type: 'warning',
+      category: 'delivery',
+      message: `${channel.name}: relay accepted ${event.kind} "${event.title}" but hasn't reported the outcome yet`,
+      meta: { channelId: channel.id, kind: event.kind, deliveryId },
+    });
+    return;
+  }
+  _record(channel, event, outcome, ' via relay');
+}
+
+const useDeliveryStore = create(
+  persist(
+    (set, get) => ({
+      channels: [],
+      localSinks: { toast: true, browser: true },
+      relayUrl: DEFAULT_RELAY_URL,
+      relayKey: '',
+
+      /**
+       * Add a channel with defaults for its type.
+       * @param {Partial<DeliveryChannel>} channel
+       * @returns {string} channel id
+       */
+      addChannel: (channel) => {
+        const type = channel.type || 'webhook';
+        const record = {
+          id: 'ch_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+          type,
+          name: channel.name || TYPE_LABELS[type],
+          enabled: true,
+          events: [...EVENT_KINDS],
+          ...(type === 'email'
+            ? { to: '', subject: DEFAULT_EMAIL_SUBJECT }
+            : { url: '', headers: {}, template: DEFAULT_WEBHOOK_TEMPLATE }),
+          ...channel,
+          lastResult: null,
+        };
+        set((s) => ({ channels: [...s.channels, record] }));
+        return record.id;
+      },
+
+      updateChannel: (id, patch) => {
+        set((s) => ({ channels: s.channels.map((c) => (c.id === id ? { ...c, ...patch } : c)) }));
+      },
+
+      removeChannel: (id) => {
+        set((s) => ({ channels: s.channels.filter((c) => c.id !== id) }));
+      },
+
+      setLocalSink: (sink, enabled) => {
+        set((s) => ({ localSinks: { ...s.localSinks, [sink]: enabled } }));
+      },
+
+      setRelay: ({ relayUrl, relayKey }) => {
+        set((s) => ({
+          relayUrl: relayUrl ?? s.relayUrl,
+          relayKey: relayKey ?? s.relayKey,
+        }));
+      },
+
+      /**
+       * Send an event to all subscribed channels.
+       * @param {Object} event - from AlertDelivery.alertEvent / guardEvent
+       * @param {Object} [opts]
+       * @param {string[]} [opts.channelIds] - Limit to these channels (e.g. a test send)
+       * @returns {Promise<Object[]>} Delivery results
+       */
+      deliver: async (event, { channelIds } = {}) => {
+        const { channels, relayUrl, relayKey } = get();
+        const targets = channelIds ? channels.filter((c) => channelIds.includes(c.id)) : channels;
+        if (!targets.length) return [];
+
+        return dispatchEvent(targets, event, {
+          relayUrl,
+          relayKey,
+          onResult: (channel, result) => {
+            if (result.ok && result.deliveryId) {
+              _followRelay(channel, event, result.deliveryId).catch((err) => {
+                notificationLog.push({ type: 'error', category: 'delivery', message: `${channel.name}: relay status error — ${err.message}` });
+              });
+            } else {
+              _record(channel, event, result);
+            }
+          },
+        });
+      },
+    }),
+    {
+      name: DELIVERY_KEY,
+    }
+  )
+);
+
+/**
+ * Deliver an event from non-React code (alert checks, DailyGuard).
+ * Never throws — failures land in the notification log.
+ * @param {Object} event
+ * @returns {Promise<Object[]>}
+ */
+export function deliverEvent(event) {
+  return useDeliveryStore.getState().deliver(event).catch((err) => {
+    notificationLog.push({ type: 'error', category: 'delivery', message: `Delivery error: ${err.message}` });
+    return [];
+  });
+}
+
+/**
+ * Whether a local sink ('toast' | 'browser') is enabled.
+ * @param {string} sink
+ * @returns {boolean}
+ */
+export function localSinkEnabled(sink) {
+  return useDeliveryStore.getState().localSinks[sink] !== false;
+}
+
+export { useDeliveryStore, TYPE_LABELS };
+export default useDeliveryStore;
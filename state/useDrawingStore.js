@@ -0,0 +1,109 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Drawing Store (Zustand)
+//
+// Drawings of the main chart's symbol. AppBoot loads them from
+// IndexedDB whenever useChartStore.symbol changes and auto-saves
+// edits per symbol (StorageService.drawings).
+//
+// The DrawingEngine stays the source of truth while editing:
+// bindDrawingEngine() pushes loaded drawings into it, keeps its
+// timeframe and tool in sync with useChartStore, and routes the
+// toolbar actions below to it; the engine's onChange feeds setDrawings().
+// ═══════════════════════════════════════════════════════════════════
+
+import { create } from 'zustand';
+import { useChartStore } from './useChartStore.js';
+
+/** Engine of the main chart (set by bindDrawingEngine) */
+let boundEngine = null;
+
+/** Toolbar view of the selected drawing */
+function selectionOf(drawings) {
+  const d = drawings.find((x) => x.state === 'selected');
+  return d ? { id: d.id, type: d.type, color: d.style?.color, visibility: d.visibility } : null;
+}
+
+const useDrawingStore = create((set, get) => ({
+  symbol: null,
+  /** @type {import('../chartEngine/tools/DrawingModel.js').Drawing[]} */
+  drawings: [],
+  loaded: false,
+  /** @type {{id: string, type: string, color: string, visibility: Object}|null} */
+  selected: null,
+  color: '#2962FF', // Color for new drawings
+
+  /** Switch symbol; drawings stay empty until hydrate() */
+  beginLoad: (symbol) => set({ symbol, drawings: [], loaded: false, selected: null }),
+
+  hydrate: (symbol, drawings = []) => set({ symbol, drawings, loaded: true, selected: null }),
+
+  /**
+   * Replace the current symbol's drawings (DrawingEngine onChange).
+   * Ignored while loading so an engine reset can't wipe saved drawings.
+   */
+  setDrawings: (drawings) => {
+    if (!get().loaded) return;
+    const list = drawings || [];
+    set({ drawings: list.filter((d) => d.state !== 'creating'), selected: selectionOf(list) });
+  },
+
+  // ─── Toolbar actions (no-ops without a bound engine) ──────────
+
+  /** Color for new drawings; also recolors the selected one */
+  setColor: (color) => {
+    set({ color });
+    const { selected } = get();
+    if (boundEngine && selected) boundEngine.updateStyle(selected.id, { color });
+  },
+
+  /** @param {import('../chartEngine/tools/DrawingModel.js').VisibilityRule} rule */
+  setSelectedVisibility: (rule) => {
+    const { selected } = get();
+    if (boundEngine && selected) boundEngine.setVisibility(selected.id, rule);
+  },
+
+  deleteSelected: () => {
+    const { selected } = get();
+    if (boundEngine && selected) boundEngine.removeDrawing(selected.id);
+  },
+
+  clearAll: () => {
+    if (boundEngine) boundEngine.clearAll();
+  },
+}));
+
+/**
+ * Keep a DrawingEngine in step with the store and the chart: loaded
+ * drawings, timeframe, and useChartStore.activeTool (set by the
+ * toolbar; cleared again once the engine stops creating). Create the
+ * engine with
+ *   onChange: (d) => useDrawingStore.getState().setDrawings(d)
+ *   onStateChange: (s) => s !== 'creating' && useChartStore.getState().setActiveTool(null)
+ *
+ * @param {Object} engine - DrawingEngine instance
+ * @returns {() => void} Unbind
+ */
+export function bindDrawingEngine(engine) {
+  const { drawings, loaded } = useDrawingStore.getState();
+  boundEngine = engine;
+  engine.setTimeframe(useChartStore.getState().tf);
+  if (loaded) engine.loadDrawings(drawings);
+
+  const unsubDrawings = useDrawingStore.subscribe((s, prev) => {
+    if (s.symbol !== prev.symbol || s.loaded !== prev.loaded) engine.loadDrawings(s.drawings);
+  });
+  const unsubChart = useChartStore.subscribe((s, prev) => {
+    if (s.tf !== prev.tf) engine.setTimeframe(s.tf);
+    if (s.activeTool === prev.activeTool || s.activeTool === engine.activeTool) return;
+    if (s.activeTool) engine.activateTool(s.activeTool, { color: useDrawingStore.getState().color });
+    else if (engine.activeTool) engine.cancelTool();
+  });
+  return () => {
+    unsubDrawings();
+    unsubChart();
+    if (boundEngine === engine) boundEngine = null;
+  };
+}
+
+export { useDrawingStore };
+export default useDrawingStore;
@@ -0,0 +1,71 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — FX Rate Store
+//
+// Holds the historical daily FX rate table used to convert trade P&L
+// into the user's base currency (settings.baseCurrency).
+// Rates are "USD per 1 unit" — see engine/FxRates.js.
+//
+// `revision` bumps on every change so memoized analytics (which key on
+// settings) recompute when rates change.
+//
+// Persisted to IndexedDB via AppBoot auto-save (settings key 'fxRates').
+//
+// Usage:
+//   useFxStore.getState().setRate('EUR', '2025-01-02', 1.0921);
+//   const { count, errors } = useFxStore.getState().importCSV(text);
+// ═══════════════════════════════════════════════════════════════════
+
+import { create } from 'zustand';
+import { setRate, removeRate, mergeRateTables, parseFxCSV } from '../engine/FxRates.js';
+
+const useFxStore = create((set, get) => ({
+  rates: {},
+  revision: 0,
+  loaded: false,
+
+  /**
+   * Add or overwrite a single daily rate.
+   * @param {string} currency - e.g. 'EUR'
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} usdPerUnit
+   */
+  setRate: (currency, date, usdPerUnit) =>
+    set((s) => ({ rates: setRate(s.rates, currency, date, usdPerUnit), revision: s.revision + 1 })),
+
+  /**
+   * Remove one rate, or every rate for a currency when date is omitted.
+   * @param {string} currency
+   * @param {string} [date]
+   */
+  removeRate: (currency, date) =>
+    set((s) => ({ rates: removeRate(s.rates, currency, date), revision: s.revision + 1 })),
+
+  /**
+   * Import historical rates from CSV and merge into the table.
+   * @param {string} text
+   * @returns {{ count: number, errors: string[] }}
+   */
+  importCSV: (text) => {
+    const { table, count, errors } = parseFxCSV(text);
+    if (count > 0) {
+      set((s) => ({ rates: mergeRateTables(s.rates, table), revision: s.revision + 1 }));
+    }
+    return { count, errors };
+  },
+
+  clear: () => set((s) => ({ rates: {}, revision: s.revision + 1 })),
+
+  // ─── Persistence ────────────────────────────────────────────
+
+  hydrate: (data = {}) =>
+    set((s) => ({
+      rates: data.rates && typeof data.rates === 'object' ? data.rates : {},
+      revision: s.revision + 1,
+      loaded: true,
+    })),
+
+  toJSON: () => ({ rates: get().rates }),
+}));
+
+export { useFxStore };
+export default useFxStore;
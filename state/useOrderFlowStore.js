@@ -0,0 +1,57 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Order Flow Store
+//
+// Display settings for footprint charts and volume profiles, plus an
+// optional imported tick file. With ticks imported, the chart builds
+// its bars (and footprints) from them instead of the Binance feed.
+//
+// Settings persist; imported ticks stay in memory only (tick files
+// are easily tens of MB).
+// ═══════════════════════════════════════════════════════════════════
+
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { parseTickCSV } from '../engine/orderFlow.js';
+
+const ORDER_FLOW_KEY = 'tradeforge-orderflow';
+
+const useOrderFlowStore = create(
+  persist(
+    (set) => ({
+      /** 'session' = one profile per UTC day, 'visible' = visible bars */
+      profileMode: 'session',
+      /** 'delta' = per-bar histogram, 'cumulative' = CVD line */
+      deltaMode: 'delta',
+      /** Footprint rows per average bar range (sets the tick size) */
+      rowsPerBar: 12,
+
+      /** @type {{ name: string, ticks: Array, sideSource: string, errors: string[] } | null} */
+      imported: null,
+
+      setProfileMode: (profileMode) => set({ profileMode }),
+      setDeltaMode: (deltaMode) => set({ deltaMode }),
+      setRowsPerBar: (rowsPerBar) => set({ rowsPerBar: Math.max(2, Math.min(60, Math.round(rowsPerBar) || 12)) }),
+
+      /**
+       * Parse and load a tick CSV.
+       * @param {string} text
+       * @param {string} [name]
+       * @returns {{ count: number, errors: string[], sideSource: string }}
+       */
+      importTicks: (text, name = 'ticks.csv') => {
+        const { ticks, errors, sideSource } = parseTickCSV(text);
+        set({ imported: ticks.length ? { name, ticks, sideSource, errors } : null });
+        return { count: ticks.length, errors, sideSource };
+      },
+
+      clearImported: () => set({ imported: null }),
+    }),
+    {
+      name: ORDER_FLOW_KEY,
+      partialize: (s) => ({ profileMode: s.profileMode, deltaMode: s.deltaMode, rowsPerBar: s.rowsPerBar }),
+    },
+  ),
+);
+
+export { useOrderFlowStore };
+export default useOrderFlowStore;
@@ -24,11 +24,22 @@
 //     startDate: ISO string,     // When evaluation started
 //     trailingDD: boolean,       // true = DD trails from equity high (most prop firms)
 //     rules: string[],           // Extra rules: 'no_weekend_hold', 'no_news_trading', etc.
+//     newsWindowMin: number,     // no_news_trading: minutes either side of a release (default 2)
+//     newsEvents: NewsEvent[],   // Extra releases on top of the built-in NFP/FOMC schedule;
+//                                // one named like a built-in replaces it for that month
+//     accountIds: string[],      // Accounts evaluated by this profile ([] = all accounts)
 //   }
 // ═══════════════════════════════════════════════════════════════════
 
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
+import { scopeTrades } from '../engine/Accounts.js';
+import {
+  calendarForSymbol,
+  heldOverWeekend,
+  scheduledNews,
+  newsNear,
+} from '../engine/SessionCalendar.js';
 
 // ─── Prop Firm Presets ────────────────────────────────────────────
 
@@ -143,6 +154,82 @@ const PRESETS = {
   },
 };
 
+// ─── Trading Rules ────────────────────────────────────────────────
+
+/** Whether a release moves an instrument: its currencies for FX pairs, USD news for the rest */
+function newsAffects(event, symbol, calendar) {
+  if (calendar?.id === 'forex') return (symbol || '').toUpperCase().includes(event.currency);
+  return event.currency === 'USD';
+}
+
+/** Release name + UTC month: a custom 'Non-Farm Payrolls' moves that month's */
+function newsMonthKey(event) {
+  return `${event.name}|${new Date(event.time).toISOString().slice(0, 7)}`;
+}
+
+/**
+ * Check trades against the profile's session rules, using each
+ * instrument's exchange calendar (SessionCalendar):
+ *   no_weekend_hold — closed after the weekly close it was open through
+ *   no_news_trading — opened or closed within newsWindowMin of a release
+ *
+ * @param {Object[]} trades
+ * @param {Object} profile
+ * @returns {{ rule: string, tradeId: string, date: string, detail: string }[]}
+ */
+function checkTradingRules(trades, profile) {
+  const rules = profile?.rules || [];
+  const weekend = rules.includes('no_weekend_hold');
+  const news = rules.includes('no_news_trading');
+  if (!trades?.length || (!weekend && !news)) return [];
+
+  const times = trades.flatMap((t) => [Date.parse(t.date), Date.parse(t.closeDate)]).filter(Number.isFinite);
+  if (!times.length) return [];
+  const windowMin = profile.newsWindowMin ?? 2;
+  const pad = windowMin * 60000;
+  const custom = profile.newsEvents || [];
+  const replaced = new Set(custom.map(newsMonthKey));
+  const events = news
+    ? [...scheduledNews(Math.min(...times) - pad, Math.max(...times) + pad).filter((e) => !replaced.has(newsMonthKey(e))), ...custom]
+    : [];
+
+  const violations = [];
+  for (const t of trades) {
+    const open = Date.parse(t.date);
+    const close = Date.parse(t.closeDate);
+    if (!Number.isFinite(open)) continue;
+    const calendar = calendarForSymbol(t.symbol, t.assetClass);
+
+    if (weekend && calendar && Number.isFinite(close)) {
+      const weeklyClose = heldOverWeekend(open, close, calendar);
+      if (weeklyClose != null) {
+        violations.push({
+          rule: 'no_weekend_hold',
+          tradeId: t.id,
+          date: t.date,
+          detail: `${t.symbol} held over the weekend (weekly close ${new Date(weeklyClose).toISOString().slice(0, 16).replace('T', ' ')} UTC)`,
+        });
+      }
+    }
+
+    if (news) {
+      const relevant = events.filter((e) => newsAffects(e, t.symbol, calendar));
+      for (const [time, side] of [[open, 'opened'], [close, 'closed']]) {
+        const event = Number.isFinite(time) && newsNear(time, relevant, windowMin);
+        if (!event) continue;
+        violations.push({
+          rule: 'no_news_trading',
+          tradeId: t.id,
+          date: t.date,
+          detail: `${t.symbol} ${side} within ${windowMin} min of ${event.name}`,
+        });
+        break;
+      }
+    }
+  }
+  return violations;
+}
+
 // ─── P1.3: Trailing Drawdown Calculator ──────────────────────────
 
 /**
@@ -162,6 +249,7 @@ function computeEvaluation(trades, profile) {
       dailyBreached: false, drawdownBreached: false, targetReached: false,
       status: 'active', // 'active' | 'passed' | 'failed'
       dailyPnlByDate: {},
+      ruleViolations: [],
       failReason: null,
     };
   }
@@ -182,10 +270,11 @@ function computeEvaluation(trades, profile) {
     ? acct * (profile.profitTarget / 100)
     : profile.profitTarget;
 
-  // Filter trades within evaluation period
+  // Filter trades to the profile's accounts, then to the evaluation period
+  const acctTrades = scopeTrades(trades, profile.accountIds);
   const evalTrades = startDate
-    ? trades.filter(t => t.date && new Date(t.date) >= startDate)
-    : trades;
+    ? acctTrades.filter(t => t.date && new Date(t.date) >= startDate)
+    : acctTrades;
 
   // Daily P&L aggregation
   const dailyMap = {};
@@ -240,6 +329,12 @@ function computeEvaluation(trades, profile) {
     }
   }
 
+  // Session rules (weekend holds, news) — any violation fails the evaluation
+  const ruleViolations = checkTradingRules(evalTrades, profile);
+  if (ruleViolations.length && !failReason) {
+    failReason = `Rule violated on ${ruleViolations[0].date.slice(0, 10)}: ${ruleViolations[0].detail}`;
+  }
+
   // Calendar days elapsed
   const calendarDays = startDate
     ? Math.floor((Date.now() - startDate.getTime()) / 86400000) + 1
@@ -254,7 +349,7 @@ function computeEvaluation(trades, profile) {
 
   // Determine status
   let status = 'active';
-  if (dailyBreached || drawdownBreached) {
+  if (dailyBreached || drawdownBreached || ruleViolations.length) {
     status = 'failed';
   } else if (targetReached && minDaysMet) {
     status = 'passed';
@@ -288,6 +383,7 @@ function computeEvaluation(trades, profile) {
     targetReached,
     status,
     failReason,
+    ruleViolations,
     dailyPnlByDate: dailyMap,
     // Progress bars (0-100)
     dailyProgress,
@@ -315,8 +411,8 @@ const usePropFirmStore = create(
 
       // ─── Profile CRUD ──────────────────────────────────
 
-      /** Create profile from preset ID */
-      createFromPreset(presetId) {
+      /** Create profile from preset ID, optionally linked to accounts */
+      createFromPreset(presetId, accountIds = []) {
         const preset = PRESETS[presetId];
         if (!preset) return null;
 
@@ -324,6 +420,7 @@ const usePropFirmStore = create(
           id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
           ...preset,
           startDate: new Date().toISOString(),
+          accountIds,
         };
 
         set((s) => ({
@@ -352,6 +449,7 @@ const usePropFirmStore = create(
           trailingDD: config.trailingDD ?? false,
           startDate: config.startDate || new Date().toISOString(),
           rules: config.rules || [],
+          accountIds: Array.isArray(config.accountIds) ? config.accountIds : [],
         };
 
         set((s) => ({
@@ -367,6 +465,19 @@ const usePropFirmStore = create(
         set({ activeProfile: profile });
       },
 
+      /** Link a profile to the accounts it evaluates ([] = all accounts) */
+      linkAccounts(profileId, accountIds = []) {
+        set((s) => {
+          const profiles = s.profiles.map(p => (p.id === profileId ? { ...p, accountIds } : p));
+          return {
+            profiles,
+            activeProfile: s.activeProfile?.id === profileId
+              ? profiles.find(p => p.id === profileId)
+              : s.activeProfile,
+          };
+        });
+      },
+
       deleteProfile(profileId) {
         set((s) => ({
           profiles: s.profiles.filter(p => p.id !== profileId),
@@ -385,5 +496,5 @@ const usePropFirmStore = create(
   )
 );
 
-export { usePropFirmStore, computeEvaluation, PRESETS };
+export { usePropFirmStore, computeEvaluation, checkTradingRules, PRESETS };
 export default usePropFirmStore;
@@ -1,20 +1,32 @@
 // ═══════════════════════════════════════════════════════════════════
 // TradeForge OS v10 — Settings Store (Zustand)
-// Manages: daily loss limit, default symbol/TF, account size, risk
+// Manages: daily loss limit, default symbol/TF, account size, risk,
+// base currency
 // Persisted to IndexedDB via AppBoot auto-save
 // ═══════════════════════════════════════════════════════════════════
 
 import { create } from 'zustand';
 import { DEFAULT_SETTINGS } from '../constants.js';
+import { setDisplayCurrency } from '../utils.js';
 
 const useSettingsStore = create((set) => ({
   ...DEFAULT_SETTINGS,
 
-  update: (updates) => set((s) => ({ ...s, ...updates })),
+  update: (updates) => {
+    if (updates.baseCurrency) setDisplayCurrency(updates.baseCurrency);
+    set((s) => ({ ...s, ...updates }));
+  },
 
-  hydrate: (saved = {}) => set({ ...DEFAULT_SETTINGS, ...saved }),
+  hydrate: (saved = {}) => {
+    const next = { ...DEFAULT_SETTINGS, ...saved };
+    setDisplayCurrency(next.baseCurrency);
+    set(next);
+  },
 
-  reset: () => set({ ...DEFAULT_SETTINGS }),
+  reset: () => {
+    setDisplayCurrency(DEFAULT_SETTINGS.baseCurrency);
+    set({ ...DEFAULT_SETTINGS });
+  },
 }));
 
 export { useSettingsStore };
@@ -0,0 +1,122 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Smart View Store
+//
+// Saved, named journal queries ("smart views"). A view is a query in
+// the trade query language (engine/TradeQuery.js); the active view
+// filters the journal and scopes Dashboard / Insights analytics via
+// computeFast(trades, { view }).
+//
+// Persisted to IndexedDB via AppBoot auto-save (settings key 'smartViews').
+//
+// Usage:
+//   useSmartViewStore.getState().saveView('ORB losers', 'playbook:ORB AND r<-1');
+//   useSmartViewStore.getState().setActiveView(view.id);
+//   useSmartViewStore.getState().getActiveView()?.query
+// ═══════════════════════════════════════════════════════════════════
+
+import { create } from 'zustand';
+import { parseQuery } from '../engine/TradeQuery.js';
+
+const useSmartViewStore = create((set, get) => ({
+  views: [],
+  activeViewId: null,
+  loaded: false,
+
+  // ─── View CRUD ──────────────────────────────────────────────
+
+  /**
+   * Save a query as a named view. Saving under an existing name
+   * (case-insensitive) replaces that view's query.
+   * @param {string} name
+   * @param {string} query
+   * @returns {{ ok: boolean, data?: Object, error?: string }}
+   */
+  saveView: (name, query) => {
+    const label = (name || '').trim();
+    if (!label) return { ok: false, error: 'Name is required' };
+    const q = (query || '').trim();
+    if (!q) return { ok: false, error: 'Query is empty' };
+    const parsed = parseQuery(q);
+    if (!parsed.ok) return { ok: false, error: parsed.error };
+
+    const existing = get().views.find((v) => v.name.toLowerCase() === label.toLowerCase());
+    if (existing) {
+      const view = { ...existing, query: q, updatedAt: Date.now() };
+      set((s) => ({ views: s.views.map((v) => (v.id === view.id ? view : v)) }));
+      return { ok: true, data: view };
+    }
+
+    const view = {
+      id: 'view_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name: label,
+      query: q,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    };
+    set((s) => ({ views: [...s.views, view] }));
+    return { ok: true, data: view };
+  },
+
+  /**
+   * Rename a view.
+   * @param {string} id
+   * @param {string} name
+   * @returns {boolean} true if renamed
+   */
+  renameView: (id, name) => {
+    const label = (name || '').trim();
+    if (!label || !get().views.some((v) => v.id === id)) return false;
+    set((s) => ({
+      views: s.views.map((v) => (v.id === id ? { ...v, name: label, updatedAt: Date.now() } : v)),
+    }));
+    return true;
+  },
+
+  /**
+   * Delete a view (clears it if active).
+   * @param {string} id
+   */
+  deleteView: (id) => {
+    set((s) => ({
+      views: s.views.filter((v) => v.id !== id),
+      activeViewId: s.activeViewId === id ? null : s.activeViewId,
+    }));
+  },
+
+  // ─── Active view ────────────────────────────────────────────
+
+  /**
+   * Activate a view, or clear with null.
+   * @param {string|null} id
+   */
+  setActiveView: (id) => {
+    set({ activeViewId: id && get().views.some((v) => v.id === id) ? id : null });
+  },
+
+  /** @returns {Object|null} The active view */
+  getActiveView: () => {
+    const { views, activeViewId } = get();
+    return views.find((v) => v.id === activeViewId) || null;
+  },
+
+  // ─── Persistence ────────────────────────────────────────────
+
+  /**
+   * Hydrate from IndexedDB.
+   * @param {Object} data - { views, activeViewId }
+   */
+  hydrate: (data = {}) => {
+    const views = (Array.isArray(data.views) ? data.views : [])
+      .filter((v) => v && v.id && v.name && typeof v.query === 'string');
+    const activeViewId = views.some((v) => v.id === data.activeViewId) ? data.activeViewId : null;
+    set({ views, activeViewId, loaded: true });
+  },
+
+  toJSON: () => {
+    const { views, activeViewId } = get();
+    return { views, activeViewId };
+  },
+}));
+
+export { useSmartViewStore };
+export default useSmartViewStore;
@@ -0,0 +1,98 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Tag Taxonomy Store
+//
+// Groups (Setup, Mistake, Market Condition, Management) and colors for
+// trade tags (engine/TagTaxonomy.js). Renames and merges rewrite the
+// tags on every trade in useTradeStore.
+//
+// Persisted to IndexedDB via AppBoot auto-save (settings key 'tagTaxonomy').
+//
+// Usage:
+//   useTagStore.getState().setTag('fomo', { group: 'mistake' });
+//   useTagStore.getState().renameTag('fomo', 'FOMO entry');
+//   useTagStore.getState().mergeTags(['chase', 'late entry'], 'fomo');
+// ═══════════════════════════════════════════════════════════════════
+
+import { create } from 'zustand';
+import { useTradeStore } from './useTradeStore.js';
+import { normalizeTaxonomy, tagKey } from '../engine/TagTaxonomy.js';
+
+const useTagStore = create((set, get) => ({
+  tags: [], // [{ name, group, color }]
+  loaded: false,
+
+  /**
+   * Set a tag's group and/or color, adding it to the taxonomy if new.
+   * @param {string} name
+   * @param {{ group?: string|null, color?: string|null }} updates
+   */
+  setTag: (name, updates = {}) => {
+    const key = tagKey(name);
+    if (!key) return;
+    const exists = get().tags.some((e) => tagKey(e.name) === key);
+    const tags = exists
+      ? get().tags.map((e) => (tagKey(e.name) === key ? { ...e, ...updates } : e))
+      : [...get().tags, { name: String(name).trim(), group: null, color: null, ...updates }];
+    set({ tags: normalizeTaxonomy(tags) });
+  },
+
+  /**
+   * Rename a tag on every trade. Renaming onto an existing tag merges them.
+   * @param {string} from
+   * @param {string} to
+   * @returns {{ ok: boolean, data?: number, error?: string }} data: trades changed
+   */
+  renameTag: (from, to) => get().mergeTags([from], to),
+
+  /**
+   * Merge tags into one on every trade. The target keeps its own group
+   * and color, or takes the first source's when it has none.
+   * @param {string[]} sources
+   * @param {string} target
+   * @returns {{ ok: boolean, data?: number, error?: string }} data: trades changed
+   */
+  mergeTags: (sources, target) => {
+    const name = String(target ?? '').trim();
+    if (!name) return { ok: false, error: 'Tag name is required' };
+    const keys = new Set((sources || []).map(tagKey).filter(Boolean));
+    if (!keys.size) return { ok: false, error: 'Pick at least one tag' };
+
+    const changed = useTradeStore.getState().renameTags([...keys], name);
+
+    const targetKey = tagKey(name);
+    const current = get().tags;
+    const own = current.find((e) => tagKey(e.name) === targetKey);
+    const inherited = [...keys].map((k) => current.find((e) => tagKey(e.name) === k)).find(Boolean);
+    const entry = { ...inherited, ...own, name };
+    const rest = current.filter((e) => !keys.has(tagKey(e.name)) && tagKey(e.name) !== targetKey);
+    set({ tags: normalizeTaxonomy(own || inherited ? [...rest, entry] : rest) });
+    return { ok: true, data: changed };
+  },
+
+  /**
+   * Remove a tag from the taxonomy and from every trade.
+   * @param {string} name
+   * @returns {number} Trades changed
+   */
+  deleteTag: (name) => {
+    const key = tagKey(name);
+    const changed = useTradeStore.getState().renameTags([key], '');
+    set((s) => ({ tags: s.tags.filter((e) => tagKey(e.name) !== key) }));
+    return changed;
+  },
+
+  // ─── Persistence ────────────────────────────────────────────
+
+  /**
+   * Hydrate from IndexedDB.
+   * @param {Object} data - { tags }
+   */
+  hydrate: (data = {}) => {
+    set({ tags: normalizeTaxonomy(data.tags), loaded: true });
+  },
+
+  toJSON: () => ({ tags: get().tags }),
+}));
+
+export { useTagStore };
+export default useTagStore;
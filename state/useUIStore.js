@@ -14,8 +14,14 @@ const useUIStore = create((set) => ({
   cmdPaletteOpen: false,
   shortcutsOpen: false,
   quickTradeOpen: false,
+  // Where the journal should jump to: { type: 'note', id } | { type: 'trade', id }
+  // | { type: 'playbook', name } | { type: 'day', date } | { type: 'newNote', content }
+  journalTarget: null,
 
   setPage: (page) => set({ page }),
+  /** Open the journal at a note, trade, playbook or day (note links / backlinks) */
+  openJournalTarget: (target) => set({ page: 'journal', journalTarget: target }),
+  clearJournalTarget: () => set({ journalTarget: null }),
   openModal: (data) => set({ modal: data }),
   closeModal: () => set({ modal: null }),
   openConfirm: (data) => set({ confirmDialog: data }),
@@ -4,6 +4,7 @@
 // Save and restore named workspace configurations:
 //   - Active page
 //   - Chart settings (symbol, timeframe, chart type, indicators)
+//   - Multi-chart layout (grid, per-pane settings, pane links)
 //   - Drawing visibility
 //   - Sidebar state
 //   - Journal filters
@@ -77,6 +78,17 @@ function captureState(stores) {
         color: ind.color,
       })),
     },
+    layout: {
+      layout: chart.layout || '1x1',
+      panes: (chart.panes || []).map(p => ({
+        symbol: p.symbol,
+        tf: p.tf,
+        chartType: p.chartType,
+        group: p.group || null,
+        indicators: safeClone(p.indicators || [], []),
+      })),
+      links: { ...chart.paneLinks },
+    },
     zen: ui.zenMode || false,
   };
 }
@@ -115,6 +127,9 @@ function restoreState(state, stores) {
       }
     }
   }
+
+  // Older workspaces have no layout: leave the current one alone
+  if (chart?.restoreLayout && state.layout) chart.restoreLayout(state.layout);
 }
 
 // ─── Workspace Store ────────────────────────────────────────────
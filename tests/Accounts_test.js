@@ -0,0 +1,186 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Account Scoping Tests
+// Tests for: scopeTrades, normalizeScope, computeFast/comparePeriods
+// scoping, daily guard scoping, prop firm account linking
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  DEFAULT_ACCOUNT_ID,
+  accountIdOf,
+  normalizeScope,
+  scopeTrades,
+  scopeLabel,
+} from '../engine/Accounts.js';
+import { computeFast } from '../engine/analyticsFast.js';
+import { computeEquityCurve } from '../engine/PerformanceCompare.js';
+import { computeTodayPnl } from '../state/useDailyGuardStore.js';
+import { computeEvaluation } from '../state/usePropFirmStore.js';
+import { useAccountStore } from '../state/useAccountStore.js';
+import { normalizeTrade } from '../engine/TradeSchema.js';
+
+const mkTrade = (id, pnl, accountId, date = '2025-03-10T14:00:00.000Z') => ({
+  id, date, symbol: 'ES', pnl, accountId,
+});
+
+const TRADES = [
+  mkTrade('a1', 100, 'eval'),
+  mkTrade('a2', -50, 'eval'),
+  mkTrade('b1', 300, 'funded'),
+  mkTrade('c1', 25, undefined), // legacy trade → default account
+];
+
+// ─── Scope helpers ──────────────────────────────────────────────
+
+describe('normalizeScope', () => {
+  it('treats null, "all" and [] as every account', () => {
+    expect(normalizeScope(null)).toBeNull();
+    expect(normalizeScope('all')).toBeNull();
+    expect(normalizeScope([])).toBeNull();
+  });
+
+  it('wraps a single ID', () => {
+    expect([...normalizeScope('eval')]).toEqual(['eval']);
+  });
+
+  it('drops empty entries from arrays', () => {
+    expect([...normalizeScope(['eval', '', null])]).toEqual(['eval']);
+  });
+});
+
+describe('scopeTrades', () => {
+  it('returns the same array for "all"', () => {
+    expect(scopeTrades(TRADES, 'all')).toBe(TRADES);
+  });
+
+  it('filters to one account', () => {
+    expect(scopeTrades(TRADES, 'eval').map(t => t.id)).toEqual(['a1', 'a2']);
+  });
+
+  it('filters to several accounts', () => {
+    expect(scopeTrades(TRADES, ['eval', 'funded'])).toHaveLength(3);
+  });
+
+  it('maps trades without accountId to the default account', () => {
+    expect(accountIdOf(TRADES[3])).toBe(DEFAULT_ACCOUNT_ID);
+    expect(scopeTrades(TRADES, DEFAULT_ACCOUNT_ID).map(t => t.id)).toEqual(['c1']);
+  });
+
+  it('handles non-array input', () => {
+    expect(scopeTrades(null, 'eval')).toEqual([]);
+  });
+});
+
+describe('scopeLabel', () => {
+  const accounts = [{ id: 'eval', name: 'FTMO 100K' }, { id: 'funded', name: 'Apex PA' }];
+  it('labels all / single / multiple scopes', () => {
+    expect(scopeLabel('all', accounts)).toBe('All Accounts');
+    expect(scopeLabel(['eval'], accounts)).toBe('FTMO 100K');
+    expect(scopeLabel(['eval', 'funded'], accounts)).toBe('2 Accounts');
+  });
+});
+
+// ─── Schema ─────────────────────────────────────────────────────
+
+describe('TradeSchema accountId', () => {
+  it('defaults accountId to the default account', () => {
+    const t = normalizeTrade({ id: 'x', date: '2025-01-01', symbol: 'ES', pnl: 1 });
+    expect(t.accountId).toBe(DEFAULT_ACCOUNT_ID);
+  });
+});
+
+// ─── Analytics scoping ──────────────────────────────────────────
+
+describe('computeFast account scope', () => {
+  it('computes over all accounts by default', () => {
+    const r = computeFast(TRADES, { mcRuns: 0 });
+    expect(r.tradeCount).toBe(4);
+    expect(r.totalPnl).toBe(375);
+    expect(r.byAcct.eval.pnl).toBe(50);
+    expect(r.byAcct[DEFAULT_ACCOUNT_ID].count).toBe(1);
+  });
+
+  it('scopes to the selected accounts', () => {
+    const r = computeFast(TRADES, { mcRuns: 0, accounts: ['funded'] });
+    expect(r.tradeCount).toBe(1);
+    expect(r.totalPnl).toBe(300);
+  });
+
+  it('returns null when the scope matches no trades', () => {
+    expect(computeFast(TRADES, { mcRuns: 0, accounts: 'missing' })).toBeNull();
+  });
+});
+
+describe('computeEquityCurve account scope', () => {
+  it('only accumulates scoped trades', () => {
+    const curve = computeEquityCurve(TRADES, 0, 'eval');
+    expect(curve[curve.length - 1].equity).toBe(50);
+  });
+});
+
+describe('computeTodayPnl account scope', () => {
+  it('sums only the scoped account', () => {
+    const today = new Date().toISOString();
+    const trades = [mkTrade('t1', -400, 'eval', today), mkTrade('t2', 900, 'funded', today)];
+    expect(computeTodayPnl(trades).todayPnl).toBe(500);
+    expect(computeTodayPnl(trades, 'eval').todayPnl).toBe(-400);
+  });
+});
+
+describe('computeEvaluation account scope', () => {
+  it('evaluates only the linked accounts', () => {
+    const profile = {
+      accountSize: 50000, dailyLossLimit: 0, dailyLossType: 'abs',
+      maxDrawdown: 2000, maxDrawdownType: 'abs',
+      profitTarget: 3000, profitTargetType: 'abs',
+      evaluationDays: 0, minTradingDays: 0, trailingDD: true,
+      accountIds: ['eval'],
+    };
+    expect(computeEvaluation(TRADES, profile).cumPnl).toBe(50);
+    expect(computeEvaluation(TRADES, { ...profile, accountIds: [] }).cumPnl).toBe(375);
+  });
+});
+
+// ─── Account store ──────────────────────────────────────────────
+
+describe('useAccountStore', () => {
+  beforeEach(() => useAccountStore.getState().hydrate({}));
+
+  it('always has the default account after hydrate', () => {
+    const { accounts, scope } = useAccountStore.getState();
+    expect(accounts[0].id).toBe(DEFAULT_ACCOUNT_ID);
+    expect(scope).toBe('all');
+  });
+
+  it('adds, updates and deletes accounts', () => {
+    const acct = useAccountStore.getState().addAccount({ name: 'Topstep 50K', type: 'evaluation' });
+    expect(acct.type).toBe('evaluation');
+    useAccountStore.getState().updateAccount(acct.id, { name: 'Topstep 50K #1' });
+    expect(useAccountStore.getState().getAccount(acct.id).name).toBe('Topstep 50K #1');
+    expect(useAccountStore.getState().deleteAccount(acct.id)).toBe(true);
+    expect(useAccountStore.getState().accounts).toHaveLength(1);
+  });
+
+  it('refuses to delete the default account', () => {
+    expect(useAccountStore.getState().deleteAccount(DEFAULT_ACCOUNT_ID)).toBe(false);
+  });
+
+  it('rejects accounts without a name', () => {
+    expect(useAccountStore.getState().addAccount({ name: '  ' })).toBeNull();
+  });
+
+  it('toggles accounts in and out of the scope', () => {
+    const acct = useAccountStore.getState().addAccount({ name: 'Funded' });
+    useAccountStore.getState().toggleScopeAccount(acct.id);
+    expect(useAccountStore.getState().scope).toEqual([acct.id]);
+    useAccountStore.getState().toggleScopeAccount(acct.id);
+    expect(useAccountStore.getState().scope).toBe('all');
+  });
+
+  it('drops a deleted account from the scope', () => {
+    const acct = useAccountStore.getState().addAccount({ name: 'Temp' });
+    useAccountStore.getState().setScope([acct.id]);
+    useAccountStore.getState().deleteAccount(acct.id);
+    expect(useAccountStore.getState().scope).toBe('all');
+  });
+});
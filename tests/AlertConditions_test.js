@@ -0,0 +1,223 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Composite Alert Tests
+// Tests for: operand series, crossing/touch operators, AND/OR logic,
+// drawing levels, script outputs, descriptions, validation, the
+// streaming AlertEngine (bar close vs intrabar, per-bar dedupe) and the
+// session runner AppBoot starts (startCompositeAlerts)
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  drawingLevelAt,
+  evaluateCondition,
+  evaluateAlert,
+  describeAlert,
+  validateAlert,
+} from '../engine/AlertConditions.js';
+import { createAlertEngine } from '../engine/AlertEngine.js';
+import { useAlertStore, startCompositeAlerts } from '../state/useAlertStore.js';
+import { useDrawingStore } from '../state/useDrawingStore.js';
+
+const MIN = 60_000;
+const T0 = Date.UTC(2025, 0, 1);
+const mkBars = (closes, step = MIN) => closes.map((c, i) => ({
+  time: T0 + i * step, open: c, high: c + 0.5, low: c - 0.5, close: c, volume: 100,
+}));
+
+const price = { source: 'price', field: 'close' };
+
+describe('evaluateCondition', () => {
+  it('compares price against a value', () => {
+    const bars = mkBars([10, 11, 12]);
+    expect(evaluateCondition({ left: price, op: 'above', right: 11 }, bars).pass).toBe(true);
+    expect(evaluateCondition({ left: price, op: 'below', right: 11 }, bars).pass).toBe(false);
+  });
+
+  it('detects crosses only on the crossing bar', () => {
+    const cond = { left: price, op: 'crosses_above', right: { source: 'value', value: 10.5 } };
+    expect(evaluateCondition(cond, mkBars([10, 11])).pass).toBe(true);
+    expect(evaluateCondition(cond, mkBars([10, 11, 12])).pass).toBe(false);
+    expect(evaluateCondition({ ...cond, op: 'crosses' }, mkBars([11, 10])).pass).toBe(true);
+  });
+
+  it('reads indicator values from the registry', () => {
+    const falling = mkBars(Array.from({ length: 40 }, (_, i) => 100 - i));
+    const rsi = { source: 'indicator', id: 'rsi', params: { period: 14 } };
+    const res = evaluateCondition({ left: rsi, op: 'below', right: 30 }, falling);
+    expect(res.pass).toBe(true);
+    expect(res.value).toBeLessThan(30);
+    expect(() => evaluateCondition({ left: { source: 'indicator', id: 'nope' }, op: 'above', right: 1 }, falling))
+      .toThrow(/Unknown indicator/);
+  });
+
+  it('follows a trendline through time', () => {
+    const line = { id: 'd1', type: 'trendline', points: [{ price: 10, time: T0 }, { price: 12, time: T0 + 2 * MIN }] };
+    expect(drawingLevelAt(line, T0 + MIN)).toBe(11);
+    expect(drawingLevelAt({ ...line, type: 'ray' }, T0 - MIN)).toBeNull();
+    const cond = { left: price, op: 'crosses_above', right: { source: 'drawing', drawingId: 'd1' } };
+    expect(evaluateCondition(cond, mkBars([10.5, 11.5]), { drawings: [line] }).pass).toBe(false);
+    expect(evaluateCondition(cond, mkBars([9, 11.5]), { drawings: [line] }).pass).toBe(true);
+  });
+
+  it('uses fib levels, with any-level touches', () => {
+    const fib = { type: 'fib', points: [{ price: 100, time: T0 }, { price: 200, time: T0 + MIN }] };
+    expect(drawingLevelAt(fib, T0, 0.618)).toBeCloseTo(161.8);
+    const bars = mkBars([150, 138.25]);
+    expect(evaluateCondition({ left: price, op: 'touches', right: { source: 'drawing', drawing: fib } }, bars).pass).toBe(true);
+    expect(evaluateCondition({ left: price, op: 'touches', right: { source: 'drawing', drawing: fib, level: 0.5 } }, bars).pass).toBe(false);
+  });
+
+  it('reads script outputs by index or label', () => {
+    const runScript = () => [
+      { type: 'marker', data: [] },
+      { type: 'line', label: 'Basis', data: [5, 5] },
+      { type: 'band', label: 'Env', data: { upper: [20, 20], lower: [1, 1] } },
+    ];
+    const bars = mkBars([10, 10]);
+    expect(evaluateCondition({ left: price, op: 'above', right: { source: 'script', scriptId: 's', output: 0 } }, bars, { runScript }).pass).toBe(true);
+    expect(evaluateCondition({ left: price, op: 'below', right: { source: 'script', scriptId: 's', output: 'Env' } }, bars, { runScript }).pass).toBe(true);
+    expect(evaluateCondition({ left: price, op: 'above', right: { source: 'script', scriptId: 's', output: 'Env', band: 'lower' } }, bars, { runScript }).pass).toBe(true);
+  });
+});
+
+describe('evaluateAlert', () => {
+  const bars = mkBars([10, 12]);
+  const up = { left: price, op: 'above', right: 11 };
+  const down = { left: price, op: 'below', right: 11 };
+
+  it('combines conditions with AND / OR', () => {
+    expect(evaluateAlert({ logic: 'and', conditions: [up, down] }, bars).triggered).toBe(false);
+    expect(evaluateAlert({ logic: 'or', conditions: [up, down] }, bars).triggered).toBe(true);
+    expect(evaluateAlert({ conditions: [] }, bars).triggered).toBe(false);
+  });
+
+  it('reports failing conditions without throwing', () => {
+    const res = evaluateAlert({ logic: 'or', conditions: [up, { left: { source: 'indicator', id: 'nope' }, op: 'above', right: 1 }] }, bars);
+    expect(res.triggered).toBe(true);
+    expect(res.errors).toHaveLength(1);
+    expect(res.barTime).toBe(bars[1].time);
+  });
+});
+
+describe('describeAlert / validateAlert', () => {
+  it('summarizes conditions', () => {
+    const alert = {
+      symbol: 'BTC', timeframe: '15m', logic: 'and',
+      conditions: [{ left: { source: 'indicator', id: 'rsi', params: { period: 14 } }, op: 'below', right: 30 }],
+    };
+    expect(describeAlert(alert)).toBe('RSI(14) < 30 · 15m');
+    expect(validateAlert(alert)).toEqual([]);
+  });
+
+  it('flags incomplete definitions', () => {
+    const errors = validateAlert({ symbol: '', conditions: [{ left: { source: 'script' }, op: 'nope', right: 1 }] });
+    expect(errors).toContain('Missing symbol');
+    expect(errors.some((e) => /unknown operator/.test(e))).toBe(true);
+    expect(errors.some((e) => /script not set/.test(e))).toBe(true);
+  });
+});
+
+describe('createAlertEngine', () => {
+  async function setup(alertPatch, history = [10, 10]) {
+    const alerts = [{
+      id: 'a1', type: 'composite', symbol: 'BTCUSDT', timeframe: '1m', logic: 'and',
+      evaluate: 'close', active: true, lastBarTime: null,
+      conditions: [{ left: price, op: 'crosses_above', right: 11 }],
+      ...alertPatch,
+    }];
+    const fired = [];
+    let listener = null;
+    const feed = {
+      getBars: async () => ({ bars: mkBars(history) }),
+      subscribeBars: (sym, res, cb) => { listener = cb; return 'sub1'; },
+      unsubscribeBars: () => { listener = null; },
+    };
+    const engine = createAlertEngine({
+      feed,
+      getAlerts: () => alerts,
+      onTrigger: (alert, ev) => { fired.push(ev); alert.lastBarTime = ev.barTime; },
+    });
+    engine.sync();
+    await new Promise((r) => setTimeout(r, 0));
+    const emit = (bar) => listener?.(bar);
+    return { engine, fired, emit };
+  }
+
+  it('evaluates close alerts once the bar has closed', async () => {
+    const { fired, emit } = await setup();
+    const b = { time: T0 + MIN, open: 10, high: 12, low: 10, close: 12, volume: 1 };
+    emit(b); // forming bar crosses
+    expect(fired).toHaveLength(0);
+    emit({ ...b, time: T0 + 2 * MIN }); // next bar opens
+    expect(fired).toHaveLength(1);
+    expect(fired[0].barTime).toBe(T0 + MIN);
+  });
+
+  it('evaluates intrabar alerts on every update, once per bar', async () => {
+    const { fired, emit } = await setup({ evaluate: 'intrabar' });
+    const bar = { time: T0 + MIN, open: 10, high: 12, low: 10, close: 12, volume: 1 };
+    emit(bar);
+    emit({ ...bar, close: 12.5 });
+    expect(fired).toHaveLength(1);
+  });
+
+  it('ignores history loads and stops after dispose', async () => {
+    const { engine, fired, emit } = await setup({ evaluate: 'intrabar' }, [10, 12]);
+    expect(fired).toHaveLength(0);
+    engine.dispose();
+    emit({ time: T0 + 2 * MIN, open: 12, high: 13, low: 12, close: 13, volume: 1 });
+    expect(fired).toHaveLength(0);
+  });
+
+  it('opens feed streams for timeframes the chart is not showing', async () => {
+    const subs = [];
+    const feed = {
+      getBars: async () => ({ bars: mkBars([10, 10], 15 * MIN) }),
+      subscribeBars: (sym, res, cb) => { subs.push({ sym, res, cb }); return `sub${subs.length}`; },
+      unsubscribeBars: (id) => { subs.splice(subs.findIndex((_, i) => `sub${i + 1}` === id), 1); },
+    };
+    const alerts = [{ id: 'a', type: 'composite', symbol: 'ETHUSDT', timeframe: '15m', evaluate: 'intrabar', active: true, conditions: [{ left: price, op: 'above', right: 11 }] }];
+    const fired = [];
+    const engine = createAlertEngine({ feed, getAlerts: () => alerts, onTrigger: (a) => fired.push(a.id) });
+    engine.sync();
+    await new Promise((r) => setTimeout(r, 0));
+    expect(subs).toHaveLength(1);
+    expect(subs[0]).toMatchObject({ sym: 'ETHUSDT', res: '15m' });
+    subs[0].cb({ time: T0 + 15 * MIN, open: 10, high: 12, low: 10, close: 12, volume: 1 });
+    expect(fired).toEqual(['a']);
+    alerts.length = 0;
+    engine.sync();
+    expect(engine.streams).toEqual([]);
+  });
+});
+
+describe('startCompositeAlerts', () => {
+  afterEach(() => useAlertStore.setState({ alerts: [] }));
+
+  it('fires store alerts from the feed against the chart\'s live drawings', async () => {
+    const subs = [];
+    const feed = {
+      getBars: async () => ({ bars: mkBars([10, 10], 15 * MIN) }),
+      subscribeBars: (sym, res, cb) => { subs.push({ sym, res, cb }); return `sub${subs.length}`; },
+      unsubscribeBars: (id) => { subs.splice(subs.findIndex((_, i) => `sub${i + 1}` === id), 1); },
+    };
+    // The alert keeps a stale snapshot at 100; the chart's drawing was moved to 11
+    useDrawingStore.getState().hydrate('BTC', [{ id: 'd1', type: 'hline', points: [{ price: 11, time: T0 }], state: 'idle' }]);
+    useAlertStore.setState({ alerts: [] });
+    const stop = startCompositeAlerts(feed, { resolveSymbol: (s) => `${s}USDT` });
+    const id = useAlertStore.getState().addCompositeAlert({
+      symbol: 'btc', timeframe: '15m', evaluate: 'intrabar',
+      conditions: [{ left: price, op: 'above', right: { source: 'drawing', drawingId: 'd1', drawing: { type: 'hline', points: [{ price: 100, time: T0 }] } } }],
+    });
+    await new Promise((r) => setTimeout(r, 0));
+    expect(subs).toHaveLength(1);
+    expect(subs[0]).toMatchObject({ sym: 'BTCUSDT', res: '15m' });
+
+    subs[0].cb({ time: T0 + 30 * MIN, open: 10, high: 12, low: 10, close: 12, volume: 1 });
+    const fired = useAlertStore.getState().alerts.find((a) => a.id === id);
+    expect(fired).toMatchObject({ active: false, lastBarTime: T0 + 30 * MIN });
+
+    stop();
+    expect(subs).toHaveLength(0);
+  });
+});
@@ -0,0 +1,196 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Alert Delivery Tests
+// Tests for: JSON templates, channel validation, request building,
+// retry behaviour, event-kind routing, email content
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect } from 'vitest';
+import {
+  renderTemplate,
+  interpolate,
+  alertEvent,
+  guardEvent,
+  validateChannel,
+  buildRequest,
+  emailMessage,
+  deliverToChannel,
+  relayOutcome,
+  dispatchEvent,
+} from '../engine/AlertDelivery.js';
+
+const event = {
+  kind: 'alert',
+  title: 'BTC alert',
+  message: 'RSI(14) < 30',
+  symbol: 'BTC',
+  price: 97500.5,
+  timeframe: '15m',
+  time: '2025-03-10T14:30:00.000Z',
+  alert: { id: 'a1', note: 'oversold' },
+};
+
+const retry = { baseDelay: 1, maxDelay: 2, jitter: false };
+
+// fetch stub answering with the given statuses in turn
+function fakeFetch(statuses) {
+  const calls = [];
+  const fn = async (url, init) => {
+    calls.push({ url, ...init });
+    const status = statuses[Math.min(calls.length - 1, statuses.length - 1)];
+    if (status === 'network') throw new TypeError('fetch failed');
+    return { ok: status < 400, status, text: async () => '' };
+  };
+  fn.calls = calls;
+  return fn;
+}
+
+describe('templates', () => {
+  it('keeps value types for whole placeholders and interpolates the rest', () => {
+    const out = renderTemplate('{"price":"{{price}}","text":"{{symbol}} @ {{price}}","note":"{{alert.note}}","missing":"{{nope}}","n":[1,"{{timeframe}}"]}', event);
+    expect(out).toEqual({ price: 97500.5, text: 'BTC @ 97500.5', note: 'oversold', missing: null, n: [1, '15m'] });
+    expect(interpolate('{{title}} — {{alert}}', event)).toBe('BTC alert — {"id":"a1","note":"oversold"}');
+  });
+
+  it('rejects invalid JSON templates', () => {
+    expect(() => renderTemplate('{bad', event)).toThrow(/Invalid webhook template/);
+  });
+});
+
+describe('events', () => {
+  it('builds alert and lockout events', () => {
+    const ev = alertEvent({ id: 'x', symbol: 'ES', condition: 'above', price: 5000 }, { price: 5001, message: 'hit' });
+    expect(ev).toMatchObject({ kind: 'alert', symbol: 'ES', price: 5001, alert: { type: 'price', target: 5000 } });
+    const g = guardEvent({ todayPnl: -600, dailyLossLimit: 500, remaining: -100, pctUsed: 1 }, 'Daily loss limit hit');
+    expect(g).toMatchObject({ kind: 'dailyguard', guard: { todayPnl: -600 } });
+  });
+});
+
+describe('validateChannel', () => {
+  it('checks urls, templates and recipients', () => {
+    expect(validateChannel({ type: 'webhook', url: 'https://x.test/hook' })).toEqual([]);
+    expect(validateChannel({ type: 'relay', url: 'ftp://x' })[0]).toMatch(/http/);
+    expect(validateChannel({ type: 'webhook', url: 'https://x.test', template: '{' })[0]).toMatch(/template/);
+    expect(validateChannel({ type: 'email', to: 'a@b.test, c@d.test' })).toEqual([]);
+    expect(validateChannel({ type: 'email', to: 'nope' })).toEqual(['Invalid email address']);
+    expect(validateChannel({ type: 'sms' })[0]).toMatch(/Unknown channel type/);
+  });
+});
+
+describe('buildRequest', () => {
+  it('posts webhooks directly with the rendered body', () => {
+    const req = buildRequest({ type: 'webhook', url: 'https://x.test', headers: { 'X-Token': 't' }, template: '{"p":"{{price}}"}' }, event);
+    expect(req).toMatchObject({ url: 'https://x.test', method: 'POST', headers: { 'X-Token': 't' } });
+    expect(JSON.parse(req.body)).toEqual({ p: 97500.5 });
+  });
+
+  it('sends relay and email channels to the server relay', () => {
+    const req = buildRequest({ id: 'c', type: 'relay', url: 'https://x.test', template: '{}' }, event, { relayUrl: '/api/relay/', relayKey: 'k' });
+    expect(req.url).toBe('/api/relay/deliver');
+    expect(req.headers['x-api-key']).toBe('k');
+    expect(JSON.parse(req.body).channel).toMatchObject({ type: 'webhook', url: 'https://x.test' });
+    const mail = JSON.parse(buildRequest({ type: 'email', to: 'a@b.test' }, event).body);
+    expect(mail.channel).toMatchObject({ type: 'email', to: 'a@b.test' });
+    expect(mail.event.symbol).toBe('BTC');
+  });
+});
+
+describe('emailMessage', () => {
+  it('renders subject and a default body', () => {
+    const msg = emailMessage({ to: 'a@b.test, c@d.test', subject: '{{symbol}} fired' }, event);
+    expect(msg.to).toEqual(['a@b.test', 'c@d.test']);
+    expect(msg.subject).toBe('BTC fired');
+    expect(msg.text).toContain('Price: 97500.5');
+  });
+});
+
+describe('deliverToChannel', () => {
+  const channel = { id: 'c1', type: 'webhook', url: 'https://x.test' };
+
+  it('retries network errors and 5xx, then succeeds', async () => {
+    const fetch = fakeFetch(['network', 503, 200]);
+    const res = await deliverToChannel(channel, event, { fetch, retry });
+    expect(res).toEqual({ ok: true, channelId: 'c1', attempts: 3, status: 200 });
+  });
+
+  it('does not retry client errors', async () => {
+    const fetch = fakeFetch([404]);
+    const res = await deliverToChannel(channel, event, { fetch, retry });
+    expect(res).toMatchObject({ ok: false, attempts: 1, status: 404 });
+    expect(res.error).toMatch(/HTTP 404/);
+  });
+
+  it('gives up after maxRetries', async () => {
+    const fetch = fakeFetch([500]);
+    const res = await deliverToChannel(channel, event, { fetch, retry: { ...retry, maxRetries: 2 } });
+    expect(res).toMatchObject({ ok: false, attempts: 3 });
+  });
+
+  it('retries a relay hand-off with one idempotency key', async () => {
+    const fetch = fakeFetch([502, 'network', 202]);
+    const res = await deliverToChannel({ id: 'r1', type: 'relay', url: 'https://x.test' }, event, { fetch, retry });
+    expect(res).toMatchObject({ ok: true, attempts: 3, status: 202 });
+    const keys = fetch.calls.map((c) => c.headers['Idempotency-Key']);
+    expect(keys[0]).toMatch(/^dlv_/);
+    expect(new Set(keys).size).toBe(1);
+    expect(fetch.calls[0].url).toBe('/api/relay/deliver');
+  });
+
+  it('reports template errors without sending', async () => {
+    const fetch = fakeFetch([200]);
+    const res = await deliverToChannel({ ...channel, template: '{' }, event, { fetch, retry });
+    expect(res).toMatchObject({ ok: false, attempts: 0 });
+    expect(fetch.calls).toHaveLength(0);
+  });
+});
+
+describe('relayOutcome', () => {
+  const poll = { intervalMs: 1, maxIntervalMs: 2, timeoutMs: 1000 };
+  // relay status stub answering with the given delivery records in turn
+  function statusFetch(records) {
+    const calls = [];
+    const fn = async (url, init) => {
+      calls.push({ url, ...init });
+      const data = records[Math.min(calls.length - 1, records.length - 1)];
+      if (data === 404) return { ok: false, status: 404, json: async () => ({ ok: false }) };
+      return { ok: true, status: 200, json: async () => ({ ok: true, data }) };
+    };
+    fn.calls = calls;
+    return fn;
+  }
+
+  it('polls until the relay reports the outcome', async () => {
+    const fetch = statusFetch([{ status: 'pending', attempts: 0 }, { status: 'failed', attempts: 5, error: 'HTTP 500' }]);
+    const res = await relayOutcome('dlv_1', { fetch, relayKey: 'k', poll });
+    expect(res).toEqual({ ok: false, attempts: 5, error: 'HTTP 500' });
+    expect(fetch.calls[0].url).toBe('/api/relay/deliveries/dlv_1');
+    expect(fetch.calls[0].headers['x-api-key']).toBe('k');
+    expect(await relayOutcome('dlv_2', { fetch: statusFetch([{ status: 'delivered', attempts: 1 }]), poll })).toEqual({ ok: true, attempts: 1 });
+  });
+
+  it('reports unknown deliveries and gives up at the timeout', async () => {
+    expect((await relayOutcome('x', { fetch: statusFetch([404]), poll })).ok).toBe(false);
+    const res = await relayOutcome('y', { fetch: statusFetch([{ status: 'pending' }]), poll: { ...poll, timeoutMs: 5 } });
+    expect(res.ok).toBeNull();
+  });
+
+  it('returns the hand-off id from relay deliveries', async () => {
+    const res = await deliverToChannel({ id: 'e1', type: 'email', to: 'a@b.test' }, event, { fetch: fakeFetch([202]), retry });
+    expect(res.deliveryId).toMatch(/^dlv_/);
+  });
+});
+
+describe('dispatchEvent', () => {
+  it('routes by event kind and skips disabled channels', async () => {
+    const fetch = fakeFetch([200]);
+    const seen = [];
+    const channels = [
+      { id: 'a', type: 'webhook', url: 'https://a.test' },
+      { id: 'b', type: 'webhook', url: 'https://b.test', events: ['dailyguard'] },
+      { id: 'c', type: 'webhook', url: 'https://c.test', enabled: false },
+    ];
+    const results = await dispatchEvent(channels, event, { fetch, retry, onResult: (ch) => seen.push(ch.id) });
+    expect(results.map((r) => r.channelId)).toEqual(['a']);
+    expect(seen).toEqual(['a']);
+    expect((await dispatchEvent(channels, { ...event, kind: 'test' }, { fetch, retry })).length).toBe(2);
+  });
+});
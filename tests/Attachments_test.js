@@ -0,0 +1,177 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Trade Attachment Tests
+// Storage, backup round-trip and quota accounting of trade images
+// (in-memory MiniDB; thumbnails are skipped in Node).
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StorageService } from '../data/StorageService.js';
+import { exportJSON, importFile } from '../data/ImportExport.js';
+import { useAttachmentStore } from '../state/useAttachmentStore.js';
+import { blobToDataURL, dataURLToBlob } from '../utils/attachments.js';
+
+const png = (bytes = [137, 80, 78, 71, 1, 2, 3]) => new Blob([new Uint8Array(bytes)], { type: 'image/png' });
+
+const mkAttachment = (id, tradeId, createdAt = 1) => ({
+  id, tradeId, name: `${id}.png`, type: 'image/png', size: 7, source: 'paste', createdAt, thumb: null, blob: png(),
+});
+
+const mkTrade = (id, date, pnl = 100) => ({ id, date, symbol: 'ES', side: 'long', pnl });
+
+beforeEach(async () => {
+  await StorageService.clearAll();
+  useAttachmentStore.getState().hydrate([]);
+});
+
+describe('attachment encoding', () => {
+  it('round-trips a blob through a data URL', async () => {
+    const url = await blobToDataURL(png([1, 2, 250]));
+    expect(url).toBe('data:image/png;base64,AQL6');
+    const back = dataURLToBlob(url);
+    expect(back.type).toBe('image/png');
+    expect([...new Uint8Array(await back.arrayBuffer())]).toEqual([1, 2, 250]);
+    expect(dataURLToBlob('https://example.com/a.png')).toBeNull();
+  });
+});
+
+describe('StorageService.attachments', () => {
+  it('stores blobs and lists metadata only', async () => {
+    await StorageService.attachments.put(mkAttachment('a2', 't1', 2));
+    await StorageService.attachments.put(mkAttachment('a1', 't1', 1));
+    await StorageService.attachments.put(mkAttachment('b1', 't2'));
+
+    const list = await StorageService.attachments.list();
+    expect(list.data).toHaveLength(3);
+    expect(list.data[0].blob).toBeUndefined();
+
+    const forTrade = await StorageService.attachments.forTrade('t1');
+    expect(forTrade.data.map((a) => a.id)).toEqual(['a1', 'a2']);
+
+    const full = await StorageService.attachments.get('a1');
+    expect(full.data.blob.size).toBe(7);
+
+    expect((await StorageService.attachments.deleteForTrade('t1')).data).toBe(2);
+    expect((await StorageService.attachments.get('a1')).data).toBeNull();
+    expect((await StorageService.attachments.usage()).data).toEqual({ count: 1, bytes: 7 });
+  });
+
+  it('exports to and restores from JSON-safe records', async () => {
+    await StorageService.attachments.put(mkAttachment('a1', 't1'));
+    await StorageService.attachments.put(mkAttachment('b1', 't2'));
+
+    const exported = await StorageService.attachments.exportAll(['t1']);
+    expect(exported.data).toHaveLength(1);
+    expect(exported.data[0].data).toMatch(/^data:image\/png;base64,/);
+    expect(exported.data[0].blob).toBeUndefined();
+
+    await StorageService.clearAll();
+    const restored = await StorageService.attachments.importAll(JSON.parse(JSON.stringify(exported.data)));
+    expect(restored.data).toBe(1);
+    const back = await StorageService.attachments.get('a1');
+    expect(back.data).toMatchObject({ tradeId: 't1', name: 'a1.png', size: 7 });
+    expect(back.data.blob.type).toBe('image/png');
+  });
+});
+
+describe('JSON backups', () => {
+  it('carry attachments of the exported trades only', async () => {
+    await StorageService.attachments.put(mkAttachment('a1', 't1'));
+    await StorageService.attachments.put(mkAttachment('x1', 'gone'));
+    const attachments = (await StorageService.attachments.exportAll()).data;
+
+    const json = exportJSON([mkTrade('t1', '2025-01-02T10:00:00Z')], { attachments });
+    const parsed = JSON.parse(json);
+    expect(parsed.attachmentCount).toBe(1);
+    expect(parsed.attachments[0].id).toBe('a1');
+    expect(JSON.parse(exportJSON([])).attachments).toBeUndefined();
+
+    const file = new File([json], 'backup.json', { type: 'application/json' });
+    const result = await importFile(file);
+    expect(result.ok).toBe(true);
+    expect(result.attachments.map((a) => a.id)).toEqual(['a1']);
+  });
+
+  it('default the account only for trades without one', async () => {
+    const json = exportJSON([
+      { ...mkTrade('t1', '2025-01-02T10:00:00Z'), accountId: 'acct_eval' },
+      mkTrade('t2', '2025-01-03T10:00:00Z'),
+    ]);
+    const file = new File([json], 'backup.json', { type: 'application/json' });
+    const result = await importFile(file, null, { accountId: 'acct_live' });
+    expect(result.ok).toBe(true);
+    expect(result.trades.map((t) => t.accountId)).toEqual(['acct_eval', 'acct_live']);
+  });
+});
+
+describe('quota accounting', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('checkQuota reports attachment usage', async () => {
+    await StorageService.attachments.put(mkAttachment('a1', 't1'));
+    await StorageService.attachments.put(mkAttachment('a2', 't1'));
+    const res = await StorageService.checkQuota();
+    expect(res.data.attachments).toEqual({ count: 2, bytes: 14 });
+  });
+
+  it('quotaRecovery removes the attachments of the oldest trades', async () => {
+    vi.stubGlobal('navigator', { storage: { estimate: async () => ({ usage: 95, quota: 100 }) } });
+    const trades = Array.from({ length: 5 }, (_, i) => mkTrade(`t${i}`, `2025-01-0${i + 1}T10:00:00Z`));
+    await StorageService.trades.bulkPut(trades);
+    await StorageService.attachments.put(mkAttachment('old', 't0'));
+    await StorageService.attachments.put(mkAttachment('new', 't4'));
+
+    const res = await StorageService.quotaRecovery();
+    expect(res).toMatchObject({ ok: true, freed: 1, attachmentsRemoved: 1, attachmentBytes: 7 });
+    const left = await StorageService.attachments.list();
+    expect(left.data.map((a) => a.id)).toEqual(['new']);
+  });
+});
+
+describe('useAttachmentStore', () => {
+  it('adds, validates and removes attachments', async () => {
+    const store = useAttachmentStore.getState();
+    const res = await store.addAttachment('t1', png(), { source: 'drop', name: 'setup.png' });
+    expect(res.ok).toBe(true);
+    expect(res.data).toMatchObject({ tradeId: 't1', name: 'setup.png', source: 'drop' });
+    expect(store.forTrade('t1')).toHaveLength(1);
+    expect((await store.getBlob(res.data.id)).size).toBe(7);
+
+    const text = new Blob(['hi'], { type: 'text/plain' });
+    expect((await store.addAttachment('t1', text)).error).toMatch(/images/);
+    expect((await store.captureChartFor('t1')).error).toMatch(/No chart/);
+
+    await store.removeAttachment(res.data.id);
+    expect(useAttachmentStore.getState().byTrade).toEqual({});
+    expect((await StorageService.attachments.list()).data).toEqual([]);
+  });
+
+  it('prunes only attachments of trades recorded as deleted', async () => {
+    const store = useAttachmentStore.getState();
+    await store.addAttachment('keep', png());
+    await store.addAttachment('gone', png());
+    await store.addAttachment('undone', png());
+
+    // An empty trade list (failed load) removes nothing unrecorded
+    expect(await store.prunePendingDeletes([])).toBe(0);
+
+    store.markDeleted(['gone', 'undone', 'no-attachments']);
+    store.unmarkDeleted(['undone']);
+    expect(useAttachmentStore.getState().pendingDelete).toEqual(['gone']);
+    expect((await StorageService.settings.get('attachmentsPendingDelete')).data).toEqual(['gone']);
+
+    expect(await store.prunePendingDeletes([])).toBe(1);
+    expect(Object.keys(useAttachmentStore.getState().byTrade).sort()).toEqual(['keep', 'undone']);
+    expect(useAttachmentStore.getState().pendingDelete).toEqual([]);
+  });
+
+  it('restores backups', async () => {
+    const store = useAttachmentStore.getState();
+    await store.addAttachment('keep', png());
+
+    const backup = await store.exportBackup();
+    await StorageService.clearAll();
+    store.hydrate([]);
+    expect((await store.importBackup(backup)).data).toBe(1);
+    expect(useAttachmentStore.getState().forTrade('keep')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,170 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Backtester Tests
+// Tests for: strategy signals from scripts, fill timing, stops and
+// targets, reversals, commission/slippage models, computeFast output
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect } from 'vitest';
+import { executeScript } from '../engine/ScriptEngine.js';
+import { runBacktest, backtestScript, commissionFor, slippageFor, maxDrawdown } from '../engine/Backtester.js';
+import { computeFast } from '../engine/analyticsFast.js';
+import { normalizeTrade, validateTrade } from '../engine/TradeSchema.js';
+
+const DAY = 86400000;
+const T0 = Date.UTC(2025, 0, 6);
+const mkBars = (rows) => rows.map(([open, high, low, close], i) => ({ time: T0 + i * DAY, open, high, low, close, volume: 1000 }));
+const flat = (prices) => mkBars(prices.map((p) => [p, p + 1, p - 1, p]));
+const sig = (action, direction, barIdx, extra = {}) => ({ action, direction, barIdx, qty: null, stop: null, limit: null, comment: '', ...extra });
+
+describe('strategy API', () => {
+  it('collects signals from boolean series and bar indexes', () => {
+    const bars = flat([10, 11, 12, 13]);
+    const res = executeScript(`
+      strategy.entry('long', [false, true, false, false], { stop: 9 });
+      strategy.exit(3);
+      strategy.entry('sell', 2);
+    `, bars);
+    expect(res.error).toBeNull();
+    expect(res.signals).toEqual([
+      sig('entry', 'long', 1, { stop: 9 }),
+      sig('exit', null, 3),
+      sig('entry', 'short', 2),
+    ]);
+    expect(res.outputs.filter((o) => o.type === 'marker')).toHaveLength(3);
+  });
+
+  it('rejects unknown directions', () => {
+    const res = executeScript(`strategy.entry('up', 1)`, flat([1, 2]));
+    expect(res.error).toMatch(/direction/);
+    expect(res.signals).toEqual([]);
+  });
+});
+
+describe('runBacktest', () => {
+  it('fills at the next open by default', () => {
+    const bars = flat([100, 102, 104, 106, 108]);
+    const { trades } = runBacktest(bars, [sig('entry', 'long', 0), sig('exit', null, 2)]);
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({ side: 'long', entry: 102, exit: 106, pnl: 4, qty: 1 });
+    expect(trades[0].date).toBe(new Date(T0 + DAY).toISOString());
+    expect(trades[0].backtest).toEqual({ entryBar: 1, exitBar: 3, exitReason: 'signal' });
+  });
+
+  it('fills at the signal bar close when asked', () => {
+    const bars = flat([100, 102, 104]);
+    const { trades } = runBacktest(bars, [sig('entry', 'short', 0), sig('exit', 'short', 2)], { fillOn: 'close' });
+    expect(trades[0]).toMatchObject({ side: 'short', entry: 100, exit: 104, pnl: -4 });
+  });
+
+  it('takes the stop when stop and target share a bar, and fills gaps at the open', () => {
+    const bars = mkBars([[100, 100, 100, 100], [100, 101, 99, 100], [100, 106, 94, 100]]);
+    const both = runBacktest(bars, [sig('entry', 'long', 0, { stop: 95, limit: 105 })]);
+    expect(both.trades[0]).toMatchObject({ exit: 95, pnl: -5, rMultiple: -1 });
+    expect(both.trades[0].backtest.exitReason).toBe('stop');
+
+    const gap = mkBars([[100, 100, 100, 100], [100, 101, 99, 100], [90, 91, 88, 89]]);
+    expect(runBacktest(gap, [sig('entry', 'long', 0, { stop: 95 })]).trades[0].exit).toBe(90);
+  });
+
+  it('exits at the limit price on targets', () => {
+    const bars = mkBars([[100, 100, 100, 100], [100, 101, 99, 100], [101, 108, 100, 107]]);
+    const { trades } = runBacktest(bars, [sig('entry', 'long', 0, { limit: 105 })], { slippage: { type: 'points', value: 1 } });
+    expect(trades[0].entry).toBe(101); // market fill slipped
+    expect(trades[0].exit).toBe(105);  // limit fill not slipped
+    expect(trades[0].backtest.exitReason).toBe('target');
+  });
+
+  it('reverses on an opposite entry and ignores same-direction entries', () => {
+    const bars = flat([100, 101, 102, 103, 104, 105]);
+    const { trades } = runBacktest(bars, [sig('entry', 'long', 0), sig('entry', 'long', 1), sig('entry', 'short', 2)]);
+    expect(trades.map((t) => [t.side, t.entry, t.exit, t.backtest.exitReason])).toEqual([
+      ['long', 101, 103, 'reverse'],
+      ['short', 103, 105, 'end'],
+    ]);
+  });
+
+  it('can leave the last position open', () => {
+    const res = runBacktest(flat([100, 101, 102]), [sig('entry', 'long', 0)], { closeAtEnd: false });
+    expect(res.trades).toEqual([]);
+    expect(res.open).toEqual({ side: 'long', qty: 1, entry: 101, entryBar: 1 });
+  });
+
+  it('applies commission, slippage and point value', () => {
+    const bars = flat([100, 100, 110, 110]);
+    const { trades, equity } = runBacktest(bars, [sig('entry', 'long', 0, { qty: 2 }), sig('exit', null, 2)], {
+      pointValue: 50,
+      commission: { type: 'perContract', value: 2.5 },
+      slippage: { type: 'ticks', value: 1, tickSize: 0.25 },
+    });
+    const t = trades[0];
+    expect(t.entry).toBe(100.25);
+    expect(t.exit).toBe(109.75);
+    expect(t.pnl).toBe(940);   // 9.5 × 2 × 50, less fees
+    expect(t.fees).toBe(10);   // 2.5 × 2 contracts × 2 fills
+    expect(t.executions.map((e) => e.side)).toEqual(['buy', 'sell']);
+    expect(equity[equity.length - 1].equity).toBe(940);
+  });
+
+  it('produces schema-valid journal trades', () => {
+    const { trades } = runBacktest(flat([100, 101, 102]), [sig('entry', 'long', 0, { stop: 99 })], { symbol: 'ES', pointValue: 50 });
+    const n = normalizeTrade(trades[0]);
+    expect(validateTrade(n).valid).toBe(true);
+    expect(n.tags).toEqual(['backtest']);
+    expect(n.pointValue).toBe(50);
+  });
+});
+
+describe('cost models', () => {
+  it('computes commission and slippage variants', () => {
+    expect(commissionFor({ type: 'perTrade', value: 5 }, 100, 10)).toBe(5);
+    expect(commissionFor({ type: 'percent', value: 0.1 }, 100, 10)).toBeCloseTo(1, 10);
+    expect(commissionFor(undefined, 100, 10)).toBe(0);
+    expect(slippageFor({ type: 'percent', value: 0.5 }, 200)).toBe(1);
+    expect(slippageFor({ type: 'points', value: 0.5 }, 200)).toBe(0.5);
+  });
+
+  it('counts commission in win rate, profit factor and drawdown', () => {
+    // Four +10 round trips, each paying 20 in fees: -40 net
+    const bars = flat([100, 110, 100, 110, 100, 110, 100, 110]);
+    const signals = [0, 2, 4, 6].flatMap((i) => [sig('entry', 'long', i), sig('exit', null, i + 1)]);
+    const { trades, equity } = runBacktest(bars, signals, { fillOn: 'close', commission: { type: 'perTrade', value: 10 } });
+    expect(trades.map((t) => t.pnl)).toEqual([-10, -10, -10, -10]);
+    const a = computeFast(trades, { mcRuns: 0 });
+    expect(a.totalPnl).toBe(-40);
+    expect(a.winRate).toBe(0);
+    expect(a.pf).toBe(0);
+    expect(maxDrawdown(equity.map((e) => e.equity))).toBe(40);
+  });
+
+  it('measures drawdown in dollars from flat', () => {
+    expect(maxDrawdown([50, 100, 40, 120, 90])).toBe(60);
+    expect(maxDrawdown([-10, -30, -20])).toBe(30);
+    expect(maxDrawdown([])).toBe(0);
+  });
+});
+
+describe('backtestScript', () => {
+  const code = `
+    const fast = sma(close, param('fast', 2));
+    const slow = sma(close, param('slow', 4));
+    strategy.entry('long', crossover(fast, slow));
+    strategy.exit(crossunder(fast, slow));
+  `;
+  const prices = [10, 9, 8, 7, 8, 9, 10, 11, 12, 11, 10, 9, 8, 7, 8, 9, 10, 11];
+
+  it('runs a crossover strategy end to end into analytics', () => {
+    const res = backtestScript(code, flat(prices), { symbol: 'TEST' });
+    expect(res.error).toBeNull();
+    expect(res.trades.length).toBeGreaterThan(0);
+    expect(res.trades.every((t) => t.symbol === 'TEST')).toBe(true);
+    expect(res.analytics.tradeCount).toBe(res.trades.length);
+    expect(res.params.fast.default).toBe(2);
+  });
+
+  it('reports script errors without trades', () => {
+    const res = backtestScript('strategy.entry(', flat(prices));
+    expect(res.error).toBeTruthy();
+    expect(res.trades).toEqual([]);
+    expect(res.analytics).toBeNull();
+  });
+});
@@ -0,0 +1,205 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Bar Transform Tests
+// Tests for: Renko bricks and reversals, ATR box sizing, range bars,
+// Kagi yang/yin switching, Point & Figure columns, chart type
+// registry wiring, irregular time labels
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect } from 'vitest';
+import {
+  toRenko,
+  toRangeBars,
+  toKagi,
+  toPointFigure,
+  atrBoxSize,
+  resolveBoxSize,
+} from '../chartEngine/renderers/BarTransforms.js';
+import {
+  CHART_TYPES,
+  getChartDrawFunction,
+  transformBars,
+  resolveChartTypeParams,
+  isTimeBased,
+  drawCandlesticks,
+  drawRenko,
+} from '../chartEngine/renderers/ChartTypes.js';
+import { formatTimeLabel } from '../chartEngine/CoordinateSystem.js';
+
+const MIN = 60000;
+const T0 = Date.UTC(2025, 0, 6, 9, 30);
+const mkBars = (rows) => rows.map(([open, high, low, close], i) => ({ time: T0 + i * MIN, open, high, low, close, volume: 100 }));
+const closes = (prices) => mkBars(prices.map((p) => [p, p, p, p]));
+
+describe('toRenko', () => {
+  it('builds continuation bricks and needs two boxes to reverse', () => {
+    const bricks = toRenko(closes([100, 103, 112, 108, 107, 95]), { boxSize: 5 });
+    expect(bricks.map((b) => [b.open, b.close])).toEqual([
+      [100, 105],
+      [105, 110],
+      // 108 and 107 stay inside the reversal threshold (100)
+      [105, 100],
+      [100, 95],
+    ]);
+    expect(bricks.map((b) => b.dir)).toEqual([1, 1, -1, -1]);
+  });
+
+  it('stamps bricks with the source bar time and carries volume once', () => {
+    const bricks = toRenko(closes([100, 101, 112]), { boxSize: 5 });
+    expect(bricks).toHaveLength(2);
+    expect(bricks[0].time).toBe(T0 + 2 * MIN);
+    expect(bricks[1].time).toBe(T0 + 2 * MIN);
+    expect(bricks[0].volume).toBe(300);
+    expect(bricks[1].volume).toBe(0);
+  });
+
+  it('stays on the box grid with fractional sizes', () => {
+    const bricks = toRenko(closes([1.0, 1.31, 1.62]), { boxSize: 0.1 });
+    expect(bricks).toHaveLength(6);
+    expect(bricks[5].close).toBeCloseTo(1.6, 10);
+  });
+
+  it('sizes boxes from ATR when asked', () => {
+    const bars = mkBars(Array.from({ length: 30 }, (_, i) => [100 + i, 102 + i, 98 + i, 101 + i]));
+    const size = atrBoxSize(bars, 14);
+    expect(size).toBeGreaterThan(3);
+    expect(size).toBeLessThan(5);
+    expect(resolveBoxSize(bars, 10, { method: 'atr' })).toBe(size);
+    expect(resolveBoxSize(bars, 10, { method: 'fixed' })).toBe(10);
+    expect(toRenko(bars, { method: 'atr' }).length).toBeGreaterThan(0);
+  });
+
+  it('returns nothing without data or a usable size', () => {
+    expect(toRenko([], { boxSize: 5 })).toEqual([]);
+    expect(toRenko(closes([100, 100]), { method: 'atr' })).toEqual([]);
+  });
+});
+
+describe('toRangeBars', () => {
+  it('closes each bar when its range is reached and opens the next there', () => {
+    const bars = toRangeBars(mkBars([[100, 112, 99, 111]]), { range: 5 });
+    // path 100 → 99 → 112 → 111
+    expect(bars.map((b) => [b.open, b.high, b.low, b.close])).toEqual([
+      [100, 104, 99, 104],
+      [104, 109, 104, 109],
+      [109, 112, 109, 111],
+    ]);
+    for (const b of bars.slice(0, -1)) expect(b.high - b.low).toBe(5);
+  });
+
+  it('keeps a forming bar and follows reversals', () => {
+    const bars = toRangeBars(closes([100, 103, 98]), { range: 4 });
+    expect(bars.map((b) => [b.open, b.close])).toEqual([[100, 99], [99, 98]]);
+    expect(bars[0].high - bars[0].low).toBe(4);
+  });
+});
+
+describe('toKagi', () => {
+  it('extends with the trend and reverses on the reversal amount', () => {
+    const cols = toKagi(closes([100, 104, 110, 107, 105, 112, 101]), { reversal: 4 });
+    expect(cols.map((c) => [c.open, c.close, c.dir])).toEqual([
+      [100, 110, 1],
+      [110, 105, -1],
+      [105, 112, 1],
+      [112, 101, -1],
+    ]);
+  });
+
+  it('switches yang/yin at the prior shoulder and waist', () => {
+    const cols = toKagi(closes([100, 110, 105, 112, 101, 108, 99]), { reversal: 4 });
+    expect(cols.map((c) => [c.yang, c.switchAt])).toEqual([
+      [true, null],
+      [true, null],
+      [true, null],
+      // broke the prior waist (105): thin from there
+      [true, 105],
+      [false, null],
+      // broke the next waist while yin: no change
+      [false, null],
+    ]);
+    const more = toKagi(closes([100, 110, 105, 112, 101, 108, 99, 115]), { reversal: 4 });
+    // rally through the prior shoulder (108) turns it yang again
+    expect(more[more.length - 1].switchAt).toBe(108);
+  });
+
+  it('supports percentage reversals', () => {
+    const cols = toKagi(closes([1000, 1015, 1030, 1005]), { reversal: 2, method: 'percent' });
+    expect(cols.map((c) => c.close)).toEqual([1030, 1005]);
+    expect(toKagi(closes([1000, 1015]), { reversal: 2, method: 'percent' })).toEqual([]);
+  });
+});
+
+describe('toPointFigure', () => {
+  it('builds X and O columns with a three-box reversal', () => {
+    const cols = toPointFigure(closes([100, 104, 109, 107, 105, 103, 110]), { boxSize: 1, reversal: 3 });
+    expect(cols.map((c) => [c.dir, c.low, c.high, c.boxes])).toEqual([
+      [1, 100, 109, 10],
+      [-1, 103, 108, 6],
+      [1, 104, 110, 7],
+    ]);
+    expect(cols[0].open).toBe(100);
+    expect(cols[1].open).toBe(108);
+    expect(cols[1].close).toBe(103);
+  });
+
+  it('ignores moves smaller than the reversal', () => {
+    const cols = toPointFigure(closes([100, 105, 103, 106]), { boxSize: 1, reversal: 3 });
+    expect(cols).toHaveLength(1);
+    expect(cols[0].high).toBe(106);
+  });
+
+  it('uses highs and lows with source hl', () => {
+    const bars = mkBars([[100, 100, 100, 100], [100, 106, 99, 101], [101, 102, 96, 97]]);
+    const byClose = toPointFigure(bars, { boxSize: 2, reversal: 2 });
+    const byHL = toPointFigure(bars, { boxSize: 2, reversal: 2, source: 'hl' });
+    // Closes never rallied a box: one O column
+    expect(byClose.map((c) => [c.dir, c.low, c.high])).toEqual([[-1, 98, 100]]);
+    expect(byHL.map((c) => [c.dir, c.low, c.high])).toEqual([[1, 100, 106], [-1, 96, 104]]);
+  });
+});
+
+describe('chart type registry', () => {
+  const bars = closes([100, 103, 112, 108, 107, 95]);
+
+  it('registers the non-time-based types with transforms and draw functions', () => {
+    for (const id of ['renko', 'range', 'kagi', 'pnf']) {
+      expect(CHART_TYPES[id].timeBased).toBe(false);
+      expect(isTimeBased(id)).toBe(false);
+      expect(typeof getChartDrawFunction(id)).toBe('function');
+    }
+    expect(isTimeBased('candlestick')).toBe(true);
+    expect(getChartDrawFunction('renko')).toBe(drawRenko);
+    expect(getChartDrawFunction('range')).toBe(drawCandlesticks);
+  });
+
+  it('transforms only non-time-based types', () => {
+    expect(transformBars('candlestick', bars)).toBe(bars);
+    expect(transformBars('renko', bars, { boxSize: 5, method: 'fixed' })).toHaveLength(4);
+  });
+
+  it('pins ATR sizes to a fixed value', () => {
+    const params = resolveChartTypeParams('renko', bars);
+    expect(params.method).toBe('fixed');
+    expect(params.boxSize).toBe(atrBoxSize(bars, 14));
+    expect(resolveChartTypeParams('kagi', bars, { reversal: 2, method: 'percent' })).toMatchObject({ reversal: 2, method: 'percent' });
+  });
+});
+
+describe('formatTimeLabel with irregular bars', () => {
+  const at = (y, mo, d, h, m) => new Date(y, mo, d, h, m).getTime();
+
+  it('labels by the coarsest unit that changed', () => {
+    expect(formatTimeLabel(at(2025, 0, 6, 14, 5), null, at(2025, 0, 6, 9, 30))).toBe('14:05');
+    expect(formatTimeLabel(at(2025, 0, 9, 14, 5), null, at(2025, 0, 6, 9, 30))).toBe('Jan 9');
+    expect(formatTimeLabel(at(2025, 0, 2, 14, 5), null, at(2024, 11, 30, 9, 30))).toBe('2025');
+  });
+
+  it('shows the full date and time without a previous label', () => {
+    const now = new Date();
+    expect(formatTimeLabel(at(now.getFullYear(), 2, 4, 8, 0), null)).toBe('Mar 4 08:00');
+    expect(formatTimeLabel(at(2019, 2, 4, 8, 0), null)).toBe('Mar 4 2019 08:00');
+  });
+
+  it('keeps timeframe formats for time-based charts', () => {
+    expect(formatTimeLabel(at(2025, 0, 6, 14, 5), '1D')).toBe('Jan 6');
+  });
+});
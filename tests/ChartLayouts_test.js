@@ -0,0 +1,176 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Multi-Chart Layout Tests
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  CHART_LAYOUTS,
+  availableLayouts,
+  layoutPaneCount,
+  gridTemplate,
+  cellArea,
+  createPane,
+  resizePanes,
+  applyPaneUpdate,
+  linkedPaneIds,
+  timeRangeOfViewport,
+  viewportForTimeRange,
+  timeAtIndex,
+  fractionalIndexAtTime,
+} from '../engine/ChartLayouts.js';
+import { useChartStore } from '../state/useChartStore.js';
+import { captureState, restoreState } from '../state/useWorkspaceStore.js';
+
+const H = 3_600_000;
+const bars = (n, ms = H, start = 0) => Array.from({ length: n }, (_, i) => ({ time: start + i * ms }));
+
+describe('layout definitions', () => {
+  it('gives every layout one cell per pane inside its grid', () => {
+    for (const l of Object.values(CHART_LAYOUTS)) {
+      for (const c of l.cells) {
+        expect(c.row + (c.rowSpan || 1) - 1).toBeLessThanOrEqual(l.rows);
+        expect(c.col + (c.colSpan || 1) - 1).toBeLessThanOrEqual(l.cols);
+      }
+    }
+    expect(layoutPaneCount('1+3')).toBe(4);
+    expect(layoutPaneCount('3x3')).toBe(9);
+    expect(layoutPaneCount('nope')).toBe(0);
+  });
+
+  it('filters layouts by plan limit', () => {
+    const free = availableLayouts(4).map((l) => l.id);
+    expect(free).toContain('1+3');
+    expect(free).not.toContain('3x3');
+    expect(availableLayouts(16).map((l) => l.id)).toContain('4x4');
+  });
+
+  it('builds CSS grid properties', () => {
+    expect(gridTemplate('1x2').gridTemplateColumns).toBe('repeat(2, minmax(0, 1fr))');
+    expect(cellArea(CHART_LAYOUTS['1+3'].cells[0])).toBe('1 / 1 / span 3 / span 1');
+  });
+});
+
+describe('panes', () => {
+  it('keeps existing panes and fills new ones with unused symbols', () => {
+    const first = createPane({ symbol: 'eth', tf: '4h' });
+    const out = resizePanes([first], 3, { tf: '15m' });
+    expect(out[0]).toBe(first);
+    expect(out.map((p) => p.symbol)).toEqual(['ETH', 'BTC', 'SOL']);
+    expect(out[1].tf).toBe('15m');
+    expect(resizePanes(out, 2)).toHaveLength(2);
+  });
+
+  it('propagates symbols within a group and intervals when linked', () => {
+    const panes = [
+      createPane({ id: 'a', group: 'A' }),
+      createPane({ id: 'b', group: 'A' }),
+      createPane({ id: 'c', group: 'B' }),
+    ];
+    let out = applyPaneUpdate(panes, 'a', { symbol: 'sol', tf: '5m' });
+    expect(out.map((p) => p.symbol)).toEqual(['SOL', 'SOL', 'BTC']);
+    expect(out.map((p) => p.tf)).toEqual(['5m', '1h', '1h']);
+
+    out = applyPaneUpdate(panes, 'c', { tf: '4h' }, { interval: true });
+    expect(out.every((p) => p.tf === '4h')).toBe(true);
+    expect(linkedPaneIds(panes, 'a')).toEqual(['b']);
+    expect(linkedPaneIds(panes, 'c')).toEqual([]);
+  });
+
+  it('drops unknown link groups', () => {
+    const out = applyPaneUpdate([createPane({ id: 'a' })], 'a', { group: 'Z' });
+    expect(out[0].group).toBeNull();
+  });
+});
+
+describe('time-range sync', () => {
+  it('round-trips a viewport on the same bars', () => {
+    const b = bars(500);
+    const range = timeRangeOfViewport(b, { scrollOffset: 40, visibleBars: 80 }, H);
+    expect(viewportForTimeRange(b, range, H)).toEqual({ scrollOffset: 40, visibleBars: 80 });
+  });
+
+  it('maps a range onto a lower timeframe', () => {
+    const hourly = bars(500);
+    const range = timeRangeOfViewport(hourly, { scrollOffset: 100, visibleBars: 50 }, H);
+    const quarter = bars(2000, H / 4);
+    const vp = viewportForTimeRange(quarter, range, H / 4);
+    expect(vp.visibleBars).toBe(197);
+    const back = timeRangeOfViewport(quarter, vp, H / 4);
+    expect(Math.abs(back.to - range.to)).toBeLessThan(H / 4);
+  });
+
+  it('extends past the live edge and clamps zoom', () => {
+    const b = bars(100);
+    const vp = viewportForTimeRange(b, { from: 98 * H, to: 105 * H }, H);
+    expect(vp).toEqual({ scrollOffset: 0, visibleBars: 10 });
+    expect(viewportForTimeRange(b, { from: 5, to: 1 }, H)).toBeNull();
+  });
+
+  it('converts between times and fractional bar indexes', () => {
+    const b = [...bars(3), { time: 10 * H }];
+    for (const idx of [-2, 0, 1.5, 2.25, 3, 7.5]) {
+      expect(fractionalIndexAtTime(b, timeAtIndex(b, idx, H), H)).toBeCloseTo(idx, 9);
+    }
+    expect(timeAtIndex(b, 2.5, H)).toBe(6 * H);
+  });
+});
+
+describe('useChartStore layouts', () => {
+  beforeEach(() => {
+    useChartStore.setState({
+      symbol: 'BTC', tf: '1h', layout: '1x1', panes: [], quadMode: false, maxCharts: 4,
+      paneLinks: { interval: false, crosshair: true, timeRange: false }, activePaneId: null,
+    });
+  });
+
+  it('opens a layout seeded with the main chart symbol', () => {
+    expect(useChartStore.getState().setLayout('1x2')).toBe(true);
+    const s = useChartStore.getState();
+    expect(s.quadMode).toBe(true);
+    expect(s.panes.map((p) => p.symbol)).toEqual(['BTC', 'ETH']);
+    expect(s.activePaneId).toBe(s.panes[0].id);
+  });
+
+  it('refuses layouts above maxCharts', () => {
+    expect(useChartStore.getState().setLayout('3x3')).toBe(false);
+    useChartStore.getState().setMaxCharts(16);
+    expect(useChartStore.getState().setLayout('3x3')).toBe(true);
+    useChartStore.getState().setMaxCharts(4);
+    expect(useChartStore.getState().layout).toBe('1x1');
+    expect(useChartStore.getState().quadMode).toBe(false);
+  });
+
+  it('keeps quad mode working with quadSymbols', () => {
+    useChartStore.getState().toggleQuadMode();
+    const s = useChartStore.getState();
+    expect(s.layout).toBe('2x2');
+    expect(s.panes.map((p) => p.symbol)).toEqual(s.quadSymbols);
+    s.setQuadSymbols(['AAA', 'BBB', 'CCC', 'DDD']);
+    expect(useChartStore.getState().panes[1].symbol).toBe('BBB');
+    useChartStore.getState().toggleQuadMode();
+    expect(useChartStore.getState().quadMode).toBe(false);
+  });
+
+  it('saves and restores layouts through the workspace snapshot', () => {
+    const store = useChartStore.getState();
+    store.setLayout('1+3');
+    const [a, b] = useChartStore.getState().panes;
+    store.updatePane(a.id, { group: 'A', tf: '15m' });
+    store.updatePane(b.id, { group: 'A' });
+    store.setPaneLink('timeRange', true);
+
+    const snap = captureState({ chartStore: useChartStore });
+    expect(snap.layout.layout).toBe('1+3');
+    expect(snap.layout.panes).toHaveLength(4);
+
+    store.setLayout('1x1');
+    useChartStore.setState({ panes: [] });
+    restoreState(snap, { chartStore: useChartStore });
+
+    const s = useChartStore.getState();
+    expect(s.layout).toBe('1+3');
+    expect(s.panes[0].tf).toBe('15m');
+    expect(s.panes[1].group).toBe('A');
+    expect(s.paneLinks.timeRange).toBe(true);
+  });
+});
@@ -0,0 +1,164 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Continuous Futures Tests
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect } from 'vitest';
+import {
+  continuousRoot,
+  rollSegments,
+  buildContinuous,
+  mapTradeToContinuous,
+  mapTradesToContinuous,
+} from '../engine/ContinuousFutures.js';
+import { createContinuousFeed } from '../chartEngine/feeds/ContinuousFeed.js';
+import { useChartStore } from '../state/useChartStore.js';
+
+const D = (m, d) => Date.UTC(2025, m - 1, d, 14, 30);
+
+/** Weekday daily bars from `from` to `to` (inclusive) */
+function daily(from, to, close, volume = () => 100) {
+  const bars = [];
+  for (let t = from; t <= to; t += 86_400_000) {
+    const dow = new Date(t).getUTCDay();
+    if (dow === 0 || dow === 6) continue;
+    bars.push({ time: t, open: close, high: close + 1, low: close - 1, close, volume: volume(t) });
+  }
+  return bars;
+}
+
+const ESU5 = daily(D(8, 1), D(9, 19), 100, (t) => (t < D(9, 5) ? 1000 : 100));
+const ESZ5 = daily(D(8, 1), D(12, 19), 110, (t) => (t < D(9, 5) ? 100 : 2000));
+const ESH6 = daily(D(11, 3), Date.UTC(2025, 11, 31, 14, 30), 115);
+
+describe('continuousRoot', () => {
+  it('recognises continuous symbols but not single contracts', () => {
+    expect(continuousRoot('ES')).toBe('ES');
+    expect(continuousRoot('ES1!')).toBe('ES');
+    expect(continuousRoot('/NQ')).toBe('NQ');
+    expect(continuousRoot('MES')).toBe('MES');
+    expect(continuousRoot('ESZ5')).toBeNull();
+    expect(continuousRoot('AAPL')).toBeNull();
+  });
+});
+
+describe('rollSegments', () => {
+  it('rolls on the exchange calendar', () => {
+    const segs = rollSegments({ ESU5, ESZ5 }, { root: 'ES' });
+    expect(segs.map((s) => s.code)).toEqual(['ESU5', 'ESZ5']);
+    expect(new Date(segs[0].end).toISOString()).toBe('2025-09-11T21:00:00.000Z');
+    expect(segs[1].start).toBe(segs[0].end);
+    expect(segs[1].end).toBe(Infinity);
+  });
+
+  it('rolls the session after volume crosses over', () => {
+    const segs = rollSegments({ ESU5, ESZ5 }, { root: 'ES', roll: 'volume' });
+    // Sep 5 is the first day ESZ5 trades more; Monday Sep 8 is on ESZ5
+    expect(segs[0].end).toBe(D(9, 8));
+  });
+});
+
+describe('buildContinuous', () => {
+  it('back-adjusts by difference', () => {
+    const c = buildContinuous({ ESU5, ESZ5 }, { root: 'ES', adjust: 'difference' });
+    expect(c.segments[0].offset).toBe(10);
+    expect(c.bars.find((b) => b.time === D(9, 10))).toMatchObject({ close: 110, high: 111, contract: 'ESU5' });
+    expect(c.bars.find((b) => b.time === D(9, 12))).toMatchObject({ close: 110, contract: 'ESZ5' });
+    expect(c.bars.every((b, i) => i === 0 || b.time > c.bars[i - 1].time)).toBe(true);
+  });
+
+  it('back-adjusts by ratio, or not at all', () => {
+    const ratio = buildContinuous({ ESU5, ESZ5 }, { root: 'ES' });
+    expect(ratio.segments[0].ratio).toBeCloseTo(1.1);
+    expect(ratio.bars[0].high).toBeCloseTo(111.1);
+
+    const raw = buildContinuous({ ESU5, ESZ5 }, { root: 'ES', adjust: 'none' });
+    expect(raw.bars[0].close).toBe(100);
+  });
+});
+
+describe('mapTradeToContinuous', () => {
+  const cont = { ...buildContinuous({ ESU5, ESZ5 }, { root: 'ES', adjust: 'difference' }), symbol: 'ES' };
+
+  it('adjusts contract trades like their bars', () => {
+    const t = mapTradeToContinuous({ id: 1, symbol: 'ESU5', date: '2025-09-02T15:00:00Z', entry: 100, exit: 102, stopLoss: 98 }, cont);
+    expect(t).toMatchObject({ symbol: 'ES', contract: 'ESU5', entry: 110, exit: 112, stopLoss: 108 });
+    // Micros map onto the full-size chart
+    expect(mapTradeToContinuous({ symbol: 'MESU5', date: '2025-09-02', entry: 100 }, cont).entry).toBe(110);
+  });
+
+  it('leaves the front contract and other instruments alone', () => {
+    const [front, other] = mapTradesToContinuous([
+      { symbol: 'ESZ5', date: '2025-10-01', entry: 110 },
+      { symbol: 'AAPL', date: '2025-10-01', entry: 200 },
+    ], cont);
+    expect(front).toMatchObject({ symbol: 'ES', entry: 110 });
+    expect(other).toEqual({ symbol: 'AAPL', date: '2025-10-01', entry: 200 });
+  });
+});
+
+describe('createContinuousFeed', () => {
+  function fakeFeed() {
+    const series = { ESU5, ESZ5, ESH6, BTC: daily(D(8, 1), D(8, 8), 50000) };
+    const subs = [];
+    return {
+      subs,
+      name: 'local',
+      async searchSymbols(q) {
+        return Object.keys(series).filter((s) => s.includes(q)).map((name) => ({ name }));
+      },
+      async resolveSymbol(name) { return { name, exchange: 'Local', supportedResolutions: ['1D'] }; },
+      async getBars(symbol, res, from, to) {
+        const bars = (series[symbol] || []).filter((b) => b.time >= from && b.time <= to);
+        return { bars, noMore: true };
+      },
+      subscribeBars(symbol, res, cb) { subs.push({ symbol, cb }); return `sub${subs.length}`; },
+      unsubscribeBars() {},
+      getStatus() { return 'connected'; },
+    };
+  }
+
+  it('stitches pages onto the newest contract level', async () => {
+    const base = fakeFeed();
+    const feed = createContinuousFeed(base, { adjust: 'difference' });
+    expect(await feed.hasSymbol('ES')).toBe(true);
+    expect(await feed.hasSymbol('NQ')).toBe(false);
+
+    const recent = await feed.getBars('ES', '1D', D(10, 1), Date.UTC(2025, 11, 31, 23));
+    expect(recent.bars[0]).toMatchObject({ close: 115, contract: 'ESZ5' });
+    expect(recent.bars[recent.bars.length - 1]).toMatchObject({ close: 115, contract: 'ESH6' });
+
+    const older = await feed.getBars('ES', '1D', D(8, 1), D(9, 30));
+    expect(older.bars[0]).toMatchObject({ close: 115, contract: 'ESU5' });
+    expect(older.bars[older.bars.length - 1]).toMatchObject({ close: 115, contract: 'ESZ5' });
+
+    const info = feed.continuousInfo('ES', '1D');
+    expect(info.segments.map((s) => [s.code, s.offset])).toEqual([['ESU5', 15], ['ESZ5', 5], ['ESH6', 0]]);
+    expect(mapTradeToContinuous({ symbol: 'ESU5', date: '2025-09-02', entry: 100 }, info).entry).toBe(115);
+  });
+
+  it('streams the front contract and passes other symbols through', async () => {
+    const base = fakeFeed();
+    const feed = createContinuousFeed(base);
+    await feed.getBars('ES', '1D', D(10, 1), Date.UTC(2025, 11, 31, 23));
+    const got = [];
+    feed.subscribeBars('ES', '1D', (b) => got.push(b));
+    expect(base.subs[0].symbol).toBe('ESH6');
+    base.subs[0].cb({ time: D(12, 22), open: 116, high: 117, low: 115, close: 116, volume: 1 });
+    expect(got[0]).toMatchObject({ close: 116, contract: 'ESH6' });
+
+    expect((await feed.getBars('BTC', '1D', D(8, 1), D(8, 8))).bars).toHaveLength(6);
+    expect((await feed.searchSymbols('ES'))[0]).toMatchObject({ name: 'ES', type: 'futures' });
+  });
+});
+
+describe('useChartStore continuous options', () => {
+  it('updates roll and back-adjust, ignoring unknown values', () => {
+    const { setContinuous } = useChartStore.getState();
+    setContinuous({ roll: 'volume' });
+    expect(useChartStore.getState().continuous).toEqual({ roll: 'volume', adjust: 'ratio' });
+    setContinuous({ adjust: 'difference', roll: 'weekly' });
+    expect(useChartStore.getState().continuous).toEqual({ roll: 'volume', adjust: 'difference' });
+    setContinuous(null);
+    expect(useChartStore.getState().continuous).toEqual({ roll: 'volume', adjust: 'difference' });
+  });
+});
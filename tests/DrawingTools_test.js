@@ -0,0 +1,331 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Drawing Tools Tests
+// Tests for: tool point counts and defaults, fib extension / time
+// zone math, measure stats, position R:R and sizing, multi-click
+// creation with preview points, hit testing of the newer tools,
+// trade store hand-off, timeframe visibility rules, per-symbol
+// drawing store
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect } from 'vitest';
+import {
+  createDrawing,
+  DEFAULT_STYLES,
+  TOOL_POINT_COUNT,
+  fibExtensionPrice,
+  fibTimeZones,
+  measureStats,
+  positionLevels,
+  positionMetrics,
+  textBox,
+  normalizeVisibility,
+  isVisibleOnTimeframe,
+  serializeDrawings,
+  deserializeDrawings,
+} from '../chartEngine/tools/DrawingModel.js';
+import { createDrawingEngine } from '../chartEngine/tools/DrawingEngine.js';
+import { useChartTradeStore } from '../state/useChartTradeStore.js';
+import { useChartStore } from '../state/useChartStore.js';
+import { useDrawingStore, bindDrawingEngine } from '../state/useDrawingStore.js';
+
+// 1px = 1 second on x, 1px = 1 price unit on y (inverted)
+const converters = {
+  pixelToPrice: (y) => 1000 - y,
+  pixelToTime: (x) => x * 1000,
+  priceToPixel: (p) => 1000 - p,
+  timeToPixel: (t) => t / 1000,
+};
+
+function engineWith(onComplete) {
+  const engine = createDrawingEngine({ onComplete });
+  engine.setCoordinateConverters(converters);
+  return engine;
+}
+
+/** Place a drawing by clicking the given pixel points, moving between clicks */
+function draw(engine, type, clicks) {
+  engine.activateTool(type);
+  clicks.forEach(([x, y], i) => {
+    if (i > 0) engine.onMouseMove(x - 5, y - 5);
+    engine.onMouseDown(x, y);
+  });
+  return engine.drawings[engine.drawings.length - 1];
+}
+
+const pos = (type, entry, stop, target) => ({
+  ...createDrawing(type),
+  points: [{ price: entry, time: 0 }, { price: stop, time: 0 }, ...(target != null ? [{ price: target, time: 0 }] : [])],
+});
+
+describe('DrawingModel — new tools', () => {
+  it('registers point counts and default styles', () => {
+    for (const type of ['pitchfork', 'fibext', 'fibtime', 'gannfan', 'measure', 'text', 'callout', 'arrow', 'long', 'short']) {
+      expect(TOOL_POINT_COUNT[type]).toBeGreaterThan(0);
+      expect(DEFAULT_STYLES[type]).toBeDefined();
+    }
+    expect(TOOL_POINT_COUNT.pitchfork).toBe(3);
+    expect(TOOL_POINT_COUNT.long).toBe(3);
+  });
+
+  it('projects fib extensions from the third point', () => {
+    const pts = [{ price: 100 }, { price: 120 }, { price: 110 }];
+    expect(fibExtensionPrice(pts, 0)).toBe(110);
+    expect(fibExtensionPrice(pts, 1)).toBe(130);
+    expect(fibExtensionPrice(pts, 1.618)).toBeCloseTo(142.36);
+  });
+
+  it('spaces fib time zones by the first interval', () => {
+    const zones = fibTimeZones([{ time: 1000 }, { time: 1600 }]);
+    expect(zones.slice(0, 6)).toEqual([1000, 1600, 2200, 2800, 4000, 5800]);
+  });
+
+  it('measures price and time ranges', () => {
+    const stats = measureStats([{ price: 100, time: 0 }, { price: 95, time: 3_600_000 }], 900_000);
+    expect(stats.priceChange).toBe(-5);
+    expect(stats.percent).toBe(-5);
+    expect(stats.bars).toBe(4);
+    expect(measureStats([{ price: 1, time: 0 }, { price: 2, time: 1 }]).bars).toBeNull();
+  });
+
+  it('computes R:R and size for long and short positions', () => {
+    const long = positionMetrics(pos('long', 100, 95, 115), 500);
+    expect(long.rr).toBe(3);
+    expect(long.qty).toBe(100);
+    expect(long.valid).toBe(true);
+
+    const short = positionMetrics(pos('short', 100, 104, 92));
+    expect(short.rr).toBe(2);
+    expect(short.qty).toBeNull();
+    expect(short.valid).toBe(true);
+
+    expect(positionMetrics(pos('long', 100, 105, 110)).valid).toBe(false);
+  });
+
+  it('defaults the target to 2R while it is being placed', () => {
+    expect(positionLevels(pos('short', 100, 110)).target).toBe(80);
+    expect(positionLevels(createDrawing('trendline'))).toBeNull();
+  });
+
+  it('sizes text boxes from the note', () => {
+    const d = { ...createDrawing('text'), meta: { text: 'ab\nabcd' } };
+    const box = textBox(d, { x: 10, y: 50 });
+    expect(box.lines).toEqual(['ab', 'abcd']);
+    expect(box.right).toBeGreaterThan(box.left);
+    expect(box.top).toBeLessThan(50);
+    expect(box.bottom).toBeGreaterThan(50);
+  });
+});
+
+describe('DrawingEngine — creation', () => {
+  it('keeps confirmed points when the preview point moves', () => {
+    const engine = engineWith();
+    const d = draw(engine, 'pitchfork', [[100, 500], [200, 400], [200, 600]]);
+    expect(d.points).toEqual([
+      { price: 500, time: 100_000 },
+      { price: 600, time: 200_000 },
+      { price: 400, time: 200_000 },
+    ]);
+    expect(d.state).toBe('idle');
+    expect(engine.state).toBe('idle');
+  });
+
+  it('reports completed drawings and stores text notes', () => {
+    const completed = [];
+    const engine = engineWith((d) => completed.push(d));
+    const d = draw(engine, 'text', [[50, 50]]);
+    expect(completed).toEqual([d]);
+    engine.setText(d.id, 'Breakout retest');
+    expect(engine.drawings[0].meta.text).toBe('Breakout retest');
+  });
+});
+
+describe('DrawingEngine — hit testing', () => {
+  const select = (engine, x, y) => {
+    engine.onMouseDown(x, y);
+    engine.onMouseUp();
+    return engine.selectedDrawing;
+  };
+
+  it('hits pitchfork tines but not the space between', () => {
+    const engine = engineWith();
+    const d = draw(engine, 'pitchfork', [[100, 500], [200, 400], [200, 600]]);
+    expect(select(engine, 300, 400)?.id).toBe(d.id); // upper tine
+    expect(select(engine, 300, 455)).toBeNull();
+    expect(select(engine, 300, 500)?.id).toBe(d.id); // median
+  });
+
+  it('hits gann fan rays', () => {
+    const engine = engineWith();
+    const d = draw(engine, 'gannfan', [[100, 500], [200, 400]]);
+    expect(select(engine, 300, 300)?.id).toBe(d.id); // 1x1
+    expect(select(engine, 300, 450)?.id).toBe(d.id); // 1x4
+    expect(select(engine, 300, 240)).toBeNull();
+  });
+
+  it('hits fib time zone lines', () => {
+    const engine = engineWith();
+    const d = draw(engine, 'fibtime', [[100, 500], [110, 500]]);
+    expect(select(engine, 150, 200)?.id).toBe(d.id); // zone 5
+    expect(select(engine, 165, 200)).toBeNull();
+  });
+
+  it('hits fib extension levels right of the third point', () => {
+    const engine = engineWith();
+    const d = draw(engine, 'fibext', [[100, 500], [150, 400], [200, 450]]);
+    expect(select(engine, 400, 350)?.id).toBe(d.id); // level 1
+    expect(select(engine, 400, 370)).toBeNull();
+  });
+
+  it('hits the body of a position tool', () => {
+    const engine = engineWith();
+    const d = draw(engine, 'long', [[100, 500], [100, 520], [100, 460]]);
+    expect(select(engine, 150, 490)?.id).toBe(d.id);
+    expect(select(engine, 150, 540)).toBeNull();
+  });
+
+  it('hits text boxes and callout labels', () => {
+    const engine = engineWith();
+    const text = draw(engine, 'text', [[100, 100]]);
+    engine.setText(text.id, 'Note');
+    expect(select(engine, 115, 100)?.id).toBe(text.id);
+
+    const callout = draw(engine, 'callout', [[300, 300], [400, 200]]);
+    expect(select(engine, 420, 200)?.id).toBe(callout.id);
+    expect(select(engine, 350, 250)?.id).toBe(callout.id); // leader line
+  });
+});
+
+describe('useChartTradeStore.loadPosition', () => {
+  it('loads position levels into trade entry', () => {
+    const levels = positionLevels(pos('short', 100, 104, 92));
+    useChartTradeStore.getState().loadPosition(levels, 42);
+    const s = useChartTradeStore.getState();
+    expect(s.tradeSide).toBe('short');
+    expect(s.tradeStep).toBe('ready');
+    expect(s.pendingEntry).toEqual({ price: 100, barIdx: 42 });
+    expect(s.pendingSL.price).toBe(104);
+    expect(s.pendingTP.price).toBe(92);
+    expect(s.showPositionSizer).toBe(true);
+  });
+});
+
+describe('Timeframe visibility', () => {
+  const withRule = (visibility) => ({ ...createDrawing('hline'), visibility });
+
+  it('normalizes rules', () => {
+    expect(normalizeVisibility(undefined)).toEqual({ mode: 'all' });
+    expect(normalizeVisibility({ mode: 'max' })).toEqual({ mode: 'all' });
+    expect(normalizeVisibility({ mode: 'only', tf: '15m', extra: 1 })).toEqual({ mode: 'only', tf: '15m' });
+  });
+
+  it('applies all / max / min / only', () => {
+    expect(isVisibleOnTimeframe(withRule({ mode: 'all' }), '1m')).toBe(true);
+
+    const upTo1h = withRule({ mode: 'max', tf: '1h' });
+    expect(isVisibleOnTimeframe(upTo1h, '5m')).toBe(true);
+    expect(isVisibleOnTimeframe(upTo1h, '60')).toBe(true);
+    expect(isVisibleOnTimeframe(upTo1h, '4h')).toBe(false);
+
+    const weekly = withRule({ mode: 'min', tf: '1D' });
+    expect(isVisibleOnTimeframe(weekly, '1m')).toBe(false);
+    expect(isVisibleOnTimeframe(weekly, '1W')).toBe(true);
+
+    const only15 = withRule({ mode: 'only', tf: '15m' });
+    expect(isVisibleOnTimeframe(only15, '15m')).toBe(true);
+    expect(isVisibleOnTimeframe(only15, '5m')).toBe(false);
+    // Non-time charts (Renko etc.) show everything
+    expect(isVisibleOnTimeframe(only15, undefined)).toBe(true);
+  });
+
+  it('survives serialization and defaults old drawings to all', () => {
+    const d = withRule({ mode: 'max', tf: '1h' });
+    const [back] = deserializeDrawings(serializeDrawings([d]));
+    expect(back.visibility).toEqual({ mode: 'max', tf: '1h' });
+    const [legacy] = deserializeDrawings('[{"id":"x","type":"hline","points":[]}]');
+    expect(legacy.visibility).toEqual({ mode: 'all' });
+  });
+
+  it('hides excluded drawings from hit testing and deselects them', () => {
+    const engine = engineWith();
+    engine.setTimeframe('5m');
+    const d = draw(engine, 'hline', [[0, 300]]);
+    engine.onMouseDown(50, 300);
+    engine.onMouseUp();
+    expect(engine.selectedDrawing?.id).toBe(d.id);
+
+    engine.setVisibility(d.id, { mode: 'only' }); // this timeframe
+    expect(engine.drawings[0].visibility).toEqual({ mode: 'only', tf: '5m' });
+
+    engine.setTimeframe('1h');
+    expect(engine.selectedDrawing).toBeNull();
+    expect(engine.isShown(d)).toBe(false);
+    engine.onMouseDown(50, 300);
+    expect(engine.selectedDrawing).toBeNull();
+  });
+});
+
+describe('useDrawingStore', () => {
+  it('ignores engine changes until loaded and drops in-progress drawings', () => {
+    const store = useDrawingStore.getState();
+    store.beginLoad('BTC');
+    store.setDrawings([createDrawing('hline')]);
+    expect(useDrawingStore.getState().drawings).toEqual([]);
+
+    store.hydrate('BTC', []);
+    const done = { ...createDrawing('hline'), state: 'idle' };
+    store.setDrawings([done, createDrawing('trendline')]);
+    expect(useDrawingStore.getState().drawings).toEqual([done]);
+  });
+
+  it('feeds loaded drawings and the chart timeframe to a bound engine', () => {
+    const engine = createDrawingEngine({ onChange: (d) => useDrawingStore.getState().setDrawings(d) });
+    const unbind = bindDrawingEngine(engine);
+    expect(engine.timeframe).toBe(useChartStore.getState().tf);
+
+    const saved = { ...createDrawing('hline'), state: 'idle', points: [{ price: 1, time: 1 }] };
+    useDrawingStore.getState().beginLoad('ETH');
+    useDrawingStore.getState().hydrate('ETH', [saved]);
+    expect(engine.drawings.map((d) => d.id)).toEqual([saved.id]);
+
+    useChartStore.getState().setTf('4h');
+    expect(engine.timeframe).toBe('4h');
+    unbind();
+    useChartStore.getState().setTf('1h');
+    expect(engine.timeframe).toBe('4h');
+  });
+
+  it('drives a bound engine from the toolbar tool and actions', () => {
+    const engine = createDrawingEngine({
+      onChange: (d) => useDrawingStore.getState().setDrawings(d),
+      onStateChange: (s) => s !== 'creating' && useChartStore.getState().setActiveTool(null),
+    });
+    engine.setCoordinateConverters(converters);
+    const unbind = bindDrawingEngine(engine);
+    useDrawingStore.getState().hydrate('BTC', []);
+    useDrawingStore.getState().setColor('#FF9800');
+
+    useChartStore.getState().setActiveTool('hline');
+    expect(engine.activeTool).toBe('hline');
+    engine.onMouseDown(10, 500);
+    expect(useChartStore.getState().activeTool).toBeNull();
+    expect(useDrawingStore.getState().drawings[0].style.color).toBe('#FF9800');
+
+    engine.onMouseDown(10, 500);
+    const { selected } = useDrawingStore.getState();
+    expect(selected).toMatchObject({ type: 'hline', color: '#FF9800' });
+    useDrawingStore.getState().setColor('#2962FF');
+    useDrawingStore.getState().setSelectedVisibility({ mode: 'only' });
+    expect(engine.drawings[0]).toMatchObject({ style: { color: '#2962FF' }, visibility: { mode: 'only', tf: '1h' } });
+
+    useDrawingStore.getState().deleteSelected();
+    expect(useDrawingStore.getState()).toMatchObject({ drawings: [], selected: null });
+
+    useChartStore.getState().setActiveTool('trendline');
+    useChartStore.getState().setActiveTool(null);
+    expect(engine.activeTool).toBeNull();
+    unbind();
+    useChartStore.getState().setActiveTool('hline');
+    expect(engine.activeTool).toBeNull();
+    useChartStore.getState().setActiveTool(null);
+  });
+});
@@ -0,0 +1,144 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Excursion Engine Tests
+// Tests for: holdingBars, computeExcursion (long/short, R, ETD,
+// efficiency), excursionStats aggregation
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect } from 'vitest';
+import {
+  computeExcursion,
+  excursionStats,
+  holdingBars,
+  barsCoverTrade,
+  dollarsPerPoint,
+} from '../engine/Excursion.js';
+
+const T0 = Date.parse('2025-03-10T14:00:00Z');
+const MIN = 60_000;
+
+// 5-minute bars from 14:00 to 14:40
+const bar = (i, open, high, low, close) => ({
+  time: new Date(T0 + i * 5 * MIN).toISOString(), open, high, low, close, volume: 100,
+});
+const BARS = [
+  bar(0, 100, 101, 99, 100),
+  bar(1, 100, 102, 97, 98),   // heat: low 97
+  bar(2, 98, 106, 98, 105),   // peak: high 106
+  bar(3, 105, 105, 102, 103),
+  bar(4, 103, 104, 102, 103),
+  bar(5, 103, 120, 80, 110),  // after exit — must be ignored
+];
+
+const LONG = {
+  id: 'L', symbol: 'ES', side: 'long', entry: 100, exit: 103, qty: 1, pnl: 150,
+  stopLoss: 98, date: new Date(T0 + 2 * MIN).toISOString(), closeDate: new Date(T0 + 21 * MIN).toISOString(),
+};
+
+describe('holdingBars', () => {
+  it('starts at the bar containing the entry and stops at the exit', () => {
+    const w = holdingBars(BARS, Date.parse(LONG.date), Date.parse(LONG.closeDate));
+    expect(w).toHaveLength(5);
+    expect(w[0]).toBe(BARS[0]);
+  });
+
+  it('returns nothing when bars start after the entry', () => {
+    expect(holdingBars(BARS.slice(2), Date.parse(LONG.date), Date.parse(LONG.closeDate))).toEqual([]);
+    expect(barsCoverTrade(LONG, BARS.slice(2))).toBe(false);
+  });
+
+  it('accepts millisecond and second timestamps', () => {
+    const ms = BARS.map((b) => ({ ...b, time: Date.parse(b.time) }));
+    const sec = BARS.map((b) => ({ ...b, time: Date.parse(b.time) / 1000 }));
+    expect(holdingBars(ms, Date.parse(LONG.date), Date.parse(LONG.closeDate))).toHaveLength(5);
+    expect(holdingBars(sec, Date.parse(LONG.date), Date.parse(LONG.closeDate))).toHaveLength(5);
+  });
+});
+
+describe('computeExcursion', () => {
+  it('measures a long trade', () => {
+    const x = computeExcursion(LONG, BARS, { source: 'test' });
+    // 150 pnl / 3 pts = 50 per point
+    expect(x.maePts).toBe(3);
+    expect(x.mfePts).toBe(6);
+    expect(x.mae).toBe(150);
+    expect(x.mfe).toBe(300);
+    expect(x.etd).toBe(150);          // gave back 3 of 6 points
+    expect(x.efficiency).toBeCloseTo(0.5);
+    expect(x.maeR).toBeCloseTo(1.5);  // 3 pts vs 2 pt stop
+    expect(x.mfeR).toBeCloseTo(3);
+    expect(x.maePrice).toBe(97);
+    expect(x.mfePrice).toBe(106);
+    expect(x.source).toBe('test');
+  });
+
+  it('mirrors excursions for a short trade', () => {
+    const short = { ...LONG, side: 'short', entry: 104, exit: 98, pnl: 6, qty: 1, stopLoss: null };
+    const x = computeExcursion(short, BARS);
+    expect(x.maePrice).toBe(106);
+    expect(x.mfePrice).toBe(97);
+    expect(x.maePts).toBe(2);
+    expect(x.mfePts).toBe(7);
+    expect(x.efficiency).toBeCloseTo(6 / 7);
+    expect(x.maeR).toBeNull();
+  });
+
+  it('includes the fills when bars are coarser than the trade', () => {
+    const coarse = [bar(0, 100, 100.5, 99.5, 100)];
+    const x = computeExcursion({ ...LONG, closeDate: LONG.date, exit: 101, pnl: 50 }, coarse);
+    expect(x.mfePrice).toBe(101);
+    expect(x.etd).toBe(0);
+    expect(x.efficiency).toBe(1);
+  });
+
+  it('reports negative efficiency for a round-trip loser', () => {
+    const loser = { ...LONG, exit: 99, pnl: -50 };
+    expect(computeExcursion(loser, BARS).efficiency).toBeCloseTo(-1 / 6);
+  });
+
+  it('returns null without prices or coverage', () => {
+    expect(computeExcursion({ ...LONG, entry: 0 }, BARS)).toBeNull();
+    expect(computeExcursion(LONG, [])).toBeNull();
+  });
+});
+
+describe('dollarsPerPoint', () => {
+  it('prefers an explicit point value, then realized P&L, then quantity', () => {
+    expect(dollarsPerPoint({ pointValue: 50, qty: 2 })).toBe(100);
+    expect(dollarsPerPoint({ entry: 10, exit: 12, pnl: 200 })).toBe(100);
+    expect(dollarsPerPoint({ entry: 10, exit: 12, pnl: 196, fees: 4 })).toBe(100);
+    expect(dollarsPerPoint({ entry: 10, exit: 10, pnl: 0, qty: 7 })).toBe(7);
+  });
+});
+
+describe('excursionStats', () => {
+  const trades = [
+    { id: 'a', pnl: 100, excursion: { mae: 40, mfe: 200, etd: 100, efficiency: 0.5 } },
+    { id: 'b', pnl: -80, excursion: { mae: 80, mfe: 20, etd: 100, efficiency: -4 } },
+    { id: 'c', pnl: 60, excursion: { mae: 0, mfe: 60, etd: 0, efficiency: 1 } },
+    { id: 'd', pnl: 10 }, // not analyzed yet
+  ];
+
+  it('averages stored excursions', () => {
+    const s = excursionStats(trades);
+    expect(s.count).toBe(3);
+    expect(s.total).toBe(4);
+    expect(s.avgMae).toBe(40);
+    expect(s.avgMfe).toBeCloseTo(93.33, 2);
+    expect(s.winnerAvgMae).toBe(20);
+    expect(s.loserAvgMfe).toBe(20);
+    expect(s.points).toHaveLength(3);
+  });
+
+  it('buckets exit efficiency', () => {
+    const counts = Object.fromEntries(excursionStats(trades).efficiencyDist.map((d) => [d.label, d.count]));
+    expect(counts['< 0']).toBe(1);
+    expect(counts['50–75%']).toBe(1);
+    expect(counts['75–100%']).toBe(1);
+  });
+
+  it('handles no analyzed trades', () => {
+    const s = excursionStats([{ id: 'x', pnl: 5 }]);
+    expect(s.count).toBe(0);
+    expect(s.avgEfficiency).toBeNull();
+  });
+});
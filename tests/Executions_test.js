@@ -0,0 +1,158 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Executions & Position Reconstruction Tests
+// Tests for: normalizeExecution, deriveFromExecutions (FIFO/LIFO/avg),
+// reconstructTrades (scale in/out, flips, open positions),
+// applyExecutions, pointValueFor
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeExecution,
+  deriveFromExecutions,
+  applyExecutions,
+  reconstructTrades,
+  pointValueFor,
+} from '../engine/Executions.js';
+import { normalizeTrade } from '../engine/TradeSchema.js';
+
+const t = (min) => new Date(Date.UTC(2025, 2, 10, 14, min)).toISOString();
+const fill = (min, side, qty, price, extra = {}) => ({ symbol: 'ES', time: t(min), side, qty, price, fee: 1, ...extra });
+
+// Scale in 1 @100, 1 @102; scale out 1 @104, 1 @101
+const SCALE = [
+  fill(0, 'buy', 1, 100),
+  fill(5, 'buy', 1, 102),
+  fill(10, 'sell', 1, 104),
+  fill(15, 'sell', 1, 101),
+];
+
+describe('normalizeExecution', () => {
+  it('accepts broker side spellings and signed quantities', () => {
+    expect(normalizeExecution({ time: t(0), action: 'Bot', qty: 2, price: 10 }).side).toBe('buy');
+    expect(normalizeExecution({ time: t(0), side: 'SLD', qty: 2, price: 10 }).side).toBe('sell');
+    const signed = normalizeExecution({ time: t(0), qty: -3, price: 10 });
+    expect(signed.side).toBe('sell');
+    expect(signed.qty).toBe(3);
+  });
+
+  it('rejects rows without qty, price or time', () => {
+    expect(normalizeExecution({ time: t(0), side: 'buy', qty: 0, price: 10 })).toBeNull();
+    expect(normalizeExecution({ time: t(0), side: 'buy', qty: 1, price: 0 })).toBeNull();
+    expect(normalizeExecution({ time: 'nope', side: 'buy', qty: 1, price: 10 })).toBeNull();
+  });
+});
+
+describe('deriveFromExecutions', () => {
+  it('derives average prices, qty, fees and pnl', () => {
+    const d = deriveFromExecutions(SCALE);
+    expect(d.side).toBe('long');
+    expect(d.entry).toBe(101);
+    expect(d.exit).toBe(102.5);
+    expect(d.qty).toBe(2);
+    expect(d.maxPosition).toBe(2);
+    expect(d.fees).toBe(4);
+    expect(d.pnl).toBe(-1);           // 3 gross − 4 fees
+    expect(d.open).toBe(false);
+    expect(d.date).toBe(t(0));
+    expect(d.closeDate).toBe(t(15));
+  });
+
+  it('costs partial exits by FIFO, LIFO or average cost', () => {
+    const realized = (method) => deriveFromExecutions(SCALE, { method }).executions
+      .filter((x) => x.realized != null).map((x) => x.realized);
+    expect(realized('fifo')).toEqual([4, -1]);
+    expect(realized('lifo')).toEqual([2, 1]);
+    expect(realized('avg')).toEqual([3, 0]);
+    // Same total once flat
+    for (const m of ['fifo', 'lifo', 'avg']) expect(deriveFromExecutions(SCALE, { method: m }).pnl).toBe(-1);
+  });
+
+  it('reports open positions with method-dependent realized pnl', () => {
+    const partial = SCALE.slice(0, 3);
+    expect(deriveFromExecutions(partial, { method: 'fifo' }).pnl).toBe(1);  // 4 − 3 fees
+    expect(deriveFromExecutions(partial, { method: 'lifo' }).pnl).toBe(-1); // 2 − 3 fees
+    const d = deriveFromExecutions(partial);
+    expect(d.open).toBe(true);
+    expect(d.openQty).toBe(1);
+    expect(d.closeDate).toBeNull();
+  });
+
+  it('handles shorts, point value and rMultiple', () => {
+    const fills = [fill(0, 'sell', 2, 100), fill(5, 'buy', 2, 98)];
+    const d = deriveFromExecutions(fills, { pointValue: 50, stopLoss: 101 });
+    expect(d.side).toBe('short');
+    expect(d.pnl).toBe(198);          // 2 pts × 2 × $50 − $2 fees
+    expect(d.rMultiple).toBe(1.98);   // risk 1 pt × 2 × $50 = 100
+  });
+});
+
+describe('reconstructTrades', () => {
+  it('groups fills into flat-to-flat round trips', () => {
+    const trades = reconstructTrades([...SCALE, fill(30, 'sell', 1, 105), fill(40, 'buy', 1, 103)]);
+    expect(trades).toHaveLength(2);
+    expect(trades[0].executions).toHaveLength(4);
+    expect(trades[1].side).toBe('short');
+    expect(trades[1].pnl).toBe(0);    // 2 gross − 2 fees
+  });
+
+  it('splits a fill that flips the position', () => {
+    const trades = reconstructTrades([fill(0, 'buy', 1, 100), fill(5, 'sell', 3, 102), fill(10, 'buy', 2, 101)]);
+    expect(trades).toHaveLength(2);
+    expect(trades[0].pnl).toBe(0.67); // 2 − 1⅓ fees
+    expect(trades[0].fees).toBeCloseTo(1 + 1 / 3, 2);
+    expect(trades[1].side).toBe('short');
+    expect(trades[1].qty).toBe(2);
+    expect(trades[1].pnl).toBe(0.33); // 2 − 1⅔ fees
+  });
+
+  it('keeps symbols and accounts separate', () => {
+    const trades = reconstructTrades([
+      fill(0, 'buy', 1, 100),
+      fill(1, 'buy', 1, 50, { symbol: 'NQ' }),
+      fill(2, 'sell', 1, 101),
+      fill(3, 'sell', 1, 51, { symbol: 'NQ' }),
+    ]);
+    expect(trades.map((x) => x.symbol)).toEqual(['ES', 'NQ']);
+  });
+
+  it('flags or drops trailing open positions', () => {
+    const fills = [fill(0, 'buy', 2, 100), fill(5, 'sell', 1, 101)];
+    expect(reconstructTrades(fills)[0].open).toBe(true);
+    expect(reconstructTrades(fills, { includeOpen: false })).toHaveLength(0);
+  });
+
+  it('applies per-symbol point values', () => {
+    const [trade] = reconstructTrades(SCALE, { pointValue: pointValueFor });
+    expect(trade.pnl).toBe(146);
+    expect(trade.pointValue).toBe(50);
+  });
+
+  it('produces trades that pass schema normalization', () => {
+    const [trade] = reconstructTrades(SCALE);
+    const n = normalizeTrade(trade);
+    expect(n.executions).toHaveLength(4);
+    expect(n.entry).toBe(101);
+  });
+});
+
+describe('applyExecutions', () => {
+  it('re-derives flat fields and keeps journal fields', () => {
+    const trade = { id: 'x', symbol: 'ES', playbook: 'ORB', notes: 'scaled', stopLoss: 99, pnl: 0 };
+    const out = applyExecutions(trade, SCALE, { pointValue: 50 });
+    expect(out.playbook).toBe('ORB');
+    expect(out.entry).toBe(101);
+    expect(out.pnl).toBe(146);
+    expect(out.rMultiple).toBe(0.73); // 146 / (2 pts × 2 × 50)
+  });
+});
+
+describe('pointValueFor', () => {
+  it('resolves futures roots with month codes', () => {
+    expect(pointValueFor('ESH5')).toBe(50);
+    expect(pointValueFor('MNQZ24')).toBe(2);
+    expect(pointValueFor('NQ 03-25')).toBe(20);
+    expect(pointValueFor('ES=F')).toBe(50);
+    expect(pointValueFor('AAPL')).toBe(1);
+    expect(pointValueFor('ESPR')).toBe(1);
+  });
+});
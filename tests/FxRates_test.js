@@ -0,0 +1,220 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — FX Conversion Tests
+// Tests for: getRate fallback, convert, convertTrades, parseFxCSV,
+// computeFast base-currency conversion, currency formatting
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  setRate,
+  removeRate,
+  mergeRateTables,
+  getRate,
+  convert,
+  convertTrades,
+  tradeCurrencies,
+  parseFxCSV,
+} from '../engine/FxRates.js';
+import { computeFast } from '../engine/analyticsFast.js';
+import { normalizeCurrency, currencySymbol, fmtMoney } from '../engine/Money.js';
+import { fmtD, setDisplayCurrency } from '../utils.js';
+import { useFxStore } from '../state/useFxStore.js';
+
+const RATES = {
+  EUR: { '2025-01-02': 1.10, '2025-01-06': 1.20 },
+  JPY: { '2025-01-02': 0.0064 },
+};
+
+const mkTrade = (id, pnl, currency, date = '2025-01-03T15:00:00.000Z') => ({
+  id, date, symbol: 'DAX', pnl, fees: 0, currency,
+});
+
+// ─── Rate lookup ────────────────────────────────────────────────
+
+describe('getRate', () => {
+  it('returns 1 for USD', () => {
+    expect(getRate({}, 'USD', '2025-01-02')).toBe(1);
+  });
+
+  it('uses the exact date when present', () => {
+    expect(getRate(RATES, 'EUR', '2025-01-06')).toBe(1.20);
+  });
+
+  it('falls back to the most recent earlier date', () => {
+    expect(getRate(RATES, 'EUR', '2025-01-04')).toBe(1.10);
+    expect(getRate(RATES, 'EUR', '2025-03-01T10:00:00Z')).toBe(1.20);
+  });
+
+  it('uses the earliest rate for dates before the table', () => {
+    expect(getRate(RATES, 'EUR', '2024-06-01')).toBe(1.10);
+  });
+
+  it('returns null for currencies without rates', () => {
+    expect(getRate(RATES, 'GBP', '2025-01-02')).toBeNull();
+  });
+});
+
+describe('convert', () => {
+  it('converts via USD for crosses', () => {
+    expect(convert(100, 'EUR', 'USD', '2025-01-02', RATES)).toBe(110);
+    expect(convert(110, 'USD', 'EUR', '2025-01-02', RATES)).toBe(100);
+    expect(convert(1000, 'JPY', 'EUR', '2025-01-02', RATES)).toBeCloseTo(5.82, 2);
+  });
+
+  it('returns null when a rate is missing', () => {
+    expect(convert(100, 'GBP', 'USD', '2025-01-02', RATES)).toBeNull();
+  });
+});
+
+describe('rate table editing', () => {
+  it('setRate does not mutate and ignores invalid input', () => {
+    const t = setRate(RATES, 'eur', '2025-01-07', 1.3);
+    expect(t.EUR['2025-01-07']).toBe(1.3);
+    expect(RATES.EUR['2025-01-07']).toBeUndefined();
+    expect(setRate(RATES, 'EUR', '2025-01-07', -1)).toBe(RATES);
+    expect(setRate(RATES, 'USD', '2025-01-07', 2)).toBe(RATES);
+  });
+
+  it('removeRate drops a date or a whole currency', () => {
+    expect(Object.keys(removeRate(RATES, 'EUR', '2025-01-02').EUR)).toEqual(['2025-01-06']);
+    expect(removeRate(RATES, 'JPY').JPY).toBeUndefined();
+  });
+
+  it('mergeRateTables prefers the second table', () => {
+    const merged = mergeRateTables(RATES, { EUR: { '2025-01-02': 1.15 } });
+    expect(merged.EUR['2025-01-02']).toBe(1.15);
+    expect(merged.EUR['2025-01-06']).toBe(1.20);
+  });
+});
+
+// ─── Trade conversion ───────────────────────────────────────────
+
+describe('convertTrades', () => {
+  it('keeps base-currency trades untouched', () => {
+    const t = mkTrade('a', 50, 'USD');
+    const { trades } = convertTrades([t], 'USD', RATES);
+    expect(trades[0]).toBe(t);
+  });
+
+  it('treats trades without a currency as USD', () => {
+    const { trades, converted } = convertTrades([mkTrade('a', 50, undefined)], 'USD', RATES);
+    expect(trades[0].pnl).toBe(50);
+    expect(converted).toBe(0);
+  });
+
+  it('converts on the close date and keeps native values', () => {
+    const t = { ...mkTrade('a', 100, 'EUR', '2025-01-03T09:00:00Z'), closeDate: '2025-01-06T16:00:00Z', fees: 10 };
+    const [out] = convertTrades([t], 'USD', RATES).trades;
+    expect(out.pnl).toBe(120);
+    expect(out.fees).toBe(12);
+    expect(out.pnlNative).toBe(100);
+    expect(out.currencyNative).toBe('EUR');
+    expect(out.currency).toBe('USD');
+  });
+
+  it('excludes trades without a rate and reports the currency', () => {
+    const r = convertTrades([mkTrade('a', 10, 'GBP'), mkTrade('b', 10, 'USD')], 'USD', RATES);
+    expect(r.trades).toHaveLength(1);
+    expect(r.excluded).toBe(1);
+    expect(r.missing).toEqual(['GBP']);
+  });
+
+  it('lists distinct trade currencies', () => {
+    expect(tradeCurrencies([mkTrade('a', 1, 'eur'), mkTrade('b', 1), mkTrade('c', 1, 'EUR')])).toEqual(['EUR', 'USD']);
+  });
+});
+
+// ─── CSV import ─────────────────────────────────────────────────
+
+describe('parseFxCSV', () => {
+  it('parses the wide layout with pair and bare-code columns', () => {
+    const csv = 'Date,EURUSD,USD/JPY,GBP\n2025-01-02,1.10,160,1.25\n2025-01-03,1.11,,1.26';
+    const { table, count, errors } = parseFxCSV(csv);
+    expect(count).toBe(5);
+    expect(errors).toEqual([]);
+    expect(table.EUR['2025-01-03']).toBe(1.11);
+    expect(table.JPY['2025-01-02']).toBeCloseTo(1 / 160, 10);
+    expect(table.GBP['2025-01-02']).toBe(1.25);
+  });
+
+  it('parses the long layout', () => {
+    const csv = 'date,pair,rate\n2025-01-02,EURUSD,1.10\n2025-01-02,USDCHF,0.9\n2025-01-02,EURJPY,170';
+    const { table, count, errors } = parseFxCSV(csv);
+    expect(count).toBe(2);
+    expect(table.CHF['2025-01-02']).toBeCloseTo(1 / 0.9, 10);
+    expect(errors[0]).toMatch(/EURJPY/);
+  });
+
+  it('requires a date column', () => {
+    expect(parseFxCSV('pair,rate\nEURUSD,1.1').errors[0]).toMatch(/date/);
+  });
+});
+
+// ─── Analytics integration ──────────────────────────────────────
+
+describe('computeFast base currency', () => {
+  const trades = [mkTrade('u', 100, 'USD'), mkTrade('e', 100, 'EUR'), mkTrade('g', 100, 'GBP')];
+
+  it('converts to USD and warns about missing rates', () => {
+    const r = computeFast(trades, { mcRuns: 0, fxRates: RATES });
+    expect(r.baseCurrency).toBe('USD');
+    expect(r.tradeCount).toBe(2);
+    expect(r.totalPnl).toBe(210);
+    expect(r.fx).toEqual({ converted: 1, excluded: 1, missing: ['GBP'] });
+    expect(r.warnings.some(w => w.metric === 'fx')).toBe(true);
+  });
+
+  it('reports in a non-USD base currency', () => {
+    const r = computeFast(trades.slice(0, 2), { mcRuns: 0, baseCurrency: 'EUR', fxRates: RATES });
+    expect(r.baseCurrency).toBe('EUR');
+    expect(r.totalPnl).toBeCloseTo(190.91, 2);
+  });
+
+  it('leaves USD-only journals unchanged without a rate table', () => {
+    const r = computeFast([mkTrade('a', 100), mkTrade('b', -40)], { mcRuns: 0 });
+    expect(r.totalPnl).toBe(60);
+    expect(r.fx.excluded).toBe(0);
+  });
+});
+
+// ─── Formatting ─────────────────────────────────────────────────
+
+describe('currency formatting', () => {
+  it('normalizes codes and resolves symbols', () => {
+    expect(normalizeCurrency(' eur ')).toBe('EUR');
+    expect(normalizeCurrency('')).toBe('USD');
+    expect(currencySymbol('GBP')).toBe('£');
+  });
+
+  it('formats signed amounts with currency decimals', () => {
+    expect(fmtMoney(1234.5, 'EUR')).toBe('+€1,234.50');
+    expect(fmtMoney(-12000, 'JPY')).toBe('-¥12,000');
+  });
+
+  it('fmtD follows the display currency', () => {
+    setDisplayCurrency('EUR');
+    expect(fmtD(-50)).toBe('-€50.00');
+    setDisplayCurrency('USD');
+    expect(fmtD(100)).toBe('+$100.00');
+  });
+});
+
+// ─── FX store ───────────────────────────────────────────────────
+
+describe('useFxStore', () => {
+  beforeEach(() => useFxStore.getState().hydrate({}));
+
+  it('bumps the revision on every change', () => {
+    const r0 = useFxStore.getState().revision;
+    useFxStore.getState().setRate('EUR', '2025-01-02', 1.1);
+    expect(useFxStore.getState().revision).toBe(r0 + 1);
+    expect(useFxStore.getState().toJSON().rates.EUR['2025-01-02']).toBe(1.1);
+  });
+
+  it('merges imported CSV rates', () => {
+    useFxStore.getState().setRate('EUR', '2025-01-02', 1.1);
+    const { count } = useFxStore.getState().importCSV('date,EURUSD\n2025-01-03,1.12');
+    expect(count).toBe(1);
+    expect(Object.keys(useFxStore.getState().rates.EUR)).toHaveLength(2);
+  });
+});
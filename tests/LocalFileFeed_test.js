@@ -0,0 +1,159 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — LocalFileFeed Tests
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createLocalFileFeed,
+  parseBarCSV,
+  parseBarTime,
+  barsFromTicks,
+  barsFromColumns,
+  canonicalResolution,
+} from '../chartEngine/feeds/LocalFileFeed.js';
+import StorageService from '../data/StorageService.js';
+
+const M1 = 60_000;
+const T0 = Date.UTC(2023, 5, 1, 13, 30);
+
+const minuteBars = (n, start = T0) => Array.from({ length: n }, (_, i) => ({
+  time: start + i * M1, open: 100 + i, high: 101 + i, low: 99 + i, close: 100.25 + i, volume: 10,
+}));
+
+describe('parseBarCSV', () => {
+  it('reads a timestamp column and sorts/dedupes rows', () => {
+    const csv = [
+      'timestamp,open,high,low,close,volume',
+      '2023-06-01 13:31:00,2,3,1,2.5,7',
+      '2023-06-01 13:30:00,1,2,0.5,1.5,5',
+      '2023-06-01 13:31:00,2,4,1,3,8',
+    ].join('\n');
+    const { bars, errors } = parseBarCSV(csv);
+    expect(errors).toEqual([]);
+    expect(bars).toHaveLength(2);
+    expect(bars[0]).toEqual({ time: T0, open: 1, high: 2, low: 0.5, close: 1.5, volume: 5 });
+    expect(bars[1].close).toBe(3);
+  });
+
+  it('combines separate date and time columns', () => {
+    const csv = 'Date,Time,Open,High,Low,Close\n2023-06-01,9:30,1,2,0.5,1.5\n2023-06-01,09:31,1,2,0.5,1.5';
+    const { bars } = parseBarCSV(csv);
+    expect(bars.map((b) => b.time)).toEqual([Date.UTC(2023, 5, 1, 9, 30), Date.UTC(2023, 5, 1, 9, 31)]);
+    expect(bars[0].volume).toBe(0);
+  });
+
+  it('reports missing columns and bad rows', () => {
+    expect(parseBarCSV('time,price,qty\n1,2,3').errors).toContain('Missing open column');
+    const { bars, errors } = parseBarCSV('time,open,high,low,close\nxx,1,2,0,1\n1685626200,1,2,0,1');
+    expect(bars).toHaveLength(1);
+    expect(errors[0]).toMatch(/Row 2/);
+  });
+
+  it('parses epoch seconds, ms and µs', () => {
+    expect(parseBarTime('1685626200')).toBe(T0);
+    expect(parseBarTime(String(T0))).toBe(T0);
+    expect(parseBarTime(String(T0 * 1000))).toBe(T0);
+  });
+});
+
+describe('bars from ticks and columns', () => {
+  it('builds OHLCV from ticks', () => {
+    const ticks = [
+      { time: T0 + 1000, price: 10, qty: 1 },
+      { time: T0 + 2000, price: 12, qty: 2 },
+      { time: T0 + 59_000, price: 9, qty: 1 },
+      { time: T0 + M1, price: 11, qty: 4 },
+    ];
+    const bars = barsFromTicks(ticks, '1m');
+    expect(bars).toEqual([
+      { time: T0, open: 10, high: 12, low: 9, close: 9, volume: 4 },
+      { time: T0 + M1, open: 11, high: 11, low: 11, close: 11, volume: 4 },
+    ]);
+  });
+
+  it('reads plain and Arrow-style column tables', () => {
+    const plain = barsFromColumns({ time: [T0], open: [1], high: [2], low: [0], close: [1], volume: [3] });
+    expect(plain.bars[0]).toEqual({ time: T0, open: 1, high: 2, low: 0, close: 1, volume: 3 });
+
+    const cols = { ts: [BigInt(T0)], open: [1], high: [2], low: [0], close: [1] };
+    const arrow = {
+      schema: { fields: Object.keys(cols).map((name) => ({ name })) },
+      getChild: (name) => ({ toArray: () => cols[name] }),
+    };
+    expect(barsFromColumns(arrow).bars[0].time).toBe(T0);
+  });
+
+  it('normalizes resolutions', () => {
+    expect(canonicalResolution('1d')).toBe('1D');
+    expect(canonicalResolution('60')).toBe('1h');
+    expect(canonicalResolution('nope')).toBeNull();
+  });
+});
+
+describe('createLocalFileFeed', () => {
+  let feed;
+
+  beforeEach(async () => {
+    await StorageService.clearAll();
+    feed = createLocalFileFeed();
+  });
+
+  it('stores bars in IndexedDB and pages them by from/to', async () => {
+    const res = await feed.importBars('es', '1m', minuteBars(12000));
+    expect(res).toMatchObject({ ok: true, seriesId: 'ES|1m', count: 12000 });
+
+    // Fresh feed: everything comes back from storage
+    const fresh = createLocalFileFeed();
+    const page = await fresh.getBars('ES', '1m', T0 + 100 * M1, T0 + 199 * M1);
+    expect(page.bars).toHaveLength(100);
+    expect(page.bars[0].time).toBe(T0 + 100 * M1);
+    expect(page.noMore).toBe(false);
+
+    const first = await fresh.getBars('ES', '1m', T0 - 50 * M1, T0 + 9 * M1);
+    expect(first.bars).toHaveLength(10);
+    expect(first.noMore).toBe(true);
+  });
+
+  it('serves the tail when asked for bars after the file ends', async () => {
+    await feed.importBars('ES', '1m', minuteBars(1000));
+    const now = Date.UTC(2025, 0, 1);
+    const { bars, noMore } = await feed.getBars('ES', '1m', now - 300 * M1, now);
+    expect(bars).toHaveLength(300);
+    expect(bars[299].time).toBe(T0 + 999 * M1);
+    expect(noMore).toBe(false);
+
+    const back = await feed.getBars('ES', '1m', undefined, now, 50);
+    expect(back.bars[0].time).toBe(T0 + 950 * M1);
+  });
+
+  it('aggregates higher resolutions from the finest series', async () => {
+    await feed.importBars('ES', '1m', minuteBars(120));
+    const { bars } = await feed.getBars('ES', '1h', undefined, Date.now(), 10);
+    expect(bars).toHaveLength(3); // 13:00 (partial), 14:00, 15:00 (partial)
+    expect(bars[1].volume).toBe(600);
+    const info = await feed.resolveSymbol('es');
+    expect(info.exchange).toBe('Local');
+    expect(info.pricescale).toBe(100);
+    expect(info.supportedResolutions[0]).toBe('1m');
+  });
+
+  it('merges re-imports and imports tick files', async () => {
+    await feed.importBars('ES', '1m', minuteBars(10));
+    await feed.importBars('ES', '1m', minuteBars(10, T0 + 5 * M1));
+    expect((await feed.listSeries())[0].count).toBe(15);
+
+    const ticks = 'time,price,qty\n1685626200000,10,1\n1685626260000,11,2';
+    const res = await feed.importText(ticks, { symbol: 'NQ', resolution: '1m' });
+    expect(res).toMatchObject({ ok: true, kind: 'ticks', count: 2 });
+    expect((await feed.searchSymbols('n')).map((s) => s.name)).toEqual(['NQ']);
+  });
+
+  it('deletes a series and handles unknown symbols', async () => {
+    await feed.importBars('ES', '1m', minuteBars(10));
+    expect(await feed.hasSymbol('ES')).toBe(true);
+    await feed.deleteSeries('ES', '1m');
+    expect(await feed.hasSymbol('ES')).toBe(false);
+    expect(await feed.getBars('ES', '1m', 0, Date.now())).toEqual({ bars: [], noMore: true });
+    await expect(feed.resolveSymbol('ES')).rejects.toThrow(/not found/);
+  });
+});
@@ -0,0 +1,178 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — MultiTimeframe Tests
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseTimeframe,
+  timeframeMs,
+  isHigherTimeframe,
+  bucketStart,
+  bucketEnd,
+  aggregateBars,
+  extendWithBars,
+  alignToBars,
+  computeOnTimeframe,
+} from '../engine/MultiTimeframe.js';
+import { executeScript } from '../engine/ScriptEngine.js';
+
+const H = 3_600_000;
+const T0 = Date.UTC(2024, 0, 1); // Monday
+
+// Hourly bars, close = index
+const hourly = (n, start = T0) => Array.from({ length: n }, (_, i) => ({
+  time: start + i * H, open: i, high: i + 0.5, low: i - 0.5, close: i, volume: 1,
+}));
+
+describe('parseTimeframe', () => {
+  it('parses units and bare minutes', () => {
+    expect(parseTimeframe('5m')).toEqual({ n: 5, unit: 'm', ms: 300_000 });
+    expect(parseTimeframe('1d').unit).toBe('D');
+    expect(parseTimeframe('W').n).toBe(1);
+    expect(parseTimeframe('240').ms).toBe(4 * H);
+    expect(parseTimeframe('abc')).toBeNull();
+    expect(parseTimeframe('0m')).toBeNull();
+  });
+
+  it('compares timeframes', () => {
+    expect(timeframeMs('4h')).toBe(4 * H);
+    expect(isHigherTimeframe('1D', '1h')).toBe(true);
+    expect(isHigherTimeframe('1h', '1h')).toBe(false);
+    expect(isHigherTimeframe('bad', '1h')).toBe(false);
+  });
+});
+
+describe('bucketStart / bucketEnd', () => {
+  it('starts weeks on Monday UTC', () => {
+    const thu = Date.UTC(2024, 0, 4, 15);
+    expect(bucketStart(thu, '1W')).toBe(T0);
+    expect(bucketEnd(T0, '1W')).toBe(Date.UTC(2024, 0, 8));
+  });
+
+  it('uses calendar months', () => {
+    const feb = Date.UTC(2024, 1, 20, 3);
+    expect(bucketStart(feb, '1M')).toBe(Date.UTC(2024, 1, 1));
+    expect(bucketEnd(Date.UTC(2024, 1, 1), '1M')).toBe(Date.UTC(2024, 2, 1));
+  });
+});
+
+describe('aggregateBars', () => {
+  it('builds OHLCV buckets', () => {
+    const out = aggregateBars(hourly(8), '4h');
+    expect(out).toHaveLength(2);
+    expect(out[0]).toEqual({ time: T0, open: 0, high: 3.5, low: -0.5, close: 3, volume: 4 });
+    expect(out[1].time).toBe(T0 + 4 * H);
+  });
+});
+
+describe('extendWithBars', () => {
+  it('rebuilds the last fetched bucket and appends newer ones', () => {
+    const fetched = [
+      { time: T0 - 4 * H, open: 9, high: 9, low: 9, close: 9, volume: 9 },
+      { time: T0, open: 0, high: 1, low: 0, close: 1, volume: 2 },
+    ];
+    const out = extendWithBars(fetched, hourly(6), '4h');
+    expect(out).toHaveLength(3);
+    expect(out[0].close).toBe(9);
+    expect(out[1]).toEqual({ time: T0, open: 0, high: 3.5, low: -0.5, close: 3, volume: 4 });
+    expect(out[2].close).toBe(5);
+  });
+
+  it('keeps the fetched open when chart bars start mid-bucket', () => {
+    const fetched = [{ time: T0, open: 50, high: 60, low: 40, close: 55, volume: 10 }];
+    const out = extendWithBars(fetched, hourly(4).slice(2), '4h');
+    expect(out).toHaveLength(1);
+    expect(out[0].open).toBe(50);
+    expect(out[0].high).toBe(60);
+    expect(out[0].low).toBe(1.5);
+    expect(out[0].close).toBe(3);
+  });
+});
+
+describe('alignToBars', () => {
+  it('only shows an HTF value once its bar has closed', () => {
+    const bars = hourly(12);
+    const htf = aggregateBars(bars, '4h');
+    const out = alignToBars(bars, htf, htf.map((b) => b.close), { timeframe: '4h', baseTf: '1h' });
+    // Bars 0-2 precede the first 4h close; bar 3 closes it
+    expect(out.slice(0, 3).every(Number.isNaN)).toBe(true);
+    expect(out[3]).toBe(3);
+    expect(out[6]).toBe(3);
+    expect(out[7]).toBe(7);
+    expect(out[11]).toBe(11);
+  });
+
+  it('never uses a value from a bar that has not closed yet', () => {
+    const bars = hourly(48);
+    const htf = aggregateBars(bars, '1D');
+    const out = alignToBars(bars, htf, htf.map((b) => b.close), { timeframe: '1D', baseTf: '1h' });
+    for (let i = 0; i < bars.length; i++) {
+      if (!Number.isNaN(out[i])) expect(out[i]).toBeLessThanOrEqual(bars[i].close);
+    }
+    expect(out[22]).toBeNaN();
+    expect(out[23]).toBe(23);
+  });
+
+  it('uses the containing bar with lookahead', () => {
+    const bars = hourly(8);
+    const htf = aggregateBars(bars, '4h');
+    const out = alignToBars(bars, htf, htf.map((b) => b.close), { timeframe: '4h', lookahead: true });
+    expect(out[0]).toBe(3);
+    expect(out[4]).toBe(7);
+  });
+});
+
+describe('computeOnTimeframe', () => {
+  it('aligns every array in an object result', () => {
+    const bars = hourly(8);
+    const out = computeOnTimeframe(
+      (src) => ({ close: src.map((b) => b.close), n: src.length }),
+      bars,
+      { timeframe: '4h', baseTf: '1h' },
+    );
+    expect(out.close).toHaveLength(8);
+    expect(out.close[7]).toBe(7);
+    expect(out.n).toBe(2);
+  });
+
+  it('prefers fetched HTF history over aggregation', () => {
+    const bars = hourly(4, T0 + 4 * H);
+    const htfBars = [{ time: T0, open: 1, high: 1, low: 1, close: 42, volume: 1 }];
+    const out = computeOnTimeframe((src) => src.map((b) => b.close), bars, {
+      timeframe: '4h', baseTf: '1h', htfBars,
+    });
+    expect(out[0]).toBe(42);
+    expect(out[3]).toBe(3);
+  });
+});
+
+describe('ScriptEngine security()', () => {
+  it('plots a higher-timeframe series without lookahead', () => {
+    const code = "plot(security('4h', 'close'), { label: 'htf' });";
+    const result = executeScript(code, hourly(8), {}, { timeframe: '1h' });
+    expect(result.error).toBeNull();
+    expect(result.timeframes).toEqual(['4h']);
+    const data = result.outputs[0].data;
+    expect(data[2]).toBeNull();
+    expect(data[3]).toBe(3);
+    expect(data[6]).toBe(3);
+  });
+
+  it('accepts a compute function over the HTF data', () => {
+    const code = "plot(security('4h', (d) => sma(d.close, 2)));";
+    const result = executeScript(code, hourly(12), {}, { timeframe: '1h' });
+    expect(result.error).toBeNull();
+    expect(result.outputs[0].data[11]).toBe(9); // mean of 7 and 11
+  });
+
+  it('returns the chart series for a non-higher timeframe', () => {
+    const result = executeScript("plot(security('1h', 'close'));", hourly(4), {}, { timeframe: '1h' });
+    expect(result.timeframes).toEqual([]);
+    expect(result.outputs[0].data[0]).toBe(0);
+  });
+
+  it('reports unknown timeframes', () => {
+    const result = executeScript("plot(security('xx', 'close'));", hourly(4));
+    expect(result.error).toMatch(/unknown timeframe/);
+  });
+});
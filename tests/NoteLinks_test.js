@@ -0,0 +1,152 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Note Links, Search & Markdown Tests
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  parseLinks,
+  backlinksFor,
+  searchNotes,
+  missingDailyNotes,
+  createDailyNote,
+  suggestLinks,
+} from '../engine/NoteLinks.js';
+import { applySuggestion, filterTrades } from '../engine/TradeQuery.js';
+import { parseMarkdown, markdownToText } from '../utils/markdown.js';
+import { useTradeStore } from '../state/useTradeStore.js';
+
+const TRADES = [
+  { id: 't1', symbol: 'ES', side: 'long', playbook: 'ORB', pnl: 250, date: '2026-10-14T14:35:00Z' },
+  { id: 't2', symbol: 'NQ', side: 'short', playbook: 'Gap Fill', pnl: -120, date: '2026-10-14T16:00:00Z' },
+  { id: 't3', symbol: 'ES', side: 'short', playbook: 'ORB', pnl: 80, date: '2026-10-15T13:45:00Z' },
+];
+
+const NOTES = [
+  {
+    id: 'n1', title: 'ORB review', createdAt: '2026-10-16T20:00:00Z', tags: ['playbook-review'],
+    content: 'Best [[playbook:orb]] entry was [[trade:t1|the open drive]].\nAlso see [[trade:t1]] and [[2026-10-14]].',
+  },
+  {
+    id: 'n2', title: 'Revenge trading', createdAt: '2026-10-15T21:00:00Z', tags: ['psychology'],
+    content: 'Chased NQ after a loss on [[2026-10-14]]. Gap fill setups need **patience**.',
+  },
+  { ...createDailyNote('2026-10-14'), content: '![[debrief:2026-10-14]]\n\nRevisit [[2026-10-14]] and [[playbook:ORB]].' },
+];
+
+describe('parseLinks', () => {
+  it('finds trade, day, playbook and embed links', () => {
+    const links = parseLinks('[[trade:t1|fade]] [[2026-10-14]] [[pb:ORB]] ![[debrief:2026-10-14]] [[nope]] [[day:10/14]]');
+    expect(links.map((l) => [l.kind, l.target, l.label, l.embed])).toEqual([
+      ['trade', 't1', 'fade', false],
+      ['day', '2026-10-14', null, false],
+      ['playbook', 'ORB', null, false],
+      ['debrief', '2026-10-14', null, true],
+    ]);
+  });
+});
+
+describe('backlinksFor', () => {
+  it('collects notes per target, counting repeats', () => {
+    const trade = backlinksFor(NOTES, 'trade', 't1');
+    expect(trade).toHaveLength(1);
+    expect(trade[0]).toMatchObject({ count: 2, context: 'Best [[playbook:orb]] entry was [[trade:t1|the open drive]].' });
+    expect(backlinksFor(NOTES, 'trade', 't2')).toEqual([]);
+  });
+
+  it('matches playbooks case-insensitively and skips a daily page linking its own day', () => {
+    expect(backlinksFor(NOTES, 'playbook', 'Orb').map((b) => b.note.id)).toEqual(['n1', 'daily_2026-10-14']);
+    expect(backlinksFor(NOTES, 'day', '2026-10-14').map((b) => b.note.id)).toEqual(['n1', 'n2']);
+    expect(backlinksFor(NOTES, 'debrief', '2026-10-14')).toEqual([]);
+  });
+});
+
+describe('searchNotes', () => {
+  it('requires every term and ranks title and tag hits first', () => {
+    expect(searchNotes(NOTES, 'revisit').map((r) => r.note.id)).toEqual(['daily_2026-10-14']);
+    expect(searchNotes(NOTES, 'nq patience').map((r) => r.note.id)).toEqual(['n2']);
+    expect(searchNotes(NOTES, 'psychology')[0].note.id).toBe('n2');
+    expect(searchNotes(NOTES, 'orb').map((r) => r.note.id)).toEqual(['n1', 'daily_2026-10-14']);
+    expect(searchNotes(NOTES, '"gap fill"').map((r) => r.note.id)).toEqual(['n2']);
+    expect(searchNotes(NOTES, '"fill gap"')).toEqual([]);
+  });
+
+  it('returns plain-text snippets and all notes newest first without a query', () => {
+    const [hit] = searchNotes(NOTES, 'patience');
+    expect(hit.snippet).toContain('need patience.');
+    expect(hit.snippet).not.toContain('**');
+    expect(searchNotes(NOTES, '').map((r) => r.note.id)).toEqual(['n1', 'n2', 'daily_2026-10-14']);
+  });
+});
+
+describe('daily pages', () => {
+  beforeEach(() => useTradeStore.getState().hydrate({ trades: TRADES, notes: [] }));
+
+  it('creates one page per trading day with the debrief embedded', () => {
+    const added = missingDailyNotes(NOTES, TRADES);
+    expect(added.map((n) => n.id)).toEqual(['daily_2026-10-15']);
+    expect(added[0]).toMatchObject({ kind: 'daily', date: '2026-10-15' });
+    expect(parseLinks(added[0].content)[0]).toMatchObject({ kind: 'debrief', embed: true });
+  });
+
+  it('ensureDailyNotes only adds missing days', () => {
+    expect(useTradeStore.getState().ensureDailyNotes()).toBe(2);
+    expect(useTradeStore.getState().ensureDailyNotes()).toBe(0);
+    useTradeStore.getState().addTrade({ id: 't4', symbol: 'CL', pnl: 10, date: '2026-10-16T15:00:00Z' });
+    expect(useTradeStore.getState().ensureDailyNotes()).toBe(1);
+    expect(useTradeStore.getState().notes.map((n) => n.date)).toEqual(['2026-10-16', '2026-10-15', '2026-10-14']);
+  });
+
+  it('does not recreate a daily page the user deleted', () => {
+    expect(missingDailyNotes([], TRADES, ['2026-10-15']).map((n) => n.date)).toEqual(['2026-10-14']);
+
+    useTradeStore.getState().ensureDailyNotes();
+    useTradeStore.getState().deleteNote('daily_2026-10-15');
+    expect(useTradeStore.getState().dismissedDays).toEqual(['2026-10-15']);
+    useTradeStore.getState().addTrade({ id: 't5', symbol: 'ES', pnl: 5, date: '2026-10-15T18:00:00Z' });
+    expect(useTradeStore.getState().ensureDailyNotes()).toBe(0);
+    expect(useTradeStore.getState().notes.map((n) => n.date)).toEqual(['2026-10-14']);
+  });
+});
+
+describe('suggestLinks', () => {
+  const sources = { trades: TRADES, playbooks: [{ name: 'ORB' }, { name: 'Breakout' }] };
+
+  it('only opens inside an unclosed [[', () => {
+    expect(suggestLinks('no link', 7, sources)).toBeNull();
+    expect(suggestLinks('[[trade:t1]] done', 17, sources)).toBeNull();
+  });
+
+  it('completes kinds, days, trades and playbooks', () => {
+    expect(suggestLinks('see [[', 6, sources).items.map((i) => i.label)).toEqual(['trade:', 'playbook:', '2026-10-15', '2026-10-14']);
+    expect(suggestLinks('[[2026-10-1', 11, sources).items.map((i) => i.insert)).toEqual(['[[2026-10-15]]', '[[2026-10-14]]']);
+    expect(suggestLinks('[[trade:es', 10, sources).items.map((i) => i.insert)).toEqual(['[[trade:t3]]', '[[trade:t1]]']);
+    expect(suggestLinks('[[playbook:', 11, sources).items.map((i) => i.label)).toEqual(['Breakout', 'Gap Fill', 'ORB']);
+  });
+
+  it('replaces the partial link, including an auto-closed ]]', () => {
+    const text = 'Took [[trade:nq]] too early';
+    const s = suggestLinks(text, 15, sources);
+    expect(s.items[0].insert).toBe('[[trade:t2]]');
+    expect(applySuggestion(text, s, s.items[0])).toEqual({ text: 'Took [[trade:t2]] too early', cursor: 17 });
+  });
+
+  it('trade links open in the journal as an id: query', () => {
+    expect(filterTrades(TRADES, 'id:"t2"').map((t) => t.id)).toEqual(['t2']);
+  });
+});
+
+describe('parseMarkdown', () => {
+  it('parses blocks and inline markup', () => {
+    const blocks = parseMarkdown('## Plan\n- [x] **Size** down\n- [ ] wait for [[playbook:ORB]]\n\n> calm\n\n![[debrief:2026-10-14]]\n```\nraw *text*\n```');
+    expect(blocks.map((b) => b.type)).toEqual(['heading', 'list', 'quote', 'embed', 'code']);
+    expect(blocks[1].items[0]).toMatchObject({ checked: true, inline: [{ type: 'strong' }, { type: 'text', text: ' down' }] });
+    expect(blocks[1].items[1].inline[1]).toEqual({ type: 'wikilink', body: 'playbook:ORB', label: null, embed: false });
+    expect(blocks[3].body).toBe('debrief:2026-10-14');
+    expect(blocks[4].text).toBe('raw *text*');
+  });
+
+  it('only links http(s) URLs and strips markup for plain text', () => {
+    expect(parseMarkdown('[x](javascript:alert(1))')[0].lines[0]).toEqual([{ type: 'text', text: '[x](javascript:alert(1))' }]);
+    expect(markdownToText('# Title\n- **bold** [[trade:t1|fade]] [site](https://a.io)\n![[debrief:2026-10-14]]')).toBe('Title\nbold fade site');
+  });
+});
@@ -0,0 +1,155 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Optimizer Tests
+// Tests for: range expansion, grid/random search, date ranges,
+// objective ranking, walk-forward folds, sync bridge fallback
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect } from 'vitest';
+import {
+  rangeValues,
+  rangesFromParams,
+  comboCount,
+  paramGrid,
+  randomParams,
+  barRange,
+  runSweep,
+  walkForward,
+  metricsOf,
+  OBJECTIVES,
+} from '../engine/Optimizer.js';
+import { startOptimization } from '../engine/OptimizerBridge.js';
+
+const DAY = 86400000;
+const T0 = Date.UTC(2025, 0, 1);
+// Slow sine wave — crossovers of short MAs trade it profitably
+const bars = Array.from({ length: 240 }, (_, i) => {
+  const p = 100 + 10 * Math.sin(i / 8);
+  return { time: T0 + i * DAY, open: p, high: p + 0.5, low: p - 0.5, close: p, volume: 1000 };
+});
+
+const code = `
+  const fast = param('fast', 3, { min: 2, max: 6, step: 2 });
+  const slow = param('slow', 12, { min: 10, max: 30, step: 10 });
+  strategy.entry('long', crossover(sma(close, fast), sma(close, slow)));
+  strategy.exit(crossunder(sma(close, fast), sma(close, slow)));
+`;
+
+describe('parameter space', () => {
+  it('expands ranges without float drift', () => {
+    expect(rangeValues({ min: 1, max: 2, step: 0.25 })).toEqual([1, 1.25, 1.5, 1.75, 2]);
+    expect(rangeValues({ min: 0.1, max: 0.3, step: 0.1 })).toEqual([0.1, 0.2, 0.3]);
+    expect(rangeValues([5, 8])).toEqual([5, 8]);
+    expect(rangeValues({ min: 5, max: 1 })).toEqual([]);
+  });
+
+  it('derives ranges from param declarations', () => {
+    expect(rangesFromParams({
+      fast: { default: 9, min: 2, max: 50, step: 1 },
+      slow: { default: 21, min: 5, max: 105 },
+      label: { default: 'x' },
+    })).toEqual({ fast: { min: 2, max: 50, step: 1 }, slow: { min: 5, max: 105, step: 10 } });
+  });
+
+  it('builds grids and capped grids', () => {
+    const ranges = { a: [1, 2, 3], b: { min: 10, max: 20, step: 10 } };
+    expect(comboCount(ranges)).toBe(6);
+    expect(paramGrid(ranges)).toContainEqual({ a: 3, b: 20 });
+    expect(paramGrid(ranges, 4)).toHaveLength(4);
+  });
+
+  it('samples distinct random combinations reproducibly', () => {
+    const ranges = { a: { min: 1, max: 20 }, b: { min: 1, max: 20 } };
+    const first = randomParams(ranges, 25, 7);
+    expect(first).toHaveLength(25);
+    expect(new Set(first.map((c) => JSON.stringify(c))).size).toBe(25);
+    expect(randomParams(ranges, 25, 7)).toEqual(first);
+    expect(randomParams({ a: [1, 2] }, 10)).toHaveLength(2);
+  });
+});
+
+describe('barRange', () => {
+  it('maps dates to bar indexes, including the whole end day', () => {
+    expect(barRange(bars, '2025-01-11', '2025-01-20')).toEqual({ start: 10, end: 20 });
+    expect(barRange(bars)).toEqual({ start: 0, end: 240 });
+  });
+});
+
+describe('runSweep', () => {
+  it('ranks every grid combination by the objective', () => {
+    const res = runSweep(code, bars, { ranges: { fast: { min: 2, max: 6, step: 2 }, slow: [10, 20, 30] } });
+    expect(res.tested).toBe(9);
+    expect(res.results).toHaveLength(9);
+    const scores = res.results.map((r) => r.score);
+    expect([...scores].sort((a, b) => b - a)).toEqual(scores);
+    expect(res.best.metrics.netPnl).toBe(Math.max(...res.results.map((r) => r.metrics.netPnl)));
+  });
+
+  it('ranks profitable sets by drawdown with the smallest first', () => {
+    const res = runSweep(code, bars, { ranges: { fast: [2, 4], slow: [10, 30] }, objective: 'maxDd', minTrades: 0 });
+    const ranked = res.results.filter((r) => r.score > -Infinity);
+    expect(ranked.length).toBeGreaterThan(0);
+    const dds = ranked.map((r) => r.metrics.maxDd);
+    expect([...dds].sort((a, b) => a - b)).toEqual(dds);
+    expect(ranked.every((r) => r.metrics.netPnl > 0)).toBe(true);
+    expect(res.results.slice(ranked.length).every((r) => r.metrics.netPnl <= 0 || !r.metrics.trades)).toBe(true);
+  });
+
+  it('measures drawdown in dollars, net of fees', () => {
+    const loss = (pnl) => ({ symbol: 'T', side: 'long', date: '2025-01-02', pnl, fees: 0 });
+    const losing = metricsOf([loss(-100), loss(-100), loss(-100), loss(-100)]);
+    expect(losing).toMatchObject({ netPnl: -400, maxDd: 400 });
+    const winning = metricsOf([loss(100), loss(-50), loss(100)]);
+    expect(winning).toMatchObject({ netPnl: 150, maxDd: 50 });
+    expect(OBJECTIVES.maxDd.score(winning)).toBeGreaterThan(OBJECTIVES.maxDd.score(losing));
+  });
+
+  it('only trades inside the date range', () => {
+    const res = runSweep(code, bars, { ranges: { fast: [2] }, from: '2025-03-01', to: '2025-04-30' });
+    const trades = res.best ? res.best.metrics.trades : 0;
+    const all = runSweep(code, bars, { ranges: { fast: [2] } }).best.metrics.trades;
+    expect(trades).toBeGreaterThan(0);
+    expect(trades).toBeLessThan(all);
+  });
+
+  it('holds unswept params at their base value and counts script errors', () => {
+    const res = runSweep(code, bars, { ranges: { fast: [2] }, baseParams: { slow: 20 } });
+    expect(res.best.params).toEqual({ slow: 20, fast: 2 });
+    expect(runSweep('strategy.entry(', bars, { ranges: { a: [1, 2] } }).errors).toBe(2);
+  });
+
+  it('reports progress', () => {
+    const calls = [];
+    runSweep(code, bars, { ranges: { fast: [2, 4] }, onProgress: (d, t) => calls.push([d, t]) });
+    expect(calls).toEqual([[1, 2], [2, 2]]);
+  });
+});
+
+describe('walkForward', () => {
+  it('optimizes in-sample and scores the next out-of-sample window', () => {
+    const res = walkForward(code, bars, { ranges: { fast: [2, 4], slow: [10, 20] }, folds: 3, inSamplePct: 0.6 });
+    expect(res.folds).toHaveLength(3);
+    const [f1, f2] = res.folds;
+    expect(f1.inSample).toMatchObject({ start: 0, end: 48 });
+    expect(f1.outOfSample).toMatchObject({ start: 48, end: 80 });
+    expect(f2.inSample.start).toBe(80);
+    expect(res.oosMetrics.trades).toBe(res.oosTrades.length);
+    expect(res.oosTrades.every((t) => Date.parse(t.date) >= T0 + 48 * DAY)).toBe(true);
+  });
+
+  it('anchors the in-sample to the first bar when asked', () => {
+    const res = walkForward(code, bars, { ranges: { fast: [2, 4] }, folds: 3, anchored: true });
+    expect(res.folds.map((f) => f.inSample.start)).toEqual([0, 0, 0]);
+  });
+});
+
+describe('startOptimization', () => {
+  it('runs synchronously when Workers are unavailable', async () => {
+    const progress = [];
+    const { data, mode } = await startOptimization('sweep', code, bars, { ranges: { fast: [2, 4] } }, {
+      onProgress: (d) => progress.push(d),
+    }).promise;
+    expect(mode).toBe('sync');
+    expect(data.tested).toBe(2);
+    expect(progress).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,206 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Options Engine Tests
+// Tests for: contract parsing, DTE, Black-Scholes / implied vol,
+// classifyStrategy, maxLoss, groupStrategies, greeksAtEntry
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseOccSymbol,
+  parseOptionDescription,
+  optionSymbol,
+  daysToExpiry,
+  dteBucket,
+  normCdf,
+  blackScholes,
+  impliedVol,
+  classifyStrategy,
+  maxLoss,
+  groupStrategies,
+  greeksAtEntry,
+  entryGreeksUpdate,
+} from '../engine/Options.js';
+import { normalizeTrade } from '../engine/TradeSchema.js';
+
+const EXP = '2025-03-21';
+const leg = (optionType, strike, side, entry, extra = {}) => ({
+  optionType, strike, side, entry, expiry: EXP, qty: 1, multiplier: 100, ...extra,
+});
+
+describe('contract parsing', () => {
+  it('parses OCC and short option symbols', () => {
+    expect(parseOccSymbol('SPY240315C00510000')).toEqual({ underlying: 'SPY', expiry: '2024-03-15', optionType: 'call', strike: 510 });
+    expect(parseOccSymbol('SPY   240315P00495500').strike).toBe(495.5);
+    expect(parseOccSymbol('.AAPL250117C190').strike).toBe(190);
+    expect(parseOccSymbol('AAPL')).toBeNull();
+  });
+
+  it('parses broker descriptions', () => {
+    expect(parseOptionDescription('SPY 3/15/2024 Call $510.00')).toEqual({
+      underlying: 'SPY', expiry: '2024-03-15', optionType: 'call', strike: 510,
+    });
+    expect(parseOptionDescription('Dividend from SPY')).toBeNull();
+  });
+
+  it('builds readable contract symbols', () => {
+    expect(optionSymbol({ underlying: 'SPY', expiry: '2024-03-15', optionType: 'put', strike: 495.5 })).toBe('SPY 240315P495.5');
+  });
+});
+
+describe('days to expiry', () => {
+  it('counts calendar days and buckets them', () => {
+    expect(daysToExpiry(EXP, '2025-03-21T14:30:00')).toBe(0);
+    expect(daysToExpiry(EXP, '2025-03-14T14:30:00')).toBe(7);
+    expect(dteBucket(0)).toBe('0DTE');
+    expect(dteBucket(7)).toBe('1–7d');
+    expect(dteBucket(45)).toBe('31–60d');
+    expect(dteBucket(200)).toBe('60d+');
+    expect(dteBucket(null)).toBeNull();
+  });
+});
+
+describe('Black-Scholes', () => {
+  it('matches reference prices', () => {
+    expect(normCdf(0)).toBeCloseTo(0.5, 7);
+    expect(normCdf(1.96)).toBeCloseTo(0.975, 3);
+    const call = blackScholes({ type: 'call', S: 100, K: 100, T: 1, sigma: 0.2, r: 0.05 });
+    const put = blackScholes({ type: 'put', S: 100, K: 100, T: 1, sigma: 0.2, r: 0.05 });
+    expect(call.price).toBeCloseTo(10.4506, 3);
+    expect(put.price).toBeCloseTo(5.5735, 3);
+    expect(call.delta).toBeCloseTo(0.6368, 3);
+    expect(put.delta).toBeCloseTo(-0.3632, 3);
+    expect(call.gamma).toBeCloseTo(put.gamma, 10);
+    expect(call.theta).toBeLessThan(0);
+  });
+
+  it('recovers implied volatility from a premium', () => {
+    const p = { type: 'put', S: 100, K: 95, T: 0.25, r: 0.04 };
+    const price = blackScholes({ ...p, sigma: 0.35 }).price;
+    expect(impliedVol(price, p)).toBeCloseTo(0.35, 4);
+  });
+
+  it('rejects premiums outside arbitrage bounds', () => {
+    expect(impliedVol(1, { type: 'call', S: 120, K: 100, T: 0.5 })).toBeNull(); // below intrinsic
+    expect(impliedVol(150, { type: 'call', S: 100, K: 100, T: 0.5 })).toBeNull(); // above S
+  });
+});
+
+describe('classifyStrategy', () => {
+  it('names single legs and verticals', () => {
+    expect(classifyStrategy([leg('call', 100, 'long', 2)])).toBe('long_call');
+    expect(classifyStrategy([leg('put', 100, 'short', 2)])).toBe('short_put');
+    expect(classifyStrategy([leg('call', 100, 'long', 3), leg('call', 105, 'short', 1)])).toBe('bull_call_spread');
+    expect(classifyStrategy([leg('call', 100, 'short', 3), leg('call', 105, 'long', 1)])).toBe('bear_call_spread');
+    expect(classifyStrategy([leg('put', 95, 'long', 1), leg('put', 100, 'short', 3)])).toBe('bull_put_spread');
+    expect(classifyStrategy([leg('put', 95, 'short', 1), leg('put', 100, 'long', 3)])).toBe('bear_put_spread');
+    expect(classifyStrategy([leg('call', 100, 'long', 3), leg('call', 105, 'short', 1, { qty: 2 })])).toBe('ratio_spread');
+  });
+
+  it('names straddles, strangles and time spreads', () => {
+    expect(classifyStrategy([leg('call', 100, 'long', 3), leg('put', 100, 'long', 3)])).toBe('long_straddle');
+    expect(classifyStrategy([leg('call', 105, 'short', 1), leg('put', 95, 'short', 1)])).toBe('short_strangle');
+    expect(classifyStrategy([leg('call', 100, 'short', 1), leg('call', 100, 'long', 3, { expiry: '2025-04-17' })])).toBe('calendar');
+    expect(classifyStrategy([leg('call', 105, 'short', 1), leg('call', 100, 'long', 3, { expiry: '2025-04-17' })])).toBe('diagonal');
+  });
+
+  it('names four-leg structures and butterflies', () => {
+    const condor = [leg('put', 90, 'long', 0.5), leg('put', 95, 'short', 1.2), leg('call', 105, 'short', 1.1), leg('call', 110, 'long', 0.4)];
+    expect(classifyStrategy(condor)).toBe('iron_condor');
+    const fly = [leg('put', 95, 'long', 0.5), leg('put', 100, 'short', 2), leg('call', 100, 'short', 2), leg('call', 105, 'long', 0.5)];
+    expect(classifyStrategy(fly)).toBe('iron_butterfly');
+    expect(classifyStrategy(condor.map((l) => ({ ...l, side: l.side === 'long' ? 'short' : 'long' })))).toBe('reverse_iron_condor');
+    // 1-2-1 butterfly entered as four legs
+    const bfly = [leg('call', 95, 'long', 6), leg('call', 100, 'short', 3), leg('call', 100, 'short', 3), leg('call', 105, 'long', 1)];
+    expect(classifyStrategy(bfly)).toBe('long_butterfly');
+  });
+
+  it('recognizes stock + option combinations', () => {
+    expect(classifyStrategy([{ side: 'long', qty: 100 }, leg('call', 105, 'short', 1)])).toBe('covered_call');
+    expect(classifyStrategy([{ side: 'long', qty: 100 }, leg('put', 95, 'long', 1)])).toBe('protective_put');
+  });
+});
+
+describe('maxLoss', () => {
+  it('bounds defined-risk structures', () => {
+    // Debit spread: lose the debit ($2.00)
+    expect(maxLoss([leg('call', 100, 'long', 3), leg('call', 105, 'short', 1)])).toBe(200);
+    // Iron condor: width − credit = 5 − 1.4
+    const condor = [leg('put', 90, 'long', 0.5), leg('put', 95, 'short', 1.2), leg('call', 105, 'short', 1.1), leg('call', 110, 'long', 0.4)];
+    expect(maxLoss(condor)).toBe(360);
+  });
+
+  it('returns null for unbounded or multi-expiry risk', () => {
+    expect(maxLoss([leg('call', 100, 'short', 2)])).toBeNull();
+    expect(maxLoss([leg('call', 100, 'short', 1), leg('call', 100, 'long', 3, { expiry: '2025-04-17' })])).toBeNull();
+  });
+});
+
+describe('groupStrategies', () => {
+  const base = { underlying: 'SPY', symbol: 'SPY', assetClass: 'options', expiry: EXP, qty: 2, multiplier: 100 };
+  const at = (sec) => `2025-03-10T14:30:${String(sec).padStart(2, '0')}.000Z`;
+  const legs = [
+    { ...base, id: 'a', optionType: 'call', strike: 500, side: 'long', entry: 5, exit: 8, pnl: 600, fees: 1, date: at(0), closeDate: '2025-03-12T15:00:00.000Z' },
+    { ...base, id: 'b', optionType: 'call', strike: 510, side: 'short', entry: 2, exit: 3, pnl: -200, fees: 1, date: at(5), closeDate: '2025-03-12T15:00:00.000Z' },
+  ];
+
+  it('combines legs opened together into one strategy trade', () => {
+    const [s] = groupStrategies(legs);
+    expect(s.strategy).toBe('bull_call_spread');
+    expect(s.legs).toHaveLength(2);
+    expect(s.symbol).toBe('SPY');
+    expect(s.side).toBe('long');     // net debit
+    expect(s.entry).toBe(3);         // 5 − 2
+    expect(s.exit).toBe(5);          // 8 − 3
+    expect(s.qty).toBe(2);
+    expect(s.pnl).toBe(400);
+    expect(s.fees).toBe(2);
+    expect(s.rMultiple).toBe(0.67);  // 400 / (3 × 100 × 2)
+    expect(s.expiry).toBe(EXP);
+  });
+
+  it('keeps legs apart outside the grouping window and passes other trades through', () => {
+    const late = { ...legs[1], date: '2025-03-10T15:30:00.000Z' };
+    const stock = { id: 's', symbol: 'AAPL', date: at(1), pnl: 10 };
+    const out = groupStrategies([legs[0], late, stock]);
+    expect(out).toHaveLength(3);
+    expect(out.find((t) => t.id === 'a').strategy).toBe('long_call');
+    expect(out.find((t) => t.id === 's')).toBe(stock);
+  });
+
+  it('produces trades that pass schema normalization', () => {
+    const n = normalizeTrade(groupStrategies(legs)[0]);
+    expect(n.assetClass).toBe('options');
+    expect(n.legs).toHaveLength(2);
+    expect(n.optionType).toBeNull();
+  });
+});
+
+describe('greeksAtEntry', () => {
+  const date = '2025-02-19T20:00:00.000Z'; // 30 days before expiry close
+  const T = 30 / 365;
+
+  it('backs IV out of a single leg premium', () => {
+    const premium = blackScholes({ type: 'call', S: 100, K: 100, T, sigma: 0.3 }).price;
+    const g = greeksAtEntry({ ...leg('call', 100, 'long', premium), date }, 100);
+    expect(g.iv).toBeCloseTo(0.3, 3);
+    expect(g.delta).toBeCloseTo(blackScholes({ type: 'call', S: 100, K: 100, T, sigma: 0.3 }).delta, 3);
+  });
+
+  it('nets Greeks across strategy legs', () => {
+    const price = (K) => blackScholes({ type: 'call', S: 100, K, T, sigma: 0.25 }).price;
+    const trade = { date, legs: [leg('call', 100, 'long', price(100)), leg('call', 105, 'short', price(105))] };
+    const g = greeksAtEntry(trade, 100);
+    expect(g.legs[0].iv).toBeCloseTo(0.25, 3);
+    expect(g.delta).toBeCloseTo(g.legs[0].delta - g.legs[1].delta, 3);
+    expect(g.delta).toBeGreaterThan(0);
+
+    const updates = entryGreeksUpdate(trade, 100);
+    expect(updates.underlyingAtEntry).toBe(100);
+    expect(updates.legs[1].iv).toBeCloseTo(0.25, 3);
+  });
+
+  it('returns null without an underlying price or a priceable leg', () => {
+    expect(greeksAtEntry({ ...leg('call', 100, 'long', 2), date }, 0)).toBeNull();
+    expect(greeksAtEntry({ symbol: 'AAPL', date }, 100)).toBeNull();
+  });
+});
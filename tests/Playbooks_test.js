@@ -0,0 +1,142 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Playbook & Playbook Report Tests
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizePlaybook,
+  validatePlaybook,
+  findPlaybook,
+  instrumentAllowed,
+  tradeSession,
+  checkTradePlan,
+  playbookReport,
+} from '../engine/Playbooks.js';
+import { useTradeStore } from '../state/useTradeStore.js';
+
+const ORB = normalizePlaybook({
+  id: 'pb_orb',
+  name: 'ORB',
+  entryCriteria: ['Break of 5m range'],
+  invalidation: ['Back inside range'],
+  targetR: 2,
+  instruments: 'es, NQ',
+  sessions: ['regular'],
+  checklist: ['setup', 'risk'],
+});
+
+// 14:35Z is 09:35 New York (regular hours); 12:00Z is pre-market
+const trade = (id, o = {}) => ({
+  id, symbol: 'ES', playbook: 'ORB', side: 'long', pnl: 100, rMultiple: 2,
+  date: '2026-10-14T14:35:00Z', checklist: { setup: true, risk: true }, ...o,
+});
+
+const TRADES = [
+  trade('a', { marketCondition: 'trending' }),
+  trade('b', { pnl: -50, rMultiple: -1, marketCondition: 'ranging', ruleBreak: true }),
+  trade('c', { symbol: 'MESZ6', pnl: 200, rMultiple: 3, marketCondition: 'trending' }),
+  trade('d', { symbol: 'CL', pnl: -80, rMultiple: -1, checklist: { setup: true, risk: false } }),
+  trade('e', { playbook: 'Fade', pnl: 40, rMultiple: 1 }),
+  trade('f', { playbook: '', pnl: -30, rMultiple: null }),
+];
+
+describe('normalizePlaybook', () => {
+  it('migrates legacy rules and cleans the structured fields', () => {
+    const pb = normalizePlaybook({ id: 'pb1', name: ' Trend ', rules: ['Wait for EMA', ' '], targetR: '0', sessions: ['regular', 'lunch'] });
+    expect(pb).toMatchObject({
+      name: 'Trend', entryCriteria: ['Wait for EMA'], rules: ['Wait for EMA'],
+      invalidation: [], targetR: null, instruments: [], sessions: ['regular'], checklist: [],
+    });
+    expect(ORB.instruments).toEqual(['ES', 'NQ']);
+  });
+
+  it('validates names and finds playbooks case-insensitively', () => {
+    expect(validatePlaybook(normalizePlaybook({ name: '' })).ok).toBe(false);
+    expect(validatePlaybook({ id: 'x', name: 'orb' }, [ORB]).error).toMatch(/already exists/);
+    expect(validatePlaybook(ORB, [ORB]).ok).toBe(true);
+    expect(findPlaybook([ORB], 'orb ')).toBe(ORB);
+    expect(findPlaybook([ORB], '')).toBeNull();
+  });
+});
+
+describe('checkTradePlan', () => {
+  it('matches instruments by symbol, futures root and wildcard', () => {
+    expect(instrumentAllowed('MESZ6', ['ES'])).toBe(true);
+    expect(instrumentAllowed('BTCUSDT', ['BTC*'])).toBe(true);
+    expect(instrumentAllowed('CL', ['ES', 'NQ'])).toBe(false);
+    expect(instrumentAllowed('CL', [])).toBe(true);
+  });
+
+  it('reads the entry session from the exchange calendar', () => {
+    expect(tradeSession(trade('x'))).toBe('regular');
+    expect(tradeSession(trade('x', { date: '2026-10-14T12:00:00Z' }))).toBe('pre');
+  });
+
+  it('passes a clean trade and scores adherence from every check', () => {
+    expect(checkTradePlan(trade('x'), ORB)).toEqual({ inPlan: true, violations: [], score: 100 });
+
+    const bad = checkTradePlan(
+      trade('x', { symbol: 'CL', ruleBreak: true, date: '2026-10-14T12:00:00Z', checklist: { setup: true } }),
+      ORB,
+      { checklistItems: [{ id: 'risk', label: 'Risk defined' }] }
+    );
+    expect(bad.inPlan).toBe(false);
+    expect(bad.violations.map((v) => v.rule)).toEqual(['rules', 'instrument', 'session', 'checklist']);
+    expect(bad.violations[2].text).toBe('Outside allowed sessions: pre');
+    expect(bad.violations[3].text).toBe('Checklist incomplete: Risk defined');
+    expect(bad.score).toBe(13); // (0 + 0 + 0 + 0.5) / 4
+  });
+
+  it('does not penalise missing checklist data but flags unknown playbooks', () => {
+    expect(checkTradePlan(trade('x', { checklist: undefined }), ORB).inPlan).toBe(true);
+    expect(checkTradePlan(trade('x', { followedRules: false }), ORB).violations[0].rule).toBe('rules');
+    expect(checkTradePlan(trade('x', { playbook: 'Fade' }), null).violations[0]).toEqual({ rule: 'unknown', text: 'Playbook not defined: Fade' });
+    expect(checkTradePlan(trade('x', { playbook: '' }), null)).toMatchObject({ inPlan: false, score: 100 });
+  });
+});
+
+describe('playbookReport', () => {
+  const report = playbookReport(TRADES, [ORB, { id: 'pb_empty', name: 'Gap Fill' }]);
+  const orb = report.rows.find((r) => r.name === 'ORB');
+
+  it('reports expectancy, R and target hits per playbook', () => {
+    expect(report.rows.map((r) => [r.name, r.count])).toEqual([['ORB', 4], ['Fade', 1], ['Gap Fill', 0]]);
+    expect(orb).toMatchObject({ pnl: 170, wins: 2, losses: 2, winRate: 50, expectancy: 42.5, avgR: 0.75, targetHitRate: 50, ruleBreaks: 1 });
+    expect(orb.avgWin).toBe(150);
+    expect(orb.avgLoss).toBe(-65);
+    expect(report.rows[1].playbook).toBeNull();
+    expect(report.rows[2].adherence).toBeNull();
+  });
+
+  it('splits P&L in plan vs out of plan', () => {
+    expect(orb.inPlan).toMatchObject({ count: 2, pnl: 300 });
+    expect(orb.outOfPlan).toMatchObject({ count: 2, pnl: -130 });
+    expect(orb.violations).toEqual({ rules: 1, instrument: 1, checklist: 1 });
+    expect(report.inPlan.count).toBe(2);
+    expect(report.outOfPlan).toMatchObject({ count: 4, pnl: -120 });
+    expect(report.unassigned).toMatchObject({ count: 1, pnl: -30 });
+  });
+
+  it('breaks win rate down by market condition', () => {
+    expect(orb.byCondition.map((c) => [c.condition, c.count, c.winRate])).toEqual([
+      ['trending', 2, 100],
+      ['ranging', 1, 0],
+      ['unspecified', 1, 0],
+    ]);
+    // a, c: 100 · b: rule break 75 · d: wrong instrument, half the checklist 63
+    expect(orb.adherence).toBeCloseTo((100 + 75 + 100 + 63) / 4, 5);
+  });
+});
+
+describe('useTradeStore playbooks', () => {
+  it('stores structured playbooks and migrates legacy ones on hydrate', () => {
+    useTradeStore.getState().hydrate({ playbooks: [{ id: 'pb1', name: 'Trend', rules: ['Wait for EMA'] }] });
+    expect(useTradeStore.getState().playbooks[0].entryCriteria).toEqual(['Wait for EMA']);
+
+    useTradeStore.getState().updatePlaybook('pb1', { targetR: 3, sessions: ['regular'] });
+    useTradeStore.getState().addPlaybook({ id: 'pb2', name: 'ORB' });
+    const [trend, orb] = useTradeStore.getState().playbooks;
+    expect(trend).toMatchObject({ targetR: 3, sessions: ['regular'], entryCriteria: ['Wait for EMA'] });
+    expect(orb).toMatchObject({ name: 'ORB', entryCriteria: [], checklist: [] });
+  });
+});
@@ -0,0 +1,178 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Resampler Tests
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  sessionBucket,
+  planResolution,
+  createResampler,
+  resampleBars,
+  tzOffset,
+} from '../chartEngine/feeds/Resampler.js';
+import { createDataManager } from '../chartEngine/feeds/DataManager.js';
+import { bucketStart } from '../engine/MultiTimeframe.js';
+
+const M1 = 60_000;
+const H = 3_600_000;
+const CME = { timeZone: 'America/Chicago', start: '17:00' };
+const NYSE = { timeZone: 'America/New_York', start: '09:30' };
+const BINANCE = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1D', '3D', '1W', '1M'];
+
+const bar = (time, close, extra = {}) => ({
+  time, open: close, high: close, low: close, close, volume: 1, ...extra,
+});
+
+describe('sessionBucket', () => {
+  it('matches UTC buckets without a session', () => {
+    const t = Date.UTC(2024, 2, 13, 17, 43, 12);
+    for (const tf of ['5m', '1h', '4h', '1D', '1W', '1M']) {
+      expect(sessionBucket(t, tf)).toBe(bucketStart(t, tf));
+    }
+    expect(sessionBucket(Date.UTC(2024, 0, 10, 5), '1W')).toBe(Date.UTC(2024, 0, 8));
+    expect(sessionBucket(t, '15s')).toBe(Date.UTC(2024, 2, 13, 17, 43, 0));
+  });
+
+  it('runs daily bars from session open to open across DST', () => {
+    expect(tzOffset(Date.UTC(2024, 0, 8), 'America/Chicago')).toBe(-6 * H);
+    expect(sessionBucket(Date.UTC(2024, 0, 8, 15), '1D', CME)).toBe(Date.UTC(2024, 0, 7, 23));
+    expect(sessionBucket(Date.UTC(2024, 6, 9, 15), '1D', CME)).toBe(Date.UTC(2024, 6, 8, 22));
+    // 17:30 CST already belongs to the next trading day
+    expect(sessionBucket(Date.UTC(2024, 0, 8, 23, 30), '1D', CME)).toBe(Date.UTC(2024, 0, 8, 23));
+  });
+
+  it('counts intraday buckets from the session open', () => {
+    // 20:30 CST → the 19:00–21:00 bucket
+    expect(sessionBucket(Date.UTC(2024, 0, 8, 2, 30), '2h', CME)).toBe(Date.UTC(2024, 0, 8, 1));
+    expect(sessionBucket(Date.UTC(2024, 0, 9, 14, 40), '7m', NYSE)).toBe(Date.UTC(2024, 0, 9, 14, 37));
+    expect(sessionBucket(Date.UTC(2024, 6, 9, 13, 31), '7m', NYSE)).toBe(Date.UTC(2024, 6, 9, 13, 30));
+  });
+});
+
+describe('planResolution', () => {
+  it('serves aligned resolutions natively', () => {
+    expect(planResolution('2h', BINANCE)).toEqual({ resolution: '2h', base: '2h', native: true });
+    expect(planResolution('3D', BINANCE).native).toBe(true);
+  });
+
+  it('picks the coarsest base that fits the buckets', () => {
+    expect(planResolution('7m', BINANCE).base).toBe('1m');
+    expect(planResolution('10m', BINANCE).base).toBe('5m');
+    expect(planResolution('3h', BINANCE).base).toBe('1h');
+    expect(planResolution('3D', BINANCE.filter((r) => r !== '3D')).base).toBe('1D');
+    expect(planResolution('15s', ['1s', '5s', '1m']).base).toBe('5s');
+    expect(planResolution('15s', BINANCE)).toBeNull();
+  });
+
+  it('rebuilds session days from intraday bars', () => {
+    expect(planResolution('1D', BINANCE, CME)).toEqual({ resolution: '1D', base: '1h', native: false });
+    expect(planResolution('1D', BINANCE, NYSE).base).toBe('30m');
+    expect(planResolution('1W', BINANCE, NYSE).base).toBe('30m');
+  });
+});
+
+describe('createResampler', () => {
+  const T = Date.UTC(2024, 0, 8, 12);
+
+  it('aggregates history into buckets', () => {
+    const bars = resampleBars([bar(T, 10), bar(T + M1, 12), bar(T + 2 * M1, 9), bar(T + 3 * M1, 11)], '3m');
+    expect(bars).toEqual([
+      { time: T, open: 10, high: 12, low: 9, close: 9, volume: 3 },
+      { time: T + 3 * M1, open: 11, high: 11, low: 11, close: 11, volume: 1 },
+    ]);
+  });
+
+  it('rebuilds the partial bar on every live update', () => {
+    const r = createResampler('3m');
+    r.seed([bar(T, 10), bar(T + M1, 12)]);
+
+    // Same base bar updating: replaces, doesn't double count
+    r.update(bar(T + M1, 13, { high: 14, volume: 2 }));
+    let out = r.update(bar(T + M1, 11, { high: 14, low: 8, volume: 3 }));
+    expect(out.isNew).toBe(false);
+    expect(out.bar).toEqual({ time: T, open: 10, high: 14, low: 8, close: 11, volume: 4 });
+
+    out = r.update(bar(T + 2 * M1, 15));
+    expect(out.bar).toMatchObject({ high: 15, close: 15, volume: 5 });
+
+    out = r.update(bar(T + 3 * M1, 16));
+    expect(out.isNew).toBe(true);
+    expect(out.bar).toEqual({ time: T + 3 * M1, open: 16, high: 16, low: 16, close: 16, volume: 1 });
+
+    // Late update of an older base bar is ignored
+    expect(r.update(bar(T + 2 * M1, 1))).toBeNull();
+  });
+});
+
+describe('DataManager resampling', () => {
+  const NOW = Date.UTC(2024, 0, 8, 12, 0, 30);
+  let engine, feed, calls, onBar;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(NOW);
+    calls = [];
+    engine = {
+      bars: [],
+      visibleRange: { start: 100 },
+      setSymbol() {},
+      setTimeframe() {},
+      setData(bars) { this.bars = [...bars]; },
+      prependBars(bars) { this.bars = [...bars, ...this.bars]; },
+      updateBar(b) {
+        const last = this.bars[this.bars.length - 1];
+        if (last && last.time === b.time) this.bars[this.bars.length - 1] = b;
+        else this.bars.push(b);
+      },
+    };
+    feed = {
+      async resolveSymbol() { return { timezone: 'Etc/UTC', supportedResolutions: ['1m', '5m', '1h'] }; },
+      async getBars(symbol, res, from, to) {
+        calls.push({ res, from, to });
+        const ms = res === '1m' ? M1 : res === '5m' ? 5 * M1 : H;
+        const bars = [];
+        for (let t = Math.ceil(from / ms) * ms; t <= Math.min(to, NOW); t += ms) bars.push(bar(t, t / M1 % 100));
+        return { bars, noMore: false };
+      },
+      subscribeBars(symbol, res, cb) { onBar = cb; calls.push({ sub: res }); return 'sub1'; },
+      unsubscribeBars() {},
+      getStatus() { return 'connected'; },
+    };
+  });
+
+  afterEach(() => vi.useRealTimers());
+
+  it('loads, streams and pages a resampled timeframe', async () => {
+    const dm = createDataManager(engine, feed, { initialBars: 10 });
+    await dm.load('X', '7m');
+
+    expect(dm.baseResolution).toBe('1m');
+    expect(calls[0].res).toBe('1m');
+    expect(calls[1]).toEqual({ sub: '1m' });
+    // 12:00 is 720 minutes into the day, 720 = 102·7 + 6 → bucket 11:54
+    const last = engine.bars[engine.bars.length - 1];
+    expect(last.time).toBe(Date.UTC(2024, 0, 8, 11, 54));
+    expect(last.volume).toBe(7);
+    expect(engine.bars[1].time - engine.bars[0].time).toBe(7 * M1);
+
+    onBar(bar(NOW - 30_000, 99, { high: 500, volume: 5 }));
+    expect(engine.bars[engine.bars.length - 1]).toMatchObject({ time: last.time, high: 500, close: 99, volume: 11 });
+    onBar(bar(NOW + 30_000, 42));
+    expect(engine.bars[engine.bars.length - 1]).toMatchObject({ time: Date.UTC(2024, 0, 8, 12, 1), volume: 1 });
+
+    const oldest = engine.bars[0].time;
+    await dm.loadMore();
+    expect(engine.bars[0].time).toBeLessThan(oldest);
+    expect(engine.bars.every((b, i) => i === 0 || b.time > engine.bars[i - 1].time)).toBe(true);
+    expect(engine.bars.find((b) => b.time === oldest - 7 * M1).volume).toBe(7);
+  });
+
+  it('keeps native resolutions on the direct path', async () => {
+    const dm = createDataManager(engine, feed, { initialBars: 10 });
+    await dm.load('X', '5m');
+    expect(dm.isResampled).toBe(false);
+    expect(calls[0].res).toBe('5m');
+    onBar(bar(Date.UTC(2024, 0, 8, 12), 1));
+    expect(engine.bars[engine.bars.length - 1].time).toBe(Date.UTC(2024, 0, 8, 12));
+  });
+});
@@ -0,0 +1,228 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Session Calendar Tests
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  calendarForSymbol,
+  sessionSpec,
+  holidays,
+  sessionWindow,
+  sessionAt,
+  isMarketOpen,
+  tradingDayKey,
+  sessionKeyFn,
+  sessionMarks,
+  filterRegularHours,
+  weeklyClose,
+  heldOverWeekend,
+  scheduledNews,
+  NEWS_SCHEDULE_END,
+  newsNear,
+  futuresRoot,
+  parseContract,
+  frontContract,
+  rollSchedule,
+} from '../engine/SessionCalendar.js';
+import { timeToBarIndex, sessionTimeTicks } from '../chartEngine/CoordinateSystem.js';
+import { vwap } from '../chartEngine/indicators/computations.js';
+import { computeEvaluation } from '../state/usePropFirmStore.js';
+
+const M = 60_000;
+const H = 3_600_000;
+const DAY = 86_400_000;
+const iso = (t) => new Date(t).toISOString();
+const bar = (time, close, volume = 1) => ({ time, open: close, high: close, low: close, close, volume });
+
+describe('calendars', () => {
+  it('resolves the calendar of registry symbols and contracts', () => {
+    expect(calendarForSymbol('AAPL').id).toBe('us_equity');
+    expect(calendarForSymbol('ESZ5').id).toBe('cme_equity');
+    expect(calendarForSymbol('MNQH6').id).toBe('cme_equity');
+    expect(calendarForSymbol('CL').id).toBe('cme_energy');
+    expect(calendarForSymbol('EURUSD=X').id).toBe('forex');
+    expect(calendarForSymbol('BTC').id).toBe('crypto');
+    expect(calendarForSymbol('XYZ')).toBeNull();
+    expect(calendarForSymbol('XYZ', 'stocks').id).toBe('us_equity');
+  });
+
+  it('anchors resampling sessions at the overnight or regular open', () => {
+    expect(sessionSpec('cme_equity')).toEqual({ timeZone: 'America/Chicago', start: '17:00' });
+    expect(sessionSpec('us_equity')).toEqual({ timeZone: 'America/New_York', start: '09:30' });
+  });
+
+  it('lists exchange holidays and early closes', () => {
+    const us = holidays(2025, 'us_equity');
+    expect(us.filter((h) => h.closed).map((h) => h.date)).toEqual([
+      '2025-01-01', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26',
+      '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25',
+    ]);
+    expect(us.filter((h) => !h.closed).map((h) => h.date)).toEqual(['2025-07-03', '2025-11-28', '2025-12-24']);
+  });
+});
+
+describe('sessions', () => {
+  it('builds session windows across the overnight open', () => {
+    const w = sessionWindow('2025-01-06', 'cme_equity');
+    expect(iso(w.open)).toBe('2025-01-05T23:00:00.000Z');
+    expect(iso(w.regularOpen)).toBe('2025-01-06T14:30:00.000Z');
+    expect(iso(w.regularClose)).toBe('2025-01-06T21:15:00.000Z');
+    expect(iso(w.close)).toBe('2025-01-06T22:00:00.000Z');
+  });
+
+  it('closes early on half days', () => {
+    const w = sessionWindow('2025-11-28', 'us_equity');
+    expect(iso(w.regularClose)).toBe('2025-11-28T18:00:00.000Z');
+    expect(w.holiday).toMatch(/early close/);
+  });
+
+  it('classifies instants by phase and trading day', () => {
+    // Sunday evening Globex belongs to Monday
+    expect(sessionAt(Date.UTC(2025, 0, 5, 23, 30), 'cme_equity').tradingDay).toBe('2025-01-06');
+    expect(sessionAt(Date.UTC(2025, 0, 6, 15), 'cme_equity').phase).toBe('regular');
+    expect(sessionAt(Date.UTC(2025, 0, 6, 22, 30), 'cme_equity').phase).toBe('closed');
+    expect(sessionAt(Date.UTC(2025, 0, 6, 12), 'us_equity').phase).toBe('pre');
+    expect(isMarketOpen(Date.UTC(2025, 0, 6, 12), 'us_equity', { extended: false })).toBe(false);
+    expect(isMarketOpen(Date.UTC(2025, 6, 4, 15), 'us_equity')).toBe(false);
+    expect(tradingDayKey(Date.UTC(2025, 0, 5, 23, 30), 'cme_equity')).toBe('2025-01-06');
+  });
+
+  it('marks session breaks and extended-hours runs', () => {
+    // 1h NYSE bars from 08:00 to 21:00 ET on two days (EST = UTC-5)
+    const bars = [];
+    for (const d of [6, 7]) {
+      for (let h = 13; h <= 23; h++) bars.push(bar(Date.UTC(2025, 0, d, h), 100));
+    }
+    const marks = sessionMarks(bars, 'us_equity');
+    expect(marks.breaks).toEqual([11]);
+    // 08:00, 09:00 pre; 16:00–18:00 post runs into the next day's pre-market
+    expect(marks.extended).toEqual([{ from: 0, to: 1 }, { from: 8, to: 12 }, { from: 19, to: 21 }]);
+    expect(filterRegularHours(bars, 'us_equity').length).toBe(12);
+  });
+});
+
+describe('weekends and news', () => {
+  it('finds the weekly close', () => {
+    expect(iso(weeklyClose(Date.UTC(2025, 0, 8, 15), 'cme_equity'))).toBe('2025-01-10T22:00:00.000Z');
+    // Crypto trades through the weekend; prop rules use the FX week
+    expect(iso(weeklyClose(Date.UTC(2025, 0, 8, 15), 'crypto'))).toBe('2025-01-10T22:00:00.000Z');
+    expect(heldOverWeekend(Date.UTC(2025, 0, 10, 15), Date.UTC(2025, 0, 13, 15), 'cme_equity')).not.toBeNull();
+    expect(heldOverWeekend(Date.UTC(2025, 0, 10, 15), Date.UTC(2025, 0, 10, 20), 'cme_equity')).toBeNull();
+  });
+
+  it('schedules NFP and FOMC releases', () => {
+    const events = scheduledNews(Date.UTC(2025, 0, 1), Date.UTC(2025, 2, 1));
+    expect(events.map((e) => `${e.name} ${iso(e.time)}`)).toEqual([
+      'Non-Farm Payrolls 2025-01-03T13:30:00.000Z',
+      'FOMC Statement 2025-01-29T19:00:00.000Z',
+      'Non-Farm Payrolls 2025-02-07T13:30:00.000Z',
+    ]);
+    expect(newsNear(Date.UTC(2025, 0, 3, 13, 31), events).name).toBe('Non-Farm Payrolls');
+    expect(newsNear(Date.UTC(2025, 0, 3, 13, 40), events)).toBeNull();
+  });
+
+  it('warns once when asked past the FOMC schedule', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const end = Date.parse(`${NEWS_SCHEDULE_END}T00:00:00Z`);
+    scheduledNews(end - 30 * DAY, end);
+    expect(warn).not.toHaveBeenCalled();
+    const later = scheduledNews(end, end + 60 * DAY);
+    scheduledNews(end, end + 90 * DAY);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(later.every((e) => e.name === 'Non-Farm Payrolls')).toBe(true);
+    warn.mockRestore();
+  });
+});
+
+describe('futures', () => {
+  it('parses contract codes', () => {
+    expect(parseContract('ESZ5', Date.UTC(2026, 0, 1))).toEqual({ root: 'ES', code: 'ESZ5', month: 12, year: 2025 });
+    expect(parseContract('CLF26')).toMatchObject({ root: 'CL', month: 1, year: 2026 });
+    expect(futuresRoot('MESZ5')).toBe('ES');
+    expect(futuresRoot('AAPL')).toBeNull();
+  });
+
+  it('computes expiries and rolls', () => {
+    const t = Date.UTC(2025, 9, 18);
+    const es = frontContract('ES', t);
+    expect(es.code).toBe('ESZ5');
+    expect(iso(es.expiry)).toBe('2025-12-19T22:00:00.000Z');
+    expect(iso(es.roll)).toBe('2025-12-11T22:00:00.000Z');
+    expect(frontContract('CL', t).code).toBe('CLZ5');
+    expect(iso(frontContract('NG', t).expiry)).toBe('2025-10-29T21:00:00.000Z');
+  });
+
+  it('builds a roll schedule', () => {
+    const codes = rollSchedule('ES', Date.UTC(2025, 0, 1), Date.UTC(2025, 11, 31)).map((c) => c.code);
+    expect(codes).toEqual(['ESH5', 'ESM5', 'ESU5', 'ESZ5', 'ESH6']);
+  });
+});
+
+describe('session-aware charting', () => {
+  it('maps times in session gaps to the next bar', () => {
+    const bars = [bar(1000, 1), bar(2000, 1), bar(9000, 1)];
+    expect(timeToBarIndex(bars, 2000)).toBe(1);
+    expect(timeToBarIndex(bars, 5000)).toBe(2);
+    expect(timeToBarIndex(bars, 99999)).toBe(2);
+    expect(timeToBarIndex([], 1)).toBe(-1);
+  });
+
+  it('puts major ticks on session breaks', () => {
+    const ticks = sessionTimeTicks({ start: 0, end: 100, barSpacing: 10, breaks: [40, 45, 90] });
+    expect(ticks.filter((t) => t.major).map((t) => t.idx)).toEqual([40, 90]);
+    expect(ticks.every((t) => t.major || ticks.every((o) => !o.major || Math.abs(o.idx - t.idx) >= 10))).toBe(true);
+  });
+
+  it('resets VWAP at the session open', () => {
+    // CME: 16:00 and 17:30 CT are different trading days, same UTC date
+    const bars = [bar(Date.UTC(2025, 0, 6, 21, 30), 100, 1), bar(Date.UTC(2025, 0, 6, 23, 30), 200, 1)];
+    expect(vwap(bars)[1]).toBe(150);
+    expect(vwap(bars, sessionKeyFn('cme_equity'))[1]).toBe(200);
+  });
+});
+
+describe('prop firm session rules', () => {
+  const profile = (rules) => ({
+    accountSize: 100000,
+    dailyLossLimit: 5, dailyLossType: 'pct',
+    maxDrawdown: 10, maxDrawdownType: 'pct',
+    profitTarget: 10, profitTargetType: 'pct',
+    rules,
+  });
+  const trade = (id, open, close, symbol = 'ES', assetClass = 'futures') => ({
+    id, symbol, assetClass, pnl: 100, date: iso(open), closeDate: iso(close),
+  });
+
+  it('fails weekend holds', () => {
+    const trades = [
+      trade('a', Date.UTC(2025, 0, 8, 15), Date.UTC(2025, 0, 8, 16)),
+      trade('b', Date.UTC(2025, 0, 10, 20), Date.UTC(2025, 0, 13, 15)),
+    ];
+    const ev = computeEvaluation(trades, profile(['no_weekend_hold']));
+    expect(ev.status).toBe('failed');
+    expect(ev.ruleViolations.map((v) => v.tradeId)).toEqual(['b']);
+    expect(ev.failReason).toMatch(/weekend/);
+    expect(computeEvaluation(trades, profile([])).ruleViolations).toEqual([]);
+  });
+
+  it('fails trades around scheduled and custom news', () => {
+    const nfp = Date.UTC(2025, 0, 3, 13, 30);
+    const trades = [
+      trade('a', nfp - M, nfp + 10 * M),
+      trade('b', nfp + H, nfp + 2 * H),
+      trade('c', nfp - M, nfp + 10 * M, 'EURJPY', 'forex'),
+    ];
+    const p = { ...profile(['no_news_trading']), newsEvents: [{ time: nfp + 2 * H, name: 'Speech', currency: 'USD', impact: 'high' }] };
+    const ev = computeEvaluation(trades, p);
+    expect(ev.ruleViolations.map((v) => v.tradeId)).toEqual(['a', 'b']);
+    expect(ev.ruleViolations[1].detail).toMatch(/closed within 2 min of Speech/);
+  });
+
+  it('lets a profile move a month\'s NFP', () => {
+    const firstFriday = Date.UTC(2025, 0, 3, 13, 30);
+    const actual = Date.UTC(2025, 0, 10, 13, 30);
+    const trades = [trade('a', firstFriday - M, firstFriday + 10 * M), trade('b', actual - M, actual + 10 * M)];
+    const p = { ...profile(['no_news_trading']), newsEvents: [{ time: actual, name: 'Non-Farm Payrolls', currency: 'USD', impact: 'high' }] };
+    expect(computeEvaluation(trades, p).ruleViolations.map((v) => v.tradeId)).toEqual(['b']);
+  });
+});
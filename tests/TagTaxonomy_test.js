@@ -0,0 +1,115 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Tag Taxonomy & Tag Analytics Tests
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  normalizeTaxonomy,
+  tagInfo,
+  collectTags,
+  retagTrades,
+  addTags,
+  removeTags,
+  tagAnalytics,
+} from '../engine/TagTaxonomy.js';
+import { useTagStore } from '../state/useTagStore.js';
+import { useTradeStore } from '../state/useTradeStore.js';
+
+const TAXONOMY = normalizeTaxonomy([
+  { name: 'ORB', group: 'setup' },
+  { name: 'fomo', group: 'mistake' },
+  { name: 'moved stop', group: 'mistake', color: '#AA0000' },
+  { name: 'trend', group: 'condition' },
+]);
+
+const trade = (id, pnl, tags, o = {}) => ({ id, symbol: 'ES', side: 'long', date: `2026-10-${10 + Number(id.slice(1))}`, pnl, tags, ...o });
+
+const TRADES = [
+  trade('t1', 200, ['ORB', 'trend'], { rMultiple: 2 }),
+  trade('t2', 100, ['orb', 'Trend '], { rMultiple: 1 }),
+  trade('t3', -150, ['ORB', 'fomo'], { rMultiple: -1.5 }),
+  trade('t4', -250, ['fomo', 'moved stop', 'trend'], { rMultiple: -2 }),
+  trade('t5', 0, []),
+];
+
+describe('taxonomy', () => {
+  it('normalizes entries and resolves group colors', () => {
+    expect(normalizeTaxonomy([{ name: ' A ', group: 'bogus', color: 'red' }, { name: 'a' }, { name: '' }]))
+      .toEqual([{ name: 'A', group: null, color: null }]);
+    expect(tagInfo(TAXONOMY, 'FOMO')).toEqual({ name: 'fomo', key: 'fomo', group: 'mistake', color: '#ef4444' });
+    expect(tagInfo(TAXONOMY, 'moved stop').color).toBe('#aa0000');
+    expect(tagInfo(TAXONOMY, 'scalp').color).toBe(tagInfo([], 'Scalp').color);
+  });
+
+  it('collects tags in use with counts, grouped', () => {
+    const tags = collectTags(TRADES, [...TAXONOMY, { name: 'news', group: 'condition' }]);
+    expect(tags.map((t) => [t.key, t.count])).toEqual([
+      ['orb', 3], ['fomo', 2], ['moved stop', 1], ['trend', 3], ['news', 0],
+    ]);
+  });
+});
+
+describe('editing tags on trades', () => {
+  it('renames, merges and removes tags case-insensitively', () => {
+    expect(retagTrades(TRADES, ['orb'], 'Opening Range')).toEqual([
+      { id: 't1', tags: ['Opening Range', 'trend'] },
+      { id: 't2', tags: ['Opening Range', 'Trend'] },
+      { id: 't3', tags: ['Opening Range', 'fomo'] },
+    ]);
+    expect(retagTrades(TRADES, ['moved stop', 'fomo'], 'fomo')[1]).toEqual({ id: 't4', tags: ['fomo', 'trend'] });
+    expect(retagTrades(TRADES, ['TREND'], '')[0]).toEqual({ id: 't1', tags: ['ORB'] });
+  });
+
+  it('adds and removes tags in bulk without duplicates', () => {
+    expect(addTags(['ORB'], ['orb', 'A+'])).toEqual(['ORB', 'A+']);
+    expect(removeTags(['ORB', 'fomo'], ['FOMO'])).toEqual(['ORB']);
+  });
+});
+
+describe('tagAnalytics', () => {
+  const report = tagAnalytics(TRADES, TAXONOMY);
+  const row = (key) => report.tags.find((t) => t.key === key);
+
+  it('reports P&L, win rate and expectancy per tag', () => {
+    expect(row('orb')).toMatchObject({ group: 'setup', count: 3, pnl: 150, wins: 2, expectancy: 50, avgR: 0.5, cost: null });
+    expect(row('trend')).toMatchObject({ count: 3, pnl: 50 });
+    expect(report.untagged).toMatchObject({ count: 1, pnl: 0 });
+  });
+
+  it('prices mistakes against the no-mistake baseline', () => {
+    // clean trades: t1, t2, t5 → baseline 100
+    expect(report.mistakes).toMatchObject({ count: 2, pnl: -400, baseline: 100, cost: 600 });
+    expect(row('fomo').cost).toBe(600);
+    expect(row('moved stop').cost).toBe(350);
+  });
+
+  it('reports tag combinations seen on enough trades', () => {
+    expect(report.combos.map((c) => [c.key, c.count, c.pnl])).toEqual([['orb + trend', 2, 300]]);
+    const triples = tagAnalytics(TRADES, TAXONOMY, { comboSize: 3, minCount: 1 }).combos;
+    expect(triples).toHaveLength(1);
+    expect(triples[0]).toMatchObject({ key: 'fomo + moved stop + trend', cost: 350 });
+  });
+});
+
+describe('useTagStore', () => {
+  beforeEach(() => {
+    useTradeStore.getState().reset(TRADES.map((t) => ({ ...t })));
+    useTagStore.getState().hydrate({ tags: TAXONOMY });
+  });
+
+  it('merges tags on every trade, keeping the target group', () => {
+    const res = useTagStore.getState().mergeTags(['moved stop', 'FOMO'], 'Discipline');
+    expect(res).toEqual({ ok: true, data: 2 });
+    expect(useTradeStore.getState().trades.find((t) => t.id === 't4').tags).toEqual(['Discipline', 'trend']);
+    expect(useTagStore.getState().tags.find((t) => t.name === 'Discipline')).toMatchObject({ group: 'mistake', color: '#aa0000' });
+    expect(useTagStore.getState().tags.some((t) => t.name === 'fomo')).toBe(false);
+    expect(useTagStore.getState().mergeTags([], 'x').ok).toBe(false);
+  });
+
+  it('renames and deletes tags across trades', () => {
+    expect(useTagStore.getState().renameTag('trend', 'Trend day').data).toBe(3);
+    expect(useTagStore.getState().tags.find((t) => t.name === 'Trend day').group).toBe('condition');
+    expect(useTagStore.getState().deleteTag('ORB')).toBe(3);
+    expect(useTradeStore.getState().trades.find((t) => t.id === 't1').tags).toEqual(['Trend day']);
+  });
+});
@@ -0,0 +1,167 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Trade Query Language Tests
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  parseQuery,
+  compileQuery,
+  filterTrades,
+  suggestQuery,
+  applySuggestion,
+} from '../engine/TradeQuery.js';
+import { computeFast } from '../engine/analyticsFast.js';
+import { useSmartViewStore } from '../state/useSmartViewStore.js';
+
+// Local-time dates so hour/day don't depend on the test machine's zone
+const at = (y, m, d, h, min = 0) => new Date(y, m - 1, d, h, min).toISOString();
+
+const TRADES = [
+  { id: 'a', symbol: 'ES', side: 'long', playbook: 'ORB', emotion: 'FOMO', tags: ['fomo', 'a+'], pnl: -300, rMultiple: -1.5, date: at(2025, 3, 3, 9, 35), closeDate: at(2025, 3, 3, 9, 50), followedRules: false },
+  { id: 'b', symbol: 'ES', side: 'short', playbook: 'ORB', emotion: 'calm', tags: ['a+'], pnl: 450, rMultiple: 2, date: at(2025, 3, 4, 10, 5), closeDate: at(2025, 3, 4, 11, 0), followedRules: true },
+  { id: 'c', symbol: 'NQ', side: 'long', playbook: 'Gap Fill', emotion: 'anxious', tags: ['fomo'], pnl: -120, rMultiple: -0.5, date: at(2025, 4, 11, 14, 0), notes: 'Chased the open', followedRules: true },
+  { id: 'd', symbol: 'AAPL', side: 'long', playbook: 'ORB', emotion: 'calm', tags: [], pnl: 0, date: at(2025, 4, 14, 9, 45), assetClass: 'stocks', followedRules: true },
+];
+
+const ids = (q) => {
+  const res = compileQuery(q);
+  expect(res.ok).toBe(true);
+  return TRADES.filter(res.match).map((t) => t.id);
+};
+
+describe('parseQuery', () => {
+  it('parses comparisons, implicit AND, OR and NOT', () => {
+    const { ast } = parseQuery('playbook:"Gap Fill" tag:fomo OR -side:short');
+    expect(ast.type).toBe('or');
+    expect(ast.items[0]).toMatchObject({
+      type: 'and',
+      items: [
+        { type: 'cmp', field: 'playbook', op: ':', value: 'Gap Fill', quoted: true },
+        { type: 'cmp', field: 'tag', op: ':', value: 'fomo' },
+      ],
+    });
+    expect(ast.items[1]).toMatchObject({ type: 'not', item: { field: 'side' } });
+  });
+
+  it('reports errors with a position', () => {
+    expect(parseQuery('(pnl>0')).toMatchObject({ ok: false, error: 'Missing closing parenthesis' });
+    expect(parseQuery('foo:bar')).toMatchObject({ ok: false, pos: 0 });
+    expect(parseQuery('pnl: AND')).toMatchObject({ ok: false, pos: 4 });
+    expect(parseQuery('tag:"open')).toMatchObject({ ok: false, error: 'Unclosed quote' });
+    expect(parseQuery('  ')).toEqual({ ok: true, ast: null });
+  });
+});
+
+describe('compileQuery', () => {
+  it('runs the example query', () => {
+    expect(ids('playbook:"ORB" AND rMultiple<-1 AND tag:fomo AND hour:9..10 AND emotion!=calm')).toEqual(['a']);
+  });
+
+  it('matches text, lists and wildcards case-insensitively', () => {
+    expect(ids('playbook:orb')).toEqual(['a', 'b', 'd']);
+    expect(ids('strategy:gap*')).toEqual(['c']);
+    expect(ids('tag:A+')).toEqual(['a', 'b']);
+    expect(ids('tag!=fomo')).toEqual(['b', 'd']);
+    expect(ids('notes:chased')).toEqual(['c']);
+    expect(ids('symbol:ES,NQ side:long')).toEqual(['a', 'c']);
+  });
+
+  it('compares numbers, ranges, dates, weekdays and durations', () => {
+    expect(ids('pnl>=0')).toEqual(['b', 'd']);
+    expect(ids('r:-1..0')).toEqual(['c']);
+    expect(ids('r:1..')).toEqual(['b']);
+    expect(ids('date:2025-04')).toEqual(['c', 'd']);
+    expect(ids('date<2025-03-04')).toEqual(['a']);
+    expect(ids('date:2025-03-04..2025-04-11')).toEqual(['b', 'c']);
+    expect(ids('day:mon')).toEqual(['a', 'd']);
+    expect(ids('dow:fri,tue')).toEqual(['b', 'c']);
+    expect(ids('duration>30')).toEqual(['b']);
+  });
+
+  it('derives result and rule breaks', () => {
+    expect(ids('result:breakeven')).toEqual(['d']);
+    expect(ids('result:loss ruleBreak:false')).toEqual(['c']);
+    expect(ids('ruleBreak:yes')).toEqual(['a']);
+  });
+
+  it('combines with parentheses and free text', () => {
+    expect(ids('(symbol:NQ OR tag:a+) AND NOT result:win')).toEqual(['a', 'c']);
+    expect(ids('calm aapl')).toEqual(['d']);
+    expect(ids('"gap fill"')).toEqual(['c']);
+  });
+
+  it('rejects bad values and operators', () => {
+    expect(compileQuery('pnl:abc')).toMatchObject({ ok: false, pos: 4 });
+    expect(compileQuery('side:sideways').error).toMatch(/long, short/);
+    expect(compileQuery('tag>fomo').error).toMatch(/does not support >/);
+    expect(compileQuery('day:funday').error).toMatch(/weekday/);
+  });
+
+  it('filterTrades matches nothing on an invalid query', () => {
+    expect(filterTrades(TRADES, '')).toBe(TRADES);
+    expect(filterTrades(TRADES, 'pnl<')).toEqual([]);
+  });
+});
+
+describe('suggestQuery', () => {
+  it('completes field names and keywords', () => {
+    const s = suggestQuery('pla', 3);
+    expect(s).toMatchObject({ from: 0, to: 3 });
+    expect(s.items.map((i) => i.insert)).toEqual(['playbook:']);
+    expect(suggestQuery('tag:fomo o', 10).items.map((i) => i.label)).toContain('OR');
+  });
+
+  it('completes values from trades, most frequent first', () => {
+    const s = suggestQuery('side:long -playbook:', 20, TRADES);
+    expect(s.from).toBe(11);
+    expect(s.items.map((i) => i.label)).toEqual(['ORB', 'Gap Fill']);
+    expect(s.items[1]).toMatchObject({ insert: 'playbook:"Gap Fill" ', detail: '1 trade' });
+    expect(applySuggestion('side:long -playbook:', s, s.items[1])).toEqual({
+      text: 'side:long -playbook:"Gap Fill" ',
+      cursor: 31,
+    });
+  });
+
+  it('completes inside quotes and from fixed value sets', () => {
+    expect(suggestQuery('playbook:"Gap ', 14, TRADES).items.map((i) => i.label)).toEqual(['Gap Fill']);
+    expect(suggestQuery('result:l', 8).items.map((i) => i.insert)).toEqual(['result:loss ']);
+  });
+});
+
+describe('smart views', () => {
+  beforeEach(() => useSmartViewStore.getState().hydrate({}));
+
+  it('saves, replaces by name and validates queries', () => {
+    const store = useSmartViewStore.getState();
+    const first = store.saveView('ORB losers', 'playbook:ORB result:loss');
+    expect(first.ok).toBe(true);
+    expect(store.saveView('orb LOSERS', 'playbook:ORB pnl<0').data.id).toBe(first.data.id);
+    expect(useSmartViewStore.getState().views).toHaveLength(1);
+    expect(store.saveView('Broken', 'pnl<').ok).toBe(false);
+    expect(store.saveView('', 'pnl<0').error).toMatch(/Name/);
+  });
+
+  it('tracks the active view and round-trips through persistence', () => {
+    const store = useSmartViewStore.getState();
+    const { data } = store.saveView('FOMO', 'tag:fomo');
+    store.setActiveView(data.id);
+    expect(useSmartViewStore.getState().getActiveView().query).toBe('tag:fomo');
+
+    const saved = useSmartViewStore.getState().toJSON();
+    store.hydrate({});
+    store.hydrate(saved);
+    expect(useSmartViewStore.getState().activeViewId).toBe(data.id);
+
+    store.deleteView(data.id);
+    expect(useSmartViewStore.getState().getActiveView()).toBeNull();
+  });
+
+  it('scopes computeFast to a saved view', () => {
+    const all = computeFast(TRADES, { mcRuns: 0 });
+    const fomo = computeFast(TRADES, { mcRuns: 0, view: { query: 'tag:fomo' } });
+    expect(all.tradeCount).toBe(4);
+    expect(fomo.tradeCount).toBe(2);
+    expect(fomo.totalPnl).toBe(-420);
+    expect(computeFast(TRADES, { query: 'symbol:CL' })).toBeNull();
+  });
+});
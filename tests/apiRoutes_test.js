@@ -0,0 +1,172 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — REST API v1 Tests
+// Tests for: API key auth, trade validation, CRUD, bulk insert,
+// pagination + date/symbol filtering, file store persistence
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import process from 'process';
+import express from 'express';
+import { createApiRouter, queryRecords } from '../api/apiRoutes.js';
+import { createFileStore, createKeyStore, parseKeyList } from '../api/apiStore.js';
+
+const KEY = 'test-key';
+const trade = (i, extra = {}) => ({
+  id: `t${i}`,
+  date: `2025-03-${String(10 + i).padStart(2, '0')}T14:30:00.000Z`,
+  symbol: i % 2 ? 'NQ' : 'ES',
+  side: 'long',
+  entry: 100,
+  exit: 101,
+  qty: 1,
+  pnl: 50,
+  ...extra,
+});
+
+let dir;
+let server;
+let base;
+
+const api = (url, { method = 'GET', body, key = KEY } = {}) =>
+  fetch(base + url, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(key ? { 'x-api-key': key } : {}) },
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+  }).then(async (res) => ({ status: res.status, body: await res.json() }));
+
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tf-api-'));
+  const app = express();
+  app.use('/api/v1', createApiRouter({
+    store: createFileStore({ dir }),
+    keyStore: createKeyStore({ keys: [{ key: KEY, userId: 'alice' }, { key: 'other', userId: 'bob' }] }),
+    rateLimit: false,
+  }));
+  await new Promise((resolve) => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('auth', () => {
+  it('rejects missing and unknown keys', async () => {
+    expect((await api('/trades', { key: null })).body.error.code).toBe('AUTH_MISSING');
+    expect((await api('/trades', { key: 'nope' })).status).toBe(401);
+  });
+
+  it('parses key lists from the environment format', () => {
+    expect(parseKeyList('a:alice, b')).toEqual([{ key: 'a', userId: 'alice' }, { key: 'b', userId: 'local' }]);
+  });
+});
+
+describe('trades CRUD', () => {
+  it('creates a validated trade', async () => {
+    const res = await api('/trades', { method: 'POST', body: trade(0) });
+    expect(res.status).toBe(201);
+    expect(res.body.data.id).toBe('t0');
+    expect(res.body.data.fees).toBe(0); // schema defaults applied
+  });
+
+  it('rejects invalid trades with details', async () => {
+    const res = await api('/trades', { method: 'POST', body: { symbol: 'ES', pnl: 'lots' } });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    expect(res.body.error.details.join(' ')).toMatch(/date/);
+  });
+
+  it('rejects malformed JSON and duplicate ids', async () => {
+    expect((await api('/trades', { method: 'POST', body: '{oops' })).status).toBe(400);
+    expect((await api('/trades', { method: 'POST', body: trade(0) })).status).toBe(409);
+  });
+
+  it('bulk inserts and reports per-record errors', async () => {
+    const res = await api('/trades', { method: 'POST', body: [trade(1), trade(2), trade(3), { symbol: 'X' }, trade(0)] });
+    expect(res.status).toBe(201);
+    expect(res.body.meta.created).toBe(3);
+    expect(res.body.meta.conflicts).toEqual(['t0']);
+    expect(res.body.meta.errors[0].index).toBe(3);
+  });
+
+  it('patches, replaces and deletes', async () => {
+    const patched = await api('/trades/t1', { method: 'PATCH', body: { notes: 'scaled out early' } });
+    expect(patched.body.data.notes).toBe('scaled out early');
+    expect(patched.body.data.symbol).toBe('NQ');
+
+    const bad = await api('/trades/t1', { method: 'PUT', body: { notes: 'no date' } });
+    expect(bad.status).toBe(400);
+
+    expect((await api('/trades/t1', { method: 'DELETE' })).body.data.deleted).toBe(true);
+    expect((await api('/trades/t1')).status).toBe(404);
+  });
+
+  it('isolates users', async () => {
+    expect((await api('/trades', { key: 'other' })).body.data).toEqual([]);
+  });
+});
+
+describe('listing', () => {
+  it('filters by date range and symbol, newest first', async () => {
+    const res = await api('/trades?from=2025-03-10&to=2025-03-12&symbol=es');
+    expect(res.body.data.map((t) => t.id)).toEqual(['t2', 't0']);
+    expect(res.body.meta.total).toBe(2);
+  });
+
+  it('paginates', async () => {
+    const res = await api('/trades?limit=1&offset=1&sort=date');
+    expect(res.body.data.map((t) => t.id)).toEqual(['t2']);
+    expect(res.body.meta).toEqual({ total: 3, limit: 1, offset: 1 });
+  });
+
+  it('rejects invalid dates', async () => {
+    expect((await api('/trades?from=yesterday')).body.error.code).toBe('INVALID_QUERY');
+  });
+
+  it('includes the whole day for date-only upper bounds', () => {
+    const { data } = queryRecords([trade(0, { date: '2025-03-10T23:00:00.000Z' })], { to: '2025-03-10' });
+    expect(data).toHaveLength(1);
+  });
+});
+
+describe('other resources', () => {
+  it('validates and stores playbooks, notes and trade plans', async () => {
+    expect((await api('/playbooks', { method: 'POST', body: { rules: [] } })).status).toBe(400);
+    const pb = await api('/playbooks', { method: 'POST', body: { name: 'ORB', rules: ['Wait 5m'] } });
+    expect(pb.body.data.id).toMatch(/^pb_/);
+    expect((await api('/notes', { method: 'POST', body: { title: 'Plan', content: 'Fade gaps' } })).status).toBe(201);
+    expect((await api('/trade-plans', { method: 'POST', body: { date: '2025-03-10', bias: 'long' } })).status).toBe(201);
+    expect((await api('/widgets')).status).toBe(404);
+  });
+
+  it('persists to disk', async () => {
+    const fresh = createFileStore({ dir });
+    expect((await fresh.list('alice', 'playbooks'))[0].name).toBe('ORB');
+    expect(fs.readdirSync(path.join(dir, 'users')).filter((f) => f.endsWith('.json')).length).toBeGreaterThan(0);
+  });
+
+  it('keeps users with similar ids in separate files', async () => {
+    const store = createFileStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'tf-api-ids-')) });
+    await store.insert('a.b', 'trades', [trade(1)]);
+    expect(await store.list('a_b', 'trades')).toEqual([]);
+    expect(await createFileStore({ dir: store.dir }).list('a_b', 'trades')).toEqual([]);
+    expect(await createFileStore({ dir: store.dir }).list('a.b', 'trades')).toHaveLength(1);
+  });
+
+  it('leaves the cached document unchanged when a write fails', async () => {
+    const store = createFileStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'tf-api-fail-')) });
+    await store.insert('bob', 'trades', [trade(1)]);
+    // A directory where the temp file should go makes the write fail
+    const usersDir = path.join(store.dir, 'users');
+    const file = fs.readdirSync(usersDir).find((f) => f.endsWith('.json'));
+    fs.mkdirSync(path.join(usersDir, `${file}.${process.pid}.tmp`));
+
+    await expect(store.insert('bob', 'trades', [trade(2)])).rejects.toThrow();
+    await expect(store.remove('bob', 'trades', 't1')).rejects.toThrow();
+    expect((await store.list('bob', 'trades')).map((t) => t.id)).toEqual(['t1']);
+  });
+});
@@ -3,7 +3,19 @@
 // ═══════════════════════════════════════════════════════════════════
 
 import { describe, it, expect } from 'vitest';
-import { genVolumeProfile } from '../engine/orderFlow.js';
+import {
+  genVolumeProfile,
+  tickFromAggTrade,
+  parseTickCSV,
+  createFootprintAggregator,
+  footprintsFromTicks,
+  suggestTickSize,
+  buildVolumeProfile,
+  sessionProfiles,
+  deltaSeries,
+  alignFootprints,
+  utcSessionKey,
+} from '../engine/orderFlow.js';
 
 const mkBar = (o, h, l, c) => ({ open: o, high: h, low: l, close: c });
 
@@ -129,3 +141,162 @@ describe('genVolumeProfile', () => {
     expect(vp2.levels[0].price).toBeGreaterThan(180);
   });
 });
+
+// ─── Real order flow (ticks → footprints → profiles) ─────────────
+
+const T0 = Date.UTC(2025, 0, 6, 14, 0);
+const MIN = 60_000;
+const tick = (sec, price, qty, side) => ({ time: T0 + sec * 1000, price, qty, side });
+
+describe('tick parsing', () => {
+  it('maps aggTrade messages to aggressor side', () => {
+    expect(tickFromAggTrade({ a: 7, T: 1000, p: '100.5', q: '0.25', m: true }))
+      .toEqual({ id: 7, time: 1000, price: 100.5, qty: 0.25, side: 'sell' });
+    expect(tickFromAggTrade({ a: 8, T: 1000, p: '100.5', q: '1', m: false }).side).toBe('buy');
+  });
+
+  it('reads side columns and second timestamps', () => {
+    const { ticks, errors, sideSource } = parseTickCSV('timestamp,price,size,side\n1736172000,100,2,buy\n1736172001,99.5,1,SELL\n');
+    expect(errors).toEqual([]);
+    expect(sideSource).toBe('side');
+    expect(ticks).toEqual([
+      { time: 1736172000000, price: 100, qty: 2, side: 'buy' },
+      { time: 1736172001000, price: 99.5, qty: 1, side: 'sell' },
+    ]);
+  });
+
+  it('falls back to buyer-maker, quotes, then the tick rule', () => {
+    expect(parseTickCSV('time,price,qty,is_buyer_maker\n1,100,1,true').ticks[0].side).toBe('sell');
+    const quoted = parseTickCSV('time,price,qty,bid,ask\n1,101,1,100,101\n2,100,1,100,101');
+    expect(quoted.sideSource).toBe('quote');
+    expect(quoted.ticks.map((t) => t.side)).toEqual(['buy', 'sell']);
+    const rule = parseTickCSV('time,price,qty\n1,100,1\n2,101,1\n3,101,1\n4,100.5,1');
+    expect(rule.sideSource).toBe('tickRule');
+    expect(rule.ticks.map((t) => t.side)).toEqual(['buy', 'buy', 'buy', 'sell']);
+  });
+
+  it('reports missing columns and bad rows', () => {
+    expect(parseTickCSV('time,qty\n1,1').errors).toEqual(['Missing price column']);
+    const { ticks, errors } = parseTickCSV('time,price,qty\n1,abc,1\n2,100,1');
+    expect(ticks).toHaveLength(1);
+    expect(errors[0]).toMatch(/Row 2/);
+  });
+});
+
+describe('createFootprintAggregator', () => {
+  it('buckets bid/ask volume per price level per bar', () => {
+    const agg = createFootprintAggregator({ resolutionMs: MIN, tickSize: 0.5 });
+    agg.addMany([
+      tick(0, 100.1, 2, 'buy'),
+      tick(10, 100.2, 1, 'sell'),
+      tick(20, 100.6, 3, 'buy'),
+      tick(59, 99.9, 1, 'sell'),
+      tick(61, 101, 5, 'buy'),
+    ]);
+    expect(agg.size).toBe(2);
+    const bar = agg.get(T0 + 30_000);
+    expect(bar).toMatchObject({ time: T0, open: 100.1, high: 100.6, low: 99.9, close: 99.9, volume: 7, askVol: 5, bidVol: 2, delta: 3, trades: 4 });
+    expect(bar.levels).toEqual([
+      { price: 100.5, bidVol: 0, askVol: 3, totalVol: 3, delta: 3 },
+      { price: 100, bidVol: 2, askVol: 2, totalVol: 4, delta: 0 },
+    ]);
+    expect(agg.bars().map((b) => b.time)).toEqual([T0, T0 + MIN]);
+  });
+
+  it('keeps open and close right when backfill arrives after live ticks', () => {
+    const agg = createFootprintAggregator({ resolutionMs: MIN, tickSize: 1 });
+    agg.add(tick(40, 105, 1, 'buy'));
+    agg.addMany([tick(5, 101, 1, 'buy'), tick(20, 103, 1, 'sell')]);
+    expect(agg.get(T0)).toMatchObject({ open: 101, close: 105, high: 105, low: 101 });
+  });
+
+  it('rejects unusable ticks and drops the oldest bars past maxBars', () => {
+    const agg = createFootprintAggregator({ resolutionMs: MIN, tickSize: 1, maxBars: 2 });
+    expect(agg.add({ time: T0, price: NaN, qty: 1, side: 'buy' })).toBeNull();
+    expect(agg.add(tick(0, 100, 0, 'buy'))).toBeNull();
+    for (let m = 0; m < 3; m++) agg.add(tick(m * 60, 100, 1, 'buy'));
+    expect(agg.bars().map((b) => b.time)).toEqual([T0 + MIN, T0 + 2 * MIN]);
+  });
+
+  it('aligns with chart bars by time', () => {
+    const agg = createFootprintAggregator({ resolutionMs: MIN, tickSize: 1 });
+    agg.add(tick(65, 100, 1, 'buy'));
+    const aligned = alignFootprints([{ time: T0 }, { time: T0 + MIN }], agg.byTime());
+    expect(aligned[0]).toBeNull();
+    expect(aligned[1].volume).toBe(1);
+  });
+
+  it('picks the tick size from the data for imported files', () => {
+    expect(suggestTickSize(100, 110, 20)).toBe(0.5);
+    const ticks = [];
+    for (let m = 0; m < 5; m++) {
+      for (let k = 0; k <= 10; k++) ticks.push(tick(m * 60 + k, 100 + k, 1, 'buy'));
+    }
+    const { bars, tickSize } = footprintsFromTicks(ticks, { resolutionMs: MIN, rowsPerBar: 10 });
+    expect(tickSize).toBe(1);
+    expect(bars).toHaveLength(5);
+    expect(bars[0].levels).toHaveLength(11);
+  });
+});
+
+describe('buildVolumeProfile', () => {
+  // Volume by price: 98:1 99:2 100:10 101:4 102:3 → total 20
+  const bars = [
+    { levels: [{ price: 100, bidVol: 2, askVol: 4, totalVol: 6, delta: 2 }, { price: 99, bidVol: 1, askVol: 1, totalVol: 2, delta: 0 }] },
+    null,
+    { levels: [
+      { price: 102, bidVol: 0, askVol: 3, totalVol: 3, delta: 3 },
+      { price: 101, bidVol: 1, askVol: 3, totalVol: 4, delta: 2 },
+      { price: 100, bidVol: 3, askVol: 1, totalVol: 4, delta: -2 },
+      { price: 98, bidVol: 1, askVol: 0, totalVol: 1, delta: -1 },
+    ] },
+  ];
+
+  it('finds the POC and a 70% value area around it', () => {
+    const p = buildVolumeProfile(bars);
+    expect(p.levels.map((l) => l.price)).toEqual([98, 99, 100, 101, 102]);
+    expect(p.poc).toBe(100);
+    expect(p.totalVol).toBe(20);
+    expect(p.askVol - p.bidVol).toBe(4);
+    // 10 → +101 (4, larger than 99) = 14 = 70% of 20
+    expect(p.val).toBe(100);
+    expect(p.vah).toBe(101);
+    expect(p.rowSize).toBe(1);
+  });
+
+  it('limits to a bar range and merges rows', () => {
+    expect(buildVolumeProfile(bars, { from: 0, to: 1 }).totalVol).toBe(8);
+    const merged = buildVolumeProfile(bars, { rowSize: 2 });
+    expect(merged.levels.map((l) => [l.price, l.totalVol])).toEqual([[98, 1], [100, 12], [102, 7]]);
+  });
+
+  it('is empty without trade data', () => {
+    expect(buildVolumeProfile([null, {}])).toMatchObject({ levels: [], poc: null, vah: null, val: null, totalVol: 0 });
+  });
+});
+
+describe('sessions and delta', () => {
+  const DAY = 86_400_000;
+  const fp = (time, price, ask, bid) => ({
+    time, delta: ask - bid,
+    levels: [{ price, askVol: ask, bidVol: bid, totalVol: ask + bid, delta: ask - bid }],
+  });
+  const times = [T0, T0 + MIN, T0 + DAY, T0 + DAY + MIN];
+  const bars = [fp(times[0], 100, 5, 1), null, fp(times[2], 110, 1, 4), fp(times[3], 111, 2, 2)];
+
+  it('builds one profile per UTC session', () => {
+    const sessions = sessionProfiles(bars, { times });
+    expect(sessions.map((s) => [s.key, s.from, s.to, s.poc])).toEqual([
+      [utcSessionKey(T0), 0, 1, 100],
+      [utcSessionKey(T0 + DAY), 2, 3, 110],
+    ]);
+  });
+
+  it('computes bar delta and cumulative delta, resetting per session', () => {
+    const all = deltaSeries(bars);
+    expect(all.delta).toEqual([4, NaN, -3, 0]);
+    expect(all.cumDelta).toEqual([4, 4, 1, 1]);
+    const bySession = deltaSeries(bars, { sessionKey: utcSessionKey, times });
+    expect(bySession.cumDelta).toEqual([4, 4, -3, -3]);
+  });
+});
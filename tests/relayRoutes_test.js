@@ -0,0 +1,217 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Alert Relay Tests
+// Tests for: relay auth, background webhook relaying with server-side
+// retries, idempotent hand-offs, host allowlist, email via SMTP
+// (against a local fake SMTP server)
+// ═══════════════════════════════════════════════════════════════════
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import net from 'net';
+import express from 'express';
+import { createRelayRouter, hostAllowed, parseHostList, isPrivateAddress } from '../api/relayRoutes.js';
+import { createSmtpTransport, parseSmtpUrl } from '../api/smtp.js';
+import { createKeyStore } from '../api/apiStore.js';
+
+const KEY = 'relay-key';
+const event = { kind: 'alert', title: 'ES alert', message: 'ES > 5000', symbol: 'ES', price: 5001, time: '2025-03-10T14:30:00.000Z' };
+
+// Minimal SMTP server: records the conversation and each message body
+function fakeSmtpServer() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let inData = false;
+    let data = '';
+    let buffer = '';
+    socket.write('220 fake ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let idx;
+      while ((idx = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(data);
+            data = '';
+            socket.write('250 queued\r\n');
+          } else {
+            data += line + '\r\n';
+          }
+          continue;
+        }
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === 'EHLO') socket.write('250-fake\r\n250 AUTH PLAIN\r\n');
+        else if (cmd === 'AUTH') socket.write(line.endsWith(Buffer.from('\0u\0p').toString('base64')) ? '235 ok\r\n' : '535 bad auth\r\n');
+        else if (cmd === 'DATA') { inData = true; socket.write('354 go\r\n'); }
+        else if (cmd === 'QUIT') { socket.write('221 bye\r\n'); socket.end(); }
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  return { server, messages };
+}
+
+let server;
+let base;
+let smtp;
+let router;
+const hooks = [];
+const delivered = [];
+
+beforeAll(async () => {
+  smtp = fakeSmtpServer();
+  await new Promise((resolve) => smtp.server.listen(0, '127.0.0.1', resolve));
+  const mailer = createSmtpTransport({ host: '127.0.0.1', port: smtp.server.address().port, user: 'u', pass: 'p', from: 'TradeForge <alerts@tf.test>' });
+
+  // Webhook target fails once, then accepts
+  let calls = 0;
+  const fakeFetch = async (url, init) => {
+    hooks.push({ url, body: JSON.parse(init.body) });
+    calls++;
+    return { ok: calls > 1, status: calls > 1 ? 200 : 502, text: async () => '' };
+  };
+
+  const app = express();
+  router = createRelayRouter({
+    keyStore: createKeyStore({ keys: [{ key: KEY, userId: 'alice' }] }),
+    mailer,
+    fetch: fakeFetch,
+    allowHosts: ['hooks.test'],
+    retry: { baseDelay: 1, maxDelay: 2, jitter: false },
+    rateLimit: false,
+    onDelivered: (result, info) => delivered.push({ result, id: info.id }),
+  });
+  app.use('/api/relay', router);
+  await new Promise((resolve) => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}/api/relay`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await new Promise((resolve) => smtp.server.close(resolve));
+});
+
+const status = (id, key = KEY) =>
+  fetch(`${base}/deliveries/${id}`, { headers: { 'x-api-key': key } })
+    .then(async (res) => ({ status: res.status, body: await res.json() }));
+
+const post = (body, key = KEY, idempotencyKey) =>
+  fetch(`${base}/deliver`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(key ? { 'x-api-key': key } : {}),
+      ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
+    },
+    body: JSON.stringify(body),
+  }).then(async (res) => ({ status: res.status, body: await res.json() }));
+
+describe('relay', () => {
+  it('requires an API key', async () => {
+    expect((await post({ channel: {}, event }, null)).status).toBe(401);
+  });
+
+  it('accepts webhooks and retries them in the background', async () => {
+    const channel = { type: 'webhook', url: 'https://api.hooks.test/x', template: '{"p":"{{price}}"}' };
+    const res = await post({ channel, event }, KEY, 'dlv_1');
+    expect(res.status).toBe(202);
+    expect(res.body).toEqual({ ok: true, data: { accepted: true, id: 'dlv_1', duplicate: false } });
+    await router.flush();
+    expect(delivered.at(-1)).toMatchObject({ id: 'dlv_1', result: { ok: true, attempts: 2 } });
+    expect(hooks[0]).toEqual({ url: 'https://api.hooks.test/x', body: { p: 5001 } });
+  });
+
+  it('reports each delivery\'s outcome by id', async () => {
+    const res = await status('dlv_1');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ id: 'dlv_1', type: 'webhook', status: 'delivered', attempts: 2, error: null });
+    expect((await status('dlv_nope')).status).toBe(404);
+
+    const mail = await post({ channel: { type: 'email', to: 'me@tf.test' }, event });
+    expect(mail.body.data.id).toMatch(/^rly_/);
+    await router.flush();
+    expect((await status(mail.body.data.id)).body.data.status).toBe('delivered');
+  });
+
+  it('sends a retried hand-off only once', async () => {
+    const channel = { type: 'webhook', url: 'https://api.hooks.test/y' };
+    const sent = hooks.length;
+    const first = await post({ channel, event }, KEY, 'dlv_2');
+    const again = await post({ channel, event }, KEY, 'dlv_2');
+    await router.flush();
+    expect(first.body.data.duplicate).toBe(false);
+    expect(again.status).toBe(202);
+    expect(again.body.data.duplicate).toBe(true);
+    expect(hooks.length - sent).toBe(1);
+  });
+
+  it('enforces the host allowlist and validates channels', async () => {
+    expect((await post({ channel: { type: 'webhook', url: 'https://evil.test/x' }, event })).body.error.code).toBe('HOST_NOT_ALLOWED');
+    expect((await post({ channel: { type: 'webhook', url: 'http://127.0.0.1/x' }, event })).status).toBe(403);
+    expect((await post({ channel: { type: 'email', to: 'nope' }, event })).status).toBe(400);
+    expect((await post({ channel: { type: 'sms' }, event })).status).toBe(400);
+  });
+
+  it('sends email over SMTP', async () => {
+    const res = await post({ channel: { type: 'email', to: 'me@tf.test', subject: '{{symbol}} fired' }, event });
+    expect(res.status).toBe(202);
+    await router.flush();
+    expect(delivered.at(-1).result.ok).toBe(true);
+    const msg = smtp.messages.at(-1);
+    expect(msg).toContain('Subject: ES fired');
+    expect(msg).toContain('To: me@tf.test');
+    const body = msg.split('\r\n\r\n')[1].replace(/\r\n/g, '');
+    expect(Buffer.from(body, 'base64').toString()).toContain('ES > 5000');
+  });
+});
+
+describe('helpers', () => {
+  it('parses SMTP urls and host lists', () => {
+    expect(parseSmtpUrl('smtps://a%40b.test:pw@mail.test')).toEqual({ host: 'mail.test', port: 465, secure: true, user: 'a@b.test', pass: 'pw' });
+    expect(parseHostList(' A.test, b.test ,')).toEqual(['a.test', 'b.test']);
+    expect(parseHostList('')).toBeNull();
+    expect(hostAllowed('https://x.a.test/p', ['a.test'])).toBe(true);
+    expect(hostAllowed('https://nota.test/p', ['a.test'])).toBe(false);
+  });
+
+  it('denies webhooks by default and never allows private addresses', () => {
+    expect(hostAllowed('https://hooks.test/p', null)).toBe(false);
+    expect(hostAllowed('https://hooks.test/p', ['*'])).toBe(true);
+    for (const url of ['http://localhost:3000/', 'http://10.0.0.5/', 'http://169.254.169.254/latest', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'file:///etc/passwd']) {
+      expect(hostAllowed(url, ['*'])).toBe(false);
+    }
+    expect(isPrivateAddress('192.168.1.1')).toBe(true);
+    expect(isPrivateAddress('172.20.0.1')).toBe(true);
+    expect(isPrivateAddress('fd00::1')).toBe(true);
+    expect(isPrivateAddress('8.8.8.8')).toBe(false);
+    expect(isPrivateAddress('2606:4700::1111')).toBe(false);
+  });
+
+  it('checks where names resolve when any host is allowed', async () => {
+    const app = express();
+    const lookup = async (host) => [{ address: host === 'internal.test' ? '10.1.2.3' : '93.184.216.34' }];
+    const open = createRelayRouter({
+      keyStore: createKeyStore({ keys: [{ key: KEY, userId: 'alice' }] }),
+      mailer: null,
+      fetch: async () => ({ ok: true, status: 200, text: async () => '' }),
+      allowHosts: ['*'],
+      lookup,
+      rateLimit: false,
+    });
+    app.use('/api/relay', open);
+    const srv = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    const send = (url) => fetch(`http://127.0.0.1:${srv.address().port}/api/relay/deliver`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-api-key': KEY },
+      body: JSON.stringify({ channel: { type: 'webhook', url }, event }),
+    }).then((res) => res.status);
+    try {
+      expect(await send('https://internal.test/x')).toBe(403);
+      expect(await send('https://public.test/x')).toBe(202);
+      await open.flush();
+    } finally {
+      await new Promise((resolve) => srv.close(resolve));
+    }
+  });
+});
@@ -175,3 +175,20 @@ describe('StorageService.tradePlans', () => {
     expect(r2.data.length).toBe(0);
   });
 });
+
+describe('StorageService.drawings', () => {
+  beforeEach(async () => {
+    await StorageService.clearAll();
+  });
+
+  it('stores drawings per symbol', async () => {
+    await StorageService.drawings.put('BTC', '[{"id":"d1"}]');
+    await StorageService.drawings.put('ETH', '[]');
+    expect((await StorageService.drawings.get('BTC')).data).toBe('[{"id":"d1"}]');
+    expect((await StorageService.drawings.get('SOL')).data).toBeNull();
+    expect((await StorageService.drawings.symbols()).data.sort()).toEqual(['BTC', 'ETH']);
+
+    await StorageService.drawings.delete('BTC');
+    expect((await StorageService.drawings.get('BTC')).data).toBeNull();
+  });
+});
@@ -6,12 +6,14 @@
 //   - bars[] changes (symbol/timeframe change)
 //   - scripts[] changes (toggle, param update)
 //   - manual run from editor (merged via setEditorOutputs)
+//   - higher-timeframe series arrive for security() calls
 //
 // Returns combined outputs array for ChartCanvas rendering.
 // ═══════════════════════════════════════════════════════════════════
 
 import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { useScriptStore } from '../state/useScriptStore.js';
+import { useChartStore } from '../state/useChartStore.js';
 import { executeScript } from '../engine/ScriptEngine.js';
 
 /**
@@ -20,6 +22,8 @@ import { executeScript } from '../engine/ScriptEngine.js';
  */
 export default function useScriptRunner(bars) {
   const scripts = useScriptStore((s) => s.scripts);
+  const tf = useChartStore((s) => s.tf);
+  const series = useChartStore((s) => s.series);
   const [editorOutputs, setEditorOutputsRaw] = useState({}); // { scriptId: outputs[] }
   const [errors, setErrors] = useState({}); // { scriptId: errorMsg }
   const prevBarsRef = useRef(null);
@@ -41,10 +45,12 @@ export default function useScriptRunner(bars) {
 
     const newOutputs = {};
     const newErrors = {};
+    const timeframes = new Set();
 
     for (const script of enabledScripts) {
       try {
-        const result = executeScript(script.code, bars, script.params || {});
+        const result = executeScript(script.code, bars, script.params || {}, { timeframe: tf, series });
+        for (const t of result.timeframes || []) timeframes.add(t);
         if (result.error) {
           newErrors[script.id] = result.error;
         } else {
@@ -63,7 +69,9 @@ export default function useScriptRunner(bars) {
     setEditorOutputsRaw(newOutputs);
     setErrors(newErrors);
     prevBarsRef.current = bars;
-  }, [bars, enabledScripts]);
+    // Ask the chart to fetch any higher timeframes security() used
+    if (timeframes.size) useChartStore.getState().requestSeries([...timeframes]);
+  }, [bars, enabledScripts, tf, series]);
 
   // Manual editor output injection (from ScriptEditor "Run" button)
   const setEditorOutputs = useCallback((scriptId, outputs) => {
@@ -99,6 +99,17 @@ const useScriptStore = create((set, get) => ({
     }));
   },
 
+  /** Set several params at once (e.g. optimizer results). */
+  setScriptParams: (id, params) => {
+    set((s) => ({
+      scripts: s.scripts.map((sc) =>
+        sc.id === id
+          ? { ...sc, params: { ...sc.params, ...params } }
+          : sc
+      ),
+    }));
+  },
+
   // ─── Duplicate (for customizing built-ins) ──────────────
   duplicateScript: (id) => {
     const source = get().scripts.find((s) => s.id === id);
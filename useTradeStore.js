@@ -5,12 +5,17 @@
 // ═══════════════════════════════════════════════════════════════════
 
 import { create } from 'zustand';
+import { accountIdOf } from '../engine/Accounts.js';
+import { missingDailyNotes } from '../engine/NoteLinks.js';
+import { normalizePlaybook } from '../engine/Playbooks.js';
+import { retagTrades } from '../engine/TagTaxonomy.js';
 
-const useTradeStore = create((set) => ({
+const useTradeStore = create((set, get) => ({
   trades: [],
   playbooks: [],
   notes: [],
   tradePlans: [],
+  dismissedDays: [], // days whose daily page was deleted (not recreated)
   loaded: false,
 
   // ─── Trade Actions ──────────────────────────────────────────
@@ -28,9 +33,43 @@ const useTradeStore = create((set) => ({
       trades: s.trades.map((t) => (t.id === id ? { ...t, ...updates } : t)),
     })),
 
+  /** Move every trade in one account to another (e.g. before deleting an account). */
+  reassignAccount: (fromId, toId) =>
+    set((s) => ({
+      trades: s.trades.map((t) =>
+        accountIdOf(t) === fromId ? { ...t, accountId: toId } : t
+      ),
+    })),
+
+  /** Store MAE/MFE results from ExcursionService ({ [tradeId]: excursion }). */
+  setExcursions: (byId) =>
+    set((s) => ({
+      trades: s.trades.map((t) => (byId[t.id] ? { ...t, excursion: byId[t.id] } : t)),
+    })),
+
+  /**
+   * Rename or merge tags on every trade (an empty `to` removes them).
+   * @returns {number} Trades changed
+   */
+  renameTags: (from, to) => {
+    const updates = new Map(retagTrades(get().trades, from, to).map((u) => [u.id, u.tags]));
+    if (updates.size) {
+      set((s) => ({
+        trades: s.trades.map((t) => (updates.has(t.id) ? { ...t, tags: updates.get(t.id) } : t)),
+      }));
+    }
+    return updates.size;
+  },
+
   // ─── Playbook Actions ───────────────────────────────────────
+  // Playbooks are kept in the structured shape (see engine/Playbooks.js)
   addPlaybook: (pb) =>
-    set((s) => ({ playbooks: [...s.playbooks, pb] })),
+    set((s) => ({ playbooks: [...s.playbooks, normalizePlaybook(pb)] })),
+
+  updatePlaybook: (id, updates) =>
+    set((s) => ({
+      playbooks: s.playbooks.map((p) => (p.id === id ? normalizePlaybook({ ...p, ...updates }) : p)),
+    })),
 
   deletePlaybook: (id) =>
     set((s) => ({ playbooks: s.playbooks.filter((p) => p.id !== id) })),
@@ -40,13 +79,27 @@ const useTradeStore = create((set) => ({
     set((s) => ({ notes: [note, ...s.notes] })),
 
   deleteNote: (id) =>
-    set((s) => ({ notes: s.notes.filter((n) => n.id !== id) })),
+    set((s) => {
+      const note = s.notes.find((n) => n.id === id);
+      const dismiss = note?.kind === 'daily' && note.date && !s.dismissedDays.includes(note.date);
+      return {
+        notes: s.notes.filter((n) => n.id !== id),
+        ...(dismiss ? { dismissedDays: [...s.dismissedDays, note.date] } : {}),
+      };
+    }),
 
   updateNote: (id, updates) =>
     set((s) => ({
       notes: s.notes.map((n) => (n.id === id ? { ...n, ...updates } : n)),
     })),
 
+  /** Add a daily journal page for every trading day that lacks one. */
+  ensureDailyNotes: () => {
+    const added = missingDailyNotes(get().notes, get().trades, get().dismissedDays);
+    if (added.length) set((s) => ({ notes: [...added, ...s.notes] }));
+    return added.length;
+  },
+
   // ─── Trade Plan Actions ─────────────────────────────────────
   addTradePlan: (plan) =>
     set((s) => ({ tradePlans: [...s.tradePlans, plan] })),
@@ -63,9 +116,10 @@ const useTradeStore = create((set) => ({
   hydrate: (data = {}) =>
     set({
       trades: data.trades || [],
-      playbooks: data.playbooks || [],
+      playbooks: (data.playbooks || []).map(normalizePlaybook),
       notes: data.notes || [],
       tradePlans: data.tradePlans || [],
+      dismissedDays: data.dismissedDays || [],
       loaded: true,
     }),
 
@@ -73,9 +127,10 @@ const useTradeStore = create((set) => ({
   reset: (demoTrades = [], demoPb = []) =>
     set({
       trades: demoTrades,
-      playbooks: demoPb,
+      playbooks: demoPb.map(normalizePlaybook),
       notes: [],
       tradePlans: [],
+      dismissedDays: [],
     }),
 }));
 
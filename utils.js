@@ -3,6 +3,8 @@
 // Extracted from v9.3 monolith. Pure functions, no side effects.
 // ═══════════════════════════════════════════════════════════════════
 
+import { currencySymbol } from './engine/Money.js';
+
 /**
  * Generate a unique ID
  * @returns {string} Unique string ID
@@ -35,12 +37,24 @@ const fmt = (n) => {
   return n.toFixed(6);
 };
 
+// Display currency symbol for fmtD. Like C in constants.js this is
+// mutated in place (by useSettingsStore) so callers never re-import.
+let _ccySym = '$';
+
+/**
+ * Set the currency used by fmtD (the user's base currency).
+ * @param {string} code - ISO code, e.g. 'EUR'
+ */
+function setDisplayCurrency(code) {
+  _ccySym = currencySymbol(code);
+}
+
 /**
- * Format a dollar P&L with sign prefix
+ * Format a P&L amount in the display currency with sign prefix
  * @param {number} v
- * @returns {string} e.g. "+$1.23K" or "-$456.00"
+ * @returns {string} e.g. "+$1.23K" or "-€456.00"
  */
-const fmtD = (v) => (v >= 0 ? '+$' : '-$') + fmt(Math.abs(v));
+const fmtD = (v) => (v >= 0 ? '+' : '-') + _ccySym + fmt(Math.abs(v));
 
 /**
  * Format a price value for chart display
@@ -222,6 +236,7 @@ export {
   todayStr,
   fmt,
   fmtD,
+  setDisplayCurrency,
   fmtPrice,
   niceNum,
   niceScale,
@@ -8,6 +8,8 @@
 //   - Timestamp-aligned: works across different timeframes
 //   - Self-filtering: pane ignores its own emissions
 //   - Debounced at 16ms (~60fps) for performance
+//   - Range channel: linked panes share their visible time range
+//     (scroll/zoom sync) with the same self-filtering
 // ═══════════════════════════════════════════════════════════════════
 
 /**
@@ -17,6 +19,8 @@
 class CrosshairBus {
   constructor() {
     this._listeners = new Map();   // paneId → callback(data)
+    this._rangeListeners = new Map(); // paneId → callback({ from, to, sourcePaneId })
+    this._pendingRange = null;
     this._lastEmit = 0;
     this._pendingEmit = null;
     this._enabled = true;
@@ -83,6 +87,35 @@ class CrosshairBus {
 
   get enabled() { return this._enabled; }
 
+  /**
+   * Subscribe a pane to visible time-range changes.
+   * @param {string} paneId
+   * @param {Function} callback - fn({ from, to, sourcePaneId })
+   * @returns {Function} unsubscribe
+   */
+  subscribeRange(paneId, callback) {
+    this._rangeListeners.set(paneId, callback);
+    return () => this._rangeListeners.delete(paneId);
+  }
+
+  /**
+   * Share a pane's visible time range (after scroll or zoom).
+   * Coalesced to one broadcast per frame; self-filtered.
+   *
+   * @param {string} sourcePaneId
+   * @param {Object} range - { from, to } in ms
+   */
+  emitRange(sourcePaneId, range) {
+    if (this._pendingRange) cancelAnimationFrame(this._pendingRange);
+    this._pendingRange = requestAnimationFrame(() => {
+      this._pendingRange = null;
+      const payload = { ...range, sourcePaneId };
+      for (const [paneId, cb] of this._rangeListeners) {
+        if (paneId !== sourcePaneId) cb(payload);
+      }
+    });
+  }
+
   _broadcast(sourcePaneId, data) {
     const payload = { ...data, sourcePaneId };
     for (const [paneId, cb] of this._listeners) {
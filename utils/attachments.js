@@ -0,0 +1,84 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Attachment Helpers
+//
+// Image handling for per-trade attachments (see useAttachmentStore):
+//   - makeThumbnail: downscaled JPEG for journal rows
+//   - imagesFromTransfer: image files from a paste or drop event
+//   - blobToDataURL / dataURLToBlob: JSON-safe encoding for backups
+// ═══════════════════════════════════════════════════════════════════
+
+const THUMB_SIZE = 160;
+
+/**
+ * Create a thumbnail that fits in a size×size box.
+ * Returns null where images can't be decoded (Node, old browsers)
+ * so callers can fall back to the full image.
+ *
+ * @param {Blob} blob - Image blob
+ * @param {number} [size=160] - Longest edge in px
+ * @returns {Promise<Blob|null>}
+ */
+async function makeThumbnail(blob, size = THUMB_SIZE) {
+  if (typeof createImageBitmap === 'undefined' || typeof document === 'undefined') return null;
+  try {
+    const bmp = await createImageBitmap(blob);
+    const scale = Math.min(1, size / Math.max(bmp.width, bmp.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bmp.width * scale));
+    canvas.height = Math.max(1, Math.round(bmp.height * scale));
+    canvas.getContext('2d').drawImage(bmp, 0, 0, canvas.width, canvas.height);
+    bmp.close?.();
+    return await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Image files from a ClipboardEvent.clipboardData or DragEvent.dataTransfer.
+ * @param {DataTransfer} transfer
+ * @returns {File[]}
+ */
+function imagesFromTransfer(transfer) {
+  if (!transfer) return [];
+  const files = [...(transfer.files || [])];
+  if (!files.length && transfer.items) {
+    for (const item of transfer.items) {
+      if (item.kind === 'file') {
+        const f = item.getAsFile();
+        if (f) files.push(f);
+      }
+    }
+  }
+  return files.filter((f) => f.type?.startsWith('image/'));
+}
+
+/**
+ * Encode a blob as a data: URL.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+async function blobToDataURL(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+}
+
+/**
+ * Decode a base64 data: URL back to a blob.
+ * @param {string} url
+ * @returns {Blob|null} null if not a base64 data URL
+ */
+function dataURLToBlob(url) {
+  const m = /^data:([^;,]*);base64,(.*)$/.exec(url || '');
+  if (!m) return null;
+  const binary = atob(m[2]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type: m[1] });
+}
+
+export { THUMB_SIZE, makeThumbnail, imagesFromTransfer, blobToDataURL, dataURLToBlob };
@@ -2,7 +2,8 @@
 // TradeForge OS v10 — Chart Export & Sharing
 //
 // Export chart as PNG download, copy to clipboard, generate
-// shareable URL with encoded chart state.
+// shareable URL with encoded chart state, capture the live chart
+// for trade attachments.
 // ═══════════════════════════════════════════════════════════════════
 
 import { C, M } from '../constants.js';
@@ -314,3 +315,70 @@ export async function copyAnnotatedToClipboard(canvas, annotations) {
     return false;
   }
 }
+
+// ─── Chart Capture (trade attachments) ──────────────────────────
+
+let activeCapture = null;
+
+/**
+ * Register the chart captureChart() snapshots. ChartEngineWidget
+ * registers its canvas stack on mount; the latest mounted chart wins.
+ *
+ * @param {Function} getSource - () => { layers: HTMLCanvasElement[], symbol, tf }
+ * @returns {Function} unregister
+ */
+export function registerChartCapture(getSource) {
+  activeCapture = getSource;
+  return () => {
+    if (activeCapture === getSource) activeCapture = null;
+  };
+}
+
+/** @returns {boolean} true if a chart is mounted to capture */
+export function hasChartCapture() {
+  return !!activeCapture;
+}
+
+/**
+ * Flatten stacked chart canvases (bottom first) into one canvas.
+ *
+ * @param {HTMLCanvasElement[]} layers
+ * @returns {HTMLCanvasElement|null}
+ */
+export function composeChartLayers(layers) {
+  const base = layers.find((c) => c?.width && c?.height);
+  if (!base) return null;
+
+  const out = document.createElement('canvas');
+  out.width = base.width;
+  out.height = base.height;
+  const ctx = out.getContext('2d');
+  for (const layer of layers) {
+    if (layer?.width && layer?.height) ctx.drawImage(layer, 0, 0, out.width, out.height);
+  }
+  return out;
+}
+
+/**
+ * Capture the registered chart — candles, drawings and entry/exit
+ * overlays — as a PNG blob.
+ *
+ * @param {Object} [options] - { annotations } adds the P&L banner of createAnnotatedSnapshot
+ * @returns {Promise<{ blob: Blob, symbol: string, tf: string }|null>}
+ */
+export async function captureChart(options = {}) {
+  const src = activeCapture?.();
+  const flat = src && composeChartLayers(src.layers || []);
+  if (!flat) return null;
+
+  let out = flat;
+  if (options.annotations) {
+    out = createAnnotatedSnapshot(flat, { symbol: src.symbol, tf: src.tf, ...options.annotations });
+  } else {
+    const dpr = window.devicePixelRatio || 1;
+    drawWatermark(flat.getContext('2d'), flat.width / dpr, flat.height / dpr);
+  }
+
+  const blob = await new Promise((resolve) => out.toBlob(resolve, 'image/png'));
+  return blob ? { blob, symbol: src.symbol, tf: src.tf } : null;
+}
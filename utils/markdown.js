@@ -0,0 +1,148 @@
+// ═══════════════════════════════════════════════════════════════════
+// TradeForge OS v11 — Markdown Parser
+//
+// Small markdown subset for notes, parsed to a plain token tree that
+// components render as React elements (no HTML strings, so note text
+// can't inject markup).
+//
+// Blocks:  # headings (1–3), paragraphs, - / * / 1. lists, - [ ] tasks,
+//          > quotes, ``` code fences, --- rules, ![[embed]] lines
+// Inline:  **bold**, *italic*, ~~strike~~, `code`, [text](https://…),
+//          [[wiki links]] (resolved by engine/NoteLinks.js)
+//
+// Usage:
+//   const blocks = parseMarkdown(note.content);
+//   // → [{ type: 'heading', level: 2, inline: [...] }, { type: 'list', items: [...] }, ...]
+// ═══════════════════════════════════════════════════════════════════
+
+const INLINE_RE = /`([^`\n]+)`|(!?)\[\[([^[\]\n|]+)(?:\|([^[\]\n]+))?\]\]|\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)|\*\*(.+?)\*\*|~~(.+?)~~|\*([^*\s](?:[^*\n]*[^*\s])?)\*/g;
+
+/**
+ * Parse inline markup.
+ * @param {string} text
+ * @returns {Object[]} Tokens: text | code | wikilink | link | strong | em | strike
+ */
+function parseInline(text) {
+  const src = String(text ?? '');
+  const out = [];
+  let last = 0;
+  for (const m of src.matchAll(INLINE_RE)) {
+    if (m.index > last) out.push({ type: 'text', text: src.slice(last, m.index) });
+    if (m[1] != null) out.push({ type: 'code', text: m[1] });
+    else if (m[3] != null) out.push({ type: 'wikilink', body: m[3].trim(), label: m[4]?.trim() || null, embed: m[2] === '!' });
+    else if (m[5] != null) out.push({ type: 'link', href: m[6], children: parseInline(m[5]) });
+    else if (m[7] != null) out.push({ type: 'strong', children: parseInline(m[7]) });
+    else if (m[8] != null) out.push({ type: 'strike', children: parseInline(m[8]) });
+    else out.push({ type: 'em', children: parseInline(m[9]) });
+    last = m.index + m[0].length;
+  }
+  if (last < src.length) out.push({ type: 'text', text: src.slice(last) });
+  return out;
+}
+
+const LIST_RE = /^\s*([-*]|\d+[.)])\s+(.*)$/;
+const TASK_RE = /^\[([ xX])\]\s+(.*)$/;
+const EMBED_RE = /^!\[\[([^[\]\n|]+)\]\]$/;
+
+/**
+ * Parse markdown into blocks.
+ * @param {string} text
+ * @returns {Object[]} Blocks: heading | paragraph | list | quote | code | hr | embed
+ */
+function parseMarkdown(text) {
+  const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let para = null;
+  let list = null;
+
+  const flush = () => { para = null; list = null; };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith('```')) {
+      flush();
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith('```'); i++) code.push(lines[i]);
+      blocks.push({ type: 'code', lang: trimmed.slice(3).trim() || null, text: code.join('\n') });
+      continue;
+    }
+    if (!trimmed) { flush(); continue; }
+
+    const heading = /^(#{1,3})\s+(.*)$/.exec(trimmed);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, inline: parseInline(heading[2]) });
+      continue;
+    }
+    if (/^(-{3,}|\*{3,})$/.test(trimmed)) {
+      flush();
+      blocks.push({ type: 'hr' });
+      continue;
+    }
+    const embed = EMBED_RE.exec(trimmed);
+    if (embed) {
+      flush();
+      blocks.push({ type: 'embed', body: embed[1].trim() });
+      continue;
+    }
+    if (trimmed.startsWith('>')) {
+      const body = trimmed.replace(/^>\s?/, '');
+      const prev = blocks[blocks.length - 1];
+      if (prev?.type === 'quote' && !para && !list) prev.lines.push(parseInline(body));
+      else { flush(); blocks.push({ type: 'quote', lines: [parseInline(body)] }); }
+      continue;
+    }
+
+    const item = LIST_RE.exec(line);
+    if (item) {
+      const ordered = /\d/.test(item[1]);
+      if (!list || list.ordered !== ordered) {
+        flush();
+        list = { type: 'list', ordered, items: [] };
+        blocks.push(list);
+      }
+      const task = TASK_RE.exec(item[2]);
+      list.items.push(task
+        ? { checked: task[1] !== ' ', inline: parseInline(task[2]) }
+        : { checked: null, inline: parseInline(item[2]) });
+      continue;
+    }
+
+    if (list) {
+      // Lazy continuation of the last list item
+      list.items[list.items.length - 1].inline.push({ type: 'text', text: ' ' }, ...parseInline(trimmed));
+      continue;
+    }
+    if (para) {
+      para.lines.push(parseInline(trimmed));
+    } else {
+      para = { type: 'paragraph', lines: [parseInline(trimmed)] };
+      blocks.push(para);
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Plain text of markdown (for previews and search snippets).
+ * @param {string} text
+ * @returns {string}
+ */
+function markdownToText(text) {
+  return String(text ?? '')
+    .replace(/^```.*$/gm, '')
+    .replace(/^\s*(-{3,}|\*{3,})\s*$/gm, '')
+    .replace(/!\[\[[^\]\n]*\]\]/g, '')
+    .replace(/\[\[([^[\]\n|]+)\|([^[\]\n]+)\]\]/g, '$2')
+    .replace(/\[\[([^[\]\n]+)\]\]/g, '$1')
+    .replace(/\[([^\]\n]+)\]\([^)\s]+\)/g, '$1')
+    .replace(/^\s*(#{1,3}|>|[-*]|\d+[.)])\s+(\[[ xX]\]\s+)?/gm, '')
+    .replace(/(\*\*|~~|\*|`)/g, '')
+    .replace(/^[ \t]+/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export { parseInline, parseMarkdown, markdownToText };